@@ -86,12 +86,33 @@ const App = (function() {
             ModalsModule.init();
             await ElevationModule.init();
             
+            // Initialize offline DEM store (consulted by ElevationModule first)
+            if (typeof DEMModule !== 'undefined') {
+                await DEMModule.init();
+            }
+            
             // Initialize hiking module (time estimates, daylight tracking)
             if (typeof HikingModule !== 'undefined') {
                 HikingModule.init();
             }
             
             await OfflineModule.init();
+            
+            // Initialize sideloaded MBTiles packs
+            if (typeof MBTilesModule !== 'undefined') {
+                await MBTilesModule.init();
+            }
+            
+            // Initialize MGRS/UTM grid overlay settings
+            if (typeof MGRSGridModule !== 'undefined') {
+                await MGRSGridModule.init();
+            }
+            
+            // Initialize vector basemap sources (PMTiles / MVT)
+            if (typeof VectorTileModule !== 'undefined') {
+                await VectorTileModule.init();
+            }
+            
             await GPSModule.init();
             WeatherModule.init();
             
@@ -117,6 +138,34 @@ const App = (function() {
             
             ContingencyModule.init();
             MeasureModule.init();
+            
+            // Initialize polygon areas / search sectors
+            if (typeof AreasModule !== 'undefined') {
+                AreasModule.init();
+            }
+            
+            // Initialize lost-person search planning
+            if (typeof SearchPlanModule !== 'undefined') {
+                SearchPlanModule.init();
+            }
+            
+            // Initialize geofence alerts
+            if (typeof GeofenceModule !== 'undefined') {
+                GeofenceModule.init();
+                
+                // Occupied fences are drawn in a different color
+                Events.on('geofence:event', () => MapModule.render());
+            }
+            
+            // Initialize track library
+            if (typeof TracksModule !== 'undefined') {
+                TracksModule.init();
+            }
+            
+            // Initialize offline road/trail routing
+            if (typeof OfflineRoutingModule !== 'undefined') {
+                OfflineRoutingModule.init();
+            }
             SunMoonModule.init();
             CelestialModule.init();
             
@@ -131,6 +180,11 @@ const App = (function() {
                 await CommPlanModule.init();
             }
             
+            // Initialize check-in engine (reads the comm plan's schedule)
+            if (typeof CheckInModule !== 'undefined') {
+                await CheckInModule.init();
+            }
+            
             // Initialize navigation module
             if (typeof NavigationModule !== 'undefined') {
                 await NavigationModule.init();
@@ -146,6 +200,16 @@ const App = (function() {
                 await SOSModule.init();
             }
             
+            // Initialize dead-man switch (resumes monitoring if it was armed)
+            if (typeof DeadManModule !== 'undefined') {
+                await DeadManModule.init();
+            }
+            
+            // Initialize signal tools (strobe, tones, mirror aiming)
+            if (typeof SignalingModule !== 'undefined') {
+                await SignalingModule.init();
+            }
+            
             // Initialize Radio Reference module
             if (typeof RadioModule !== 'undefined') {
                 await RadioModule.init();
@@ -229,6 +293,10 @@ const App = (function() {
                     MapModule.render();
                 });
                 
+                Events.on('meshtastic:topology', () => {
+                    MapModule.render();
+                });
+                
                 Events.on('meshtastic:sos_received', (data) => {
                     // Show prominent SOS alert
                     alert(`🆘 EMERGENCY SOS FROM ${data.message?.fromName || 'Unknown'}!\n\nCheck the map for their location.`);
@@ -268,6 +336,19 @@ const App = (function() {
                 Events.on('tak:markers_updated', () => {
                     MapModule.render();
                 });
+                
+                // Linked waypoints/routes/areas changed from either side
+                Events.on('tak:sync_changed', () => {
+                    if (['team', 'routes', 'waypoints'].includes(State.get('activePanel'))) {
+                        PanelsModule.render();
+                    }
+                    MapModule.render();
+                });
+                
+                // Range-test samples redraw the coverage heatmap
+                Events.on('meshtastic:range_test', () => {
+                    MapModule.render();
+                });
             }
             
             // Initialize APRS module
@@ -298,6 +379,31 @@ const App = (function() {
                 Events.on('aprs:station', () => {
                     MapModule.render();
                 });
+                
+                // Message status changes (acks, retries, new threads) update the inbox
+                Events.on('aprs:messages_changed', () => {
+                    if (State.get('activePanel') === 'team') {
+                        PanelsModule.render();
+                    }
+                });
+                
+                // Cross-gate between APRS and the Meshtastic mesh (rules live in APRSModule)
+                Events.on('meshtastic:position', ({ node }) => {
+                    APRSModule.handleMeshPosition(node);
+                });
+                
+                Events.on('meshtastic:aprs_gate', ({ message }) => {
+                    APRSModule.handleMeshGate(message);
+                });
+                
+                // Feed positioned APRS weather stations to the weather module as ground truth
+                Events.on('aprs:weather', (station) => {
+                    if (!APRSModule.isWeatherFeedEnabled()) return;
+                    if (typeof WeatherModule !== 'undefined' && WeatherModule.handleGroundObservation) {
+                        const observation = APRSModule.toWeatherObservation(station);
+                        if (observation) WeatherModule.handleGroundObservation(observation);
+                    }
+                });
             }
             
             // Initialize AtlasRF module
@@ -384,6 +384,17 @@ const Constants = (function() {
         }
     };
 
+    /**
+     * Area (polygon) type definitions
+     * Each type has: icon, label, and default stroke color
+     */
+    const AREA_TYPES = {
+        search: { icon: '🔍', label: 'Search Sector', color: '#f59e0b' },
+        hazard: { icon: '⚠️', label: 'Hazard Zone', color: '#ef4444' },
+        ao: { icon: '🎯', label: 'AO Boundary', color: '#3b82f6' },
+        custom: { icon: '⬡', label: 'Custom Area', color: '#a855f7' }
+    };
+
     const VEHICLE_PROFILES = {
         truck: { name: '4x4 Truck', fuelCapacity: 30, mpgRoad: 18, mpgTrail: 10, mpgCrawl: 5 },
         jeep: { name: 'Jeep/SUV', fuelCapacity: 22, mpgRoad: 20, mpgTrail: 12, mpgCrawl: 6 },
@@ -398,12 +409,15 @@ const Constants = (function() {
         { id: 'map', icon: 'map', label: 'Map', category: 'NAVIGATE' },
         { id: 'navigation', icon: 'navigation', label: 'Navigate', category: 'NAVIGATE' },
         { id: 'gps', icon: 'locate', label: 'GPS', category: 'NAVIGATE' },
+        { id: 'tracks', icon: 'activity', label: 'Tracks', category: 'NAVIGATE' },
         { id: 'coords', icon: 'crosshair', label: 'Coords', category: 'NAVIGATE' },
         { id: 'celestial', icon: 'star', label: 'Celestial', category: 'NAVIGATE' },
         { id: 'sunmoon', icon: 'sun', label: 'Sun/Moon', category: 'NAVIGATE' },
         // Plan
         { id: 'waypoints', icon: 'waypoint', label: 'Waypoints', category: 'PLAN' },
         { id: 'routes', icon: 'route', label: 'Routes', category: 'PLAN' },
+        { id: 'areas', icon: 'area', label: 'Areas', category: 'PLAN' },
+        { id: 'searchplan', icon: 'target', label: 'Lost Person', category: 'PLAN' },
         { id: 'logistics', icon: 'logistics', label: 'Logistics', category: 'PLAN' },
         { id: 'contingency', icon: 'shield', label: 'Planning', category: 'PLAN' },
         // Environment
@@ -427,7 +441,7 @@ const Constants = (function() {
         { key: 'terrain', label: 'Terrain', icon: 'terrain' },
         { key: 'satellite', label: 'Satellite', icon: 'satellite' },
         { key: 'contours', label: 'Contour Lines', icon: 'layers' },
-        { key: 'grid', label: 'Grid', icon: 'map' }
+        { key: 'grid', label: 'MGRS Grid', icon: 'map' }
     ];
 
     const DEFAULT_MAP_REGIONS = [
@@ -620,6 +634,7 @@ const Constants = (function() {
 
     return { 
         WAYPOINT_TYPES, 
+        AREA_TYPES,
         VEHICLE_PROFILES, 
         NAV_ITEMS, 
         MAP_LAYERS, 
@@ -26,6 +26,11 @@ const HistoryModule = (function() {
         ROUTE_UPDATE: 'route:update',
         ROUTE_BULK: 'route:bulk',
         
+        // Areas
+        AREA_ADD: 'area:add',
+        AREA_DELETE: 'area:delete',
+        AREA_UPDATE: 'area:update',
+        
         // Batch operations
         BATCH: 'batch'
     };
@@ -135,6 +140,42 @@ const HistoryModule = (function() {
         );
     }
 
+    /**
+     * Record an area addition
+     */
+    function recordAreaAdd(area) {
+        record(
+            ActionTypes.AREA_ADD,
+            { area: { ...area } },
+            { area: { ...area } },
+            `Add area "${area.name}"`
+        );
+    }
+
+    /**
+     * Record an area deletion
+     */
+    function recordAreaDelete(area) {
+        record(
+            ActionTypes.AREA_DELETE,
+            { area: { ...area } },
+            { areaId: area.id },
+            `Delete area "${area.name}"`
+        );
+    }
+
+    /**
+     * Record an area update
+     */
+    function recordAreaUpdate(oldArea, newArea) {
+        record(
+            ActionTypes.AREA_UPDATE,
+            { area: { ...oldArea } },
+            { area: { ...newArea } },
+            `Update area "${newArea.name}"`
+        );
+    }
+
     /**
      * Record multiple waypoints (e.g., from import)
      */
@@ -301,6 +342,21 @@ const HistoryModule = (function() {
                 setRoutesDirect(undoData.routes);
                 break;
 
+            case ActionTypes.AREA_ADD:
+                // Undo add = delete
+                State.Areas.remove(undoData.area.id, false);
+                break;
+
+            case ActionTypes.AREA_DELETE:
+                // Undo delete = restore
+                State.Areas.add(undoData.area, false);
+                break;
+
+            case ActionTypes.AREA_UPDATE:
+                // Undo update = restore old version
+                State.Areas.update(undoData.area.id, undoData.area, false);
+                break;
+
             case ActionTypes.BATCH:
                 // Undo batch in reverse order
                 for (let i = undoData.actions.length - 1; i >= 0; i--) {
@@ -360,6 +416,21 @@ const HistoryModule = (function() {
                 setRoutesDirect(redoData.routes);
                 break;
 
+            case ActionTypes.AREA_ADD:
+                // Redo add = add again
+                State.Areas.add(redoData.area, false);
+                break;
+
+            case ActionTypes.AREA_DELETE:
+                // Redo delete = delete again
+                State.Areas.remove(redoData.areaId, false);
+                break;
+
+            case ActionTypes.AREA_UPDATE:
+                // Redo update = apply new version
+                State.Areas.update(redoData.area.id, redoData.area, false);
+                break;
+
             case ActionTypes.BATCH:
                 // Redo batch in forward order
                 for (const batchAction of redoData.actions) {
@@ -427,6 +498,12 @@ const HistoryModule = (function() {
                 return `Delete route`;
             case ActionTypes.ROUTE_UPDATE:
                 return `Update route`;
+            case ActionTypes.AREA_ADD:
+                return `Add area`;
+            case ActionTypes.AREA_DELETE:
+                return `Delete area`;
+            case ActionTypes.AREA_UPDATE:
+                return `Update area`;
             default:
                 return `Action`;
         }
@@ -561,6 +638,9 @@ const HistoryModule = (function() {
         recordRouteAdd,
         recordRouteDelete,
         recordRouteUpdate,
+        recordAreaAdd,
+        recordAreaDelete,
+        recordAreaUpdate,
         recordWaypointBulk,
         recordRouteBulk,
         startBatch,
@@ -9,8 +9,8 @@ const State = (function() {
         zoom: 12, center: { x: 0, y: 0 },
         mapLayers: { baseLayer: 'standard', overlays: [], terrain: false, satellite: false, contours: false, grid: false },
         mousePosition: null,
-        waypoints: [], routes: [], mapRegions: [], teamMembers: [],
-        selectedWaypoint: null, selectedRoute: null,
+        waypoints: [], routes: [], areas: [], mapRegions: [], teamMembers: [],
+        selectedWaypoint: null, selectedRoute: null, selectedArea: null,
         selectedVehicle: 'truck', waypointFilter: 'all',
         modal: { isOpen: false, type: null, data: null },
         gpsNavTarget: null  // Currently selected waypoint for GPS navigation
@@ -127,6 +127,38 @@ const State = (function() {
             // Note: bulk changes don't record undo to avoid complex history
         }
     };
+
+    const Areas = {
+        add: (a, recordHistory = true) => {
+            set('areas', [...get('areas'), a]);
+            if (recordHistory && !skipHistory && typeof UndoModule !== 'undefined') {
+                UndoModule.recordAreaAdd(a);
+            }
+            return a;
+        },
+        update: (id, updates, recordHistory = true) => {
+            const oldArea = get('areas').find(a => a.id === id);
+            if (!oldArea) return;
+            const newArea = { ...oldArea, ...updates };
+            set('areas', get('areas').map(a => a.id === id ? newArea : a));
+            if (get('selectedArea')?.id === id) set('selectedArea', newArea);
+            if (recordHistory && !skipHistory && typeof UndoModule !== 'undefined') {
+                UndoModule.recordAreaEdit(newArea, oldArea);
+            }
+        },
+        remove: (id, recordHistory = true) => {
+            const areas = get('areas');
+            const index = areas.findIndex(a => a.id === id);
+            const area = areas[index];
+            if (recordHistory && !skipHistory && area && typeof UndoModule !== 'undefined') {
+                UndoModule.recordAreaDelete(area, index);
+            }
+            set('areas', areas.filter(a => a.id !== id));
+            if (get('selectedArea')?.id === id) set('selectedArea', null);
+        },
+        select: (a) => set('selectedArea', a),
+        setAll: (areas) => set('areas', areas)
+    };
     
     // Helper to run operations without recording history
     const withoutHistory = (fn) => {
@@ -169,6 +201,7 @@ const State = (function() {
             set('waypoints', wps.length ? wps : Constants.SAMPLE_WAYPOINTS);
             const rts = await Storage.Routes.getAll();
             set('routes', rts.length ? rts : Constants.SAMPLE_ROUTES);
+            set('areas', await Storage.Areas.getAll());
             // mapRegions is now managed by OfflineModule
             set('teamMembers', Constants.SAMPLE_TEAM);
             
@@ -227,9 +260,10 @@ const State = (function() {
         try {
             await Storage.Waypoints.saveAll(get('waypoints'));
             await Storage.Routes.saveAll(get('routes'));
+            await Storage.Areas.saveAll(get('areas'));
         } catch (e) { console.error('Persist failed:', e); }
     }
 
-    return { get, set, subscribe, init, persist, Waypoints, Routes, UI, Map: MapActions, Modal, withoutHistory };
+    return { get, set, subscribe, init, persist, Waypoints, Routes, Areas, UI, Map: MapActions, Modal, withoutHistory };
 })();
 window.State = State;
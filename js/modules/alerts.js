@@ -20,7 +20,9 @@ const AlertModule = (function() {
         RADIATION: 'radiation',
         WEATHER: 'weather',
         SYSTEM: 'system',
-        BEACON: 'beacon'
+        BEACON: 'beacon',
+        GEOFENCE: 'geofence',
+        CHECKIN: 'checkin'
     };
     
     // Severity colors
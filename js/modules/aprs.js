@@ -1,6 +1,7 @@
 /**
  * GridDown APRS Module - Amateur Packet Reporting System Integration
- * Supports Bluetooth TNC connections (Mobilinkd), packet parsing, and tactical display
+ * Supports Bluetooth (Mobilinkd), USB serial and KISS-over-WebSocket TNC
+ * connections (Direwolf, hardware KISS modems), packet parsing, and tactical display
  * 
  * APRS provides long-range position tracking over VHF radio (144.390 MHz NA)
  * Complements Meshtastic for extended coverage scenarios
@@ -40,8 +41,26 @@ const APRSModule = (function() {
         stationTimeout: 3600000,         // 1 hour - fade stations not heard
         stationPurge: 86400000,          // 24 hours - remove from database
         maxTrackPoints: 50,              // Position history per station
+        maxWeatherHistory: 144,          // Weather reports per station (12h at 5 min)
+        maxTelemetryHistory: 144,        // Telemetry frames per station
+        
+        // Messaging
+        maxMessageLength: 67,            // APRS message text limit
+        maxThreadMessages: 100,          // Messages kept per thread
+        messageRetryDelay: 30,           // Seconds before first retry, doubling each time
+        maxMessageRetryDelay: 600,       // Retry interval cap (10 minutes)
+        maxMessageAttempts: 7,           // Transmissions before a message is marked failed
+        messageDedupeWindow: 1800000,    // 30 min - ignore retransmitted copies
+        bulletinInterval: 600,           // Seconds between bulletin repeats
+        bulletinLifetime: 3600,          // Seconds to keep repeating a bulletin
         maxStations: 500,                // Maximum stations to track
         
+        // Digipeater & mesh cross-gate
+        digiDupeWindow: 30000,           // 30 s - a packet is only digipeated once
+        maxDigipeaters: 8,               // AX.25 address field limit
+        maxPacketLog: 200,               // Entries kept in the packet log
+        defaultGateInterval: 300,        // Seconds between gated reports per station
+        
         // Display
         showTrackTails: true,
         trackTailLength: 20,             // Points to show in tail
@@ -52,7 +71,28 @@ const APRSModule = (function() {
         KISS_FESC: 0xDB,
         KISS_TFEND: 0xDC,
         KISS_TFESC: 0xDD,
-        KISS_CMD_DATA: 0x00
+        KISS_CMD_DATA: 0x00,
+        
+        // Transports
+        baudRates: [1200, 4800, 9600, 19200, 38400, 57600, 115200],
+        defaultBaudRate: 9600,           // Most hardware KISS TNCs ship at 9600
+        defaultKissUrl: 'ws://localhost:8765',
+        reconnectDelay: 5000,            // First retry after 5s, doubling each attempt
+        maxReconnectDelay: 60000,
+        maxReconnectAttempts: 10
+    };
+
+    // Supported TNC transports
+    const TRANSPORTS = ['bluetooth', 'serial', 'kiss-tcp'];
+
+    // Default outgoing digipeater path
+    const DEFAULT_PATH = ['WIDE1-1', 'WIDE2-1'];
+
+    // Nordic UART service used by Mobilinkd and most BLE KISS TNCs
+    const NORDIC_UART = {
+        service: '6e400001-b5a3-f393-e0a9-e50e24dcca9e',
+        tx: '6e400002-b5a3-f393-e0a9-e50e24dcca9e',
+        rx: '6e400003-b5a3-f393-e0a9-e50e24dcca9e'
     };
 
     // APRS symbol table (primary and alternate)
@@ -152,7 +192,27 @@ const APRSModule = (function() {
         connecting: false,
         bleDevice: null,
         bleCharacteristic: null,
-        connectionType: null,        // 'bluetooth', 'kiss-tcp', 'direwolf'
+        serialPort: null,
+        serialReader: null,
+        serialWriter: null,
+        serialReadLoop: null,
+        webSocket: null,
+        connectionType: null,        // 'bluetooth', 'serial', 'kiss-tcp'
+        
+        // Auto-reconnect
+        reconnecting: false,
+        reconnectAttempts: 0,
+        reconnectTimer: null,
+        reconnectTarget: null,       // { type, device, serialInfo, wsUrl }
+        
+        // Transport preferences (persisted)
+        connection: {
+            type: 'bluetooth',
+            baudRate: CONFIG.defaultBaudRate,
+            wsUrl: CONFIG.defaultKissUrl,
+            autoReconnect: true,
+            serialInfo: null         // { usbVendorId, usbProductId } of last serial adapter
+        },
         
         // User config
         myCallsign: '',
@@ -162,6 +222,22 @@ const APRSModule = (function() {
         smartBeaconing: true,
         statusText: '',
         symbol: '/>',                // Car by default
+        weatherFeed: true,           // Pass WX station reports to WeatherModule
+        
+        // Digipeater and mesh cross-gate rules (persisted)
+        relay: {
+            digipeat: false,
+            fillInOnly: true,        // Only answer WIDE1-1
+            maxHops: 2,              // Don't digipeat WIDEn-N paths with n above this
+            aliases: [],             // Extra aliases answered like our callsign (e.g. SAR)
+            gateToMesh: false,       // Relay APRS positions into the Meshtastic mesh
+            gateFromMesh: false,     // Transmit mesh node positions as APRS objects
+            gateInterval: CONFIG.defaultGateInterval,
+            gateFilter: []           // Callsign prefixes to gate to the mesh (empty = all)
+        },
+        digiSeen: new Map(),         // dupe key -> time digipeated
+        gateSent: new Map(),         // callsign or mesh node -> time last gated
+        packetLog: [],
         
         // Transmit state
         lastBeaconTime: 0,
@@ -171,6 +247,14 @@ const APRSModule = (function() {
         // Station database
         stations: new Map(),         // callsign -> station object
         
+        // Messaging
+        messaging: {
+            threads: new Map(),      // threadId -> { id, type, name, messages, unread, replyAck }
+            groups: [],              // [{ name, type: 'group' | 'tactical' }]
+            seq: 0,                  // Last outgoing message ID
+            activeThread: null       // Thread open in the UI
+        },
+        
         // Receive buffer
         rxBuffer: [],
         
@@ -179,6 +263,8 @@ const APRSModule = (function() {
             packetsReceived: 0,
             packetsSent: 0,
             parseErrors: 0,
+            packetsDigipeated: 0,
+            packetsGated: 0,
             lastPacketTime: null
         }
     };
@@ -203,6 +289,7 @@ const APRSModule = (function() {
         
         loadSettings();
         loadStations();
+        loadMessages();
         
         // Start station cleanup timer with tracked interval
         aprsEvents.setInterval(cleanupStations, 60000);
@@ -210,6 +297,14 @@ const APRSModule = (function() {
         // Start beacon timer if enabled
         aprsEvents.setInterval(checkBeacon, 10000);
         
+        // Message retries and bulletin repeats
+        aprsEvents.setInterval(processOutbox, 5000);
+        
+        // Retry serial reconnects as soon as the adapter is plugged back in
+        if (typeof navigator !== 'undefined' && navigator.serial) {
+            aprsEvents.on(navigator.serial, 'connect', handleSerialConnect);
+        }
+        
         initialized = true;
         console.log('APRS module initialized');
     }
@@ -222,6 +317,7 @@ const APRSModule = (function() {
         if (state.connected) {
             disconnect();
         }
+        stopReconnect();
         
         // Clear all tracked intervals and listeners
         if (aprsEvents) {
@@ -247,6 +343,13 @@ const APRSModule = (function() {
                 state.smartBeaconing = settings.smartBeaconing !== false;
                 state.statusText = settings.statusText || '';
                 state.symbol = settings.symbol || '/>';
+                state.weatherFeed = settings.weatherFeed !== false;
+                if (settings.connection) {
+                    state.connection = { ...state.connection, ...settings.connection };
+                }
+                if (settings.relay) {
+                    state.relay = { ...state.relay, ...settings.relay };
+                }
             }
         } catch (e) {
             console.warn('Could not load APRS settings:', e);
@@ -265,7 +368,10 @@ const APRSModule = (function() {
                 beaconInterval: state.beaconInterval,
                 smartBeaconing: state.smartBeaconing,
                 statusText: state.statusText,
-                symbol: state.symbol
+                symbol: state.symbol,
+                weatherFeed: state.weatherFeed,
+                connection: state.connection,
+                relay: state.relay
             });
         } catch (e) {
             console.warn('Could not save APRS settings:', e);
@@ -302,7 +408,20 @@ const APRSModule = (function() {
         }
     }
 
-    // ==================== Bluetooth TNC Connection ====================
+    // ==================== TNC Transports ====================
+
+    /**
+     * Connect using the transport saved in the connection settings
+     * @param {string} [type] - 'bluetooth', 'serial' or 'kiss-tcp'
+     */
+    function connect(type = state.connection.type) {
+        switch (type) {
+            case 'bluetooth': return connectBluetooth();
+            case 'serial': return connectSerial();
+            case 'kiss-tcp': return connectKissTcp();
+            default: return Promise.reject(new Error(`Unknown TNC connection type: ${type}`));
+        }
+    }
 
     /**
      * Connect to Bluetooth TNC (Mobilinkd)
@@ -319,6 +438,7 @@ const APRSModule = (function() {
             throw new Error('Web Bluetooth not supported in this browser');
         }
 
+        stopReconnect();
         state.connecting = true;
         emitConnectionState();
 
@@ -328,41 +448,14 @@ const APRSModule = (function() {
                 filters: [
                     { namePrefix: 'Mobilinkd' },
                     { namePrefix: 'TNC' },
-                    { services: ['6e400001-b5a3-f393-e0a9-e50e24dcca9e'] } // Nordic UART
+                    { services: [NORDIC_UART.service] }
                 ],
-                optionalServices: ['6e400001-b5a3-f393-e0a9-e50e24dcca9e']
+                optionalServices: [NORDIC_UART.service]
             });
 
             console.log('APRS: Bluetooth device selected:', device.name);
 
-            // Connect to GATT server
-            const server = await device.gatt.connect();
-            console.log('APRS: GATT server connected');
-
-            // Get Nordic UART service
-            const service = await server.getPrimaryService('6e400001-b5a3-f393-e0a9-e50e24dcca9e');
-            
-            // Get TX characteristic (for sending to TNC)
-            const txChar = await service.getCharacteristic('6e400002-b5a3-f393-e0a9-e50e24dcca9e');
-            
-            // Get RX characteristic (for receiving from TNC)
-            const rxChar = await service.getCharacteristic('6e400003-b5a3-f393-e0a9-e50e24dcca9e');
-
-            // Subscribe to notifications
-            await rxChar.startNotifications();
-            rxChar.addEventListener('characteristicvaluechanged', handleBluetoothData);
-
-            // Handle disconnection
-            device.addEventListener('gattserverdisconnected', handleDisconnect);
-
-            // Store connection
-            state.bleDevice = device;
-            state.bleCharacteristic = txChar;
-            state.connected = true;
-            state.connecting = false;
-            state.connectionType = 'bluetooth';
-
-            emitConnectionState();
+            await openBluetooth(device);
             
             if (typeof ModalsModule !== 'undefined') {
                 ModalsModule.showToast(`Connected to ${device.name}`, 'success');
@@ -372,703 +465,2234 @@ const APRSModule = (function() {
 
         } catch (error) {
             console.error('APRS: Bluetooth connection failed:', error);
-            state.connecting = false;
-            state.connected = false;
-            emitConnectionState();
+            connectFailed();
             throw error;
         }
     }
 
     /**
-     * Handle incoming Bluetooth data
+     * Open the Nordic UART service on an already selected device.
+     * Split from connectBluetooth so auto-reconnect can reuse the device
+     * without another chooser prompt.
      */
-    function handleBluetoothData(event) {
-        const value = event.target.value;
-        const data = new Uint8Array(value.buffer);
+    async function openBluetooth(device) {
+        // Connect to GATT server
+        const server = await device.gatt.connect();
+        console.log('APRS: GATT server connected');
+
+        // Get Nordic UART service
+        const service = await server.getPrimaryService(NORDIC_UART.service);
         
-        // Add to receive buffer and process KISS frames
-        for (let i = 0; i < data.length; i++) {
-            state.rxBuffer.push(data[i]);
-        }
+        // Get TX characteristic (for sending to TNC)
+        const txChar = await service.getCharacteristic(NORDIC_UART.tx);
         
-        processKISSBuffer();
+        // Get RX characteristic (for receiving from TNC)
+        const rxChar = await service.getCharacteristic(NORDIC_UART.rx);
+
+        // Subscribe to notifications
+        await rxChar.startNotifications();
+        rxChar.addEventListener('characteristicvaluechanged', handleBluetoothData);
+
+        // Handle disconnection (same handler reference, so re-adding is a no-op)
+        device.addEventListener('gattserverdisconnected', handleDisconnect);
+
+        // Store connection
+        state.bleDevice = device;
+        state.bleCharacteristic = txChar;
+        markConnected('bluetooth');
     }
 
     /**
-     * Handle Bluetooth disconnection
+     * Handle incoming Bluetooth data
      */
-    function handleDisconnect() {
-        console.log('APRS: Bluetooth disconnected');
-        state.connected = false;
-        state.bleDevice = null;
-        state.bleCharacteristic = null;
-        state.connectionType = null;
-        emitConnectionState();
-        
-        if (typeof ModalsModule !== 'undefined') {
-            ModalsModule.showToast('APRS TNC disconnected', 'error');
-        }
+    function handleBluetoothData(event) {
+        const value = event.target.value;
+        pushRxBytes(new Uint8Array(value.buffer, value.byteOffset, value.byteLength));
     }
 
     /**
-     * Disconnect from TNC
+     * Connect to a USB/serial KISS TNC via Web Serial
+     * (hardware KISS modems, Direwolf on a pty bridged to a serial port)
+     * @param {Object} [options] - { port, baudRate }; prompts for a port if none given
      */
-    function disconnect() {
-        if (state.bleDevice && state.bleDevice.gatt.connected) {
-            state.bleDevice.gatt.disconnect();
+    async function connectSerial(options = {}) {
+        if (!navigator.serial) {
+            throw new Error('Web Serial API not supported. Use Chrome or Edge.');
         }
-        state.connected = false;
-        state.bleDevice = null;
-        state.bleCharacteristic = null;
-        state.connectionType = null;
+        
+        const baudRate = parseInt(options.baudRate, 10) || state.connection.baudRate;
+        
+        stopReconnect();
+        state.connecting = true;
         emitConnectionState();
+        
+        try {
+            const port = options.port || await navigator.serial.requestPort();
+            await openSerial(port, baudRate);
+            
+            state.connection.baudRate = baudRate;
+            state.connection.serialInfo = typeof port.getInfo === 'function' ? port.getInfo() : null;
+            saveSettings();
+            
+            if (typeof ModalsModule !== 'undefined') {
+                ModalsModule.showToast(`Connected to serial TNC (${baudRate} baud)`, 'success');
+            }
+            
+            return true;
+            
+        } catch (error) {
+            console.error('APRS: Serial connection failed:', error);
+            connectFailed();
+            throw error;
+        }
     }
 
     /**
-     * Emit connection state change event
+     * Open a serial port and start the KISS read loop
      */
-    function emitConnectionState() {
-        Events.emit('aprs:connection', {
-            connected: state.connected,
-            connecting: state.connecting,
-            type: state.connectionType
-        });
+    async function openSerial(port, baudRate) {
+        await port.open({ baudRate });
+        
+        state.serialPort = port;
+        state.serialWriter = port.writable.getWriter();
+        markConnected('serial');
+        state.serialReadLoop = readSerialLoop(port);
     }
 
-    // ==================== KISS Protocol ====================
-
     /**
-     * Process KISS frames from receive buffer
+     * Read raw bytes from the serial port until it is closed or unplugged
      */
-    function processKISSBuffer() {
-        // Find complete KISS frames (FEND to FEND)
-        while (true) {
-            const startIdx = state.rxBuffer.indexOf(CONFIG.KISS_FEND);
-            if (startIdx === -1) {
-                state.rxBuffer = [];
-                return;
-            }
-
-            // Remove any data before first FEND
-            if (startIdx > 0) {
-                state.rxBuffer = state.rxBuffer.slice(startIdx);
-            }
-
-            // Find end FEND
-            const endIdx = state.rxBuffer.indexOf(CONFIG.KISS_FEND, 1);
-            if (endIdx === -1) {
-                return; // Incomplete frame, wait for more data
-            }
-
-            // Extract frame
-            const frame = state.rxBuffer.slice(1, endIdx);
-            state.rxBuffer = state.rxBuffer.slice(endIdx + 1);
-
-            // Process frame if it has data
-            if (frame.length > 1) {
-                const cmdByte = frame[0];
-                const port = (cmdByte >> 4) & 0x0F;
-                const cmd = cmdByte & 0x0F;
-
-                if (cmd === CONFIG.KISS_CMD_DATA) {
-                    const ax25Data = unescapeKISS(frame.slice(1));
-                    processAX25Frame(ax25Data);
+    async function readSerialLoop(port) {
+        // Non-fatal errors (framing, parity, buffer overrun) leave port.readable
+        // set, so keep reading with a fresh reader until the port goes away
+        while (port.readable && state.serialPort === port) {
+            const reader = port.readable.getReader();
+            state.serialReader = reader;
+            try {
+                while (true) {
+                    const { value, done } = await reader.read();
+                    if (done) break;
+                    if (value) pushRxBytes(value);
                 }
+            } catch (e) {
+                console.warn('APRS: Serial read error:', e);
+            } finally {
+                reader.releaseLock();
             }
         }
+        
+        // Port lost while we still owned it (cable pulled, TNC power cycled)
+        if (state.serialPort === port) {
+            handleDisconnect();
+        }
     }
 
     /**
-     * Unescape KISS special bytes
+     * Release a serial port's reader/writer and close it
      */
-    function unescapeKISS(data) {
-        const result = [];
-        let i = 0;
-        while (i < data.length) {
-            if (data[i] === CONFIG.KISS_FESC) {
-                i++;
-                if (data[i] === CONFIG.KISS_TFEND) {
-                    result.push(CONFIG.KISS_FEND);
-                } else if (data[i] === CONFIG.KISS_TFESC) {
-                    result.push(CONFIG.KISS_FESC);
-                }
-            } else {
-                result.push(data[i]);
-            }
-            i++;
+    async function closeSerial(port, reader, writer, readLoop) {
+        try {
+            if (reader) await reader.cancel();
+            if (readLoop) await readLoop;
+            if (writer) writer.releaseLock();
+            await port.close();
+        } catch (e) {
+            console.warn('APRS: Serial port close failed:', e);
         }
-        return new Uint8Array(result);
     }
 
     /**
-     * Escape data for KISS transmission
+     * Find a previously granted serial port matching the last used adapter
      */
-    function escapeKISS(data) {
-        const result = [];
-        for (let i = 0; i < data.length; i++) {
-            if (data[i] === CONFIG.KISS_FEND) {
-                result.push(CONFIG.KISS_FESC, CONFIG.KISS_TFEND);
-            } else if (data[i] === CONFIG.KISS_FESC) {
-                result.push(CONFIG.KISS_FESC, CONFIG.KISS_TFESC);
-            } else {
-                result.push(data[i]);
-            }
+    async function findSerialPort(info) {
+        if (!navigator.serial) return null;
+        
+        const ports = await navigator.serial.getPorts();
+        if (!info || info.usbVendorId === undefined) {
+            return ports.length === 1 ? ports[0] : null;
         }
-        return new Uint8Array(result);
+        return ports.find(p => {
+            const portInfo = p.getInfo();
+            return portInfo.usbVendorId === info.usbVendorId && portInfo.usbProductId === info.usbProductId;
+        }) || null;
     }
 
     /**
-     * Build KISS frame for transmission
+     * Connect to a KISS TCP port (Direwolf, soundmodem, networked TNCs)
+     * through a WebSocket-to-TCP bridge, e.g. `websockify 8765 localhost:8001`
+     * @param {string} [url] - Bridge URL, defaults to the saved URL
      */
-    function buildKISSFrame(ax25Data) {
-        const escaped = escapeKISS(ax25Data);
-        const frame = new Uint8Array(escaped.length + 3);
-        frame[0] = CONFIG.KISS_FEND;
-        frame[1] = CONFIG.KISS_CMD_DATA;
-        frame.set(escaped, 2);
-        frame[frame.length - 1] = CONFIG.KISS_FEND;
-        return frame;
+    async function connectKissTcp(url) {
+        const wsUrl = String(url || state.connection.wsUrl || CONFIG.defaultKissUrl).trim();
+        if (!/^wss?:\/\//i.test(wsUrl)) {
+            throw new Error('KISS bridge URL must start with ws:// or wss://');
+        }
+        
+        stopReconnect();
+        state.connecting = true;
+        emitConnectionState();
+        
+        try {
+            await openKissTcp(wsUrl);
+            
+            state.connection.wsUrl = wsUrl;
+            saveSettings();
+            
+            if (typeof ModalsModule !== 'undefined') {
+                ModalsModule.showToast(`Connected to KISS TNC at ${wsUrl}`, 'success');
+            }
+            
+            return true;
+            
+        } catch (error) {
+            console.error('APRS: KISS TCP connection failed:', error);
+            connectFailed();
+            throw error;
+        }
     }
 
-    // ==================== AX.25 Protocol ====================
-
     /**
-     * Process AX.25 frame
+     * Open the bridge WebSocket; resolves once the socket is open
      */
-    function processAX25Frame(data) {
-        try {
-            // Minimum AX.25 frame: 14 bytes address + 1 control + 1 PID
-            if (data.length < 16) {
+    function openKissTcp(wsUrl) {
+        return new Promise((resolve, reject) => {
+            let opened = false;
+            let ws;
+            
+            try {
+                ws = new WebSocket(wsUrl);
+            } catch (e) {
+                reject(e);
                 return;
             }
-
-            // Parse addresses
-            const destCall = parseCallsign(data.slice(0, 7));
-            const srcCall = parseCallsign(data.slice(7, 14));
             
-            // Parse digipeater path
-            const digis = [];
-            let idx = 14;
-            let lastAddress = (data[13] & 0x01) === 1;
+            ws.binaryType = 'arraybuffer';
             
-            while (!lastAddress && idx + 7 <= data.length) {
-                const digi = parseCallsign(data.slice(idx, idx + 7));
-                digis.push(digi);
-                lastAddress = (data[idx + 6] & 0x01) === 1;
-                idx += 7;
-            }
-
-            // Skip control and PID bytes
-            idx += 2;
-
-            // Rest is information field
-            const info = data.slice(idx);
-            const infoStr = new TextDecoder().decode(info);
-
-            // Parse APRS packet
-            parseAPRSPacket(srcCall, destCall, digis, infoStr);
-
-            state.stats.packetsReceived++;
-            state.stats.lastPacketTime = Date.now();
-
-        } catch (e) {
-            console.warn('APRS: AX.25 parse error:', e);
-            state.stats.parseErrors++;
-        }
+            ws.onopen = () => {
+                opened = true;
+                state.webSocket = ws;
+                markConnected('kiss-tcp');
+                resolve();
+            };
+            
+            ws.onmessage = (event) => handleSocketData(event.data);
+            
+            ws.onerror = () => {
+                if (!opened) reject(new Error(`Could not reach KISS bridge at ${wsUrl}`));
+            };
+            
+            ws.onclose = () => {
+                if (!opened) {
+                    reject(new Error(`Could not reach KISS bridge at ${wsUrl}`));
+                } else if (state.webSocket === ws) {
+                    handleDisconnect();
+                }
+            };
+        });
     }
 
     /**
-     * Parse callsign from AX.25 address field
+     * Handle a WebSocket message from the KISS bridge
      */
-    function parseCallsign(bytes) {
-        let call = '';
-        for (let i = 0; i < 6; i++) {
-            const c = bytes[i] >> 1;
-            if (c !== 0x20) { // Skip padding spaces
-                call += String.fromCharCode(c);
+    function handleSocketData(data) {
+        if (typeof data === 'string') {
+            // Text-mode bridges pass each byte through as one character
+            const bytes = new Uint8Array(data.length);
+            for (let i = 0; i < data.length; i++) {
+                bytes[i] = data.charCodeAt(i) & 0xFF;
             }
+            pushRxBytes(bytes);
+        } else if (data instanceof ArrayBuffer) {
+            pushRxBytes(new Uint8Array(data));
+        } else if (ArrayBuffer.isView(data)) {
+            pushRxBytes(new Uint8Array(data.buffer, data.byteOffset, data.byteLength));
+        } else if (data && typeof data.arrayBuffer === 'function') {
+            data.arrayBuffer().then(buf => pushRxBytes(new Uint8Array(buf)));
         }
-        const ssid = (bytes[6] >> 1) & 0x0F;
-        const hasBeenRepeated = (bytes[6] & 0x80) !== 0;
-        
-        return {
-            call: call.trim(),
-            ssid: ssid,
-            full: ssid > 0 ? `${call.trim()}-${ssid}` : call.trim(),
-            repeated: hasBeenRepeated
-        };
     }
 
     /**
-     * Encode callsign to AX.25 address field
+     * Add received bytes to the KISS buffer and process complete frames
      */
-    function encodeCallsign(callsign, ssid, isLast = false, command = false) {
-        const bytes = new Uint8Array(7);
-        const paddedCall = callsign.toUpperCase().padEnd(6, ' ');
-        
-        for (let i = 0; i < 6; i++) {
-            bytes[i] = paddedCall.charCodeAt(i) << 1;
+    function pushRxBytes(data) {
+        for (let i = 0; i < data.length; i++) {
+            state.rxBuffer.push(data[i]);
         }
         
-        bytes[6] = (ssid << 1) | 0x60; // SSID + reserved bits
-        if (isLast) bytes[6] |= 0x01;  // Last address bit
-        if (command) bytes[6] |= 0x80; // Command/has been repeated
-        
-        return bytes;
+        processKISSBuffer();
     }
 
-    // ==================== APRS Packet Parsing ====================
-
     /**
-     * Parse APRS packet content
+     * Write a KISS frame to whichever transport is connected
      */
-    function parseAPRSPacket(source, dest, digis, info) {
-        if (!info || info.length === 0) return;
-
-        const dataType = info.charAt(0);
-        let packet = {
-            source: source.full,
-            dest: dest.full,
-            path: digis.map(d => d.full + (d.repeated ? '*' : '')).join(','),
-            raw: info,
-            type: 'unknown',
-            timestamp: Date.now()
-        };
-
-        // Parse based on data type identifier
-        switch (dataType) {
-            case '!':  // Position without timestamp
-            case '=':  // Position without timestamp with messaging
-                packet = { ...packet, ...parsePositionPacket(info.slice(1), false) };
-                packet.type = 'position';
-                break;
-                
-            case '/':  // Position with timestamp
-            case '@':  // Position with timestamp with messaging
-                packet = { ...packet, ...parsePositionPacket(info.slice(1), true) };
-                packet.type = 'position';
-                break;
-                
-            case '`':  // Mic-E (current)
-            case "'": // Mic-E (old)
-                packet = { ...packet, ...parseMicEPacket(dest.call, info.slice(1)) };
-                packet.type = 'position';
-                break;
-                
-            case ':':  // Message
-                packet = { ...packet, ...parseMessagePacket(info.slice(1)) };
-                packet.type = 'message';
-                break;
-                
-            case ';':  // Object
-                packet = { ...packet, ...parseObjectPacket(info.slice(1)) };
-                packet.type = 'object';
-                break;
-                
-            case ')':  // Item
-                packet = { ...packet, ...parseItemPacket(info.slice(1)) };
-                packet.type = 'item';
-                break;
-                
-            case '>':  // Status
-                packet.status = info.slice(1);
-                packet.type = 'status';
-                break;
-                
-            case 'T':  // Telemetry
-                packet.type = 'telemetry';
+    async function writeToTNC(frame) {
+        switch (state.connectionType) {
+            case 'bluetooth':
+                await state.bleCharacteristic.writeValue(frame);
                 break;
-                
-            case '_':  // Weather (Positionless)
-                packet.type = 'weather';
+            case 'serial':
+                await state.serialWriter.write(frame);
                 break;
-                
-            case '<':  // Station capabilities
-                packet.type = 'capabilities';
+            case 'kiss-tcp':
+                state.webSocket.send(frame);
                 break;
+            default:
+                throw new Error('No TNC connected');
         }
+    }
 
-        // Process the packet
-        handleParsedPacket(packet);
+    /**
+     * Record a successful connection on any transport
+     */
+    function markConnected(type) {
+        state.connected = true;
+        state.connecting = false;
+        state.connectionType = type;
+        state.connection.type = type;
+        state.rxBuffer = [];
+        stopReconnect();
+        emitConnectionState();
+        
+        // Send anything written while offline
+        processOutbox();
     }
 
     /**
-     * Parse standard position packet
+     * Reset connection flags after a failed connect attempt
      */
-    function parsePositionPacket(data, hasTimestamp) {
-        let idx = 0;
-        const result = {};
+    function connectFailed() {
+        state.connecting = false;
+        state.connected = false;
+        emitConnectionState();
+    }
 
-        // Skip timestamp if present
-        if (hasTimestamp && data.length >= 7) {
-            result.timestamp = data.slice(0, 7);
-            idx = 7;
+    /**
+     * Drop transport handles and return the one that was active
+     */
+    function clearTransport() {
+        const previous = {
+            type: state.connectionType,
+            device: state.bleDevice,
+            port: state.serialPort,
+            reader: state.serialReader,
+            writer: state.serialWriter,
+            readLoop: state.serialReadLoop,
+            socket: state.webSocket
+        };
+        
+        state.connected = false;
+        state.connecting = false;
+        state.connectionType = null;
+        state.bleDevice = null;
+        state.bleCharacteristic = null;
+        state.serialPort = null;
+        state.serialReader = null;
+        state.serialWriter = null;
+        state.serialReadLoop = null;
+        state.webSocket = null;
+        
+        return previous;
+    }
+
+    /**
+     * Handle an unexpected TNC disconnection on any transport
+     */
+    function handleDisconnect() {
+        // Already torn down by disconnect()
+        if (!state.connectionType) return;
+        
+        const previous = clearTransport();
+        console.log(`APRS: TNC disconnected (${previous.type})`);
+        
+        if (previous.port) {
+            closeSerial(previous.port, null, previous.writer, null);
+        }
+        
+        const willReconnect = state.connection.autoReconnect;
+        if (willReconnect) {
+            startReconnect({
+                type: previous.type,
+                device: previous.device,
+                serialInfo: state.connection.serialInfo,
+                wsUrl: state.connection.wsUrl
+            });
+        }
+        
+        emitConnectionState();
+        
+        if (typeof ModalsModule !== 'undefined') {
+            ModalsModule.showToast(willReconnect ? 'APRS TNC disconnected, reconnecting...' : 'APRS TNC disconnected', 'error');
         }
+    }
 
-        // Check for compressed vs uncompressed
-        const firstChar = data.charAt(idx);
+    /**
+     * Disconnect from TNC
+     */
+    function disconnect() {
+        stopReconnect();
         
-        if (firstChar >= '0' && firstChar <= '9') {
-            // Uncompressed position
-            // Format: DDMM.MMN/DDDMM.MMW
-            const latStr = data.slice(idx, idx + 8);
-            const latDeg = parseInt(latStr.slice(0, 2), 10);
-            const latMin = parseFloat(latStr.slice(2, 7));
-            const latDir = latStr.charAt(7);
-            
-            let lat = latDeg + latMin / 60;
-            if (latDir === 'S') lat = -lat;
-            
-            const symTable = data.charAt(idx + 8);
-            
-            const lonStr = data.slice(idx + 9, idx + 18);
-            const lonDeg = parseInt(lonStr.slice(0, 3), 10);
-            const lonMin = parseFloat(lonStr.slice(3, 8));
-            const lonDir = lonStr.charAt(8);
-            
-            let lon = lonDeg + lonMin / 60;
-            if (lonDir === 'W') lon = -lon;
-            
-            const symCode = data.charAt(idx + 18);
-            
-            result.lat = lat;
-            result.lon = lon;
-            result.symbol = symTable + symCode;
+        const previous = clearTransport();
+        
+        if (previous.device && previous.device.gatt.connected) {
+            previous.device.gatt.disconnect();
+        }
+        if (previous.socket) {
+            previous.socket.close();
+        }
+        if (previous.port) {
+            closeSerial(previous.port, previous.reader, previous.writer, previous.readLoop);
+        }
+        
+        emitConnectionState();
+    }
+
+    // ==================== Auto-Reconnect ====================
+
+    /**
+     * Begin reconnecting to the transport that just dropped
+     */
+    function startReconnect(target) {
+        stopReconnect();
+        state.reconnectTarget = target;
+        state.reconnecting = true;
+        state.reconnectAttempts = 0;
+        scheduleReconnect();
+    }
+
+    /**
+     * Schedule the next attempt with exponential backoff
+     */
+    function scheduleReconnect() {
+        const delay = Math.min(
+            CONFIG.reconnectDelay * Math.pow(2, state.reconnectAttempts),
+            CONFIG.maxReconnectDelay
+        );
+        state.reconnectTimer = setTimeout(attemptReconnect, delay);
+    }
+
+    /**
+     * Attempt a single reconnect
+     */
+    async function attemptReconnect() {
+        state.reconnectTimer = null;
+        if (!state.reconnecting || state.connected || state.connecting) return;
+        
+        const target = state.reconnectTarget;
+        
+        if (state.reconnectAttempts >= CONFIG.maxReconnectAttempts) {
+            console.log('APRS: Max reconnect attempts reached, giving up');
+            stopReconnect();
+            emitConnectionState();
+            Events.emit('aprs:reconnect_failed', { type: target.type });
             
-            // Parse extension data (course/speed, altitude, etc.)
-            const extension = data.slice(idx + 19);
-            if (extension.length >= 7 && extension.charAt(3) === '/') {
-                result.course = parseInt(extension.slice(0, 3), 10) || 0;
-                result.speed = parseInt(extension.slice(4, 7), 10) || 0; // knots
-                result.speed = Math.round(result.speed * 1.15078); // Convert to mph
+            if (typeof ModalsModule !== 'undefined') {
+                ModalsModule.showToast('Could not reconnect to APRS TNC', 'error');
             }
+            return;
+        }
+        
+        state.reconnectAttempts++;
+        console.log(`APRS: Reconnect attempt ${state.reconnectAttempts}/${CONFIG.maxReconnectAttempts} (${target.type})`);
+        state.connecting = true;
+        emitConnectionState();
+        
+        try {
+            await reopenTransport(target);
+            console.log('APRS: Reconnected successfully');
             
-            // Look for altitude /A=NNNNNN
-            const altMatch = data.match(/\/A=(-?\d{6})/);
-            if (altMatch) {
-                result.altitude = parseInt(altMatch[1], 10);
+            if (typeof ModalsModule !== 'undefined') {
+                ModalsModule.showToast('APRS TNC reconnected', 'success');
             }
-            
-            // Comment after position
-            const commentStart = idx + 19 + (result.course !== undefined ? 7 : 0);
-            if (data.length > commentStart) {
-                result.comment = data.slice(commentStart).replace(/\/A=-?\d{6}/, '').trim();
+        } catch (e) {
+            state.connecting = false;
+            if (state.reconnecting) {
+                scheduleReconnect();
             }
-            
-        } else if (firstChar === '/' || firstChar === '\\' || (firstChar >= 'A' && firstChar <= 'Z') || (firstChar >= 'a' && firstChar <= 'j')) {
-            // Compressed position
-            const compressed = parseCompressedPosition(data.slice(idx));
-            Object.assign(result, compressed);
+            emitConnectionState();
         }
-
-        return result;
     }
 
     /**
-     * Parse compressed position format
+     * Re-open a transport without any user prompt
      */
-    function parseCompressedPosition(data) {
-        if (data.length < 13) return {};
-
-        const symTable = data.charAt(0);
-        const latChars = data.slice(1, 5);
-        const lonChars = data.slice(5, 9);
-        const symCode = data.charAt(9);
-        const csT = data.charCodeAt(10) - 33;
-        const speed = data.charCodeAt(11) - 33;
-        const compType = data.charCodeAt(12) - 33;
+    async function reopenTransport(target) {
+        switch (target.type) {
+            case 'bluetooth':
+                if (!target.device) throw new Error('No Bluetooth device to reconnect');
+                return openBluetooth(target.device);
+            case 'serial': {
+                const port = await findSerialPort(target.serialInfo);
+                if (!port) throw new Error('Serial TNC not present');
+                return openSerial(port, state.connection.baudRate);
+            }
+            case 'kiss-tcp':
+                return openKissTcp(target.wsUrl);
+            default:
+                throw new Error(`Cannot reconnect ${target.type}`);
+        }
+    }
 
-        // Decode lat/lon from base91
-        let latVal = 0, lonVal = 0;
-        for (let i = 0; i < 4; i++) {
-            latVal = latVal * 91 + (latChars.charCodeAt(i) - 33);
-            lonVal = lonVal * 91 + (lonChars.charCodeAt(i) - 33);
+    /**
+     * Retry immediately when a granted serial adapter is plugged back in
+     */
+    function handleSerialConnect() {
+        if (state.reconnecting && state.reconnectTarget?.type === 'serial' && !state.connecting) {
+            clearTimeout(state.reconnectTimer);
+            attemptReconnect();
         }
+    }
 
-        const lat = 90 - latVal / 380926;
-        const lon = -180 + lonVal / 190463;
+    /**
+     * Stop auto-reconnect
+     */
+    function stopReconnect() {
+        if (state.reconnectTimer) {
+            clearTimeout(state.reconnectTimer);
+            state.reconnectTimer = null;
+        }
+        state.reconnecting = false;
+        state.reconnectAttempts = 0;
+        state.reconnectTarget = null;
+    }
 
-        const result = {
-            lat: lat,
-            lon: lon,
-            symbol: symTable + symCode
-        };
+    /**
+     * Cancel a pending auto-reconnect from the UI
+     */
+    function cancelReconnect() {
+        if (!state.reconnecting) return;
+        stopReconnect();
+        emitConnectionState();
+    }
 
-        // Decode course/speed or altitude based on compression type
-        if ((compType & 0x18) === 0x10) {
-            // NMEA source with altitude
-            result.altitude = Math.pow(1.002, csT * 91 + speed) - 1;
-        } else if (csT >= 0 && csT <= 89) {
-            // Course/speed
-            result.course = csT * 4;
-            result.speed = Math.round(Math.pow(1.08, speed) - 1);
-        }
+    // ==================== Connection Settings ====================
 
-        return result;
+    /**
+     * Get saved transport preferences
+     */
+    function getConnectionSettings() {
+        return { ...state.connection };
     }
 
     /**
-     * Parse Mic-E encoded position (from destination callsign + info field)
+     * Update transport preferences
+     * @param {Object} updates - { type, baudRate, wsUrl, autoReconnect }
      */
-    function parseMicEPacket(destCall, info) {
-        // Mic-E encodes latitude in destination address and longitude in info field
-        const result = {};
-        
-        try {
-            // Parse latitude from destination (6 characters)
-            let latDigits = '';
-            let latDir = 'N';
-            let lonOffset = 0;
-            let messageCode = 0;
-            
-            for (let i = 0; i < 6; i++) {
-                const c = destCall.charCodeAt(i);
-                let digit;
-                
-                if (c >= 48 && c <= 57) {        // 0-9
-                    digit = c - 48;
-                } else if (c >= 65 && c <= 74) { // A-J
-                    digit = c - 65;
-                    if (i < 3) messageCode |= (1 << (2 - i));
-                } else if (c >= 75 && c <= 76) { // K-L
-                    digit = c - 65;
-                } else if (c >= 80 && c <= 90) { // P-Z
-                    digit = c - 80;
-                    if (i < 3) messageCode |= (1 << (2 - i));
-                    if (i === 3) latDir = 'S';
-                    if (i === 4) lonOffset = 100;
-                    if (i === 5) lonOffset += 1; // West indicator
+    function setConnectionSettings(updates = {}) {
+        if (updates.type !== undefined) {
+            if (!TRANSPORTS.includes(updates.type)) {
+                throw new Error(`Unknown TNC connection type: ${updates.type}`);
+            }
+            state.connection.type = updates.type;
+        }
+        if (updates.baudRate !== undefined) {
+            const baud = parseInt(updates.baudRate, 10);
+            if (!(baud > 0)) throw new Error('Invalid baud rate');
+            state.connection.baudRate = baud;
+        }
+        if (updates.wsUrl !== undefined) {
+            state.connection.wsUrl = String(updates.wsUrl).trim();
+        }
+        if (updates.autoReconnect !== undefined) {
+            state.connection.autoReconnect = !!updates.autoReconnect;
+            if (!state.connection.autoReconnect) cancelReconnect();
+        }
+        saveSettings();
+        return getConnectionSettings();
+    }
+
+    /**
+     * Emit connection state change event
+     */
+    function emitConnectionState() {
+        Events.emit('aprs:connection', {
+            connected: state.connected,
+            connecting: state.connecting,
+            type: state.connectionType,
+            reconnecting: state.reconnecting,
+            reconnectAttempts: state.reconnectAttempts
+        });
+    }
+
+    // ==================== KISS Protocol ====================
+
+    /**
+     * Process KISS frames from receive buffer
+     */
+    function processKISSBuffer() {
+        // Find complete KISS frames (FEND to FEND)
+        while (true) {
+            const startIdx = state.rxBuffer.indexOf(CONFIG.KISS_FEND);
+            if (startIdx === -1) {
+                state.rxBuffer = [];
+                return;
+            }
+
+            // Remove any data before first FEND
+            if (startIdx > 0) {
+                state.rxBuffer = state.rxBuffer.slice(startIdx);
+            }
+
+            // Find end FEND
+            const endIdx = state.rxBuffer.indexOf(CONFIG.KISS_FEND, 1);
+            if (endIdx === -1) {
+                return; // Incomplete frame, wait for more data
+            }
+
+            // Extract frame
+            const frame = state.rxBuffer.slice(1, endIdx);
+            state.rxBuffer = state.rxBuffer.slice(endIdx + 1);
+
+            // Process frame if it has data
+            if (frame.length > 1) {
+                const cmdByte = frame[0];
+                const port = (cmdByte >> 4) & 0x0F;
+                const cmd = cmdByte & 0x0F;
+
+                if (cmd === CONFIG.KISS_CMD_DATA) {
+                    const ax25Data = unescapeKISS(frame.slice(1));
+                    processAX25Frame(ax25Data);
                 }
-                
-                latDigits += digit;
             }
+        }
+    }
+
+    /**
+     * Unescape KISS special bytes
+     */
+    function unescapeKISS(data) {
+        const result = [];
+        let i = 0;
+        while (i < data.length) {
+            if (data[i] === CONFIG.KISS_FESC) {
+                i++;
+                if (data[i] === CONFIG.KISS_TFEND) {
+                    result.push(CONFIG.KISS_FEND);
+                } else if (data[i] === CONFIG.KISS_TFESC) {
+                    result.push(CONFIG.KISS_FESC);
+                }
+            } else {
+                result.push(data[i]);
+            }
+            i++;
+        }
+        return new Uint8Array(result);
+    }
+
+    /**
+     * Escape data for KISS transmission
+     */
+    function escapeKISS(data) {
+        const result = [];
+        for (let i = 0; i < data.length; i++) {
+            if (data[i] === CONFIG.KISS_FEND) {
+                result.push(CONFIG.KISS_FESC, CONFIG.KISS_TFEND);
+            } else if (data[i] === CONFIG.KISS_FESC) {
+                result.push(CONFIG.KISS_FESC, CONFIG.KISS_TFESC);
+            } else {
+                result.push(data[i]);
+            }
+        }
+        return new Uint8Array(result);
+    }
+
+    /**
+     * Build KISS frame for transmission
+     */
+    function buildKISSFrame(ax25Data) {
+        const escaped = escapeKISS(ax25Data);
+        const frame = new Uint8Array(escaped.length + 3);
+        frame[0] = CONFIG.KISS_FEND;
+        frame[1] = CONFIG.KISS_CMD_DATA;
+        frame.set(escaped, 2);
+        frame[frame.length - 1] = CONFIG.KISS_FEND;
+        return frame;
+    }
+
+    // ==================== AX.25 Protocol ====================
+
+    /**
+     * Process AX.25 frame
+     */
+    function processAX25Frame(data) {
+        try {
+            // Minimum AX.25 frame: 14 bytes address + 1 control + 1 PID
+            if (data.length < 16) {
+                return;
+            }
+
+            // Parse addresses
+            const destCall = parseCallsign(data.slice(0, 7));
+            const srcCall = parseCallsign(data.slice(7, 14));
             
-            const latDeg = parseInt(latDigits.slice(0, 2), 10);
-            const latMin = parseInt(latDigits.slice(2, 4), 10) + parseInt(latDigits.slice(4, 6), 10) / 100;
-            let lat = latDeg + latMin / 60;
-            if (latDir === 'S') lat = -lat;
+            // Parse digipeater path
+            const digis = [];
+            let idx = 14;
+            let lastAddress = (data[13] & 0x01) === 1;
             
-            // Parse longitude from info field
-            if (info.length >= 3) {
-                let lonDeg = info.charCodeAt(0) - 28;
-                if (lonOffset >= 100) lonDeg += 100;
-                if (lonDeg >= 180 && lonDeg <= 189) lonDeg -= 80;
-                if (lonDeg >= 190 && lonDeg <= 199) lonDeg -= 190;
-                
-                let lonMin = info.charCodeAt(1) - 28;
-                if (lonMin >= 60) lonMin -= 60;
-                
-                let lonMinFrac = info.charCodeAt(2) - 28;
-                
-                let lon = lonDeg + (lonMin + lonMinFrac / 100) / 60;
-                if (lonOffset % 2 === 1) lon = -lon; // West
-                
-                result.lat = lat;
-                result.lon = lon;
+            while (!lastAddress && idx + 7 <= data.length) {
+                const digi = parseCallsign(data.slice(idx, idx + 7));
+                digis.push(digi);
+                lastAddress = (data[idx + 6] & 0x01) === 1;
+                idx += 7;
             }
+
+            // Skip control and PID bytes
+            idx += 2;
+
+            // Rest is information field
+            const info = data.slice(idx);
+            const infoStr = new TextDecoder().decode(info);
             
-            // Speed and course
-            if (info.length >= 6) {
-                const sp = info.charCodeAt(3) - 28;
-                const dc = info.charCodeAt(4) - 28;
-                const se = info.charCodeAt(5) - 28;
-                
-                result.speed = Math.round(((sp * 10 + Math.floor(dc / 10)) - 800) * 1.15078);
-                result.course = ((dc % 10) * 100 + se) - 400;
-                if (result.course < 0) result.course += 400;
-            }
+            logPacket('rx', srcCall.full, destCall.full, formatPath(digis), infoStr);
             
-            // Symbol
-            if (info.length >= 8) {
-                result.symbol = info.charAt(7) + info.charAt(6);
+            // Relay before parsing so unparseable packets are still digipeated
+            digipeat(destCall, srcCall, digis, info);
+
+            // Parse APRS packet
+            parseAPRSPacket(srcCall, destCall, digis, infoStr);
+
+            state.stats.packetsReceived++;
+            state.stats.lastPacketTime = Date.now();
+
+        } catch (e) {
+            console.warn('APRS: AX.25 parse error:', e);
+            state.stats.parseErrors++;
+        }
+    }
+
+    /**
+     * Parse callsign from AX.25 address field
+     */
+    function parseCallsign(bytes) {
+        let call = '';
+        for (let i = 0; i < 6; i++) {
+            const c = bytes[i] >> 1;
+            if (c !== 0x20) { // Skip padding spaces
+                call += String.fromCharCode(c);
             }
-            
-            // Status text after symbol
-            if (info.length > 8) {
-                result.comment = info.slice(8).trim();
+        }
+        const ssid = (bytes[6] >> 1) & 0x0F;
+        const hasBeenRepeated = (bytes[6] & 0x80) !== 0;
+        
+        return {
+            call: call.trim(),
+            ssid: ssid,
+            full: ssid > 0 ? `${call.trim()}-${ssid}` : call.trim(),
+            repeated: hasBeenRepeated
+        };
+    }
+
+    /**
+     * Encode callsign to AX.25 address field
+     */
+    function encodeCallsign(callsign, ssid, isLast = false, command = false) {
+        const bytes = new Uint8Array(7);
+        const paddedCall = callsign.toUpperCase().padEnd(6, ' ');
+        
+        for (let i = 0; i < 6; i++) {
+            bytes[i] = paddedCall.charCodeAt(i) << 1;
+        }
+        
+        bytes[6] = (ssid << 1) | 0x60; // SSID + reserved bits
+        if (isLast) bytes[6] |= 0x01;  // Last address bit
+        if (command) bytes[6] |= 0x80; // Command/has been repeated
+        
+        return bytes;
+    }
+
+    // ==================== APRS Packet Parsing ====================
+
+    /**
+     * Parse APRS packet content
+     */
+    function parseAPRSPacket(source, dest, digis, info) {
+        if (!info || info.length === 0) return;
+
+        const dataType = info.charAt(0);
+        let packet = {
+            source: source.full,
+            dest: dest.full,
+            path: formatPath(digis),
+            raw: info,
+            type: 'unknown',
+            timestamp: Date.now()
+        };
+
+        // Parse based on data type identifier
+        switch (dataType) {
+            case '!':  // Position without timestamp
+            case '=':  // Position without timestamp with messaging
+                packet = { ...packet, ...parsePositionPacket(info.slice(1), false) };
+                packet.type = 'position';
+                break;
+                
+            case '/':  // Position with timestamp
+            case '@':  // Position with timestamp with messaging
+                packet = { ...packet, ...parsePositionPacket(info.slice(1), true) };
+                packet.type = 'position';
+                break;
+                
+            case '`':  // Mic-E (current)
+            case "'": // Mic-E (old)
+                packet = { ...packet, ...parseMicEPacket(dest.call, info.slice(1)) };
+                packet.type = 'position';
+                break;
+                
+            case ':':  // Message
+                packet = { ...packet, ...parseMessagePacket(info.slice(1)) };
+                packet.type = 'message';
+                break;
+                
+            case ';':  // Object
+                packet = { ...packet, ...parseObjectPacket(info.slice(1)) };
+                packet.type = 'object';
+                break;
+                
+            case ')':  // Item
+                packet = { ...packet, ...parseItemPacket(info.slice(1)) };
+                packet.type = 'item';
+                break;
+                
+            case '>':  // Status
+                packet.status = info.slice(1);
+                packet.type = 'status';
+                break;
+                
+            case 'T':  // Telemetry
+                packet = { ...packet, ...parseTelemetryPacket(info.slice(1)) };
+                packet.type = 'telemetry';
+                break;
+                
+            case '_':  // Weather (Positionless)
+                packet = { ...packet, ...parsePositionlessWeather(info.slice(1)) };
+                packet.type = 'weather';
+                break;
+                
+            case '<':  // Station capabilities
+                packet.type = 'capabilities';
+                break;
+        }
+
+        // Process the packet
+        handleParsedPacket(packet);
+    }
+
+    /**
+     * Parse standard position packet
+     */
+    function parsePositionPacket(data, hasTimestamp) {
+        let idx = 0;
+        const result = {};
+
+        // Skip timestamp if present
+        if (hasTimestamp && data.length >= 7) {
+            result.timestamp = data.slice(0, 7);
+            idx = 7;
+        }
+
+        // Check for compressed vs uncompressed
+        const firstChar = data.charAt(idx);
+        
+        if (firstChar >= '0' && firstChar <= '9') {
+            // Uncompressed position
+            // Format: DDMM.MMN/DDDMM.MMW
+            const latStr = data.slice(idx, idx + 8);
+            const latDeg = parseInt(latStr.slice(0, 2), 10);
+            const latMin = parseFloat(latStr.slice(2, 7));
+            const latDir = latStr.charAt(7);
+            
+            let lat = latDeg + latMin / 60;
+            if (latDir === 'S') lat = -lat;
+            
+            const symTable = data.charAt(idx + 8);
+            
+            const lonStr = data.slice(idx + 9, idx + 18);
+            const lonDeg = parseInt(lonStr.slice(0, 3), 10);
+            const lonMin = parseFloat(lonStr.slice(3, 8));
+            const lonDir = lonStr.charAt(8);
+            
+            let lon = lonDeg + lonMin / 60;
+            if (lonDir === 'W') lon = -lon;
+            
+            const symCode = data.charAt(idx + 18);
+            
+            result.lat = lat;
+            result.lon = lon;
+            result.symbol = symTable + symCode;
+            
+            // Parse extension data (course/speed, altitude, etc.)
+            const extension = data.slice(idx + 19);
+            
+            // Weather station: DDD/SSS is wind direction/speed, followed by weather fields
+            if (symCode === '_') {
+                const wx = parseWeatherFields(positionWeatherFields(extension));
+                result.weather = wx.weather;
+                if (wx.rest.trim()) result.comment = wx.rest.trim();
+                return result;
+            }
+
+            if (extension.length >= 7 && extension.charAt(3) === '/') {
+                result.course = parseInt(extension.slice(0, 3), 10) || 0;
+                result.speed = parseInt(extension.slice(4, 7), 10) || 0; // knots
+                result.speed = Math.round(result.speed * 1.15078); // Convert to mph
+            }
+            
+            // Look for altitude /A=NNNNNN
+            const altMatch = data.match(/\/A=(-?\d{6})/);
+            if (altMatch) {
+                result.altitude = parseInt(altMatch[1], 10);
+            }
+            
+            // Comment after position
+            const commentStart = idx + 19 + (result.course !== undefined ? 7 : 0);
+            if (data.length > commentStart) {
+                result.comment = data.slice(commentStart).replace(/\/A=-?\d{6}/, '').trim();
+            }
+            
+        } else if (firstChar === '/' || firstChar === '\\' || (firstChar >= 'A' && firstChar <= 'Z') || (firstChar >= 'a' && firstChar <= 'j')) {
+            // Compressed position
+            const compressed = parseCompressedPosition(data.slice(idx));
+            Object.assign(result, compressed);
+            
+            // Weather station: course/speed bytes carry wind direction/speed (knots)
+            if (compressed.symbol && compressed.symbol.charAt(1) === '_') {
+                const wx = parseWeatherFields(data.slice(idx + 13));
+                const weather = {};
+                if (compressed.course !== undefined) {
+                    weather.windDirection = compressed.course;
+                    weather.windSpeed = Math.round(compressed.speed * 1.15078);
+                }
+                result.weather = { ...weather, ...wx.weather };
+                delete result.course;
+                delete result.speed;
+                if (wx.rest.trim()) result.comment = wx.rest.trim();
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Parse compressed position format
+     */
+    function parseCompressedPosition(data) {
+        if (data.length < 13) return {};
+
+        const symTable = data.charAt(0);
+        const latChars = data.slice(1, 5);
+        const lonChars = data.slice(5, 9);
+        const symCode = data.charAt(9);
+        const csT = data.charCodeAt(10) - 33;
+        const speed = data.charCodeAt(11) - 33;
+        const compType = data.charCodeAt(12) - 33;
+
+        // Decode lat/lon from base91
+        let latVal = 0, lonVal = 0;
+        for (let i = 0; i < 4; i++) {
+            latVal = latVal * 91 + (latChars.charCodeAt(i) - 33);
+            lonVal = lonVal * 91 + (lonChars.charCodeAt(i) - 33);
+        }
+
+        const lat = 90 - latVal / 380926;
+        const lon = -180 + lonVal / 190463;
+
+        const result = {
+            lat: lat,
+            lon: lon,
+            symbol: symTable + symCode
+        };
+
+        // Decode course/speed or altitude based on compression type
+        if ((compType & 0x18) === 0x10) {
+            // NMEA source with altitude
+            result.altitude = Math.pow(1.002, csT * 91 + speed) - 1;
+        } else if (csT >= 0 && csT <= 89) {
+            // Course/speed
+            result.course = csT * 4;
+            result.speed = Math.round(Math.pow(1.08, speed) - 1);
+        }
+
+        return result;
+    }
+
+    /**
+     * Parse Mic-E encoded position (from destination callsign + info field)
+     */
+    function parseMicEPacket(destCall, info) {
+        // Mic-E encodes latitude in destination address and longitude in info field
+        const result = {};
+        
+        try {
+            // Parse latitude from destination (6 characters)
+            let latDigits = '';
+            let latDir = 'N';
+            let lonOffset = 0;
+            let messageCode = 0;
+            
+            for (let i = 0; i < 6; i++) {
+                const c = destCall.charCodeAt(i);
+                let digit;
+                
+                if (c >= 48 && c <= 57) {        // 0-9
+                    digit = c - 48;
+                } else if (c >= 65 && c <= 74) { // A-J
+                    digit = c - 65;
+                    if (i < 3) messageCode |= (1 << (2 - i));
+                } else if (c >= 75 && c <= 76) { // K-L
+                    digit = c - 65;
+                } else if (c >= 80 && c <= 90) { // P-Z
+                    digit = c - 80;
+                    if (i < 3) messageCode |= (1 << (2 - i));
+                    if (i === 3) latDir = 'S';
+                    if (i === 4) lonOffset = 100;
+                    if (i === 5) lonOffset += 1; // West indicator
+                }
+                
+                latDigits += digit;
+            }
+            
+            const latDeg = parseInt(latDigits.slice(0, 2), 10);
+            const latMin = parseInt(latDigits.slice(2, 4), 10) + parseInt(latDigits.slice(4, 6), 10) / 100;
+            let lat = latDeg + latMin / 60;
+            if (latDir === 'S') lat = -lat;
+            
+            // Parse longitude from info field
+            if (info.length >= 3) {
+                let lonDeg = info.charCodeAt(0) - 28;
+                if (lonOffset >= 100) lonDeg += 100;
+                if (lonDeg >= 180 && lonDeg <= 189) lonDeg -= 80;
+                if (lonDeg >= 190 && lonDeg <= 199) lonDeg -= 190;
+                
+                let lonMin = info.charCodeAt(1) - 28;
+                if (lonMin >= 60) lonMin -= 60;
+                
+                let lonMinFrac = info.charCodeAt(2) - 28;
+                
+                let lon = lonDeg + (lonMin + lonMinFrac / 100) / 60;
+                if (lonOffset % 2 === 1) lon = -lon; // West
+                
+                result.lat = lat;
+                result.lon = lon;
+            }
+            
+            // Speed and course
+            if (info.length >= 6) {
+                const sp = info.charCodeAt(3) - 28;
+                const dc = info.charCodeAt(4) - 28;
+                const se = info.charCodeAt(5) - 28;
+                
+                result.speed = Math.round(((sp * 10 + Math.floor(dc / 10)) - 800) * 1.15078);
+                result.course = ((dc % 10) * 100 + se) - 400;
+                if (result.course < 0) result.course += 400;
+            }
+            
+            // Symbol
+            if (info.length >= 8) {
+                result.symbol = info.charAt(7) + info.charAt(6);
+            }
+            
+            // Status text after symbol
+            if (info.length > 8) {
+                result.comment = info.slice(8).trim();
+            }
+            
+        } catch (e) {
+            console.warn('APRS: Mic-E parse error:', e);
+        }
+        
+        return result;
+    }
+
+    /**
+     * Parse message packet
+     */
+    function parseMessagePacket(data) {
+        const result = {};
+        
+        // Format: ADDRESSEE:message{ID}
+        const colonIdx = data.indexOf(':');
+        if (colonIdx > 0) {
+            result.addressee = data.slice(0, colonIdx).trim();
+            
+            const msgPart = data.slice(colonIdx + 1).trimEnd();
+            // ackMM / rejMM, optionally with a reply-ack: ackMM}AA
+            const ackMatch = msgPart.match(/^(ack|rej)([A-Za-z0-9]{1,5})(?:\}([A-Za-z0-9]{0,5}))?$/);
+            
+            if (ackMatch) {
+                result.isAck = ackMatch[1] === 'ack';
+                result.isRej = ackMatch[1] === 'rej';
+                result.messageId = ackMatch[2];
+                if (ackMatch[3]) result.replyAck = ackMatch[3];
+            } else {
+                // text{MM (classic) or text{MM}AA (reply-ack, AA acks our last message)
+                const idMatch = msgPart.match(/\{([A-Za-z0-9]{1,5})(\}([A-Za-z0-9]{0,5}))?$/);
+                if (idMatch) {
+                    result.messageId = idMatch[1];
+                    result.message = msgPart.slice(0, -idMatch[0].length);
+                    if (idMatch[2] !== undefined) {
+                        result.replyAckCapable = true;
+                        if (idMatch[3]) result.replyAck = idMatch[3];
+                    }
+                } else {
+                    result.message = msgPart;
+                }
+            }
+        }
+        
+        return result;
+    }
+
+    /**
+     * Parse object packet
+     */
+    function parseObjectPacket(data) {
+        const result = {};
+        
+        // Format: NAME_____*DDMM.MMN/DDDMM.MMW...
+        if (data.length >= 10) {
+            result.objectName = data.slice(0, 9).trim();
+            result.isLive = data.charAt(9) === '*'; // * = live, _ = killed
+            
+            // Position follows
+            const posData = data.slice(10);
+            const posResult = parsePositionPacket(posData, true);
+            Object.assign(result, posResult);
+        }
+        
+        return result;
+    }
+
+    /**
+     * Parse item packet
+     */
+    function parseItemPacket(data) {
+        const result = {};
+        
+        // Format: NAME!DDMM.MMN/DDDMM.MMW... or NAME_...
+        const delimIdx = data.search(/[!_]/);
+        if (delimIdx > 0) {
+            result.itemName = data.slice(0, delimIdx);
+            result.isLive = data.charAt(delimIdx) === '!';
+            
+            const posData = data.slice(delimIdx + 1);
+            const posResult = parsePositionPacket(posData, false);
+            Object.assign(result, posResult);
+        }
+        
+        return result;
+    }
+
+    // ==================== Weather & Telemetry Parsing ====================
+
+    // Weather field codes: width in characters, station key, unit scale
+    const WEATHER_FIELDS = {
+        'c': { len: 3, key: 'windDirection' },          // degrees
+        's': { len: 3, key: 'windSpeed' },              // mph sustained
+        'g': { len: 3, key: 'windGust' },               // mph peak, last 5 min
+        't': { len: 3, key: 'temperature' },            // °F
+        'r': { len: 3, key: 'rain1h', scale: 0.01 },    // inches, last hour
+        'p': { len: 3, key: 'rain24h', scale: 0.01 },   // inches, last 24h
+        'P': { len: 3, key: 'rainMidnight', scale: 0.01 }, // inches since midnight
+        'h': { len: 2, key: 'humidity' },               // %, 00 = 100
+        'b': { len: 5, key: 'pressure', scale: 0.1 },   // mbar
+        'L': { len: 3, key: 'luminosity' },             // W/m²
+        'l': { len: 3, key: 'luminosity', offset: 1000 },
+        '#': { len: 3, key: 'rainRaw' }                 // raw rain counter
+    };
+
+    // Bulletins (BLN0-9), announcements (BLNA-Z) and group bulletins (BLN1WX)
+    const BULLETIN_PATTERN = /^BLN([0-9A-Z])([A-Z0-9]{0,5})$/;
+    const BULLETIN_THREAD = 'BLN';
+
+    // Telemetry definition messages a station sends to itself
+    const TELEMETRY_DEFINITIONS = ['PARM', 'UNIT', 'EQNS', 'BITS'];
+
+    /**
+     * Parse APRS weather fields (cSSSsSSSgSSStTTT...) until the first
+     * non-weather character. Missing sensors are sent as dots or spaces.
+     * @returns {Object} { weather, rest } - decoded fields and trailing comment
+     */
+    function parseWeatherFields(data) {
+        const weather = {};
+        let idx = 0;
+        
+        while (idx < data.length) {
+            const code = data.charAt(idx);
+            // 's' after temperature is snowfall, not wind speed
+            const field = code === 's' && weather.temperature !== undefined
+                ? { len: 3, key: 'snow24h' }
+                : WEATHER_FIELDS[code];
+            if (!field) break;
+            
+            const raw = data.substr(idx + 1, field.len);
+            if (raw.length < field.len) break;
+            
+            if (/^[\s.]+$/.test(raw)) {
+                idx += 1 + field.len;
+                continue;
+            }
+            if (!/^-?\d*\.?\d+$/.test(raw)) break;
+            
+            weather[field.key] = parseFloat(raw) * (field.scale || 1) + (field.offset || 0);
+            idx += 1 + field.len;
+        }
+        
+        if (weather.humidity === 0) weather.humidity = 100;
+        if (weather.pressure !== undefined) weather.pressure = Math.round(weather.pressure * 10) / 10;
+        ['rain1h', 'rain24h', 'rainMidnight'].forEach(key => {
+            if (weather[key] !== undefined) weather[key] = Math.round(weather[key] * 100) / 100;
+        });
+        
+        return { weather, rest: data.slice(idx) };
+    }
+
+    /**
+     * Turn a weather station's DDD/SSS position extension into c/s fields
+     */
+    function positionWeatherFields(extension) {
+        const match = extension.match(/^([\d. ]{3})\/([\d. ]{3})/);
+        return match ? 'c' + match[1] + 's' + match[2] + extension.slice(7) : extension;
+    }
+
+    /**
+     * Parse positionless weather report
+     * Format: _MMDDHHMMcSSSsSSSgSSStTTT...
+     */
+    function parsePositionlessWeather(data) {
+        const fields = /^\d{8}/.test(data) ? data.slice(8) : data;
+        const wx = parseWeatherFields(fields);
+        const result = { weather: wx.weather };
+        if (wx.rest.trim()) result.comment = wx.rest.trim();
+        return result;
+    }
+
+    /**
+     * Parse telemetry report
+     * Format: T#sss,111,222,333,444,555,xxxxxxxx[comment]
+     */
+    function parseTelemetryPacket(data) {
+        if (data.charAt(0) !== '#') return {};
+        
+        let body = data.slice(1);
+        let sequence;
+        
+        if (body.startsWith('MIC')) {
+            sequence = 'MIC';
+            body = body.slice(3).replace(/^,/, '');
+        } else {
+            const comma = body.indexOf(',');
+            if (comma < 0) return {};
+            sequence = body.slice(0, comma);
+            body = body.slice(comma + 1);
+        }
+        
+        const parts = body.split(',');
+        const analog = [];
+        for (let i = 0; i < 5; i++) {
+            const value = parseFloat(parts[i]);
+            analog.push(isNaN(value) ? null : value);
+        }
+        
+        const result = { telemetry: { sequence, analog, bits: null } };
+        if (parts.length > 5) {
+            const match = parts.slice(5).join(',').match(/^([01]{8})(.*)$/);
+            if (match) {
+                result.telemetry.bits = match[1];
+                if (match[2].trim()) result.comment = match[2].trim();
+            }
+        }
+        
+        return result;
+    }
+
+    /**
+     * Parse a PARM./UNIT./EQNS./BITS. telemetry definition message
+     * @returns {Object|null} Partial definitions to merge into the station's set
+     */
+    function parseTelemetryDefinition(message) {
+        const match = (message || '').match(/^(PARM|UNIT|EQNS|BITS)\.(.*)$/);
+        if (!match) return null;
+        
+        const values = match[2].split(',');
+        
+        switch (match[1]) {
+            case 'PARM':
+                return { names: values.map(v => v.trim()) };
+            case 'UNIT':
+                return { units: values.map(v => v.trim()) };
+            case 'EQNS': {
+                // Five a,b,c triples: value = a*x² + b*x + c
+                const eqns = [];
+                for (let i = 0; i < 5; i++) {
+                    const [a, b, c] = values.slice(i * 3, i * 3 + 3).map(v => parseFloat(v));
+                    eqns.push(isNaN(a) || isNaN(b) || isNaN(c) ? [0, 1, 0] : [a, b, c]);
+                }
+                return { eqns };
+            }
+            case 'BITS': {
+                const sense = (values[0] || '').trim();
+                return {
+                    bitSense: /^[01]{8}$/.test(sense) ? sense : '11111111',
+                    project: values.slice(1).join(',').trim()
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Apply a station's definitions to one raw telemetry frame
+     * @returns {Object} { channels: [{name, unit, raw, value}], bits: [{name, label, on}] }
+     */
+    function scaleTelemetry(frame, defs = {}) {
+        const names = defs.names || [];
+        const units = defs.units || [];
+        const eqns = defs.eqns || [];
+        const sense = defs.bitSense || '11111111';
+        
+        const channels = frame.analog.map((raw, i) => {
+            const [a, b, c] = eqns[i] || [0, 1, 0];
+            return {
+                name: names[i] || `A${i + 1}`,
+                unit: units[i] || '',
+                raw,
+                value: raw === null ? null : a * raw * raw + b * raw + c
+            };
+        });
+        
+        const bits = frame.bits
+            ? frame.bits.split('').map((bit, i) => ({
+                name: names[5 + i] || `B${i + 1}`,
+                label: units[5 + i] || '',
+                on: bit === sense.charAt(i)
+            }))
+            : [];
+        
+        return { channels, bits };
+    }
+
+    // ==================== Station Management ====================
+
+    /**
+     * Handle a parsed APRS packet
+     */
+    function handleParsedPacket(packet) {
+        console.log('APRS packet:', packet.source, packet.type, packet);
+        
+        // Update or create station
+        if (packet.lat !== undefined && packet.lon !== undefined) {
+            updateStation(packet);
+            if (packet.type === 'position') gateToMesh(packet);
+        }
+        
+        // Handle messages (telemetry definitions are addressed to the sending station itself)
+        if (packet.type === 'message' && packet.addressee) {
+            const definition = parseTelemetryDefinition(packet.message);
+            if (definition) {
+                recordTelemetryDefinition(packet.addressee, definition);
+            } else {
+                handleIncomingMessage(packet);
+            }
+        }
+        
+        // Handle objects/items
+        if (packet.type === 'object' || packet.type === 'item') {
+            handleObject(packet);
+        }
+        
+        // Weather and telemetry history
+        if (packet.weather && Object.keys(packet.weather).length > 0) {
+            recordWeather(packet);
+        }
+        if (packet.telemetry) {
+            recordTelemetry(packet);
+        }
+        
+        // Emit event for UI updates
+        Events.emit('aprs:packet', packet);
+    }
+
+    /**
+     * Update station database with new position
+     */
+    function updateStation(packet) {
+        const callsign = packet.source;
+        const station = state.stations.get(callsign) || createStation(callsign);
+        
+        // Update position
+        station.lat = packet.lat;
+        station.lon = packet.lon;
+        station.lastHeard = Date.now();
+        station.packets++;
+        
+        // Update optional fields
+        if (packet.course !== undefined) station.course = packet.course;
+        if (packet.speed !== undefined) station.speed = packet.speed;
+        if (packet.altitude !== undefined) station.altitude = packet.altitude;
+        if (packet.symbol) station.symbol = packet.symbol;
+        if (packet.comment) station.status = packet.comment;
+        if (packet.path) station.path = packet.path;
+        
+        // Add to track history
+        station.track.push({
+            lat: packet.lat,
+            lon: packet.lon,
+            time: Date.now()
+        });
+        
+        // Limit track history
+        if (station.track.length > CONFIG.maxTrackPoints) {
+            station.track = station.track.slice(-CONFIG.maxTrackPoints);
+        }
+        
+        // Store
+        state.stations.set(callsign, station);
+        
+        // Limit total stations
+        if (state.stations.size > CONFIG.maxStations) {
+            pruneOldestStations();
+        }
+        
+        // Save periodically
+        if (station.packets % 10 === 0) {
+            saveStations();
+        }
+        
+        // Emit position update
+        Events.emit('aprs:position', station);
+    }
+
+    /**
+     * Create an empty station record
+     */
+    function createStation(callsign) {
+        return {
+            callsign: callsign,
+            track: [],
+            packets: 0,
+            firstHeard: Date.now()
+        };
+    }
+
+    /**
+     * Get the station a weather/telemetry packet belongs to, creating
+     * positionless stations (bare T# or _ reports) as needed
+     */
+    function stationForReport(packet) {
+        const objectName = packet.objectName || packet.itemName;
+        if (objectName) {
+            // Objects are created (or killed) by handleObject
+            return state.stations.get('OBJ:' + objectName) || null;
+        }
+        
+        let station = state.stations.get(packet.source);
+        if (!station) {
+            station = createStation(packet.source);
+            state.stations.set(packet.source, station);
+        }
+        
+        // Positioned reports were already counted by updateStation
+        if (packet.lat === undefined) {
+            station.lastHeard = Date.now();
+            station.packets++;
+            if (packet.comment) station.status = packet.comment;
+            if (state.stations.size > CONFIG.maxStations) {
+                pruneOldestStations();
+            }
+        }
+        return station;
+    }
+
+    /**
+     * Store a weather report in the station's history
+     */
+    function recordWeather(packet) {
+        const station = stationForReport(packet);
+        if (!station) return;
+        
+        const report = { time: Date.now(), ...packet.weather };
+        station.weather = report;
+        station.isWeatherStation = true;
+        if (!station.symbol) station.symbol = '/_';
+        
+        station.weatherHistory = station.weatherHistory || [];
+        station.weatherHistory.push(report);
+        if (station.weatherHistory.length > CONFIG.maxWeatherHistory) {
+            station.weatherHistory = station.weatherHistory.slice(-CONFIG.maxWeatherHistory);
+        }
+        
+        if (station.packets % 10 === 0) {
+            saveStations();
+        }
+        
+        Events.emit('aprs:weather', station);
+    }
+
+    /**
+     * Store a raw telemetry frame in the station's history
+     */
+    function recordTelemetry(packet) {
+        const station = stationForReport(packet);
+        if (!station) return;
+        
+        const frame = { time: Date.now(), ...packet.telemetry };
+        station.telemetry = frame;
+        
+        station.telemetryHistory = station.telemetryHistory || [];
+        station.telemetryHistory.push(frame);
+        if (station.telemetryHistory.length > CONFIG.maxTelemetryHistory) {
+            station.telemetryHistory = station.telemetryHistory.slice(-CONFIG.maxTelemetryHistory);
+        }
+        
+        if (station.packets % 10 === 0) {
+            saveStations();
+        }
+        
+        Events.emit('aprs:telemetry', station);
+    }
+
+    /**
+     * Merge a PARM/UNIT/EQNS/BITS definition into the station's set
+     */
+    function recordTelemetryDefinition(callsign, definition) {
+        const key = callsign.toUpperCase();
+        let station = state.stations.get(key);
+        if (!station) {
+            station = createStation(key);
+            station.lastHeard = Date.now();
+            state.stations.set(key, station);
+        }
+        
+        station.telemetryDefs = { ...(station.telemetryDefs || {}), ...definition };
+        saveStations();
+    }
+
+    /**
+     * Get a station's telemetry scaled with its definitions
+     * @returns {Object|null} { definitions, latest, history: [{time, sequence, channels, bits}] }
+     */
+    function getTelemetry(callsign) {
+        const station = state.stations.get(callsign);
+        if (!station || !station.telemetryHistory) return null;
+        
+        const defs = station.telemetryDefs || {};
+        const history = station.telemetryHistory.map(frame => ({
+            time: frame.time,
+            sequence: frame.sequence,
+            ...scaleTelemetry(frame, defs)
+        }));
+        
+        return {
+            definitions: { ...defs },
+            latest: history[history.length - 1] || null,
+            history
+        };
+    }
+
+    /**
+     * Get a station's weather history (oldest first)
+     */
+    function getWeatherHistory(callsign) {
+        const station = state.stations.get(callsign);
+        return station && station.weatherHistory ? station.weatherHistory.slice() : [];
+    }
+
+    /**
+     * Convert a weather station's latest report into a WeatherModule observation
+     * @returns {Object|null} null if the station has no position or report
+     */
+    function toWeatherObservation(station) {
+        if (!station || !station.weather) return null;
+        if (station.lat === undefined || station.lon === undefined) return null;
+        
+        const wx = station.weather;
+        return {
+            id: 'aprs:' + station.callsign,
+            source: 'aprs',
+            name: station.objectName || station.callsign,
+            lat: station.lat,
+            lon: station.lon,
+            time: wx.time,
+            temperature: wx.temperature,      // °F
+            humidity: wx.humidity,
+            windSpeed: wx.windSpeed,          // mph
+            windDirection: wx.windDirection,
+            windGust: wx.windGust,
+            pressure: wx.pressure,            // mbar
+            rain1h: wx.rain1h,                // inches
+            rain24h: wx.rain24h
+        };
+    }
+
+    /**
+     * Handle object/item packet
+     */
+    function handleObject(packet) {
+        const name = packet.objectName || packet.itemName;
+        if (!name) return;
+        
+        const objectKey = 'OBJ:' + name;
+        
+        if (packet.isLive) {
+            // Create/update object as a station
+            let obj = state.stations.get(objectKey) || {
+                callsign: objectKey,
+                isObject: true,
+                objectName: name,
+                creator: packet.source,
+                track: [],
+                packets: 0,
+                firstHeard: Date.now()
+            };
+            
+            obj.lat = packet.lat;
+            obj.lon = packet.lon;
+            obj.lastHeard = Date.now();
+            obj.symbol = packet.symbol;
+            obj.status = packet.comment;
+            obj.packets++;
+            
+            state.stations.set(objectKey, obj);
+            Events.emit('aprs:object', obj);
+        } else {
+            // Remove killed object
+            state.stations.delete(objectKey);
+            Events.emit('aprs:object_killed', { name });
+        }
+    }
+
+    /**
+     * Prune oldest stations when limit exceeded
+     */
+    function pruneOldestStations() {
+        const stations = Array.from(state.stations.values());
+        stations.sort((a, b) => a.lastHeard - b.lastHeard);
+        
+        const toRemove = stations.slice(0, stations.length - CONFIG.maxStations + 50);
+        toRemove.forEach(s => state.stations.delete(s.callsign));
+    }
+
+    /**
+     * Cleanup stale stations
+     */
+    function cleanupStations() {
+        const now = Date.now();
+        
+        state.stations.forEach((station, callsign) => {
+            if (now - station.lastHeard > CONFIG.stationPurge) {
+                state.stations.delete(callsign);
+            }
+        });
+    }
+
+    // ==================== Transmit Functions ====================
+
+    /**
+     * Send position beacon
+     */
+    async function sendBeacon(force = false) {
+        if (!state.connected || !state.myCallsign) {
+            return false;
+        }
+        
+        // Get current position
+        let position;
+        try {
+            position = await getCurrentPosition();
+        } catch (e) {
+            console.warn('APRS: Could not get position for beacon:', e);
+            return false;
+        }
+        
+        // Build position packet
+        const packet = buildPositionPacket(
+            position.lat,
+            position.lon,
+            position.course || 0,
+            position.speed || 0,
+            position.altitude || null,
+            state.statusText
+        );
+        
+        // Send
+        const success = await transmitPacket(packet);
+        
+        if (success) {
+            state.lastBeaconTime = Date.now();
+            state.lastBeaconPosition = position;
+            state.stats.packetsSent++;
+            Events.emit('aprs:beacon_sent', position);
+        }
+        
+        return success;
+    }
+
+    /**
+     * Build position packet string
+     */
+    function buildPositionPacket(lat, lon, course, speed, altitude, comment) {
+        // Use uncompressed format for simplicity
+        // Format: !DDMM.MMN/DDDMM.MMWsccc/sss/A=NNNNNN comment
+        
+        const latDir = lat >= 0 ? 'N' : 'S';
+        const lonDir = lon >= 0 ? 'E' : 'W';
+        lat = Math.abs(lat);
+        lon = Math.abs(lon);
+        
+        const latDeg = Math.floor(lat);
+        const latMin = (lat - latDeg) * 60;
+        const lonDeg = Math.floor(lon);
+        const lonMin = (lon - lonDeg) * 60;
+        
+        let packet = '='; // Position with messaging capability
+        packet += latDeg.toString().padStart(2, '0');
+        packet += latMin.toFixed(2).padStart(5, '0');
+        packet += latDir;
+        packet += state.symbol.charAt(0); // Symbol table
+        packet += lonDeg.toString().padStart(3, '0');
+        packet += lonMin.toFixed(2).padStart(5, '0');
+        packet += lonDir;
+        packet += state.symbol.charAt(1); // Symbol code
+        
+        // Course/speed extension
+        const crs = Math.round(course || 0).toString().padStart(3, '0');
+        const spd = Math.round((speed || 0) / 1.15078).toString().padStart(3, '0'); // mph to knots
+        packet += crs + '/' + spd;
+        
+        // Altitude
+        if (altitude !== null) {
+            const alt = Math.round(altitude).toString().padStart(6, '0');
+            packet += '/A=' + alt;
+        }
+        
+        // Comment
+        if (comment) {
+            packet += ' ' + comment.slice(0, 43); // APRS comment limit
+        }
+        
+        return packet;
+    }
+
+    /**
+     * Send tactical object
+     */
+    async function sendObject(name, lat, lon, symbol, comment, live = true) {
+        if (!state.connected || !state.myCallsign) {
+            return false;
+        }
+        
+        // Build object packet
+        // Format: ;NAME_____*DDMM.MMN/DDDMM.MMWs comment
+        const paddedName = name.slice(0, 9).padEnd(9, ' ');
+        const status = live ? '*' : '_';
+        
+        let packet = ';' + paddedName + status;
+        
+        // Add timestamp (DHM zulu)
+        const now = new Date();
+        packet += now.getUTCDate().toString().padStart(2, '0');
+        packet += now.getUTCHours().toString().padStart(2, '0');
+        packet += now.getUTCMinutes().toString().padStart(2, '0');
+        packet += 'z';
+        
+        // Position
+        const latDir = lat >= 0 ? 'N' : 'S';
+        const lonDir = lon >= 0 ? 'E' : 'W';
+        lat = Math.abs(lat);
+        lon = Math.abs(lon);
+        
+        const latDeg = Math.floor(lat);
+        const latMin = (lat - latDeg) * 60;
+        const lonDeg = Math.floor(lon);
+        const lonMin = (lon - lonDeg) * 60;
+        
+        packet += latDeg.toString().padStart(2, '0');
+        packet += latMin.toFixed(2).padStart(5, '0');
+        packet += latDir;
+        packet += (symbol || '/>').charAt(0);
+        packet += lonDeg.toString().padStart(3, '0');
+        packet += lonMin.toFixed(2).padStart(5, '0');
+        packet += lonDir;
+        packet += (symbol || '/>').charAt(1);
+        
+        if (comment) {
+            packet += ' ' + comment.slice(0, 36);
+        }
+        
+        return transmitPacket(packet);
+    }
+
+    /**
+     * Transmit raw APRS packet
+     */
+    async function transmitPacket(infoField) {
+        if (!state.connected) {
+            return false;
+        }
+        
+        try {
+            // Build AX.25 frame
+            const ax25Frame = buildAX25Frame(infoField);
+            
+            // Wrap in KISS
+            const kissFrame = buildKISSFrame(ax25Frame);
+            
+            // Send via the active transport
+            await writeToTNC(kissFrame);
+            
+            console.log('APRS: Transmitted:', infoField);
+            state.stats.packetsSent++;
+            logPacket('tx', getMyFullCallsign(), 'APGRDW', DEFAULT_PATH.join(','), infoField);
+            
+            return true;
+            
+        } catch (e) {
+            console.error('APRS: Transmit error:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Build AX.25 UI frame from our callsign over the default path
+     */
+    function buildAX25Frame(infoField) {
+        return encodeAX25Frame(
+            { call: 'APGRDW', ssid: 0 },     // GridDown tocall
+            { call: state.myCallsign, ssid: state.mySSID },
+            DEFAULT_PATH.map(parseAddress),
+            new TextEncoder().encode(infoField)
+        );
+    }
+
+    /**
+     * Encode an AX.25 UI frame
+     * @param {Object} dest - { call, ssid }
+     * @param {Object} source - { call, ssid }
+     * @param {Array} path - [{ call, ssid, repeated }]
+     * @param {Uint8Array} infoBytes - Information field
+     */
+    function encodeAX25Frame(dest, source, path, infoBytes) {
+        const frameSize = 7 + 7 + (path.length * 7) + 2 + infoBytes.length;
+        const frame = new Uint8Array(frameSize);
+        let idx = 0;
+        
+        // Destination address
+        frame.set(encodeCallsign(dest.call, dest.ssid, false), idx);
+        idx += 7;
+        
+        // Source address
+        frame.set(encodeCallsign(source.call, source.ssid, path.length === 0), idx);
+        idx += 7;
+        
+        // Digipeater path (H bit marks hops already repeated)
+        path.forEach((digi, i) => {
+            frame.set(encodeCallsign(digi.call, digi.ssid, i === path.length - 1, !!digi.repeated), idx);
+            idx += 7;
+        });
+        
+        // Control field (UI frame)
+        frame[idx++] = 0x03;
+        
+        // PID (no layer 3)
+        frame[idx++] = 0xF0;
+        
+        // Information field
+        frame.set(infoBytes, idx);
+        
+        return frame;
+    }
+
+    /**
+     * Parse 'CALL-SSID' (optionally ending in '*') into an address
+     */
+    function parseAddress(text) {
+        const repeated = text.endsWith('*');
+        const [call, ssid] = text.replace(/\*$/, '').toUpperCase().split('-');
+        return { call, ssid: parseInt(ssid, 10) || 0, repeated };
+    }
+
+    /**
+     * Format a digipeater path for display ('WIDE1*,WIDE2-1')
+     */
+    function formatPath(digis) {
+        return digis.map(d => (d.ssid > 0 ? `${d.call}-${d.ssid}` : d.call) + (d.repeated ? '*' : '')).join(',');
+    }
+
+    // ==================== Messaging ====================
+
+    /**
+     * Load message threads, groups and the message ID counter
+     */
+    async function loadMessages() {
+        try {
+            const saved = await Storage.Settings.get('aprs_messages');
+            if (saved) {
+                state.messaging.threads = new Map(Object.entries(saved.threads || {}));
+                state.messaging.groups = Array.isArray(saved.groups) ? saved.groups : [];
+                state.messaging.seq = saved.seq || 0;
             }
-            
         } catch (e) {
-            console.warn('APRS: Mic-E parse error:', e);
+            console.warn('Could not load APRS messages:', e);
         }
-        
-        return result;
     }
 
     /**
-     * Parse message packet
+     * Save message threads to storage (debounced)
      */
-    function parseMessagePacket(data) {
-        const result = {};
-        
-        // Format: ADDRESSEE:message{ID}
-        const colonIdx = data.indexOf(':');
-        if (colonIdx > 0) {
-            result.addressee = data.slice(0, colonIdx).trim();
-            
-            const msgPart = data.slice(colonIdx + 1);
-            const ackMatch = msgPart.match(/^ack(\w+)$/);
-            const rejMatch = msgPart.match(/^rej(\w+)$/);
-            
-            if (ackMatch) {
-                result.isAck = true;
-                result.messageId = ackMatch[1];
-            } else if (rejMatch) {
-                result.isRej = true;
-                result.messageId = rejMatch[1];
-            } else {
-                const idMatch = msgPart.match(/\{(\w+)\}$/);
-                if (idMatch) {
-                    result.messageId = idMatch[1];
-                    result.message = msgPart.slice(0, -idMatch[0].length);
-                } else {
-                    result.message = msgPart;
-                }
+    let _saveMessagesTimeout = null;
+    function saveMessages() {
+        if (_saveMessagesTimeout) clearTimeout(_saveMessagesTimeout);
+        _saveMessagesTimeout = setTimeout(async () => {
+            _saveMessagesTimeout = null;
+            try {
+                const threads = {};
+                state.messaging.threads.forEach((thread, id) => {
+                    threads[id] = { ...thread, messages: thread.messages.slice(-CONFIG.maxThreadMessages) };
+                });
+                await Storage.Settings.set('aprs_messages', {
+                    threads,
+                    groups: state.messaging.groups,
+                    seq: state.messaging.seq
+                });
+            } catch (e) {
+                console.warn('Could not save APRS messages:', e);
             }
-        }
-        
-        return result;
+        }, 1000);
     }
 
     /**
-     * Parse object packet
+     * Notify listeners and persist after a thread changes
      */
-    function parseObjectPacket(data) {
-        const result = {};
-        
-        // Format: NAME_____*DDMM.MMN/DDDMM.MMW...
-        if (data.length >= 10) {
-            result.objectName = data.slice(0, 9).trim();
-            result.isLive = data.charAt(9) === '*'; // * = live, _ = killed
-            
-            // Position follows
-            const posData = data.slice(10);
-            const posResult = parsePositionPacket(posData, true);
-            Object.assign(result, posResult);
-        }
-        
-        return result;
+    function messagesChanged(threadId) {
+        saveMessages();
+        Events.emit('aprs:messages_changed', { threadId, unread: getUnreadCount() });
     }
 
     /**
-     * Parse item packet
+     * Thread ID for an addressee: callsign for direct, '#NAME' for groups, 'BLN' for bulletins
      */
-    function parseItemPacket(data) {
-        const result = {};
-        
-        // Format: NAME!DDMM.MMN/DDDMM.MMW... or NAME_...
-        const delimIdx = data.search(/[!_]/);
-        if (delimIdx > 0) {
-            result.itemName = data.slice(0, delimIdx);
-            result.isLive = data.charAt(delimIdx) === '!';
-            
-            const posData = data.slice(delimIdx + 1);
-            const posResult = parsePositionPacket(posData, false);
-            Object.assign(result, posResult);
-        }
-        
-        return result;
+    function threadIdFor(addressee) {
+        const name = addressee.toUpperCase();
+        if (BULLETIN_PATTERN.test(name)) return BULLETIN_THREAD;
+        const group = findGroup(name);
+        return group && group.type === 'group' ? '#' + group.name : name;
     }
 
-    // ==================== Station Management ====================
+    /**
+     * Get or create a thread
+     */
+    function getOrCreateThread(id) {
+        let thread = state.messaging.threads.get(id);
+        if (!thread) {
+            thread = {
+                id,
+                type: id === BULLETIN_THREAD ? 'bulletin' : id.startsWith('#') ? 'group' : 'direct',
+                name: id === BULLETIN_THREAD ? 'Bulletins' : id.replace(/^#/, ''),
+                messages: [],
+                unread: 0,
+                replyAck: false          // Peer uses {MM}AA reply-acks
+            };
+            state.messaging.threads.set(id, thread);
+        }
+        return thread;
+    }
 
     /**
-     * Handle a parsed APRS packet
+     * Append a message to a thread, counting it as unread unless the thread is open
      */
-    function handleParsedPacket(packet) {
-        console.log('APRS packet:', packet.source, packet.type, packet);
-        
-        // Update or create station
-        if (packet.lat !== undefined && packet.lon !== undefined) {
-            updateStation(packet);
+    function addToThread(thread, message) {
+        thread.messages.push(message);
+        if (thread.messages.length > CONFIG.maxThreadMessages) {
+            thread.messages = thread.messages.slice(-CONFIG.maxThreadMessages);
         }
-        
-        // Handle messages
-        if (packet.type === 'message' && packet.addressee) {
-            handleIncomingMessage(packet);
+        if (!message.outgoing && state.messaging.activeThread !== thread.id) {
+            thread.unread++;
         }
-        
-        // Handle objects/items
-        if (packet.type === 'object' || packet.type === 'item') {
-            handleObject(packet);
+        messagesChanged(thread.id);
+    }
+
+    /**
+     * Next outgoing message ID. Two base-36 characters, as reply-acks expect.
+     */
+    function generateMessageId() {
+        state.messaging.seq = (state.messaging.seq % 1295) + 1;
+        return state.messaging.seq.toString(36).toUpperCase().padStart(2, '0');
+    }
+
+    /**
+     * Clean message text for the info field (max 67 chars, no |, ~ or {)
+     */
+    function sanitizeMessageText(text) {
+        return String(text || '').replace(/[|~{\r\n]/g, ' ').trim().slice(0, CONFIG.maxMessageLength);
+    }
+
+    /**
+     * Build the info field for an outgoing message
+     */
+    function buildMessageInfo(message, thread) {
+        let info = ':' + message.to.padEnd(9, ' ') + ':' + message.text;
+        if (message.msgId) {
+            info += '{' + message.msgId;
+            // Reply-ack: close the ID and piggyback an ack of their last message
+            if (thread.replyAck) {
+                info += '}' + (thread.lastReceivedId || '');
+            }
         }
-        
-        // Emit event for UI updates
-        Events.emit('aprs:packet', packet);
+        return info;
     }
 
     /**
-     * Update station database with new position
+     * Send a message to a station, tactical call or group.
+     * Direct messages get an ID and are retried until acked; group messages
+     * and bulletins are not acked. Messages written while the TNC is offline
+     * are queued and sent on connect.
+     * @returns {Promise<boolean>} true if transmitted now
      */
-    function updateStation(packet) {
-        const callsign = packet.source;
-        let station = state.stations.get(callsign);
-        
-        if (!station) {
-            station = {
-                callsign: callsign,
-                track: [],
-                packets: 0,
-                firstHeard: Date.now()
-            };
+    async function sendMessage(addressee, message, wantAck = true) {
+        if (!state.myCallsign) {
+            return false;
         }
         
-        // Update position
-        station.lat = packet.lat;
-        station.lon = packet.lon;
-        station.lastHeard = Date.now();
-        station.packets++;
-        
-        // Update optional fields
-        if (packet.course !== undefined) station.course = packet.course;
-        if (packet.speed !== undefined) station.speed = packet.speed;
-        if (packet.altitude !== undefined) station.altitude = packet.altitude;
-        if (packet.symbol) station.symbol = packet.symbol;
-        if (packet.comment) station.status = packet.comment;
-        if (packet.path) station.path = packet.path;
-        
-        // Add to track history
-        station.track.push({
-            lat: packet.lat,
-            lon: packet.lon,
-            time: Date.now()
-        });
+        const to = String(addressee || '').toUpperCase().trim().slice(0, 9);
+        const text = sanitizeMessageText(message);
+        if (!to || !text) return false;
         
-        // Limit track history
-        if (station.track.length > CONFIG.maxTrackPoints) {
-            station.track = station.track.slice(-CONFIG.maxTrackPoints);
+        if (BULLETIN_PATTERN.test(to)) {
+            const match = to.match(BULLETIN_PATTERN);
+            return sendBulletin(match[1], text, match[2]);
         }
         
-        // Store
-        state.stations.set(callsign, station);
+        const thread = getOrCreateThread(threadIdFor(to));
+        const isGroup = thread.type === 'group';
+        const outgoing = {
+            id: 'm' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            msgId: wantAck && !isGroup ? generateMessageId() : null,
+            from: getMyFullCallsign(),
+            to,
+            text,
+            time: Date.now(),
+            outgoing: true,
+            status: 'queued',
+            attempts: 0,
+            nextAttempt: 0
+        };
+        addToThread(thread, outgoing);
         
-        // Limit total stations
-        if (state.stations.size > CONFIG.maxStations) {
-            pruneOldestStations();
+        if (!state.connected) {
+            return false;
         }
+        return transmitOutgoing(outgoing, thread);
+    }
+
+    /**
+     * Send a bulletin (line 0-9) or announcement (line A-Z), optionally to a group.
+     * Repeated every bulletinInterval until bulletinLifetime passes.
+     */
+    async function sendBulletin(line, text, group = '') {
+        if (!state.myCallsign) return false;
+        
+        const id = String(line || '0').toUpperCase().charAt(0);
+        if (!/^[0-9A-Z]$/.test(id)) throw new Error('Bulletin line must be 0-9 or A-Z');
+        const groupName = String(group || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 5);
+        const body = sanitizeMessageText(text);
+        if (!body) return false;
+        
+        const thread = getOrCreateThread(BULLETIN_THREAD);
+        const to = 'BLN' + id + groupName;
+        
+        // A new bulletin on the same line replaces the old one
+        thread.messages = thread.messages.filter(m => !(m.outgoing && m.to === to));
+        
+        const bulletin = {
+            id: 'b' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            msgId: null,
+            from: getMyFullCallsign(),
+            to,
+            text: body,
+            time: Date.now(),
+            outgoing: true,
+            bulletin: /^[0-9]$/.test(id) ? 'bulletin' : 'announcement',
+            group: groupName || null,
+            status: 'queued',
+            attempts: 0,
+            nextAttempt: 0,
+            repeatUntil: Date.now() + CONFIG.bulletinLifetime * 1000
+        };
+        addToThread(thread, bulletin);
         
-        // Save periodically
-        if (station.packets % 10 === 0) {
-            saveStations();
+        if (!state.connected) return false;
+        return transmitOutgoing(bulletin, thread);
+    }
+
+    /**
+     * Stop repeating an outgoing bulletin
+     */
+    function cancelBulletin(localId) {
+        const thread = state.messaging.threads.get(BULLETIN_THREAD);
+        const bulletin = thread && thread.messages.find(m => m.id === localId && m.outgoing);
+        if (!bulletin) return false;
+        bulletin.repeatUntil = 0;
+        bulletin.status = 'sent';
+        messagesChanged(BULLETIN_THREAD);
+        return true;
+    }
+
+    /**
+     * Transmit (or re-transmit) an outgoing message and schedule its next attempt
+     */
+    function transmitOutgoing(message, thread) {
+        const now = Date.now();
+        message.attempts++;
+        message.lastAttempt = now;
+        message.status = 'sent';
+        
+        if (message.msgId) {
+            // Decaying retry: 30s, 60s, 120s... capped at maxMessageRetryDelay
+            const delay = Math.min(
+                CONFIG.messageRetryDelay * Math.pow(2, message.attempts - 1),
+                CONFIG.maxMessageRetryDelay
+            );
+            message.nextAttempt = now + delay * 1000;
+        } else if (message.repeatUntil) {
+            message.nextAttempt = now + CONFIG.bulletinInterval * 1000;
         }
         
-        // Emit position update
-        Events.emit('aprs:position', station);
+        messagesChanged(thread.id);
+        return transmitPacket(buildMessageInfo(message, thread));
+    }
+
+    /**
+     * Send queued messages, retry unacked ones and repeat bulletins.
+     * Runs on a timer and whenever the TNC connects.
+     */
+    function processOutbox(now = Date.now()) {
+        if (!state.connected || !state.myCallsign) return;
+        
+        state.messaging.threads.forEach(thread => {
+            thread.messages.forEach(message => {
+                if (!message.outgoing) return;
+                
+                if (message.status === 'queued') {
+                    transmitOutgoing(message, thread);
+                } else if (message.status === 'sent' && message.msgId && now >= message.nextAttempt) {
+                    if (message.attempts >= CONFIG.maxMessageAttempts) {
+                        message.status = 'failed';
+                        messagesChanged(thread.id);
+                    } else {
+                        transmitOutgoing(message, thread);
+                    }
+                } else if (message.repeatUntil && message.status === 'sent' && now >= message.nextAttempt) {
+                    if (now < message.repeatUntil) {
+                        transmitOutgoing(message, thread);
+                    } else {
+                        message.repeatUntil = 0;
+                    }
+                }
+            });
+        });
+    }
+
+    /**
+     * Queue a failed message for another round of retries
+     */
+    function retryMessage(localId) {
+        for (const thread of state.messaging.threads.values()) {
+            const message = thread.messages.find(m => m.id === localId && m.outgoing);
+            if (message) {
+                message.status = 'queued';
+                message.attempts = 0;
+                message.nextAttempt = 0;
+                messagesChanged(thread.id);
+                processOutbox();
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Send message acknowledgment
+     */
+    async function sendMessageAck(addressee, messageId) {
+        const paddedAddr = addressee.toUpperCase().padEnd(9, ' ');
+        const packet = ':' + paddedAddr + ':ack' + messageId;
+        return transmitPacket(packet);
+    }
+
+    /**
+     * Mark an outgoing message acked (or rejected) by its recipient
+     */
+    function handleAck(fromCallsign, messageId, rejected = false) {
+        if (!messageId) return false;
+        
+        const thread = state.messaging.threads.get(fromCallsign.toUpperCase());
+        const message = thread && thread.messages.find(m =>
+            m.outgoing && m.msgId === messageId && (m.status === 'sent' || m.status === 'queued' || m.status === 'failed'));
+        if (!message) return false;
+        
+        message.status = rejected ? 'rejected' : 'delivered';
+        message.ackAt = Date.now();
+        messagesChanged(thread.id);
+        Events.emit('aprs:message_ack', { to: fromCallsign, id: messageId, rejected });
+        return true;
     }
 
     /**
      * Handle incoming message
      */
     function handleIncomingMessage(packet) {
-        const myCall = getMyFullCallsign();
+        const myCall = getMyFullCallsign().toUpperCase();
+        const addressee = packet.addressee.toUpperCase();
+        const source = packet.source.toUpperCase();
+        
+        // Our own transmissions heard back through a digipeater
+        if (myCall && source === myCall) return;
+        
+        if (BULLETIN_PATTERN.test(addressee)) {
+            recordBulletin(packet, addressee);
+            return;
+        }
         
-        // Check if message is for us
-        if (packet.addressee.toUpperCase() === myCall.toUpperCase()) {
+        const group = findGroup(addressee);
+        const isDirect = (myCall && addressee === myCall) || (group && group.type === 'tactical');
+        
+        if (isDirect) {
+            if (packet.isAck || packet.isRej) {
+                handleAck(source, packet.messageId, packet.isRej);
+                if (packet.replyAck) handleAck(source, packet.replyAck);
+                return;
+            }
+            
             // Send ack if message has ID
-            if (packet.messageId && !packet.isAck && !packet.isRej) {
+            if (packet.messageId) {
                 sendMessageAck(packet.source, packet.messageId);
             }
             
+            const thread = getOrCreateThread(source);
+            if (packet.replyAckCapable) {
+                thread.replyAck = true;
+                thread.lastReceivedId = packet.messageId;
+            }
+            if (packet.replyAck) {
+                handleAck(source, packet.replyAck);
+            }
+            
+            // Retransmissions of a message we already have only need the ack
+            if (packet.messageId && thread.messages.some(m =>
+                !m.outgoing && m.msgId === packet.messageId && Date.now() - m.time < CONFIG.messageDedupeWindow)) {
+                return;
+            }
+            
+            addToThread(thread, {
+                id: 'r' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+                msgId: packet.messageId || null,
+                from: source,
+                to: addressee,
+                text: packet.message || '',
+                time: Date.now(),
+                outgoing: false
+            });
+            
             Events.emit('aprs:message_received', {
                 from: packet.source,
                 message: packet.message,
@@ -1079,315 +2703,391 @@ const APRSModule = (function() {
             if (typeof ModalsModule !== 'undefined') {
                 ModalsModule.showToast(`APRS msg from ${packet.source}: ${packet.message}`, 'info');
             }
-        }
-    }
-
-    /**
-     * Handle object/item packet
-     */
-    function handleObject(packet) {
-        const name = packet.objectName || packet.itemName;
-        if (!name) return;
-        
-        const objectKey = 'OBJ:' + name;
-        
-        if (packet.isLive) {
-            // Create/update object as a station
-            let obj = state.stations.get(objectKey) || {
-                callsign: objectKey,
-                isObject: true,
-                objectName: name,
-                creator: packet.source,
-                track: [],
-                packets: 0,
-                firstHeard: Date.now()
-            };
+        } else if (group) {
+            const thread = getOrCreateThread('#' + group.name);
             
-            obj.lat = packet.lat;
-            obj.lon = packet.lon;
-            obj.lastHeard = Date.now();
-            obj.symbol = packet.symbol;
-            obj.status = packet.comment;
-            obj.packets++;
+            // Group messages are repeated without IDs; drop copies heard recently
+            if (thread.messages.some(m => !m.outgoing && m.from === source && m.text === packet.message &&
+                Date.now() - m.time < CONFIG.messageDedupeWindow)) {
+                return;
+            }
             
-            state.stations.set(objectKey, obj);
-            Events.emit('aprs:object', obj);
-        } else {
-            // Remove killed object
-            state.stations.delete(objectKey);
-            Events.emit('aprs:object_killed', { name });
+            addToThread(thread, {
+                id: 'r' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+                msgId: null,
+                from: source,
+                to: addressee,
+                text: packet.message || '',
+                time: Date.now(),
+                outgoing: false
+            });
+            
+            Events.emit('aprs:message_received', {
+                from: packet.source,
+                group: group.name,
+                message: packet.message,
+                time: Date.now()
+            });
         }
     }
 
     /**
-     * Prune oldest stations when limit exceeded
+     * Store a received bulletin/announcement, replacing the sender's previous copy of that line
      */
-    function pruneOldestStations() {
-        const stations = Array.from(state.stations.values());
-        stations.sort((a, b) => a.lastHeard - b.lastHeard);
+    function recordBulletin(packet, addressee) {
+        const match = addressee.match(BULLETIN_PATTERN);
+        const thread = getOrCreateThread(BULLETIN_THREAD);
+        const source = packet.source.toUpperCase();
+        const existing = thread.messages.find(m => !m.outgoing && m.from === source && m.to === addressee);
+        
+        if (existing) {
+            if (existing.text === packet.message) {
+                existing.heardAt = Date.now();
+                return;
+            }
+            thread.messages.splice(thread.messages.indexOf(existing), 1);
+        }
         
-        const toRemove = stations.slice(0, stations.length - CONFIG.maxStations + 50);
-        toRemove.forEach(s => state.stations.delete(s.callsign));
+        addToThread(thread, {
+            id: 'r' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            msgId: null,
+            from: source,
+            to: addressee,
+            text: packet.message || '',
+            time: Date.now(),
+            outgoing: false,
+            bulletin: /^[0-9]$/.test(match[1]) ? 'bulletin' : 'announcement',
+            group: match[2] || null
+        });
+        
+        Events.emit('aprs:bulletin', { from: source, line: match[1], group: match[2] || null, text: packet.message });
     }
 
     /**
-     * Cleanup stale stations
+     * Find a joined group or tactical call by name
      */
-    function cleanupStations() {
-        const now = Date.now();
-        
-        state.stations.forEach((station, callsign) => {
-            if (now - station.lastHeard > CONFIG.stationPurge) {
-                state.stations.delete(callsign);
-            }
-        });
+    function findGroup(name) {
+        const upper = String(name || '').toUpperCase();
+        return state.messaging.groups.find(g => g.name === upper) || null;
     }
 
-    // ==================== Transmit Functions ====================
-
     /**
-     * Send position beacon
+     * Join a group (shared thread, no acks) or claim a tactical call
+     * (messages to it are treated as addressed to us and acked)
+     * @param {string} name - Up to 9 characters
+     * @param {string} type - 'group' or 'tactical'
      */
-    async function sendBeacon(force = false) {
-        if (!state.connected || !state.myCallsign) {
-            return false;
+    function joinGroup(name, type = 'group') {
+        const upper = String(name || '').toUpperCase().replace(/[^A-Z0-9-]/g, '').slice(0, 9);
+        if (!upper) throw new Error('Group name required');
+        if (BULLETIN_PATTERN.test(upper)) throw new Error('BLN names are reserved for bulletins');
+        if (type !== 'group' && type !== 'tactical') throw new Error('Type must be group or tactical');
+        
+        const existing = findGroup(upper);
+        if (existing) {
+            existing.type = type;
+        } else {
+            state.messaging.groups.push({ name: upper, type });
         }
-        
-        // Get current position
-        let position;
-        try {
-            position = await getCurrentPosition();
-        } catch (e) {
-            console.warn('APRS: Could not get position for beacon:', e);
-            return false;
+        messagesChanged(null);
+        return { name: upper, type };
+    }
+
+    /**
+     * Leave a group or release a tactical call
+     */
+    function leaveGroup(name) {
+        const upper = String(name || '').toUpperCase();
+        const before = state.messaging.groups.length;
+        state.messaging.groups = state.messaging.groups.filter(g => g.name !== upper);
+        if (state.messaging.groups.length !== before) {
+            messagesChanged(null);
+            return true;
         }
-        
-        // Build position packet
-        const packet = buildPositionPacket(
-            position.lat,
-            position.lon,
-            position.course || 0,
-            position.speed || 0,
-            position.altitude || null,
-            state.statusText
-        );
-        
-        // Send
-        const success = await transmitPacket(packet);
-        
-        if (success) {
-            state.lastBeaconTime = Date.now();
-            state.lastBeaconPosition = position;
-            state.stats.packetsSent++;
-            Events.emit('aprs:beacon_sent', position);
+        return false;
+    }
+
+    /**
+     * Thread summaries, most recent first
+     */
+    function getThreads() {
+        return Array.from(state.messaging.threads.values())
+            .map(thread => {
+                const last = thread.messages[thread.messages.length - 1];
+                return {
+                    id: thread.id,
+                    type: thread.type,
+                    name: thread.name,
+                    unread: thread.unread,
+                    lastMessage: last ? last.text : '',
+                    lastTime: last ? last.time : 0,
+                    pending: thread.messages.filter(m => m.outgoing && (m.status === 'queued' || (m.status === 'sent' && m.msgId))).length
+                };
+            })
+            .sort((a, b) => b.lastTime - a.lastTime);
+    }
+
+    /**
+     * Messages in a thread (oldest first)
+     */
+    function getThreadMessages(threadId) {
+        const thread = state.messaging.threads.get(threadId);
+        return thread ? thread.messages.map(m => ({ ...m })) : [];
+    }
+
+    /**
+     * Open a thread in the UI, clearing its unread count
+     */
+    function setActiveThread(threadId) {
+        state.messaging.activeThread = threadId || null;
+        if (threadId) markThreadRead(threadId);
+    }
+
+    /**
+     * Clear a thread's unread count
+     */
+    function markThreadRead(threadId) {
+        const thread = state.messaging.threads.get(threadId);
+        if (thread && thread.unread > 0) {
+            thread.unread = 0;
+            messagesChanged(threadId);
         }
-        
-        return success;
     }
 
     /**
-     * Build position packet string
+     * Delete a thread and its messages
      */
-    function buildPositionPacket(lat, lon, course, speed, altitude, comment) {
-        // Use uncompressed format for simplicity
-        // Format: !DDMM.MMN/DDDMM.MMWsccc/sss/A=NNNNNN comment
-        
-        const latDir = lat >= 0 ? 'N' : 'S';
-        const lonDir = lon >= 0 ? 'E' : 'W';
-        lat = Math.abs(lat);
-        lon = Math.abs(lon);
+    function deleteThread(threadId) {
+        if (!state.messaging.threads.delete(threadId)) return false;
+        if (state.messaging.activeThread === threadId) state.messaging.activeThread = null;
+        messagesChanged(threadId);
+        return true;
+    }
+
+    /**
+     * Total unread messages across all threads
+     */
+    function getUnreadCount() {
+        let total = 0;
+        state.messaging.threads.forEach(thread => { total += thread.unread; });
+        return total;
+    }
+
+    // ==================== Digipeater & Mesh Gate ====================
+
+    /**
+     * Fill-in digipeater. Repeats packets whose next unused hop is our
+     * callsign, one of our aliases or a WIDEn-N within the configured
+     * limits, inserting our callsign into the path. The same packet is
+     * only repeated once per digiDupeWindow.
+     * @returns {boolean} true if the packet was repeated
+     */
+    function digipeat(dest, source, digis, info) {
+        const relay = state.relay;
+        if (!relay.digipeat || !state.connected || !state.myCallsign) return false;
         
-        const latDeg = Math.floor(lat);
-        const latMin = (lat - latDeg) * 60;
-        const lonDeg = Math.floor(lon);
-        const lonMin = (lon - lonDeg) * 60;
+        const myCall = getMyFullCallsign();
+        if (source.full === myCall) return false;
         
-        let packet = '='; // Position with messaging capability
-        packet += latDeg.toString().padStart(2, '0');
-        packet += latMin.toFixed(2).padStart(5, '0');
-        packet += latDir;
-        packet += state.symbol.charAt(0); // Symbol table
-        packet += lonDeg.toString().padStart(3, '0');
-        packet += lonMin.toFixed(2).padStart(5, '0');
-        packet += lonDir;
-        packet += state.symbol.charAt(1); // Symbol code
+        const next = digis.findIndex(d => !d.repeated);
+        if (next === -1) return false;
         
-        // Course/speed extension
-        const crs = Math.round(course || 0).toString().padStart(3, '0');
-        const spd = Math.round((speed || 0) / 1.15078).toString().padStart(3, '0'); // mph to knots
-        packet += crs + '/' + spd;
+        const hop = digis[next];
+        const path = digis.map(d => ({ call: d.call, ssid: d.ssid, repeated: d.repeated }));
+        const me = { ...parseAddress(myCall), repeated: true };
         
-        // Altitude
-        if (altitude !== null) {
-            const alt = Math.round(altitude).toString().padStart(6, '0');
-            packet += '/A=' + alt;
+        if (hop.full === myCall || relay.aliases.includes(hop.full)) {
+            // Addressed to us directly: substitute our callsign
+            path[next] = me;
+        } else {
+            const wide = hop.call.match(/^WIDE([1-7])$/);
+            if (!wide || hop.ssid < 1) return false;
+            
+            const n = parseInt(wide[1], 10);
+            if (relay.fillInOnly && n !== 1) return false;
+            if (n > relay.maxHops || hop.ssid > n) {
+                logPacket('drop', source.full, dest.full, formatPath(digis), '', `${hop.full} exceeds hop limit`);
+                return false;
+            }
+            
+            // Trace the hop: MYCALL*,WIDEn-(N-1), with WIDEn* once used up
+            const remaining = hop.ssid - 1;
+            const used = { call: hop.call, ssid: remaining, repeated: remaining === 0 };
+            if (path.length < CONFIG.maxDigipeaters) {
+                path.splice(next, 1, me, used);
+            } else {
+                path[next] = remaining === 0 ? me : used;
+            }
         }
         
-        // Comment
-        if (comment) {
-            packet += ' ' + comment.slice(0, 43); // APRS comment limit
+        // Duplicate suppression on source, destination and payload
+        const now = Date.now();
+        state.digiSeen.forEach((time, key) => {
+            if (now - time > CONFIG.digiDupeWindow) state.digiSeen.delete(key);
+        });
+        const dupeKey = `${source.full}>${dest.full}:${Array.from(info).join(',')}`;
+        if (state.digiSeen.has(dupeKey)) {
+            logPacket('drop', source.full, dest.full, formatPath(digis), '', 'duplicate');
+            return false;
         }
+        state.digiSeen.set(dupeKey, now);
         
-        return packet;
+        const frame = encodeAX25Frame(dest, source, path, info);
+        writeToTNC(buildKISSFrame(frame)).catch(e => console.warn('APRS: Digipeat failed:', e));
+        state.stats.packetsDigipeated++;
+        logPacket('digi', source.full, dest.full, formatPath(path), new TextDecoder().decode(info), `via ${hop.full}`);
+        return true;
     }
 
     /**
-     * Send APRS message
+     * Whether a callsign passes the mesh gate prefix filter
      */
-    async function sendMessage(addressee, message, wantAck = true) {
-        if (!state.connected || !state.myCallsign) {
-            return false;
-        }
-        
-        // Build message packet
-        // Format: :ADDRESSEE:message{ID}
-        const paddedAddr = addressee.toUpperCase().padEnd(9, ' ');
-        let packet = ':' + paddedAddr + ':' + message;
-        
-        if (wantAck) {
-            const msgId = generateMessageId();
-            packet += '{' + msgId;
-        }
-        
-        return transmitPacket(packet);
+    function matchesGateFilter(callsign) {
+        const filter = state.relay.gateFilter;
+        return filter.length === 0 || filter.some(prefix => callsign.startsWith(prefix));
     }
 
     /**
-     * Send message acknowledgment
+     * Rate-limit gating per station
      */
-    async function sendMessageAck(addressee, messageId) {
-        const paddedAddr = addressee.toUpperCase().padEnd(9, ' ');
-        const packet = ':' + paddedAddr + ':ack' + messageId;
-        return transmitPacket(packet);
+    function gateDue(key, now = Date.now()) {
+        const last = state.gateSent.get(key);
+        return !last || now - last >= state.relay.gateInterval * 1000;
     }
 
     /**
-     * Send tactical object
+     * Relay an APRS position heard on RF into the Meshtastic mesh
      */
-    async function sendObject(name, lat, lon, symbol, comment, live = true) {
-        if (!state.connected || !state.myCallsign) {
-            return false;
-        }
-        
-        // Build object packet
-        // Format: ;NAME_____*DDMM.MMN/DDDMM.MMWs comment
-        const paddedName = name.slice(0, 9).padEnd(9, ' ');
-        const status = live ? '*' : '_';
-        
-        let packet = ';' + paddedName + status;
-        
-        // Add timestamp (DHM zulu)
-        const now = new Date();
-        packet += now.getUTCDate().toString().padStart(2, '0');
-        packet += now.getUTCHours().toString().padStart(2, '0');
-        packet += now.getUTCMinutes().toString().padStart(2, '0');
-        packet += 'z';
+    function gateToMesh(packet) {
+        if (!state.relay.gateToMesh || packet.viaMesh) return false;
+        if (typeof MeshtasticModule === 'undefined' || !MeshtasticModule.isConnected() || !MeshtasticModule.sendAPRSGate) return false;
         
-        // Position
-        const latDir = lat >= 0 ? 'N' : 'S';
-        const lonDir = lon >= 0 ? 'E' : 'W';
-        lat = Math.abs(lat);
-        lon = Math.abs(lon);
+        const callsign = packet.source;
+        if (callsign === getMyFullCallsign() || !matchesGateFilter(callsign) || !gateDue(callsign)) return false;
         
-        const latDeg = Math.floor(lat);
-        const latMin = (lat - latDeg) * 60;
-        const lonDeg = Math.floor(lon);
-        const lonMin = (lon - lonDeg) * 60;
+        state.gateSent.set(callsign, Date.now());
+        MeshtasticModule.sendAPRSGate({
+            callsign,
+            lat: packet.lat,
+            lon: packet.lon,
+            symbol: packet.symbol,
+            course: packet.course,
+            speed: packet.speed,
+            altitude: packet.altitude,
+            comment: packet.comment
+        }).catch(e => console.warn('APRS: Mesh gate failed:', e));
+        
+        state.stats.packetsGated++;
+        logPacket('gate-out', callsign, 'MESH', packet.path || '', packet.raw || '');
+        return true;
+    }
+
+    /**
+     * Transmit a Meshtastic node's position on RF as an APRS object
+     * @param {Object} node - Node from a meshtastic:position event
+     */
+    function handleMeshPosition(node) {
+        if (!state.relay.gateFromMesh || !state.connected || !state.myCallsign) return false;
+        if (!node || !node.id || typeof node.lat !== 'number' || typeof node.lon !== 'number') return false;
         
-        packet += latDeg.toString().padStart(2, '0');
-        packet += latMin.toFixed(2).padStart(5, '0');
-        packet += latDir;
-        packet += (symbol || '/>').charAt(0);
-        packet += lonDeg.toString().padStart(3, '0');
-        packet += lonMin.toFixed(2).padStart(5, '0');
-        packet += lonDir;
-        packet += (symbol || '/>').charAt(1);
+        const key = 'mesh:' + node.id;
+        if (!gateDue(key)) return false;
+        state.gateSent.set(key, Date.now());
         
-        if (comment) {
-            packet += ' ' + comment.slice(0, 36);
-        }
+        const short = String(node.shortName || node.id.slice(-4)).toUpperCase().replace(/[^A-Z0-9]/g, '');
+        const name = ('MT-' + short).slice(0, 9);
+        sendObject(name, node.lat, node.lon, '/[', `Meshtastic ${node.name || node.id}`);
         
-        return transmitPacket(packet);
+        state.stats.packetsGated++;
+        logPacket('gate-in', name, 'RF', '', node.name || node.id);
+        return true;
     }
 
     /**
-     * Transmit raw APRS packet
+     * Show an APRS position relayed through the mesh by another gate.
+     * Not re-sent on RF, so two gates in range of each other can't loop.
+     * @param {Object} message - meshtastic aprs_gate message
      */
-    async function transmitPacket(infoField) {
-        if (!state.connected || !state.bleCharacteristic) {
-            return false;
-        }
-        
-        try {
-            // Build AX.25 frame
-            const ax25Frame = buildAX25Frame(infoField);
-            
-            // Wrap in KISS
-            const kissFrame = buildKISSFrame(ax25Frame);
-            
-            // Send via Bluetooth
-            await state.bleCharacteristic.writeValue(kissFrame);
-            
-            console.log('APRS: Transmitted:', infoField);
-            state.stats.packetsSent++;
-            
-            return true;
-            
-        } catch (e) {
-            console.error('APRS: Transmit error:', e);
-            return false;
+    function handleMeshGate(message) {
+        const callsign = String(message.callsign || '').toUpperCase();
+        if (!callsign || callsign === getMyFullCallsign()) return false;
+        if (typeof message.lat !== 'number' || typeof message.lon !== 'number') return false;
+        
+        logPacket('gate-in', callsign, 'MESH', 'MESH*', message.comment || '');
+        handleParsedPacket({
+            source: callsign,
+            dest: 'MESH',
+            path: 'MESH*',
+            raw: '',
+            type: 'position',
+            timestamp: Date.now(),
+            lat: message.lat,
+            lon: message.lon,
+            symbol: message.symbol,
+            course: message.course,
+            speed: message.speed,
+            altitude: message.altitude,
+            comment: message.comment,
+            viaMesh: true
+        });
+        return true;
+    }
+
+    /**
+     * Append to the packet log
+     * @param {string} direction - rx, tx, digi, drop, gate-out or gate-in
+     */
+    function logPacket(direction, source, dest, path, info, note = '') {
+        state.packetLog.push({ time: Date.now(), direction, source, dest, path, info, note });
+        if (state.packetLog.length > CONFIG.maxPacketLog) {
+            state.packetLog.splice(0, state.packetLog.length - CONFIG.maxPacketLog);
         }
     }
 
     /**
-     * Build AX.25 UI frame
+     * Get digipeater and gate rules
      */
-    function buildAX25Frame(infoField) {
-        const destCall = 'APGRDW'; // GridDown tocall
-        const destSSID = 0;
-        const srcCall = state.myCallsign.toUpperCase();
-        const srcSSID = state.mySSID;
-        
-        // Standard APRS digipeater path
-        const digiPath = ['WIDE1-1', 'WIDE2-1'];
-        
-        // Calculate frame size
-        const infoBytes = new TextEncoder().encode(infoField);
-        const frameSize = 7 + 7 + (digiPath.length * 7) + 2 + infoBytes.length;
-        const frame = new Uint8Array(frameSize);
-        let idx = 0;
-        
-        // Destination address
-        const destAddr = encodeCallsign(destCall, destSSID, digiPath.length === 0);
-        frame.set(destAddr, idx);
-        idx += 7;
-        
-        // Source address
-        const srcAddr = encodeCallsign(srcCall, srcSSID, digiPath.length === 0);
-        frame.set(srcAddr, idx);
-        idx += 7;
-        
-        // Digipeater path
-        digiPath.forEach((digi, i) => {
-            const parts = digi.split('-');
-            const call = parts[0];
-            const ssid = parseInt(parts[1], 10) || 0;
-            const isLast = i === digiPath.length - 1;
-            const digiAddr = encodeCallsign(call, ssid, isLast);
-            frame.set(digiAddr, idx);
-            idx += 7;
+    function getRelaySettings() {
+        return { ...state.relay, aliases: [...state.relay.aliases], gateFilter: [...state.relay.gateFilter] };
+    }
+
+    /**
+     * Update digipeater and gate rules
+     * @param {Object} updates - Any of the relay fields; aliases and gateFilter
+     *                           accept arrays or comma-separated strings
+     */
+    function setRelaySettings(updates = {}) {
+        const relay = state.relay;
+        const toList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+            .map(v => String(v).trim().toUpperCase())
+            .filter(Boolean);
+        
+        ['digipeat', 'fillInOnly', 'gateToMesh', 'gateFromMesh'].forEach(key => {
+            if (updates[key] !== undefined) relay[key] = !!updates[key];
         });
+        if (updates.maxHops !== undefined) {
+            const hops = parseInt(updates.maxHops, 10);
+            if (!(hops >= 1 && hops <= 7)) throw new Error('Max hops must be 1-7');
+            relay.maxHops = hops;
+        }
+        if (updates.gateInterval !== undefined) {
+            const interval = parseInt(updates.gateInterval, 10);
+            if (!(interval >= 30)) throw new Error('Gate interval must be at least 30 seconds');
+            relay.gateInterval = interval;
+        }
+        if (updates.aliases !== undefined) {
+            const aliases = toList(updates.aliases);
+            const invalid = aliases.find(a => !/^[A-Z0-9]{1,6}(-\d{1,2})?$/.test(a));
+            if (invalid) throw new Error(`Invalid alias: ${invalid}`);
+            relay.aliases = aliases;
+        }
+        if (updates.gateFilter !== undefined) {
+            relay.gateFilter = toList(updates.gateFilter);
+        }
         
-        // Control field (UI frame)
-        frame[idx++] = 0x03;
-        
-        // PID (no layer 3)
-        frame[idx++] = 0xF0;
-        
-        // Information field
-        frame.set(infoBytes, idx);
-        
-        return frame;
+        saveSettings();
+        Events.emit('aprs:relay_changed', getRelaySettings());
+        return getRelaySettings();
     }
 
     // ==================== Smart Beaconing ====================
@@ -1612,13 +3312,6 @@ const APRSModule = (function() {
         });
     }
 
-    /**
-     * Generate message ID
-     */
-    function generateMessageId() {
-        return Math.random().toString(36).substring(2, 7).toUpperCase();
-    }
-
     /**
      * Get full callsign with SSID
      */
@@ -1731,11 +3424,21 @@ const APRSModule = (function() {
         destroy,
         
         // Connection
+        connect,
         connectBluetooth,
+        connectSerial,
+        connectKissTcp,
         disconnect,
         isConnected: () => state.connected,
         isConnecting: () => state.connecting,
+        isReconnecting: () => state.reconnecting,
+        getReconnectAttempts: () => state.reconnectAttempts,
+        cancelReconnect,
         getConnectionType: () => state.connectionType,
+        getConnectionSettings,
+        setConnectionSettings,
+        TRANSPORTS,
+        BAUD_RATES: CONFIG.baudRates,
         
         // Configuration
         setCallsign: (call, ssid = 9) => {
@@ -1760,6 +3463,39 @@ const APRSModule = (function() {
         sendMessage,
         sendObject,
         
+        // Messaging
+        sendBulletin,
+        cancelBulletin,
+        retryMessage,
+        processOutbox,
+        getThreads,
+        getThreadMessages,
+        setActiveThread,
+        getActiveThread: () => state.messaging.activeThread,
+        markThreadRead,
+        deleteThread,
+        getUnreadCount,
+        joinGroup,
+        leaveGroup,
+        getGroups: () => state.messaging.groups.map(g => ({ ...g })),
+        
+        // Digipeater & mesh gate
+        getRelaySettings,
+        setRelaySettings,
+        getPacketLog: (limit = CONFIG.maxPacketLog) => state.packetLog.slice(-limit).reverse(),
+        clearPacketLog: () => { state.packetLog = []; },
+        handleMeshPosition,
+        handleMeshGate,
+        
+        // Weather & telemetry
+        getWeatherHistory,
+        getTelemetry,
+        toWeatherObservation,
+        setWeatherFeed: (enabled) => { state.weatherFeed = !!enabled; saveSettings(); },
+        isWeatherFeedEnabled: () => state.weatherFeed,
+        parseWeatherFields,
+        parseTelemetryDefinition,
+        
         // Station data
         getStations: () => Array.from(state.stations.values()),
         getStation: (callsign) => state.stations.get(callsign),
@@ -0,0 +1,813 @@
+/**
+ * GridDown Areas Module - Polygon Areas / Search Sectors
+ * Draw, edit, measure and render polygons (search sectors, hazard zones,
+ * AO boundaries) stored alongside waypoints and routes
+ */
+const AreasModule = (function() {
+    'use strict';
+
+    // ==================== CONSTANTS ====================
+
+    const EARTH_RADIUS_M = 6378137;
+    const METERS_PER_MILE = 1609.344;
+    const SQ_METERS_PER_ACRE = 4046.8564224;
+    const SQ_METERS_PER_SQ_MILE = 2589988.110336;
+
+    const DEFAULT_FILL_OPACITY = 0.15;
+    const VERTEX_HIT_RADIUS = 14;      // px, grab/select a vertex
+    const CLOSE_HIT_RADIUS = 18;       // px, tap first vertex to close a drawing
+    const CIRCLE_SEGMENTS = 48;        // vertices used to approximate a radius search area
+
+    // ==================== STATE ====================
+
+    let initialized = false;
+    let units = 'imperial';
+
+    // Polygon being drawn: { type, points: [{lat, lon}] } or null
+    let drawing = null;
+
+    // Area whose shape is being edited, its working copy and selected vertex
+    let editingId = null;
+    let editingPoints = null;
+    let selectedVertex = -1;
+
+    // Vertex drag in progress: { index, before: [{lat, lon}] } or null
+    let vertexDrag = null;
+    let suppressNextClick = false;
+
+    // ==================== INITIALIZATION ====================
+
+    /**
+     * Initialize the areas module
+     */
+    async function init() {
+        if (initialized) {
+            console.debug('AreasModule already initialized');
+            return;
+        }
+
+        try {
+            units = await Storage.Settings.get('units', 'imperial');
+        } catch (e) {
+            console.warn('AreasModule: could not load units preference');
+        }
+
+        if (typeof Events !== 'undefined') {
+            Events.on('settings:unitsChanged', (data) => {
+                units = data.units;
+            });
+        }
+
+        document.addEventListener('keydown', handleKeyDown);
+
+        initialized = true;
+        console.log('AreasModule initialized');
+    }
+
+    /**
+     * Escape cancels drawing or leaves shape editing
+     */
+    function handleKeyDown(e) {
+        if (e.key !== 'Escape') return;
+        const tag = e.target.tagName;
+        if (tag === 'INPUT' || tag === 'TEXTAREA') return;
+
+        if (drawing) {
+            cancelDrawing();
+        } else if (editingId) {
+            stopEditing();
+        }
+    }
+
+    // ==================== GEOMETRY ====================
+
+    /**
+     * Geodesic polygon area in square meters.
+     * Spherical-excess approximation (as used by most web maps); accurate to
+     * well under 1% for areas up to a few hundred km across.
+     */
+    function computeArea(points) {
+        if (!points || points.length < 3) return 0;
+
+        let total = 0;
+        for (let i = 0; i < points.length; i++) {
+            const p1 = points[i];
+            const p2 = points[(i + 1) % points.length];
+            total += toRad(p2.lon - p1.lon) *
+                (2 + Math.sin(toRad(p1.lat)) + Math.sin(toRad(p2.lat)));
+        }
+        return Math.abs(total * EARTH_RADIUS_M * EARTH_RADIUS_M / 2);
+    }
+
+    /**
+     * Perimeter of the closed ring in miles
+     */
+    function computePerimeter(points) {
+        if (!points || points.length < 2) return 0;
+
+        let total = 0;
+        for (let i = 0; i < points.length; i++) {
+            const p1 = points[i];
+            const p2 = points[(i + 1) % points.length];
+            total += haversineDistance(p1.lat, p1.lon, p2.lat, p2.lon);
+        }
+        return total;
+    }
+
+    /**
+     * Area-weighted centroid (planar, fine at sector scale).
+     * Falls back to the vertex average for degenerate rings.
+     */
+    function computeCentroid(points) {
+        if (!points || points.length === 0) return null;
+
+        let a = 0, cx = 0, cy = 0;
+        for (let i = 0; i < points.length; i++) {
+            const p1 = points[i];
+            const p2 = points[(i + 1) % points.length];
+            const cross = p1.lon * p2.lat - p2.lon * p1.lat;
+            a += cross;
+            cx += (p1.lon + p2.lon) * cross;
+            cy += (p1.lat + p2.lat) * cross;
+        }
+
+        if (Math.abs(a) < 1e-12) {
+            const sum = points.reduce((s, p) => ({ lat: s.lat + p.lat, lon: s.lon + p.lon }), { lat: 0, lon: 0 });
+            return { lat: sum.lat / points.length, lon: sum.lon / points.length };
+        }
+
+        return { lat: cy / (3 * a), lon: cx / (3 * a) };
+    }
+
+    /**
+     * Point-in-polygon test (ray casting)
+     */
+    function containsPoint(points, lat, lon) {
+        if (!points || points.length < 3) return false;
+
+        let inside = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const pi = points[i], pj = points[j];
+            if ((pi.lat > lat) !== (pj.lat > lat) &&
+                lon < (pj.lon - pi.lon) * (lat - pi.lat) / (pj.lat - pi.lat) + pi.lon) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Bounding box of a ring
+     */
+    function getBounds(points) {
+        if (!points || points.length === 0) return null;
+        return {
+            north: Math.max(...points.map(p => p.lat)),
+            south: Math.min(...points.map(p => p.lat)),
+            east: Math.max(...points.map(p => p.lon)),
+            west: Math.min(...points.map(p => p.lon))
+        };
+    }
+
+    /**
+     * Area, perimeter and vertex count for an area
+     */
+    function getStats(area) {
+        const points = area.points || [];
+        return {
+            areaSqMeters: computeArea(points),
+            perimeterMiles: computePerimeter(points),
+            vertexCount: points.length
+        };
+    }
+
+    /**
+     * Polygon approximating a circle of radiusMiles around center
+     */
+    function circlePolygon(center, radiusMiles, segments = CIRCLE_SEGMENTS) {
+        const points = [];
+        for (let i = 0; i < segments; i++) {
+            points.push(destinationPoint(center.lat, center.lon, i * 360 / segments, radiusMiles));
+        }
+        return points;
+    }
+
+    /**
+     * Rectangle of widthMiles centered on the start→end segment
+     */
+    function corridorPolygon(start, end, widthMiles) {
+        const bearing = calculateBearing(start.lat, start.lon, end.lat, end.lon);
+        const half = widthMiles / 2;
+        return [
+            destinationPoint(start.lat, start.lon, bearing - 90, half),
+            destinationPoint(end.lat, end.lon, bearing - 90, half),
+            destinationPoint(end.lat, end.lon, bearing + 90, half),
+            destinationPoint(start.lat, start.lon, bearing + 90, half)
+        ];
+    }
+
+    /**
+     * Convert a ContingencyModule search area (radius or corridor) to a ring
+     */
+    function pointsFromSearchArea(searchArea) {
+        if (!searchArea) return null;
+
+        if (searchArea.type === 'radius' && searchArea.center && searchArea.radius > 0) {
+            return circlePolygon(searchArea.center, searchArea.radius);
+        }
+        if (searchArea.type === 'corridor' && searchArea.start && searchArea.end && searchArea.width > 0) {
+            return corridorPolygon(searchArea.start, searchArea.end, searchArea.width);
+        }
+        return null;
+    }
+
+    // ==================== FORMATTING ====================
+
+    /**
+     * Format square meters for display in the current units
+     */
+    function formatArea(sqMeters) {
+        if (units === 'metric') {
+            const hectares = sqMeters / 10000;
+            if (hectares < 100) return `${hectares.toFixed(hectares < 10 ? 2 : 1)} ha`;
+            return `${(sqMeters / 1e6).toFixed(2)} km²`;
+        }
+
+        const acres = sqMeters / SQ_METERS_PER_ACRE;
+        if (acres < 640) return `${acres.toFixed(acres < 10 ? 2 : 1)} acres`;
+        return `${(sqMeters / SQ_METERS_PER_SQ_MILE).toFixed(2)} sq mi`;
+    }
+
+    /**
+     * Format a perimeter (miles) for display in the current units
+     */
+    function formatPerimeter(miles) {
+        if (units === 'metric') {
+            const km = miles * METERS_PER_MILE / 1000;
+            return km < 1 ? `${Math.round(km * 1000)} m` : `${km.toFixed(2)} km`;
+        }
+        return miles < 0.1 ? `${Math.round(miles * 5280)} ft` : `${miles.toFixed(2)} mi`;
+    }
+
+    // ==================== AREA CRUD ====================
+
+    /**
+     * Build a normalized area object (does not store it)
+     */
+    function createArea(data = {}) {
+        const type = getAreaTypes()[data.type] ? data.type : 'custom';
+        const typeConfig = getAreaTypes()[type];
+        const color = normalizeColor(data.color) || typeConfig.color;
+        const now = new Date().toISOString();
+
+        return {
+            id: data.id || Helpers.generateId(),
+            name: data.name || typeConfig.label,
+            type: type,
+            color: color,
+            fill: normalizeColor(data.fill) || color,
+            fillOpacity: typeof data.fillOpacity === 'number'
+                ? Math.max(0, Math.min(1, data.fillOpacity))
+                : DEFAULT_FILL_OPACITY,
+            notes: data.notes || '',
+            points: (data.points || []).map(p => ({ lat: p.lat, lon: p.lon })),
+            source: data.source || 'drawn',
+            createdAt: data.createdAt || now,
+            updatedAt: now
+        };
+    }
+
+    /**
+     * Store a new area (undoable)
+     */
+    async function addArea(data) {
+        const area = createArea(data);
+        if (area.points.length < 3) {
+            throw new Error('An area needs at least 3 points');
+        }
+        State.Areas.add(area);
+        await Storage.Areas.save(area);
+        return area;
+    }
+
+    /**
+     * Store several areas at once (imports); not recorded as individual undo steps
+     */
+    async function addAreas(list) {
+        const areas = (list || []).map(createArea).filter(a => a.points.length >= 3);
+        if (areas.length === 0) return [];
+        State.Areas.setAll([...State.get('areas'), ...areas]);
+        await Storage.Areas.saveAll(areas);
+        return areas;
+    }
+
+    /**
+     * Update an area's name, style, notes or points (undoable)
+     */
+    async function updateArea(id, updates) {
+        const existing = State.get('areas').find(a => a.id === id);
+        if (!existing) return null;
+
+        const clean = { ...updates, updatedAt: new Date().toISOString() };
+        if (clean.points) clean.points = clean.points.map(p => ({ lat: p.lat, lon: p.lon }));
+
+        State.Areas.update(id, clean);
+        const updated = State.get('areas').find(a => a.id === id);
+        await Storage.Areas.save(updated);
+        return updated;
+    }
+
+    /**
+     * Delete an area (undoable)
+     */
+    async function deleteArea(id) {
+        if (editingId === id) stopEditing();
+        State.Areas.remove(id);
+        await Storage.Areas.delete(id);
+    }
+
+    /**
+     * Save a ContingencyModule search area as a search sector
+     */
+    async function createFromSearchArea(searchArea, name) {
+        const points = pointsFromSearchArea(searchArea);
+        if (!points) throw new Error('Search area has no usable geometry');
+        return addArea({
+            name: name || 'Search Area',
+            type: 'search',
+            notes: searchArea.description || '',
+            points,
+            source: 'contingency'
+        });
+    }
+
+    // ==================== DRAWING ====================
+
+    /**
+     * Enter drawing mode; each map tap adds a vertex
+     */
+    function startDrawing(type = 'custom') {
+        if (editingId) stopEditing();
+        drawing = { type: getAreaTypes()[type] ? type : 'custom', points: [] };
+        notifyChange();
+    }
+
+    function addDrawingPoint(lat, lon) {
+        if (!drawing) return;
+        drawing.points.push({ lat, lon });
+        notifyChange();
+    }
+
+    function removeLastDrawingPoint() {
+        if (!drawing || drawing.points.length === 0) return;
+        drawing.points.pop();
+        notifyChange();
+    }
+
+    /**
+     * Close the ring and store the drawn area
+     * @returns {Promise<object|null>} The new area, or null if too few points
+     */
+    async function finishDrawing(name) {
+        if (!drawing || drawing.points.length < 3) return null;
+
+        const type = drawing.type;
+        const count = State.get('areas').filter(a => a.type === type).length;
+        const label = getAreaTypes()[type].label;
+        const points = drawing.points;
+        drawing = null;
+
+        const area = await addArea({ name: name || `${label} ${count + 1}`, type, points });
+        State.Areas.select(area);
+        notifyChange();
+        return area;
+    }
+
+    function cancelDrawing() {
+        if (!drawing) return;
+        drawing = null;
+        notifyChange();
+    }
+
+    function isDrawing() {
+        return drawing !== null;
+    }
+
+    // ==================== SHAPE EDITING ====================
+
+    /**
+     * Show vertex handles for an area so it can be reshaped on the map
+     */
+    function startEditing(id) {
+        const area = State.get('areas').find(a => a.id === id);
+        if (!area) return false;
+        drawing = null;
+        editingId = id;
+        editingPoints = area.points.map(p => ({ ...p }));
+        selectedVertex = -1;
+        State.Areas.select(area);
+        notifyChange();
+        return true;
+    }
+
+    function stopEditing() {
+        if (!editingId) return;
+        editingId = null;
+        editingPoints = null;
+        selectedVertex = -1;
+        vertexDrag = null;
+        notifyChange();
+    }
+
+    function isEditing() {
+        return editingId !== null;
+    }
+
+    /**
+     * Remove the selected vertex (an area keeps at least 3)
+     */
+    async function removeSelectedVertex() {
+        if (!editingId || selectedVertex < 0 || editingPoints.length <= 3) return false;
+        editingPoints.splice(selectedVertex, 1);
+        selectedVertex = -1;
+        await commitEditingPoints();
+        return true;
+    }
+
+    async function commitEditingPoints() {
+        await updateArea(editingId, { points: editingPoints });
+        notifyChange();
+    }
+
+    // ==================== MAP INTERACTION ====================
+
+    /**
+     * Handle a map tap. Returns true when the tap was consumed.
+     * @param {{lat, lon}} coords - Tap position
+     * @param {number} x - Screen x
+     * @param {number} y - Screen y
+     * @param {Function} latLonToPixel - Map projection (screen space)
+     */
+    function handleMapClick(coords, x, y, latLonToPixel) {
+        if (suppressNextClick) {
+            suppressNextClick = false;
+            if (editingId) return true;
+        }
+
+        if (drawing) {
+            if (drawing.points.length >= 3) {
+                const first = latLonToPixel(drawing.points[0].lat, drawing.points[0].lon);
+                if (Math.hypot(first.x - x, first.y - y) < CLOSE_HIT_RADIUS) {
+                    finishDrawing();
+                    return true;
+                }
+            }
+            addDrawingPoint(coords.lat, coords.lon);
+            return true;
+        }
+
+        if (editingId) {
+            const vertex = hitTestVertex(x, y, latLonToPixel);
+            if (vertex >= 0) {
+                selectedVertex = vertex === selectedVertex ? -1 : vertex;
+                notifyChange();
+                return true;
+            }
+
+            // Tapping a midpoint handle inserts a vertex there
+            const mid = hitTestMidpoint(x, y, latLonToPixel);
+            if (mid >= 0) {
+                const a = editingPoints[mid];
+                const b = editingPoints[(mid + 1) % editingPoints.length];
+                editingPoints.splice(mid + 1, 0, { lat: (a.lat + b.lat) / 2, lon: (a.lon + b.lon) / 2 });
+                selectedVertex = mid + 1;
+                commitEditingPoints();
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Start dragging a vertex of the area being edited, if one is under (x, y)
+     */
+    function beginVertexDrag(x, y, latLonToPixel) {
+        if (!editingId) return false;
+        const index = hitTestVertex(x, y, latLonToPixel);
+        if (index < 0) return false;
+
+        vertexDrag = { index, before: editingPoints.map(p => ({ ...p })), moved: false };
+        selectedVertex = index;
+        return true;
+    }
+
+    function dragVertexTo(lat, lon) {
+        if (!vertexDrag) return;
+        editingPoints[vertexDrag.index] = { lat, lon };
+        vertexDrag.moved = true;
+    }
+
+    /**
+     * Finish a vertex drag and store the new shape as one undo step
+     * @param {boolean} fromMouse - Mouse drags are followed by a click event to swallow
+     */
+    async function endVertexDrag(fromMouse = false) {
+        if (!vertexDrag) return;
+        const moved = vertexDrag.moved;
+        vertexDrag = null;
+        if (fromMouse) suppressNextClick = true;
+        if (moved) {
+            await commitEditingPoints();
+        } else {
+            notifyChange();
+        }
+    }
+
+    function cancelVertexDrag() {
+        if (!vertexDrag) return;
+        editingPoints = vertexDrag.before;
+        vertexDrag = null;
+    }
+
+    function isDraggingVertex() {
+        return vertexDrag !== null;
+    }
+
+    function hitTestVertex(x, y, latLonToPixel) {
+        if (!editingPoints) return -1;
+        let best = -1, bestDist = VERTEX_HIT_RADIUS;
+        editingPoints.forEach((p, i) => {
+            const px = latLonToPixel(p.lat, p.lon);
+            const d = Math.hypot(px.x - x, px.y - y);
+            if (d < bestDist) {
+                best = i;
+                bestDist = d;
+            }
+        });
+        return best;
+    }
+
+    function hitTestMidpoint(x, y, latLonToPixel) {
+        if (!editingPoints) return -1;
+        for (let i = 0; i < editingPoints.length; i++) {
+            const a = latLonToPixel(editingPoints[i].lat, editingPoints[i].lon);
+            const b = latLonToPixel(editingPoints[(i + 1) % editingPoints.length].lat, editingPoints[(i + 1) % editingPoints.length].lon);
+            if (Math.hypot((a.x + b.x) / 2 - x, (a.y + b.y) / 2 - y) < VERTEX_HIT_RADIUS) return i;
+        }
+        return -1;
+    }
+
+    // ==================== RENDERING ====================
+
+    /**
+     * Draw stored areas, the area being edited and the polygon being drawn
+     */
+    function render(ctx, latLonToPixel) {
+        const areas = State.get('areas') || [];
+        const selectedId = State.get('selectedArea')?.id;
+
+        areas.forEach(area => {
+            const points = area.id === editingId && editingPoints ? editingPoints : area.points;
+            if (!points || points.length < 3) return;
+            renderPolygon(ctx, latLonToPixel, area, points, area.id === selectedId);
+        });
+
+        if (editingId && editingPoints) {
+            renderEditHandles(ctx, latLonToPixel, editingPoints);
+        }
+
+        if (drawing) {
+            renderDrawing(ctx, latLonToPixel);
+        }
+    }
+
+    function renderPolygon(ctx, latLonToPixel, area, points, isSelected) {
+        ctx.beginPath();
+        points.forEach((p, i) => {
+            const px = latLonToPixel(p.lat, p.lon);
+            if (i === 0) ctx.moveTo(px.x, px.y);
+            else ctx.lineTo(px.x, px.y);
+        });
+        ctx.closePath();
+
+        if (area.fillOpacity > 0) {
+            ctx.globalAlpha = area.fillOpacity;
+            ctx.fillStyle = area.fill || area.color;
+            ctx.fill();
+            ctx.globalAlpha = 1;
+        }
+
+        ctx.strokeStyle = area.color;
+        ctx.lineWidth = isSelected ? 3.5 : 2;
+        ctx.lineJoin = 'round';
+        if (area.type === 'hazard') ctx.setLineDash([10, 5]);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Name label at the centroid
+        const centroid = computeCentroid(points);
+        if (centroid && area.name) {
+            const px = latLonToPixel(centroid.lat, centroid.lon);
+            ctx.font = `${isSelected ? 'bold ' : ''}12px system-ui, sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.lineWidth = 3;
+            ctx.strokeStyle = 'rgba(0,0,0,0.7)';
+            ctx.strokeText(area.name, px.x, px.y);
+            ctx.fillStyle = '#fff';
+            ctx.fillText(area.name, px.x, px.y);
+        }
+    }
+
+    function renderEditHandles(ctx, latLonToPixel, points) {
+        // Midpoint handles (tap to insert a vertex)
+        for (let i = 0; i < points.length; i++) {
+            const a = latLonToPixel(points[i].lat, points[i].lon);
+            const b = latLonToPixel(points[(i + 1) % points.length].lat, points[(i + 1) % points.length].lon);
+            ctx.beginPath();
+            ctx.arc((a.x + b.x) / 2, (a.y + b.y) / 2, 4, 0, Math.PI * 2);
+            ctx.fillStyle = 'rgba(255,255,255,0.6)';
+            ctx.fill();
+        }
+
+        // Vertex handles
+        points.forEach((p, i) => {
+            const px = latLonToPixel(p.lat, p.lon);
+            ctx.beginPath();
+            ctx.arc(px.x, px.y, i === selectedVertex ? 9 : 7, 0, Math.PI * 2);
+            ctx.fillStyle = i === selectedVertex ? '#f97316' : '#fff';
+            ctx.fill();
+            ctx.lineWidth = 2;
+            ctx.strokeStyle = '#1e293b';
+            ctx.stroke();
+        });
+    }
+
+    function renderDrawing(ctx, latLonToPixel) {
+        const points = drawing.points;
+        if (points.length === 0) return;
+        const color = getAreaTypes()[drawing.type].color;
+        const pixels = points.map(p => latLonToPixel(p.lat, p.lon));
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2.5;
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        pixels.forEach((px, i) => {
+            if (i === 0) ctx.moveTo(px.x, px.y);
+            else ctx.lineTo(px.x, px.y);
+        });
+        ctx.stroke();
+
+        // Dashed closing edge preview
+        if (pixels.length >= 3) {
+            ctx.setLineDash([6, 6]);
+            ctx.beginPath();
+            ctx.moveTo(pixels[pixels.length - 1].x, pixels[pixels.length - 1].y);
+            ctx.lineTo(pixels[0].x, pixels[0].y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        pixels.forEach((px, i) => {
+            ctx.beginPath();
+            // First vertex is larger: tap it to close the polygon
+            ctx.arc(px.x, px.y, i === 0 && pixels.length >= 3 ? 9 : 6, 0, Math.PI * 2);
+            ctx.fillStyle = i === 0 ? color : '#fff';
+            ctx.fill();
+            ctx.lineWidth = 2;
+            ctx.strokeStyle = '#1e293b';
+            ctx.stroke();
+        });
+    }
+
+    // ==================== HELPERS ====================
+
+    function getAreaTypes() {
+        return Constants.AREA_TYPES;
+    }
+
+    /**
+     * Drawing/editing state for the panel
+     */
+    function getDrawingState() {
+        return {
+            isDrawing: drawing !== null,
+            type: drawing ? drawing.type : null,
+            points: drawing ? drawing.points.slice() : [],
+            editingId,
+            selectedVertex,
+            vertexCount: editingPoints ? editingPoints.length : 0
+        };
+    }
+
+    function notifyChange() {
+        if (typeof Events !== 'undefined') {
+            Events.emit('areas:changed', getDrawingState());
+        }
+        if (typeof MapModule !== 'undefined' && MapModule.render) {
+            MapModule.render();
+        }
+    }
+
+    /**
+     * Return a #rrggbb color (expanding #rgb), or null if not a hex color
+     */
+    function normalizeColor(value) {
+        if (typeof value !== 'string') return null;
+        if (/^#[0-9a-f]{6}$/i.test(value)) return value.toLowerCase();
+        if (/^#[0-9a-f]{3}$/i.test(value)) {
+            return ('#' + value.slice(1).split('').map(c => c + c).join('')).toLowerCase();
+        }
+        return null;
+    }
+
+    function toRad(deg) {
+        return deg * Math.PI / 180;
+    }
+
+    function haversineDistance(lat1, lon1, lat2, lon2) {
+        const R = 3959; // Earth's radius in miles
+        const dLat = toRad(lat2 - lat1);
+        const dLon = toRad(lon2 - lon1);
+        const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+                  Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+                  Math.sin(dLon / 2) * Math.sin(dLon / 2);
+        return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    function calculateBearing(lat1, lon1, lat2, lon2) {
+        const dLon = toRad(lon2 - lon1);
+        const y = Math.sin(dLon) * Math.cos(toRad(lat2));
+        const x = Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+                  Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLon);
+        return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+    }
+
+    function destinationPoint(lat, lon, bearingDeg, distanceMiles) {
+        const d = distanceMiles / 3959;
+        const brng = toRad(bearingDeg);
+        const lat1 = toRad(lat);
+        const lon1 = toRad(lon);
+        const lat2 = Math.asin(Math.sin(lat1) * Math.cos(d) + Math.cos(lat1) * Math.sin(d) * Math.cos(brng));
+        const lon2 = lon1 + Math.atan2(
+            Math.sin(brng) * Math.sin(d) * Math.cos(lat1),
+            Math.cos(d) - Math.sin(lat1) * Math.sin(lat2)
+        );
+        return { lat: lat2 * 180 / Math.PI, lon: ((lon2 * 180 / Math.PI) + 540) % 360 - 180 };
+    }
+
+    // ==================== PUBLIC API ====================
+
+    return {
+        init,
+
+        // Geometry
+        computeArea,
+        computePerimeter,
+        computeCentroid,
+        containsPoint,
+        getBounds,
+        getStats,
+        circlePolygon,
+        corridorPolygon,
+        pointsFromSearchArea,
+        formatArea,
+        formatPerimeter,
+
+        // Areas
+        createArea,
+        addArea,
+        addAreas,
+        updateArea,
+        deleteArea,
+        createFromSearchArea,
+
+        // Drawing
+        startDrawing,
+        addDrawingPoint,
+        removeLastDrawingPoint,
+        finishDrawing,
+        cancelDrawing,
+        isDrawing,
+
+        // Editing
+        startEditing,
+        stopEditing,
+        isEditing,
+        removeSelectedVertex,
+
+        // Map interaction
+        handleMapClick,
+        beginVertexDrag,
+        dragVertexTo,
+        endVertexDrag,
+        cancelVertexDrag,
+        isDraggingVertex,
+        render,
+        getDrawingState
+    };
+})();
+
+window.AreasModule = AreasModule;
@@ -0,0 +1,702 @@
+/**
+ * GridDown Check-in Module - Comm Plan Check-in Engine
+ * Turns the comm plan's check-in schedule into live windows: prompts us when
+ * one opens, sends the check-in over Meshtastic and/or APRS, tracks each team
+ * member from received check-ins and escalates missed ones step by step
+ * (alert, retry, contingency frequency, overdue protocol)
+ */
+const CheckInModule = (function() {
+    'use strict';
+
+    // ==================== CONSTANTS ====================
+
+    const STATE_STORAGE_KEY = 'checkin_state';
+    const MAX_HISTORY = 300;
+    const TICK_INTERVAL = 30000;
+    const SCHEDULE_LOOKAHEAD_MS = 2 * 24 * 60 * 60 * 1000;
+    const SELF_KEY = 'self';
+    const APRS_PREFIX = 'CHECKIN';
+    const APRS_CHECKIN_PATTERN = /^CHECKIN(?:\s+(.*))?$/i;
+
+    const ESCALATION_ACTIONS = {
+        ALERT_LEADER: 'alert_leader',
+        RETRY: 'retry',
+        CONTINGENCY: 'contingency_freq',
+        OVERDUE: 'overdue'
+    };
+
+    const ESCALATION_LABELS = {
+        alert_leader: 'Leader alerted',
+        retry: 'Retry requested',
+        contingency_freq: 'Contingency frequency',
+        overdue: 'Overdue'
+    };
+
+    // ==================== STATE ====================
+
+    let initialized = false;
+
+    // When the engine was switched on; windows that opened earlier are not enforced
+    let startedAt = null;
+
+    // Our own open window: { dueAt, closeAt }
+    let prompt = null;
+
+    // key -> { key, name, last: { at, status, via, lat, lon } | null,
+    //          missed: { dueAt, openAt, closeAt, done: [stepIndex], level, protocol } | null }
+    const records = new Map();
+
+    // { id, at, key, name, type: 'checkin'|'missed'|'escalation'|'recovered'|'acknowledged', status, via, action, dueAt }
+    let history = [];
+
+    let saveTimer = null;
+    let sending = false;        // Our own Meshtastic check-in is echoed back as an event
+    let syncingSOS = false;     // ...and so is the SOS timer reset
+
+    // ==================== INITIALIZATION ====================
+
+    /**
+     * Initialize the check-in engine
+     */
+    async function init() {
+        if (initialized) {
+            console.debug('CheckInModule already initialized');
+            return;
+        }
+
+        try {
+            const saved = await Storage.Settings.get(STATE_STORAGE_KEY, null);
+            if (saved) {
+                startedAt = saved.startedAt || null;
+                prompt = saved.prompt || null;
+                history = saved.history || [];
+                (saved.records || []).forEach(r => records.set(r.key, r));
+            }
+        } catch (e) {
+            console.warn('CheckInModule: could not load state:', e);
+        }
+
+        if (typeof Events !== 'undefined') {
+            Events.on('meshtastic:checkin', ({ message }) => {
+                if (!message || !message.from) return;
+                recordCheckIn(message.from, {
+                    name: message.fromName,
+                    status: message.status,
+                    via: 'mesh',
+                    lat: message.lat,
+                    lon: message.lon,
+                    at: message.timestamp
+                });
+            });
+            // Check-ins sent from the Team panel buttons count as ours
+            Events.on('meshtastic:checkin_sent', ({ message }) => {
+                if (sending || !message) return;
+                recordCheckIn(SELF_KEY, { status: message.status, via: 'mesh', lat: message.lat, lon: message.lon });
+            });
+            Events.on('aprs:message_received', handleAPRSMessage);
+            // The SOS panel's personal check-in goes out as a plan check-in too
+            Events.on('sos:checkIn', ({ status }) => {
+                if (syncingSOS || !getConfig().enabled) return;
+                sendCheckIn(String(status || 'ok').toUpperCase(), { source: 'sos' })
+                    .catch(e => console.warn('CheckInModule: SOS check-in failed:', e));
+            });
+            Events.on('commplan:checkins_changed', () => evaluate());
+        }
+        setInterval(() => evaluate(), TICK_INTERVAL);
+        evaluate();
+
+        initialized = true;
+        console.log('CheckInModule initialized');
+    }
+
+    // ==================== SCHEDULE ====================
+
+    /**
+     * Comm plan check-in settings, or a disabled schedule without a plan
+     */
+    function getConfig() {
+        if (typeof CommPlanModule === 'undefined' || !CommPlanModule.getCheckInConfig) {
+            return { enabled: false, interval: 0, windows: [], escalation: [], transports: {}, windowMinutes: 10 };
+        }
+        return CommPlanModule.getCheckInConfig();
+    }
+
+    /**
+     * Check-in windows overlapping [from, to]. Fixed "HH:MM" times in the plan
+     * take precedence; otherwise windows repeat every `interval` minutes from
+     * local midnight so every device on the team computes the same schedule.
+     * @returns {Array<{dueAt, openAt, closeAt}>} sorted by dueAt
+     */
+    function getWindows(config, from, to) {
+        const half = Math.max(1, Number(config.windowMinutes) || 10) * 30000;
+        const fixed = (config.windows || [])
+            .map(w => String(w.time || '').match(/^(\d{1,2}):(\d{2})$/))
+            .filter(m => m && Number(m[1]) < 24 && Number(m[2]) < 60)
+            .map(m => [Number(m[1]), Number(m[2])]);
+        const interval = Number(config.interval) || 0;
+        if (fixed.length === 0 && interval <= 0) return [];
+
+        const times = new Set();
+        const day = new Date(from - half);
+        day.setHours(0, 0, 0, 0);
+        while (day.getTime() <= to + half) {
+            const y = day.getFullYear(), mo = day.getMonth(), d = day.getDate();
+            if (fixed.length > 0) {
+                fixed.forEach(([h, m]) => times.add(new Date(y, mo, d, h, m).getTime()));
+            } else {
+                for (let m = 0; m < 1440; m += interval) times.add(new Date(y, mo, d, 0, m).getTime());
+            }
+            day.setDate(day.getDate() + 1);
+        }
+
+        return [...times]
+            .sort((a, b) => a - b)
+            .filter(t => t + half > from && t - half <= to)
+            .map(t => ({ dueAt: t, openAt: t - half, closeAt: t + half }));
+    }
+
+    function getCurrentWindow(now = Date.now(), config = getConfig()) {
+        return getWindows(config, now, now).find(w => w.openAt <= now && now < w.closeAt) || null;
+    }
+
+    /**
+     * The window that is open now, or the next one to open
+     */
+    function getNextWindow(now = Date.now(), config = getConfig()) {
+        return getWindows(config, now, now + SCHEDULE_LOOKAHEAD_MS).find(w => w.closeAt > now) || null;
+    }
+
+    function getLastClosedWindow(now = Date.now(), config = getConfig()) {
+        const closed = getWindows(config, now - SCHEDULE_LOOKAHEAD_MS, now).filter(w => w.closeAt <= now);
+        return closed.length ? closed[closed.length - 1] : null;
+    }
+
+    // ==================== PARTICIPANTS ====================
+
+    /**
+     * Everyone the schedule applies to: us, team members (keyed by mesh node
+     * id) and, with APRS enabled, comm plan roster entries with a call sign
+     */
+    function getParticipants() {
+        const participants = [{ key: SELF_KEY, name: 'You', self: true, meshId: null, callsign: null }];
+        const names = new Set();
+
+        if (typeof TeamModule !== 'undefined' && TeamModule.isInTeam()) {
+            const me = TeamModule.getMyMember();
+            TeamModule.getMembers().forEach(m => {
+                if (me && m.id === me.id) return;
+                names.add(String(m.name || '').toLowerCase());
+                participants.push({
+                    key: m.id,
+                    name: m.name || m.id,
+                    self: false,
+                    meshId: String(m.id).startsWith('!') ? m.id : null,
+                    callsign: null
+                });
+            });
+        }
+
+        const config = getConfig();
+        if (config.transports?.aprs && typeof CommPlanModule !== 'undefined') {
+            const myCall = typeof APRSModule !== 'undefined' ? baseCallsign(APRSModule.getCallsign() || '') : '';
+            (CommPlanModule.getPlan().team || []).forEach(m => {
+                const call = baseCallsign(m.callSign || '');
+                if (!call || call === myCall || names.has(String(m.name || '').toLowerCase())) return;
+                participants.push({ key: 'aprs:' + call, name: m.name || call, self: false, meshId: null, callsign: call });
+            });
+        }
+
+        return participants;
+    }
+
+    function baseCallsign(call) {
+        return String(call).toUpperCase().split('-')[0].replace(/[^A-Z0-9]/g, '');
+    }
+
+    function getRecord(key, name) {
+        let r = records.get(key);
+        if (!r) {
+            r = { key, name: name || (key === SELF_KEY ? 'You' : key), last: null, missed: null };
+            records.set(key, r);
+        } else if (name) {
+            r.name = name;
+        }
+        return r;
+    }
+
+    function checkedInSince(record, time) {
+        return !!(record && record.last && record.last.at >= time);
+    }
+
+    /**
+     * Only leaders, co-leaders and solo operators escalate other people's
+     * missed check-ins, so a team doesn't page the same member five times
+     */
+    function isCoordinator() {
+        if (typeof TeamModule === 'undefined' || !TeamModule.isInTeam()) return true;
+        return TeamModule.hasPermission('edit_members');
+    }
+
+    // ==================== CHECK-INS ====================
+
+    /**
+     * Record a check-in from anyone, ours included
+     * @param {string} key - 'self', mesh node id or 'aprs:<CALL>'
+     * @param {Object} info - { name, status, via, lat, lon, at }
+     */
+    function recordCheckIn(key, info = {}) {
+        const at = info.at || Date.now();
+        const r = getRecord(key, info.name);
+        const status = String(info.status || 'OK').toUpperCase();
+        r.last = {
+            at,
+            status,
+            via: info.via || 'local',
+            lat: typeof info.lat === 'number' ? info.lat : null,
+            lon: typeof info.lon === 'number' ? info.lon : null
+        };
+        addHistory({ type: 'checkin', key, name: r.name, status, via: r.last.via });
+
+        if (r.missed && at >= r.missed.openAt) {
+            const missedAt = r.missed.dueAt;
+            r.missed = null;
+            addHistory({ type: 'recovered', key, name: r.name, dueAt: missedAt });
+            if (key !== SELF_KEY && isCoordinator()) {
+                raiseAlert('info', `${r.name} checked in`, `Back in contact after missing the ${formatClock(missedAt)} check-in (${status})`, { key });
+            }
+            if (typeof Events !== 'undefined') Events.emit('checkin:recovered', { key, name: r.name });
+        }
+        if (key === SELF_KEY) {
+            prompt = null;
+        } else if (status !== 'OK' && isCoordinator()) {
+            raiseAlert('warning', `${r.name} checked in: ${status}`, `Via ${r.last.via}`, { key, lat: r.last.lat, lon: r.last.lon });
+        }
+
+        saveState();
+        emitChanged();
+        return r;
+    }
+
+    /**
+     * Send our check-in over the plan's transports and log it
+     * @param {string} [status='OK']
+     * @param {Object} [options] - { auto, source }
+     * @returns {Promise<{via: string[]}>}
+     */
+    async function sendCheckIn(status = 'OK', options = {}) {
+        const config = getConfig();
+        status = String(status).toUpperCase();
+        const via = [];
+        let position = null;
+
+        if (config.transports?.mesh && typeof MeshtasticModule !== 'undefined' && MeshtasticModule.isConnected()) {
+            sending = true;
+            try {
+                const message = await MeshtasticModule.sendCheckin(status);
+                position = message && typeof message.lat === 'number' ? { lat: message.lat, lon: message.lon } : null;
+                via.push('mesh');
+            } catch (e) {
+                console.warn('CheckInModule: mesh check-in failed:', e);
+            } finally {
+                sending = false;
+            }
+        }
+
+        if (config.transports?.aprs && config.aprsTo && typeof APRSModule !== 'undefined') {
+            try {
+                if (await APRSModule.sendMessage(config.aprsTo, `${APRS_PREFIX} ${status}`)) via.push('aprs');
+            } catch (e) {
+                console.warn('CheckInModule: APRS check-in failed:', e);
+            }
+        }
+
+        if (!position && typeof GPSModule !== 'undefined') {
+            const pos = GPSModule.getPosition();
+            if (pos && typeof pos.lat === 'number') position = { lat: pos.lat, lon: pos.lon };
+        }
+
+        recordCheckIn(SELF_KEY, { status, via: via.join('+') || 'local', lat: position?.lat, lon: position?.lon });
+
+        // Keep the SOS panel's personal timer in step while it's running
+        if (options.source !== 'sos' && typeof SOSModule !== 'undefined' && SOSModule.getState().nextCheckIn) {
+            syncingSOS = true;
+            try {
+                SOSModule.checkIn(status.toLowerCase(), options.auto ? 'Automatic comm plan check-in' : 'Comm plan check-in');
+            } finally {
+                syncingSOS = false;
+            }
+        }
+
+        if (via.length === 0 && typeof ModalsModule !== 'undefined') {
+            ModalsModule.showToast('Check-in logged locally — no Meshtastic or APRS link to send it', 'warning');
+        }
+        return { via };
+    }
+
+    /**
+     * "CHECKIN <status>" over APRS from a roster call sign is a check-in;
+     * "CHECKIN REQ ..." addressed to us asks for one
+     */
+    function handleAPRSMessage({ from, message }) {
+        const match = String(message || '').trim().match(APRS_CHECKIN_PATTERN);
+        if (!match || !from) return;
+        const rest = (match[1] || '').trim();
+        const call = baseCallsign(from);
+
+        if (/^REQ\b/i.test(rest)) {
+            if (typeof ModalsModule !== 'undefined') {
+                ModalsModule.showToast(`⏰ ${call} is asking for your check-in`, 'warning');
+            }
+            if (typeof Events !== 'undefined') Events.emit('checkin:prompt', { requestedBy: call });
+            return;
+        }
+        const participant = getParticipants().find(p => p.callsign === call);
+        recordCheckIn('aprs:' + call, { name: participant?.name || call, status: rest || 'OK', via: 'aprs' });
+    }
+
+    // ==================== EVALUATION ====================
+
+    /**
+     * Open our prompt when a window opens, flag participants who let a
+     * window close without checking in and run due escalation steps
+     * @param {number} [now]
+     */
+    function evaluate(now = Date.now()) {
+        const config = getConfig();
+        if (!config.enabled) {
+            if (startedAt || prompt) {
+                startedAt = null;
+                prompt = null;
+                records.forEach(r => { r.missed = null; });
+                saveState();
+                emitChanged();
+            }
+            return;
+        }
+        if (!startedAt) {
+            startedAt = now;
+            saveState();
+        }
+
+        const current = getCurrentWindow(now, config);
+        if (current && current.openAt >= startedAt && !checkedInSince(records.get(SELF_KEY), current.openAt) &&
+            (!prompt || prompt.dueAt !== current.dueAt)) {
+            openPrompt(current, config);
+        }
+
+        const last = getLastClosedWindow(now, config);
+        const enforce = last && last.openAt >= startedAt;
+        getParticipants().forEach(p => {
+            const r = getRecord(p.key, p.name);
+            if (!r.missed && enforce && !checkedInSince(r, last.openAt)) {
+                r.missed = { dueAt: last.dueAt, openAt: last.openAt, closeAt: last.closeAt, done: [], level: null, protocol: null };
+                addHistory({ type: 'missed', key: p.key, name: p.name, dueAt: last.dueAt });
+                if (typeof Events !== 'undefined') Events.emit('checkin:missed', { key: p.key, name: p.name, dueAt: last.dueAt });
+                saveState();
+                emitChanged();
+            }
+            if (r.missed) escalate(p, r, config, now);
+        });
+    }
+
+    function openPrompt(win, config) {
+        prompt = { dueAt: win.dueAt, closeAt: win.closeAt };
+        saveState();
+
+        if (config.autoSend) {
+            sendCheckIn('OK', { auto: true })
+                .catch(e => console.warn('CheckInModule: automatic check-in failed:', e));
+        } else {
+            if (typeof ModalsModule !== 'undefined') {
+                ModalsModule.showToast(`⏰ Check-in due ${formatClock(win.dueAt)} — window closes ${formatClock(win.closeAt)}`, 'info');
+            }
+            raiseAlert('info', `Check-in due ${formatClock(win.dueAt)}`, `Check in before ${formatClock(win.closeAt)}`, { dueAt: win.dueAt });
+        }
+        if (typeof Events !== 'undefined') Events.emit('checkin:prompt', { dueAt: win.dueAt, closeAt: win.closeAt });
+        emitChanged();
+    }
+
+    /**
+     * Run every escalation step whose delay has passed since the missed window closed
+     */
+    function escalate(participant, record, config, now) {
+        const minutes = (now - record.missed.closeAt) / 60000;
+        (config.escalation || []).forEach((step, index) => {
+            if (!record.missed || record.missed.done.includes(index) || minutes < (Number(step.after) || 0)) return;
+            record.missed.done.push(index);
+            record.missed.level = step.action;
+            addHistory({ type: 'escalation', key: participant.key, name: participant.name, action: step.action, dueAt: record.missed.dueAt });
+            if (participant.self || isCoordinator()) runEscalationStep(step.action, participant, record, config);
+            if (typeof Events !== 'undefined') {
+                Events.emit('checkin:escalation', { key: participant.key, name: participant.name, action: step.action, dueAt: record.missed.dueAt });
+            }
+            saveState();
+            emitChanged();
+        });
+    }
+
+    function runEscalationStep(action, participant, record, config) {
+        const self = participant.self;
+        const clock = formatClock(record.missed.dueAt);
+
+        switch (action) {
+            case ESCALATION_ACTIONS.ALERT_LEADER:
+                raiseAlert('warning',
+                    self ? `You missed the ${clock} check-in` : `Missed check-in: ${participant.name}`,
+                    self ? 'Check in now — your team leader is tracking it' : `No check-in for the ${clock} window${formatLastSeen(record)}`,
+                    { key: participant.key, dueAt: record.missed.dueAt });
+                break;
+
+            case ESCALATION_ACTIONS.RETRY:
+                if (self) {
+                    if (config.autoSend) {
+                        sendCheckIn('OK', { auto: true })
+                            .catch(e => console.warn('CheckInModule: automatic check-in failed:', e));
+                    } else if (typeof ModalsModule !== 'undefined') {
+                        ModalsModule.showToast(`⏰ Still no check-in for ${clock} — check in now`, 'warning');
+                    }
+                } else {
+                    requestCheckIn(participant, clock, config);
+                }
+                break;
+
+            case ESCALATION_ACTIONS.CONTINGENCY: {
+                const channel = getContingencyChannel();
+                raiseAlert('warning',
+                    self ? 'Switch to the contingency frequency' : `No contact with ${participant.name}`,
+                    `${self ? 'Go to' : 'Monitor'} ${channel || 'the contingency channel (none set in the comm plan)'}`,
+                    { key: participant.key, dueAt: record.missed.dueAt });
+                break;
+            }
+
+            case ESCALATION_ACTIONS.OVERDUE: {
+                const protocol = buildOverdueProtocol(participant, record);
+                record.missed.protocol = protocol ? protocol[0] : null;
+                const step = protocol?.[0]?.searchInstructions?.[2];
+                raiseAlert('critical',
+                    self ? 'You are overdue' : `${participant.name} is overdue`,
+                    [`Missed the ${clock} check-in.`, config.missedProtocol || step].filter(Boolean).join(' '),
+                    { key: participant.key, dueAt: record.missed.dueAt, protocol: record.missed.protocol });
+                if (typeof Events !== 'undefined') {
+                    Events.emit('checkin:overdue', { key: participant.key, name: participant.name, protocol });
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * Ask a member to check in over whatever reaches them
+     */
+    function requestCheckIn(participant, clock, config) {
+        if (participant.meshId && typeof MeshtasticModule !== 'undefined' && MeshtasticModule.isConnected()) {
+            MeshtasticModule.sendTextMessage(`⏰ ${participant.name}: missed ${clock} check-in — check in now`, participant.meshId)
+                .catch(e => console.warn('CheckInModule: check-in request failed:', e));
+        }
+        if (participant.callsign && config.transports?.aprs && typeof APRSModule !== 'undefined') {
+            APRSModule.sendMessage(participant.callsign, `${APRS_PREFIX} REQ ${clock}`);
+        }
+    }
+
+    function getContingencyChannel() {
+        if (typeof CommPlanModule === 'undefined') return null;
+        const channels = CommPlanModule.getPlan().channels || {};
+        const channel = channels.secondary || channels.emergency;
+        return channel ? CommPlanModule.formatChannelSummary(channel) : null;
+    }
+
+    /**
+     * Overdue protocol from the participant's last check-in position, via
+     * ContingencyModule so it reads like a trip plan's overdue steps
+     */
+    function buildOverdueProtocol(participant, record) {
+        if (typeof ContingencyModule === 'undefined' || !ContingencyModule.generateOverdueProtocol) return null;
+        const position = getLastKnownPosition(participant, record);
+        const radius = ContingencyModule.getConfig().maxSearchRadius;
+        const checkpoints = [
+            {
+                name: 'Last check-in',
+                coords: position,
+                overdueTime: new Date(record.last?.at || record.missed.dueAt)
+            },
+            {
+                name: `${participant.name} — ${formatClock(record.missed.dueAt)} check-in`,
+                coords: position,
+                overdueTime: new Date(record.missed.closeAt),
+                searchArea: position ? {
+                    type: 'radius',
+                    center: position,
+                    radius,
+                    description: `${radius} mile radius from ${participant.self ? 'your' : participant.name + '\'s'} last known position`
+                } : null
+            }
+        ];
+        return ContingencyModule.generateOverdueProtocol(checkpoints);
+    }
+
+    function getLastKnownPosition(participant, record) {
+        if (record.last && typeof record.last.lat === 'number') {
+            return { lat: record.last.lat, lon: record.last.lon, name: 'last check-in' };
+        }
+        if (!participant.self && typeof TeamModule !== 'undefined' && TeamModule.isInTeam()) {
+            const member = TeamModule.getMember(participant.key);
+            if (member && typeof member.lat === 'number') return { lat: member.lat, lon: member.lon, name: 'last reported position' };
+        }
+        return null;
+    }
+
+    /**
+     * Stop escalating a missed check-in (contact made some other way)
+     */
+    function acknowledgeMissed(key) {
+        const r = records.get(key);
+        if (!r || !r.missed) return false;
+        addHistory({ type: 'acknowledged', key, name: r.name, dueAt: r.missed.dueAt });
+        r.missed = null;
+        saveState();
+        emitChanged();
+        return true;
+    }
+
+    // ==================== STATUS ====================
+
+    /**
+     * Per-participant check-in status
+     * @returns {Array<{key, name, self, status: 'ok'|'due'|'missed'|'overdue'|'pending', last, missed, level}>}
+     */
+    function getStatuses(now = Date.now()) {
+        const config = getConfig();
+        const current = config.enabled ? getCurrentWindow(now, config) : null;
+        return getParticipants().map(p => {
+            const r = records.get(p.key) || { last: null, missed: null };
+            let status;
+            if (r.missed) {
+                status = r.missed.level === ESCALATION_ACTIONS.OVERDUE ? 'overdue' : 'missed';
+            } else if (current && !checkedInSince(r, current.openAt)) {
+                status = 'due';
+            } else {
+                status = r.last ? 'ok' : 'pending';
+            }
+            return {
+                key: p.key,
+                name: p.name,
+                self: p.self,
+                status,
+                last: r.last,
+                missed: r.missed,
+                level: r.missed?.level ? ESCALATION_LABELS[r.missed.level] : null
+            };
+        });
+    }
+
+    /**
+     * Engine summary for the panel
+     */
+    function getSummary(now = Date.now()) {
+        const config = getConfig();
+        return {
+            enabled: !!config.enabled,
+            startedAt,
+            prompt: prompt && prompt.closeAt > now ? { ...prompt } : null,
+            next: config.enabled ? getNextWindow(now, config) : null,
+            coordinator: isCoordinator()
+        };
+    }
+
+    // ==================== HISTORY ====================
+
+    function addHistory(entry) {
+        history.push({ id: Helpers.generateId(), at: Date.now(), ...entry });
+        if (history.length > MAX_HISTORY) history.splice(0, history.length - MAX_HISTORY);
+    }
+
+    /**
+     * Engine history, newest first
+     * @param {Object} [filter] - { key, limit }
+     */
+    function getHistory(filter = {}) {
+        let entries = history.slice().reverse();
+        if (filter.key) entries = entries.filter(e => e.key === filter.key);
+        return filter.limit ? entries.slice(0, filter.limit) : entries;
+    }
+
+    function clearHistory() {
+        history = [];
+        saveState();
+        emitChanged();
+    }
+
+    // ==================== PERSISTENCE ====================
+
+    function saveState() {
+        if (saveTimer) return;
+        saveTimer = setTimeout(async () => {
+            saveTimer = null;
+            try {
+                await Storage.Settings.set(STATE_STORAGE_KEY, {
+                    startedAt,
+                    prompt,
+                    records: [...records.values()],
+                    history
+                });
+            } catch (e) {
+                console.warn('CheckInModule: could not save state:', e);
+            }
+        }, 2000);
+    }
+
+    // ==================== HELPERS ====================
+
+    function raiseAlert(severity, title, message, data) {
+        if (typeof AlertModule === 'undefined') return;
+        AlertModule.trigger({ source: AlertModule.SOURCES.CHECKIN, severity, title, message, data });
+    }
+
+    function emitChanged() {
+        if (typeof Events !== 'undefined') Events.emit('checkin:changed');
+    }
+
+    function formatClock(time) {
+        const d = new Date(time);
+        return `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+    }
+
+    function formatLastSeen(record) {
+        return record.last ? ` — last check-in ${formatClock(record.last.at)} (${record.last.status})` : ' — never checked in';
+    }
+
+    // ==================== PUBLIC API ====================
+
+    return {
+        init,
+
+        // Schedule
+        getConfig,
+        getWindows,
+        getCurrentWindow,
+        getNextWindow,
+
+        // Check-ins
+        sendCheckIn,
+        recordCheckIn,
+        acknowledgeMissed,
+
+        // Evaluation
+        evaluate,
+        getParticipants,
+        getStatuses,
+        getSummary,
+
+        // History
+        getHistory,
+        clearHistory,
+
+        formatClock,
+
+        SELF_KEY,
+        ESCALATION_ACTIONS,
+        ESCALATION_LABELS
+    };
+})();
+
+window.CheckInModule = CheckInModule;
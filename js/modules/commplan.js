@@ -183,6 +183,21 @@ const CommPlanModule = (function() {
         notes: ''
     };
 
+    // Check-in engine settings (CheckInModule) layered over the printed schedule.
+    // Plans saved before the engine existed lack them, so read through getCheckInConfig().
+    const CHECKIN_ENGINE_DEFAULTS = {
+        windowMinutes: 10,                      // Window is centered on each scheduled time
+        autoSend: false,                        // Send the check-in as soon as the window opens
+        transports: { mesh: true, aprs: false },
+        aprsTo: '',                             // APRS addressee (group or leader callsign)
+        escalation: [                           // Minutes after the window closes
+            { action: 'alert_leader', after: 0 },
+            { action: 'retry', after: 5 },
+            { action: 'contingency_freq', after: 15 },
+            { action: 'overdue', after: 30 }
+        ]
+    };
+
     let savedPlans = [];
     let initialized = false;
 
@@ -287,6 +302,7 @@ const CommPlanModule = (function() {
         };
         
         saveCurrentPlan();
+        notifyCheckInsChanged();
         return commPlan;
     }
 
@@ -295,6 +311,7 @@ const CommPlanModule = (function() {
         if (plan) {
             commPlan = { ...plan };
             savePlans(); // Save active plan reference
+            notifyCheckInsChanged();
             return true;
         }
         return false;
@@ -419,6 +436,7 @@ const CommPlanModule = (function() {
     function updateCheckInSettings(settings) {
         commPlan.checkIns = { ...commPlan.checkIns, ...settings };
         saveCurrentPlan();
+        notifyCheckInsChanged();
     }
 
     function addCheckInWindow(time, notes = '') {
@@ -428,6 +446,7 @@ const CommPlanModule = (function() {
             notes: notes
         });
         saveCurrentPlan();
+        notifyCheckInsChanged();
     }
 
     function removeCheckInWindow(windowId) {
@@ -435,6 +454,27 @@ const CommPlanModule = (function() {
         if (index >= 0) {
             commPlan.checkIns.windows.splice(index, 1);
             saveCurrentPlan();
+            notifyCheckInsChanged();
+        }
+    }
+
+    /**
+     * Check-in schedule with engine defaults filled in
+     */
+    function getCheckInConfig() {
+        const checkIns = commPlan.checkIns || {};
+        return {
+            ...CHECKIN_ENGINE_DEFAULTS,
+            ...checkIns,
+            windows: [...(checkIns.windows || [])],
+            transports: { ...CHECKIN_ENGINE_DEFAULTS.transports, ...checkIns.transports },
+            escalation: (checkIns.escalation || CHECKIN_ENGINE_DEFAULTS.escalation).map(step => ({ ...step }))
+        };
+    }
+
+    function notifyCheckInsChanged() {
+        if (typeof Events !== 'undefined') {
+            Events.emit('commplan:checkins_changed', getCheckInConfig());
         }
     }
 
@@ -555,6 +595,11 @@ const CommPlanModule = (function() {
                     summary += `  • ${w.time}${w.notes ? ' - ' + w.notes : ''}\n`;
                 });
             }
+            const engine = getCheckInConfig();
+            summary += `Window: ±${engine.windowMinutes / 2} min\n`;
+            if (engine.escalation.length > 0) {
+                summary += `Escalation: ${engine.escalation.map(s => `+${s.after}m ${s.action.replace(/_/g, ' ')}`).join(', ')}\n`;
+            }
             if (plan.checkIns.missedProtocol) {
                 summary += `\nMissed Check-in Protocol:\n${plan.checkIns.missedProtocol}\n`;
             }
@@ -678,6 +723,7 @@ const CommPlanModule = (function() {
         updateCheckInSettings,
         addCheckInWindow,
         removeCheckInWindow,
+        getCheckInConfig,
         
         // Protocols
         updateProtocol,
@@ -691,6 +737,7 @@ const CommPlanModule = (function() {
         
         // Export
         generateSummary,
+        formatChannelSummary,
         exportPlanJSON,
         importPlanJSON,
         downloadSummary,
@@ -1034,6 +1034,7 @@ const ContingencyModule = (function() {
         
         // Checkpoints
         generateCheckpoints,
+        generateOverdueProtocol,
         
         // Itinerary
         generateItinerary,
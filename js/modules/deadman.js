@@ -0,0 +1,1103 @@
+/**
+ * GridDown Dead-Man Switch Module - Solo Operator Auto-SOS
+ * While armed, raises SOS on its own when the user stops answering periodic
+ * "Are you OK?" prompts, stops moving for too long, or takes a hard impact
+ * followed by stillness (DeviceMotion). A loud countdown comes first and can
+ * be cancelled with a PIN; intervals stretch on low battery and every step is
+ * logged for after-action review
+ */
+const DeadManModule = (function() {
+    'use strict';
+
+    // ==================== CONSTANTS ====================
+
+    const SETTINGS_STORAGE_KEY = 'deadman_settings';
+    const STATE_STORAGE_KEY = 'deadman_state';
+    const LOG_STORAGE_KEY = 'deadman_log';
+    const MAX_LOG = 500;
+    const EARTH_RADIUS_M = 6371000;
+    const GRAVITY = 9.81;
+    const TICK_INTERVAL = 15000;
+    const LOW_BATTERY_TICK_INTERVAL = 60000;
+    const IMPACT_SETTLE_MS = 2000;          // Motion right after the hit is the fall itself
+    const MAX_GPS_ACCURACY_FACTOR = 2;      // Ignore fixes less accurate than 2x the still radius
+
+    const SENSITIVITY = {
+        low: { label: 'Low', impactG: 4.0, stillMinutes: 30, stillRadiusM: 30, motionThreshold: 1.5, impactStillSeconds: 45 },
+        medium: { label: 'Medium', impactG: 3.0, stillMinutes: 15, stillRadiusM: 20, motionThreshold: 1.0, impactStillSeconds: 30 },
+        high: { label: 'High', impactG: 2.5, stillMinutes: 8, stillRadiusM: 15, motionThreshold: 0.6, impactStillSeconds: 20 }
+    };
+
+    const TRIGGERS = {
+        PROMPT: 'prompt',
+        STILLNESS: 'stillness',
+        IMPACT: 'impact',
+        DRILL: 'drill'
+    };
+
+    const TRIGGER_LABELS = {
+        prompt: 'No answer to check prompt',
+        stillness: 'No movement',
+        impact: 'Impact followed by stillness',
+        drill: 'Drill'
+    };
+
+    // Below these battery levels (not charging) prompts stretch and checks slow down
+    const BATTERY_TIERS = [
+        { below: 15, factor: 2, label: 'critical' },
+        { below: 30, factor: 1.5, label: 'low' }
+    ];
+
+    const DEFAULT_SETTINGS = {
+        promptInterval: 30,         // Minutes between "Are you OK?" prompts, 0 = off
+        responseSeconds: 120,       // Time to answer a prompt before the countdown
+        countdownSeconds: 60,
+        sensitivity: 'medium',
+        watchStillness: true,
+        watchImpact: true,
+        batteryAware: true,
+        pinHash: null,
+        pinSalt: null
+    };
+
+    // ==================== STATE ====================
+
+    let initialized = false;
+    let settings = { ...DEFAULT_SETTINGS };
+
+    // 'off' | 'armed' | 'prompt' | 'countdown' | 'triggered'
+    let phase = 'off';
+    let armedAt = null;
+    let lastPromptAt = null;
+    let lastMovementAt = null;
+    let anchor = null;              // { lat, lon } where we last counted as moving
+    let position = null;            // Latest GPS fix { lat, lon, accuracy }
+    let pendingPrompt = null;       // { shownAt, deadline }
+    let countdown = null;           // { trigger, detail, startedAt, endsAt, drill }
+    let impact = null;              // { at, g }
+    let battery = null;             // { level, charging }
+    let motionAvailable = false;
+
+    // { id, at, type, message, lat, lon }
+    let log = [];
+
+    let tickTimer = null;
+    let tickMs = TICK_INTERVAL;
+    let countdownTimer = null;
+    let audioCtx = null;
+    let logSaveTimer = null;
+
+    // ==================== INITIALIZATION ====================
+
+    /**
+     * Initialize the dead-man switch; resumes monitoring if it was armed
+     */
+    async function init() {
+        if (initialized) {
+            console.debug('DeadManModule already initialized');
+            return;
+        }
+
+        try {
+            settings = { ...DEFAULT_SETTINGS, ...(await Storage.Settings.get(SETTINGS_STORAGE_KEY, null) || {}) };
+            log = await Storage.Settings.get(LOG_STORAGE_KEY, []) || [];
+            const saved = await Storage.Settings.get(STATE_STORAGE_KEY, null);
+            if (saved && saved.armed) {
+                armedAt = saved.armedAt;
+                startMonitoring();
+                restoreState(saved);
+                addLog('resumed', 'Monitoring resumed after restart');
+            }
+        } catch (e) {
+            console.warn('DeadManModule: could not load settings:', e);
+        }
+
+        if (typeof GPSModule !== 'undefined' && GPSModule.subscribe) {
+            GPSModule.subscribe(() => {
+                const pos = GPSModule.getPosition();
+                if (pos && !pos.isManual && typeof pos.lat === 'number') {
+                    processPosition({ lat: pos.lat, lon: pos.lon, accuracy: pos.accuracy });
+                }
+            });
+        }
+        if (typeof Events !== 'undefined') {
+            Events.on('battery:update', updateBattery);
+            // Clearing the SOS means the user is safe; start over from disarmed
+            Events.on('sos:deactivated', () => {
+                if (phase === 'triggered') disarmNow('SOS cancelled');
+            });
+        }
+
+        initialized = true;
+        console.log('DeadManModule initialized', phase !== 'off' ? '- armed' : '');
+    }
+
+    // ==================== ARMING ====================
+
+    /**
+     * Arm the switch. Call from a user gesture: iOS only grants motion access
+     * and unlocks audio inside one.
+     */
+    async function arm() {
+        if (phase !== 'off') return getStatus();
+
+        if (settings.watchImpact && typeof DeviceMotionEvent !== 'undefined' &&
+            typeof DeviceMotionEvent.requestPermission === 'function') {
+            try {
+                const permission = await DeviceMotionEvent.requestPermission();
+                if (permission !== 'granted') addLog('settings', 'Motion access denied — impact detection off');
+            } catch (e) {
+                console.warn('DeadManModule: motion permission failed:', e);
+            }
+        }
+        getAudioContext();
+
+        armedAt = Date.now();
+        startMonitoring();
+        addLog('armed', describeArming());
+        saveState();
+        if (typeof ModalsModule !== 'undefined') {
+            ModalsModule.showToast('⏱️ Dead-man switch armed', 'success');
+        }
+        return getStatus();
+    }
+
+    /**
+     * Disarm. Needs the PIN when one is set.
+     * @returns {Promise<boolean>}
+     */
+    async function disarm(pin = '') {
+        if (phase === 'off') return true;
+        if (settings.pinHash && !(await checkPin(pin, 'disarm'))) return false;
+        disarmNow('By user');
+        return true;
+    }
+
+    function disarmNow(reason) {
+        stopCountdown();
+        stopMonitoring();
+        phase = 'off';
+        armedAt = null;
+        pendingPrompt = null;
+        impact = null;
+        addLog('disarmed', `Disarmed: ${reason}`);
+        saveState();
+        emitChanged();
+    }
+
+    function startMonitoring() {
+        const now = Date.now();
+        phase = 'armed';
+        lastPromptAt = now;
+        lastMovementAt = now;
+        anchor = position ? { lat: position.lat, lon: position.lon } : null;
+        impact = null;
+        if (typeof window !== 'undefined' && window.addEventListener) {
+            window.addEventListener('devicemotion', handleDeviceMotion);
+        }
+        scheduleTick();
+        emitChanged();
+    }
+
+    /**
+     * Pick up where a reload left off: a closed app does not reset the
+     * stillness clock, skip a prompt or cancel a countdown
+     */
+    function restoreState(saved, now = Date.now()) {
+        if (saved.lastPromptAt) lastPromptAt = saved.lastPromptAt;
+        if (saved.lastMovementAt) lastMovementAt = saved.lastMovementAt;
+        impact = saved.impact || null;
+
+        if (saved.countdown) {
+            hidePromptOverlay();
+            phase = 'countdown';
+            countdown = { ...saved.countdown };
+            addLog('countdown', `Countdown resumed after restart: ${TRIGGER_LABELS[countdown.trigger]} — ${countdown.detail}`);
+            if (countdown.endsAt <= now) {
+                fire();
+            } else {
+                runCountdownTimer();
+            }
+            emitChanged();
+            return;
+        }
+
+        if (saved.pendingPrompt) {
+            phase = 'prompt';
+            pendingPrompt = { ...saved.pendingPrompt };
+            showPromptOverlay();
+        }
+        evaluate(now);
+        emitChanged();
+    }
+
+    function stopMonitoring() {
+        if (typeof window !== 'undefined' && window.removeEventListener) {
+            window.removeEventListener('devicemotion', handleDeviceMotion);
+        }
+        if (tickTimer) {
+            clearInterval(tickTimer);
+            tickTimer = null;
+        }
+        hidePromptOverlay();
+    }
+
+    function scheduleTick() {
+        if (tickTimer) clearInterval(tickTimer);
+        tickMs = getBatteryTier() ? LOW_BATTERY_TICK_INTERVAL : TICK_INTERVAL;
+        tickTimer = setInterval(() => evaluate(), tickMs);
+    }
+
+    function describeArming() {
+        const s = getSensitivity();
+        const parts = [];
+        if (settings.promptInterval > 0) parts.push(`prompt every ${settings.promptInterval} min`);
+        if (settings.watchStillness) parts.push(`still ${s.stillMinutes} min`);
+        if (settings.watchImpact) parts.push(`impact ≥${s.impactG} g`);
+        return `Armed (${s.label}): ${parts.join(', ') || 'no triggers enabled'}`;
+    }
+
+    // ==================== SENSING ====================
+
+    function getSensitivity() {
+        return SENSITIVITY[settings.sensitivity] || SENSITIVITY.medium;
+    }
+
+    function handleDeviceMotion(event) {
+        const a = event.accelerationIncludingGravity;
+        if (!a || a.x === null) return;
+        motionAvailable = true;
+        processMotion({ x: a.x, y: a.y, z: a.z });
+    }
+
+    /**
+     * Feed one accelerometer sample (m/s², gravity included)
+     * @param {{x, y, z}} sample
+     * @param {number} [now]
+     */
+    function processMotion(sample, now = Date.now()) {
+        if (phase === 'off' || phase === 'triggered') return;
+        const s = getSensitivity();
+        const magnitude = Math.sqrt(sample.x * sample.x + sample.y * sample.y + sample.z * sample.z);
+
+        if (settings.watchImpact && magnitude / GRAVITY >= s.impactG) {
+            if (!impact || now - impact.at > IMPACT_SETTLE_MS) {
+                impact = { at: now, g: Math.round(magnitude / GRAVITY * 10) / 10 };
+                addLog('impact', `Impact ${impact.g} g — watching for stillness`);
+                saveState();
+                emitChanged();
+            } else {
+                impact.g = Math.max(impact.g, Math.round(magnitude / GRAVITY * 10) / 10);
+            }
+            return;
+        }
+
+        if (Math.abs(magnitude - GRAVITY) > s.motionThreshold) {
+            lastMovementAt = now;
+            if (impact && now - impact.at > IMPACT_SETTLE_MS) {
+                addLog('impact_cleared', 'Moving again after impact');
+                impact = null;
+                emitChanged();
+            }
+        }
+    }
+
+    /**
+     * Feed a GPS fix; moving beyond the still radius counts as movement
+     * @param {{lat, lon, accuracy}} fix
+     * @param {number} [now]
+     */
+    function processPosition(fix, now = Date.now()) {
+        position = fix;
+        if (phase === 'off' || phase === 'triggered') return;
+        const s = getSensitivity();
+        if (fix.accuracy && fix.accuracy > s.stillRadiusM * MAX_GPS_ACCURACY_FACTOR) return;
+        if (!anchor) {
+            anchor = { lat: fix.lat, lon: fix.lon };
+            return;
+        }
+        if (distanceMeters(anchor.lat, anchor.lon, fix.lat, fix.lon) > s.stillRadiusM) {
+            anchor = { lat: fix.lat, lon: fix.lon };
+            lastMovementAt = now;
+            if (impact && now - impact.at > IMPACT_SETTLE_MS) {
+                addLog('impact_cleared', 'Moved away after impact');
+                impact = null;
+                emitChanged();
+            }
+        }
+    }
+
+    function distanceMeters(lat1, lon1, lat2, lon2) {
+        const toRad = d => d * Math.PI / 180;
+        const dLat = toRad(lat2 - lat1);
+        const dLon = toRad(lon2 - lon1);
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+        return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+    }
+
+    // ==================== EVALUATION ====================
+
+    /**
+     * Check every trigger; runs on a timer while armed
+     * @param {number} [now]
+     */
+    function evaluate(now = Date.now()) {
+        if (phase === 'off' || phase === 'countdown' || phase === 'triggered') return;
+        const s = getSensitivity();
+
+        if (impact && now - impact.at >= s.impactStillSeconds * 1000 && lastMovementAt <= impact.at + IMPACT_SETTLE_MS) {
+            startCountdown(TRIGGERS.IMPACT, `${impact.g} g impact, still for ${Math.round((now - impact.at) / 1000)} s`, now);
+            return;
+        }
+
+        if (settings.watchStillness && now - lastMovementAt >= s.stillMinutes * 60000) {
+            startCountdown(TRIGGERS.STILLNESS, `No movement for ${Math.round((now - lastMovementAt) / 60000)} min`, now);
+            return;
+        }
+
+        if (phase === 'prompt') {
+            if (now >= pendingPrompt.deadline) {
+                startCountdown(TRIGGERS.PROMPT, `Prompt at ${formatClock(pendingPrompt.shownAt)} not answered`, now);
+            }
+            return;
+        }
+
+        if (settings.promptInterval > 0 && now - lastPromptAt >= getPromptIntervalMs()) {
+            showPrompt(now);
+            return;
+        }
+        // Keeps the stillness clock current for a reload
+        saveState();
+    }
+
+    /**
+     * Prompt interval after battery stretching
+     */
+    function getPromptIntervalMs() {
+        const tier = getBatteryTier();
+        return settings.promptInterval * 60000 * (tier ? tier.factor : 1);
+    }
+
+    function showPrompt(now) {
+        phase = 'prompt';
+        pendingPrompt = { shownAt: now, deadline: now + settings.responseSeconds * 1000 };
+        addLog('prompt', `Check prompt — answer by ${formatClock(pendingPrompt.deadline)}`);
+        saveState();
+        beep(660, 0.3, 0.2);
+        vibrate([300, 150, 300]);
+        showPromptOverlay();
+        emitChanged();
+    }
+
+    /**
+     * "I'm OK" — answers the prompt and counts as movement
+     */
+    function acknowledge() {
+        if (phase === 'off' || phase === 'countdown' || phase === 'triggered') return false;
+        const now = Date.now();
+        if (phase === 'prompt') {
+            addLog('prompt_ok', `Prompt answered after ${Math.round((now - pendingPrompt.shownAt) / 1000)} s`);
+        } else {
+            addLog('prompt_ok', 'Checked in');
+        }
+        phase = 'armed';
+        pendingPrompt = null;
+        lastPromptAt = now;
+        lastMovementAt = now;
+        hidePromptOverlay();
+        saveState();
+        emitChanged();
+        return true;
+    }
+
+    // ==================== COUNTDOWN ====================
+
+    function startCountdown(trigger, detail, now = Date.now(), drill = false) {
+        hidePromptOverlay();
+        phase = 'countdown';
+        pendingPrompt = null;
+        countdown = { trigger, detail, startedAt: now, endsAt: now + settings.countdownSeconds * 1000, drill };
+        addLog('countdown', `${drill ? 'Drill countdown' : 'Countdown'} (${settings.countdownSeconds} s): ${TRIGGER_LABELS[trigger]} — ${detail}`);
+        saveState();
+        runCountdownTimer();
+        emitChanged();
+    }
+
+    function runCountdownTimer() {
+        if (countdownTimer) clearInterval(countdownTimer);
+        countdownTimer = setInterval(() => countdownTick(), 1000);
+        countdownTick();
+    }
+
+    /**
+     * Run a countdown that ends without raising SOS, to practise the cancel.
+     * Only from off or armed, so a pending prompt or a raised SOS is never replaced.
+     * @returns {boolean} Whether the drill started
+     */
+    function runDrill() {
+        if (phase !== 'off' && phase !== 'armed') return false;
+        if (phase === 'off') {
+            getAudioContext();
+        }
+        startCountdown(TRIGGERS.DRILL, 'Practice run', Date.now(), true);
+        return true;
+    }
+
+    function countdownTick(now = Date.now()) {
+        if (!countdown) return;
+        const remaining = Math.max(0, Math.ceil((countdown.endsAt - now) / 1000));
+        if (remaining <= 0) {
+            fire();
+            return;
+        }
+        // Louder and higher as time runs out
+        const urgency = 1 - remaining / settings.countdownSeconds;
+        beep(880 + urgency * 660, 0.25, 0.3 + urgency * 0.5);
+        if (remaining % 5 === 0) vibrate([500]);
+        renderCountdownOverlay(remaining);
+    }
+
+    /**
+     * Stop the countdown. Needs the PIN when one is set.
+     * @returns {Promise<boolean>}
+     */
+    async function cancelCountdown(pin = '') {
+        if (phase !== 'countdown' || !countdown) return false;
+        if (settings.pinHash && !(await checkPin(pin, 'cancel'))) return false;
+
+        const drill = countdown.drill;
+        const left = Math.max(0, Math.ceil((countdown.endsAt - Date.now()) / 1000));
+        addLog('cancelled', `${drill ? 'Drill' : 'Countdown'} cancelled with ${left} s left`);
+        stopCountdown();
+        const now = Date.now();
+        phase = armedAt ? 'armed' : 'off';
+        lastPromptAt = now;
+        lastMovementAt = now;
+        impact = null;
+        saveState();
+        emitChanged();
+        return true;
+    }
+
+    function stopCountdown() {
+        if (countdownTimer) {
+            clearInterval(countdownTimer);
+            countdownTimer = null;
+        }
+        countdown = null;
+        removeOverlay('deadman-countdown');
+    }
+
+    function fire() {
+        const { trigger, detail, drill } = countdown;
+        stopCountdown();
+
+        if (drill) {
+            addLog('drill_complete', 'Drill countdown reached zero — SOS would have been sent');
+            phase = armedAt ? 'armed' : 'off';
+            lastPromptAt = lastMovementAt = Date.now();
+            saveState();
+            emitChanged();
+            return;
+        }
+
+        phase = 'triggered';
+        stopMonitoring();
+        const emergencyType = trigger === TRIGGERS.IMPACT ? 'medical' : 'overdue';
+        addLog('sos_activated', `SOS activated (${emergencyType}): ${TRIGGER_LABELS[trigger]} — ${detail}`);
+        saveState();
+
+        if (typeof SOSModule !== 'undefined') {
+            SOSModule.activateSOS(emergencyType, {
+                description: `Dead-man switch: ${TRIGGER_LABELS[trigger]} — ${detail}`,
+                immobile: trigger !== TRIGGERS.PROMPT
+            });
+        }
+        if (typeof Events !== 'undefined') Events.emit('deadman:fired', { trigger, detail });
+        emitChanged();
+    }
+
+    // ==================== PIN ====================
+
+    async function hashPin(pin, salt) {
+        const data = new TextEncoder().encode(`${salt}:${pin}`);
+        const digest = await crypto.subtle.digest('SHA-256', data);
+        return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Set or change the cancel PIN (4-8 digits). Changing needs the current one.
+     */
+    async function setPin(pin, currentPin = '') {
+        if (!/^\d{4,8}$/.test(String(pin))) throw new Error('PIN must be 4-8 digits');
+        if (settings.pinHash && !(await verifyPin(currentPin))) throw new Error('Current PIN is incorrect');
+        const salt = Array.from(crypto.getRandomValues(new Uint8Array(16))).map(b => b.toString(16).padStart(2, '0')).join('');
+        settings.pinHash = await hashPin(String(pin), salt);
+        settings.pinSalt = salt;
+        addLog('settings', 'Cancel PIN set');
+        await saveSettings();
+        emitChanged();
+    }
+
+    async function clearPin(currentPin) {
+        if (!settings.pinHash) return;
+        if (!(await verifyPin(currentPin))) throw new Error('Current PIN is incorrect');
+        settings.pinHash = null;
+        settings.pinSalt = null;
+        addLog('settings', 'Cancel PIN removed');
+        await saveSettings();
+        emitChanged();
+    }
+
+    async function verifyPin(pin) {
+        if (!settings.pinHash) return true;
+        return (await hashPin(String(pin || ''), settings.pinSalt)) === settings.pinHash;
+    }
+
+    async function checkPin(pin, action) {
+        if (await verifyPin(pin)) return true;
+        addLog('pin_failed', `Wrong PIN on ${action}`);
+        emitChanged();
+        return false;
+    }
+
+    function hasPin() {
+        return !!settings.pinHash;
+    }
+
+    // ==================== BATTERY ====================
+
+    function updateBattery({ level, charging }) {
+        const before = getBatteryTier();
+        battery = { level, charging };
+        const after = getBatteryTier();
+        if (before !== after && phase !== 'off') {
+            addLog('battery', after
+                ? `Battery ${level}% — prompts every ${Math.round(getPromptIntervalMs() / 60000)} min, checks every ${LOW_BATTERY_TICK_INTERVAL / 1000} s`
+                : `Battery ${level}%${charging ? ' (charging)' : ''} — normal intervals`);
+            if (phase !== 'triggered') scheduleTick();
+            emitChanged();
+        }
+    }
+
+    function getBatteryTier() {
+        if (!settings.batteryAware || !battery || battery.charging) return null;
+        return BATTERY_TIERS.find(t => battery.level < t.below) || null;
+    }
+
+    // ==================== ALARM OUTPUT ====================
+
+    function getAudioContext() {
+        if (audioCtx) return audioCtx;
+        try {
+            const Ctx = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+            if (Ctx) audioCtx = new Ctx();
+        } catch (e) {
+            console.warn('DeadManModule: audio unavailable:', e);
+        }
+        return audioCtx;
+    }
+
+    function beep(frequency, seconds, volume) {
+        const ctx = getAudioContext();
+        if (!ctx) return;
+        try {
+            if (ctx.state === 'suspended') ctx.resume();
+            const oscillator = ctx.createOscillator();
+            const gainNode = ctx.createGain();
+            oscillator.connect(gainNode);
+            gainNode.connect(ctx.destination);
+            oscillator.type = 'square';
+            oscillator.frequency.value = frequency;
+            gainNode.gain.value = Math.min(1, volume);
+            oscillator.start();
+            gainNode.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + seconds);
+            oscillator.stop(ctx.currentTime + seconds);
+        } catch (e) {
+            console.warn('DeadManModule: could not beep:', e);
+        }
+    }
+
+    function vibrate(pattern) {
+        if (typeof navigator !== 'undefined' && navigator.vibrate) navigator.vibrate(pattern);
+    }
+
+    // ==================== OVERLAYS ====================
+
+    function getOverlay(id, background) {
+        if (typeof document === 'undefined' || !document.body) return null;
+        let el = document.getElementById(id);
+        if (!el) {
+            el = document.createElement('div');
+            el.id = id;
+            el.setAttribute('role', 'alertdialog');
+            el.style.cssText = `
+                position: fixed;
+                inset: 0;
+                z-index: 10001;
+                background: ${background};
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                justify-content: center;
+                gap: 16px;
+                padding: 24px;
+                color: #fff;
+                text-align: center;
+            `;
+            document.body.appendChild(el);
+        }
+        return el;
+    }
+
+    function removeOverlay(id) {
+        if (typeof document === 'undefined') return;
+        const el = document.getElementById(id);
+        if (el) el.remove();
+    }
+
+    function showPromptOverlay() {
+        const el = getOverlay('deadman-prompt', 'rgba(15,23,42,0.92)');
+        if (!el) return;
+        el.innerHTML = `
+            <div style="font-size:48px">⏱️</div>
+            <div style="font-size:22px;font-weight:600">Are you OK?</div>
+            <div style="font-size:13px;color:rgba(255,255,255,0.7)">Answer by ${formatClock(pendingPrompt.deadline)} or the SOS countdown starts</div>
+            <button class="btn btn--success" id="deadman-ok-btn" style="font-size:20px;padding:18px 48px">✓ I'm OK</button>
+        `;
+        el.querySelector('#deadman-ok-btn').onclick = () => acknowledge();
+    }
+
+    function hidePromptOverlay() {
+        removeOverlay('deadman-prompt');
+    }
+
+    function renderCountdownOverlay(remaining) {
+        const existing = typeof document !== 'undefined' ? document.getElementById('deadman-countdown') : null;
+        const el = getOverlay('deadman-countdown', 'rgba(127,29,29,0.96)');
+        if (!el) return;
+        if (existing) {
+            const seconds = el.querySelector('#deadman-seconds');
+            if (seconds) seconds.textContent = remaining;
+            return;
+        }
+        el.innerHTML = `
+            <div style="font-size:14px;font-weight:600;letter-spacing:1px">${countdown.drill ? 'DRILL — ' : ''}SOS IN</div>
+            <div id="deadman-seconds" style="font-size:96px;font-weight:700;font-family:'IBM Plex Mono',monospace;line-height:1">${remaining}</div>
+            <div style="font-size:13px;color:rgba(255,255,255,0.8)">${TRIGGER_LABELS[countdown.trigger]} — ${countdown.detail}</div>
+            ${settings.pinHash ? `
+                <input type="password" inputmode="numeric" id="deadman-pin" maxlength="8" placeholder="PIN" autocomplete="off"
+                    style="font-size:24px;text-align:center;width:160px;padding:10px;border-radius:8px">
+            ` : ''}
+            <button class="btn btn--secondary" id="deadman-cancel-btn" style="font-size:18px;padding:14px 36px;background:#fff;color:#7f1d1d">
+                ${settings.pinHash ? 'Cancel with PIN' : '✓ I\'m OK — cancel'}
+            </button>
+            <div id="deadman-pin-error" style="font-size:12px;color:#fca5a5;min-height:16px"></div>
+        `;
+        const pinInput = el.querySelector('#deadman-pin');
+        const submit = async () => {
+            const ok = await cancelCountdown(pinInput ? pinInput.value : '');
+            if (!ok && pinInput) {
+                pinInput.value = '';
+                el.querySelector('#deadman-pin-error').textContent = 'Wrong PIN';
+            }
+        };
+        el.querySelector('#deadman-cancel-btn').onclick = submit;
+        if (pinInput) {
+            pinInput.onkeydown = (e) => { if (e.key === 'Enter') submit(); };
+            pinInput.focus();
+        }
+    }
+
+    // ==================== LOG ====================
+
+    function addLog(type, message) {
+        log.push({
+            id: Helpers.generateId(),
+            at: Date.now(),
+            type,
+            message,
+            lat: position ? position.lat : null,
+            lon: position ? position.lon : null
+        });
+        if (log.length > MAX_LOG) log.splice(0, log.length - MAX_LOG);
+        saveLog();
+    }
+
+    function saveLog() {
+        if (logSaveTimer) return;
+        logSaveTimer = setTimeout(async () => {
+            logSaveTimer = null;
+            try {
+                await Storage.Settings.set(LOG_STORAGE_KEY, log);
+            } catch (e) {
+                console.warn('DeadManModule: could not save log:', e);
+            }
+        }, 2000);
+    }
+
+    /**
+     * Logged events, newest first
+     * @param {Object} [filter] - { type, limit }
+     */
+    function getLog(filter = {}) {
+        let entries = log.slice().reverse();
+        if (filter.type) entries = entries.filter(e => e.type === filter.type);
+        return filter.limit ? entries.slice(0, filter.limit) : entries;
+    }
+
+    function clearLog() {
+        log = [];
+        saveLog();
+        emitChanged();
+    }
+
+    /**
+     * Log as CSV (oldest first) for after-action review
+     */
+    function exportLogCSV() {
+        const quote = v => `"${String(v).replace(/"/g, '""')}"`;
+        const rows = log.map(e => [
+            new Date(e.at).toISOString(), e.type, quote(e.message),
+            e.lat !== null ? e.lat.toFixed(6) : '', e.lon !== null ? e.lon.toFixed(6) : ''
+        ].join(','));
+        return ['time,event,message,lat,lon', ...rows].join('\n');
+    }
+
+    function downloadLog() {
+        const blob = new Blob([exportLogCSV()], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `deadman-log-${new Date().toISOString().slice(0, 10)}.csv`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    // ==================== SETTINGS & STATE ====================
+
+    function getSettings() {
+        const { pinHash, pinSalt, ...rest } = settings;
+        return { ...rest, hasPin: !!pinHash };
+    }
+
+    async function updateSettings(updates) {
+        const allowed = ['promptInterval', 'responseSeconds', 'countdownSeconds', 'sensitivity', 'watchStillness', 'watchImpact', 'batteryAware'];
+        const changes = [];
+        allowed.forEach(key => {
+            if (updates[key] === undefined || updates[key] === settings[key]) return;
+            settings[key] = updates[key];
+            changes.push(`${key}=${updates[key]}`);
+        });
+        if (!SENSITIVITY[settings.sensitivity]) settings.sensitivity = 'medium';
+        settings.responseSeconds = Math.max(15, Number(settings.responseSeconds) || DEFAULT_SETTINGS.responseSeconds);
+        settings.countdownSeconds = Math.max(10, Number(settings.countdownSeconds) || DEFAULT_SETTINGS.countdownSeconds);
+        if (changes.length === 0) return getSettings();
+
+        if (phase !== 'off') {
+            addLog('settings', `Changed while armed: ${changes.join(', ')}`);
+            if (phase !== 'triggered') scheduleTick();
+        }
+        await saveSettings();
+        emitChanged();
+        return getSettings();
+    }
+
+    async function saveSettings() {
+        try {
+            await Storage.Settings.set(SETTINGS_STORAGE_KEY, settings);
+        } catch (e) {
+            console.warn('DeadManModule: could not save settings:', e);
+        }
+    }
+
+    /**
+     * Save what monitoring needs to resume after a reload; drills are not resumed
+     */
+    function saveState() {
+        const armed = !!armedAt && phase !== 'off' && phase !== 'triggered';
+        Promise.resolve(Storage.Settings.set(STATE_STORAGE_KEY, {
+            armed,
+            armedAt,
+            lastPromptAt: armed ? lastPromptAt : null,
+            lastMovementAt: armed ? lastMovementAt : null,
+            pendingPrompt: armed ? pendingPrompt : null,
+            impact: armed ? impact : null,
+            countdown: armed && countdown && !countdown.drill ? countdown : null
+        })).catch(e => console.warn('DeadManModule: could not save state:', e));
+    }
+
+    /**
+     * Current phase and the times that drive it
+     */
+    function getStatus(now = Date.now()) {
+        const s = getSensitivity();
+        const tier = getBatteryTier();
+        return {
+            phase,
+            armedAt,
+            nextPromptAt: phase === 'armed' && settings.promptInterval > 0 ? lastPromptAt + getPromptIntervalMs() : null,
+            promptDeadline: pendingPrompt ? pendingPrompt.deadline : null,
+            stillForMs: phase !== 'off' && lastMovementAt ? now - lastMovementAt : 0,
+            stillLimitMs: s.stillMinutes * 60000,
+            impact: impact ? { ...impact } : null,
+            countdown: countdown ? { ...countdown, remaining: Math.max(0, Math.ceil((countdown.endsAt - now) / 1000)) } : null,
+            battery: battery ? { ...battery, tier: tier ? tier.label : null } : null,
+            motionAvailable
+        };
+    }
+
+    function emitChanged() {
+        if (typeof Events !== 'undefined') Events.emit('deadman:changed', { phase });
+        updateSection();
+    }
+
+    function formatClock(time) {
+        const d = new Date(time);
+        return `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+    }
+
+    // ==================== SOS PANEL SECTION ====================
+
+    /**
+     * Dead-man switch card for the SOS panel
+     */
+    function renderSection() {
+        const status = getStatus();
+        const s = getSensitivity();
+        const entries = getLog({ limit: 15 });
+        const phaseColors = { off: 'rgba(255,255,255,0.4)', armed: '#22c55e', prompt: '#f59e0b', countdown: '#ef4444', triggered: '#ef4444' };
+        const phaseLabels = { off: 'Off', armed: 'Armed', prompt: 'Waiting for answer', countdown: 'Countdown', triggered: 'SOS sent' };
+        const esc = typeof Helpers !== 'undefined' && Helpers.escapeHtml ? Helpers.escapeHtml : (t => String(t));
+
+        return `
+            <div class="section-label" style="display:flex;justify-content:space-between;align-items:center">
+                <span>⏱️ Dead-Man Switch</span>
+                <span style="font-size:11px;color:${phaseColors[status.phase]}">● ${phaseLabels[status.phase]}</span>
+            </div>
+            <div style="padding:14px;background:var(--color-bg-elevated);border-radius:12px;margin-bottom:16px">
+                ${status.phase === 'off' ? `
+                    <div style="font-size:11px;color:rgba(255,255,255,0.5);margin-bottom:10px">
+                        For solo travel: raises SOS by itself if you stop answering prompts, stop moving or take a hard fall. A loud ${settings.countdownSeconds} s countdown comes first.
+                    </div>
+                    <div style="display:flex;gap:8px">
+                        <button class="btn btn--primary" id="deadman-arm-btn" style="flex:1">Arm</button>
+                        <button class="btn btn--secondary" id="deadman-drill-btn" style="font-size:11px">Drill</button>
+                    </div>
+                ` : `
+                    <div style="display:grid;grid-template-columns:1fr 1fr;gap:8px;font-size:11px;margin-bottom:10px">
+                        <div>
+                            <div style="color:rgba(255,255,255,0.5)">Next prompt</div>
+                            <div style="font-weight:500">${status.promptDeadline ? `Answer by ${formatClock(status.promptDeadline)}` : status.nextPromptAt ? formatClock(status.nextPromptAt) : 'Off'}</div>
+                        </div>
+                        <div>
+                            <div style="color:rgba(255,255,255,0.5)">Still for</div>
+                            <div style="font-weight:500;color:${settings.watchStillness && status.stillForMs > status.stillLimitMs * 0.75 ? '#f59e0b' : 'inherit'}">${Math.floor(status.stillForMs / 60000)} / ${s.stillMinutes} min</div>
+                        </div>
+                    </div>
+                    ${status.impact ? `<div style="font-size:11px;color:#f59e0b;margin-bottom:8px">⚠️ ${status.impact.g} g impact at ${formatClock(status.impact.at)} — move to clear</div>` : ''}
+                    ${status.battery?.tier ? `<div style="font-size:11px;color:#f59e0b;margin-bottom:8px">🪫 Battery ${status.battery.level}% — stretched intervals</div>` : ''}
+                    ${settings.watchImpact && !status.motionAvailable ? `<div style="font-size:10px;color:rgba(255,255,255,0.4);margin-bottom:8px">No motion sensor data yet — impact detection may be unavailable</div>` : ''}
+                    <div style="display:flex;gap:8px">
+                        ${status.phase === 'armed' || status.phase === 'prompt' ? `<button class="btn btn--success" id="deadman-ok-inline-btn" style="flex:1">✓ I'm OK</button>` : ''}
+                        ${settings.pinHash ? `<input type="password" inputmode="numeric" id="deadman-disarm-pin" maxlength="8" placeholder="PIN" style="width:70px;font-size:12px">` : ''}
+                        <button class="btn btn--secondary" id="deadman-disarm-btn" style="flex:1">Disarm</button>
+                    </div>
+                `}
+
+                <details style="margin-top:12px">
+                    <summary style="font-size:11px;color:rgba(255,255,255,0.5);cursor:pointer">Settings</summary>
+                    <div style="display:grid;grid-template-columns:1fr 1fr;gap:8px;margin-top:8px;font-size:11px">
+                        <label>Sensitivity
+                            <select id="deadman-sensitivity" style="width:100%;padding:4px">
+                                ${Object.entries(SENSITIVITY).map(([key, p]) => `<option value="${key}" ${settings.sensitivity === key ? 'selected' : ''}>${p.label} (${p.stillMinutes} min, ${p.impactG} g)</option>`).join('')}
+                            </select>
+                        </label>
+                        <label>Prompt every
+                            <select id="deadman-prompt-interval" style="width:100%;padding:4px">
+                                ${[0, 15, 30, 60, 120].map(m => `<option value="${m}" ${settings.promptInterval === m ? 'selected' : ''}>${m ? `${m} min` : 'Off'}</option>`).join('')}
+                            </select>
+                        </label>
+                        <label>Answer within
+                            <select id="deadman-response" style="width:100%;padding:4px">
+                                ${[60, 120, 300].map(v => `<option value="${v}" ${settings.responseSeconds === v ? 'selected' : ''}>${v / 60} min</option>`).join('')}
+                            </select>
+                        </label>
+                        <label>Countdown
+                            <select id="deadman-countdown" style="width:100%;padding:4px">
+                                ${[30, 60, 120].map(v => `<option value="${v}" ${settings.countdownSeconds === v ? 'selected' : ''}>${v} s</option>`).join('')}
+                            </select>
+                        </label>
+                    </div>
+                    <div style="display:flex;flex-wrap:wrap;gap:12px;margin-top:8px;font-size:11px">
+                        <label><input type="checkbox" id="deadman-watch-still" ${settings.watchStillness ? 'checked' : ''}> No movement</label>
+                        <label><input type="checkbox" id="deadman-watch-impact" ${settings.watchImpact ? 'checked' : ''}> Impact</label>
+                        <label><input type="checkbox" id="deadman-battery" ${settings.batteryAware ? 'checked' : ''}> Stretch on low battery</label>
+                    </div>
+                    <div style="display:flex;gap:6px;margin-top:8px;font-size:11px;align-items:center">
+                        ${settings.pinHash ? `<input type="password" inputmode="numeric" id="deadman-pin-current" maxlength="8" placeholder="Current PIN" style="width:90px;font-size:11px">` : ''}
+                        <input type="password" inputmode="numeric" id="deadman-pin-new" maxlength="8" placeholder="${settings.pinHash ? 'New PIN' : 'Cancel PIN'}" style="width:90px;font-size:11px">
+                        <button class="btn btn--secondary" id="deadman-pin-set" style="font-size:10px;padding:4px 8px">${settings.pinHash ? 'Change' : 'Set PIN'}</button>
+                        ${settings.pinHash ? `<button class="btn btn--secondary" id="deadman-pin-clear" style="font-size:10px;padding:4px 8px">Remove</button>` : ''}
+                    </div>
+                </details>
+
+                ${entries.length ? `
+                    <details style="margin-top:8px">
+                        <summary style="font-size:11px;color:rgba(255,255,255,0.5);cursor:pointer">Event log (${log.length})</summary>
+                        <div style="max-height:180px;overflow-y:auto;margin-top:6px">
+                            ${entries.map(e => `
+                                <div style="font-size:10px;padding:3px 0;border-bottom:1px solid rgba(255,255,255,0.05);${e.type === 'sos_activated' || e.type === 'pin_failed' ? 'color:#ef4444' : ''}">
+                                    <span style="color:rgba(255,255,255,0.4)">${new Date(e.at).toLocaleString()}</span> ${esc(e.message)}
+                                </div>
+                            `).join('')}
+                        </div>
+                        <div style="display:flex;gap:8px;margin-top:6px">
+                            <button class="btn btn--secondary" id="deadman-log-export" style="flex:1;font-size:10px;padding:4px">Export CSV</button>
+                            <button class="btn btn--secondary" id="deadman-log-clear" style="font-size:10px;padding:4px">Clear</button>
+                        </div>
+                    </details>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    function updateSection() {
+        if (typeof document === 'undefined') return;
+        const el = document.getElementById('deadman-section');
+        if (!el) return;
+        if (el.contains(document.activeElement) && document.activeElement.tagName === 'INPUT') return;
+        const openDetails = [...el.querySelectorAll('details')].map(d => d.open);
+        el.innerHTML = renderSection();
+        el.querySelectorAll('details').forEach((d, i) => { if (openDetails[i]) d.open = true; });
+        attachSectionListeners(el);
+    }
+
+    function attachSectionListeners(el) {
+        if (!el) return;
+        const toast = (msg, type) => {
+            if (typeof ModalsModule !== 'undefined') ModalsModule.showToast(msg, type);
+        };
+
+        const armBtn = el.querySelector('#deadman-arm-btn');
+        if (armBtn) armBtn.onclick = () => arm();
+        const drillBtn = el.querySelector('#deadman-drill-btn');
+        if (drillBtn) drillBtn.onclick = () => {
+            if (!runDrill()) toast('Answer the check or cancel the alert before running a drill', 'warning');
+        };
+        const okBtn = el.querySelector('#deadman-ok-inline-btn');
+        if (okBtn) okBtn.onclick = () => acknowledge();
+
+        const disarmBtn = el.querySelector('#deadman-disarm-btn');
+        if (disarmBtn) {
+            disarmBtn.onclick = async () => {
+                const pinInput = el.querySelector('#deadman-disarm-pin');
+                if (await disarm(pinInput ? pinInput.value : '')) {
+                    toast('Dead-man switch disarmed', 'info');
+                } else {
+                    toast('Wrong PIN', 'error');
+                }
+            };
+        }
+
+        const selects = {
+            '#deadman-sensitivity': v => ({ sensitivity: v }),
+            '#deadman-prompt-interval': v => ({ promptInterval: parseInt(v, 10) }),
+            '#deadman-response': v => ({ responseSeconds: parseInt(v, 10) }),
+            '#deadman-countdown': v => ({ countdownSeconds: parseInt(v, 10) })
+        };
+        Object.entries(selects).forEach(([selector, toUpdate]) => {
+            const select = el.querySelector(selector);
+            if (select) select.onchange = () => updateSettings(toUpdate(select.value));
+        });
+        const checkboxes = {
+            '#deadman-watch-still': 'watchStillness',
+            '#deadman-watch-impact': 'watchImpact',
+            '#deadman-battery': 'batteryAware'
+        };
+        Object.entries(checkboxes).forEach(([selector, key]) => {
+            const box = el.querySelector(selector);
+            if (box) box.onchange = () => updateSettings({ [key]: box.checked });
+        });
+
+        const pinSet = el.querySelector('#deadman-pin-set');
+        if (pinSet) {
+            pinSet.onclick = async () => {
+                const current = el.querySelector('#deadman-pin-current');
+                try {
+                    await setPin(el.querySelector('#deadman-pin-new').value, current ? current.value : '');
+                    toast('Cancel PIN saved', 'success');
+                } catch (err) {
+                    toast(err.message, 'error');
+                }
+            };
+        }
+        const pinClear = el.querySelector('#deadman-pin-clear');
+        if (pinClear) {
+            pinClear.onclick = async () => {
+                try {
+                    await clearPin(el.querySelector('#deadman-pin-current').value);
+                    toast('Cancel PIN removed', 'info');
+                } catch (err) {
+                    toast(err.message, 'error');
+                }
+            };
+        }
+
+        const exportBtn = el.querySelector('#deadman-log-export');
+        if (exportBtn) exportBtn.onclick = () => downloadLog();
+        const clearBtn = el.querySelector('#deadman-log-clear');
+        if (clearBtn) {
+            clearBtn.onclick = () => {
+                if (confirm('Clear the dead-man switch log? Export it first if you need it for a debrief.')) clearLog();
+            };
+        }
+    }
+
+    // ==================== PUBLIC API ====================
+
+    return {
+        init,
+
+        // Arming
+        arm,
+        disarm,
+        acknowledge,
+        cancelCountdown,
+        runDrill,
+
+        // Sensing
+        processMotion,
+        processPosition,
+        evaluate,
+        getStatus,
+
+        // PIN
+        setPin,
+        clearPin,
+        hasPin,
+
+        // Settings
+        getSettings,
+        updateSettings,
+
+        // Log
+        getLog,
+        clearLog,
+        exportLogCSV,
+        downloadLog,
+
+        // SOS panel
+        renderSection,
+        attachSectionListeners,
+
+        SENSITIVITY,
+        TRIGGERS,
+        TRIGGER_LABELS
+    };
+})();
+
+window.DeadManModule = DeadManModule;
@@ -0,0 +1,1036 @@
+/**
+ * GridDown DEM Module - Offline elevation from locally stored DEM data
+ *
+ * Keeps digital elevation model data in IndexedDB so terrain analysis,
+ * elevation profiles and RF line-of-sight keep working off-grid:
+ *   - Terrarium RGB-encoded elevation tiles downloaded for a region
+ *     (AWS Open Data "elevation-tiles-prod", the same Web Mercator tile
+ *     pyramid the offline map downloads use)
+ *   - Imported SRTM .hgt files (1 and 3 arc-second)
+ *   - Imported single-band GeoTIFF rasters in geographic (lat/lon) coordinates
+ *
+ * Lookups bilinearly interpolate between the four surrounding samples and
+ * prefer the finest source covering a point. ElevationModule consults this
+ * store before the network, so every elevation consumer benefits without
+ * changes of its own. All elevations here are in METERS.
+ */
+const DEMModule = (function() {
+    'use strict';
+
+    // ==================== CONSTANTS ====================
+
+    const DB_NAME = 'griddown-dem';
+    const DB_VERSION = 1;
+    const TILES_STORE = 'tiles';       // Decoded elevation arrays (tiles and imported grids)
+    const SOURCES_STORE = 'sources';   // Metadata for each downloaded area / imported file
+
+    const TERRARIUM_URL = 'https://s3.amazonaws.com/elevation-tiles-prod/terrarium/{z}/{x}/{y}.png';
+    const TILE_SIZE = 256;
+
+    // Terrarium zoom 12 is ~38 m/pixel at the equator, close to SRTM's native 30 m
+    const DEFAULT_DEM_ZOOM = 12;
+    const DEM_ZOOMS = [10, 11, 12, 13];
+
+    // Decoded tiles are stored as Float32Array (256 x 256 x 4 bytes)
+    const TILE_BYTES = TILE_SIZE * TILE_SIZE * 4;
+    const MAX_DOWNLOAD_TILES = 1500;
+    const MAX_CONCURRENT_DOWNLOADS = 4;
+
+    // Decoded arrays kept in memory between lookups
+    const MEMORY_CACHE_LIMIT = 24;
+
+    // Largest imported raster accepted (samples)
+    const MAX_GRID_SAMPLES = 40 * 1000 * 1000;
+
+    const HGT_VOID = -32768;
+
+    // ==================== STATE ====================
+
+    let db = null;
+    let initialized = false;
+    let sources = [];                  // Source metadata records
+    let tileKeys = new Set();          // Keys of every stored tile/grid array
+    let terrariumZooms = [];           // Downloaded zoom levels, finest first
+    const memoryCache = new Map();     // key -> typed array (insertion order = LRU)
+
+    let isDownloading = false;
+    let abortController = null;
+    let downloadProgress = null;
+    let localHits = 0;
+
+    // ==================== INITIALIZATION ====================
+
+    /**
+     * Open the DEM database and index what is stored
+     */
+    async function init() {
+        if (initialized) return;
+        initialized = true;
+
+        if (typeof indexedDB === 'undefined') {
+            console.warn('DEMModule: IndexedDB unavailable, offline elevation disabled');
+            return;
+        }
+
+        try {
+            await openDatabase();
+            sources = await getAllFromStore(SOURCES_STORE);
+            const keys = await getAllKeysFromStore(TILES_STORE);
+            tileKeys = new Set(keys);
+            refreshZoomIndex();
+            console.log(`DEMModule initialized (${sources.length} sources, ${tileKeys.size} arrays)`);
+        } catch (err) {
+            console.warn('DEMModule: failed to open database:', err);
+        }
+    }
+
+    async function openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onerror = () => reject(request.error);
+
+            request.onsuccess = () => {
+                db = request.result;
+                resolve(db);
+            };
+
+            request.onupgradeneeded = (event) => {
+                const database = event.target.result;
+
+                if (!database.objectStoreNames.contains(TILES_STORE)) {
+                    database.createObjectStore(TILES_STORE, { keyPath: 'key' });
+                }
+
+                if (!database.objectStoreNames.contains(SOURCES_STORE)) {
+                    database.createObjectStore(SOURCES_STORE, { keyPath: 'id' });
+                }
+            };
+        });
+    }
+
+    // ==================== INDEXEDDB HELPERS ====================
+
+    function requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async function getAllFromStore(storeName) {
+        if (!db) await openDatabase();
+        return requestToPromise(db.transaction(storeName, 'readonly').objectStore(storeName).getAll());
+    }
+
+    async function getAllKeysFromStore(storeName) {
+        if (!db) await openDatabase();
+        return requestToPromise(db.transaction(storeName, 'readonly').objectStore(storeName).getAllKeys());
+    }
+
+    async function getRecord(storeName, key) {
+        if (!db) await openDatabase();
+        return requestToPromise(db.transaction(storeName, 'readonly').objectStore(storeName).get(key));
+    }
+
+    async function putRecord(storeName, record) {
+        if (!db) await openDatabase();
+        return requestToPromise(db.transaction(storeName, 'readwrite').objectStore(storeName).put(record));
+    }
+
+    async function deleteRecord(storeName, key) {
+        if (!db) await openDatabase();
+        return requestToPromise(db.transaction(storeName, 'readwrite').objectStore(storeName).delete(key));
+    }
+
+    function refreshZoomIndex() {
+        const zooms = new Set(sources.filter(s => s.type === 'terrarium').map(s => s.zoom));
+        terrariumZooms = [...zooms].sort((a, b) => b - a);
+    }
+
+    // ==================== DECODING ====================
+
+    /**
+     * Decode a Terrarium-encoded pixel to meters
+     * elevation = (R * 256 + G + B / 256) - 32768
+     */
+    function decodeTerrarium(r, g, b) {
+        return (r * 256 + g + b / 256) - 32768;
+    }
+
+    /**
+     * Decode a Mapbox Terrain-RGB pixel to meters
+     * elevation = -10000 + (R * 65536 + G * 256 + B) * 0.1
+     */
+    function decodeMapboxRGB(r, g, b) {
+        return -10000 + (r * 65536 + g * 256 + b) * 0.1;
+    }
+
+    /**
+     * Decode RGBA pixel data into a Float32Array of elevations
+     * @param {Uint8ClampedArray|Uint8Array} rgba - ImageData.data
+     * @param {string} encoding - 'terrarium' or 'mapbox'
+     * @returns {Float32Array}
+     */
+    function decodeRGBPixels(rgba, encoding = 'terrarium') {
+        const decode = encoding === 'mapbox' ? decodeMapboxRGB : decodeTerrarium;
+        const out = new Float32Array(rgba.length / 4);
+        for (let i = 0, p = 0; i < out.length; i++, p += 4) {
+            // Fully transparent pixels carry no data
+            out[i] = rgba[p + 3] === 0 ? NaN : decode(rgba[p], rgba[p + 1], rgba[p + 2]);
+        }
+        return out;
+    }
+
+    /**
+     * Decode a PNG/WebP tile blob into elevations via an offscreen canvas
+     */
+    async function decodeTileBlob(blob, encoding = 'terrarium') {
+        const bitmap = await createImageBitmap(blob, {
+            colorSpaceConversion: 'none',
+            premultiplyAlpha: 'none'
+        });
+
+        let canvas;
+        if (typeof OffscreenCanvas !== 'undefined') {
+            canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        } else {
+            canvas = document.createElement('canvas');
+            canvas.width = bitmap.width;
+            canvas.height = bitmap.height;
+        }
+
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(bitmap, 0, 0);
+        const imageData = ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+        if (bitmap.close) bitmap.close();
+
+        if (imageData.width !== TILE_SIZE || imageData.height !== TILE_SIZE) {
+            throw new Error(`Unexpected DEM tile size ${imageData.width}x${imageData.height}`);
+        }
+        return decodeRGBPixels(imageData.data, encoding);
+    }
+
+    // ==================== TILE MATH ====================
+
+    /**
+     * Global pixel coordinates (fractional) of a lat/lon at a zoom level
+     */
+    function latLonToGlobalPixel(lat, lon, zoom) {
+        const scale = TILE_SIZE * Math.pow(2, zoom);
+        const clampedLat = Math.max(-85.05112878, Math.min(85.05112878, lat));
+        const latRad = clampedLat * Math.PI / 180;
+        return {
+            x: (lon + 180) / 360 * scale,
+            y: (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * scale
+        };
+    }
+
+    /**
+     * List tiles covering bounds at a single zoom level
+     */
+    function tilesForBounds(bounds, zoom) {
+        const n = Math.pow(2, zoom);
+        const nw = latLonToGlobalPixel(bounds.north, bounds.west, zoom);
+        const se = latLonToGlobalPixel(bounds.south, bounds.east, zoom);
+        const minX = Math.max(0, Math.floor(nw.x / TILE_SIZE));
+        const maxX = Math.min(n - 1, Math.floor(se.x / TILE_SIZE));
+        const minY = Math.max(0, Math.floor(nw.y / TILE_SIZE));
+        const maxY = Math.min(n - 1, Math.floor(se.y / TILE_SIZE));
+
+        const tiles = [];
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) {
+                tiles.push({ z: zoom, x, y });
+            }
+        }
+        return tiles;
+    }
+
+    function tileKey(z, x, y) {
+        return `${z}/${x}/${y}`;
+    }
+
+    // ==================== INTERPOLATION ====================
+
+    /**
+     * Bilinear interpolation that tolerates missing corners.
+     * Null/NaN corners are dropped and the remaining weights renormalized,
+     * so voids and tile edges degrade to the nearest valid samples.
+     * @returns {number|null}
+     */
+    function bilinear(v00, v10, v01, v11, fx, fy) {
+        const corners = [
+            [v00, (1 - fx) * (1 - fy)],
+            [v10, fx * (1 - fy)],
+            [v01, (1 - fx) * fy],
+            [v11, fx * fy]
+        ];
+
+        let sum = 0;
+        let weight = 0;
+        for (const [v, w] of corners) {
+            if (v === null || v === undefined || Number.isNaN(v)) continue;
+            sum += v * w;
+            weight += w;
+        }
+        if (weight <= 0) {
+            // All weighted corners are void; fall back to any valid corner
+            const valid = corners.find(([v]) => v !== null && v !== undefined && !Number.isNaN(v));
+            return valid ? valid[0] : null;
+        }
+        return sum / weight;
+    }
+
+    /**
+     * Sample Terrarium tiles at a point
+     * @param {number} lat
+     * @param {number} lon
+     * @param {number} zoom
+     * @param {Function} getTile - (x, y) => Float32Array|null
+     * @returns {number|null} Meters
+     */
+    function sampleTiles(lat, lon, zoom, getTile) {
+        const worldPx = TILE_SIZE * Math.pow(2, zoom);
+        const p = latLonToGlobalPixel(lat, lon, zoom);
+
+        // Sample centers sit at half-pixel offsets
+        const gx = p.x - 0.5;
+        const gy = p.y - 0.5;
+        const x0 = Math.floor(gx);
+        const y0 = Math.floor(gy);
+
+        const valueAt = (px, py) => {
+            const wrappedX = ((px % worldPx) + worldPx) % worldPx;
+            if (py < 0 || py >= worldPx) return null;
+            const data = getTile(Math.floor(wrappedX / TILE_SIZE), Math.floor(py / TILE_SIZE));
+            if (!data) return null;
+            return data[(py % TILE_SIZE) * TILE_SIZE + (wrappedX % TILE_SIZE)];
+        };
+
+        return bilinear(
+            valueAt(x0, y0), valueAt(x0 + 1, y0),
+            valueAt(x0, y0 + 1), valueAt(x0 + 1, y0 + 1),
+            gx - x0, gy - y0
+        );
+    }
+
+    /**
+     * Geographic extent of a regular lat/lon grid
+     */
+    function gridBounds(grid) {
+        return {
+            north: grid.originLat,
+            south: grid.originLat - (grid.height - 1) * grid.dLat,
+            west: grid.originLon,
+            east: grid.originLon + (grid.width - 1) * grid.dLon
+        };
+    }
+
+    /**
+     * Sample a regular lat/lon grid at a point
+     * grid: { originLat, originLon, dLat, dLon, width, height, data, noData }
+     * originLat/originLon are the CENTER of the first (north-west) sample.
+     * @returns {number|null} Meters, or null when outside the grid
+     */
+    function sampleGrid(grid, lat, lon) {
+        const fr = (grid.originLat - lat) / grid.dLat;
+        const fc = (lon - grid.originLon) / grid.dLon;
+
+        // Accept up to half a cell outside the outermost sample centers
+        if (fr < -0.5 || fc < -0.5 || fr > grid.height - 0.5 || fc > grid.width - 0.5) {
+            return null;
+        }
+
+        const r = Math.max(0, Math.min(grid.height - 1, fr));
+        const c = Math.max(0, Math.min(grid.width - 1, fc));
+        const r0 = Math.min(Math.floor(r), grid.height - 1);
+        const c0 = Math.min(Math.floor(c), grid.width - 1);
+        const r1 = Math.min(r0 + 1, grid.height - 1);
+        const c1 = Math.min(c0 + 1, grid.width - 1);
+
+        const valueAt = (row, col) => {
+            const v = grid.data[row * grid.width + col];
+            return (v === grid.noData || Number.isNaN(v)) ? null : v;
+        };
+
+        return bilinear(
+            valueAt(r0, c0), valueAt(r0, c1),
+            valueAt(r1, c0), valueAt(r1, c1),
+            c - c0, r - r0
+        );
+    }
+
+    // ==================== FILE PARSING ====================
+
+    /**
+     * Parse an SRTM tile name such as "N37W120.hgt" into its south-west corner
+     * @returns {{south: number, west: number}|null}
+     */
+    function parseHGTName(name) {
+        const match = /([NS])(\d{1,2})([EW])(\d{1,3})/i.exec(name || '');
+        if (!match) return null;
+        const lat = parseInt(match[2], 10) * (match[1].toUpperCase() === 'S' ? -1 : 1);
+        const lon = parseInt(match[4], 10) * (match[3].toUpperCase() === 'W' ? -1 : 1);
+        if (lat < -90 || lat > 89 || lon < -180 || lon > 179) return null;
+        return { south: lat, west: lon };
+    }
+
+    /**
+     * Parse an SRTM .hgt file (big-endian int16, square, 1x1 degree, edges inclusive)
+     * @param {ArrayBuffer} buffer
+     * @param {string} name - File name, used for the tile's location
+     * @returns {Object} Grid record
+     */
+    function parseHGT(buffer, name) {
+        const corner = parseHGTName(name);
+        if (!corner) {
+            throw new Error(`Cannot determine location from "${name}" (expected e.g. N37W120.hgt)`);
+        }
+
+        const samples = buffer.byteLength / 2;
+        const size = Math.round(Math.sqrt(samples));
+        if (size * size !== samples || size < 2) {
+            throw new Error(`"${name}" is not a valid HGT file (${buffer.byteLength} bytes)`);
+        }
+
+        const view = new DataView(buffer);
+        const data = new Int16Array(samples);
+        for (let i = 0; i < samples; i++) {
+            data[i] = view.getInt16(i * 2, false);
+        }
+
+        const step = 1 / (size - 1);
+        return {
+            format: 'hgt',
+            originLat: corner.south + 1,
+            originLon: corner.west,
+            dLat: step,
+            dLon: step,
+            width: size,
+            height: size,
+            noData: HGT_VOID,
+            data
+        };
+    }
+
+    /**
+     * Read the layout and georeferencing of a single-band GeoTIFF in
+     * geographic coordinates. Supports strips or tiles, uncompressed or
+     * Deflate (with horizontal predictor), 8/16/32-bit integer and
+     * 32/64-bit float samples.
+     * @param {ArrayBuffer} buffer
+     * @returns {Object} Layout with raw (still compressed) blocks
+     */
+    function readGeoTIFF(buffer) {
+        const view = new DataView(buffer);
+        const order = view.getUint16(0, false);
+        if (order !== 0x4949 && order !== 0x4D4D) {
+            throw new Error('Not a TIFF file');
+        }
+        const le = order === 0x4949;
+        const magic = view.getUint16(2, le);
+        if (magic === 43) {
+            throw new Error('BigTIFF files are not supported');
+        }
+        if (magic !== 42) {
+            throw new Error('Not a TIFF file');
+        }
+
+        // Read the first IFD
+        const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 6: 1, 7: 1, 8: 2, 9: 4, 11: 4, 12: 8 };
+        const ifdOffset = view.getUint32(4, le);
+        const entryCount = view.getUint16(ifdOffset, le);
+        const tags = {};
+
+        const readValue = (type, offset) => {
+            switch (type) {
+                case 1: case 7: return view.getUint8(offset);
+                case 6: return view.getInt8(offset);
+                case 3: return view.getUint16(offset, le);
+                case 8: return view.getInt16(offset, le);
+                case 4: return view.getUint32(offset, le);
+                case 9: return view.getInt32(offset, le);
+                case 11: return view.getFloat32(offset, le);
+                case 12: return view.getFloat64(offset, le);
+                default: return view.getUint8(offset);
+            }
+        };
+
+        for (let i = 0; i < entryCount; i++) {
+            const entry = ifdOffset + 2 + i * 12;
+            const tag = view.getUint16(entry, le);
+            const type = view.getUint16(entry + 2, le);
+            const count = view.getUint32(entry + 4, le);
+            const size = (TYPE_SIZES[type] || 1) * count;
+            const valueOffset = size <= 4 ? entry + 8 : view.getUint32(entry + 8, le);
+
+            if (type === 2) {
+                const bytes = new Uint8Array(buffer, valueOffset, count);
+                tags[tag] = String.fromCharCode(...bytes).replace(/\0+$/, '');
+            } else {
+                const values = [];
+                for (let j = 0; j < count; j++) {
+                    values.push(readValue(type, valueOffset + j * (TYPE_SIZES[type] || 1)));
+                }
+                tags[tag] = values;
+            }
+        }
+
+        const first = (tag, def) => (tags[tag] ? tags[tag][0] : def);
+        const width = first(256);
+        const height = first(257);
+        const bitsPerSample = first(258, 1);
+        const compression = first(259, 1);
+        const samplesPerPixel = first(277, 1);
+        const predictor = first(317, 1);
+        const sampleFormat = first(339, 1);
+
+        if (!width || !height) throw new Error('GeoTIFF is missing image dimensions');
+        if (width * height > MAX_GRID_SAMPLES) {
+            throw new Error(`GeoTIFF is too large (${width}x${height}); crop it before importing`);
+        }
+        if (samplesPerPixel !== 1) {
+            throw new Error('Only single-band elevation GeoTIFFs are supported');
+        }
+        if (compression !== 1 && compression !== 8 && compression !== 32946) {
+            throw new Error('Unsupported GeoTIFF compression (use none or Deflate)');
+        }
+        if (predictor === 3) {
+            throw new Error('Floating-point predictor is not supported (re-save without PREDICTOR=3)');
+        }
+
+        // Georeferencing
+        const scale = tags[33550];
+        const tiepoint = tags[33922];
+        if (!scale || !tiepoint) {
+            throw new Error('GeoTIFF has no ModelPixelScale/ModelTiepoint georeferencing');
+        }
+
+        const geoKeys = {};
+        const dir = tags[34735];
+        if (dir) {
+            for (let i = 4; i + 3 < dir.length; i += 4) {
+                geoKeys[dir[i]] = dir[i + 3];
+            }
+        }
+        if (geoKeys[1024] === 1) {
+            throw new Error('Projected GeoTIFFs are not supported; reproject to EPSG:4326 (lat/lon) first');
+        }
+        const pixelIsPoint = geoKeys[1025] === 2;
+
+        // Strips are tiles that span the full width
+        const isTiled = !!tags[322];
+        const offsets = isTiled ? tags[324] : tags[273];
+        const byteCounts = isTiled ? tags[325] : tags[279];
+        if (!offsets || !byteCounts) throw new Error('GeoTIFF has no image data');
+
+        // GDAL_NODATA is stored as ASCII
+        const noDataTag = tags[42113];
+        const noData = noDataTag !== undefined && noDataTag !== '' ? parseFloat(noDataTag) : NaN;
+
+        const [i, j, , x, y] = tiepoint;
+        const [sx, sy] = scale;
+        const centerOffset = pixelIsPoint ? 0 : 0.5;
+
+        return {
+            width,
+            height,
+            bitsPerSample,
+            sampleFormat,
+            compression,
+            predictor,
+            littleEndian: le,
+            blockWidth: isTiled ? first(322) : width,
+            blockHeight: isTiled ? first(323) : first(278, height),
+            blocks: offsets.map((offset, b) => new Uint8Array(buffer, offset, byteCounts[b])),
+            noData,
+            originLat: y - (centerOffset - j) * sy,
+            originLon: x + (centerOffset - i) * sx,
+            dLat: sy,
+            dLon: sx
+        };
+    }
+
+    /**
+     * Assemble decompressed GeoTIFF blocks into a row-major elevation array
+     * @param {Object} layout - From readGeoTIFF()
+     * @param {Uint8Array[]} blocks - Uncompressed block bytes
+     * @returns {Float32Array} Elevations (NaN for no-data)
+     */
+    function rasterizeGeoTIFF(layout, blocks) {
+        const { width, height, bitsPerSample, sampleFormat, predictor, blockWidth, blockHeight, noData } = layout;
+        const le = layout.littleEndian;
+
+        // Sample reader for the declared type
+        const bytesPerSample = bitsPerSample / 8;
+        const sampleReader = (dv, offset) => {
+            if (sampleFormat === 3) {
+                return bitsPerSample === 64 ? dv.getFloat64(offset, le) : dv.getFloat32(offset, le);
+            }
+            const signed = sampleFormat === 2;
+            switch (bitsPerSample) {
+                case 8: return signed ? dv.getInt8(offset) : dv.getUint8(offset);
+                case 16: return signed ? dv.getInt16(offset, le) : dv.getUint16(offset, le);
+                case 32: return signed ? dv.getInt32(offset, le) : dv.getUint32(offset, le);
+                default: throw new Error(`Unsupported sample size ${bitsPerSample} bits`);
+            }
+        };
+
+        const blocksAcross = Math.ceil(width / blockWidth);
+        const data = new Float32Array(width * height);
+        data.fill(NaN);
+
+        for (let b = 0; b < blocks.length; b++) {
+            const bytes = blocks[b];
+            const blockView = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            const bx = (b % blocksAcross) * blockWidth;
+            const by = Math.floor(b / blocksAcross) * blockHeight;
+            const rowsInBlock = Math.min(blockHeight, height - by);
+            const colsInBlock = Math.min(blockWidth, width - bx);
+
+            for (let r = 0; r < rowsInBlock; r++) {
+                let prev = 0;
+                for (let c = 0; c < blockWidth; c++) {
+                    const offset = (r * blockWidth + c) * bytesPerSample;
+                    if (offset + bytesPerSample > bytes.byteLength) break;
+                    let v = sampleReader(blockView, offset);
+                    if (predictor === 2) {
+                        // Horizontal differencing; wrap to the sample's integer width
+                        v = c === 0 ? v : prev + v;
+                        if (bitsPerSample === 16) v = sampleFormat === 2 ? (v << 16) >> 16 : v & 0xFFFF;
+                        else if (bitsPerSample === 8) v = sampleFormat === 2 ? (v << 24) >> 24 : v & 0xFF;
+                        else if (bitsPerSample === 32) v = sampleFormat === 2 ? v | 0 : v >>> 0;
+                        prev = v;
+                    }
+                    if (c < colsInBlock) {
+                        data[(by + r) * width + bx + c] = v;
+                    }
+                }
+            }
+        }
+
+        if (!Number.isNaN(noData)) {
+            for (let i = 0; i < data.length; i++) {
+                if (data[i] === noData) data[i] = NaN;
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Parse a GeoTIFF file into a grid record
+     * @param {ArrayBuffer} buffer
+     * @returns {Promise<Object>} Grid record
+     */
+    async function parseGeoTIFF(buffer) {
+        const layout = readGeoTIFF(buffer);
+        const blocks = layout.compression === 1
+            ? layout.blocks
+            : await Promise.all(layout.blocks.map(block => BinaryUtils.inflate(block, 'Compressed GeoTIFFs')));
+
+        return {
+            format: 'geotiff',
+            originLat: layout.originLat,
+            originLon: layout.originLon,
+            dLat: layout.dLat,
+            dLon: layout.dLon,
+            width: layout.width,
+            height: layout.height,
+            noData: null,
+            data: rasterizeGeoTIFF(layout, blocks)
+        };
+    }
+
+    // ==================== LOOKUP ====================
+
+    /**
+     * Load a stored array (tile or grid) through the memory cache
+     */
+    async function loadArray(key) {
+        if (memoryCache.has(key)) {
+            const data = memoryCache.get(key);
+            memoryCache.delete(key);
+            memoryCache.set(key, data);
+            return data;
+        }
+        if (!tileKeys.has(key)) return null;
+
+        const record = await getRecord(TILES_STORE, key);
+        const data = record ? record.data : null;
+        if (data) {
+            memoryCache.set(key, data);
+            while (memoryCache.size > MEMORY_CACHE_LIMIT) {
+                memoryCache.delete(memoryCache.keys().next().value);
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Imported grid sources covering a point, finest resolution first
+     */
+    function gridSourcesAt(lat, lon) {
+        return sources
+            .filter(s => s.type === 'grid' &&
+                lat <= s.bounds.north && lat >= s.bounds.south &&
+                lon >= s.bounds.west && lon <= s.bounds.east)
+            .sort((a, b) => a.dLat - b.dLat);
+    }
+
+    /**
+     * Whether any stored data covers a point (synchronous index check)
+     */
+    function hasCoverage(lat, lon) {
+        if (gridSourcesAt(lat, lon).length > 0) return true;
+        return terrariumZooms.some(z => {
+            const p = latLonToGlobalPixel(lat, lon, z);
+            return tileKeys.has(tileKey(z, Math.floor(p.x / TILE_SIZE), Math.floor(p.y / TILE_SIZE)));
+        });
+    }
+
+    function hasData() {
+        return sources.length > 0;
+    }
+
+    /**
+     * Elevation at a point from local data
+     * @returns {Promise<number|null>} Meters, or null when not covered
+     */
+    async function getElevation(lat, lon) {
+        if (!db || !hasData()) return null;
+
+        for (const source of gridSourcesAt(lat, lon)) {
+            const data = await loadArray(`grid:${source.id}`);
+            if (!data) continue;
+            const value = sampleGrid({ ...source, data }, lat, lon);
+            if (value !== null) {
+                localHits++;
+                return value;
+            }
+        }
+
+        for (const z of terrariumZooms) {
+            const p = latLonToGlobalPixel(lat, lon, z);
+            const tx = Math.floor(p.x / TILE_SIZE);
+            const ty = Math.floor(p.y / TILE_SIZE);
+            if (!tileKeys.has(tileKey(z, tx, ty))) continue;
+
+            // Preload the neighbours bilinear sampling may reach into
+            const loaded = new Map();
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    const key = tileKey(z, tx + dx, ty + dy);
+                    if (tileKeys.has(key)) loaded.set(key, await loadArray(key));
+                }
+            }
+
+            const value = sampleTiles(lat, lon, z, (x, y) => loaded.get(tileKey(z, x, y)) || null);
+            if (value !== null) {
+                localHits++;
+                return value;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Elevations for many points from local data
+     * @param {Array<{lat: number, lon: number}>} coords
+     * @returns {Promise<Array<number|null>>} Meters (null where not covered)
+     */
+    async function getElevations(coords) {
+        const results = new Array(coords.length).fill(null);
+        if (!db || !hasData()) return results;
+
+        for (let i = 0; i < coords.length; i++) {
+            const { lat, lon } = coords[i];
+            if (!hasCoverage(lat, lon)) continue;
+            results[i] = await getElevation(lat, lon);
+        }
+        return results;
+    }
+
+    // ==================== DOWNLOAD ====================
+
+    /**
+     * Estimate a DEM download for bounds at a zoom level
+     */
+    function estimateDownload(bounds, zoom = DEFAULT_DEM_ZOOM) {
+        const tiles = tilesForBounds(bounds, zoom);
+        const missing = tiles.filter(t => !tileKeys.has(tileKey(t.z, t.x, t.y))).length;
+        return {
+            tileCount: tiles.length,
+            newTiles: missing,
+            sizeBytes: missing * TILE_BYTES,
+            tooLarge: tiles.length > MAX_DOWNLOAD_TILES
+        };
+    }
+
+    /**
+     * Download Terrarium elevation tiles for an area
+     * @param {Object} config - { name, bounds, zoom, regionId }
+     * @param {Function} progressCallback - Receives { phase, downloaded, total, errors }
+     * @returns {Promise<Object|undefined>} Source record, undefined if cancelled
+     */
+    async function downloadArea(config, progressCallback) {
+        if (isDownloading) {
+            throw new Error('DEM download already in progress');
+        }
+        if (!db) await openDatabase();
+
+        const { name, bounds, regionId = null } = config;
+        const zoom = config.zoom || DEFAULT_DEM_ZOOM;
+        if (!bounds) throw new Error('Invalid DEM area');
+
+        const tiles = tilesForBounds(bounds, zoom);
+        if (tiles.length > MAX_DOWNLOAD_TILES) {
+            throw new Error(`Area needs ${tiles.length} elevation tiles at z${zoom}; choose a lower zoom or smaller area`);
+        }
+
+        const queue = tiles.filter(t => !tileKeys.has(tileKey(t.z, t.x, t.y)));
+        isDownloading = true;
+        abortController = new AbortController();
+        downloadProgress = { name, downloaded: tiles.length - queue.length, total: tiles.length, errors: 0 };
+
+        const report = (phase) => {
+            if (progressCallback) {
+                progressCallback({
+                    phase,
+                    ...downloadProgress,
+                    progress: Math.round(downloadProgress.downloaded / Math.max(1, downloadProgress.total) * 100)
+                });
+            }
+        };
+
+        const fetchTile = async (tile) => {
+            const url = TERRARIUM_URL
+                .replace('{z}', tile.z)
+                .replace('{x}', tile.x)
+                .replace('{y}', tile.y);
+            try {
+                const response = await fetch(url, { signal: abortController.signal, mode: 'cors' });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const data = await decodeTileBlob(await response.blob(), 'terrarium');
+                const key = tileKey(tile.z, tile.x, tile.y);
+                await putRecord(TILES_STORE, { key, z: tile.z, x: tile.x, y: tile.y, data });
+                tileKeys.add(key);
+                downloadProgress.downloaded++;
+            } catch (err) {
+                if (err.name === 'AbortError') throw err;
+                downloadProgress.errors++;
+            }
+            report('downloading');
+        };
+
+        try {
+            report('downloading');
+            const workers = [];
+            for (let w = 0; w < MAX_CONCURRENT_DOWNLOADS; w++) {
+                workers.push((async () => {
+                    while (queue.length > 0) {
+                        if (abortController.signal.aborted) {
+                            throw new DOMException('Download cancelled', 'AbortError');
+                        }
+                        await fetchTile(queue.shift());
+                    }
+                })());
+            }
+            await Promise.all(workers);
+
+            const source = {
+                id: Helpers.generateId(),
+                type: 'terrarium',
+                name: name || `DEM z${zoom}`,
+                bounds,
+                zoom,
+                regionId,
+                tileCount: tiles.length,
+                failedTiles: downloadProgress.errors,
+                sizeBytes: tiles.length * TILE_BYTES,
+                createdAt: new Date().toISOString()
+            };
+            await putRecord(SOURCES_STORE, source);
+            sources.push(source);
+            refreshZoomIndex();
+
+            report('complete');
+            return source;
+        } catch (err) {
+            if (err.name === 'AbortError') {
+                report('cancelled');
+                return undefined;
+            }
+            throw err;
+        } finally {
+            isDownloading = false;
+            abortController = null;
+            downloadProgress = null;
+        }
+    }
+
+    function cancelDownload() {
+        if (abortController) abortController.abort();
+    }
+
+    function isDownloadInProgress() {
+        return isDownloading;
+    }
+
+    function getDownloadProgress() {
+        return downloadProgress ? { ...downloadProgress } : null;
+    }
+
+    // ==================== IMPORT ====================
+
+    /**
+     * Import an elevation file (.hgt or GeoTIFF)
+     * @param {File} file
+     * @returns {Promise<Object>} Source record
+     */
+    async function importFile(file) {
+        if (!db) await openDatabase();
+
+        const name = file.name || 'elevation';
+        const lower = name.toLowerCase();
+        if (lower.endsWith('.zip')) {
+            throw new Error('Unzip the file first, then import the .hgt or .tif inside');
+        }
+
+        const buffer = await file.arrayBuffer();
+        let grid;
+        if (lower.endsWith('.hgt')) {
+            grid = parseHGT(buffer, name);
+        } else if (lower.endsWith('.tif') || lower.endsWith('.tiff')) {
+            grid = await parseGeoTIFF(buffer);
+        } else {
+            throw new Error('Unsupported elevation file (use .hgt or .tif)');
+        }
+
+        const source = {
+            id: Helpers.generateId(),
+            type: 'grid',
+            format: grid.format,
+            name,
+            bounds: gridBounds(grid),
+            originLat: grid.originLat,
+            originLon: grid.originLon,
+            dLat: grid.dLat,
+            dLon: grid.dLon,
+            width: grid.width,
+            height: grid.height,
+            noData: grid.noData,
+            resolutionMeters: Math.round(grid.dLat * 111320),
+            sizeBytes: grid.data.byteLength,
+            createdAt: new Date().toISOString()
+        };
+
+        const key = `grid:${source.id}`;
+        await putRecord(TILES_STORE, { key, data: grid.data });
+        await putRecord(SOURCES_STORE, source);
+        tileKeys.add(key);
+        sources.push(source);
+        return source;
+    }
+
+    // ==================== MANAGEMENT ====================
+
+    /**
+     * Delete a source and any arrays no other source still needs
+     */
+    async function deleteSource(id) {
+        const source = sources.find(s => s.id === id);
+        if (!source) throw new Error('DEM source not found');
+
+        sources = sources.filter(s => s.id !== id);
+
+        if (source.type === 'grid') {
+            const key = `grid:${id}`;
+            await deleteRecord(TILES_STORE, key);
+            tileKeys.delete(key);
+            memoryCache.delete(key);
+        } else {
+            // Tiles may be shared with overlapping downloads
+            const stillUsed = new Set();
+            sources.filter(s => s.type === 'terrarium').forEach(s => {
+                tilesForBounds(s.bounds, s.zoom).forEach(t => stillUsed.add(tileKey(t.z, t.x, t.y)));
+            });
+            for (const t of tilesForBounds(source.bounds, source.zoom)) {
+                const key = tileKey(t.z, t.x, t.y);
+                if (stillUsed.has(key) || !tileKeys.has(key)) continue;
+                await deleteRecord(TILES_STORE, key);
+                tileKeys.delete(key);
+                memoryCache.delete(key);
+            }
+        }
+
+        await deleteRecord(SOURCES_STORE, id);
+        refreshZoomIndex();
+    }
+
+    /**
+     * Delete DEM downloads made together with an offline map region
+     */
+    async function deleteSourcesForRegion(regionId) {
+        const linked = sources.filter(s => s.regionId === regionId);
+        for (const source of linked) {
+            await deleteSource(source.id);
+        }
+        return linked.length;
+    }
+
+    function getSources() {
+        return sources.map(s => ({ ...s }));
+    }
+
+    function getStats() {
+        return {
+            sourceCount: sources.length,
+            sizeBytes: sources.reduce((sum, s) => sum + (s.sizeBytes || 0), 0),
+            localHits
+        };
+    }
+
+    return {
+        init,
+        // Lookup
+        getElevation,
+        getElevations,
+        hasCoverage,
+        hasData,
+        // Download / import
+        estimateDownload,
+        downloadArea,
+        cancelDownload,
+        isDownloadInProgress,
+        getDownloadProgress,
+        importFile,
+        // Management
+        deleteSource,
+        deleteSourcesForRegion,
+        getSources,
+        getStats,
+        // Decoding / sampling (exposed for testing)
+        decodeTerrarium,
+        decodeMapboxRGB,
+        decodeRGBPixels,
+        latLonToGlobalPixel,
+        tilesForBounds,
+        bilinear,
+        sampleTiles,
+        sampleGrid,
+        gridBounds,
+        parseHGTName,
+        parseHGT,
+        readGeoTIFF,
+        rasterizeGeoTIFF,
+        parseGeoTIFF,
+        // Constants
+        DEFAULT_DEM_ZOOM,
+        DEM_ZOOMS,
+        TILE_BYTES
+    };
+})();
+
+window.DEMModule = DEMModule;
@@ -1,6 +1,7 @@
 /**
  * GridDown Elevation Module - Route Elevation Analysis
- * Uses Open-Meteo Elevation API (free, no key required)
+ * Serves elevations from locally stored DEM data (DEMModule) first and
+ * falls back to the Open-Meteo Elevation API (free, no key required)
  */
 const ElevationModule = (function() {
     'use strict';
@@ -123,7 +124,7 @@ const ElevationModule = (function() {
         if (!coordinates || coordinates.length === 0) return [];
 
         // Check cache first
-        const uncached = [];
+        let uncached = [];
         const results = new Array(coordinates.length);
         
         coordinates.forEach((coord, i) => {
@@ -140,6 +141,32 @@ const ElevationModule = (function() {
             return results;
         }
 
+        // Serve what we can from locally stored DEM data (meters)
+        if (typeof DEMModule !== 'undefined' && DEMModule.hasData()) {
+            try {
+                const local = await DEMModule.getElevations(uncached.map(u => u.coord));
+                uncached = uncached.filter((u, i) => {
+                    if (local[i] === null) return true;
+                    const elevationFeet = local[i] * 3.28084;
+                    results[u.index] = elevationFeet;
+                    elevationCache.set(getCacheKey(u.coord.lat, u.coord.lon), elevationFeet);
+                    return false;
+                });
+            } catch (err) {
+                console.warn('[Elevation] Local DEM lookup failed:', err);
+            }
+
+            if (uncached.length === 0) {
+                return results;
+            }
+        }
+
+        // No network and no local coverage — don't burn time on retries
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            uncached.forEach(u => { results[u.index] = null; });
+            return results;
+        }
+
         // Batch uncached coordinates (API limit is 100)
         const batches = [];
         for (let i = 0; i < uncached.length; i += 100) {
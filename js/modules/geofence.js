@@ -0,0 +1,526 @@
+/**
+ * GridDown Geofence Module - Enter/Exit/Dwell Alerts
+ * Watches our GPS fix and tracked positions (Meshtastic nodes, APRS
+ * stations, TAK contacts) against drawn areas or radii around waypoints,
+ * raising alerts through AlertModule with per-fence rules, cooldowns and a log
+ */
+const GeofenceModule = (function() {
+    'use strict';
+
+    // ==================== CONSTANTS ====================
+
+    const EARTH_RADIUS_M = 6371000;
+    const STORAGE_KEY = 'geofences';
+    const LOG_STORAGE_KEY = 'geofence_log';
+    const MAX_LOG = 500;
+    const EXIT_MARGIN_M = 15;              // Must be this far outside before an exit counts (GPS jitter)
+    const SUBJECT_STALE_MS = 30 * 60 * 1000; // Ignore positions older than this
+    const CHECK_INTERVAL = 15000;          // Dwell timers and stale cleanup
+    const EVALUATE_DEBOUNCE = 1000;
+    const DEFAULT_COOLDOWN_MIN = 5;
+    const DEFAULT_DWELL_MIN = 10;
+
+    const EVENTS = {
+        ENTER: 'enter',
+        EXIT: 'exit',
+        DWELL: 'dwell'
+    };
+
+    const SOURCE_LABELS = {
+        self: 'GPS',
+        mesh: 'Meshtastic',
+        aprs: 'APRS',
+        tak: 'TAK'
+    };
+
+    // ==================== STATE ====================
+
+    let initialized = false;
+
+    // { id, name, shape: 'area'|'radius', areaId, waypointId, center: {lat, lon}, radiusM,
+    //   alertOn: { enter, exit, dwell }, dwellMinutes, watch: { self, mesh, aprs, tak },
+    //   severity, cooldownMinutes, enabled, createdAt }
+    let fences = [];
+
+    // { id, time, fenceId, fenceName, event, subject, subjectName, source, lat, lon, alerted }
+    let log = [];
+
+    // "<fenceId>|<subjectKey>" -> { name, inside, since, lastSeen, dwellAlerted }
+    const presence = new Map();
+
+    // "<fenceId>|<subjectKey>|<event>" -> timestamp of last alert
+    const lastAlerts = new Map();
+
+    let evaluateTimer = null;
+    let logSaveTimer = null;
+
+    // ==================== INITIALIZATION ====================
+
+    /**
+     * Initialize the geofence module
+     */
+    async function init() {
+        if (initialized) {
+            console.debug('GeofenceModule already initialized');
+            return;
+        }
+
+        try {
+            fences = await Storage.Settings.get(STORAGE_KEY, []) || [];
+            log = await Storage.Settings.get(LOG_STORAGE_KEY, []) || [];
+        } catch (e) {
+            console.warn('GeofenceModule: could not load geofences:', e);
+        }
+
+        if (typeof GPSModule !== 'undefined' && GPSModule.subscribe) {
+            GPSModule.subscribe(() => scheduleEvaluate());
+        }
+        if (typeof Events !== 'undefined') {
+            Events.on('meshtastic:position', () => scheduleEvaluate());
+            Events.on('aprs:position', () => scheduleEvaluate());
+            Events.on('tak:positions_updated', () => scheduleEvaluate());
+            Events.on('areas:changed', () => scheduleEvaluate());
+        }
+        setInterval(() => evaluate(), CHECK_INTERVAL);
+
+        initialized = true;
+        console.log('GeofenceModule initialized', fences.length ? `- ${fences.length} fence(s)` : '');
+    }
+
+    // ==================== GEOMETRY ====================
+
+    function toRad(deg) {
+        return deg * Math.PI / 180;
+    }
+
+    function distanceMeters(lat1, lon1, lat2, lon2) {
+        const dLat = toRad(lat2 - lat1);
+        const dLon = toRad(lon2 - lon1);
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+        return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+    }
+
+    /**
+     * Distance in meters from a point to the nearest edge of a ring
+     * (local equirectangular projection, fine at fence scale)
+     */
+    function distanceToRing(points, lat, lon) {
+        const kx = EARTH_RADIUS_M * toRad(1) * Math.cos(toRad(lat));
+        const ky = EARTH_RADIUS_M * toRad(1);
+        const xy = points.map(p => ({ x: (p.lon - lon) * kx, y: (p.lat - lat) * ky }));
+        let best = Infinity;
+        for (let i = 0; i < xy.length; i++) {
+            const a = xy[i];
+            const b = xy[(i + 1) % xy.length];
+            const dx = b.x - a.x, dy = b.y - a.y;
+            const len2 = dx * dx + dy * dy;
+            const t = len2 > 0 ? Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / len2)) : 0;
+            best = Math.min(best, Math.hypot(a.x + t * dx, a.y + t * dy));
+        }
+        return best;
+    }
+
+    /**
+     * Resolve a fence to its current geometry. Area and waypoint fences follow
+     * edits to the area or waypoint; returns null if it has been deleted.
+     * @returns {{type: 'polygon', points}|{type: 'circle', center, radiusM}|null}
+     */
+    function getFenceGeometry(fence) {
+        if (fence.shape === 'area') {
+            const area = (State.get('areas') || []).find(a => a.id === fence.areaId);
+            return area && area.points?.length >= 3 ? { type: 'polygon', points: area.points } : null;
+        }
+        let center = fence.center;
+        if (fence.waypointId) {
+            const wp = (State.get('waypoints') || []).find(w => w.id === fence.waypointId);
+            center = wp && typeof wp.lat === 'number' && typeof wp.lon === 'number' ? { lat: wp.lat, lon: wp.lon } : null;
+        }
+        return center && fence.radiusM > 0 ? { type: 'circle', center, radiusM: fence.radiusM } : null;
+    }
+
+    /**
+     * Where a point is relative to a fence
+     * @returns {{inside: boolean, clearlyOutside: boolean}|null} clearlyOutside is
+     *          false within the exit margin, so a fix jittering on the line doesn't flap
+     */
+    function classifyPoint(geometry, lat, lon, margin = EXIT_MARGIN_M) {
+        if (!geometry) return null;
+        if (geometry.type === 'circle') {
+            const d = distanceMeters(geometry.center.lat, geometry.center.lon, lat, lon);
+            return { inside: d <= geometry.radiusM, clearlyOutside: d > geometry.radiusM + margin };
+        }
+        const inside = AreasModule.containsPoint(geometry.points, lat, lon);
+        return { inside, clearlyOutside: !inside && distanceToRing(geometry.points, lat, lon) > margin };
+    }
+
+    // ==================== FENCES ====================
+
+    /**
+     * Build a normalized fence (does not store it)
+     */
+    function createFence(data = {}) {
+        const shape = data.shape === 'radius' ? 'radius' : 'area';
+        const alertOn = { enter: true, exit: true, dwell: false, ...(data.alertOn || {}) };
+        const watch = { self: true, mesh: true, aprs: true, tak: true, ...(data.watch || {}) };
+        const severities = typeof AlertModule !== 'undefined' ? Object.values(AlertModule.SEVERITY) : ['info', 'caution', 'warning', 'critical', 'emergency'];
+
+        return {
+            id: data.id || Helpers.generateId(),
+            name: (data.name || '').trim() || 'Geofence',
+            shape,
+            areaId: shape === 'area' ? data.areaId || null : null,
+            waypointId: shape === 'radius' ? data.waypointId || null : null,
+            center: shape === 'radius' && data.center ? { lat: data.center.lat, lon: data.center.lon } : null,
+            radiusM: shape === 'radius' ? Math.max(0, parseFloat(data.radiusM) || 0) : null,
+            alertOn: { enter: !!alertOn.enter, exit: !!alertOn.exit, dwell: !!alertOn.dwell },
+            dwellMinutes: Math.max(1, parseFloat(data.dwellMinutes) || DEFAULT_DWELL_MIN),
+            watch: { self: !!watch.self, mesh: !!watch.mesh, aprs: !!watch.aprs, tak: !!watch.tak },
+            severity: severities.includes(data.severity) ? data.severity : 'warning',
+            cooldownMinutes: Math.max(0, parseFloat(data.cooldownMinutes ?? DEFAULT_COOLDOWN_MIN) || 0),
+            enabled: data.enabled !== false,
+            createdAt: data.createdAt || new Date().toISOString()
+        };
+    }
+
+    /**
+     * Add a geofence
+     * @param {Object} data - area fences need areaId; radius fences need radiusM and a waypointId or center
+     */
+    async function addFence(data) {
+        const fence = createFence(data);
+        if (!getFenceGeometry(fence)) {
+            throw new Error(fence.shape === 'area'
+                ? 'Pick an area for the geofence'
+                : 'A radius geofence needs a waypoint or center and a radius');
+        }
+        fences.push(fence);
+        await saveFences();
+        return fence;
+    }
+
+    async function updateFence(id, updates) {
+        const index = fences.findIndex(f => f.id === id);
+        if (index === -1) return null;
+        fences[index] = createFence({ ...fences[index], ...updates, id });
+        clearPresence(id);
+        await saveFences();
+        return fences[index];
+    }
+
+    async function deleteFence(id) {
+        fences = fences.filter(f => f.id !== id);
+        clearPresence(id);
+        await saveFences();
+    }
+
+    async function setFenceEnabled(id, enabled) {
+        return updateFence(id, { enabled: !!enabled });
+    }
+
+    function getFences() {
+        return fences.map(f => ({ ...f, missing: !getFenceGeometry(f), occupants: getOccupants(f.id) }));
+    }
+
+    function clearPresence(fenceId) {
+        for (const key of presence.keys()) {
+            if (key.startsWith(fenceId + '|')) presence.delete(key);
+        }
+    }
+
+    async function saveFences() {
+        try {
+            await Storage.Settings.set(STORAGE_KEY, fences);
+        } catch (e) {
+            console.warn('GeofenceModule: could not save geofences:', e);
+        }
+        scheduleEvaluate();
+        if (typeof Events !== 'undefined') Events.emit('geofence:changed', { fences: getFences() });
+        if (typeof MapModule !== 'undefined' && MapModule.render) MapModule.render();
+    }
+
+    // ==================== SUBJECTS ====================
+
+    /**
+     * Current positions from every source
+     * @returns {Array<{key, name, source, lat, lon, at, accuracy}>}
+     */
+    function collectSubjects() {
+        const subjects = [];
+        const now = Date.now();
+        const valid = (lat, lon) => typeof lat === 'number' && typeof lon === 'number' && isFinite(lat) && isFinite(lon) && (lat !== 0 || lon !== 0);
+
+        if (typeof GPSModule !== 'undefined') {
+            const pos = GPSModule.getPosition();
+            if (pos && !pos.isManual && valid(pos.lat, pos.lon)) {
+                subjects.push({ key: 'self', name: 'You', source: 'self', lat: pos.lat, lon: pos.lon, at: pos.timestamp || now, accuracy: pos.accuracy || 0 });
+            }
+        }
+
+        if (typeof MeshtasticModule !== 'undefined' && MeshtasticModule.getNodes) {
+            const myId = MeshtasticModule.getConnectionState?.().nodeId;
+            MeshtasticModule.getNodes().forEach(n => {
+                if (!n.id || n.id === myId || !valid(n.lat, n.lon)) return;
+                subjects.push({ key: `mesh:${n.id}`, name: n.shortName || n.longName || n.name || n.id, source: 'mesh', lat: n.lat, lon: n.lon, at: n.lastSeen || 0 });
+            });
+        }
+
+        if (typeof APRSModule !== 'undefined' && APRSModule.getStations) {
+            APRSModule.getStations().forEach(s => {
+                if (!valid(s.lat, s.lon)) return;
+                subjects.push({ key: `aprs:${s.callsign}`, name: s.callsign, source: 'aprs', lat: s.lat, lon: s.lon, at: s.lastHeard || 0 });
+            });
+        }
+
+        if (typeof TAKModule !== 'undefined' && TAKModule.getPositions) {
+            // getPositions() already drops stale contacts
+            TAKModule.getPositions().forEach(p => {
+                if (!valid(p.lat, p.lon)) return;
+                subjects.push({ key: `tak:${p.id}`, name: p.name || p.id, source: 'tak', lat: p.lat, lon: p.lon, at: Date.parse(p.lastUpdate) || now });
+            });
+        }
+
+        return subjects.filter(s => now - s.at < SUBJECT_STALE_MS);
+    }
+
+    // ==================== EVALUATION ====================
+
+    function scheduleEvaluate() {
+        if (evaluateTimer) return;
+        evaluateTimer = setTimeout(() => {
+            evaluateTimer = null;
+            evaluate();
+        }, EVALUATE_DEBOUNCE);
+    }
+
+    /**
+     * Check subjects against every enabled fence and raise enter/exit/dwell events.
+     * The first time a subject is seen near a fence only its state is recorded,
+     * so startup and newly heard stations don't produce a burst of "enter" alerts.
+     * @param {Array} [subjects] - defaults to collectSubjects()
+     * @param {number} [now]
+     * @returns {Array} events raised
+     */
+    function evaluate(subjects = collectSubjects(), now = Date.now()) {
+        const raised = [];
+
+        fences.forEach(fence => {
+            if (!fence.enabled) return;
+            const geometry = getFenceGeometry(fence);
+            if (!geometry) return;
+
+            subjects.forEach(subject => {
+                if (!fence.watch[subject.source]) return;
+                const where = classifyPoint(geometry, subject.lat, subject.lon, Math.max(EXIT_MARGIN_M, subject.accuracy || 0));
+                const key = `${fence.id}|${subject.key}`;
+                const prev = presence.get(key);
+
+                if (!prev) {
+                    presence.set(key, { name: subject.name, inside: where.inside, since: now, lastSeen: now, dwellAlerted: false });
+                    return;
+                }
+                prev.lastSeen = now;
+                prev.name = subject.name;
+
+                if (!prev.inside && where.inside) {
+                    Object.assign(prev, { inside: true, since: now, dwellAlerted: false });
+                    raised.push(raise(fence, subject, EVENTS.ENTER, now));
+                } else if (prev.inside && where.clearlyOutside) {
+                    Object.assign(prev, { inside: false, since: now, dwellAlerted: false });
+                    raised.push(raise(fence, subject, EVENTS.EXIT, now));
+                } else if (prev.inside && !prev.dwellAlerted && fence.alertOn.dwell &&
+                    now - prev.since >= fence.dwellMinutes * 60000) {
+                    prev.dwellAlerted = true;
+                    raised.push(raise(fence, subject, EVENTS.DWELL, now));
+                }
+            });
+        });
+
+        // Forget subjects that went quiet; they start fresh when heard again
+        presence.forEach((p, key) => {
+            if (now - p.lastSeen > SUBJECT_STALE_MS) presence.delete(key);
+        });
+
+        return raised.filter(Boolean);
+    }
+
+    /**
+     * Log an event and alert if the fence's rules and cooldown allow
+     */
+    function raise(fence, subject, event, now) {
+        const cooldownKey = `${fence.id}|${subject.key}|${event}`;
+        const wanted = fence.alertOn[event];
+        const coolingDown = now - (lastAlerts.get(cooldownKey) || 0) < fence.cooldownMinutes * 60000;
+        const alerted = wanted && !coolingDown;
+
+        const entry = {
+            id: `gf_${now}_${Math.random().toString(36).substr(2, 6)}`,
+            time: now,
+            fenceId: fence.id,
+            fenceName: fence.name,
+            event,
+            subject: subject.key,
+            subjectName: subject.name,
+            source: subject.source,
+            lat: subject.lat,
+            lon: subject.lon,
+            alerted
+        };
+        log.push(entry);
+        if (log.length > MAX_LOG) log.splice(0, log.length - MAX_LOG);
+        saveLog();
+
+        if (alerted) {
+            lastAlerts.set(cooldownKey, now);
+            if (typeof AlertModule !== 'undefined') {
+                const verb = event === EVENTS.ENTER ? 'entered' : event === EVENTS.EXIT ? 'left' : 'has been in';
+                const suffix = event === EVENTS.DWELL ? ` for ${fence.dwellMinutes} min` : '';
+                AlertModule.trigger({
+                    source: AlertModule.SOURCES.GEOFENCE,
+                    severity: fence.severity,
+                    title: `${subject.name} ${verb} ${fence.name}${suffix}`,
+                    message: `${SOURCE_LABELS[subject.source]} • ${subject.lat.toFixed(5)}, ${subject.lon.toFixed(5)}`,
+                    data: { fenceId: fence.id, subject: subject.key, event, lat: subject.lat, lon: subject.lon }
+                });
+            }
+        }
+
+        if (typeof Events !== 'undefined') Events.emit('geofence:event', entry);
+        return entry;
+    }
+
+    /**
+     * Names of the subjects currently inside a fence
+     */
+    function getOccupants(fenceId) {
+        const names = [];
+        presence.forEach((p, key) => {
+            if (p.inside && key.startsWith(fenceId + '|')) names.push(p.name);
+        });
+        return names;
+    }
+
+    // ==================== LOG ====================
+
+    function saveLog() {
+        if (logSaveTimer) return;
+        logSaveTimer = setTimeout(async () => {
+            logSaveTimer = null;
+            try {
+                await Storage.Settings.set(LOG_STORAGE_KEY, log);
+            } catch (e) {
+                console.warn('GeofenceModule: could not save log:', e);
+            }
+        }, 2000);
+    }
+
+    /**
+     * Logged events, newest first
+     * @param {Object} [filter] - { fenceId, limit }
+     */
+    function getLog(filter = {}) {
+        let entries = log.slice().reverse();
+        if (filter.fenceId) entries = entries.filter(e => e.fenceId === filter.fenceId);
+        return filter.limit ? entries.slice(0, filter.limit) : entries;
+    }
+
+    function clearLog() {
+        log = [];
+        saveLog();
+        if (typeof Events !== 'undefined') Events.emit('geofence:event', null);
+    }
+
+    /**
+     * Log as CSV (oldest first)
+     */
+    function exportLogCSV() {
+        const quote = v => `"${String(v).replace(/"/g, '""')}"`;
+        const rows = log.map(e => [
+            new Date(e.time).toISOString(), quote(e.fenceName), e.event, quote(e.subjectName),
+            e.source, e.lat.toFixed(6), e.lon.toFixed(6), e.alerted ? 1 : 0
+        ].join(','));
+        return ['time,fence,event,subject,source,lat,lon,alerted', ...rows].join('\n');
+    }
+
+    // ==================== RENDERING ====================
+
+    /**
+     * Outline fences on the map: dashed circles for radius fences and a dashed
+     * halo over fenced areas. Red while someone is inside.
+     */
+    function renderOnMap(ctx, width, height, latLonToPixel) {
+        if (fences.length === 0) return;
+
+        ctx.save();
+        fences.forEach(fence => {
+            const geometry = getFenceGeometry(fence);
+            if (!geometry) return;
+            const occupied = getOccupants(fence.id).length > 0;
+            ctx.strokeStyle = !fence.enabled ? 'rgba(255,255,255,0.35)' : occupied ? '#ef4444' : '#f97316';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([8, 6]);
+            ctx.beginPath();
+
+            let label;
+            if (geometry.type === 'circle') {
+                const c = latLonToPixel(geometry.center.lat, geometry.center.lon);
+                const edge = latLonToPixel(geometry.center.lat + geometry.radiusM / EARTH_RADIUS_M * 180 / Math.PI, geometry.center.lon);
+                const r = Math.abs(c.y - edge.y);
+                if (c.x + r < 0 || c.x - r > width || c.y + r < 0 || c.y - r > height) return;
+                ctx.arc(c.x, c.y, r, 0, Math.PI * 2);
+                label = { x: c.x, y: c.y - r - 6 };
+            } else {
+                const pixels = geometry.points.map(p => latLonToPixel(p.lat, p.lon));
+                pixels.forEach((px, i) => (i === 0 ? ctx.moveTo(px.x, px.y) : ctx.lineTo(px.x, px.y)));
+                ctx.closePath();
+                const top = pixels.reduce((a, b) => (b.y < a.y ? b : a));
+                label = { x: top.x, y: top.y - 6 };
+            }
+            ctx.stroke();
+
+            ctx.setLineDash([]);
+            ctx.font = '11px system-ui, sans-serif';
+            ctx.textAlign = 'center';
+            ctx.lineWidth = 3;
+            ctx.strokeStyle = 'rgba(0,0,0,0.7)';
+            ctx.strokeText(`🛡 ${fence.name}`, label.x, label.y);
+            ctx.fillStyle = '#fff';
+            ctx.fillText(`🛡 ${fence.name}`, label.x, label.y);
+        });
+        ctx.restore();
+    }
+
+    // ==================== PUBLIC API ====================
+
+    return {
+        init,
+
+        // Fences
+        createFence,
+        addFence,
+        updateFence,
+        deleteFence,
+        setFenceEnabled,
+        getFences,
+        getFenceGeometry,
+        classifyPoint,
+
+        // Evaluation
+        collectSubjects,
+        evaluate,
+        getOccupants,
+
+        // Log
+        getLog,
+        clearLog,
+        exportLogCSV,
+
+        // Rendering
+        renderOnMap,
+
+        EVENTS,
+        SOURCE_LABELS
+    };
+})();
+
+window.GeofenceModule = GeofenceModule;
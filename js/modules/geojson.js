@@ -0,0 +1,726 @@
+/**
+ * GridDown GeoJSON Module - Import/Export GeoJSON Files
+ * Supports RFC 7946 FeatureCollections, single Features and bare geometries
+ * Compatible with QGIS, ArcGIS, geojson.io, CalTopo and other GIS applications
+ */
+const GeoJSONModule = (function() {
+    'use strict';
+
+    // Route terrain values GridDown understands
+    const TERRAIN_TYPES = ['highway', 'road', 'trail', 'crawl'];
+
+    // Property keys checked (in order) for a feature's name and notes
+    const NAME_KEYS = ['name', 'title', 'Name', 'NAME', 'label'];
+    const NOTES_KEYS = ['notes', 'description', 'desc', 'comment', 'Description'];
+
+    // Property keys that may carry a GridDown waypoint type
+    const TYPE_KEYS = ['griddown_type', 'type', 'category', 'marker-symbol', 'amenity', 'symbol', 'sym'];
+
+    /**
+     * Parse GeoJSON string (or object) into waypoints, routes and areas
+     */
+    function parseGeoJSON(input) {
+        let data = input;
+        if (typeof input === 'string') {
+            try {
+                data = JSON.parse(input);
+            } catch (e) {
+                throw new Error('Invalid GeoJSON file: ' + e.message);
+            }
+        }
+
+        if (!data || typeof data !== 'object' || typeof data.type !== 'string') {
+            throw new Error('Invalid GeoJSON file: missing "type"');
+        }
+
+        const result = {
+            waypoints: [],
+            routes: [],
+            areas: [],
+            skipped: 0,
+            metadata: {}
+        };
+
+        let features;
+        if (data.type === 'FeatureCollection') {
+            if (!Array.isArray(data.features)) {
+                throw new Error('Invalid GeoJSON file: FeatureCollection has no features array');
+            }
+            features = data.features;
+            if (data.name) result.metadata.name = String(data.name);
+            if (data.description) result.metadata.description = String(data.description);
+        } else if (data.type === 'Feature') {
+            features = [data];
+        } else if (data.coordinates || data.geometries) {
+            // Bare geometry
+            features = [{ type: 'Feature', properties: {}, geometry: data }];
+        } else {
+            throw new Error('Unsupported GeoJSON type: ' + data.type);
+        }
+
+        features.forEach((feature, index) => {
+            if (!feature || feature.type !== 'Feature' || !feature.geometry) {
+                result.skipped++;
+                return;
+            }
+            parseGeometry(feature.geometry, feature.properties || {}, index, result);
+        });
+
+        return result;
+    }
+
+    /**
+     * Convert one geometry into GridDown objects, appending to result
+     */
+    function parseGeometry(geometry, props, index, result) {
+        const coords = geometry.coordinates;
+
+        switch (geometry.type) {
+            case 'Point': {
+                const waypoint = parsePointAsWaypoint(coords, props, index);
+                if (waypoint) result.waypoints.push(waypoint);
+                else result.skipped++;
+                break;
+            }
+            case 'MultiPoint':
+                (coords || []).forEach((position, i) => {
+                    const waypoint = parsePointAsWaypoint(position, props, index + i);
+                    if (waypoint) result.waypoints.push(waypoint);
+                    else result.skipped++;
+                });
+                break;
+            case 'LineString': {
+                const route = parseLinesAsRoute([coords], props, index);
+                if (route) result.routes.push(route);
+                else result.skipped++;
+                break;
+            }
+            case 'MultiLineString': {
+                // Multiple parts are joined into a single route, like KML MultiGeometry
+                const route = parseLinesAsRoute(coords, props, index);
+                if (route) result.routes.push(route);
+                else result.skipped++;
+                break;
+            }
+            case 'Polygon': {
+                const area = parsePolygonAsArea(coords, props, index);
+                if (area) result.areas.push(area);
+                else result.skipped++;
+                break;
+            }
+            case 'MultiPolygon':
+                (coords || []).forEach((polygon, i) => {
+                    const area = parsePolygonAsArea(polygon, props, index + i);
+                    if (area) result.areas.push(area);
+                    else result.skipped++;
+                });
+                break;
+            case 'GeometryCollection':
+                (geometry.geometries || []).forEach(g => parseGeometry(g, props, index, result));
+                break;
+            default:
+                result.skipped++;
+        }
+    }
+
+    /**
+     * Parse a Point position as a waypoint, mapping properties to type fields
+     */
+    function parsePointAsWaypoint(position, props, index) {
+        const coord = parsePosition(position);
+        if (!coord) return null;
+
+        const name = pickProperty(props, NAME_KEYS) || `Waypoint ${index + 1}`;
+        const notes = cleanDescription(pickProperty(props, NOTES_KEYS));
+        const type = resolveWaypointType(props, name, notes);
+
+        const waypoint = {
+            id: Helpers.generateId(),
+            name: String(name),
+            lat: coord.lat,
+            lon: coord.lon,
+            x: lonToX(coord.lon),
+            y: latToY(coord.lat),
+            elevation: coord.alt,
+            type: type,
+            notes: notes,
+            verified: parseBoolean(props.verified) === true,
+            source: 'geojson',
+            ...mapTypeFields(type, props)
+        };
+
+        const confidence = parseInt(props.confidence, 10);
+        if (confidence >= 1 && confidence <= 5) waypoint.confidence = confidence;
+        if (props.visibility) waypoint.visibility = String(props.visibility);
+
+        return waypoint;
+    }
+
+    /**
+     * Parse one or more LineString coordinate arrays as a single route
+     */
+    function parseLinesAsRoute(lines, props, index) {
+        if (!Array.isArray(lines)) return null;
+
+        const coords = [];
+        lines.forEach(line => {
+            if (!Array.isArray(line)) return;
+            line.forEach(position => {
+                const coord = parsePosition(position);
+                if (coord) coords.push(coord);
+            });
+        });
+
+        if (coords.length < 2) return null;
+
+        const name = pickProperty(props, NAME_KEYS) || `Route ${index + 1}`;
+        const notes = cleanDescription(pickProperty(props, NOTES_KEYS));
+        const terrain = TERRAIN_TYPES.includes(props.terrain) ? props.terrain : 'road';
+
+        const points = coords.map(c => ({
+            lat: c.lat,
+            lon: c.lon,
+            x: lonToX(c.lon),
+            y: latToY(c.lat),
+            elevation: c.alt,
+            terrain: terrain
+        }));
+
+        const stats = calculateRouteStats(points);
+
+        return {
+            id: Helpers.generateId(),
+            name: String(name),
+            notes: notes,
+            points: points,
+            distance: stats.distance.toFixed(1),
+            duration: formatDuration(stats.estimatedTime),
+            elevation: stats.elevationGain.toFixed(0),
+            source: 'geojson'
+        };
+    }
+
+    /**
+     * Parse a Polygon as an area (outer ring only; holes are dropped)
+     */
+    function parsePolygonAsArea(rings, props, index) {
+        if (!Array.isArray(rings) || !Array.isArray(rings[0])) return null;
+
+        const points = [];
+        rings[0].forEach(position => {
+            const coord = parsePosition(position);
+            if (coord) points.push({ lat: coord.lat, lon: coord.lon });
+        });
+
+        // GeoJSON rings repeat the first position at the end
+        if (points.length > 1) {
+            const first = points[0];
+            const last = points[points.length - 1];
+            if (first.lat === last.lat && first.lon === last.lon) points.pop();
+        }
+
+        if (points.length < 3) return null;
+
+        const area = {
+            id: Helpers.generateId(),
+            name: String(pickProperty(props, NAME_KEYS) || `Area ${index + 1}`),
+            notes: cleanDescription(pickProperty(props, NOTES_KEYS)),
+            points: points,
+            source: 'geojson'
+        };
+
+        // simplestyle-spec colors
+        const color = props.stroke || props.color;
+        if (isHexColor(color)) area.color = color;
+        if (isHexColor(props.fill)) area.fill = props.fill;
+        const opacity = parseFloat(props['fill-opacity']);
+        if (!isNaN(opacity)) area.fillOpacity = opacity;
+        if (props.griddown_area_type) area.type = String(props.griddown_area_type);
+
+        return area;
+    }
+
+    /**
+     * Parse a GeoJSON position [lon, lat, alt?] into {lat, lon, alt}
+     */
+    function parsePosition(position) {
+        if (!Array.isArray(position) || position.length < 2) return null;
+
+        const lon = Number(position[0]);
+        const lat = Number(position[1]);
+        if (!isFinite(lat) || !isFinite(lon)) return null;
+        if (lat < -90 || lat > 90 || lon < -180 || lon > 180) return null;
+
+        const alt = position.length > 2 && position[2] !== null ? Number(position[2]) : NaN;
+        return { lat, lon, alt: isFinite(alt) ? alt : null };
+    }
+
+    /**
+     * Determine a WAYPOINT_TYPES key from properties, falling back to name inference
+     */
+    function resolveWaypointType(props, name, notes) {
+        const types = Constants.WAYPOINT_TYPES || {};
+        const hints = [];
+
+        for (const key of TYPE_KEYS) {
+            const value = props[key];
+            if (value === undefined || value === null || value === '') continue;
+            const normalized = normalizeKey(value);
+            if (types[normalized]) return normalized;
+            hints.push(String(value));
+        }
+
+        return inferWaypointType(String(name), notes, hints.join(' '));
+    }
+
+    /**
+     * Map feature properties onto the type's WAYPOINT_TYPES fields.
+     * Keys match case- and separator-insensitively against the field key or label,
+     * so "flow_rate", "Flow Rate" and "flowRate" all land in flowRate.
+     */
+    function mapTypeFields(type, props) {
+        const typeConfig = Constants.WAYPOINT_TYPES && Constants.WAYPOINT_TYPES[type];
+        if (!typeConfig || !typeConfig.fields) return {};
+
+        const lookup = {};
+        Object.keys(props).forEach(key => {
+            lookup[normalizeKey(key)] = props[key];
+        });
+
+        const values = {};
+        typeConfig.fields.forEach(field => {
+            let raw = lookup[normalizeKey(field.key)];
+            if (raw === undefined && field.label) raw = lookup[normalizeKey(field.label)];
+            if (raw === undefined || raw === null || raw === '') return;
+
+            const value = coerceFieldValue(field, raw);
+            if (value !== undefined) values[field.key] = value;
+        });
+
+        return values;
+    }
+
+    /**
+     * Coerce a raw property value to a field's type; undefined if it does not fit
+     */
+    function coerceFieldValue(field, raw) {
+        switch (field.type) {
+            case 'checkbox':
+                return parseBoolean(raw);
+            case 'number': {
+                const num = parseFloat(raw);
+                return isFinite(num) ? num : undefined;
+            }
+            case 'select': {
+                const wanted = normalizeKey(raw);
+                const option = (field.options || []).find(o =>
+                    normalizeKey(o.value) === wanted || normalizeKey(o.label) === wanted
+                );
+                return option ? option.value : undefined;
+            }
+            case 'date': {
+                const date = new Date(raw);
+                if (isNaN(date.getTime())) return undefined;
+                return date.toISOString().slice(0, 10);
+            }
+            default:
+                return String(raw);
+        }
+    }
+
+    /**
+     * Export waypoints, routes and optional tracks, team positions and areas
+     * to a GeoJSON FeatureCollection object
+     */
+    function exportGeoJSON(waypoints, routes, options = {}) {
+        const features = [];
+
+        (waypoints || []).forEach(wp => {
+            const feature = waypointToFeature(wp);
+            if (feature) features.push(feature);
+        });
+
+        (routes || []).forEach(route => {
+            const feature = routeToFeature(route);
+            if (feature) features.push(feature);
+        });
+
+        (options.tracks || []).forEach((track, i) => {
+            const feature = trackToFeature(track, i);
+            if (feature) features.push(feature);
+        });
+
+        (options.team || []).forEach(member => {
+            const feature = teamMemberToFeature(member);
+            if (feature) features.push(feature);
+        });
+
+        (options.areas || []).forEach(area => {
+            const feature = areaToFeature(area);
+            if (feature) features.push(feature);
+        });
+
+        return {
+            type: 'FeatureCollection',
+            name: options.name || 'GridDown Export',
+            features: features
+        };
+    }
+
+    /**
+     * Build a Point feature for a waypoint, including its type fields
+     */
+    function waypointToFeature(wp) {
+        const lat = wp.lat || (37.4215 + (wp.y - 50) * 0.002);
+        const lon = wp.lon || (-119.1892 + (wp.x - 50) * 0.004);
+        if (!isFinite(lat) || !isFinite(lon)) return null;
+
+        const type = wp.type || 'custom';
+        const typeConfig = Constants.WAYPOINT_TYPES[type] || Constants.WAYPOINT_TYPES.custom;
+
+        const properties = {
+            griddown_kind: 'waypoint',
+            griddown_id: wp.id,
+            name: wp.name || '',
+            type: type,
+            notes: wp.notes || '',
+            'marker-color': typeConfig.color
+        };
+        if (wp.verified) properties.verified = true;
+        if (wp.confidence) properties.confidence = wp.confidence;
+        if (wp.visibility) properties.visibility = wp.visibility;
+
+        (typeConfig.fields || []).forEach(field => {
+            const value = wp[field.key];
+            if (value !== undefined && value !== null && value !== '') {
+                properties[field.key] = value;
+            }
+        });
+
+        return {
+            type: 'Feature',
+            properties: properties,
+            geometry: { type: 'Point', coordinates: toPosition(lat, lon, wp.elevation) }
+        };
+    }
+
+    /**
+     * Build a LineString feature for a route
+     */
+    function routeToFeature(route) {
+        if (!route.points || route.points.length < 2) return null;
+
+        const coordinates = route.points.map(pt => {
+            const lat = pt.lat || (37.4215 + ((pt.y || 50) - 50) * 0.002);
+            const lon = pt.lon || (-119.1892 + ((pt.x || 50) - 50) * 0.004);
+            return toPosition(lat, lon, pt.elevation);
+        });
+
+        return {
+            type: 'Feature',
+            properties: {
+                griddown_kind: 'route',
+                griddown_id: route.id,
+                name: route.name || '',
+                notes: route.notes || '',
+                distance: route.distance || '0',
+                duration: route.duration || '0h',
+                elevation: route.elevation || '0',
+                stroke: '#f97316'
+            },
+            geometry: { type: 'LineString', coordinates: coordinates }
+        };
+    }
+
+    /**
+     * Build a LineString feature for a recorded GPS track.
+     * Accepts either a point array (GPSModule.getRecordedTrack) or a
+     * {name, points, startTime, endTime} object (GPSModule.stopRecording).
+     * Tracks with several pause/resume `segments` become a MultiLineString.
+     */
+    function trackToFeature(track, index) {
+        const points = Array.isArray(track) ? track : (track.points || (track.segments || []).flat());
+        const valid = points.filter(p => isFinite(p.lat) && isFinite(p.lon));
+        if (valid.length < 2) return null;
+
+        const segments = (!Array.isArray(track) && track.segments || [])
+            .map(seg => seg.filter(p => isFinite(p.lat) && isFinite(p.lon)))
+            .filter(seg => seg.length >= 2);
+        if (segments.length > 1) return multiSegmentTrackToFeature(track, segments, index);
+
+        const properties = {
+            griddown_kind: 'track',
+            name: (!Array.isArray(track) && track.name) || `Track ${index + 1}`,
+            pointCount: valid.length,
+            stroke: '#22c55e'
+        };
+
+        const times = valid.map(p => p.timestamp ? new Date(p.timestamp) : null);
+        if (times.every(t => t && !isNaN(t.getTime()))) {
+            // Per-vertex times, in the de facto "coordTimes" convention
+            properties.coordTimes = times.map(t => t.toISOString());
+            properties.startTime = properties.coordTimes[0];
+            properties.endTime = properties.coordTimes[properties.coordTimes.length - 1];
+        }
+
+        return {
+            type: 'Feature',
+            properties: properties,
+            geometry: {
+                type: 'LineString',
+                coordinates: valid.map(p => toPosition(p.lat, p.lon, p.altitude))
+            }
+        };
+    }
+
+    function multiSegmentTrackToFeature(track, segments, index) {
+        const properties = {
+            griddown_kind: 'track',
+            name: track.name || `Track ${index + 1}`,
+            pointCount: segments.reduce((sum, seg) => sum + seg.length, 0),
+            stroke: track.color || '#22c55e'
+        };
+
+        const times = segments.map(seg => seg.map(p => p.timestamp ? new Date(p.timestamp) : null));
+        if (times.every(seg => seg.every(t => t && !isNaN(t.getTime())))) {
+            properties.coordTimes = times.map(seg => seg.map(t => t.toISOString()));
+            properties.startTime = properties.coordTimes[0][0];
+            const lastSeg = properties.coordTimes[properties.coordTimes.length - 1];
+            properties.endTime = lastSeg[lastSeg.length - 1];
+        }
+
+        return {
+            type: 'Feature',
+            properties: properties,
+            geometry: {
+                type: 'MultiLineString',
+                coordinates: segments.map(seg => seg.map(p => toPosition(p.lat, p.lon, p.altitude)))
+            }
+        };
+    }
+
+    /**
+     * Build a Point feature for a team member's last known position
+     */
+    function teamMemberToFeature(member) {
+        if (!isFinite(member.lat) || !isFinite(member.lon)) return null;
+        // Meshtastic reports 0,0 for nodes without a fix
+        if (Math.abs(member.lat) < 0.0001 && Math.abs(member.lon) < 0.0001) return null;
+
+        const properties = {
+            griddown_kind: 'team',
+            griddown_id: member.id,
+            name: member.name || member.shortName || 'Team member',
+            status: member.status || 'unknown',
+            'marker-color': '#a855f7'
+        };
+        if (member.shortName) properties.shortName = member.shortName;
+        if (member.lastUpdate) properties.lastUpdate = member.lastUpdate;
+        if (member.isMe) properties.isMe = true;
+
+        return {
+            type: 'Feature',
+            properties: properties,
+            geometry: { type: 'Point', coordinates: toPosition(member.lat, member.lon, member.alt) }
+        };
+    }
+
+    /**
+     * Build a Polygon feature for an area
+     */
+    function areaToFeature(area) {
+        const points = (area.points || []).filter(p => isFinite(p.lat) && isFinite(p.lon));
+        if (points.length < 3) return null;
+
+        const ring = points.map(p => toPosition(p.lat, p.lon));
+        ring.push(ring[0].slice());
+
+        const properties = {
+            griddown_kind: 'area',
+            griddown_id: area.id,
+            name: area.name || '',
+            notes: area.notes || ''
+        };
+        if (area.type) properties.griddown_area_type = area.type;
+        if (area.color) properties.stroke = area.color;
+        if (area.fill) properties.fill = area.fill;
+        if (typeof area.fillOpacity === 'number') properties['fill-opacity'] = area.fillOpacity;
+
+        return {
+            type: 'Feature',
+            properties: properties,
+            geometry: { type: 'Polygon', coordinates: [ring] }
+        };
+    }
+
+    /**
+     * Download GeoJSON file
+     */
+    function downloadGeoJSON(waypoints, routes, filename, options = {}) {
+        filename = filename || 'griddown-export.geojson';
+        const content = JSON.stringify(exportGeoJSON(waypoints, routes, options), null, 2);
+        const blob = new Blob([content], { type: 'application/geo+json' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Import GeoJSON from file input
+     */
+    function importFromFile(file) {
+        return new Promise((resolve, reject) => {
+            if (!file) {
+                reject(new Error('No file provided'));
+                return;
+            }
+
+            const reader = new FileReader();
+
+            reader.onload = (e) => {
+                try {
+                    const result = parseGeoJSON(e.target.result);
+                    resolve(result);
+                } catch (err) {
+                    reject(err);
+                }
+            };
+
+            reader.onerror = () => reject(new Error('Failed to read file'));
+            reader.readAsText(file);
+        });
+    }
+
+    // Helper functions
+
+    function toPosition(lat, lon, alt) {
+        const position = [round6(lon), round6(lat)];
+        if (alt !== undefined && alt !== null && isFinite(alt)) position.push(Number(alt));
+        return position;
+    }
+
+    function round6(n) {
+        return Math.round(n * 1e6) / 1e6;
+    }
+
+    function pickProperty(props, keys) {
+        for (const key of keys) {
+            if (props[key] !== undefined && props[key] !== null && props[key] !== '') {
+                return props[key];
+            }
+        }
+        return '';
+    }
+
+    function normalizeKey(value) {
+        return String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    function parseBoolean(value) {
+        if (typeof value === 'boolean') return value;
+        const str = String(value).trim().toLowerCase();
+        return str === 'true' || str === 'yes' || str === 'y' || str === '1';
+    }
+
+    function isHexColor(value) {
+        return typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value);
+    }
+
+    function cleanDescription(desc) {
+        if (!desc) return '';
+        // Some exporters put HTML in description
+        return String(desc).replace(/<[^>]*>/g, '').trim();
+    }
+
+    function inferWaypointType(name, description, hint) {
+        const combined = (name + ' ' + description + ' ' + hint).toLowerCase();
+
+        if (combined.includes('water') || combined.includes('spring') || combined.includes('creek') || combined.includes('stream')) {
+            return 'water';
+        }
+        if (combined.includes('fuel') || combined.includes('gas') || combined.includes('cache') || combined.includes('diesel')) {
+            return 'fuel';
+        }
+        if (combined.includes('camp') || combined.includes('tent') || combined.includes('shelter') || combined.includes('bivouac')) {
+            return 'camp';
+        }
+        if (combined.includes('danger') || combined.includes('hazard') || combined.includes('warning') || combined.includes('caution')) {
+            return 'hazard';
+        }
+        if (combined.includes('hospital') || combined.includes('emergency') || combined.includes('bailout') || combined.includes('exit') || combined.includes('rescue')) {
+            return 'bailout';
+        }
+        if (combined.includes('store') || combined.includes('supply') || combined.includes('resupply') || combined.includes('town') || combined.includes('shop')) {
+            return 'resupply';
+        }
+
+        return 'custom';
+    }
+
+    // Coordinate conversion helpers
+    function lonToX(lon) {
+        return 50 + (lon + 119.1892) / 0.004;
+    }
+
+    function latToY(lat) {
+        return 50 + (lat - 37.4215) / 0.002;
+    }
+
+    function calculateRouteStats(points) {
+        let distance = 0;
+        let elevationGain = 0;
+
+        for (let i = 1; i < points.length; i++) {
+            const p1 = points[i - 1];
+            const p2 = points[i];
+
+            distance += haversineDistance(p1.lat, p1.lon, p2.lat, p2.lon);
+
+            if (p1.elevation && p2.elevation) {
+                const eleDiff = p2.elevation - p1.elevation;
+                if (eleDiff > 0) elevationGain += eleDiff;
+            }
+        }
+
+        // Estimate 15mph average
+        const estimatedTime = distance / 15;
+
+        return {
+            distance: distance,
+            elevationGain: elevationGain,
+            estimatedTime: estimatedTime
+        };
+    }
+
+    function haversineDistance(lat1, lon1, lat2, lon2) {
+        const R = 3959; // Earth's radius in miles
+        const dLat = (lat2 - lat1) * Math.PI / 180;
+        const dLon = (lon2 - lon1) * Math.PI / 180;
+        const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+                  Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+                  Math.sin(dLon/2) * Math.sin(dLon/2);
+        return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+    }
+
+    function formatDuration(hours) {
+        const h = Math.floor(hours);
+        const m = Math.round((hours - h) * 60);
+        return h + 'h ' + m + 'm';
+    }
+
+    // Public API
+    return {
+        parseGeoJSON: parseGeoJSON,
+        exportGeoJSON: exportGeoJSON,
+        downloadGeoJSON: downloadGeoJSON,
+        importFromFile: importFromFile
+    };
+})();
+
+window.GeoJSONModule = GeoJSONModule;
@@ -11,6 +11,7 @@ const GPSModule = (function() {
         source: null,           // 'internal', 'serial', 'manual', or null
         isTracking: false,
         isRecording: false,
+        isRecordingPaused: false,
         currentPosition: null,
         lastUpdate: null,
         accuracy: null,
@@ -49,6 +50,7 @@ const GPSModule = (function() {
 
     // Track recording
     let recordedTrack = [];
+    let segmentStarts = [0];      // Index in recordedTrack where each pause/resume segment starts
     let trackStartTime = null;
     let minTrackInterval = 5000;  // Minimum ms between track points
     let lastTrackPoint = 0;
@@ -690,9 +692,11 @@ const GPSModule = (function() {
         }
 
         recordedTrack = [];
+        segmentStarts = [0];
         trackStartTime = new Date();
         lastTrackPoint = 0;
         state.isRecording = true;
+        state.isRecordingPaused = false;
 
         // Add first point immediately if we have position
         if (state.currentPosition) {
@@ -703,22 +707,51 @@ const GPSModule = (function() {
         return true;
     }
 
+    /**
+     * Pause recording; points are dropped until resumed
+     */
+    function pauseRecording() {
+        if (!state.isRecording || state.isRecordingPaused) return false;
+        state.isRecordingPaused = true;
+        notifySubscribers();
+        return true;
+    }
+
+    /**
+     * Resume a paused recording in a new segment
+     */
+    function resumeRecording() {
+        if (!state.isRecording || !state.isRecordingPaused) return false;
+        state.isRecordingPaused = false;
+        if (segmentStarts[segmentStarts.length - 1] !== recordedTrack.length) {
+            segmentStarts.push(recordedTrack.length);
+        }
+        lastTrackPoint = 0;
+        if (state.currentPosition) {
+            recordTrackPoint(true);
+        }
+        notifySubscribers();
+        return true;
+    }
+
     /**
      * Stop recording and return track
      */
     function stopRecording() {
         state.isRecording = false;
+        state.isRecordingPaused = false;
         
         const track = {
             points: [...recordedTrack],
+            segments: getRecordedSegments(),
             startTime: trackStartTime,
             endTime: new Date(),
             pointCount: recordedTrack.length
         };
 
-        // Calculate track statistics
+        // Calculate track statistics (pause gaps don't count as distance)
         if (track.points.length >= 2) {
-            track.distance = calculateTrackDistance(track.points);
+            track.distance = track.segments.reduce((sum, seg) => sum + calculateTrackDistance(seg), 0);
             track.duration = (track.endTime - track.startTime) / 1000; // seconds
             track.avgSpeed = track.distance / (track.duration / 3600); // mph
         }
@@ -738,7 +771,7 @@ const GPSModule = (function() {
             return;
         }
 
-        if (!state.currentPosition) return;
+        if (!state.currentPosition || state.isRecordingPaused) return;
 
         const point = {
             lat: state.currentPosition.lat,
@@ -750,6 +783,12 @@ const GPSModule = (function() {
             timestamp: new Date()
         };
 
+        // Barometric altitude is far smoother than GPS for climb totals
+        if (typeof BarometerModule !== 'undefined' && BarometerModule.isActive()) {
+            const baro = BarometerModule.getCurrentAltitude();
+            if (baro !== null) point.baroAltitude = baro;
+        }
+
         recordedTrack.push(point);
         lastTrackPoint = now;
     }
@@ -775,11 +814,21 @@ const GPSModule = (function() {
         return [...recordedTrack];
     }
 
+    /**
+     * Get current recorded track split at pause/resume boundaries
+     */
+    function getRecordedSegments() {
+        return segmentStarts
+            .map((start, i) => recordedTrack.slice(start, segmentStarts[i + 1] ?? recordedTrack.length))
+            .filter(seg => seg.length > 0);
+    }
+
     /**
      * Clear recorded track
      */
     function clearRecordedTrack() {
         recordedTrack = [];
+        segmentStarts = [0];
         trackStartTime = null;
     }
 
@@ -1318,8 +1367,11 @@ const GPSModule = (function() {
         
         // Track recording
         startRecording,
+        pauseRecording,
+        resumeRecording,
         stopRecording,
         getRecordedTrack,
+        getRecordedSegments,
         clearRecordedTrack,
         trackToRoute,
         
@@ -1,10 +1,14 @@
 /**
  * GridDown GPX Module - Import/Export GPX Files
- * Supports GPX 1.1 format for waypoints, routes, and tracks
+ * Supports GPX 1.1 format for waypoints, routes, and tracks.
+ * Areas are written as closed tracks typed "Area" with style in griddown: extensions.
  */
 const GPXModule = (function() {
     'use strict';
 
+    const AREA_NS = 'http://griddown.app/gpx/area/1';
+    const AREA_TRACK_TYPE = 'Area';
+
     /**
      * Parse GPX XML string into waypoints and routes
      */
@@ -22,6 +26,7 @@ const GPXModule = (function() {
             waypoints: [],
             routes: [],
             tracks: [],
+            areas: [],
             metadata: {}
         };
 
@@ -48,9 +53,14 @@ const GPXModule = (function() {
             if (route) result.routes.push(route);
         });
 
-        // Parse tracks (convert to routes)
+        // Parse tracks (convert to routes; GridDown area tracks become areas)
         const trks = doc.querySelectorAll('trk');
         trks.forEach((trk, index) => {
+            if (getElementText(trk, 'type') === AREA_TRACK_TYPE) {
+                const area = parseAreaTrack(trk, index);
+                if (area) result.areas.push(area);
+                return;
+            }
             const track = parseTrack(trk, index);
             if (track) result.tracks.push(track);
         });
@@ -185,6 +195,43 @@ const GPXModule = (function() {
         };
     }
 
+    /**
+     * Parse a closed track written by exportGPX for an area
+     */
+    function parseAreaTrack(trk, index) {
+        const points = [];
+        trk.querySelectorAll('trkpt').forEach((trkpt) => {
+            const lat = parseFloat(trkpt.getAttribute('lat'));
+            const lon = parseFloat(trkpt.getAttribute('lon'));
+            if (!isNaN(lat) && !isNaN(lon)) points.push({ lat, lon });
+        });
+
+        // Drop the closing point that repeats the first vertex
+        const first = points[0], last = points[points.length - 1];
+        if (points.length > 1 && first.lat === last.lat && first.lon === last.lon) {
+            points.pop();
+        }
+        if (points.length < 3) return null;
+
+        const ext = (localName) => {
+            const el = trk.getElementsByTagNameNS(AREA_NS, localName)[0];
+            return el ? el.textContent.trim() : null;
+        };
+        const opacity = parseFloat(ext('fillOpacity'));
+
+        return {
+            id: Helpers.generateId(),
+            name: getElementText(trk, 'name') || `Area ${index + 1}`,
+            notes: getElementText(trk, 'desc') || '',
+            type: ext('areaType') || 'custom',
+            color: ext('color') || undefined,
+            fill: ext('fill') || undefined,
+            fillOpacity: isNaN(opacity) ? undefined : opacity,
+            points: points,
+            source: 'gpx'
+        };
+    }
+
     /**
      * Simplify a track by reducing point count
      */
@@ -208,16 +255,22 @@ const GPXModule = (function() {
 
     /**
      * Export waypoints and routes to GPX format
+     * @param {Object} options - name, description, author, areas, tracks
      */
     function exportGPX(waypoints, routes, options = {}) {
         const exportName = options.name || 'GridDown Export';
         const desc = options.description || 'Exported from GridDown';
         const author = options.author || 'GridDown User';
         const time = new Date().toISOString();
+        const areas = options.areas || [];
+        const tracks = options.tracks || [];
 
         let gpx = '<?xml version="1.0" encoding="UTF-8"?>\n';
         gpx += '<gpx version="1.1" creator="GridDown PWA"\n';
         gpx += '    xmlns="http://www.topografix.com/GPX/1/1"\n';
+        if (areas.length > 0) {
+            gpx += '    xmlns:griddown="' + AREA_NS + '"\n';
+        }
         gpx += '    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"\n';
         gpx += '    xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">\n';
         gpx += '    <metadata>\n';
@@ -268,6 +321,58 @@ const GPXModule = (function() {
             gpx += '    </rte>\n';
         });
 
+        // Export recorded tracks, one <trkseg> per pause/resume segment
+        tracks.forEach(function(track) {
+            const segments = (track.segments || [track.points || []]).filter(function(seg) { return seg.length > 0; });
+            if (segments.length === 0) return;
+
+            gpx += '    <trk>\n';
+            gpx += '        <name>' + escapeXml(track.name || 'Track') + '</name>\n';
+            if (track.notes) {
+                gpx += '        <desc>' + escapeXml(track.notes) + '</desc>\n';
+            }
+            segments.forEach(function(seg) {
+                gpx += '        <trkseg>\n';
+                seg.forEach(function(pt) {
+                    gpx += '            <trkpt lat="' + pt.lat.toFixed(6) + '" lon="' + pt.lon.toFixed(6) + '">';
+                    if (isFinite(pt.altitude) && pt.altitude !== null) {
+                        gpx += '<ele>' + pt.altitude.toFixed(1) + '</ele>';
+                    }
+                    if (pt.timestamp) {
+                        gpx += '<time>' + new Date(pt.timestamp).toISOString() + '</time>';
+                    }
+                    gpx += '</trkpt>\n';
+                });
+                gpx += '        </trkseg>\n';
+            });
+            gpx += '    </trk>\n';
+        });
+
+        // Export areas as closed tracks
+        areas.forEach(function(area) {
+            if (!area.points || area.points.length < 3) return;
+            const ring = area.points.concat([area.points[0]]);
+
+            gpx += '    <trk>\n';
+            gpx += '        <name>' + escapeXml(area.name) + '</name>\n';
+            gpx += '        <desc>' + escapeXml(area.notes || '') + '</desc>\n';
+            gpx += '        <type>' + AREA_TRACK_TYPE + '</type>\n';
+            gpx += '        <extensions>\n';
+            gpx += '            <griddown:areaType>' + escapeXml(area.type || 'custom') + '</griddown:areaType>\n';
+            if (area.color) gpx += '            <griddown:color>' + escapeXml(area.color) + '</griddown:color>\n';
+            if (area.fill) gpx += '            <griddown:fill>' + escapeXml(area.fill) + '</griddown:fill>\n';
+            if (typeof area.fillOpacity === 'number') {
+                gpx += '            <griddown:fillOpacity>' + area.fillOpacity + '</griddown:fillOpacity>\n';
+            }
+            gpx += '        </extensions>\n';
+            gpx += '        <trkseg>\n';
+            ring.forEach(function(pt) {
+                gpx += '            <trkpt lat="' + pt.lat.toFixed(6) + '" lon="' + pt.lon.toFixed(6) + '"></trkpt>\n';
+            });
+            gpx += '        </trkseg>\n';
+            gpx += '    </trk>\n';
+        });
+
         gpx += '</gpx>';
         return gpx;
     }
@@ -275,9 +380,9 @@ const GPXModule = (function() {
     /**
      * Download GPX file
      */
-    function downloadGPX(waypoints, routes, filename) {
+    function downloadGPX(waypoints, routes, filename, options) {
         filename = filename || 'griddown-export.gpx';
-        const gpxContent = exportGPX(waypoints, routes);
+        const gpxContent = exportGPX(waypoints, routes, options);
         const blob = new Blob([gpxContent], { type: 'application/gpx+xml' });
         const url = URL.createObjectURL(blob);
         
@@ -1,6 +1,6 @@
 /**
  * GridDown KML Module - Import/Export KML/KMZ Files
- * Supports KML 2.2 format for placemarks (waypoints) and paths (routes)
+ * Supports KML 2.2 format for placemarks (waypoints), paths (routes) and polygons (areas)
  * Compatible with Google Earth, Google Maps, and other GIS applications
  */
 const KMLModule = (function() {
@@ -62,6 +62,7 @@ const KMLModule = (function() {
         const result = {
             waypoints: [],
             routes: [],
+            areas: [],
             metadata: {}
         };
 
@@ -78,6 +79,7 @@ const KMLModule = (function() {
             // Check if it's a point (waypoint) or line (route)
             const point = placemark.querySelector('Point');
             const lineString = placemark.querySelector('LineString');
+            const polygons = placemark.querySelectorAll('Polygon');
             const multiGeometry = placemark.querySelector('MultiGeometry');
 
             if (point) {
@@ -86,6 +88,12 @@ const KMLModule = (function() {
             } else if (lineString) {
                 const route = parsePlacemarkAsRoute(placemark, lineString, index);
                 if (route) result.routes.push(route);
+            } else if (polygons.length > 0) {
+                // Each polygon (outer boundary only) becomes an area
+                polygons.forEach((polygon, i) => {
+                    const area = parsePlacemarkAsArea(placemark, polygon, index, polygons.length > 1 ? i + 1 : 0);
+                    if (area) result.areas.push(area);
+                });
             } else if (multiGeometry) {
                 // MultiGeometry can contain multiple lines - treat as single route
                 const lines = multiGeometry.querySelectorAll('LineString');
@@ -241,6 +249,46 @@ const KMLModule = (function() {
         };
     }
 
+    /**
+     * Parse a Placemark Polygon as an area (outer boundary, closing point dropped)
+     */
+    function parsePlacemarkAsArea(placemark, polygon, index, partNumber) {
+        const coordsText = getElementText(polygon, 'outerBoundaryIs coordinates');
+        if (!coordsText) return null;
+
+        const coords = parseCoordinates(coordsText);
+        const first = coords[0], last = coords[coords.length - 1];
+        if (coords.length > 1 && first.lat === last.lat && first.lon === last.lon) {
+            coords.pop();
+        }
+        if (coords.length < 3) return null;
+
+        const extendedData = {};
+        placemark.querySelectorAll('ExtendedData Data, ExtendedData SimpleData').forEach(data => {
+            const dataName = data.getAttribute('name');
+            if (dataName) extendedData[dataName] = data.textContent.trim();
+        });
+
+        let name = getElementText(placemark, 'name') || `Area ${index + 1}`;
+        if (partNumber) name += ` (${partNumber})`;
+
+        const color = kmlColorToHex(getElementText(placemark, 'Style LineStyle color'));
+        const polyColor = getElementText(placemark, 'Style PolyStyle color');
+        const opacity = parseFloat(extendedData.griddown_fill_opacity);
+
+        return {
+            id: Helpers.generateId(),
+            name: name,
+            notes: cleanDescription(getElementText(placemark, 'description')),
+            type: extendedData.griddown_area_type || 'custom',
+            color: color || undefined,
+            fill: kmlColorToHex(polyColor) || undefined,
+            fillOpacity: !isNaN(opacity) ? opacity : kmlColorAlpha(polyColor),
+            points: coords.map(c => ({ lat: c.lat, lon: c.lon })),
+            source: 'kml'
+        };
+    }
+
     /**
      * Parse KML coordinate string into array of {lat, lon, alt}
      * KML format: lon,lat,alt lon,lat,alt (space-separated, each is comma-separated)
@@ -270,10 +318,13 @@ const KMLModule = (function() {
 
     /**
      * Export waypoints and routes to KML format
+     * @param {Object} options - name, description, areas, tracks
      */
     function exportKML(waypoints, routes, options = {}) {
         const exportName = options.name || 'GridDown Export';
         const description = options.description || 'Exported from GridDown';
+        const areas = options.areas || [];
+        const tracks = options.tracks || [];
 
         let kml = '<?xml version="1.0" encoding="UTF-8"?>\n';
         kml += '<kml xmlns="http://www.opengis.net/kml/2.2">\n';
@@ -317,6 +368,30 @@ const KMLModule = (function() {
             kml += '    </Folder>\n';
         }
 
+        // Export recorded tracks
+        if (tracks.length > 0) {
+            kml += '    <Folder>\n';
+            kml += '      <name>Tracks</name>\n';
+            
+            tracks.forEach(track => {
+                kml += generatePlacemarkForTrack(track);
+            });
+            
+            kml += '    </Folder>\n';
+        }
+
+        // Export areas as polygons
+        if (areas.length > 0) {
+            kml += '    <Folder>\n';
+            kml += '      <name>Areas</name>\n';
+            
+            areas.forEach(area => {
+                kml += generatePlacemarkForArea(area);
+            });
+            
+            kml += '    </Folder>\n';
+        }
+
         kml += '  </Document>\n';
         kml += '</kml>';
         
@@ -441,12 +516,88 @@ const KMLModule = (function() {
         return placemark;
     }
 
+    /**
+     * Generate KML Placemark for a recorded track; pause/resume segments
+     * become separate LineStrings in a MultiGeometry
+     */
+    function generatePlacemarkForTrack(track) {
+        const segments = (track.segments || [track.points || []]).filter(seg => seg.length >= 2);
+        if (segments.length === 0) return '';
+
+        const times = segments.flat().map(pt => pt.timestamp).filter(Boolean);
+
+        let placemark = '      <Placemark>\n';
+        placemark += '        <name>' + escapeXml(track.name || 'Track') + '</name>\n';
+        placemark += '        <description>' + escapeXml(track.notes || '') + '</description>\n';
+        if (times.length > 0) {
+            placemark += '        <TimeSpan><begin>' + new Date(times[0]).toISOString() + '</begin>' +
+                '<end>' + new Date(times[times.length - 1]).toISOString() + '</end></TimeSpan>\n';
+        }
+        placemark += '        <Style>\n';
+        placemark += '          <LineStyle><color>' + hexToKmlColor(track.color || '#22c55e', 1) + '</color><width>3</width></LineStyle>\n';
+        placemark += '        </Style>\n';
+        placemark += '        <MultiGeometry>\n';
+        segments.forEach(seg => {
+            placemark += '          <LineString>\n';
+            placemark += '            <tessellate>1</tessellate>\n';
+            placemark += '            <coordinates>\n';
+            seg.forEach(pt => {
+                placemark += '              ' + pt.lon.toFixed(6) + ',' + pt.lat.toFixed(6);
+                if (isFinite(pt.altitude) && pt.altitude !== null) placemark += ',' + pt.altitude.toFixed(1);
+                placemark += '\n';
+            });
+            placemark += '            </coordinates>\n';
+            placemark += '          </LineString>\n';
+        });
+        placemark += '        </MultiGeometry>\n';
+        placemark += '      </Placemark>\n';
+
+        return placemark;
+    }
+
+    /**
+     * Generate KML Placemark for an area (inline style carries its own colors)
+     */
+    function generatePlacemarkForArea(area) {
+        if (!area.points || area.points.length < 3) return '';
+
+        const color = area.color || '#a855f7';
+        const fillOpacity = typeof area.fillOpacity === 'number' ? area.fillOpacity : 0.15;
+        const ring = area.points.concat([area.points[0]]);
+
+        let placemark = '      <Placemark>\n';
+        placemark += '        <name>' + escapeXml(area.name) + '</name>\n';
+        placemark += '        <description>' + escapeXml(area.notes || '') + '</description>\n';
+        placemark += '        <Style>\n';
+        placemark += '          <LineStyle><color>' + hexToKmlColor(color, 1) + '</color><width>2</width></LineStyle>\n';
+        placemark += '          <PolyStyle><color>' + hexToKmlColor(area.fill || color, fillOpacity) + '</color></PolyStyle>\n';
+        placemark += '        </Style>\n';
+        
+        placemark += '        <ExtendedData>\n';
+        placemark += '          <Data name="griddown_id"><value>' + area.id + '</value></Data>\n';
+        placemark += '          <Data name="griddown_area_type"><value>' + escapeXml(area.type || 'custom') + '</value></Data>\n';
+        placemark += '          <Data name="griddown_fill_opacity"><value>' + fillOpacity + '</value></Data>\n';
+        placemark += '        </ExtendedData>\n';
+        
+        placemark += '        <Polygon>\n';
+        placemark += '          <tessellate>1</tessellate>\n';
+        placemark += '          <outerBoundaryIs><LinearRing><coordinates>\n';
+        ring.forEach(pt => {
+            placemark += '            ' + pt.lon.toFixed(6) + ',' + pt.lat.toFixed(6) + '\n';
+        });
+        placemark += '          </coordinates></LinearRing></outerBoundaryIs>\n';
+        placemark += '        </Polygon>\n';
+        placemark += '      </Placemark>\n';
+
+        return placemark;
+    }
+
     /**
      * Download KML file
      */
-    function downloadKML(waypoints, routes, filename) {
+    function downloadKML(waypoints, routes, filename, options) {
         filename = filename || 'griddown-export.kml';
-        const kmlContent = exportKML(waypoints, routes);
+        const kmlContent = exportKML(waypoints, routes, options);
         const blob = new Blob([kmlContent], { type: 'application/vnd.google-earth.kml+xml' });
         const url = URL.createObjectURL(blob);
         
@@ -540,6 +691,29 @@ const KMLModule = (function() {
             .replace(/'/g, '&apos;');
     }
 
+    /**
+     * Convert #rrggbb to KML aabbggrr
+     */
+    function hexToKmlColor(hex, opacity) {
+        let h = String(hex).replace('#', '');
+        if (h.length === 3) h = h.split('').map(c => c + c).join('');
+        const alpha = Math.round(Math.max(0, Math.min(1, opacity)) * 255).toString(16).padStart(2, '0');
+        return alpha + h.substr(4, 2) + h.substr(2, 2) + h.substr(0, 2);
+    }
+
+    /**
+     * Convert KML aabbggrr to #rrggbb (alpha dropped)
+     */
+    function kmlColorToHex(kmlColor) {
+        if (!/^[0-9a-f]{8}$/i.test(kmlColor || '')) return null;
+        return '#' + kmlColor.substr(6, 2) + kmlColor.substr(4, 2) + kmlColor.substr(2, 2);
+    }
+
+    function kmlColorAlpha(kmlColor) {
+        if (!/^[0-9a-f]{8}$/i.test(kmlColor || '')) return undefined;
+        return Math.round(parseInt(kmlColor.substr(0, 2), 16) / 255 * 100) / 100;
+    }
+
     function cleanDescription(desc) {
         if (!desc) return '';
         // Remove HTML tags that Google Earth sometimes adds
@@ -230,6 +230,30 @@ const MapModule = (function() {
             category: 'blm',
             name: 'BLM Surface Mgmt',
             description: 'Land ownership & management (US only)'
+        },
+        
+        // ===== VECTOR BASEMAP (rendered locally by VectorTileModule) =====
+        vector: {
+            url: null,
+            vector: true,
+            attribution: '© OpenStreetMap contributors',
+            maxZoom: 22,
+            type: 'base',
+            category: 'vector',
+            name: 'Vector Map',
+            description: 'MVT / PMTiles basemap rendered on device'
+        },
+        
+        // ===== IMPORTED TILE PACKS (served by MBTilesModule) =====
+        mbtiles: {
+            url: null,
+            local: true,
+            attribution: 'Imported MBTiles',
+            maxZoom: 22,
+            type: 'base',
+            category: 'imported',
+            name: 'Imported Maps',
+            description: 'Tiles from sideloaded .mbtiles packs'
         }
         
         // NOTE: Esri basemaps (satellite, hillshade, labels, transportation, natgeo, usfs_topo)
@@ -327,7 +351,7 @@ const MapModule = (function() {
         initialized = true;
         
         // Subscribe to state changes
-        State.subscribe(render, ['waypoints', 'routes', 'mapLayers', 'selectedWaypoint', 'mousePosition', 'teamMembers']);
+        State.subscribe(render, ['waypoints', 'routes', 'areas', 'selectedArea', 'mapLayers', 'selectedWaypoint', 'mousePosition', 'teamMembers']);
         
         // Subscribe to GPS position updates
         if (typeof GPSModule !== 'undefined') {
@@ -787,6 +811,13 @@ const MapModule = (function() {
         
         pendingTiles.add(key);
         
+        if (TILE_SERVERS[server] && TILE_SERVERS[server].vector) {
+            return loadVectorTile(x, y, z, server, key);
+        }
+        if (TILE_SERVERS[server] && TILE_SERVERS[server].local) {
+            return loadImportedTile(x, y, z, server, key);
+        }
+        
         return new Promise((resolve, reject) => {
             const img = new Image();
             img.crossOrigin = 'anonymous';
@@ -833,6 +864,64 @@ const MapModule = (function() {
         });
     }
 
+    /**
+     * Rasterize a vector tile through VectorTileModule and cache it like an image tile
+     */
+    function loadVectorTile(x, y, z, server, key) {
+        if (typeof VectorTileModule === 'undefined') {
+            pendingTiles.delete(key);
+            return Promise.reject(new Error('Vector tile support not loaded'));
+        }
+        
+        return VectorTileModule.renderTile(z, x, y).then(tileCanvas => {
+            tileCache.set(key, tileCanvas);
+            pendingTiles.delete(key);
+            // Rendered vector tiles are 512px canvases, so keep fewer of them
+            const layerKeys = Array.from(tileCache.keys()).filter(k => k.startsWith(server + '/'));
+            if (layerKeys.length > 120) {
+                tileCache.delete(layerKeys[0]);
+            }
+            return tileCanvas;
+        }).catch(err => {
+            pendingTiles.delete(key);
+            throw err;
+        });
+    }
+    
+    /**
+     * Load a tile from sideloaded MBTiles packs (no network)
+     */
+    function loadImportedTile(x, y, z, server, key) {
+        if (typeof MBTilesModule === 'undefined') {
+            pendingTiles.delete(key);
+            return Promise.reject(new Error('MBTiles support not loaded'));
+        }
+        
+        return MBTilesModule.renderTile(z, x, y).then(image => {
+            tileCache.set(key, image);
+            pendingTiles.delete(key);
+            const layerKeys = Array.from(tileCache.keys()).filter(k => k.startsWith(server + '/'));
+            if (layerKeys.length > 400) {
+                tileCache.delete(layerKeys[0]);
+            }
+            return image;
+        }).catch(err => {
+            pendingTiles.delete(key);
+            throw err;
+        });
+    }
+    
+    /**
+     * Drop cached tiles for a layer (e.g. after its data source changed) and redraw
+     * @param {string} layerKey - TILE_SERVERS key
+     */
+    function invalidateLayer(layerKey) {
+        for (const key of Array.from(tileCache.keys())) {
+            if (key.startsWith(layerKey + '/')) tileCache.delete(key);
+        }
+        render();
+    }
+
     function render() {
         if (!ctx) return;
         
@@ -900,9 +989,15 @@ const MapModule = (function() {
         if (!isGesturing) {
             // Full render — all overlays
             if (layers.grid) renderGrid(width, height);
+            renderAreas(width, height);
+            renderGeofences(width, height);
+            renderSearchPlan(width, height);
             renderRoutes(width, height);
+            renderTrackLibrary(width, height);
             renderMeasurements(width, height);
             renderWaypoints(width, height);
+            renderMeshCoverage(width, height);
+            renderMeshTopology(width, height);
             renderTeamMembers(width, height);
             renderTAKOverlay(width, height);
             renderAPRSStations(width, height);
@@ -929,6 +1024,8 @@ const MapModule = (function() {
         ctx.restore();
         
         // Render non-rotated UI elements
+        // Vector labels are placed in screen space so they stay upright when rotated
+        if (!isGesturing) renderVectorLabels();
         renderAttribution(width, height);
         renderCompassRose(width, height);
         
@@ -1024,6 +1121,38 @@ const MapModule = (function() {
         MeasureModule.render(ctx, latLonToPixel, width, height);
     }
     
+    /**
+     * Render polygon areas / search sectors from AreasModule
+     */
+    function renderAreas(width, height) {
+        if (typeof AreasModule === 'undefined') return;
+        AreasModule.render(ctx, latLonToPixel);
+    }
+    
+    /**
+     * Render geofence outlines from GeofenceModule
+     */
+    function renderGeofences(width, height) {
+        if (typeof GeofenceModule === 'undefined') return;
+        GeofenceModule.renderOnMap(ctx, width, height, latLonToPixel);
+    }
+    
+    /**
+     * Render the library track shown from the Tracks panel, with replay cursor
+     */
+    function renderTrackLibrary(width, height) {
+        if (typeof TracksModule === 'undefined') return;
+        TracksModule.render(ctx, latLonToPixel);
+    }
+    
+    /**
+     * Render lost-person search plan: IPP, distance rings and segment POA
+     */
+    function renderSearchPlan(width, height) {
+        if (typeof SearchPlanModule === 'undefined') return;
+        SearchPlanModule.render(ctx, latLonToPixel);
+    }
+    
     /**
      * Update activeLayers based on State mapLayers
      */
@@ -1147,12 +1276,13 @@ const MapModule = (function() {
                     if (scaleFactor > 1) {
                         // Draw the sub-region of the parent tile that corresponds
                         // to this overzoomed child tile
+                        const parentImg = tileCache.get(cacheKey);
                         const subX = wrappedTileX % scaleFactor;
                         const subY = tileY % scaleFactor;
-                        const srcSize = tileSize / scaleFactor;
+                        const srcSize = (parentImg.width || tileSize) / scaleFactor;
                         const srcX = subX * srcSize;
                         const srcY = subY * srcSize;
-                        ctx.drawImage(tileCache.get(cacheKey), srcX, srcY, srcSize, srcSize, screenX, screenY, scaledTileSize, scaledTileSize);
+                        ctx.drawImage(parentImg, srcX, srcY, srcSize, srcSize, screenX, screenY, scaledTileSize, scaledTileSize);
                     } else {
                         ctx.drawImage(tileCache.get(cacheKey), screenX, screenY, scaledTileSize, scaledTileSize);
                     }
@@ -1573,11 +1703,37 @@ const MapModule = (function() {
         }, 300);
     }
 
+    /**
+     * Render the geo-referenced MGRS/UTM grid and graticule (MGRSGridModule)
+     */
     function renderGrid(width, height) {
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
-        ctx.lineWidth = 1;
-        for (let x = 0; x < width; x += 60) { ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, height); ctx.stroke(); }
-        for (let y = 0; y < height; y += 60) { ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(width, y); ctx.stroke(); }
+        if (typeof MGRSGridModule === 'undefined') return;
+        
+        MGRSGridModule.renderMapOverlay(ctx, latLonToPixel, {
+            bounds: getViewBounds(width, height),
+            center: { lat: mapState.lat, lon: mapState.lon },
+            zoom: mapState.zoom,
+            lat: mapState.lat,
+            width,
+            height
+        });
+    }
+    
+    /**
+     * Lat/lon bounding box of the visible canvas.
+     * Uses all four corners so the box still covers the view when rotated.
+     */
+    function getViewBounds(width, height) {
+        const corners = [
+            pixelToLatLon(0, 0), pixelToLatLon(width, 0),
+            pixelToLatLon(0, height), pixelToLatLon(width, height)
+        ];
+        return {
+            north: Math.max(...corners.map(c => c.lat)),
+            south: Math.min(...corners.map(c => c.lat)),
+            east: Math.max(...corners.map(c => c.lon)),
+            west: Math.min(...corners.map(c => c.lon))
+        };
     }
 
     function renderRoutes(width, height) {
@@ -1679,6 +1835,8 @@ const MapModule = (function() {
                 const lat2 = p2.lat || (37.4215 + ((p2.y || 50) - 50) * 0.002);
                 const lon2 = p2.lon || (-119.1892 + ((p2.x || 50) - 50) * 0.004);
                 const pixel1 = latLonToPixel(lat1, lon1), pixel2 = latLonToPixel(lat2, lon2);
+                // Snapped legs have many short segments; only arrow the longer ones
+                if ((p1.via || p2.via) && Math.hypot(pixel2.x - pixel1.x, pixel2.y - pixel1.y) < 40) continue;
                 const mx = (pixel1.x + pixel2.x) / 2, my = (pixel1.y + pixel2.y) / 2;
                 const angle = Math.atan2(pixel2.y - pixel1.y, pixel2.x - pixel1.x);
                 ctx.save(); ctx.translate(mx, my); ctx.rotate(angle);
@@ -1941,13 +2099,16 @@ const MapModule = (function() {
         ctx.lineCap = 'round';
         ctx.lineJoin = 'round';
         
-        track.forEach((pt, i) => {
-            const pixel = latLonToPixel(pt.lat, pt.lon);
-            if (i === 0) {
-                ctx.moveTo(pixel.x, pixel.y);
-            } else {
-                ctx.lineTo(pixel.x, pixel.y);
-            }
+        // Break the line at pause/resume gaps
+        GPSModule.getRecordedSegments().forEach(segment => {
+            segment.forEach((pt, i) => {
+                const pixel = latLonToPixel(pt.lat, pt.lon);
+                if (i === 0) {
+                    ctx.moveTo(pixel.x, pixel.y);
+                } else {
+                    ctx.lineTo(pixel.x, pixel.y);
+                }
+            });
         });
         
         ctx.stroke();
@@ -2322,6 +2483,22 @@ const MapModule = (function() {
         });
     }
 
+    /**
+     * Render Meshtastic range-test coverage (heatmap of heard/missed pings)
+     */
+    function renderMeshCoverage(width, height) {
+        if (typeof MeshtasticModule === 'undefined' || !MeshtasticModule.renderCoverage) return;
+        MeshtasticModule.renderCoverage(ctx, width, height, latLonToPixel);
+    }
+
+    /**
+     * Render mesh topology links (neighbor info SNR graph)
+     */
+    function renderMeshTopology(width, height) {
+        if (typeof MeshtasticModule === 'undefined' || !MeshtasticModule.renderTopology) return;
+        MeshtasticModule.renderTopology(ctx, width, height, latLonToPixel);
+    }
+
     /**
      * Render RadiaCode radiation overlay (heatmap, tracks, current position)
      */
@@ -2472,12 +2649,34 @@ const MapModule = (function() {
         StreamGaugeModule.renderMapOverlay(ctx, latLonToPixel);
     }
 
+    /**
+     * Draw vector basemap labels (outside the rotated context)
+     */
+    function renderVectorLabels() {
+        if (activeLayers.base !== 'vector' || typeof VectorTileModule === 'undefined') return;
+        
+        const viewWidth = canvas.width / effectiveDpr;
+        const viewHeight = canvas.height / effectiveDpr;
+        VectorTileModule.renderLabels(ctx, (lat, lon) => latLonToPixel(lat, lon), {
+            bounds: getViewBounds(viewWidth, viewHeight),
+            zoom: mapState.zoom,
+            width: viewWidth,
+            height: viewHeight
+        });
+    }
+
     function renderAttribution(width, height) {
         // Collect all attributions from active layers
         const attributions = new Set();
         
         const baseServer = TILE_SERVERS[activeLayers.base];
-        if (baseServer) attributions.add(baseServer.attribution);
+        if (baseServer && baseServer.vector && typeof VectorTileModule !== 'undefined') {
+            attributions.add(VectorTileModule.getAttribution() || baseServer.attribution);
+        } else if (baseServer && baseServer.local && typeof MBTilesModule !== 'undefined') {
+            attributions.add(MBTilesModule.getAttribution());
+        } else if (baseServer) {
+            attributions.add(baseServer.attribution);
+        }
         
         for (const overlay of activeLayers.overlays) {
             const overlayServer = TILE_SERVERS[overlay];
@@ -2734,6 +2933,13 @@ const MapModule = (function() {
                 }
             }
             
+            // Grab an area vertex while editing its shape
+            if (typeof AreasModule !== 'undefined' && AreasModule.beginVertexDrag(x, y, latLonToPixel)) {
+                mapState.isDraggingAreaVertex = true;
+                render();
+                return;
+            }
+            
             mapState.isDragging = true;
             mapState.dragStart = { x: e.clientX, y: e.clientY };
             canvas.style.cursor = 'grabbing';
@@ -2765,6 +2971,13 @@ const MapModule = (function() {
             return;
         }
         
+        if (mapState.isDraggingAreaVertex) {
+            const coords = pixelToLatLon(pos.x, pos.y);
+            AreasModule.dragVertexTo(coords.lat, coords.lon);
+            scheduleRender();
+            return;
+        }
+        
         if (mapState.isDragging && mapState.dragStart) {
             const dx = e.clientX - mapState.dragStart.x;
             const dy = e.clientY - mapState.dragStart.y;
@@ -2834,6 +3047,12 @@ const MapModule = (function() {
             return;
         }
         
+        if (mapState.isDraggingAreaVertex) {
+            mapState.isDraggingAreaVertex = false;
+            AreasModule.endVertexDrag(true);
+            return;
+        }
+        
         mapState.isDragging = false;
         mapState.dragStart = null;
         panDriftX = 0;
@@ -2853,6 +3072,10 @@ const MapModule = (function() {
         mapState.isDragging = false;
         mapState.dragStart = null;
         mapState.isDrawingRegion = false;
+        if (mapState.isDraggingAreaVertex) {
+            mapState.isDraggingAreaVertex = false;
+            AreasModule.endVertexDrag(true);
+        }
         panDriftX = 0;
         panDriftY = 0;
         State.Map.setMousePosition(null);
@@ -2940,6 +3163,12 @@ const MapModule = (function() {
             return;
         }
         
+        // Area drawing (add vertex / close ring) and shape editing (select / insert vertex)
+        if (typeof AreasModule !== 'undefined' && AreasModule.handleMapClick(clickCoords, x, y, latLonToPixel)) {
+            render();
+            return;
+        }
+        
         // Check if RouteBuilder is active and handle the click there first
         if (typeof RouteBuilderModule !== 'undefined' && RouteBuilderModule.getState().isBuilding) {
             if (RouteBuilderModule.handleMapClick(clickCoords)) {
@@ -3014,6 +3243,8 @@ const MapModule = (function() {
         if (clickedWp) {
             State.Waypoints.select(clickedWp);
             Events.emit(Events.EVENTS.WAYPOINT_SELECT, clickedWp);
+        } else if (State.get('activePanel') === 'areas' && selectAreaAt(clickCoords)) {
+            render();
         } else {
             const width = canvas.width / effectiveDpr;
             const height = canvas.height / effectiveDpr;
@@ -3021,6 +3252,21 @@ const MapModule = (function() {
         }
     }
 
+    /**
+     * Select the topmost area containing a point (Areas panel only)
+     */
+    function selectAreaAt(coords) {
+        if (typeof AreasModule === 'undefined') return false;
+        const areas = State.get('areas') || [];
+        for (let i = areas.length - 1; i >= 0; i--) {
+            if (AreasModule.containsPoint(areas[i].points, coords.lat, coords.lon)) {
+                State.Areas.select(areas[i]);
+                return true;
+            }
+        }
+        return false;
+    }
+
     function handleDoubleClick(e) {
         e.preventDefault();
         const rect = canvas.getBoundingClientRect();
@@ -3884,12 +4130,14 @@ const MapModule = (function() {
             const key = `${layerKey}/${ancestorZ}/${ancestorX}/${ancestorY}`;
             if (tileCache.has(key)) {
                 // Which sub-region of the ancestor covers this tile?
+                // (sized from the image: rendered vector and some imported tiles are 512 px)
+                const ancestorImg = tileCache.get(key);
                 const subX = tileX % divisor;
                 const subY = tileY % divisor;
-                const srcSize = ts / divisor;
+                const srcSize = (ancestorImg.width || ts) / divisor;
                 const srcX = subX * srcSize;
                 const srcY = subY * srcSize;
-                ctx.drawImage(tileCache.get(key),
+                ctx.drawImage(ancestorImg,
                     srcX, srcY, srcSize, srcSize,
                     screenX, screenY, drawSize, drawSize);
                 return true;
@@ -4042,6 +4290,14 @@ const MapModule = (function() {
                 }
             }
             
+            // Grab an area vertex while editing its shape
+            if (typeof AreasModule !== 'undefined' && AreasModule.beginVertexDrag(x, y, latLonToPixel)) {
+                mapState.isDraggingAreaVertex = true;
+                cancelLongPress();
+                render();
+                return;
+            }
+            
             // --- Double-tap-hold-drag detection ---
             // If this touch-down is within the double-tap window of the last tap,
             // enter one-finger zoom mode. If the user lifts quickly it behaves
@@ -4118,6 +4374,10 @@ const MapModule = (function() {
                     OfflineModule.cancelDrawing();
                 }
             }
+            if (mapState.isDraggingAreaVertex) {
+                mapState.isDraggingAreaVertex = false;
+                AreasModule.cancelVertexDrag();
+            }
             
             // Initialize two-finger gesture (pending until fingers actually move)
             const touch1 = e.touches[0];
@@ -4152,6 +4412,16 @@ const MapModule = (function() {
     }
 
     function handleTouchMove(e) {
+        // --- Area vertex drag ---
+        if (e.touches.length === 1 && mapState.isDraggingAreaVertex) {
+            e.preventDefault();
+            const touch = e.touches[0];
+            const coords = pixelToLatLon(touch.clientX - cachedCanvasRect.left, touch.clientY - cachedCanvasRect.top);
+            AreasModule.dragVertexTo(coords.lat, coords.lon);
+            scheduleRender();
+            return;
+        }
+        
         // --- One-finger zoom drag (double-tap-hold-drag) ---
         if (e.touches.length === 1 && oneFingerZoomState.isActive) {
             e.preventDefault();
@@ -4452,6 +4722,12 @@ const MapModule = (function() {
         if (e.touches.length === 0) {
             // All fingers lifted
             
+            if (mapState.isDraggingAreaVertex) {
+                mapState.isDraggingAreaVertex = false;
+                AreasModule.endVertexDrag(false);
+                return;
+            }
+            
             // --- One-finger zoom drag end ---
             if (oneFingerZoomState.isActive) {
                 oneFingerZoomState.isActive = false;
@@ -4732,7 +5008,9 @@ const MapModule = (function() {
             terrain: { icon: 'terrain', label: 'Topo' },
             usgs_topo: { icon: 'terrain', label: 'USGS' },
             usgs_imagery: { icon: 'satellite', label: 'USGS Sat' },
-            usgs_imagery_topo: { icon: 'layers', label: 'USGS Hyb' }
+            usgs_imagery_topo: { icon: 'layers', label: 'USGS Hyb' },
+            vector: { icon: 'map', label: 'Vector' },
+            mbtiles: { icon: 'map', label: 'Imported' }
         };
         
         const info = layerInfo[currentBase] || layerInfo.standard;
@@ -4874,11 +5152,19 @@ const MapModule = (function() {
         // Layer switcher - cycles through base layers on click
         // NOTE: Esri layers removed for commercial licensing compliance
         const baseLayers = ['standard', 'terrain', 'usgs_topo', 'usgs_imagery'];
+        if (typeof VectorTileModule !== 'undefined' && VectorTileModule.hasSource()) {
+            baseLayers.push('vector');
+        }
+        if (typeof MBTilesModule !== 'undefined' && MBTilesModule.hasRasterPacks()) {
+            baseLayers.push('mbtiles');
+        }
         const layerNames = {
             standard: 'OpenStreetMap',
             terrain: 'OpenTopoMap',
             usgs_topo: 'USGS Topo',
-            usgs_imagery: 'USGS Imagery'
+            usgs_imagery: 'USGS Imagery',
+            vector: 'Vector Map',
+            mbtiles: 'Imported Maps'
         };
         
         const layerBtn = container.querySelector('#layer-btn');
@@ -5039,6 +5325,7 @@ const MapModule = (function() {
         resize, 
         setCenter, 
         getCenter: () => ({ lat: mapState.lat, lon: mapState.lon }),
+        getViewBounds: () => getViewBounds(canvas.width / effectiveDpr, canvas.height / effectiveDpr),
         setZoom: (z) => { mapState.zoom = Math.max(1, Math.min(18, z)); render(); },
         getZoom: () => mapState.zoom,
         getMapState, 
@@ -5057,6 +5344,7 @@ const MapModule = (function() {
         
         // Request a render (for external modules)
         requestRender: render,
+        invalidateLayer,
         
         // Interaction mode for special click handling
         setInteractionMode: (mode) => { mapState.interactionMode = mode; },
@@ -0,0 +1,1000 @@
+/**
+ * GridDown MBTiles Module - Sideloaded tile packs
+ *
+ * Imports .mbtiles files (SQLite databases prepared on a desktop) as offline
+ * map regions without any network access:
+ *   - The file is kept as a single Blob in IndexedDB and read page by page;
+ *     it is never unpacked into individual tiles
+ *   - A small read-only SQLite B-tree reader looks tiles up through the
+ *     file's own (zoom_level, tile_column, tile_row) index, for both the
+ *     plain `tiles` table and the deduplicated `map` + `images` layout
+ *   - Raster packs (PNG/JPEG/WebP) are served to MapModule through the
+ *     "Imported Maps" base layer; vector packs (pbf) are handed to
+ *     VectorTileModule as a vector source
+ *
+ * Each pack is registered as a region in `mapRegions` with its bounds and
+ * zoom range, so it shows up and is deleted alongside downloaded regions.
+ */
+const MBTilesModule = (function() {
+    'use strict';
+
+    // ==================== CONSTANTS ====================
+
+    const DB_NAME = 'griddown-mbtiles';
+    const DB_VERSION = 1;
+    const PACKS_STORE = 'packs';
+
+    const SQLITE_MAGIC = 'SQLite format 3\u0000';
+    const SQLITE_HEADER_BYTES = 100;
+    const PAGE_CACHE_LIMIT = 256;
+    const MISSING_CACHE_LIMIT = 2000;
+
+    // B-tree page types
+    const PAGE_INDEX_INTERIOR = 2;
+    const PAGE_TABLE_INTERIOR = 5;
+    const PAGE_INDEX_LEAF = 10;
+    const PAGE_TABLE_LEAF = 13;
+
+    const TILE_KEY_COLUMNS = ['zoom_level', 'tile_column', 'tile_row'];
+    const RASTER_FORMATS = ['png', 'jpg', 'jpeg', 'webp'];
+    const TILE_SIZE = 256;
+
+    // ==================== STATE ====================
+
+    let db = null;
+    let packs = [];                         // Pack records (with blob)
+    const readers = new Map();              // packId -> opened reader
+    const missingTiles = new Set();         // `${packId}/${z}/${x}/${y}` known to be absent
+
+    // ==================== INITIALIZATION ====================
+
+    async function init() {
+        if (typeof indexedDB === 'undefined') return;
+        try {
+            await openDatabase();
+            packs = await getAllPacks();
+        } catch (err) {
+            console.warn('MBTilesModule: failed to open database:', err);
+        }
+        console.log(`MBTilesModule initialized (${packs.length} packs)`);
+    }
+
+    async function openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onerror = () => reject(request.error);
+
+            request.onsuccess = () => {
+                db = request.result;
+                resolve(db);
+            };
+
+            request.onupgradeneeded = (event) => {
+                const database = event.target.result;
+                if (!database.objectStoreNames.contains(PACKS_STORE)) {
+                    database.createObjectStore(PACKS_STORE, { keyPath: 'id' });
+                }
+            };
+        });
+    }
+
+    function requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async function getAllPacks() {
+        if (!db) await openDatabase();
+        return requestToPromise(db.transaction(PACKS_STORE, 'readonly').objectStore(PACKS_STORE).getAll());
+    }
+
+    async function putPack(record) {
+        if (!db) await openDatabase();
+        return requestToPromise(db.transaction(PACKS_STORE, 'readwrite').objectStore(PACKS_STORE).put(record));
+    }
+
+    async function deletePackRecord(id) {
+        if (!db) await openDatabase();
+        return requestToPromise(db.transaction(PACKS_STORE, 'readwrite').objectStore(PACKS_STORE).delete(id));
+    }
+
+    // ==================== SQLITE PRIMITIVES ====================
+
+    /**
+     * Read a SQLite varint (1-9 bytes, big-endian)
+     * @returns {{value: number, length: number}}
+     */
+    function readVarint(bytes, offset) {
+        let value = 0;
+        for (let i = 0; i < 8; i++) {
+            const byte = bytes[offset + i];
+            value = value * 128 + (byte & 0x7f);
+            if (!(byte & 0x80)) return { value, length: i + 1 };
+        }
+        return { value: value * 256 + bytes[offset + 8], length: 9 };
+    }
+
+    /**
+     * Parse the 100-byte database header
+     */
+    function parseHeader(bytes) {
+        if (bytes.length < SQLITE_HEADER_BYTES) throw new Error('File too small to be an MBTiles database');
+        const magic = String.fromCharCode(...bytes.subarray(0, 16));
+        if (magic !== SQLITE_MAGIC) throw new Error('Not an MBTiles (SQLite) file');
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const rawPageSize = view.getUint16(16);
+        const pageSize = rawPageSize === 1 ? 65536 : rawPageSize;
+        if (pageSize < 512 || (pageSize & (pageSize - 1)) !== 0) throw new Error('Invalid SQLite page size');
+
+        const reserved = bytes[20];
+        const encoding = view.getUint32(56);
+        return {
+            pageSize,
+            usableSize: pageSize - reserved,
+            pageCount: view.getUint32(28),
+            textEncoding: encoding === 2 ? 'utf-16le' : encoding === 3 ? 'utf-16be' : 'utf-8',
+            walMode: bytes[18] === 2 || bytes[19] === 2
+        };
+    }
+
+    /**
+     * Parse a B-tree page header and cell pointer array
+     * @param {Uint8Array} page - Full page bytes
+     * @param {number} pageNumber - 1-based; page 1 carries the database header
+     */
+    function parseBTreePage(page, pageNumber) {
+        const base = pageNumber === 1 ? SQLITE_HEADER_BYTES : 0;
+        const type = page[base];
+        if (![PAGE_INDEX_INTERIOR, PAGE_TABLE_INTERIOR, PAGE_INDEX_LEAF, PAGE_TABLE_LEAF].includes(type)) {
+            throw new Error(`Unexpected SQLite page type ${type} on page ${pageNumber}`);
+        }
+        const view = new DataView(page.buffer, page.byteOffset, page.byteLength);
+        const interior = type === PAGE_INDEX_INTERIOR || type === PAGE_TABLE_INTERIOR;
+        const cellCount = view.getUint16(base + 3);
+        const pointerStart = base + (interior ? 12 : 8);
+        const cells = new Array(cellCount);
+        for (let i = 0; i < cellCount; i++) {
+            cells[i] = view.getUint16(pointerStart + i * 2);
+        }
+        return {
+            type,
+            interior,
+            cells,
+            rightChild: interior ? view.getUint32(base + 8) : null
+        };
+    }
+
+    /**
+     * Bytes of a payload kept on the B-tree page (the rest spills to overflow pages)
+     */
+    function localPayloadSize(payloadSize, usableSize, isTableLeaf) {
+        const maxLocal = isTableLeaf ? usableSize - 35 : Math.floor((usableSize - 12) * 64 / 255) - 23;
+        if (payloadSize <= maxLocal) return payloadSize;
+        const minLocal = Math.floor((usableSize - 12) * 32 / 255) - 23;
+        const k = minLocal + ((payloadSize - minLocal) % (usableSize - 4));
+        return k <= maxLocal ? k : minLocal;
+    }
+
+    /**
+     * Decode a record (column values) from a complete payload
+     */
+    function parseRecord(payload, textDecoder) {
+        const header = readVarint(payload, 0);
+        let headerPos = header.length;
+        let dataPos = header.value;
+        const view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+        const values = [];
+
+        while (headerPos < header.value) {
+            const serial = readVarint(payload, headerPos);
+            headerPos += serial.length;
+            const t = serial.value;
+
+            switch (t) {
+                case 0: values.push(null); break;
+                case 1: values.push(view.getInt8(dataPos)); dataPos += 1; break;
+                case 2: values.push(view.getInt16(dataPos)); dataPos += 2; break;
+                case 3: {
+                    const v = (payload[dataPos] << 16) | (payload[dataPos + 1] << 8) | payload[dataPos + 2];
+                    values.push(v & 0x800000 ? v - 0x1000000 : v);
+                    dataPos += 3;
+                    break;
+                }
+                case 4: values.push(view.getInt32(dataPos)); dataPos += 4; break;
+                case 5: values.push(view.getInt16(dataPos) * 4294967296 + view.getUint32(dataPos + 2)); dataPos += 6; break;
+                case 6: values.push(Number(view.getBigInt64(dataPos))); dataPos += 8; break;
+                case 7: values.push(view.getFloat64(dataPos)); dataPos += 8; break;
+                case 8: values.push(0); break;
+                case 9: values.push(1); break;
+                default: {
+                    if (t < 12) throw new Error(`Reserved SQLite serial type ${t}`);
+                    const len = Math.floor((t - 12) / 2);
+                    const bytes = payload.subarray(dataPos, dataPos + len);
+                    values.push(t % 2 === 0 ? bytes : textDecoder.decode(bytes));
+                    dataPos += len;
+                }
+            }
+        }
+        return values;
+    }
+
+    /**
+     * SQLite ordering for index keys: NULL < numbers < text < blob
+     */
+    function compareValues(a, b) {
+        const rank = v => v === null ? 0 : typeof v === 'number' ? 1 : typeof v === 'string' ? 2 : 3;
+        const ra = rank(a);
+        const rb = rank(b);
+        if (ra !== rb) return ra - rb;
+        if (ra === 0) return 0;
+        if (ra === 3) {
+            for (let i = 0; i < Math.min(a.length, b.length); i++) {
+                if (a[i] !== b[i]) return a[i] - b[i];
+            }
+            return a.length - b.length;
+        }
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+
+    /**
+     * Compare the leading columns of an index record with a search key
+     */
+    function compareKey(record, key) {
+        for (let i = 0; i < key.length; i++) {
+            const c = compareValues(record[i], key[i]);
+            if (c !== 0) return c;
+        }
+        return 0;
+    }
+
+    // ==================== SCHEMA ====================
+
+    function unquoteIdentifier(name) {
+        return name.trim().replace(/^["'`[]|["'`\]]$/g, '').toLowerCase();
+    }
+
+    /**
+     * Split a parenthesized SQL list at top-level commas
+     */
+    function splitTopLevel(text) {
+        const parts = [];
+        let depth = 0;
+        let current = '';
+        for (const ch of text) {
+            if (ch === '(') depth++;
+            if (ch === ')') depth--;
+            if (ch === ',' && depth === 0) {
+                parts.push(current);
+                current = '';
+            } else {
+                current += ch;
+            }
+        }
+        if (current.trim()) parts.push(current);
+        return parts;
+    }
+
+    /**
+     * Column layout of a CREATE TABLE statement
+     * @returns {{columns: string[], rowidColumn: string|null, uniqueKeys: string[][]}}
+     */
+    function parseCreateTable(sql) {
+        const start = sql.indexOf('(');
+        const end = sql.lastIndexOf(')');
+        if (start < 0 || end < start) throw new Error('Unreadable table definition');
+
+        const columns = [];
+        const uniqueKeys = [];
+        let rowidColumn = null;
+
+        for (const part of splitTopLevel(sql.slice(start + 1, end))) {
+            const def = part.trim();
+            const constraint = def.match(/^(?:constraint\s+\S+\s+)?(primary\s+key|unique)\s*\(([^)]*)\)/i);
+            if (constraint) {
+                uniqueKeys.push(constraint[2].split(',').map(c => unquoteIdentifier(c.replace(/\s+(asc|desc)\s*$/i, ''))));
+                continue;
+            }
+            if (/^(check|foreign\s+key|constraint)\b/i.test(def)) continue;
+
+            const name = unquoteIdentifier(def.match(/^("[^"]+"|`[^`]+`|\[[^\]]+\]|\S+)/)[0]);
+            columns.push(name);
+            if (/^\S+\s+integer\s+primary\s+key/i.test(def)) rowidColumn = name;
+            else if (/\b(primary\s+key|unique)\b/i.test(def)) uniqueKeys.push([name]);
+        }
+        return { columns, rowidColumn, uniqueKeys };
+    }
+
+    /**
+     * Indexed columns of a CREATE INDEX statement
+     */
+    function parseCreateIndex(sql) {
+        const match = sql.match(/\bon\s+("[^"]+"|`[^`]+`|\[[^\]]+\]|\S+?)\s*\(([^)]*)\)/i);
+        if (!match) return null;
+        return {
+            table: unquoteIdentifier(match[1]),
+            columns: match[2].split(',').map(c => unquoteIdentifier(c.replace(/\s+(asc|desc)\s*$/i, '').replace(/\s+collate\s+\S+/i, '')))
+        };
+    }
+
+    // ==================== SQLITE READER ====================
+
+    /**
+     * Open a SQLite database for reading
+     * @param {Function} getBytes - (offset, length) => Promise<Uint8Array>
+     */
+    async function openDatabaseFile(getBytes) {
+        const header = parseHeader(await getBytes(0, SQLITE_HEADER_BYTES));
+        return {
+            header,
+            getBytes,
+            pages: new Map(),
+            textDecoder: new TextDecoder(header.textEncoding)
+        };
+    }
+
+    async function getPage(reader, pageNumber) {
+        const cached = reader.pages.get(pageNumber);
+        if (cached) {
+            // Refresh LRU position
+            reader.pages.delete(pageNumber);
+            reader.pages.set(pageNumber, cached);
+            return cached;
+        }
+        const { pageSize } = reader.header;
+        const page = await reader.getBytes((pageNumber - 1) * pageSize, pageSize);
+        if (page.length < pageSize) throw new Error(`Page ${pageNumber} is past the end of the file`);
+        reader.pages.set(pageNumber, page);
+        if (reader.pages.size > PAGE_CACHE_LIMIT) {
+            reader.pages.delete(reader.pages.keys().next().value);
+        }
+        return page;
+    }
+
+    /**
+     * Full payload of a cell, following the overflow chain if needed
+     */
+    async function readPayload(reader, page, offset, payloadSize, isTableLeaf) {
+        const { usableSize } = reader.header;
+        const local = localPayloadSize(payloadSize, usableSize, isTableLeaf);
+        if (local === payloadSize) return page.subarray(offset, offset + payloadSize);
+
+        const payload = new Uint8Array(payloadSize);
+        payload.set(page.subarray(offset, offset + local), 0);
+        let written = local;
+        let next = new DataView(page.buffer, page.byteOffset + offset + local, 4).getUint32(0);
+
+        while (written < payloadSize) {
+            if (!next) throw new Error('Truncated overflow chain');
+            const overflow = await getPage(reader, next);
+            const chunk = Math.min(usableSize - 4, payloadSize - written);
+            payload.set(overflow.subarray(4, 4 + chunk), written);
+            written += chunk;
+            next = new DataView(overflow.buffer, overflow.byteOffset, 4).getUint32(0);
+        }
+        return payload;
+    }
+
+    /**
+     * Decode one cell of a B-tree page
+     * @returns {Promise<{leftChild, rowid, record}>}
+     */
+    async function readCell(reader, page, info, index) {
+        let pos = info.cells[index];
+        const cell = { leftChild: null, rowid: null, record: null };
+
+        if (info.interior) {
+            cell.leftChild = new DataView(page.buffer, page.byteOffset + pos, 4).getUint32(0);
+            pos += 4;
+        }
+        if (info.type === PAGE_TABLE_INTERIOR) {
+            cell.rowid = readVarint(page, pos).value;
+            return cell;
+        }
+
+        const size = readVarint(page, pos);
+        pos += size.length;
+        if (info.type === PAGE_TABLE_LEAF) {
+            const rowid = readVarint(page, pos);
+            cell.rowid = rowid.value;
+            pos += rowid.length;
+        }
+        const payload = await readPayload(reader, page, pos, size.value, info.type === PAGE_TABLE_LEAF);
+        cell.record = parseRecord(payload, reader.textDecoder);
+        return cell;
+    }
+
+    /**
+     * Walk every row of a table B-tree
+     * @param {Function} visit - (rowid, record) => void
+     */
+    async function scanTable(reader, rootPage, visit) {
+        const page = await getPage(reader, rootPage);
+        const info = parseBTreePage(page, rootPage);
+        for (let i = 0; i < info.cells.length; i++) {
+            const cell = await readCell(reader, page, info, i);
+            if (info.interior) await scanTable(reader, cell.leftChild, visit);
+            else visit(cell.rowid, cell.record);
+        }
+        if (info.interior) await scanTable(reader, info.rightChild, visit);
+    }
+
+    /**
+     * Walk every entry of an index B-tree in key order
+     * @param {Function} visit - (record) => void
+     */
+    async function scanIndex(reader, rootPage, visit) {
+        const page = await getPage(reader, rootPage);
+        const info = parseBTreePage(page, rootPage);
+        for (let i = 0; i < info.cells.length; i++) {
+            const cell = await readCell(reader, page, info, i);
+            if (info.interior) await scanIndex(reader, cell.leftChild, visit);
+            visit(cell.record);
+        }
+        if (info.interior) await scanIndex(reader, info.rightChild, visit);
+    }
+
+    /**
+     * Find an index entry whose leading columns equal the key
+     * @returns {Promise<Array|null>} Index record (rowid last) or null
+     */
+    async function seekIndex(reader, rootPage, key) {
+        let pageNumber = rootPage;
+        for (let depth = 0; depth < 32; depth++) {
+            const page = await getPage(reader, pageNumber);
+            const info = parseBTreePage(page, pageNumber);
+
+            // Binary search for the first cell >= key
+            let lo = 0;
+            let hi = info.cells.length;
+            let candidate = null;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                const cell = await readCell(reader, page, info, mid);
+                if (compareKey(cell.record, key) < 0) {
+                    lo = mid + 1;
+                } else {
+                    candidate = cell;
+                    hi = mid;
+                }
+            }
+
+            // Interior index cells are entries too, so an equal key can end the search early
+            if (candidate && compareKey(candidate.record, key) === 0) return candidate.record;
+            if (!info.interior) return null;
+            pageNumber = candidate ? candidate.leftChild : info.rightChild;
+        }
+        throw new Error('Index too deep');
+    }
+
+    /**
+     * Look a row up by rowid in a table B-tree
+     * @returns {Promise<Array|null>} Record or null
+     */
+    async function seekRowid(reader, rootPage, rowid) {
+        let pageNumber = rootPage;
+        for (let depth = 0; depth < 32; depth++) {
+            const page = await getPage(reader, pageNumber);
+            const info = parseBTreePage(page, pageNumber);
+
+            let lo = 0;
+            let hi = info.cells.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                const cellRowid = await cellRowidAt(page, info, mid);
+                if (cellRowid < rowid) lo = mid + 1;
+                else hi = mid;
+            }
+
+            if (!info.interior) {
+                if (lo >= info.cells.length) return null;
+                const cell = await readCell(reader, page, info, lo);
+                return cell.rowid === rowid ? cell.record : null;
+            }
+            pageNumber = lo < info.cells.length
+                ? (await readCell(reader, page, info, lo)).leftChild
+                : info.rightChild;
+        }
+        throw new Error('Table too deep');
+    }
+
+    /**
+     * Rowid of a table cell without reading its payload
+     */
+    function cellRowidAt(page, info, index) {
+        let pos = info.cells[index];
+        if (info.type === PAGE_TABLE_INTERIOR) return readVarint(page, pos + 4).value;
+        pos += readVarint(page, pos).length;
+        return readVarint(page, pos).value;
+    }
+
+    /**
+     * Read sqlite_master into a lookup of tables, views and indexes
+     */
+    async function readSchema(reader) {
+        const objects = [];
+        await scanTable(reader, 1, (rowid, record) => {
+            const [type, name, tblName, rootPage, sql] = record;
+            objects.push({
+                type,
+                name: String(name).toLowerCase(),
+                table: String(tblName).toLowerCase(),
+                rootPage,
+                sql: sql || null
+            });
+        });
+        return objects;
+    }
+
+    /**
+     * Find a table's definition and its root page
+     */
+    function findTable(schema, name) {
+        const obj = schema.find(o => o.type === 'table' && o.name === name);
+        if (!obj) return null;
+        if (/without\s+rowid\s*$/i.test(obj.sql || '')) {
+            throw new Error(`Table "${name}" is WITHOUT ROWID, which is not supported`);
+        }
+        return { rootPage: obj.rootPage, ...parseCreateTable(obj.sql) };
+    }
+
+    /**
+     * Find an index whose leading columns match, including implicit
+     * PRIMARY KEY / UNIQUE indexes (which have no SQL in sqlite_master)
+     */
+    function findIndex(schema, tableName, table, columns) {
+        const startsWith = cols => columns.every((c, i) => cols[i] === c);
+
+        for (const obj of schema) {
+            if (obj.type !== 'index' || obj.table !== tableName || !obj.sql) continue;
+            const parsed = parseCreateIndex(obj.sql);
+            if (parsed && startsWith(parsed.columns)) return { rootPage: obj.rootPage, columns: parsed.columns };
+        }
+
+        // Autoindexes are numbered in the order their constraints appear
+        for (let i = 0; i < table.uniqueKeys.length; i++) {
+            if (!startsWith(table.uniqueKeys[i])) continue;
+            const auto = schema.find(o => o.type === 'index' && o.name === `sqlite_autoindex_${tableName}_${i + 1}`);
+            if (auto) return { rootPage: auto.rootPage, columns: table.uniqueKeys[i] };
+        }
+        return null;
+    }
+
+    /**
+     * Work out how to fetch tile_data for z/x/y in this database
+     * @returns {Object} Tile access plan (stored with the pack)
+     */
+    function resolveTileLayout(schema) {
+        const column = (table, name) => {
+            const idx = table.columns.indexOf(name);
+            if (idx < 0) throw new Error(`Column "${name}" not found`);
+            return idx;
+        };
+
+        const tiles = findTable(schema, 'tiles');
+        if (tiles) {
+            const index = findIndex(schema, 'tiles', tiles, TILE_KEY_COLUMNS);
+            if (!index) throw new Error('MBTiles file has no tile index; rebuild it with an index on (zoom_level, tile_column, tile_row)');
+            return {
+                kind: 'tiles',
+                tileIndexRoot: index.rootPage,
+                tilesRoot: tiles.rootPage,
+                dataColumn: column(tiles, 'tile_data')
+            };
+        }
+
+        // Deduplicated layout: tiles is a view over map JOIN images
+        const map = findTable(schema, 'map');
+        const images = findTable(schema, 'images');
+        if (map && images) {
+            // An INTEGER PRIMARY KEY tile_id is the rowid itself and needs no index
+            const imageIdIsRowid = images.rowidColumn === 'tile_id';
+            const mapIndex = findIndex(schema, 'map', map, TILE_KEY_COLUMNS);
+            const imageIndex = imageIdIsRowid ? null : findIndex(schema, 'images', images, ['tile_id']);
+            if (!mapIndex || (!imageIdIsRowid && !imageIndex)) {
+                throw new Error('MBTiles file is missing the map/images indexes');
+            }
+            return {
+                kind: 'map',
+                tileIndexRoot: mapIndex.rootPage,
+                mapRoot: map.rootPage,
+                mapTileIdColumn: column(map, 'tile_id'),
+                imageIndexRoot: imageIndex ? imageIndex.rootPage : null,
+                imagesRoot: images.rootPage,
+                imageIdIsRowid,
+                dataColumn: column(images, 'tile_data')
+            };
+        }
+        throw new Error('No tiles table found in this file');
+    }
+
+    /**
+     * MBTiles rows count from the bottom (TMS); map tiles count from the top (XYZ)
+     */
+    function tmsRow(z, y) {
+        return Math.pow(2, z) - 1 - y;
+    }
+
+    /**
+     * Read raw tile_data for an XYZ tile
+     * @returns {Promise<Uint8Array|null>}
+     */
+    async function readTile(reader, layout, z, x, y) {
+        const key = [z, x, tmsRow(z, y)];
+        const entry = await seekIndex(reader, layout.tileIndexRoot, key);
+        if (!entry) return null;
+        const rowid = entry[entry.length - 1];
+
+        if (layout.kind === 'tiles') {
+            const row = await seekRowid(reader, layout.tilesRoot, rowid);
+            return row ? toBytes(row[layout.dataColumn]) : null;
+        }
+
+        const mapRow = await seekRowid(reader, layout.mapRoot, rowid);
+        if (!mapRow) return null;
+        const tileId = mapRow[layout.mapTileIdColumn];
+
+        let imageRowid = tileId;
+        if (!layout.imageIdIsRowid) {
+            const imageEntry = await seekIndex(reader, layout.imageIndexRoot, [tileId]);
+            if (!imageEntry) return null;
+            imageRowid = imageEntry[imageEntry.length - 1];
+        }
+        const imageRow = await seekRowid(reader, layout.imagesRoot, imageRowid);
+        return imageRow ? toBytes(imageRow[layout.dataColumn]) : null;
+    }
+
+    function toBytes(value) {
+        if (value instanceof Uint8Array) return value;
+        if (typeof value === 'string') return new TextEncoder().encode(value);
+        return null;
+    }
+
+    // ==================== METADATA ====================
+
+    /**
+     * Normalize the MBTiles metadata table
+     */
+    function parseMetadata(rows) {
+        const meta = {};
+        rows.forEach(([name, value]) => {
+            if (name !== null && name !== undefined) meta[String(name).toLowerCase()] = value;
+        });
+
+        let bounds = null;
+        if (typeof meta.bounds === 'string') {
+            const parts = meta.bounds.split(',').map(Number);
+            if (parts.length === 4 && parts.every(Number.isFinite)) {
+                bounds = { west: parts[0], south: parts[1], east: parts[2], north: parts[3] };
+            }
+        }
+
+        let format = String(meta.format || '').toLowerCase();
+        if (format === 'jpeg') format = 'jpg';
+        if (format === 'mvt') format = 'pbf';
+
+        return {
+            name: meta.name ? String(meta.name) : null,
+            description: meta.description ? String(meta.description) : '',
+            attribution: meta.attribution ? String(meta.attribution).replace(/<[^>]*>/g, '').trim() : '',
+            format: format || null,
+            minZoom: meta.minzoom !== undefined ? parseInt(meta.minzoom, 10) : null,
+            maxZoom: meta.maxzoom !== undefined ? parseInt(meta.maxzoom, 10) : null,
+            bounds
+        };
+    }
+
+    /**
+     * Guess the tile format from its first bytes
+     */
+    function sniffFormat(bytes) {
+        if (!bytes || bytes.length < 4) return null;
+        if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) return 'png';
+        if (bytes[0] === 0xff && bytes[1] === 0xd8) return 'jpg';
+        if (bytes[0] === 0x52 && bytes[1] === 0x49 && bytes[2] === 0x46 && bytes[3] === 0x46) return 'webp';
+        if (bytes[0] === 0x1f && bytes[1] === 0x8b) return 'pbf';
+        return 'pbf';
+    }
+
+    /**
+     * Lat/lon box of a tile range (XYZ rows)
+     */
+    function tileRangeBounds(z, minX, maxX, minY, maxY) {
+        const n = Math.pow(2, z);
+        const lat = y => Math.atan(Math.sinh(Math.PI * (1 - 2 * y / n))) * 180 / Math.PI;
+        return {
+            west: minX / n * 360 - 180,
+            east: (maxX + 1) / n * 360 - 180,
+            north: lat(minY),
+            south: lat(maxY + 1)
+        };
+    }
+
+    // ==================== IMPORT ====================
+
+    /**
+     * Byte-range reader for a Blob/File
+     */
+    function blobRangeReader(blob) {
+        return async (offset, length) => new Uint8Array(await blob.slice(offset, offset + length).arrayBuffer());
+    }
+
+    async function getReader(pack) {
+        if (readers.has(pack.id)) return readers.get(pack.id);
+        const reader = await openDatabaseFile(blobRangeReader(pack.blob));
+        readers.set(pack.id, reader);
+        return reader;
+    }
+
+    /**
+     * Import an .mbtiles file and register it as an offline region
+     * @param {File} file
+     * @param {Function} progressCallback - ({ phase, scanned }) during the tile index scan
+     * @returns {Promise<{pack: Object, region: Object}>}
+     */
+    async function importFile(file, progressCallback) {
+        const reader = await openDatabaseFile(blobRangeReader(file));
+        const schema = await readSchema(reader);
+        const layout = resolveTileLayout(schema);
+
+        const metaTable = findTable(schema, 'metadata');
+        const metaRows = [];
+        if (metaTable) {
+            const nameCol = metaTable.columns.indexOf('name');
+            const valueCol = metaTable.columns.indexOf('value');
+            await scanTable(reader, metaTable.rootPage, (rowid, record) => {
+                metaRows.push([record[nameCol], record[valueCol]]);
+            });
+        }
+        const meta = parseMetadata(metaRows);
+
+        // One pass over the tile index: count, zoom range and extent of the deepest zoom
+        let tileCount = 0;
+        let minZoom = Infinity;
+        let maxZoom = -Infinity;
+        const extents = {};
+        let firstKey = null;
+        await scanIndex(reader, layout.tileIndexRoot, (record) => {
+            const [z, x, row] = record;
+            if (firstKey === null) firstKey = [z, x, row];
+            tileCount++;
+            if (z < minZoom) minZoom = z;
+            if (z > maxZoom) maxZoom = z;
+            const y = tmsRow(z, row);
+            const e = extents[z] || (extents[z] = { minX: x, maxX: x, minY: y, maxY: y });
+            if (x < e.minX) e.minX = x;
+            if (x > e.maxX) e.maxX = x;
+            if (y < e.minY) e.minY = y;
+            if (y > e.maxY) e.maxY = y;
+            if (progressCallback && tileCount % 5000 === 0) progressCallback({ phase: 'scanning', scanned: tileCount });
+        });
+        if (tileCount === 0) throw new Error('MBTiles file contains no tiles');
+
+        let format = meta.format;
+        if (!format) {
+            const [z, x, row] = firstKey;
+            format = sniffFormat(await readTile(reader, layout, z, x, tmsRow(z, row)));
+        }
+        if (!RASTER_FORMATS.includes(format) && format !== 'pbf') {
+            throw new Error(`Unsupported tile format "${format}"`);
+        }
+
+        const e = extents[maxZoom];
+        const bounds = meta.bounds || tileRangeBounds(maxZoom, e.minX, e.maxX, e.minY, e.maxY);
+        const name = meta.name || file.name.replace(/\.mbtiles$/i, '');
+
+        const pack = {
+            id: Helpers.generateId(),
+            regionId: Helpers.generateId(),
+            name,
+            fileName: file.name,
+            blob: file,
+            size: file.size,
+            format,
+            minZoom: Number.isFinite(meta.minZoom) ? Math.max(meta.minZoom, minZoom) : minZoom,
+            maxZoom: Number.isFinite(meta.maxZoom) ? Math.min(meta.maxZoom, maxZoom) : maxZoom,
+            bounds,
+            attribution: meta.attribution,
+            tileCount,
+            layout,
+            vectorSourceId: null,
+            addedAt: new Date().toISOString()
+        };
+
+        if (format === 'pbf' && typeof VectorTileModule !== 'undefined') {
+            const source = await VectorTileModule.addMBTilesSource(pack);
+            pack.vectorSourceId = source.id;
+        }
+
+        await putPack(pack);
+        packs.push(pack);
+        readers.set(pack.id, reader);
+
+        const region = {
+            id: pack.regionId,
+            name,
+            bounds,
+            minZoom: pack.minZoom,
+            maxZoom: pack.maxZoom,
+            layers: [format === 'pbf' ? 'vector' : 'mbtiles'],
+            source: 'mbtiles',
+            mbtilesId: pack.id,
+            tileCount,
+            downloadedTiles: tileCount,
+            estimatedSize: Math.round(file.size / 1024),
+            status: 'downloaded',
+            progress: 100,
+            createdAt: pack.addedAt,
+            lastSync: pack.addedAt
+        };
+        if (typeof OfflineModule !== 'undefined') {
+            await OfflineModule.saveRegion(region);
+        }
+
+        if (typeof MapModule !== 'undefined' && MapModule.invalidateLayer) {
+            MapModule.invalidateLayer('mbtiles');
+        }
+        return { pack, region };
+    }
+
+    // ==================== TILE SERVING ====================
+
+    function tileIntersects(bounds, z, x, y) {
+        if (!bounds) return true;
+        const t = tileRangeBounds(z, x, x, y, y);
+        return t.west < bounds.east && t.east > bounds.west && t.south < bounds.north && t.north > bounds.south;
+    }
+
+    /**
+     * Raw tile bytes from a specific pack (used for vector packs)
+     * @returns {Promise<Uint8Array|null>}
+     */
+    async function getTileData(packId, z, x, y) {
+        const pack = packs.find(p => p.id === packId);
+        if (!pack) return null;
+        const missingKey = `${packId}/${z}/${x}/${y}`;
+        if (missingTiles.has(missingKey)) return null;
+
+        const bytes = await readTile(await getReader(pack), pack.layout, z, x, y);
+        if (!bytes) {
+            missingTiles.add(missingKey);
+            if (missingTiles.size > MISSING_CACHE_LIMIT) missingTiles.delete(missingTiles.values().next().value);
+        }
+        return bytes;
+    }
+
+    function getRasterPacks() {
+        return packs
+            .filter(p => RASTER_FORMATS.includes(p.format))
+            .sort((a, b) => b.maxZoom - a.maxZoom);
+    }
+
+    function createCanvas(size) {
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        return canvas;
+    }
+
+    /**
+     * Map tile image for the "Imported Maps" layer
+     * The deepest pack covering the tile wins; past a pack's max zoom its
+     * deepest tile is cropped and scaled.
+     * @returns {Promise<HTMLCanvasElement|ImageBitmap>} Rejects when no pack has the tile
+     */
+    async function renderTile(z, x, y) {
+        for (const pack of getRasterPacks()) {
+            if (z < pack.minZoom || !tileIntersects(pack.bounds, z, x, y)) continue;
+
+            const dz = Math.max(0, z - pack.maxZoom);
+            const pz = z - dz;
+            const px = Math.floor(x / Math.pow(2, dz));
+            const py = Math.floor(y / Math.pow(2, dz));
+            const bytes = await getTileData(pack.id, pz, px, py);
+            if (!bytes) continue;
+
+            const mime = pack.format === 'jpg' ? 'image/jpeg' : `image/${pack.format}`;
+            const image = await createImageBitmap(new Blob([bytes], { type: mime }));
+            if (dz === 0) return image;
+
+            const size = image.width / Math.pow(2, dz);
+            const canvas = createCanvas(TILE_SIZE);
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(image,
+                (x - px * Math.pow(2, dz)) * size, (y - py * Math.pow(2, dz)) * size, size, size,
+                0, 0, TILE_SIZE, TILE_SIZE);
+            image.close();
+            return canvas;
+        }
+        throw new Error(`No imported tile for ${z}/${x}/${y}`);
+    }
+
+    // ==================== MANAGEMENT ====================
+
+    /**
+     * Delete a pack (and its vector source, if any)
+     */
+    async function deletePack(id) {
+        const pack = packs.find(p => p.id === id);
+        if (!pack) return;
+        await deletePackRecord(id);
+        packs = packs.filter(p => p.id !== id);
+        readers.delete(id);
+        for (const key of Array.from(missingTiles)) {
+            if (key.startsWith(id + '/')) missingTiles.delete(key);
+        }
+        if (pack.vectorSourceId && typeof VectorTileModule !== 'undefined') {
+            try {
+                await VectorTileModule.removeSource(pack.vectorSourceId);
+            } catch (err) {
+                console.warn('Could not remove vector source for pack:', err);
+            }
+        }
+        if (typeof MapModule !== 'undefined' && MapModule.invalidateLayer) {
+            MapModule.invalidateLayer('mbtiles');
+        }
+    }
+
+    /**
+     * Delete packs registered under an offline region
+     */
+    async function deletePacksForRegion(regionId) {
+        for (const pack of packs.filter(p => p.regionId === regionId)) {
+            await deletePack(pack.id);
+        }
+    }
+
+    async function deleteAll() {
+        for (const pack of [...packs]) {
+            await deletePack(pack.id);
+        }
+    }
+
+    function getPacks() {
+        return packs.map(({ blob, layout, ...rest }) => ({ ...rest }));
+    }
+
+    function hasRasterPacks() {
+        return getRasterPacks().length > 0;
+    }
+
+    function getAttribution() {
+        const text = getRasterPacks().map(p => p.attribution).filter(Boolean);
+        return text.length > 0 ? [...new Set(text)].join(' | ') : 'Imported MBTiles';
+    }
+
+    return {
+        init,
+        importFile,
+        renderTile,
+        getTileData,
+        deletePack,
+        deletePacksForRegion,
+        deleteAll,
+        getPacks,
+        hasRasterPacks,
+        getAttribution,
+        // SQLite internals (exposed for testing)
+        readVarint,
+        parseHeader,
+        parseBTreePage,
+        localPayloadSize,
+        parseRecord,
+        compareKey,
+        parseCreateTable,
+        parseCreateIndex,
+        resolveTileLayout,
+        parseMetadata,
+        sniffFormat,
+        tmsRow,
+        tileRangeBounds,
+        openDatabaseFile,
+        readSchema,
+        readTile
+    };
+})();
+
+window.MBTilesModule = MBTilesModule;
@@ -9,6 +9,7 @@
  * - Web Serial connection
  * - Real device configuration read/write
  * - Message sending/receiving
+ * - Native waypoints (WAYPOINT_APP) shared with the official apps
  * - Node database sync
  * 
  * @license GPL-3.0 (Meshtastic libraries are GPL-3.0)
@@ -125,9 +126,17 @@ const MeshtasticClient = {
         onTelemetry: null,
         onChannelUpdate: null,
         onAck: null,         // Transport-level ACK/NACK for sent packets
-        onTraceroute: null   // Native firmware traceroute response
+        onTraceroute: null,  // Native firmware traceroute response
+        onWaypoint: null,    // Native waypoint (WAYPOINT_APP)
+        onStoreForward: null, // Store-and-forward router traffic (STORE_FORWARD_APP)
+        onNeighborInfo: null  // Neighbor table broadcast (NEIGHBORINFO_APP)
     },
     
+    // True when the library delivers decoded waypoints itself
+    waypointEventBound: false,
+    storeForwardEventBound: false,
+    neighborInfoEventBound: false,
+    
     // Loading state
     librariesLoaded: false,
     loadingPromise: null
@@ -486,6 +495,31 @@ function setupEventHandlers(device) {
         });
     }
     
+    // Native waypoints (official app markers)
+    if (device.events.onWaypointPacket?.subscribe) {
+        MeshtasticClient.waypointEventBound = true;
+        device.events.onWaypointPacket.subscribe((packet) => {
+            console.log('[MeshtasticClient] Waypoint packet:', packet);
+            handleWaypointPacket(packet);
+        });
+    }
+    
+    // Store-and-forward router heartbeats, history replies and replayed texts
+    if (device.events.onStoreForwardPacket?.subscribe) {
+        MeshtasticClient.storeForwardEventBound = true;
+        device.events.onStoreForwardPacket.subscribe((packet) => {
+            handleStoreForwardPacket(packet);
+        });
+    }
+    
+    // Neighbor tables (mesh topology)
+    if (device.events.onNeighborInfoPacket?.subscribe) {
+        MeshtasticClient.neighborInfoEventBound = true;
+        device.events.onNeighborInfoPacket.subscribe((packet) => {
+            handleNeighborInfoPacket(packet);
+        });
+    }
+    
     console.log('[MeshtasticClient] Event handlers configured');
 }
 
@@ -534,7 +568,19 @@ function setupAlternativeEventHandlers(device) {
         'telemetryPacket': handleTelemetryPacket,
         'meshPacket': handleMeshPacket,
         'routingPacket': handleRoutingPacket,
-        'traceRoutePacket': handleTraceroutePacket
+        'traceRoutePacket': handleTraceroutePacket,
+        'waypointPacket': (packet) => {
+            MeshtasticClient.waypointEventBound = true;
+            handleWaypointPacket(packet);
+        },
+        'storeForwardPacket': (packet) => {
+            MeshtasticClient.storeForwardEventBound = true;
+            handleStoreForwardPacket(packet);
+        },
+        'neighborInfoPacket': (packet) => {
+            MeshtasticClient.neighborInfoEventBound = true;
+            handleNeighborInfoPacket(packet);
+        }
     };
     
     for (const [event, handler] of Object.entries(eventMappings)) {
@@ -819,6 +865,28 @@ function handleMeshPacket(packet) {
             });
         }
     }
+    
+    // Native waypoints, when the library has no dedicated waypoint event
+    if ((portnum === WAYPOINT_PORTNUM || portnum === 'WAYPOINT_APP') && !MeshtasticClient.waypointEventBound) {
+        const payload = packet.payloadVariant?.value?.payload ?? packet.decoded?.payload;
+        if (payload instanceof Uint8Array) {
+            handleWaypointPacket({ from: packet.from, to: packet.to, channel: packet.channel, id: packet.id, data: payload });
+        }
+    }
+    
+    // Store-and-forward and neighbor info, same fallback
+    if ((portnum === STORE_FORWARD_PORTNUM || portnum === 'STORE_FORWARD_APP') && !MeshtasticClient.storeForwardEventBound) {
+        const payload = packet.payloadVariant?.value?.payload ?? packet.decoded?.payload;
+        if (payload instanceof Uint8Array) {
+            handleStoreForwardPacket({ from: packet.from, to: packet.to, channel: packet.channel, id: packet.id, data: payload });
+        }
+    }
+    if ((portnum === NEIGHBORINFO_PORTNUM || portnum === 'NEIGHBORINFO_APP') && !MeshtasticClient.neighborInfoEventBound) {
+        const payload = packet.payloadVariant?.value?.payload ?? packet.decoded?.payload;
+        if (payload instanceof Uint8Array) {
+            handleNeighborInfoPacket({ from: packet.from, data: payload });
+        }
+    }
 }
 
 /**
@@ -885,6 +953,9 @@ function handleTraceroutePacket(packet) {
  */
 function handleDisconnect() {
     MeshtasticClient.isConnected = false;
+    MeshtasticClient.waypointEventBound = false;
+    MeshtasticClient.storeForwardEventBound = false;
+    MeshtasticClient.neighborInfoEventBound = false;
     MeshtasticClient.device = null;
     MeshtasticClient.transport = null;
     MeshtasticClient.connectionType = null;
@@ -895,6 +966,414 @@ function handleDisconnect() {
     }
 }
 
+// =============================================================================
+// NATIVE WAYPOINTS (WAYPOINT_APP)
+// =============================================================================
+
+// Waypoint protobuf (meshtastic/mesh.proto), encoded by hand so it works with
+// every library version:
+//   1 id uint32, 2 latitude_i sfixed32, 3 longitude_i sfixed32, 4 expire uint32,
+//   5 locked_to uint32, 6 name string, 7 description string, 8 icon fixed32
+const WAYPOINT_PORTNUM = 8;
+const WAYPOINT_NAME_MAX_BYTES = 29;          // nanopb max_size 30 includes the terminator
+const WAYPOINT_DESCRIPTION_MAX_BYTES = 99;   // max_size 100
+
+/**
+ * Truncate a string to a UTF-8 byte budget without splitting a character
+ */
+function truncateUtf8(text, maxBytes) {
+    const encoder = new TextEncoder();
+    let result = '';
+    let size = 0;
+    for (const ch of String(text || '')) {
+        const len = encoder.encode(ch).length;
+        if (size + len > maxBytes) break;
+        result += ch;
+        size += len;
+    }
+    return result;
+}
+
+/**
+ * Encode a Waypoint protobuf
+ * @param {Object} wp - { id, lat, lon, expire (unix seconds, 0 = never), lockedTo (node num, 0 = anyone), name, description, icon (emoji) }
+ * @returns {Uint8Array}
+ */
+function encodeWaypoint(wp) {
+    const bytes = [];
+    const varint = (value) => {
+        let v = value >>> 0;
+        while (v > 0x7f) {
+            bytes.push((v & 0x7f) | 0x80);
+            v >>>= 7;
+        }
+        bytes.push(v);
+    };
+    const fixed32 = (value) => {
+        const v = value >>> 0;
+        bytes.push(v & 0xff, (v >>> 8) & 0xff, (v >>> 16) & 0xff, (v >>> 24) & 0xff);
+    };
+    const string = (field, text) => {
+        const data = new TextEncoder().encode(text);
+        if (data.length === 0) return;
+        bytes.push((field << 3) | 2);
+        varint(data.length);
+        bytes.push(...data);
+    };
+    
+    if (wp.id) { bytes.push(0x08); varint(wp.id); }
+    bytes.push(0x15); fixed32(Math.round(wp.lat * 1e7));
+    bytes.push(0x1d); fixed32(Math.round(wp.lon * 1e7));
+    if (wp.expire) { bytes.push(0x20); varint(wp.expire); }
+    if (wp.lockedTo) { bytes.push(0x28); varint(wp.lockedTo); }
+    string(6, truncateUtf8(wp.name, WAYPOINT_NAME_MAX_BYTES));
+    string(7, truncateUtf8(wp.description, WAYPOINT_DESCRIPTION_MAX_BYTES));
+    const icon = wp.icon ? String(wp.icon).codePointAt(0) : 0;
+    if (icon) { bytes.push(0x45); fixed32(icon); }
+    
+    return new Uint8Array(bytes);
+}
+
+/**
+ * Decode a Waypoint protobuf (unknown fields are skipped)
+ * @param {Uint8Array} bytes
+ * @returns {Object} { id, lat, lon, expire, lockedTo, name, description, icon }
+ */
+function decodeWaypoint(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const wp = { id: 0, lat: 0, lon: 0, expire: 0, lockedTo: 0, name: '', description: '', icon: '' };
+    
+    for (const f of BinaryUtils.readFields(bytes)) {
+        if (f.wire === 0) {
+            if (f.field === 1) wp.id = f.value;
+            else if (f.field === 4) wp.expire = f.value;
+            else if (f.field === 5) wp.lockedTo = f.value;
+        } else if (f.wire === 5) {
+            if (f.field === 2) wp.lat = view.getInt32(f.offset, true) / 1e7;
+            else if (f.field === 3) wp.lon = view.getInt32(f.offset, true) / 1e7;
+            else if (f.field === 8) {
+                const cp = view.getUint32(f.offset, true);
+                wp.icon = cp > 0 && cp <= 0x10ffff ? String.fromCodePoint(cp) : '';
+            }
+        } else if (f.wire === 2) {
+            if (f.field === 6) wp.name = BinaryUtils.decodeString(f.value);
+            else if (f.field === 7) wp.description = BinaryUtils.decodeString(f.value);
+        }
+    }
+    
+    return wp;
+}
+
+/**
+ * Send a native waypoint that the official Meshtastic apps display
+ * @param {Object} waypoint - see encodeWaypoint(); a random id is assigned if missing
+ * @param {number} destination - Node number or broadcast
+ * @param {number} channel - Channel index
+ */
+async function sendWaypoint(waypoint, destination = 0xffffffff, channel = 0) {
+    if (!MeshtasticClient.device || !MeshtasticClient.isConnected) {
+        throw new Error('Not connected to device');
+    }
+    
+    const wp = { ...waypoint, id: waypoint.id || (Math.floor(Math.random() * 0xfffffffe) + 1) };
+    const packetId = await MeshtasticClient.device.sendPacket(
+        encodeWaypoint(wp), WAYPOINT_PORTNUM, destination, channel, true, false
+    );
+    
+    return { ...wp, destination, channel, packetId: packetId || null, timestamp: Date.now() };
+}
+
+/**
+ * Handle a waypoint packet, either decoded by the library (onWaypointPacket)
+ * or raw WAYPOINT_APP payload bytes from a mesh packet
+ */
+function handleWaypointPacket(packet) {
+    if (!packet) return;
+    
+    let wp;
+    const d = packet.data;
+    if (d instanceof Uint8Array) {
+        try {
+            wp = decodeWaypoint(d);
+        } catch (e) {
+            console.warn('[MeshtasticClient] Bad waypoint payload:', e.message);
+            return;
+        }
+    } else if (d) {
+        const icon = d.icon ?? 0;
+        wp = {
+            id: d.id ?? 0,
+            lat: (d.latitudeI ?? d.latitude_i ?? 0) / 1e7,
+            lon: (d.longitudeI ?? d.longitude_i ?? 0) / 1e7,
+            expire: d.expire ?? 0,
+            lockedTo: d.lockedTo ?? d.locked_to ?? 0,
+            name: d.name || '',
+            description: d.description || '',
+            icon: icon > 0 && icon <= 0x10ffff ? String.fromCodePoint(icon) : ''
+        };
+    } else {
+        return;
+    }
+    
+    if (MeshtasticClient.callbacks.onWaypoint) {
+        MeshtasticClient.callbacks.onWaypoint({
+            ...wp,
+            from: packet.from,
+            to: packet.to,
+            channel: packet.channel ?? 0,
+            packetId: packet.id,
+            timestamp: Date.now()
+        });
+    }
+}
+
+// =============================================================================
+// STORE & FORWARD (STORE_FORWARD_APP) AND NEIGHBOR INFO (NEIGHBORINFO_APP)
+// =============================================================================
+
+// StoreAndForward protobuf (meshtastic/storeforward.proto):
+//   1 rr RequestResponse, 2 stats Statistics, 3 history History,
+//   4 heartbeat Heartbeat, 5 text bytes
+// NeighborInfo protobuf (meshtastic/mesh.proto):
+//   1 node_id uint32, 2 last_sent_by_id uint32, 3 node_broadcast_interval_secs uint32,
+//   4 neighbors Neighbor { 1 node_id uint32, 2 snr float, 3 last_rx_time fixed32,
+//   4 node_broadcast_interval_secs uint32 }
+const STORE_FORWARD_PORTNUM = 65;
+const NEIGHBORINFO_PORTNUM = 71;
+
+const StoreForwardRR = {
+    UNSET: 0,
+    ROUTER_ERROR: 1,
+    ROUTER_HEARTBEAT: 2,
+    ROUTER_PING: 3,
+    ROUTER_PONG: 4,
+    ROUTER_BUSY: 5,
+    ROUTER_HISTORY: 6,
+    ROUTER_STATS: 7,
+    ROUTER_TEXT_DIRECT: 8,
+    ROUTER_TEXT_BROADCAST: 9,
+    CLIENT_ERROR: 64,
+    CLIENT_HISTORY: 65,
+    CLIENT_STATS: 66,
+    CLIENT_PING: 67,
+    CLIENT_PONG: 68,
+    CLIENT_ABORT: 106
+};
+
+/**
+ * Encode a StoreAndForward protobuf
+ * @param {Object} msg - { rr, history: { window (minutes), lastRequest } }
+ * @returns {Uint8Array}
+ */
+function encodeStoreForward(msg) {
+    const bytes = [];
+    const varint = (value, out = bytes) => {
+        let v = value >>> 0;
+        while (v > 0x7f) {
+            out.push((v & 0x7f) | 0x80);
+            v >>>= 7;
+        }
+        out.push(v);
+    };
+    
+    if (msg.rr) { bytes.push(0x08); varint(msg.rr); }
+    if (msg.history) {
+        const sub = [];
+        if (msg.history.window) { sub.push(0x10); varint(msg.history.window, sub); }
+        if (msg.history.lastRequest) { sub.push(0x18); varint(msg.history.lastRequest, sub); }
+        bytes.push(0x1a);
+        varint(sub.length);
+        bytes.push(...sub);
+    }
+    
+    return new Uint8Array(bytes);
+}
+
+/**
+ * Decode a StoreAndForward protobuf
+ * @param {Uint8Array} bytes
+ * @returns {Object} { rr, stats?, history?, heartbeat?, text? }
+ */
+function decodeStoreForward(bytes) {
+    const msg = { rr: 0 };
+    
+    for (const f of BinaryUtils.readFields(bytes)) {
+        if (f.field === 1 && f.wire === 0) {
+            msg.rr = f.value;
+        } else if (f.field === 2 && f.wire === 2) {
+            const names = [null, 'messagesTotal', 'messagesSaved', 'messagesMax', 'upTime',
+                'requests', 'requestsHistory', 'heartbeat', 'returnMax', 'returnWindow'];
+            msg.stats = {};
+            for (const s of BinaryUtils.readFields(f.value)) {
+                if (s.wire === 0 && names[s.field]) msg.stats[names[s.field]] = s.value;
+            }
+            msg.stats.heartbeat = !!msg.stats.heartbeat;
+        } else if (f.field === 3 && f.wire === 2) {
+            msg.history = { historyMessages: 0, window: 0, lastRequest: 0 };
+            for (const h of BinaryUtils.readFields(f.value)) {
+                if (h.wire !== 0) continue;
+                if (h.field === 1) msg.history.historyMessages = h.value;
+                else if (h.field === 2) msg.history.window = h.value;
+                else if (h.field === 3) msg.history.lastRequest = h.value;
+            }
+        } else if (f.field === 4 && f.wire === 2) {
+            msg.heartbeat = { period: 0, secondary: 0 };
+            for (const h of BinaryUtils.readFields(f.value)) {
+                if (h.wire !== 0) continue;
+                if (h.field === 1) msg.heartbeat.period = h.value;
+                else if (h.field === 2) msg.heartbeat.secondary = h.value;
+            }
+        } else if (f.field === 5 && f.wire === 2) {
+            msg.text = new TextDecoder().decode(f.value);
+        }
+    }
+    
+    return msg;
+}
+
+/**
+ * Decode a NeighborInfo protobuf
+ * @param {Uint8Array} bytes
+ * @returns {Object} { nodeId, lastSentById, broadcastIntervalSecs, neighbors: [{ nodeId, snr, lastRxTime, broadcastIntervalSecs }] }
+ */
+function decodeNeighborInfo(bytes) {
+    const info = { nodeId: 0, lastSentById: 0, broadcastIntervalSecs: 0, neighbors: [] };
+    
+    for (const f of BinaryUtils.readFields(bytes)) {
+        if (f.wire === 0) {
+            if (f.field === 1) info.nodeId = f.value;
+            else if (f.field === 2) info.lastSentById = f.value;
+            else if (f.field === 3) info.broadcastIntervalSecs = f.value;
+        } else if (f.field === 4 && f.wire === 2) {
+            const view = new DataView(f.value.buffer, f.value.byteOffset, f.value.byteLength);
+            const neighbor = { nodeId: 0, snr: 0, lastRxTime: 0, broadcastIntervalSecs: 0 };
+            for (const n of BinaryUtils.readFields(f.value)) {
+                if (n.field === 1 && n.wire === 0) neighbor.nodeId = n.value;
+                else if (n.field === 2 && n.wire === 5) neighbor.snr = Math.round(view.getFloat32(n.offset, true) * 100) / 100;
+                else if (n.field === 3 && n.wire === 5) neighbor.lastRxTime = view.getUint32(n.offset, true);
+                else if (n.field === 4 && n.wire === 0) neighbor.broadcastIntervalSecs = n.value;
+            }
+            if (neighbor.nodeId) info.neighbors.push(neighbor);
+        }
+    }
+    
+    return info;
+}
+
+/**
+ * Ask a store-and-forward router for the messages it stored while we were away
+ * @param {number} router - Router node number
+ * @param {number} windowMinutes - How far back to replay (0 = router default)
+ * @param {number} lastRequest - Index returned by the router's previous ROUTER_HISTORY, so it skips what we already have
+ */
+async function requestStoreForwardHistory(router, windowMinutes = 0, lastRequest = 0) {
+    return sendStoreForward(router, {
+        rr: StoreForwardRR.CLIENT_HISTORY,
+        history: { window: windowMinutes, lastRequest }
+    });
+}
+
+/**
+ * Send a StoreAndForward control message (CLIENT_PING, CLIENT_STATS, CLIENT_ABORT, ...)
+ * @param {number} router - Router node number
+ * @param {Object} msg - see encodeStoreForward()
+ */
+async function sendStoreForward(router, msg) {
+    if (!MeshtasticClient.device || !MeshtasticClient.isConnected) {
+        throw new Error('Not connected to device');
+    }
+    
+    const packetId = await MeshtasticClient.device.sendPacket(
+        encodeStoreForward(msg), STORE_FORWARD_PORTNUM, router, 0, false, false
+    );
+    
+    return { router, rr: msg.rr, packetId: packetId || null, timestamp: Date.now() };
+}
+
+/**
+ * Handle a store-and-forward packet, either decoded by the library
+ * (onStoreForwardPacket) or raw STORE_FORWARD_APP payload bytes
+ */
+function handleStoreForwardPacket(packet) {
+    if (!packet) return;
+    
+    let sf;
+    const d = packet.data;
+    if (d instanceof Uint8Array) {
+        try {
+            sf = decodeStoreForward(d);
+        } catch (e) {
+            console.warn('[MeshtasticClient] Bad store-and-forward payload:', e.message);
+            return;
+        }
+    } else if (d) {
+        // protobuf-es oneof: { rr, variant: { case, value } }
+        sf = { rr: d.rr ?? 0 };
+        const variant = d.variant;
+        if (variant?.case === 'text') {
+            sf.text = variant.value instanceof Uint8Array ? new TextDecoder().decode(variant.value) : String(variant.value || '');
+        } else if (variant?.case) {
+            sf[variant.case] = { ...variant.value };
+        }
+    } else {
+        return;
+    }
+    
+    if (MeshtasticClient.callbacks.onStoreForward) {
+        MeshtasticClient.callbacks.onStoreForward({
+            ...sf,
+            from: packet.from,
+            to: packet.to,
+            channel: packet.channel ?? 0,
+            packetId: packet.id,
+            rxTime: packet.rxTime instanceof Date ? packet.rxTime.getTime() : null,
+            timestamp: Date.now()
+        });
+    }
+}
+
+/**
+ * Handle a neighbor-info packet, either decoded by the library
+ * (onNeighborInfoPacket) or raw NEIGHBORINFO_APP payload bytes
+ */
+function handleNeighborInfoPacket(packet) {
+    if (!packet) return;
+    
+    let info;
+    const d = packet.data;
+    if (d instanceof Uint8Array) {
+        try {
+            info = decodeNeighborInfo(d);
+        } catch (e) {
+            console.warn('[MeshtasticClient] Bad neighbor info payload:', e.message);
+            return;
+        }
+    } else if (d) {
+        info = {
+            nodeId: d.nodeId ?? d.node_id ?? packet.from,
+            lastSentById: d.lastSentById ?? d.last_sent_by_id ?? 0,
+            broadcastIntervalSecs: d.nodeBroadcastIntervalSecs ?? d.node_broadcast_interval_secs ?? 0,
+            neighbors: (d.neighbors || []).map(n => ({
+                nodeId: n.nodeId ?? n.node_id ?? 0,
+                snr: n.snr ?? 0,
+                lastRxTime: n.lastRxTime ?? n.last_rx_time ?? 0,
+                broadcastIntervalSecs: n.nodeBroadcastIntervalSecs ?? n.node_broadcast_interval_secs ?? 0
+            })).filter(n => n.nodeId)
+        };
+    } else {
+        return;
+    }
+    
+    if (MeshtasticClient.callbacks.onNeighborInfo) {
+        MeshtasticClient.callbacks.onNeighborInfo({
+            ...info,
+            nodeId: info.nodeId || packet.from,
+            from: packet.from,
+            timestamp: Date.now()
+        });
+    }
+}
+
 // =============================================================================
 // PUBLIC API
 // =============================================================================
@@ -2361,6 +2840,14 @@ window.MeshtasticClient = {
     // Messaging
     sendMessage,
     sendPosition,
+    sendWaypoint,
+    encodeWaypoint,
+    decodeWaypoint,
+    requestStoreForwardHistory,
+    sendStoreForward,
+    encodeStoreForward,
+    decodeStoreForward,
+    decodeNeighborInfo,
     
     // Data access
     getNodes,
@@ -2379,6 +2866,7 @@ window.MeshtasticClient = {
     debugLibraries,
     
     // Constants (will be populated after libraries load)
+    StoreForwardRR,
     RegionCode: {},
     ModemPreset: {}
 };
@@ -2421,6 +2909,14 @@ export {
     batchWriteConfigs,
     sendMessage,
     sendPosition,
+    sendWaypoint,
+    encodeWaypoint,
+    decodeWaypoint,
+    requestStoreForwardHistory,
+    sendStoreForward,
+    encodeStoreForward,
+    decodeStoreForward,
+    decodeNeighborInfo,
     getNodes,
     getChannels,
     setChannel,
@@ -50,7 +50,16 @@ const MeshtasticModule = (function() {
         DM_READ: 'dm_read',              // DM read receipt
         // Traceroute types
         TRACEROUTE_REQUEST: 'traceroute_request',   // Request route to destination
-        TRACEROUTE_REPLY: 'traceroute_reply'        // Route path response
+        TRACEROUTE_REPLY: 'traceroute_reply',       // Route path response
+        // APRS cross-gating
+        APRS_GATE: 'aprs_gate',                      // APRS position relayed by a field gate
+        // Chunked payload transfers
+        XFER_OFFER: 'xfer_offer',                    // Transfer announcement (kind, size, chunk count)
+        XFER_CHUNK: 'xfer_chunk',                    // One slice of a transfer
+        XFER_NACK: 'xfer_nack',                      // Receiver requests missing chunks
+        XFER_ACK: 'xfer_ack',                        // Receiver confirms reassembly
+        // Range test
+        RANGE_PING: 'range_ping'                     // Sequenced ping from a range-test beacon
     };
     
     // Message delivery status
@@ -308,7 +317,6 @@ const MeshtasticModule = (function() {
     
     // Message size limits (Meshtastic has ~237 byte payload limit)
     const MAX_MESSAGE_SIZE = 200;
-    const MAX_CHUNK_SIZE = 180;
     const MAX_LORA_PAYLOAD = 228; // Conservative LoRa text payload limit
     // DM text limit: encrypted text (base64) + JSON envelope must fit in LoRa payload.
     // Envelope ~100 bytes, leaving ~128 base64 chars = ~96 raw bytes - 28 AES-GCM overhead = ~68.
@@ -478,6 +486,8 @@ const MeshtasticModule = (function() {
         
         // Start status update interval with tracking
         meshEvents.setInterval(updateNodeStatuses, 30000);
+        meshEvents.setInterval(pruneExpiredWaypoints, EXPIRED_WAYPOINT_CHECK_INTERVAL);
+        meshEvents.setInterval(checkTransfers, TRANSFER_CHECK_INTERVAL);
         
         // Load saved settings then attempt auto-reconnect if previously connected
         loadSettings().then(() => {
@@ -600,6 +610,15 @@ const MeshtasticModule = (function() {
             // Phase 1.5: Load outbound message queue
             await loadOutboundQueue();
             
+            // Load unfinished mesh transfers so they can resume
+            await loadTransfers();
+            
+            // Load the range test coverage log
+            await loadRangeTest();
+            
+            // Load known store-and-forward routers and the topology graph
+            await loadStoreForward();
+            
             // Load DM conversations
             const savedDMs = await Storage.Settings.get('meshtastic_dm_conversations');
             if (savedDMs) {
@@ -1225,11 +1244,26 @@ const MeshtasticModule = (function() {
             handleMessageFromClient(message);
         });
         
+        // Native waypoints from the official apps (and GridDown peers)
+        MeshtasticClient.setCallback('onWaypoint', (waypoint) => {
+            handleNativeWaypoint(waypoint);
+        });
+        
         // Transport-level ACK/NACK - bridge to GridDown delivery status tracking
         MeshtasticClient.setCallback('onAck', (ack) => {
             handleTransportAck(ack);
         });
         
+        // Store-and-forward routers (heartbeats, history replies, replayed messages)
+        MeshtasticClient.setCallback('onStoreForward', (sf) => {
+            handleStoreForward(sf);
+        });
+        
+        // Neighbor tables for the mesh topology graph
+        MeshtasticClient.setCallback('onNeighborInfo', (info) => {
+            handleNeighborInfo(info);
+        });
+        
         // Native firmware traceroute response
         MeshtasticClient.setCallback('onTraceroute', (data) => {
             console.log('[Meshtastic] Native traceroute response:', data);
@@ -1485,6 +1519,7 @@ const MeshtasticModule = (function() {
      *   sent by other GridDown instances via sendViaRealClient()
      */
     function handleMessageFromClient(message) {
+        markMeshHeard(message.id);
         const fromId = nodeNumToId(message.from);
         const toId = nodeNumToId(message.to);
         const text = message.text || '';
@@ -1510,6 +1545,8 @@ const MeshtasticModule = (function() {
                     }
                     // Add metadata from the Meshtastic packet if not present
                     if (!parsed.from) parsed.from = fromId;
+                    // The radio header sender, unlike "from", is not written by the sender's app
+                    parsed.rxFrom = fromId;
                     if (!parsed.channelIndex && message.channel !== undefined) {
                         parsed.channelIndex = message.channel;
                     }
@@ -1522,6 +1559,7 @@ const MeshtasticModule = (function() {
                     if (!parsed.timestamp) {
                         parsed.timestamp = Date.now();
                     }
+                    if (message.replayed) parsed.replayed = true;
                     
                     // Dispatch through the protocol handler
                     console.log('[Meshtastic] Received GridDown protocol message:', parsed.type);
@@ -1555,6 +1593,10 @@ const MeshtasticModule = (function() {
             msg.fromName = fromId;
         }
         
+        if (message.replayed) {
+            storeReplayedMessage({ ...msg, replayed: true });
+            return;
+        }
         handleTextMessage(msg);
     }
     
@@ -1563,6 +1605,17 @@ const MeshtasticModule = (function() {
      * Uses the same dispatch table as processReceivedData() from the legacy path.
      */
     function processReceivedData_fromClient(message) {
+        // Router replays are old traffic: keep text in history, but don't alert, ACK
+        // or re-run SOS, check-in, transfer and other stateful handlers
+        if (message.replayed) {
+            if (message.type === MessageType.TEXT && message.text) {
+                storeReplayedMessage({ ...message, deliveryStatus: DeliveryStatus.DELIVERED });
+            } else {
+                console.log('[Meshtastic] Ignoring replayed protocol message:', message.type);
+            }
+            return;
+        }
+        
         switch (message.type) {
             case MessageType.POSITION:
                 handlePositionUpdate(message);
@@ -1613,6 +1666,24 @@ const MeshtasticModule = (function() {
             case MessageType.TRACEROUTE_REPLY:
                 // Native firmware traceroute handles this now — ignore legacy JSON messages
                 break;
+            case MessageType.APRS_GATE:
+                handleAPRSGate(message);
+                break;
+            case MessageType.XFER_OFFER:
+                handleTransferOffer(message);
+                break;
+            case MessageType.XFER_CHUNK:
+                handleTransferChunk(message);
+                break;
+            case MessageType.XFER_NACK:
+                handleTransferNack(message);
+                break;
+            case MessageType.XFER_ACK:
+                handleTransferAck(message);
+                break;
+            case MessageType.RANGE_PING:
+                handleRangePing(message);
+                break;
             default:
                 console.warn('[Meshtastic] Unknown GridDown protocol type:', message.type);
                 // Treat as text message fallback
@@ -1656,11 +1727,18 @@ const MeshtasticModule = (function() {
             
             // Refresh team members so self position appears on map immediately
             updateTeamMembers();
+            
+            // Pick up interrupted mesh transfers
+            resumeTransfers();
+            
+            // Ask a store-and-forward router for anything we missed
+            onStoreForwardConnection(true);
         } else if (newState !== ConnectionState.CONNECTED && oldState === ConnectionState.CONNECTED) {
             // Disconnected - stop queue processor
             console.log('[Queue] Connection lost, stopping queue processor');
             stopQueueProcessor();
             state.meshConnectivityStatus = 'disconnected';
+            onStoreForwardConnection(false);
         }
         
         if (state.onConnectionChange) {
@@ -2071,6 +2149,24 @@ const MeshtasticModule = (function() {
             case MessageType.TRACEROUTE_REQUEST:
             case MessageType.TRACEROUTE_REPLY:
                 break;
+            case MessageType.APRS_GATE:
+                handleAPRSGate(message);
+                break;
+            case MessageType.XFER_OFFER:
+                handleTransferOffer(message);
+                break;
+            case MessageType.XFER_CHUNK:
+                handleTransferChunk(message);
+                break;
+            case MessageType.XFER_NACK:
+                handleTransferNack(message);
+                break;
+            case MessageType.XFER_ACK:
+                handleTransferAck(message);
+                break;
+            case MessageType.RANGE_PING:
+                handleRangePing(message);
+                break;
             default:
                 console.warn('Unknown message type:', message.type);
         }
@@ -4587,6 +4683,9 @@ const MeshtasticModule = (function() {
             healthScore = activeNodes.length > 0 ? 20 : 10;
         }
         
+        // Node-to-node links from neighbor tables, weakest first
+        const topology = getMeshTopology();
+        
         // Calculate average signal quality
         let avgSnr = 0, avgRssi = 0;
         if (activeNodes.length > 0) {
@@ -4611,6 +4710,11 @@ const MeshtasticModule = (function() {
                 rssi: Math.round(avgRssi)
             },
             queueStatus: getQueueStatus(),
+            topology: {
+                links: topology.links.length,
+                weakLinks: topology.links.filter(l => l.quality === 'poor' || l.quality === 'fair').slice(0, 3)
+            },
+            storeForward: getStoreForwardStatus(),
             lastUpdate: now,
             isConnected: state.connectionState === ConnectionState.CONNECTED,
             scenario: getActiveScenario()
@@ -5446,7 +5550,65 @@ const MeshtasticModule = (function() {
         });
         return nodes;
     }
-    
+
+    /**
+     * Get a peer's raw public key (base64), if we have received it
+     */
+    function getPeerPublicKey(nodeId) {
+        return state.peerPublicKeys.get(nodeId)?.publicKey || null;
+    }
+
+    /**
+     * Sign text with our PKI private key.
+     * The P-256 key pair is re-imported as ECDSA so peers can verify
+     * against the same public key they already hold for DM encryption.
+     * @returns {Promise<string>} base64 raw (r||s) signature
+     */
+    async function signWithMyKey(text) {
+        if (!isCryptoAvailable()) throw new Error('Web Crypto API not available');
+        if (!state.myKeyPair) await generateKeyPair();
+
+        if (!state.myKeyPair.signingKeyObj) {
+            const jwk = JSON.parse(state.myKeyPair.privateKey);
+            delete jwk.key_ops;
+            delete jwk.alg;
+            state.myKeyPair.signingKeyObj = await crypto.subtle.importKey(
+                'jwk', jwk, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign']
+            );
+        }
+
+        const signature = await crypto.subtle.sign(
+            { name: 'ECDSA', hash: 'SHA-256' },
+            state.myKeyPair.signingKeyObj,
+            new TextEncoder().encode(text)
+        );
+        return arrayBufferToBase64(signature);
+    }
+
+    /**
+     * Verify a signature produced by signWithMyKey on another node
+     * @param {string} publicKey - Signer's raw public key (base64)
+     * @returns {Promise<boolean>}
+     */
+    async function verifySignature(publicKey, text, signature) {
+        if (!isCryptoAvailable() || !publicKey || !signature) return false;
+        try {
+            const key = await crypto.subtle.importKey(
+                'raw', base64ToArrayBuffer(publicKey),
+                { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']
+            );
+            return await crypto.subtle.verify(
+                { name: 'ECDSA', hash: 'SHA-256' },
+                key,
+                base64ToArrayBuffer(signature),
+                new TextEncoder().encode(text)
+            );
+        } catch (e) {
+            console.warn('Signature verification failed:', e);
+            return false;
+        }
+    }
+
     // Utility functions for base64/ArrayBuffer conversion
     function arrayBufferToBase64(buffer) {
         const bytes = new Uint8Array(buffer);
@@ -6399,9 +6561,15 @@ const MeshtasticModule = (function() {
     // =========================================================================
     
     /**
-     * Share a waypoint via mesh
+     * Share a waypoint via mesh. On a real device it goes out as a native
+     * waypoint the official apps display; otherwise as a GridDown message.
+     * @param {Object} options - { expireHours, locked, to, channel } (native only)
      */
-    async function shareWaypoint(waypoint) {
+    async function shareWaypoint(waypoint, options = {}) {
+        if (usingNativeWaypoints()) {
+            return shareNativeWaypoint(waypoint, options);
+        }
+        
         const message = {
             type: MessageType.WAYPOINT,
             from: state.myNodeId,
@@ -6561,8 +6729,206 @@ const MeshtasticModule = (function() {
         Events.emit('meshtastic:waypoint', { waypoint, from: message.fromName });
     }
     
+    // =========================================================================
+    // NATIVE WAYPOINTS (official Meshtastic apps)
+    // =========================================================================
+    
+    // Icons the official apps offer, mapped to GridDown waypoint types.
+    // Anything else arrives as 'custom' and keeps its icon.
+    const NATIVE_ICON_TYPES = {
+        water: ['💧', '🚰', '🌊', '🚿'],
+        fuel: ['⛽', '🛢'],
+        camp: ['🏕', '⛺', '🔥', '🛏'],
+        resupply: ['🏪', '🛒', '📦', '🍴', '🍽', '🥫'],
+        hazard: ['⚠', '🚧', '☠', '💀', '❗', '⛔', '🚫'],
+        bailout: ['🚁', '🏥', '🚑', '🆘', '🚪']
+    };
+    const NATIVE_DEFAULT_ICON = '📍';
+    const EXPIRED_WAYPOINT_CHECK_INTERVAL = 60000;
+    
+    /**
+     * First code point of an emoji (the protobuf icon is a single fixed32)
+     */
+    function firstCodePoint(text) {
+        const cp = text ? String(text).codePointAt(0) : undefined;
+        return cp ? String.fromCodePoint(cp) : '';
+    }
+    
+    /**
+     * GridDown waypoint type for a native icon
+     */
+    function typeForNativeIcon(icon) {
+        const cp = firstCodePoint(icon);
+        for (const [type, icons] of Object.entries(NATIVE_ICON_TYPES)) {
+            if (icons.includes(cp)) return type;
+        }
+        return 'custom';
+    }
+    
+    /**
+     * Stable 32-bit waypoint id from a GridDown id (FNV-1a), never 0
+     */
+    function nativeWaypointId(id) {
+        let hash = 0x811c9dc5;
+        for (const ch of String(id)) {
+            hash ^= ch.codePointAt(0);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash || 1;
+    }
+    
+    /**
+     * Convert a GridDown waypoint to a native Waypoint
+     * @param {Object} waypoint - GridDown waypoint
+     * @param {Object} options - { expireHours (0 = never), locked (only this node may edit) }
+     */
+    function toNativeWaypoint(waypoint, options = {}) {
+        const typeIcon = typeof Constants !== 'undefined' ? Constants.WAYPOINT_TYPES?.[waypoint.type]?.icon : null;
+        const expireHours = options.expireHours || 0;
+        return {
+            id: waypoint.meshWaypointId || nativeWaypointId(waypoint.id || `${waypoint.lat},${waypoint.lon}`),
+            lat: waypoint.lat ?? (37.4215 + (waypoint.y - 50) * 0.002),
+            lon: waypoint.lon ?? (-119.1892 + (waypoint.x - 50) * 0.004),
+            expire: expireHours > 0 ? Math.floor(Date.now() / 1000 + expireHours * 3600) : 0,
+            lockedTo: options.locked && state.myNodeNum ? state.myNodeNum : 0,
+            name: waypoint.name || 'Waypoint',
+            description: (waypoint.notes || '').replace(/\n?\[Shared by [^\]]*\]$/, ''),
+            icon: firstCodePoint(waypoint.icon || typeIcon || NATIVE_DEFAULT_ICON)
+        };
+    }
+    
+    /**
+     * Convert a received native Waypoint to a GridDown waypoint
+     */
+    function fromNativeWaypoint(native, fromName) {
+        return {
+            id: `mesh-wp-${native.id}`,
+            name: native.name || 'Shared Waypoint',
+            type: typeForNativeIcon(native.icon),
+            icon: native.icon || undefined,
+            lat: native.lat,
+            lon: native.lon,
+            x: lonToX(native.lon),
+            y: latToY(native.lat),
+            notes: native.description || '',
+            verified: false,
+            source: 'meshtastic',
+            sharedBy: fromName,
+            sharedAt: Date.now(),
+            meshWaypointId: native.id,
+            meshExpiresAt: native.expire ? native.expire * 1000 : null,
+            meshLockedTo: native.lockedTo || null
+        };
+    }
+    
+    /**
+     * Handle a native waypoint from the mesh (official apps or GridDown).
+     * An expire time in the past is how the apps delete a waypoint.
+     */
+    function handleNativeWaypoint(native) {
+        if (!native || !native.id) return;
+        if (state.myNodeNum && native.from === state.myNodeNum) return;
+        
+        const fromId = nodeNumToId(native.from);
+        const sender = fromId ? state.nodes.get(fromId) : null;
+        const fromName = sender?.shortName || sender?.name || fromId || 'mesh';
+        
+        const existing = State.get('waypoints').find(w => w.meshWaypointId === native.id);
+        
+        // Locked waypoints can only be changed by the node that locked them
+        if (existing?.meshLockedTo && existing.meshLockedTo !== native.from) {
+            console.log(`[Meshtastic] Ignoring change to locked waypoint ${native.id} from ${fromName}`);
+            return;
+        }
+        
+        // Our own waypoints are only changed locally
+        if (existing && existing.source !== 'meshtastic') return;
+        
+        if (native.expire && native.expire * 1000 <= Date.now()) {
+            if (existing) {
+                removeMeshWaypoint(existing);
+                if (typeof ModalsModule !== 'undefined') {
+                    ModalsModule.showToast(`📍 ${fromName} removed waypoint: ${existing.name}`, 'info');
+                }
+                Events.emit('meshtastic:waypoint', { waypoint: existing, from: fromName, deleted: true });
+            }
+            return;
+        }
+        
+        const waypoint = fromNativeWaypoint(native, fromName);
+        if (existing) {
+            const { id, ...updates } = waypoint;
+            State.Waypoints.update(existing.id, updates, false);
+        } else {
+            State.Waypoints.add(waypoint, false);
+            if (typeof ModalsModule !== 'undefined') {
+                ModalsModule.showToast(`📍 Received waypoint: ${waypoint.name} from ${fromName}`, 'success');
+            }
+        }
+        
+        Events.emit('meshtastic:waypoint', { waypoint, from: fromName });
+    }
+    
+    function removeMeshWaypoint(waypoint) {
+        State.Waypoints.remove(waypoint.id, false);
+        if (typeof Storage !== 'undefined' && Storage.Waypoints?.delete) {
+            Storage.Waypoints.delete(waypoint.id);
+        }
+    }
+    
+    /**
+     * Drop received waypoints whose expire time has passed
+     */
+    function pruneExpiredWaypoints() {
+        if (typeof State === 'undefined') return;
+        const now = Date.now();
+        const expired = State.get('waypoints').filter(w =>
+            w.source === 'meshtastic' && w.meshExpiresAt && w.meshExpiresAt <= now
+        );
+        expired.forEach(removeMeshWaypoint);
+        if (expired.length > 0) {
+            Events.emit('meshtastic:waypoint', { expired: expired.length });
+        }
+    }
+    
+    /**
+     * Share a waypoint as a native WAYPOINT_APP packet and remember its id,
+     * so sharing it again updates the same marker on other devices
+     */
+    async function shareNativeWaypoint(waypoint, options = {}) {
+        const native = toNativeWaypoint(waypoint, options);
+        await MeshtasticClient.sendWaypoint(native, options.to || 0xffffffff, options.channel || 0);
+        
+        if (waypoint.id && waypoint.meshWaypointId !== native.id && State.get('waypoints').some(w => w.id === waypoint.id)) {
+            State.Waypoints.update(waypoint.id, { meshWaypointId: native.id }, false);
+        }
+        
+        if (typeof ModalsModule !== 'undefined') {
+            ModalsModule.showToast(`📍 Shared waypoint: ${waypoint.name}`, 'success');
+        }
+        return native;
+    }
+    
+    /**
+     * Remove a previously shared waypoint from other devices (re-sent with an expire time in the past).
+     * Received waypoints are only removed locally.
+     */
+    async function deleteSharedWaypoint(waypoint) {
+        if (!waypoint?.meshWaypointId || waypoint.source === 'meshtastic' || !usingNativeWaypoints()) return false;
+        await MeshtasticClient.sendWaypoint({ ...toNativeWaypoint(waypoint), expire: 1 });
+        if (State.get('waypoints').some(w => w.id === waypoint.id)) {
+            State.Waypoints.update(waypoint.id, { meshWaypointId: null }, false);
+        }
+        return true;
+    }
+    
+    function usingNativeWaypoints() {
+        return state.usingRealClient && typeof MeshtasticClient !== 'undefined' &&
+            typeof MeshtasticClient.sendWaypoint === 'function';
+    }
+    
     /**
-     * Share a route via mesh (chunked for bandwidth)
+     * Share a route via mesh (single message, or a mesh transfer when too large)
      */
     async function shareRoute(route) {
         // Compress route data
@@ -6592,36 +6958,17 @@ const MeshtasticModule = (function() {
                 timestamp: Date.now()
             });
         } else {
-            // Chunk the data
-            const chunks = [];
-            for (let i = 0; i < json.length; i += MAX_CHUNK_SIZE) {
-                chunks.push(json.substring(i, i + MAX_CHUNK_SIZE));
-            }
-            
-            const routeId = `route-${Date.now()}`;
-            for (let i = 0; i < chunks.length; i++) {
-                await sendToDevice({
-                    type: MessageType.ROUTE,
-                    from: state.myNodeId,
-                    fromName: state.shortName,
-                    routeId: routeId,
-                    data: chunks[i],
-                    chunk: i,
-                    totalChunks: chunks.length,
-                    timestamp: Date.now()
-                });
-                
-                // Small delay between chunks
-                await sleep(500);
-            }
+            // Larger routes go through the transfer layer (compressed, with retransmit)
+            await sendTransfer(TransferKind.ROUTE, routeData, { name: route.name });
         }
         
         if (typeof ModalsModule !== 'undefined') {
-            ModalsModule.showToast(`🛤️ Shared route: ${route.name}`, 'success');
+            const verb = json.length <= MAX_MESSAGE_SIZE ? 'Shared' : 'Sending';
+            ModalsModule.showToast(`🛤️ ${verb} route: ${route.name}`, 'success');
         }
     }
     
-    // Route chunk assembly buffer
+    // Route chunk assembly buffer (legacy chunked shares from older clients)
     const routeChunks = new Map();
     
     /**
@@ -6703,68 +7050,1929 @@ const MeshtasticModule = (function() {
     }
 
     // =========================================================================
-    // TRACEROUTE FUNCTIONALITY
+    // MESH TRANSFERS — compressed, resumable multi-chunk payloads
     // =========================================================================
-    
-    const TRACEROUTE_TIMEOUT = 30000;  // 30 seconds timeout
-    const TRACEROUTE_MAX_HOPS = 10;    // Maximum hops to track
-    
+
+    /*
+     * Transfers carry payloads that don't fit one LoRa frame: routes, areas,
+     * team packages, comm plans and small images. The payload is wrapped in an
+     * envelope ({ k: kind, n: name, m: meta, d: data }), deflated when that
+     * helps, base64-encoded and cut into TRANSFER_CHUNK_SIZE slices.
+     *
+     *   xfer_offer   sender → mesh      xid, kind, name, size, total, crc
+     *   xfer_chunk   sender → mesh      one slice (seq of total)
+     *   xfer_nack    receiver → sender  missing seqs as ranges ("0-4,9")
+     *   xfer_ack     receiver → sender  payload reassembled and verified
+     *
+     * A receiver asks for gaps after TRANSFER_GAP_TIMEOUT of silence and the
+     * sender re-offers when nobody answers. Both ends persist their progress,
+     * so a transfer picks up where it stopped after a reconnect or reload.
+     */
+
+    const TransferKind = {
+        ROUTE: 'route',
+        AREA: 'area',
+        TEAM: 'team',
+        COMMPLAN: 'commplan',
+        IMAGE: 'image',
+        TEAM_SYNC: 'team_sync'
+    };
+
+    const TransferStatus = {
+        SENDING: 'sending',       // Chunks (or requested retransmits) still going out
+        WAITING: 'waiting',       // All chunks sent, waiting for ACK/NACK
+        RECEIVING: 'receiving',   // Collecting chunks
+        COMPLETE: 'complete',     // Acknowledged (out) / reassembled (in)
+        STALLED: 'stalled',       // No answer after TRANSFER_MAX_ROUNDS — resumable
+        FAILED: 'failed',         // Payload could not be decoded
+        CANCELLED: 'cancelled'
+    };
+
+    const TRANSFER_STORAGE_KEY = 'meshtastic_transfers';
+    const TRANSFER_CHUNK_SIZE = 120;              // base64 chars per chunk frame (frame stays under MAX_LORA_PAYLOAD)
+    const TRANSFER_MAX_BYTES = 24576;             // Encoded payload cap (~275 chunks)
+    const TRANSFER_CHUNK_INTERVAL = 500;          // ms between frames so a transfer doesn't flood the channel
+    const TRANSFER_GAP_TIMEOUT = 10000;           // Silence before a receiver asks for missing chunks
+    const TRANSFER_NACK_RANGES = 12;              // Missing ranges per request (keeps a NACK in one frame)
+    const TRANSFER_MAX_ROUNDS = 6;                // Unanswered requests/offers before a transfer stalls
+    const TRANSFER_TTL = 6 * 60 * 60 * 1000;      // Unfinished transfers kept for resume
+    const TRANSFER_FINISHED_TTL = 60 * 60 * 1000; // Finished transfers kept for late NACKs and the UI
+    const TRANSFER_CHECK_INTERVAL = 5000;
+    const TRANSFER_IMAGE_MAX_DIM = 160;           // px, longest side of a shared image
+    const TRANSFER_IMAGE_QUALITY = 0.5;           // JPEG quality for shared images
+    const TRANSFER_FORMAT_RAW = 0;                // First payload byte: envelope stored as-is
+    const TRANSFER_FORMAT_DEFLATE = 1;            // First payload byte: envelope deflate-raw compressed
+
+    // key ('out:<xid>' or 'in:<from>:<xid>') -> transfer record
+    const transfers = new Map();
+    let transferPumpActive = false;
+    let transferSaveTimer = null;
+
     /**
-     * Request traceroute to a destination node.
-     * Uses Meshtastic's native firmware-level RouteDiscovery (portnum 70)
-     * which sends compact protobuf packets handled at the routing layer.
-     * Works with ALL Meshtastic nodes, not just GridDown ones.
-     * 
-     * @param {string} targetNodeId - Node ID to trace route to (e.g. "!702f3ab7")
-     * @returns {Promise<Object>} - Traceroute tracking object
+     * CRC-32 (IEEE) of a byte array, used to verify reassembled payloads
      */
-    async function requestTraceroute(targetNodeId) {
-        if (state.connectionState !== ConnectionState.CONNECTED) {
-            throw new Error('Not connected to Meshtastic');
+    function crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc ^= bytes[i];
+            for (let k = 0; k < 8; k++) {
+                crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+            }
         }
-        
-        if (!targetNodeId) {
-            throw new Error('Target node ID required');
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Collapse sorted sequence numbers into a range string: [0,1,2,5] → "0-2,5"
+     * @param {number[]} seqs
+     * @param {number} [maxRanges] - stop after this many ranges
+     */
+    function encodeRanges(seqs, maxRanges = Infinity) {
+        const sorted = [...new Set(seqs)].sort((a, b) => a - b);
+        const ranges = [];
+        for (let i = 0; i < sorted.length && ranges.length < maxRanges; i++) {
+            const start = sorted[i];
+            while (sorted[i + 1] === sorted[i] + 1) i++;
+            ranges.push(start === sorted[i] ? `${start}` : `${start}-${sorted[i]}`);
         }
-        
-        // Get target node info
-        const targetNode = getNodeById(targetNodeId);
-        const targetName = targetNode?.name || targetNode?.longName || `Node ${targetNodeId}`;
-        
-        // Convert string node ID to numeric nodeNum for the native API
-        let targetNodeNum = targetNode?.num;
-        if (!targetNodeNum && typeof targetNodeId === 'string' && targetNodeId.startsWith('!')) {
-            targetNodeNum = parseInt(targetNodeId.slice(1), 16);
+        return ranges.join(',');
+    }
+
+    /**
+     * Expand a range string back to sequence numbers, dropping anything outside 0..total-1
+     */
+    function decodeRanges(text, total) {
+        const seqs = [];
+        String(text || '').split(',').forEach(part => {
+            const [a, b] = part.split('-').map(n => parseInt(n, 10));
+            if (isNaN(a)) return;
+            const end = Math.min(isNaN(b) ? a : b, total - 1);
+            for (let seq = Math.max(0, a); seq <= end; seq++) seqs.push(seq);
+        });
+        return seqs;
+    }
+
+    /**
+     * Pipe bytes through a CompressionStream/DecompressionStream
+     */
+    async function pipeBytes(bytes, transform) {
+        const stream = new Blob([bytes]).stream().pipeThrough(transform);
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Serialize a transfer envelope, deflating it when that makes it smaller.
+     * The first byte records the format so receivers without compression support
+     * can still read stored payloads.
+     */
+    async function encodeTransferPayload(envelope) {
+        const json = new TextEncoder().encode(JSON.stringify(envelope));
+        let body = json;
+        let format = TRANSFER_FORMAT_RAW;
+
+        if (typeof CompressionStream !== 'undefined') {
+            try {
+                const deflated = await pipeBytes(json, new CompressionStream('deflate-raw'));
+                if (deflated.length < json.length) {
+                    body = deflated;
+                    format = TRANSFER_FORMAT_DEFLATE;
+                }
+            } catch (e) {
+                console.warn('[Transfer] Compression unavailable, sending uncompressed:', e);
+            }
         }
-        if (!targetNodeNum) {
-            throw new Error('Cannot resolve node number for ' + targetNodeId);
+
+        const bytes = new Uint8Array(body.length + 1);
+        bytes[0] = format;
+        bytes.set(body, 1);
+        return bytes;
+    }
+
+    /**
+     * Inverse of encodeTransferPayload
+     */
+    async function decodeTransferPayload(bytes) {
+        let body = bytes.subarray(1);
+        if (bytes[0] === TRANSFER_FORMAT_DEFLATE) {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('This browser cannot decompress mesh transfers');
+            }
+            body = await pipeBytes(body, new DecompressionStream('deflate-raw'));
+        } else if (bytes[0] !== TRANSFER_FORMAT_RAW) {
+            throw new Error(`Unknown transfer format ${bytes[0]}`);
         }
-        
-        // Generate unique request ID for tracking
-        const requestId = `tr-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
-        
-        // Initialize traceroute tracking
-        const traceroute = {
-            requestId,
-            targetNodeId,
-            targetNodeNum,
-            targetName,
-            startedAt: Date.now(),
-            status: 'pending',
-            route: [
-                {
-                    nodeId: state.myNodeId,
-                    nodeName: state.longName || state.shortName,
-                    hopNumber: 0,
-                    isOrigin: true
-                }
-            ],
-            hops: 0,
-            rtt: null,
-            error: null
+        return JSON.parse(new TextDecoder().decode(body));
+    }
+
+    function generateTransferId() {
+        return Date.now().toString(36).slice(-5) + Math.random().toString(36).slice(2, 5);
+    }
+
+    function isTransferFinished(transfer) {
+        return [TransferStatus.COMPLETE, TransferStatus.FAILED, TransferStatus.CANCELLED].includes(transfer.status);
+    }
+
+    /**
+     * Public view of a transfer record (no chunk data)
+     */
+    function summarizeTransfer(transfer) {
+        const done = transfer.direction === 'out'
+            ? Math.min(transfer.nextSeq, transfer.total)
+            : transfer.received;
+        return {
+            key: transfer.key,
+            xid: transfer.xid,
+            direction: transfer.direction,
+            kind: transfer.kind,
+            name: transfer.name,
+            peer: transfer.peer,
+            peerName: transfer.peerName,
+            rxFrom: transfer.rxFrom || null,
+            size: transfer.size,
+            total: transfer.total,
+            done,
+            pending: transfer.direction === 'out' ? transfer.resend.length : transfer.total - transfer.received,
+            progress: transfer.status === TransferStatus.COMPLETE ? 1 : (transfer.total ? done / transfer.total : 0),
+            status: transfer.status,
+            acks: transfer.direction === 'out' ? transfer.acks.length : undefined,
+            hasResult: transfer.result !== undefined && transfer.result !== null,
+            error: transfer.error || null,
+            createdAt: transfer.createdAt,
+            updatedAt: transfer.updatedAt
         };
-        
-        state.traceroutes.set(requestId, traceroute);
+    }
+
+    function notifyTransfer(transfer) {
+        transfer.updatedAt = Date.now();
+        scheduleTransferSave();
+        Events.emit('meshtastic:transfer', { transfer: summarizeTransfer(transfer) });
+    }
+
+    function scheduleTransferSave() {
+        if (transferSaveTimer) return;
+        transferSaveTimer = setTimeout(() => {
+            transferSaveTimer = null;
+            saveTransfers();
+        }, 2000);
+    }
+
+    async function saveTransfers() {
+        try {
+            const records = Array.from(transfers.values())
+                .filter(t => t.status !== TransferStatus.CANCELLED)
+                .map(t => ({ ...t, assembling: false }));
+            await Storage.Settings.set(TRANSFER_STORAGE_KEY, records);
+        } catch (e) {
+            console.error('[Transfer] Failed to save transfers:', e);
+        }
+    }
+
+    async function loadTransfers() {
+        try {
+            const saved = await Storage.Settings.get(TRANSFER_STORAGE_KEY);
+            if (Array.isArray(saved)) {
+                saved.forEach(t => {
+                    if (t && t.key && !transfers.has(t.key)) transfers.set(t.key, t);
+                });
+                if (saved.length) console.log(`[Transfer] Restored ${saved.length} transfers`);
+            }
+        } catch (e) {
+            console.error('[Transfer] Failed to load transfers:', e);
+        }
+    }
+
+    /**
+     * Build a transfer frame, addressed to the transfer's peer when it has one
+     */
+    function transferFrame(type, transfer, fields) {
+        const frame = { type, from: state.myNodeId, xid: transfer.xid, ...fields };
+        if (transfer.peer) frame.to = transfer.peer;
+        return frame;
+    }
+
+    /**
+     * Start sending a payload over the mesh. Queued transfers go out once connected.
+     * @param {string} kind - TransferKind value
+     * @param {*} data - JSON-serializable payload
+     * @param {Object} [options] - { name, to (node id, default broadcast), meta }
+     * @returns {Promise<Object>} transfer summary
+     */
+    async function sendTransfer(kind, data, options = {}) {
+        if (!Object.values(TransferKind).includes(kind)) {
+            throw new Error(`Unknown transfer kind: ${kind}`);
+        }
+
+        const envelope = { k: kind, n: options.name || '', d: data };
+        if (options.meta) envelope.m = options.meta;
+
+        const bytes = await encodeTransferPayload(envelope);
+        if (bytes.length > TRANSFER_MAX_BYTES) {
+            throw new Error(`Too large for a mesh transfer (${Math.ceil(bytes.length / 1024)} KB, limit ${TRANSFER_MAX_BYTES / 1024} KB)`);
+        }
+
+        const encoded = arrayBufferToBase64(bytes);
+        const chunks = [];
+        for (let i = 0; i < encoded.length; i += TRANSFER_CHUNK_SIZE) {
+            chunks.push(encoded.substring(i, i + TRANSFER_CHUNK_SIZE));
+        }
+
+        const xid = generateTransferId();
+        const now = Date.now();
+        const peerNode = options.to ? state.nodes.get(options.to) : null;
+        const transfer = {
+            key: `out:${xid}`,
+            xid,
+            direction: 'out',
+            kind,
+            name: options.name || kind,
+            peer: options.to || null,
+            peerName: peerNode?.longName || peerNode?.name || options.to || null,
+            size: bytes.length,
+            total: chunks.length,
+            crc: crc32(bytes),
+            chunks,
+            nextSeq: 0,
+            resend: [],
+            acks: [],
+            rounds: 0,
+            status: TransferStatus.SENDING,
+            createdAt: now,
+            updatedAt: now,
+            lastActivity: now
+        };
+
+        transfers.set(transfer.key, transfer);
+        notifyTransfer(transfer);
+
+        if (state.connectionState === ConnectionState.CONNECTED) {
+            await sendTransferOffer(transfer);
+            pumpTransfers();
+        }
+
+        return summarizeTransfer(transfer);
+    }
+
+    async function sendTransferOffer(transfer) {
+        try {
+            await sendToDevice(transferFrame(MessageType.XFER_OFFER, transfer, {
+                kind: transfer.kind,
+                name: String(transfer.name || '').slice(0, 24),
+                size: transfer.size,
+                total: transfer.total,
+                crc: transfer.crc
+            }));
+            transfer.lastActivity = Date.now();
+        } catch (e) {
+            console.warn('[Transfer] Offer failed:', e);
+        }
+    }
+
+    /**
+     * Pick the next chunk to transmit: requested retransmits first, then the
+     * first pass of each sending transfer in the order they were started.
+     */
+    function nextTransferFrame() {
+        const outgoing = Array.from(transfers.values()).filter(t =>
+            t.direction === 'out' && t.status === TransferStatus.SENDING);
+
+        const retransmit = outgoing.find(t => t.resend.length > 0);
+        if (retransmit) return { transfer: retransmit, seq: retransmit.resend.shift() };
+
+        const fresh = outgoing.find(t => t.nextSeq < t.total);
+        if (fresh) return { transfer: fresh, seq: fresh.nextSeq++ };
+
+        // Nothing left to send for these: wait for the receivers to answer
+        outgoing.forEach(t => {
+            t.status = t.acks.length && (!t.peer || t.acks.includes(t.peer))
+                ? TransferStatus.COMPLETE : TransferStatus.WAITING;
+            t.lastActivity = Date.now();
+            notifyTransfer(t);
+        });
+        return null;
+    }
+
+    /**
+     * Send pending chunks one at a time until nothing is left or the link drops
+     */
+    async function pumpTransfers() {
+        if (transferPumpActive) return;
+        transferPumpActive = true;
+
+        try {
+            while (state.connectionState === ConnectionState.CONNECTED) {
+                const next = nextTransferFrame();
+                if (!next) break;
+
+                const { transfer, seq } = next;
+                try {
+                    await sendToDevice(transferFrame(MessageType.XFER_CHUNK, transfer, {
+                        seq,
+                        total: transfer.total,
+                        data: transfer.chunks[seq]
+                    }));
+                } catch (e) {
+                    // Put the chunk back so it goes out after reconnect
+                    transfer.resend.unshift(seq);
+                    console.warn('[Transfer] Chunk send failed:', e);
+                    break;
+                }
+
+                transfer.lastActivity = Date.now();
+                notifyTransfer(transfer);
+                await sleep(TRANSFER_CHUNK_INTERVAL);
+            }
+        } finally {
+            transferPumpActive = false;
+        }
+    }
+
+    /**
+     * Find or create the record for an incoming transfer. Chunks carry the total,
+     * so a receiver that missed the offer can still reassemble the payload.
+     */
+    function getIncomingTransfer(message) {
+        const key = `in:${message.from}:${message.xid}`;
+        let transfer = transfers.get(key);
+        if (transfer) {
+            // Frames arrived from more than one radio sender; vouch for none of them
+            if ((transfer.rxFrom || null) !== (message.rxFrom || null)) transfer.rxFrom = 'mixed';
+            return transfer;
+        }
+
+        const total = parseInt(message.total, 10);
+        const maxChunks = Math.ceil(TRANSFER_MAX_BYTES * 4 / 3 / TRANSFER_CHUNK_SIZE) + 1;
+        if (!(total > 0) || total > maxChunks) return null;
+
+        const node = state.nodes.get(message.from);
+        const now = Date.now();
+        transfer = {
+            key,
+            xid: message.xid,
+            direction: 'in',
+            kind: message.kind || null,
+            name: message.name || null,
+            peer: message.from,
+            peerName: message.fromName || node?.longName || node?.name || message.from,
+            rxFrom: message.rxFrom || null,
+            size: message.size || null,
+            total,
+            crc: typeof message.crc === 'number' ? message.crc : null,
+            chunks: new Array(total).fill(null),
+            received: 0,
+            rounds: 0,
+            status: TransferStatus.RECEIVING,
+            createdAt: now,
+            updatedAt: now,
+            lastActivity: now
+        };
+        transfers.set(key, transfer);
+        return transfer;
+    }
+
+    function isTransferForMe(message) {
+        return message.from !== state.myNodeId && (!message.to || message.to === state.myNodeId);
+    }
+
+    /**
+     * Handle a transfer announcement (first offer or a sender's re-offer)
+     */
+    function handleTransferOffer(message) {
+        if (!message.xid || !message.from || !isTransferForMe(message)) return;
+
+        const known = transfers.has(`in:${message.from}:${message.xid}`);
+        const transfer = getIncomingTransfer(message);
+        if (!transfer) return;
+
+        transfer.kind = message.kind || transfer.kind;
+        transfer.name = message.name || transfer.name;
+        transfer.size = message.size || transfer.size;
+        if (typeof message.crc === 'number') transfer.crc = message.crc;
+
+        if (transfer.status === TransferStatus.CANCELLED) return;
+        if (transfer.status === TransferStatus.COMPLETE) {
+            sendTransferAck(transfer);
+            return;
+        }
+
+        transfer.status = TransferStatus.RECEIVING;
+        transfer.rounds = 0;
+        transfer.lastActivity = Date.now();
+
+        // A repeated offer means the sender is waiting on us: answer right away
+        if (known) sendTransferNack(transfer);
+        notifyTransfer(transfer);
+    }
+
+    /**
+     * Handle one chunk of an incoming transfer
+     */
+    function handleTransferChunk(message) {
+        if (!message.xid || !message.from || !isTransferForMe(message)) return;
+        if (typeof message.data !== 'string') return;
+
+        const transfer = getIncomingTransfer(message);
+        if (!transfer || isTransferFinished(transfer)) return;
+
+        const seq = parseInt(message.seq, 10);
+        if (!(seq >= 0 && seq < transfer.total)) return;
+
+        if (transfer.chunks[seq] === null) {
+            transfer.chunks[seq] = message.data;
+            transfer.received++;
+        }
+        transfer.status = TransferStatus.RECEIVING;
+        transfer.rounds = 0;
+        transfer.lastActivity = Date.now();
+
+        if (transfer.received === transfer.total && !transfer.assembling) {
+            finishIncomingTransfer(transfer).catch(e => {
+                console.error(`[Transfer] Failed to finish ${transfer.xid}:`, e);
+                transfer.status = TransferStatus.FAILED;
+                transfer.error = e.message;
+                notifyTransfer(transfer);
+            });
+        } else {
+            notifyTransfer(transfer);
+        }
+    }
+
+    /**
+     * Receiver asked for missing chunks: queue them for retransmission
+     */
+    function handleTransferNack(message) {
+        if (!message.xid || message.to !== state.myNodeId) return;
+
+        const transfer = transfers.get(`out:${message.xid}`);
+        if (!transfer || transfer.status === TransferStatus.CANCELLED || !transfer.chunks.length) return;
+
+        decodeRanges(message.missing, transfer.total).forEach(seq => {
+            // Chunks not yet sent on the first pass will go out anyway
+            if (seq < transfer.nextSeq && !transfer.resend.includes(seq)) transfer.resend.push(seq);
+        });
+
+        transfer.status = TransferStatus.SENDING;
+        transfer.rounds = 0;
+        transfer.lastActivity = Date.now();
+        notifyTransfer(transfer);
+        pumpTransfers();
+    }
+
+    /**
+     * Receiver reassembled the payload
+     */
+    function handleTransferAck(message) {
+        if (!message.xid || message.to !== state.myNodeId) return;
+
+        const transfer = transfers.get(`out:${message.xid}`);
+        if (!transfer || transfer.status === TransferStatus.CANCELLED) return;
+
+        if (!transfer.acks.includes(message.from)) transfer.acks.push(message.from);
+        transfer.lastActivity = Date.now();
+
+        const done = !transfer.peer || transfer.peer === message.from;
+        if (done && transfer.resend.length === 0 && transfer.nextSeq >= transfer.total) {
+            transfer.status = TransferStatus.COMPLETE;
+        }
+        notifyTransfer(transfer);
+    }
+
+    async function sendTransferNack(transfer) {
+        const missing = [];
+        transfer.chunks.forEach((chunk, seq) => { if (chunk === null) missing.push(seq); });
+        if (missing.length === 0) return;
+
+        try {
+            await sendToDevice({
+                type: MessageType.XFER_NACK,
+                from: state.myNodeId,
+                to: transfer.peer,
+                xid: transfer.xid,
+                missing: encodeRanges(missing, TRANSFER_NACK_RANGES)
+            });
+        } catch (e) {
+            console.warn('[Transfer] NACK failed:', e);
+        }
+    }
+
+    async function sendTransferAck(transfer) {
+        try {
+            await sendToDevice({
+                type: MessageType.XFER_ACK,
+                from: state.myNodeId,
+                to: transfer.peer,
+                xid: transfer.xid
+            });
+        } catch (e) {
+            console.warn('[Transfer] ACK failed:', e);
+        }
+    }
+
+    /**
+     * All chunks are in: verify, decode and hand the payload to its consumer
+     */
+    async function finishIncomingTransfer(transfer) {
+        transfer.assembling = true;
+
+        try {
+            const bytes = new Uint8Array(base64ToArrayBuffer(transfer.chunks.join('')));
+
+            if (transfer.crc !== null && crc32(bytes) !== transfer.crc) {
+                // Corrupt somewhere — start over and ask for everything again
+                console.warn(`[Transfer] CRC mismatch on ${transfer.xid}, re-requesting`);
+                transfer.chunks.fill(null);
+                transfer.received = 0;
+                transfer.lastActivity = 0;
+                notifyTransfer(transfer);
+                return;
+            }
+
+            let envelope;
+            try {
+                envelope = await decodeTransferPayload(bytes);
+            } catch (e) {
+                transfer.status = TransferStatus.FAILED;
+                transfer.error = e.message;
+                notifyTransfer(transfer);
+                return;
+            }
+
+            transfer.kind = envelope.k || transfer.kind;
+            transfer.name = envelope.n || transfer.name;
+            transfer.meta = envelope.m || null;
+            transfer.status = TransferStatus.COMPLETE;
+            transfer.chunks = [];
+
+            sendTransferAck(transfer);
+            try {
+                deliverTransfer(transfer, envelope.d);
+            } catch (e) {
+                // Arrived intact but the payload is not what its kind promises
+                console.warn(`[Transfer] Could not use ${transfer.kind} payload ${transfer.xid}:`, e);
+                transfer.status = TransferStatus.FAILED;
+                transfer.error = e.message;
+            }
+            notifyTransfer(transfer);
+        } finally {
+            transfer.assembling = false;
+        }
+    }
+
+    /**
+     * Route a completed payload to the module that owns it
+     */
+    function deliverTransfer(transfer, data) {
+        const from = transfer.peerName || 'mesh';
+        let message = null;
+
+        switch (transfer.kind) {
+            case TransferKind.ROUTE:
+                processReceivedRoute(data, from);
+                break;
+            case TransferKind.AREA:
+                receiveSharedArea(data, from);
+                break;
+            case TransferKind.TEAM:
+                // Joining needs the team passphrase — the user accepts it from the Team panel
+                transfer.result = data;
+                message = `👥 Team package "${data?.teamName || transfer.name}" from ${from}`;
+                break;
+            case TransferKind.COMMPLAN:
+                // Frequencies and schedules change how the team talks — the user imports it from the Team panel
+                transfer.result = data;
+                message = `📻 Comm plan "${data?.name || transfer.name}" from ${from}`;
+                break;
+            case TransferKind.IMAGE:
+                transfer.result = data;
+                message = attachTransferImage(transfer, data)
+                    ? `📷 Photo for ${transfer.meta.name || 'waypoint'} from ${from}`
+                    : `📷 Image "${transfer.name}" from ${from}`;
+                break;
+            case TransferKind.TEAM_SYNC:
+                // Signed team update too large for one text message; TeamModule verifies it
+                break;
+            default:
+                console.warn('[Transfer] Unknown payload kind:', transfer.kind);
+        }
+
+        if (message && typeof ModalsModule !== 'undefined') {
+            ModalsModule.showToast(message, 'success');
+        }
+
+        Events.emit('meshtastic:transfer_received', { transfer: summarizeTransfer(transfer), data });
+    }
+
+    /**
+     * Add a received area, once
+     */
+    function receiveSharedArea(areaData, fromName) {
+        if (!areaData || !Array.isArray(areaData.points)) return;
+
+        const id = `mesh-${areaData.id || Date.now()}`;
+        if ((State.get('areas') || []).some(a => a.id === id)) return;
+
+        const area = {
+            ...areaData,
+            id,
+            source: 'meshtastic',
+            notes: areaData.notes || `[Shared by ${fromName} via Meshtastic]`
+        };
+
+        if (typeof AreasModule !== 'undefined') {
+            AreasModule.addAreas([area]);
+        } else {
+            State.Areas.add(area);
+        }
+
+        if (typeof ModalsModule !== 'undefined') {
+            ModalsModule.showToast(`⬡ Received area: ${area.name} from ${fromName}`, 'success');
+        }
+        Events.emit('meshtastic:area', { area, from: fromName });
+    }
+
+    /**
+     * Attach a received waypoint photo to the matching local waypoint, if we have it
+     * @returns {boolean} true when attached
+     */
+    function attachTransferImage(transfer, dataUrl) {
+        const meta = transfer.meta;
+        if (!meta || (!meta.waypointId && !meta.meshWaypointId)) return false;
+
+        const waypoint = (State.get('waypoints') || []).find(w =>
+            w.id === meta.waypointId || `mesh-${w.id}` === meta.waypointId ||
+            w.id === `mesh-${meta.waypointId}` ||
+            (meta.meshWaypointId && w.meshWaypointId === meta.meshWaypointId));
+        if (!waypoint) return false;
+
+        const photoId = `mesh-${transfer.xid}`;
+        const photos = waypoint.photos || [];
+        if (photos.some(p => p.id === photoId)) return true;
+
+        State.Waypoints.update(waypoint.id, {
+            photos: [...photos, {
+                id: photoId,
+                data: dataUrl,
+                timestamp: new Date().toISOString(),
+                filename: `${transfer.name || 'mesh-photo'}.jpg`
+            }]
+        }, false);
+        return true;
+    }
+
+    /**
+     * Periodic housekeeping: request gaps, re-offer, stall and expire transfers
+     */
+    function checkTransfers() {
+        const now = Date.now();
+        const connected = state.connectionState === ConnectionState.CONNECTED;
+        let removed = false;
+
+        for (const [key, transfer] of transfers) {
+            const ttl = isTransferFinished(transfer) ? TRANSFER_FINISHED_TTL : TRANSFER_TTL;
+            if (now - transfer.updatedAt > ttl) {
+                transfers.delete(key);
+                removed = true;
+                continue;
+            }
+
+            if (!connected || now - transfer.lastActivity < TRANSFER_GAP_TIMEOUT) continue;
+
+            const receiving = transfer.direction === 'in' && transfer.status === TransferStatus.RECEIVING;
+            const waiting = transfer.direction === 'out' && transfer.status === TransferStatus.WAITING;
+            if (!receiving && !waiting) continue;
+
+            if (transfer.rounds >= TRANSFER_MAX_ROUNDS) {
+                transfer.status = waiting && transfer.acks.length ? TransferStatus.COMPLETE : TransferStatus.STALLED;
+                notifyTransfer(transfer);
+                continue;
+            }
+
+            transfer.rounds++;
+            transfer.lastActivity = now;
+            if (receiving) {
+                sendTransferNack(transfer);
+            } else {
+                sendTransferOffer(transfer);
+            }
+        }
+
+        if (removed) scheduleTransferSave();
+    }
+
+    /**
+     * Pick up unfinished transfers after a (re)connect or from the UI
+     * @param {string} [key] - resume one transfer; all unfinished ones when omitted
+     */
+    function resumeTransfers(key = null) {
+        const list = key ? [transfers.get(key)].filter(Boolean) : Array.from(transfers.values());
+
+        list.forEach(transfer => {
+            if (isTransferFinished(transfer)) return;
+            if (transfer.status === TransferStatus.STALLED) {
+                transfer.status = transfer.direction === 'in' ? TransferStatus.RECEIVING : TransferStatus.WAITING;
+            }
+            transfer.rounds = 0;
+            transfer.lastActivity = 0; // checkTransfers answers on its next pass
+            notifyTransfer(transfer);
+        });
+
+        if (state.connectionState === ConnectionState.CONNECTED) {
+            checkTransfers();
+            pumpTransfers();
+        }
+    }
+
+    /**
+     * Stop a transfer in either direction and drop its data
+     */
+    function cancelTransfer(key) {
+        const transfer = transfers.get(key);
+        if (!transfer || isTransferFinished(transfer)) return false;
+
+        transfer.status = TransferStatus.CANCELLED;
+        transfer.chunks = [];
+        if (transfer.resend) transfer.resend = [];
+        notifyTransfer(transfer);
+        return true;
+    }
+
+    /**
+     * Remove finished transfers from the list
+     */
+    function clearFinishedTransfers() {
+        for (const [key, transfer] of transfers) {
+            if (isTransferFinished(transfer)) transfers.delete(key);
+        }
+        scheduleTransferSave();
+        Events.emit('meshtastic:transfer', { transfer: null });
+    }
+
+    function getTransfers() {
+        return Array.from(transfers.values())
+            .map(summarizeTransfer)
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Payload kept for the user to act on (team package, comm plan, image data URL)
+     */
+    function getTransferResult(key) {
+        return transfers.get(key)?.result ?? null;
+    }
+
+    /**
+     * Share an area polygon via mesh
+     */
+    async function shareArea(area, options = {}) {
+        const areaData = {
+            id: area.id,
+            name: area.name,
+            type: area.type,
+            color: area.color,
+            fill: area.fill,
+            fillOpacity: area.fillOpacity,
+            notes: area.notes || undefined,
+            points: (area.points || []).map(p => ({
+                lat: Math.round(p.lat * 1e6) / 1e6,
+                lon: Math.round(p.lon * 1e6) / 1e6
+            }))
+        };
+        return sendTransfer(TransferKind.AREA, areaData, { ...options, name: area.name });
+    }
+
+    /**
+     * Share the current team's encrypted package (joiners still need the passphrase)
+     */
+    async function shareTeamPackage(options = {}) {
+        if (typeof TeamModule === 'undefined') throw new Error('Team module not loaded');
+        const pkg = await TeamModule.exportTeamPackageEncrypted(options.passphrase || null);
+        return sendTransfer(TransferKind.TEAM, pkg, { to: options.to, name: pkg.teamName });
+    }
+
+    /**
+     * Share a comm plan (the active one by default)
+     */
+    async function shareCommPlan(plan = null, options = {}) {
+        const commPlan = plan || (typeof CommPlanModule !== 'undefined' ? CommPlanModule.getPlan() : null);
+        if (!commPlan) throw new Error('No comm plan to share');
+        return sendTransfer(TransferKind.COMMPLAN, commPlan, { ...options, name: commPlan.name });
+    }
+
+    /**
+     * Share a small image (SSTV capture, waypoint photo). The image is scaled
+     * down to TRANSFER_IMAGE_MAX_DIM and re-encoded as JPEG before sending.
+     * @param {string} dataUrl
+     * @param {Object} [options] - { name, to, meta: { source, waypointId, meshWaypointId, name } }
+     */
+    async function shareImage(dataUrl, options = {}) {
+        const small = await shrinkImage(dataUrl);
+        return sendTransfer(TransferKind.IMAGE, small, options);
+    }
+
+    /**
+     * Send each photo attached to a waypoint
+     */
+    async function shareWaypointPhotos(waypoint, options = {}) {
+        const results = [];
+        for (const photo of waypoint.photos || []) {
+            results.push(await shareImage(photo.data, {
+                ...options,
+                name: photo.filename || waypoint.name,
+                meta: {
+                    source: 'waypoint',
+                    name: waypoint.name,
+                    waypointId: waypoint.id,
+                    meshWaypointId: waypoint.meshWaypointId || undefined
+                }
+            }));
+        }
+        return results;
+    }
+
+    function shrinkImage(dataUrl) {
+        if (typeof document === 'undefined' || typeof Image === 'undefined') {
+            return Promise.resolve(dataUrl);
+        }
+
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => {
+                const scale = Math.min(1, TRANSFER_IMAGE_MAX_DIM / Math.max(img.width, img.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.max(1, Math.round(img.width * scale));
+                canvas.height = Math.max(1, Math.round(img.height * scale));
+                canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+                resolve(canvas.toDataURL('image/jpeg', TRANSFER_IMAGE_QUALITY));
+            };
+            img.onerror = () => reject(new Error('Could not read image'));
+            img.src = dataUrl;
+        });
+    }
+
+    // =========================================================================
+    // RANGE TEST & COVERAGE MAPPING
+    // =========================================================================
+
+    /*
+     * One node runs as the beacon and sends sequenced range_ping messages
+     * carrying its position. A roaming logger records every ping it hears
+     * (SNR/RSSI, hops, its own GPS fix) and every ping it should have heard
+     * but didn't, which gives a hit/miss coverage map around the beacon.
+     */
+
+    const RANGE_TEST_STORAGE_KEY = 'meshtastic_range_test';
+    const RANGE_TEST_MIN_INTERVAL = 10;       // seconds — keep airtime reasonable
+    const RANGE_TEST_MAX_INTERVAL = 600;
+    const RANGE_TEST_DEFAULT_INTERVAL = 30;
+    const RANGE_TEST_MAX_SAMPLES = 5000;
+    const RANGE_TEST_MAX_MISSES = 60;         // Consecutive misses before a beacon is assumed gone
+    const RANGE_TEST_CHECK_INTERVAL = 1000;
+    const RANGE_TEST_CELL_PX = 18;            // Heatmap cell size on screen
+    const RANGE_TEST_PREDICTION_SAMPLES = 25; // RF LOS analyses per comparison (each fetches elevations)
+
+    const rangeTest = {
+        role: null,              // 'beacon' | 'logger' | null
+        session: null,           // Beacon session id
+        interval: RANGE_TEST_DEFAULT_INTERVAL,
+        seq: 0,                  // Beacon: next sequence number
+        beaconTimer: null,
+        checkTimer: null,
+        beacons: new Map(),      // Logger: "<from>:<session>" -> { lastSeq, lastAt, nextSeq, interval, misses, lat, lon }
+        samples: [],             // Logger: { session, from, fromName, seq, received, snr, rssi, hops, lat, lon, beaconLat, beaconLon, distance, time, predicted }
+        showOnMap: true,
+        comparison: null         // Last RF LOS comparison summary
+    };
+    let rangeTestSaveTimer = null;
+
+    /**
+     * Great-circle distance in meters
+     */
+    function distanceMeters(lat1, lon1, lat2, lon2) {
+        const R = 6371000;
+        const toRad = d => d * Math.PI / 180;
+        const dLat = toRad(lat2 - lat1);
+        const dLon = toRad(lon2 - lon1);
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+        return 2 * R * Math.asin(Math.sqrt(a));
+    }
+
+    function currentFix() {
+        if (typeof GPSModule === 'undefined') return null;
+        const pos = GPSModule.getPosition();
+        return pos && pos.lat && pos.lon ? { lat: pos.lat, lon: pos.lon } : null;
+    }
+
+    function notifyRangeTest() {
+        if (!rangeTestSaveTimer) {
+            rangeTestSaveTimer = setTimeout(() => {
+                rangeTestSaveTimer = null;
+                saveRangeTest();
+            }, 5000);
+        }
+        Events.emit('meshtastic:range_test', { status: getRangeTestStatus() });
+    }
+
+    async function saveRangeTest() {
+        try {
+            await Storage.Settings.set(RANGE_TEST_STORAGE_KEY, {
+                samples: rangeTest.samples,
+                interval: rangeTest.interval,
+                showOnMap: rangeTest.showOnMap
+            });
+        } catch (e) {
+            console.error('[RangeTest] Failed to save log:', e);
+        }
+    }
+
+    async function loadRangeTest() {
+        try {
+            const saved = await Storage.Settings.get(RANGE_TEST_STORAGE_KEY);
+            if (saved) {
+                rangeTest.samples = Array.isArray(saved.samples) ? saved.samples : [];
+                rangeTest.interval = saved.interval || RANGE_TEST_DEFAULT_INTERVAL;
+                rangeTest.showOnMap = saved.showOnMap !== false;
+            }
+        } catch (e) {
+            console.error('[RangeTest] Failed to load log:', e);
+        }
+    }
+
+    /**
+     * Start a range test
+     * @param {'beacon'|'logger'} role
+     * @param {Object} [options] - { interval } seconds between pings (beacon only)
+     */
+    function startRangeTest(role, options = {}) {
+        if (role !== 'beacon' && role !== 'logger') {
+            throw new Error(`Unknown range test role: ${role}`);
+        }
+        if (role === 'beacon' && state.connectionState !== ConnectionState.CONNECTED) {
+            throw new Error('Connect to a Meshtastic device to run the beacon');
+        }
+
+        stopRangeTest();
+
+        const interval = options.interval !== undefined ? Number(options.interval) : rangeTest.interval;
+        if (!(interval >= RANGE_TEST_MIN_INTERVAL && interval <= RANGE_TEST_MAX_INTERVAL)) {
+            throw new Error(`Ping interval must be ${RANGE_TEST_MIN_INTERVAL}–${RANGE_TEST_MAX_INTERVAL} seconds`);
+        }
+
+        rangeTest.role = role;
+        rangeTest.interval = interval;
+
+        if (role === 'beacon') {
+            rangeTest.session = Date.now().toString(36).slice(-6);
+            rangeTest.seq = 0;
+            sendRangePing();
+            rangeTest.beaconTimer = setInterval(sendRangePing, interval * 1000);
+        } else {
+            rangeTest.beacons.clear();
+            rangeTest.checkTimer = setInterval(checkRangeTestMisses, RANGE_TEST_CHECK_INTERVAL);
+        }
+
+        notifyRangeTest();
+    }
+
+    function stopRangeTest() {
+        // Tell loggers the beacon is done so they stop counting misses
+        if (rangeTest.role === 'beacon' && state.connectionState === ConnectionState.CONNECTED) {
+            sendToDevice({
+                type: MessageType.RANGE_PING,
+                from: state.myNodeId,
+                session: rangeTest.session,
+                seq: rangeTest.seq,
+                end: true
+            }).catch(e => console.warn('[RangeTest] End ping failed:', e));
+        }
+
+        if (rangeTest.beaconTimer) clearInterval(rangeTest.beaconTimer);
+        if (rangeTest.checkTimer) clearInterval(rangeTest.checkTimer);
+        rangeTest.beaconTimer = null;
+        rangeTest.checkTimer = null;
+
+        if (!rangeTest.role) return;
+        rangeTest.role = null;
+        notifyRangeTest();
+    }
+
+    async function sendRangePing() {
+        if (state.connectionState !== ConnectionState.CONNECTED) return;
+
+        const fix = currentFix();
+        const message = {
+            type: MessageType.RANGE_PING,
+            from: state.myNodeId,
+            session: rangeTest.session,
+            seq: rangeTest.seq++,
+            interval: rangeTest.interval
+        };
+        if (fix) {
+            message.lat = Math.round(fix.lat * 1e5) / 1e5;
+            message.lon = Math.round(fix.lon * 1e5) / 1e5;
+        }
+
+        try {
+            await sendToDevice(message);
+        } catch (e) {
+            console.warn('[RangeTest] Ping failed:', e);
+        }
+        notifyRangeTest();
+    }
+
+    function addRangeSample(beacon, key, seq, received, extra = {}) {
+        const fix = currentFix();
+        const sample = {
+            session: key.split(':')[1],
+            from: key.split(':')[0],
+            fromName: beacon.name,
+            seq,
+            received,
+            snr: null,
+            rssi: null,
+            hops: null,
+            lat: fix ? fix.lat : null,
+            lon: fix ? fix.lon : null,
+            beaconLat: beacon.lat,
+            beaconLon: beacon.lon,
+            distance: null,
+            time: Date.now(),
+            ...extra
+        };
+        if (sample.lat !== null && sample.beaconLat !== null && sample.beaconLat !== undefined) {
+            sample.distance = Math.round(distanceMeters(sample.beaconLat, sample.beaconLon, sample.lat, sample.lon));
+        }
+
+        rangeTest.samples.push(sample);
+        if (rangeTest.samples.length > RANGE_TEST_MAX_SAMPLES) rangeTest.samples.shift();
+        return sample;
+    }
+
+    /**
+     * Log a received range ping (logger role only)
+     */
+    function handleRangePing(message) {
+        if (rangeTest.role !== 'logger' || message.from === state.myNodeId) return;
+
+        const seq = parseInt(message.seq, 10);
+        if (!message.session || !(seq >= 0)) return;
+
+        const key = `${message.from}:${message.session}`;
+        const node = state.nodes.get(message.from);
+        let beacon = rangeTest.beacons.get(key);
+        if (!beacon) {
+            beacon = { lastSeq: -1, lastAt: 0, nextSeq: seq, misses: 0 };
+            rangeTest.beacons.set(key, beacon);
+        }
+        if (seq < beacon.nextSeq) return; // duplicate or already counted as missed
+
+        beacon.name = message.fromName || node?.shortName || node?.name || message.from;
+        // The beacon states its own interval; keep it to what startRangeTest allows
+        beacon.interval = Math.min(RANGE_TEST_MAX_INTERVAL,
+            Math.max(RANGE_TEST_MIN_INTERVAL, parseFloat(message.interval) || rangeTest.interval));
+        if (message.lat !== undefined && message.lon !== undefined) {
+            beacon.lat = message.lat;
+            beacon.lon = message.lon;
+        }
+
+        // Anything skipped between the last ping and this one was lost
+        for (let missed = beacon.nextSeq; missed < seq; missed++) {
+            addRangeSample(beacon, key, missed, false);
+        }
+
+        if (message.end) {
+            beacon.nextSeq = seq;
+            beacon.misses = RANGE_TEST_MAX_MISSES;
+            notifyRangeTest();
+            return;
+        }
+
+        const snr = message.snr ?? node?.snr;
+        const rssi = message.rssi ?? node?.rssi;
+        addRangeSample(beacon, key, seq, true, {
+            snr: snr !== undefined ? snr : null,
+            rssi: rssi !== undefined ? rssi : null,
+            hops: node && node.hopStart !== undefined && node.hopLimit !== undefined
+                ? node.hopStart - node.hopLimit : null
+        });
+
+        beacon.lastSeq = seq;
+        beacon.lastAt = Date.now();
+        beacon.nextSeq = seq + 1;
+        beacon.misses = 0;
+        notifyRangeTest();
+    }
+
+    /**
+     * Record pings that are overdue, so misses land where the logger actually was
+     */
+    function checkRangeTestMisses() {
+        const now = Date.now();
+        let changed = false;
+
+        rangeTest.beacons.forEach((beacon, key) => {
+            if (beacon.misses >= RANGE_TEST_MAX_MISSES) return;
+            const intervalMs = beacon.interval * 1000;
+            const dueAt = beacon.lastAt + (beacon.nextSeq - beacon.lastSeq) * intervalMs + intervalMs / 2;
+            if (now < dueAt) return;
+
+            addRangeSample(beacon, key, beacon.nextSeq, false);
+            beacon.nextSeq++;
+            beacon.misses++;
+            changed = true;
+        });
+
+        if (changed) notifyRangeTest();
+    }
+
+    function getRangeTestStatus() {
+        const samples = rangeTest.samples;
+        const heard = samples.filter(s => s.received);
+        const last = heard[heard.length - 1] || null;
+        return {
+            role: rangeTest.role,
+            interval: rangeTest.interval,
+            sent: rangeTest.role === 'beacon' ? rangeTest.seq : null,
+            samples: samples.length,
+            heard: heard.length,
+            missed: samples.length - heard.length,
+            successRate: samples.length ? heard.length / samples.length : null,
+            maxDistance: heard.reduce((max, s) => Math.max(max, s.distance || 0), 0) || null,
+            lastSnr: last ? last.snr : null,
+            lastRssi: last ? last.rssi : null,
+            beacons: rangeTest.beacons.size,
+            showOnMap: rangeTest.showOnMap,
+            comparison: rangeTest.comparison
+        };
+    }
+
+    function getRangeTestSamples() {
+        return rangeTest.samples.slice();
+    }
+
+    function setCoverageVisible(visible) {
+        rangeTest.showOnMap = !!visible;
+        notifyRangeTest();
+    }
+
+    function clearRangeTest() {
+        rangeTest.samples = [];
+        rangeTest.beacons.clear();
+        rangeTest.comparison = null;
+        notifyRangeTest();
+    }
+
+    /**
+     * Coverage log as CSV
+     */
+    function exportCoverageCSV(samples = rangeTest.samples) {
+        const header = 'session,beacon,seq,received,snr_db,rssi_dbm,quality,hops,lat,lon,beacon_lat,beacon_lon,distance_m,time,predicted_status,predicted_margin_db';
+        const value = v => (v === null || v === undefined ? '' : v);
+        const rows = samples.map(s => [
+            s.session,
+            `"${String(s.fromName || s.from || '').replace(/"/g, '""')}"`,
+            s.seq,
+            s.received ? 1 : 0,
+            value(s.snr),
+            value(s.rssi),
+            s.received ? calculateSignalQuality(s.snr ?? undefined, s.rssi ?? undefined) : 'none',
+            value(s.hops),
+            value(s.lat),
+            value(s.lon),
+            value(s.beaconLat),
+            value(s.beaconLon),
+            value(s.distance),
+            new Date(s.time).toISOString(),
+            value(s.predicted?.status),
+            value(s.predicted?.margin)
+        ].join(','));
+        return [header, ...rows].join('\n');
+    }
+
+    /**
+     * Coverage log as a GeoJSON FeatureCollection (samples without a fix are left out)
+     */
+    function exportCoverageGeoJSON(samples = rangeTest.samples) {
+        return {
+            type: 'FeatureCollection',
+            features: samples.filter(s => s.lat !== null && s.lon !== null).map(s => ({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [s.lon, s.lat] },
+                properties: {
+                    session: s.session,
+                    beacon: s.fromName || s.from,
+                    seq: s.seq,
+                    received: s.received,
+                    snr: s.snr,
+                    rssi: s.rssi,
+                    quality: s.received ? calculateSignalQuality(s.snr ?? undefined, s.rssi ?? undefined) : 'none',
+                    hops: s.hops,
+                    distance: s.distance,
+                    beaconLat: s.beaconLat,
+                    beaconLon: s.beaconLon,
+                    time: new Date(s.time).toISOString(),
+                    predictedStatus: s.predicted?.status ?? null,
+                    predictedMargin: s.predicted?.margin ?? null
+                }
+            }))
+        };
+    }
+
+    function downloadCoverage(format = 'csv') {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+        if (format === 'geojson') {
+            downloadFile(JSON.stringify(exportCoverageGeoJSON(), null, 2), `griddown-coverage-${timestamp}.geojson`, 'application/geo+json');
+        } else {
+            downloadFile(exportCoverageCSV(), `griddown-coverage-${timestamp}.csv`, 'text/csv');
+        }
+    }
+
+    /**
+     * Run RF LOS predictions for a spread of logged samples and score them
+     * against what was actually heard. Disagreements show where the terrain
+     * model is optimistic (predicted link, ping missed) or pessimistic.
+     * @param {Object} [options] - { beaconHeight, loggerHeight (m), maxSamples }
+     */
+    async function compareCoverageWithPrediction(options = {}) {
+        if (typeof RFLOSModule === 'undefined') throw new Error('RF line-of-sight module not loaded');
+
+        const candidates = rangeTest.samples.filter(s =>
+            s.lat !== null && s.beaconLat !== null && s.beaconLat !== undefined && s.distance > 100);
+        if (candidates.length === 0) throw new Error('No samples with both positions more than 100 m apart');
+
+        const max = options.maxSamples || RANGE_TEST_PREDICTION_SAMPLES;
+        const step = Math.max(1, candidates.length / max);
+        const picked = [];
+        for (let i = 0; i < candidates.length && picked.length < max; i += step) {
+            picked.push(candidates[Math.floor(i)]);
+        }
+
+        for (const sample of picked) {
+            try {
+                const hop = await RFLOSModule.analyzeHop(
+                    { lat: sample.beaconLat, lon: sample.beaconLon },
+                    { lat: sample.lat, lon: sample.lon },
+                    options.beaconHeight || 2,
+                    options.loggerHeight || 1.5
+                );
+                sample.predicted = {
+                    status: hop.status,
+                    margin: hop.linkBudget.margin,
+                    rxSignal: hop.linkBudget.rxSignal,
+                    viable: hop.linkBudget.viable
+                };
+            } catch (e) {
+                sample.predicted = { status: 'error', error: e.message };
+            }
+        }
+
+        rangeTest.comparison = scoreCoveragePrediction(picked);
+        notifyRangeTest();
+        return rangeTest.comparison;
+    }
+
+    /**
+     * Confusion counts and RSSI error for samples that carry a prediction
+     */
+    function scoreCoveragePrediction(samples) {
+        const scored = samples.filter(s => s.predicted && s.predicted.viable !== undefined);
+        const result = { compared: scored.length, agree: 0, optimistic: 0, pessimistic: 0, rssiError: null };
+        const errors = [];
+
+        scored.forEach(s => {
+            if (s.predicted.viable === s.received) result.agree++;
+            else if (s.predicted.viable) result.optimistic++;
+            else result.pessimistic++;
+            if (s.received && s.rssi !== null && s.predicted.rxSignal !== undefined) {
+                errors.push(s.rssi - s.predicted.rxSignal);
+            }
+        });
+
+        if (errors.length) {
+            result.rssiError = Math.round(errors.reduce((a, b) => a + b, 0) / errors.length * 10) / 10;
+        }
+        return result;
+    }
+
+    /**
+     * Draw the coverage heatmap: samples are binned into screen cells colored
+     * by median SNR of the pings heard there, red where pings were only missed.
+     */
+    function renderCoverage(ctx, width, height, latLonToPixel) {
+        if (!rangeTest.showOnMap || rangeTest.samples.length === 0) return;
+
+        const cells = new Map();
+        const beacons = new Map();
+        rangeTest.samples.forEach(s => {
+            if (s.beaconLat !== null && s.beaconLat !== undefined) {
+                beacons.set(`${s.beaconLat},${s.beaconLon}`, { lat: s.beaconLat, lon: s.beaconLon, name: s.fromName });
+            }
+            if (s.lat === null || s.lon === null) return;
+            const px = latLonToPixel(s.lat, s.lon);
+            if (px.x < -RANGE_TEST_CELL_PX || px.x > width + RANGE_TEST_CELL_PX ||
+                px.y < -RANGE_TEST_CELL_PX || px.y > height + RANGE_TEST_CELL_PX) return;
+
+            const key = `${Math.floor(px.x / RANGE_TEST_CELL_PX)},${Math.floor(px.y / RANGE_TEST_CELL_PX)}`;
+            if (!cells.has(key)) cells.set(key, { snrs: [], rssis: [], heard: 0, missed: 0 });
+            const cell = cells.get(key);
+            if (s.received) {
+                cell.heard++;
+                if (s.snr !== null) cell.snrs.push(s.snr);
+                if (s.rssi !== null) cell.rssis.push(s.rssi);
+            } else {
+                cell.missed++;
+            }
+        });
+
+        const median = arr => {
+            const sorted = [...arr].sort((a, b) => a - b);
+            return sorted[Math.floor(sorted.length / 2)];
+        };
+
+        ctx.save();
+        cells.forEach((cell, key) => {
+            const [cx, cy] = key.split(',').map(Number);
+            const quality = cell.heard === 0 ? null : calculateSignalQuality(
+                cell.snrs.length ? median(cell.snrs) : undefined,
+                cell.rssis.length ? median(cell.rssis) : undefined
+            );
+            ctx.globalAlpha = 0.2 + 0.35 * Math.min(1, (cell.heard + cell.missed) / 4);
+            ctx.fillStyle = quality === null ? '#7f1d1d' : getSignalQualityColor(quality === 'unknown' ? 'fair' : quality);
+            ctx.fillRect(cx * RANGE_TEST_CELL_PX, cy * RANGE_TEST_CELL_PX, RANGE_TEST_CELL_PX, RANGE_TEST_CELL_PX);
+
+            // Partial coverage: outline the cell so mixed hit/miss areas stand out
+            if (cell.heard && cell.missed) {
+                ctx.globalAlpha = 0.8;
+                ctx.strokeStyle = '#ef4444';
+                ctx.lineWidth = 1;
+                ctx.strokeRect(cx * RANGE_TEST_CELL_PX + 0.5, cy * RANGE_TEST_CELL_PX + 0.5, RANGE_TEST_CELL_PX - 1, RANGE_TEST_CELL_PX - 1);
+            }
+        });
+
+        ctx.globalAlpha = 1;
+        beacons.forEach(b => {
+            const px = latLonToPixel(b.lat, b.lon);
+            ctx.fillStyle = '#3b82f6';
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(px.x, px.y, 7, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+            ctx.fillStyle = '#ffffff';
+            ctx.font = 'bold 10px system-ui, sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText(b.name || 'Beacon', px.x, px.y - 11);
+        });
+        ctx.restore();
+    }
+
+    // =========================================================================
+    // STORE & FORWARD AND MESH TOPOLOGY
+    // =========================================================================
+
+    /*
+     * Store-and-forward routers (firmware STORE_FORWARD_APP) keep recent
+     * mesh traffic and replay it on request. Routers announce themselves with
+     * heartbeats; after a reconnect we ask the freshest one for everything
+     * since we were last on the mesh. Neighbor tables (NEIGHBORINFO_APP)
+     * give the actual node-to-node links with SNR for the topology graph.
+     */
+
+    const STORE_FORWARD_STORAGE_KEY = 'meshtastic_store_forward';
+    const TOPOLOGY_STORAGE_KEY = 'meshtastic_topology';
+    const SF_DEFAULT_WINDOW_MIN = 240;         // Replay window when we don't know how long we were gone
+    const SF_MAX_WINDOW_MIN = 1440;
+    const SF_ROUTER_STALE = 24 * 60 * 60 * 1000; // Forget routers not heard for a day
+    const SF_RECONNECT_DELAY = 5000;           // Let the device finish its config sync first
+    const SF_SEEN_PACKET_IDS = 300;
+    const TOPOLOGY_DEFAULT_TTL = 3 * 60 * 60 * 1000;
+    const TOPOLOGY_MIN_TTL = 30 * 60 * 1000;
+
+    // Mirrors MeshtasticClient.StoreForwardRR (storeforward.proto RequestResponse)
+    const StoreForwardRR = {
+        ROUTER_ERROR: 1,
+        ROUTER_HEARTBEAT: 2,
+        ROUTER_PONG: 4,
+        ROUTER_BUSY: 5,
+        ROUTER_HISTORY: 6,
+        ROUTER_STATS: 7,
+        ROUTER_TEXT_DIRECT: 8,
+        ROUTER_TEXT_BROADCAST: 9
+    };
+
+    const storeForward = {
+        routers: new Map(),      // nodeId -> { id, num, name, period, secondary, lastHeard, stats, lastRequest }
+        lastHeardAt: 0,          // Last time we were listening to the mesh
+        pending: null,           // { router, requestedAt, window, expected, received }
+        requestedThisSession: false,
+        seenPacketIds: []        // Recent live packet ids, so replays don't duplicate them
+    };
+
+    const meshTopology = {
+        links: new Map(),        // "<idA>|<idB>" (sorted) -> { a, b, reports: { reporterId: { snr, at } }, ttl }
+        showOnMap: true
+    };
+    let topologySaveTimer = null;
+
+    async function saveStoreForward() {
+        try {
+            await Storage.Settings.set(STORE_FORWARD_STORAGE_KEY, {
+                routers: Array.from(storeForward.routers.values()),
+                lastHeardAt: storeForward.lastHeardAt
+            });
+        } catch (e) {
+            console.error('[StoreForward] Failed to save state:', e);
+        }
+    }
+
+    async function loadStoreForward() {
+        try {
+            const saved = await Storage.Settings.get(STORE_FORWARD_STORAGE_KEY);
+            if (saved) {
+                const cutoff = Date.now() - SF_ROUTER_STALE;
+                (saved.routers || []).filter(r => r.lastHeard > cutoff).forEach(r => storeForward.routers.set(r.id, r));
+                storeForward.lastHeardAt = saved.lastHeardAt || 0;
+            }
+            const topo = await Storage.Settings.get(TOPOLOGY_STORAGE_KEY);
+            if (topo) {
+                (topo.links || []).forEach(l => meshTopology.links.set(`${l.a}|${l.b}`, l));
+                meshTopology.showOnMap = topo.showOnMap !== false;
+                pruneTopology();
+            }
+        } catch (e) {
+            console.error('[StoreForward] Failed to load state:', e);
+        }
+    }
+
+    function saveTopology() {
+        if (topologySaveTimer) return;
+        topologySaveTimer = setTimeout(async () => {
+            topologySaveTimer = null;
+            try {
+                await Storage.Settings.set(TOPOLOGY_STORAGE_KEY, {
+                    links: Array.from(meshTopology.links.values()),
+                    showOnMap: meshTopology.showOnMap
+                });
+            } catch (e) {
+                console.error('[Topology] Failed to save links:', e);
+            }
+        }, 2000);
+    }
+
+    /**
+     * Note that we heard live mesh traffic; replays only need to cover time after this
+     */
+    function markMeshHeard(packetId) {
+        storeForward.lastHeardAt = Date.now();
+        if (packetId !== undefined && packetId !== null) {
+            storeForward.seenPacketIds.push(packetId);
+            if (storeForward.seenPacketIds.length > SF_SEEN_PACKET_IDS) {
+                storeForward.seenPacketIds.splice(0, storeForward.seenPacketIds.length - SF_SEEN_PACKET_IDS);
+            }
+        }
+    }
+
+    /**
+     * Handle store-and-forward traffic from MeshtasticClient.onStoreForward
+     * @param {Object} sf - { rr, from, to, channel, packetId, rxTime, heartbeat?, history?, stats?, text? }
+     */
+    function handleStoreForward(sf) {
+        if (!sf || !sf.from) return;
+        if (state.myNodeNum && sf.from === state.myNodeNum) return;
+
+        if (sf.rr === StoreForwardRR.ROUTER_TEXT_DIRECT || sf.rr === StoreForwardRR.ROUTER_TEXT_BROADCAST) {
+            ingestReplayedMessage(sf);
+            return;
+        }
+
+        const routerId = nodeNumToId(sf.from);
+        const isRouterReply = [
+            StoreForwardRR.ROUTER_HEARTBEAT, StoreForwardRR.ROUTER_PONG, StoreForwardRR.ROUTER_HISTORY,
+            StoreForwardRR.ROUTER_STATS, StoreForwardRR.ROUTER_BUSY, StoreForwardRR.ROUTER_ERROR
+        ].includes(sf.rr);
+        if (!isRouterReply) return;
+
+        const node = state.nodes.get(routerId);
+        const router = storeForward.routers.get(routerId) || { id: routerId, num: sf.from, lastRequest: 0 };
+        router.name = node?.shortName || node?.longName || node?.name || routerId;
+        router.lastHeard = Date.now();
+        if (sf.heartbeat) {
+            router.period = sf.heartbeat.period || router.period || 0;
+            router.secondary = !!sf.heartbeat.secondary;
+        }
+        if (sf.stats) router.stats = sf.stats;
+        storeForward.routers.set(routerId, router);
+
+        const pending = storeForward.pending && storeForward.pending.router === routerId ? storeForward.pending : null;
+
+        switch (sf.rr) {
+            case StoreForwardRR.ROUTER_HEARTBEAT:
+                // First router we hear after connecting: catch up on what we missed
+                if (!storeForward.requestedThisSession && !storeForward.pending &&
+                    state.connectionState === ConnectionState.CONNECTED && !router.secondary) {
+                    requestMissedMessages(routerId).catch(e => console.warn('[StoreForward] History request failed:', e.message));
+                }
+                break;
+            case StoreForwardRR.ROUTER_HISTORY:
+                if (sf.history) {
+                    router.lastRequest = sf.history.lastRequest || router.lastRequest;
+                    if (pending) pending.expected = sf.history.historyMessages;
+                    if (typeof ModalsModule !== 'undefined') {
+                        ModalsModule.showToast(sf.history.historyMessages
+                            ? `📦 ${router.name} is replaying ${sf.history.historyMessages} missed message${sf.history.historyMessages !== 1 ? 's' : ''}`
+                            : `📦 ${router.name}: no missed messages`, 'info');
+                    }
+                    if (pending && !sf.history.historyMessages) storeForward.pending = null;
+                }
+                break;
+            case StoreForwardRR.ROUTER_BUSY:
+            case StoreForwardRR.ROUTER_ERROR:
+                if (pending) {
+                    storeForward.pending = null;
+                    storeForward.requestedThisSession = false;
+                    if (typeof ModalsModule !== 'undefined') {
+                        ModalsModule.showToast(`📦 ${router.name} ${sf.rr === StoreForwardRR.ROUTER_BUSY ? 'is busy' : 'refused the request'} — try again shortly`, 'warning');
+                    }
+                }
+                break;
+        }
+
+        saveStoreForward();
+        state.meshHealthCache = null;
+        Events.emit('meshtastic:store_forward', { router, rr: sf.rr });
+    }
+
+    /**
+     * Add a message replayed by a router to history, unless we already have it
+     */
+    function ingestReplayedMessage(sf) {
+        const text = sf.text || '';
+        if (!text) return;
+        if (sf.packetId && (storeForward.seenPacketIds.includes(sf.packetId) ||
+            state.messages.some(m => m.id === sf.packetId))) return;
+
+        const pending = storeForward.pending;
+        if (pending) {
+            pending.received++;
+            if (pending.expected && pending.received >= pending.expected) storeForward.pending = null;
+        }
+        if (sf.packetId) {
+            storeForward.seenPacketIds.push(sf.packetId);
+            if (storeForward.seenPacketIds.length > SF_SEEN_PACKET_IDS) storeForward.seenPacketIds.shift();
+        }
+
+        // GridDown protocol payloads go through the normal dispatcher, flagged so
+        // only their text reaches history
+        if (text.startsWith('{')) {
+            handleMessageFromClient({ from: sf.from, to: sf.to, channel: sf.channel, text, id: sf.packetId, timestamp: sf.rxTime || Date.now(), replayed: true });
+            return;
+        }
+
+        const fromId = nodeNumToId(sf.from);
+        const fromNode = state.nodes.get(fromId);
+        const msg = {
+            id: sf.packetId || `sf_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            type: MessageType.TEXT,
+            from: fromId,
+            fromName: fromNode?.shortName || fromNode?.name || fromId,
+            to: sf.rr === StoreForwardRR.ROUTER_TEXT_DIRECT ? nodeNumToId(sf.to) : undefined,
+            channelId: 'primary',
+            channelIndex: sf.channel || 0,
+            text,
+            timestamp: sf.rxTime || Date.now(),
+            deliveryStatus: DeliveryStatus.DELIVERED,
+            replayed: true
+        };
+
+        storeReplayedMessage(msg);
+    }
+
+    /**
+     * Add a replayed text message to history without a toast or ACK
+     */
+    function storeReplayedMessage(msg) {
+        if (msg.id && state.messages.some(m => m.id === msg.id)) return;
+        msg.channelId = msg.channelId || 'primary';
+        msg.replayed = true;
+
+        addMessageToHistory(msg, false);
+        if (msg.channelId !== state.activeChannelId) incrementUnreadCount(msg.channelId);
+        Events.emit('meshtastic:message', { message: msg });
+    }
+
+    /**
+     * Ask a store-and-forward router for the messages we missed
+     * @param {string} [routerId] - Defaults to the most recently heard primary router
+     * @param {Object} [options] - { windowMinutes } overrides the time since we were last on the mesh
+     */
+    async function requestMissedMessages(routerId = null, options = {}) {
+        if (state.connectionState !== ConnectionState.CONNECTED) {
+            throw new Error('Not connected to Meshtastic device');
+        }
+        if (!state.usingRealClient || typeof MeshtasticClient === 'undefined' || !MeshtasticClient.requestStoreForwardHistory) {
+            throw new Error('Store and forward needs a device connected through the Meshtastic library');
+        }
+
+        const router = routerId
+            ? storeForward.routers.get(routerId)
+            : getStoreForwardRouters().find(r => !r.secondary) || getStoreForwardRouters()[0];
+        if (!router) throw new Error('No store-and-forward router heard yet');
+
+        let windowMinutes = options.windowMinutes;
+        if (!windowMinutes) {
+            windowMinutes = storeForward.lastHeardAt
+                ? Math.ceil((Date.now() - storeForward.lastHeardAt) / 60000) + 1
+                : SF_DEFAULT_WINDOW_MIN;
+        }
+        windowMinutes = Math.max(1, Math.min(SF_MAX_WINDOW_MIN, windowMinutes));
+
+        storeForward.pending = { router: router.id, requestedAt: Date.now(), window: windowMinutes, expected: null, received: 0 };
+        storeForward.requestedThisSession = true;
+        await MeshtasticClient.requestStoreForwardHistory(router.num, windowMinutes, router.lastRequest || 0);
+        Events.emit('meshtastic:store_forward', { router, requested: true });
+        return storeForward.pending;
+    }
+
+    /**
+     * Known store-and-forward routers, most recently heard first
+     */
+    function getStoreForwardRouters() {
+        return Array.from(storeForward.routers.values()).sort((a, b) => b.lastHeard - a.lastHeard);
+    }
+
+    function getStoreForwardStatus() {
+        return {
+            routers: getStoreForwardRouters(),
+            pending: storeForward.pending ? { ...storeForward.pending } : null,
+            lastHeardAt: storeForward.lastHeardAt
+        };
+    }
+
+    /**
+     * Connection transitions: remember when we left, catch up when we return
+     */
+    function onStoreForwardConnection(connected) {
+        if (!connected) {
+            storeForward.pending = null;
+            storeForward.requestedThisSession = false;
+            storeForward.lastHeardAt = Date.now();
+            saveStoreForward();
+            return;
+        }
+        if (storeForward.routers.size === 0) return;
+        setTimeout(() => {
+            if (storeForward.requestedThisSession || state.connectionState !== ConnectionState.CONNECTED) return;
+            requestMissedMessages().catch(e => console.warn('[StoreForward] History request failed:', e.message));
+        }, SF_RECONNECT_DELAY);
+    }
+
+    /**
+     * Handle a neighbor table from MeshtasticClient.onNeighborInfo
+     * @param {Object} info - { nodeId, broadcastIntervalSecs, neighbors: [{ nodeId, snr }] }
+     */
+    function handleNeighborInfo(info) {
+        if (!info || !info.nodeId) return;
+        const reporter = nodeNumToId(info.nodeId);
+        const now = Date.now();
+        const ttl = info.broadcastIntervalSecs
+            ? Math.max(TOPOLOGY_MIN_TTL, info.broadcastIntervalSecs * 3000)
+            : TOPOLOGY_DEFAULT_TTL;
+
+        // A neighbor table is complete: links the reporter no longer lists are gone
+        const listed = new Set();
+        (info.neighbors || []).forEach(n => {
+            const other = nodeNumToId(n.nodeId);
+            if (!other || other === reporter) return;
+            const [a, b] = [reporter, other].sort();
+            const key = `${a}|${b}`;
+            listed.add(key);
+            const link = meshTopology.links.get(key) || { a, b, reports: {} };
+            link.reports[reporter] = { snr: n.snr, at: now };
+            link.ttl = ttl;
+            meshTopology.links.set(key, link);
+        });
+        meshTopology.links.forEach((link, key) => {
+            if (!listed.has(key) && link.reports[reporter]) {
+                delete link.reports[reporter];
+                if (Object.keys(link.reports).length === 0) meshTopology.links.delete(key);
+            }
+        });
+
+        pruneTopology(now);
+        saveTopology();
+        state.meshHealthCache = null;
+        Events.emit('meshtastic:topology', { reporter, neighbors: listed.size });
+    }
+
+    /**
+     * Drop link reports that haven't been refreshed within their TTL
+     */
+    function pruneTopology(now = Date.now()) {
+        meshTopology.links.forEach((link, key) => {
+            Object.entries(link.reports).forEach(([reporter, r]) => {
+                if (now - r.at > (link.ttl || TOPOLOGY_DEFAULT_TTL)) delete link.reports[reporter];
+            });
+            if (Object.keys(link.reports).length === 0) meshTopology.links.delete(key);
+        });
+    }
+
+    /**
+     * Mesh topology graph
+     * @returns {Object} { nodes: [{ id, name, lat, lon }], links: [{ a, b, aName, bName, snr, snrAtA, snrAtB, quality, lastHeard, oneWay }], showOnMap }
+     */
+    function getMeshTopology() {
+        pruneTopology();
+        const nodeIds = new Set();
+        const nameOf = id => {
+            const n = state.nodes.get(id);
+            return n?.shortName || n?.longName || n?.name || id;
+        };
+
+        const links = Array.from(meshTopology.links.values()).map(link => {
+            nodeIds.add(link.a);
+            nodeIds.add(link.b);
+            // The report from A is the SNR at which A hears B
+            const snrAtA = link.reports[link.a]?.snr ?? null;
+            const snrAtB = link.reports[link.b]?.snr ?? null;
+            const known = [snrAtA, snrAtB].filter(s => s !== null);
+            const snr = Math.min(...known);
+            return {
+                a: link.a,
+                b: link.b,
+                aName: nameOf(link.a),
+                bName: nameOf(link.b),
+                snr,
+                snrAtA,
+                snrAtB,
+                quality: calculateSignalQuality(snr, undefined),
+                lastHeard: Math.max(...Object.values(link.reports).map(r => r.at)),
+                oneWay: known.length === 1
+            };
+        }).sort((x, y) => x.snr - y.snr);
+
+        const nodes = Array.from(nodeIds).map(id => {
+            const n = state.nodes.get(id);
+            return { id, name: nameOf(id), lat: n?.lat ?? null, lon: n?.lon ?? null };
+        });
+
+        return { nodes, links, showOnMap: meshTopology.showOnMap };
+    }
+
+    function setTopologyVisible(visible) {
+        meshTopology.showOnMap = !!visible;
+        saveTopology();
+        Events.emit('meshtastic:topology', {});
+    }
+
+    function clearTopology() {
+        meshTopology.links.clear();
+        saveTopology();
+        Events.emit('meshtastic:topology', {});
+    }
+
+    /**
+     * Draw topology links between positioned nodes, colored by SNR
+     */
+    function renderTopology(ctx, width, height, latLonToPixel) {
+        if (!meshTopology.showOnMap || meshTopology.links.size === 0) return;
+        const topo = getMeshTopology();
+        const positions = new Map(topo.nodes.filter(n => n.lat !== null && n.lon !== null)
+            .map(n => [n.id, latLonToPixel(n.lat, n.lon)]));
+
+        ctx.save();
+        ctx.font = '10px system-ui, sans-serif';
+        ctx.textAlign = 'center';
+        topo.links.forEach(link => {
+            const pa = positions.get(link.a);
+            const pb = positions.get(link.b);
+            if (!pa || !pb) return;
+            if (Math.max(pa.x, pb.x) < 0 || Math.min(pa.x, pb.x) > width ||
+                Math.max(pa.y, pb.y) < 0 || Math.min(pa.y, pb.y) > height) return;
+
+            ctx.globalAlpha = 0.85;
+            ctx.strokeStyle = getSignalQualityColor(link.quality);
+            ctx.lineWidth = link.quality === 'excellent' ? 3 : link.quality === 'good' ? 2.5 : 2;
+            ctx.setLineDash(link.oneWay ? [6, 4] : []);
+            ctx.beginPath();
+            ctx.moveTo(pa.x, pa.y);
+            ctx.lineTo(pb.x, pb.y);
+            ctx.stroke();
+
+            ctx.setLineDash([]);
+            ctx.globalAlpha = 1;
+            ctx.fillStyle = 'rgba(0,0,0,0.6)';
+            const mx = (pa.x + pb.x) / 2;
+            const my = (pa.y + pb.y) / 2;
+            ctx.fillRect(mx - 18, my - 7, 36, 13);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(`${link.snr.toFixed(1)}dB`, mx, my + 3);
+        });
+        ctx.restore();
+    }
+
+    // =========================================================================
+    // TRACEROUTE FUNCTIONALITY
+    // =========================================================================
+    
+    const TRACEROUTE_TIMEOUT = 30000;  // 30 seconds timeout
+    const TRACEROUTE_MAX_HOPS = 10;    // Maximum hops to track
+    
+    /**
+     * Request traceroute to a destination node.
+     * Uses Meshtastic's native firmware-level RouteDiscovery (portnum 70)
+     * which sends compact protobuf packets handled at the routing layer.
+     * Works with ALL Meshtastic nodes, not just GridDown ones.
+     * 
+     * @param {string} targetNodeId - Node ID to trace route to (e.g. "!702f3ab7")
+     * @returns {Promise<Object>} - Traceroute tracking object
+     */
+    async function requestTraceroute(targetNodeId) {
+        if (state.connectionState !== ConnectionState.CONNECTED) {
+            throw new Error('Not connected to Meshtastic');
+        }
+        
+        if (!targetNodeId) {
+            throw new Error('Target node ID required');
+        }
+        
+        // Get target node info
+        const targetNode = getNodeById(targetNodeId);
+        const targetName = targetNode?.name || targetNode?.longName || `Node ${targetNodeId}`;
+        
+        // Convert string node ID to numeric nodeNum for the native API
+        let targetNodeNum = targetNode?.num;
+        if (!targetNodeNum && typeof targetNodeId === 'string' && targetNodeId.startsWith('!')) {
+            targetNodeNum = parseInt(targetNodeId.slice(1), 16);
+        }
+        if (!targetNodeNum) {
+            throw new Error('Cannot resolve node number for ' + targetNodeId);
+        }
+        
+        // Generate unique request ID for tracking
+        const requestId = `tr-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+        
+        // Initialize traceroute tracking
+        const traceroute = {
+            requestId,
+            targetNodeId,
+            targetNodeNum,
+            targetName,
+            startedAt: Date.now(),
+            status: 'pending',
+            route: [
+                {
+                    nodeId: state.myNodeId,
+                    nodeName: state.longName || state.shortName,
+                    hopNumber: 0,
+                    isOrigin: true
+                }
+            ],
+            hops: 0,
+            rtt: null,
+            error: null
+        };
+        
+        state.traceroutes.set(requestId, traceroute);
         state.activeTraceroute = requestId;
         
         // Also track by target nodeNum so we can match async responses
@@ -7504,6 +9712,8 @@ const MeshtasticModule = (function() {
             ModalsModule.showToast(`✓ Check-in sent: ${status}`, 'success');
         }
         
+        Events.emit('meshtastic:checkin_sent', { message });
+        
         return message;
     }
     
@@ -7531,6 +9741,37 @@ const MeshtasticModule = (function() {
         Events.emit('meshtastic:checkin', { message });
     }
     
+    /**
+     * Relay an APRS position heard on RF into the mesh
+     * @param {Object} report - { callsign, lat, lon, symbol, course, speed, altitude, comment }
+     */
+    async function sendAPRSGate(report) {
+        const message = {
+            type: MessageType.APRS_GATE,
+            from: state.myNodeId,
+            callsign: report.callsign,
+            lat: Math.round(report.lat * 1e5) / 1e5,
+            lon: Math.round(report.lon * 1e5) / 1e5,
+            symbol: report.symbol,
+            course: report.course,
+            speed: report.speed,
+            altitude: report.altitude,
+            comment: report.comment ? String(report.comment).slice(0, 40) : undefined,
+            timestamp: Date.now()
+        };
+        
+        await sendToDevice(message);
+        return message;
+    }
+    
+    /**
+     * Handle an APRS position relayed into the mesh by another gate
+     */
+    function handleAPRSGate(message) {
+        if (!message.callsign || message.lat === undefined || message.lon === undefined) return;
+        Events.emit('meshtastic:aprs_gate', { message });
+    }
+    
     /**
      * Handle telemetry data
      */
@@ -7883,7 +10124,12 @@ const MeshtasticModule = (function() {
         canSendDMTo,
         getDMCapableNodes,
         isCryptoAvailable,
-        
+        getPeerPublicKey,
+        signWithMyKey,
+        verifySignature,
+        encryptForNode,
+        decryptFromNode,
+
         // Direct Messages
         sendDirectMessage,
         getDMConversation,
@@ -7921,10 +10167,58 @@ const MeshtasticModule = (function() {
         
         // Sharing
         shareWaypoint,
+        deleteSharedWaypoint,
+        handleNativeWaypoint,
+        toNativeWaypoint,
+        fromNativeWaypoint,
         shareRoute,
         sendLocation,
         getNodesForRecipientSelection,
         
+        // Mesh transfers
+        sendTransfer,
+        shareArea,
+        shareTeamPackage,
+        shareCommPlan,
+        shareImage,
+        shareWaypointPhotos,
+        getTransfers,
+        getTransferResult,
+        resumeTransfers,
+        cancelTransfer,
+        clearFinishedTransfers,
+        handleTransferOffer,
+        handleTransferChunk,
+        handleTransferNack,
+        handleTransferAck,
+        encodeRanges,
+        decodeRanges,
+        
+        // Range test & coverage
+        startRangeTest,
+        stopRangeTest,
+        handleRangePing,
+        getRangeTestStatus,
+        getRangeTestSamples,
+        setCoverageVisible,
+        clearRangeTest,
+        exportCoverageCSV,
+        exportCoverageGeoJSON,
+        downloadCoverage,
+        compareCoverageWithPrediction,
+        renderCoverage,
+        
+        // Store & forward and mesh topology
+        handleStoreForward,
+        handleNeighborInfo,
+        requestMissedMessages,
+        getStoreForwardRouters,
+        getStoreForwardStatus,
+        getMeshTopology,
+        setTopologyVisible,
+        clearTopology,
+        renderTopology,
+        
         // Traceroute
         requestTraceroute,
         getActiveTraceroute,
@@ -7949,6 +10243,9 @@ const MeshtasticModule = (function() {
         sendSOS,
         sendCheckin,
         
+        // APRS cross-gating
+        sendAPRSGate,
+        
         // Reset
         factoryResetDevice,
         resetAppState,
@@ -8049,6 +10346,8 @@ const MeshtasticModule = (function() {
         ConnectionState,
         MessageType,
         DeliveryStatus,
+        TransferKind,
+        TransferStatus,
         RegionCode,
         RegionNames,
         ModemPreset,
@@ -0,0 +1,575 @@
+/**
+ * GridDown MGRS Grid Module - Geo-referenced MGRS/UTM grid and lat/lon graticule
+ *
+ * Replaces the old screen-space reference lattice with lines that are tied to
+ * ground coordinates, so grid references can be read straight off the map and
+ * matched against paper maps:
+ *   - UTM zone seams (including the Norway 32V and Svalbard 31X-37X exceptions)
+ *   - MGRS 100 km square boundaries with square IDs ("11S LA")
+ *   - 10 km / 1 km / 100 m lines chosen from the current zoom level
+ *   - Optional latitude/longitude graticule
+ *
+ * Lines are computed per zone/latitude-band cell in that zone's own projection
+ * and clipped to the cell, so they stop cleanly at zone seams instead of
+ * bleeding into the neighbouring zone.
+ */
+const MGRSGridModule = (function() {
+    'use strict';
+
+    // ==================== CONSTANTS ====================
+
+    // Candidate MGRS line intervals in meters (finest first)
+    const GRID_INTERVALS = [100, 1000, 10000, 100000];
+
+    // Minimum on-screen spacing between grid lines before stepping up an interval
+    const MIN_LINE_SPACING_PX = 60;
+
+    // Below this 100 km spacing only zone seams are drawn
+    const MIN_100K_SPACING_PX = 12;
+
+    // Hard cap on lines per axis per cell (protects against pathological bounds)
+    const MAX_LINES_PER_AXIS = 120;
+
+    // Graticule step candidates in degrees (coarsest first)
+    const GRATICULE_STEPS = [
+        10, 5, 2, 1, 30 / 60, 15 / 60, 10 / 60, 5 / 60, 2 / 60, 1 / 60,
+        30 / 3600, 15 / 3600, 10 / 3600, 5 / 3600
+    ];
+    const MIN_GRATICULE_SPACING_PX = 90;
+
+    // UTM latitude band letters, C (-80°) through X (72°-84°)
+    const BAND_LETTERS = 'CDEFGHJKLMNPQRSTUVWX';
+
+    const COLORS = {
+        seam: 'rgba(249, 115, 22, 0.85)',
+        major: 'rgba(255, 255, 255, 0.7)',
+        minor: 'rgba(255, 255, 255, 0.35)',
+        graticule: 'rgba(96, 165, 250, 0.6)',
+        labelBg: 'rgba(10, 13, 20, 0.75)',
+        label: '#ffffff',
+        squareLabel: '#fbbf24',
+        graticuleLabel: '#93c5fd'
+    };
+
+    const SETTINGS_KEY = 'gridOverlaySettings';
+
+    // ==================== STATE ====================
+
+    let settings = {
+        mgrs: true,        // MGRS/UTM grid lines and seams
+        graticule: false,  // Lat/lon graticule
+        labels: true       // Square IDs and line values
+    };
+
+    // ==================== SETTINGS ====================
+
+    async function init() {
+        try {
+            if (typeof Storage !== 'undefined') {
+                const saved = await Storage.Settings.get(SETTINGS_KEY);
+                if (saved) settings = { ...settings, ...saved };
+            }
+        } catch (e) {
+            console.warn('Could not load grid overlay settings:', e);
+        }
+        console.log('MGRSGridModule initialized');
+    }
+
+    function getSettings() {
+        return { ...settings };
+    }
+
+    function setSetting(key, value) {
+        if (!(key in settings)) return;
+        settings[key] = !!value;
+        if (typeof Storage !== 'undefined') {
+            Storage.Settings.set(SETTINGS_KEY, settings);
+        }
+        if (typeof MapModule !== 'undefined') {
+            MapModule.render();
+        }
+    }
+
+    // ==================== SCALE SELECTION ====================
+
+    /**
+     * Ground resolution of a Web Mercator map
+     * @returns {number} meters per CSS pixel
+     */
+    function metersPerPixel(lat, zoom) {
+        return 156543.03392 * Math.cos(lat * Math.PI / 180) / Math.pow(2, zoom);
+    }
+
+    /**
+     * Pick the finest MGRS interval whose lines are at least MIN_LINE_SPACING_PX apart
+     * @returns {number|null} interval in meters, or null if even 100 km lines would be too dense
+     */
+    function chooseGridInterval(lat, zoom) {
+        const mpp = metersPerPixel(lat, zoom);
+        for (const interval of GRID_INTERVALS) {
+            if (interval / mpp >= MIN_LINE_SPACING_PX) return interval;
+        }
+        return (100000 / mpp >= MIN_100K_SPACING_PX) ? 100000 : null;
+    }
+
+    /**
+     * Pick the finest graticule step that keeps meridians MIN_GRATICULE_SPACING_PX apart
+     * @returns {number} step in degrees
+     */
+    function chooseGraticuleStep(zoom) {
+        const pxPerDegree = 256 * Math.pow(2, zoom) / 360;
+        let step = GRATICULE_STEPS[0];
+        for (const candidate of GRATICULE_STEPS) {
+            if (candidate * pxPerDegree >= MIN_GRATICULE_SPACING_PX) step = candidate;
+            else break;
+        }
+        return step;
+    }
+
+    // ==================== ZONE CELLS ====================
+
+    /**
+     * Longitude extent of each zone within a latitude band, honouring the
+     * Norway (32V) and Svalbard (31X/33X/35X/37X) exceptions.
+     * @returns {Array<{zone, west, east}>}
+     */
+    function getBandZones(bandLetter) {
+        const zones = [];
+        for (let z = 1; z <= 60; z++) {
+            const west = -180 + (z - 1) * 6;
+            zones.push({ zone: z, west, east: west + 6 });
+        }
+        if (bandLetter === 'V') {
+            zones[30] = { zone: 31, west: 0, east: 3 };
+            zones[31] = { zone: 32, west: 3, east: 12 };
+        } else if (bandLetter === 'X') {
+            const svalbard = [
+                { zone: 31, west: 0, east: 9 },
+                { zone: 33, west: 9, east: 21 },
+                { zone: 35, west: 21, east: 33 },
+                { zone: 37, west: 33, east: 42 }
+            ];
+            return zones.filter(z => z.zone < 31 || z.zone > 37).concat(svalbard)
+                .sort((a, b) => a.west - b.west);
+        }
+        return zones;
+    }
+
+    /**
+     * Split a lat/lon bounding box into zone/band cells.
+     * Longitudes outside ±180 (map panned across the antimeridian) are handled
+     * by shifting whole world copies, so cell longitudes match the view.
+     *
+     * @param {Object} bounds - { north, south, east, west }
+     * @returns {Array<{zone, band, north, south, east, west, shift}>}
+     */
+    function getZoneCells(bounds) {
+        const cells = [];
+        const south = Math.max(bounds.south, -80);
+        const north = Math.min(bounds.north, 84);
+        if (south >= north) return cells;
+
+        const firstCopy = Math.floor((bounds.west + 180) / 360);
+        const lastCopy = Math.floor((bounds.east + 180) / 360);
+
+        for (let copy = firstCopy; copy <= lastCopy; copy++) {
+            const shift = copy * 360;
+            const west = Math.max(bounds.west - shift, -180);
+            const east = Math.min(bounds.east - shift, 180);
+            if (west >= east) continue;
+
+            for (let b = 0; b < BAND_LETTERS.length; b++) {
+                const band = BAND_LETTERS[b];
+                const bandSouth = -80 + b * 8;
+                const bandNorth = band === 'X' ? 84 : bandSouth + 8;
+                if (bandNorth <= south || bandSouth >= north) continue;
+
+                for (const z of getBandZones(band)) {
+                    if (z.east <= west || z.west >= east) continue;
+                    cells.push({
+                        zone: z.zone,
+                        band,
+                        south: Math.max(bandSouth, south),
+                        north: Math.min(bandNorth, north),
+                        west: Math.max(z.west, west) + shift,
+                        east: Math.min(z.east, east) + shift,
+                        // Full (unclipped) cell edges, used to tell seams from view edges
+                        zoneWest: z.west + shift,
+                        zoneEast: z.east + shift,
+                        bandSouth,
+                        bandNorth,
+                        shift
+                    });
+                }
+            }
+        }
+        return cells;
+    }
+
+    // ==================== GEOMETRY ====================
+
+    function isSouthBand(band) {
+        return band < 'N';
+    }
+
+    /**
+     * Project into a cell's (forced) zone, keeping southern northings on the
+     * false-northing side even exactly at the equator.
+     */
+    function toCellUTM(cell, lat, lon) {
+        const utm = Coordinates.latLonToUTM(lat, lon - cell.shift, cell.zone);
+        if (isSouthBand(cell.band) && utm.northing < 5000000) utm.northing += 10000000;
+        return utm;
+    }
+
+    function fromCellUTM(cell, easting, northing) {
+        const ll = Coordinates.utmToLatLon(cell.zone, cell.band, easting, northing);
+        return { lat: ll.lat, lon: ll.lon + cell.shift };
+    }
+
+    /**
+     * UTM extent of a cell, sampled along its perimeter (cells are not
+     * rectangles in UTM, so corners alone under-estimate the extent).
+     */
+    function getCellExtent(cell) {
+        let eMin = Infinity, eMax = -Infinity, nMin = Infinity, nMax = -Infinity;
+        const steps = 8;
+        for (let i = 0; i <= steps; i++) {
+            const t = i / steps;
+            const lat = cell.south + (cell.north - cell.south) * t;
+            const lon = cell.west + (cell.east - cell.west) * t;
+            const samples = [
+                [lat, cell.west], [lat, cell.east],
+                [cell.south, lon], [cell.north, lon]
+            ];
+            for (const [sLat, sLon] of samples) {
+                const utm = toCellUTM(cell, sLat, sLon);
+                eMin = Math.min(eMin, utm.easting);
+                eMax = Math.max(eMax, utm.easting);
+                nMin = Math.min(nMin, utm.northing);
+                nMax = Math.max(nMax, utm.northing);
+            }
+        }
+        return { eMin, eMax, nMin, nMax };
+    }
+
+    /**
+     * Clip one segment to a lat/lon rectangle (Liang-Barsky)
+     * @returns {Array|null} [p0, p1] clipped, or null if fully outside
+     */
+    function clipSegment(a, b, rect) {
+        let t0 = 0, t1 = 1;
+        const dx = b.lon - a.lon;
+        const dy = b.lat - a.lat;
+        const checks = [
+            [-dx, a.lon - rect.west],
+            [dx, rect.east - a.lon],
+            [-dy, a.lat - rect.south],
+            [dy, rect.north - a.lat]
+        ];
+        for (const [p, q] of checks) {
+            if (p === 0) {
+                if (q < 0) return null;
+            } else {
+                const r = q / p;
+                if (p < 0) {
+                    if (r > t1) return null;
+                    if (r > t0) t0 = r;
+                } else {
+                    if (r < t0) return null;
+                    if (r < t1) t1 = r;
+                }
+            }
+        }
+        return [
+            { lat: a.lat + dy * t0, lon: a.lon + dx * t0 },
+            { lat: a.lat + dy * t1, lon: a.lon + dx * t1 }
+        ];
+    }
+
+    /**
+     * Clip a polyline to a lat/lon rectangle
+     * @returns {Array<Array<{lat, lon}>>} visible runs
+     */
+    function clipPolyline(points, rect) {
+        const runs = [];
+        let current = null;
+        for (let i = 1; i < points.length; i++) {
+            const seg = clipSegment(points[i - 1], points[i], rect);
+            if (!seg) {
+                current = null;
+                continue;
+            }
+            const last = current && current[current.length - 1];
+            if (last && Math.abs(last.lat - seg[0].lat) < 1e-12 && Math.abs(last.lon - seg[0].lon) < 1e-12) {
+                current.push(seg[1]);
+            } else {
+                current = [seg[0], seg[1]];
+                runs.push(current);
+            }
+        }
+        return runs;
+    }
+
+    /**
+     * Compute grid lines for one zone/band cell
+     *
+     * @param {Object} cell - From getZoneCells()
+     * @param {number} interval - Line interval in meters
+     * @returns {Array<{axis: 'e'|'n', value, major, runs}>}
+     */
+    function computeGridLines(cell, interval) {
+        const lines = [];
+        const ext = getCellExtent(cell);
+        const rect = cell;
+
+        const buildAxis = (axis, from, to, spanFrom, spanTo) => {
+            const first = Math.ceil(from / interval) * interval;
+            if ((to - first) / interval > MAX_LINES_PER_AXIS) return;
+            // Sample each line finely enough to follow grid convergence
+            const sampleStep = Math.max((spanTo - spanFrom) / 24, 50);
+            for (let v = first; v <= to; v += interval) {
+                const points = [];
+                for (let s = spanFrom; s < spanTo + sampleStep; s += sampleStep) {
+                    const along = Math.min(s, spanTo);
+                    points.push(axis === 'e' ? fromCellUTM(cell, v, along) : fromCellUTM(cell, along, v));
+                }
+                const runs = clipPolyline(points, rect);
+                if (runs.length) {
+                    lines.push({ axis, value: v, major: v % 100000 === 0, runs });
+                }
+            }
+        };
+
+        buildAxis('e', ext.eMin, ext.eMax, ext.nMin, ext.nMax);
+        buildAxis('n', ext.nMin, ext.nMax, ext.eMin, ext.eMax);
+        return lines;
+    }
+
+    /**
+     * 100 km square labels for a cell
+     * @returns {Array<{lat, lon, text}>}
+     */
+    function computeSquareLabels(cell) {
+        const labels = [];
+        const ext = getCellExtent(cell);
+        const e0 = Math.floor(ext.eMin / 100000), e1 = Math.floor(ext.eMax / 100000);
+        const n0 = Math.floor(ext.nMin / 100000), n1 = Math.floor(ext.nMax / 100000);
+        if ((e1 - e0 + 1) * (n1 - n0 + 1) > 400) return labels;
+
+        for (let e = e0; e <= e1; e++) {
+            for (let n = n0; n <= n1; n++) {
+                // Centre of the part of the square that falls inside the cell
+                const eMid = (Math.max(e * 100000, ext.eMin) + Math.min((e + 1) * 100000, ext.eMax)) / 2;
+                const nMid = (Math.max(n * 100000, ext.nMin) + Math.min((n + 1) * 100000, ext.nMax)) / 2;
+                const pos = fromCellUTM(cell, eMid, nMid);
+                if (pos.lat < cell.south || pos.lat > cell.north || pos.lon < cell.west || pos.lon > cell.east) continue;
+                const id = Coordinates.get100kSquareId(cell.zone, eMid, nMid);
+                labels.push({ lat: pos.lat, lon: pos.lon, text: `${cell.zone}${cell.band} ${id.col}${id.row}` });
+            }
+        }
+        return labels;
+    }
+
+    // ==================== LABEL FORMATTING ====================
+
+    /**
+     * Principal digits printed on map grid lines
+     * e.g. easting 318000 at 1 km interval → "18", at 100 m → "180"
+     */
+    function formatGridLabel(value, interval) {
+        const within = ((value % 100000) + 100000) % 100000;
+        if (interval >= 100000) return String(Math.floor(value / 100000) % 100);
+        const digits = 5 - Math.round(Math.log10(interval));
+        return String(Math.floor(within / interval)).padStart(digits, '0');
+    }
+
+    /**
+     * Graticule label in degrees / minutes / seconds as the step requires
+     */
+    function formatGraticuleLabel(value, isLat, step) {
+        const hemi = isLat ? (value >= 0 ? 'N' : 'S') : (value >= 0 ? 'E' : 'W');
+        // Snap to the step to avoid 59.9999" artefacts
+        const totalSec = Math.round(Math.abs(value) * 3600);
+        const deg = Math.floor(totalSec / 3600);
+        const min = Math.floor((totalSec % 3600) / 60);
+        const sec = totalSec % 60;
+        if (step >= 1) return `${deg}°${hemi}`;
+        if (step >= 1 / 60) return `${deg}°${String(min).padStart(2, '0')}'${hemi}`;
+        return `${deg}°${String(min).padStart(2, '0')}'${String(sec).padStart(2, '0')}"${hemi}`;
+    }
+
+    // ==================== RENDERING ====================
+
+    function strokeRuns(ctx, latLonToPixel, runs) {
+        ctx.beginPath();
+        for (const run of runs) {
+            run.forEach((pt, i) => {
+                const px = latLonToPixel(pt.lat, pt.lon);
+                if (i === 0) ctx.moveTo(px.x, px.y);
+                else ctx.lineTo(px.x, px.y);
+            });
+        }
+        ctx.stroke();
+    }
+
+    function drawLabel(ctx, text, x, y, color, align = 'center') {
+        ctx.font = '10px "IBM Plex Mono", monospace';
+        ctx.textAlign = align;
+        ctx.textBaseline = 'middle';
+        const w = ctx.measureText(text).width + 6;
+        const left = align === 'left' ? x - 3 : x - w / 2;
+        ctx.fillStyle = COLORS.labelBg;
+        ctx.fillRect(left, y - 7, w, 14);
+        ctx.fillStyle = color;
+        ctx.fillText(text, x, y);
+    }
+
+    /**
+     * Find the visible point of a line nearest one screen edge, for labelling
+     */
+    function findEdgeAnchor(runs, latLonToPixel, view, axis) {
+        let best = null;
+        for (const run of runs) {
+            for (const pt of run) {
+                const px = latLonToPixel(pt.lat, pt.lon);
+                if (px.x < 16 || px.x > view.width - 16 || px.y < 16 || px.y > view.height - 30) continue;
+                if (!best ||
+                    (axis === 'e' && px.y > best.y) ||
+                    (axis === 'n' && px.x < best.x)) {
+                    best = px;
+                }
+            }
+        }
+        return best;
+    }
+
+    function renderMGRS(ctx, latLonToPixel, view) {
+        const cells = getZoneCells(view.bounds);
+        const interval = chooseGridInterval(view.lat, view.zoom);
+
+        // Grid lines
+        if (interval) {
+            for (const cell of cells) {
+                const lines = computeGridLines(cell, interval);
+                for (const line of lines) {
+                    const major = line.major && interval < 100000;
+                    ctx.strokeStyle = major ? COLORS.major : COLORS.minor;
+                    ctx.lineWidth = major ? 1.5 : 1;
+                    strokeRuns(ctx, latLonToPixel, line.runs);
+                }
+
+                if (settings.labels && interval < 100000) {
+                    for (const line of lines) {
+                        if (line.major) continue;
+                        const anchor = findEdgeAnchor(line.runs, latLonToPixel, view, line.axis);
+                        if (!anchor) continue;
+                        const text = formatGridLabel(line.value, interval);
+                        if (line.axis === 'e') drawLabel(ctx, text, anchor.x, anchor.y - 10, COLORS.label);
+                        else drawLabel(ctx, text, anchor.x + 4, anchor.y, COLORS.label, 'left');
+                    }
+                }
+            }
+        }
+
+        // Zone seams and band edges (only true cell edges, not view edges)
+        ctx.strokeStyle = COLORS.seam;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([8, 4]);
+        for (const cell of cells) {
+            if (cell.west === cell.zoneWest) {
+                strokeRuns(ctx, latLonToPixel, [[{ lat: cell.south, lon: cell.west }, { lat: cell.north, lon: cell.west }]]);
+            }
+            if (cell.south === cell.bandSouth) {
+                strokeRuns(ctx, latLonToPixel, [[{ lat: cell.south, lon: cell.west }, { lat: cell.south, lon: cell.east }]]);
+            }
+        }
+        ctx.setLineDash([]);
+
+        // 100 km square IDs
+        if (settings.labels && interval) {
+            ctx.font = 'bold 11px "IBM Plex Mono", monospace';
+            for (const cell of cells) {
+                for (const label of computeSquareLabels(cell)) {
+                    const px = latLonToPixel(label.lat, label.lon);
+                    if (px.x < 0 || px.x > view.width || px.y < 0 || px.y > view.height) continue;
+                    drawLabel(ctx, label.text, px.x, px.y, COLORS.squareLabel);
+                }
+            }
+        }
+    }
+
+    function renderGraticule(ctx, latLonToPixel, view) {
+        const step = chooseGraticuleStep(view.zoom);
+        const b = view.bounds;
+        const south = Math.max(b.south, -85);
+        const north = Math.min(b.north, 85);
+
+        ctx.strokeStyle = COLORS.graticule;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([2, 4]);
+
+        const meridians = [];
+        for (let lon = Math.ceil(b.west / step) * step; lon <= b.east; lon += step) {
+            strokeRuns(ctx, latLonToPixel, [[{ lat: south, lon }, { lat: north, lon }]]);
+            meridians.push(lon);
+        }
+        const parallels = [];
+        for (let lat = Math.ceil(south / step) * step; lat <= north; lat += step) {
+            strokeRuns(ctx, latLonToPixel, [[{ lat, lon: b.west }, { lat, lon: b.east }]]);
+            parallels.push(lat);
+        }
+        ctx.setLineDash([]);
+
+        if (!settings.labels) return;
+        for (const lon of meridians) {
+            const normLon = ((lon + 540) % 360) - 180;
+            const px = latLonToPixel(view.center.lat, lon);
+            drawLabel(ctx, formatGraticuleLabel(normLon, false, step), px.x, 24, COLORS.graticuleLabel);
+        }
+        for (const lat of parallels) {
+            const px = latLonToPixel(lat, view.center.lon);
+            drawLabel(ctx, formatGraticuleLabel(lat, true, step), view.width - 8, px.y, COLORS.graticuleLabel, 'right');
+        }
+    }
+
+    /**
+     * Render the grid overlay
+     *
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Function} latLonToPixel
+     * @param {Object} view - { bounds: {north, south, east, west}, center: {lat, lon}, zoom, lat, width, height }
+     */
+    function renderMapOverlay(ctx, latLonToPixel, view) {
+        if (typeof Coordinates === 'undefined' || !view || !view.bounds) return;
+        ctx.save();
+        if (settings.graticule) renderGraticule(ctx, latLonToPixel, view);
+        if (settings.mgrs) renderMGRS(ctx, latLonToPixel, view);
+        ctx.restore();
+    }
+
+    // ==================== PUBLIC API ====================
+
+    return {
+        init,
+        getSettings,
+        setSetting,
+        renderMapOverlay,
+
+        // Pure helpers (exposed for testing and print layouts)
+        metersPerPixel,
+        chooseGridInterval,
+        chooseGraticuleStep,
+        getBandZones,
+        getZoneCells,
+        computeGridLines,
+        computeSquareLabels,
+        clipPolyline,
+        formatGridLabel,
+        formatGraticuleLabel,
+
+        GRID_INTERVALS
+    };
+})();
+
+window.MGRSGridModule = MGRSGridModule;
@@ -1269,6 +1269,12 @@ const ModalsModule = (function() {
             Storage.Waypoints.delete(wp.id);
             State.persist();
             
+            // Remove it from other devices it was shared to over the mesh
+            if (wp.meshWaypointId && typeof MeshtasticModule !== 'undefined') {
+                MeshtasticModule.deleteSharedWaypoint(wp)
+                    .catch(err => console.warn('Could not remove shared waypoint from the mesh:', err));
+            }
+            
             closeModal();
             showToast(`"${wp.name}" deleted (Ctrl+Z to undo)`, 'success');
         };
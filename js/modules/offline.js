@@ -505,22 +505,42 @@ const OfflineModule = (function() {
             throw new Error('Region not found');
         }
 
-        // Delete tiles from cache
-        try {
-            const cache = await caches.open(TILE_CACHE_NAME);
-            const baseTiles = calculateTiles(region.bounds, region.minZoom, region.maxZoom);
-            
-            for (const layer of region.layers) {
-                for (const tile of baseTiles) {
-                    const url = TILE_SERVERS[layer]
-                        .replace('{z}', tile.z)
-                        .replace('{x}', tile.x)
-                        .replace('{y}', tile.y);
-                    await cache.delete(url);
+        if (region.source === 'mbtiles') {
+            // Imported MBTiles packs keep their tiles in the pack, not the tile cache
+            if (typeof MBTilesModule !== 'undefined') {
+                try {
+                    await MBTilesModule.deletePacksForRegion(regionId);
+                } catch (err) {
+                    console.warn('Error deleting MBTiles pack:', err);
                 }
             }
-        } catch (err) {
-            console.warn('Error deleting cached tiles:', err);
+        } else {
+            // Delete tiles from cache
+            try {
+                const cache = await caches.open(TILE_CACHE_NAME);
+                const baseTiles = calculateTiles(region.bounds, region.minZoom, region.maxZoom);
+                
+                for (const layer of region.layers) {
+                    for (const tile of baseTiles) {
+                        const url = TILE_SERVERS[layer]
+                            .replace('{z}', tile.z)
+                            .replace('{x}', tile.x)
+                            .replace('{y}', tile.y);
+                        await cache.delete(url);
+                    }
+                }
+            } catch (err) {
+                console.warn('Error deleting cached tiles:', err);
+            }
+        }
+
+        // Delete elevation data downloaded with this region
+        if (typeof DEMModule !== 'undefined') {
+            try {
+                await DEMModule.deleteSourcesForRegion(regionId);
+            } catch (err) {
+                console.warn('Error deleting region DEM data:', err);
+            }
         }
 
         // Remove from storage
@@ -931,6 +951,7 @@ const OfflineModule = (function() {
         cancelDownload,
         deleteRegion,
         loadRegions,
+        saveRegion,
         getStorageStats,
         startDrawing,
         cancelDrawing,
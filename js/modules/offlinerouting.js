@@ -0,0 +1,1233 @@
+/**
+ * GridDown Offline Routing Module - Snap-to-road/trail routing without a network
+ *
+ * Imports a road and trail network for the downloaded region and routes
+ * between clicked points with A* on the device:
+ *   - OSM PBF extracts (.osm.pbf) decoded with a small built-in protobuf reader
+ *   - OSM XML (.osm) and Overpass API JSON
+ *   - Pre-built line networks as GeoJSON (OSM tags or a terrain property)
+ *
+ * Ways are reduced to a compact graph (typed arrays) that is stored in its
+ * own IndexedDB database, so an extract only has to be parsed once. Each
+ * edge carries the RouteBuilder terrain class (highway/road/trail/crawl) and
+ * per-mode access, so routes for foot, ATV and 4x4 follow only ways that
+ * mode may use and come back with segment terrain already filled in. Travel
+ * times use the speeds in LogisticsModule.VEHICLE_PROFILES.
+ */
+const OfflineRoutingModule = (function() {
+    'use strict';
+
+    // ==================== CONSTANTS ====================
+
+    const DB_NAME = 'griddown-routing';
+    const DB_VERSION = 1;
+    const GRAPHS_STORE = 'graphs';
+    const SETTINGS_KEY = 'offlineRoutingSettings';
+
+    // Access bits stored per edge
+    const ACCESS = { FOOT: 1, ATV: 2, CAR: 4 };
+    const ALL_ACCESS = ACCESS.FOOT | ACCESS.ATV | ACCESS.CAR;
+    const ONEWAY = 8;
+
+    const TERRAINS = ['highway', 'road', 'trail', 'crawl'];
+
+    // Routing profiles. Vehicle speeds come from LogisticsModule when it is
+    // loaded; the copies here keep routing usable on its own.
+    const PROFILES = {
+        foot: {
+            name: 'On Foot',
+            icon: '🚶',
+            access: ACCESS.FOOT,
+            oneway: false,
+            vehicle: null,
+            speed: { highway: 3, road: 3, trail: 2.5, crawl: 1 }
+        },
+        atv: {
+            name: 'ATV/UTV',
+            icon: '🏍️',
+            access: ACCESS.ATV,
+            oneway: true,
+            vehicle: 'atv',
+            speed: { highway: 45, road: 35, trail: 25, crawl: 10 }
+        },
+        truck_4x4: {
+            name: '4x4 Truck',
+            icon: '🚙',
+            access: ACCESS.CAR,
+            oneway: true,
+            vehicle: 'truck_4x4',
+            speed: { highway: 65, road: 35, trail: 15, crawl: 5 }
+        }
+    };
+
+    const MPH_TO_MPS = 0.44704;
+    const EARTH_RADIUS_M = 6371000;
+
+    // Clicks further than this from any usable way are not snapped
+    const DEFAULT_SNAP_DISTANCE_M = 1000;
+
+    // Spatial index cell size (degrees)
+    const INDEX_CELL_DEG = 0.01;
+
+    // Keeps a single import within what a phone can hold in memory
+    const MAX_GRAPH_NODES = 4000000;
+
+    const YES_VALUES = ['yes', 'designated', 'permissive', 'official', 'destination'];
+    const NO_VALUES = ['no', 'private'];
+
+    // OSM PBF PrimitiveGroup / BlobHeader field numbers
+    const PBF = {
+        BLOB_RAW: 1,
+        BLOB_ZLIB: 3,
+        BLOCK_STRINGTABLE: 1,
+        BLOCK_GROUP: 2,
+        BLOCK_GRANULARITY: 17,
+        BLOCK_LAT_OFFSET: 19,
+        BLOCK_LON_OFFSET: 20,
+        GROUP_NODE: 1,
+        GROUP_DENSE: 2,
+        GROUP_WAY: 3
+    };
+
+    // ==================== STATE ====================
+
+    let db = null;
+    let graphs = [];                        // Graph summaries (no arrays)
+    let activeGraph = null;                 // Prepared in-memory graph
+    let settings = {
+        activeGraphId: null,
+        profile: 'foot'
+    };
+    let initialized = false;
+
+    // ==================== INITIALIZATION ====================
+
+    async function init() {
+        if (initialized) {
+            console.debug('OfflineRoutingModule already initialized');
+            return;
+        }
+        initialized = true;
+
+        try {
+            if (typeof Storage !== 'undefined') {
+                const saved = await Storage.Settings.get(SETTINGS_KEY);
+                if (saved) settings = { ...settings, ...saved };
+            }
+        } catch (e) {
+            console.warn('Could not load offline routing settings:', e);
+        }
+
+        if (typeof indexedDB !== 'undefined') {
+            try {
+                await openDatabase();
+                graphs = (await getAllGraphRecords()).map(summarize);
+                if (settings.activeGraphId && !graphs.some(g => g.id === settings.activeGraphId)) {
+                    settings.activeGraphId = graphs.length > 0 ? graphs[0].id : null;
+                }
+                if (settings.activeGraphId) {
+                    await activateGraph(settings.activeGraphId);
+                }
+            } catch (err) {
+                console.warn('OfflineRoutingModule: failed to open database:', err);
+            }
+        }
+
+        console.log(`OfflineRoutingModule initialized (${graphs.length} networks)`);
+    }
+
+    async function openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onerror = () => reject(request.error);
+
+            request.onsuccess = () => {
+                db = request.result;
+                resolve(db);
+            };
+
+            request.onupgradeneeded = (event) => {
+                const database = event.target.result;
+                if (!database.objectStoreNames.contains(GRAPHS_STORE)) {
+                    database.createObjectStore(GRAPHS_STORE, { keyPath: 'id' });
+                }
+            };
+        });
+    }
+
+    function requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async function getAllGraphRecords() {
+        if (!db) await openDatabase();
+        return requestToPromise(db.transaction(GRAPHS_STORE, 'readonly').objectStore(GRAPHS_STORE).getAll());
+    }
+
+    async function getGraphRecord(id) {
+        if (!db) await openDatabase();
+        return requestToPromise(db.transaction(GRAPHS_STORE, 'readonly').objectStore(GRAPHS_STORE).get(id));
+    }
+
+    async function putGraphRecord(record) {
+        if (!db) await openDatabase();
+        return requestToPromise(db.transaction(GRAPHS_STORE, 'readwrite').objectStore(GRAPHS_STORE).put(record));
+    }
+
+    async function deleteGraphRecord(id) {
+        if (!db) await openDatabase();
+        return requestToPromise(db.transaction(GRAPHS_STORE, 'readwrite').objectStore(GRAPHS_STORE).delete(id));
+    }
+
+    async function saveSettings() {
+        try {
+            if (typeof Storage !== 'undefined') {
+                await Storage.Settings.set(SETTINGS_KEY, settings);
+            }
+        } catch (e) {
+            console.warn('Could not save offline routing settings:', e);
+        }
+    }
+
+    function emitChange() {
+        if (typeof Events !== 'undefined') {
+            Events.emit('routing:changed', { activeGraphId: settings.activeGraphId });
+        }
+    }
+
+    // ==================== WAY CLASSIFICATION ====================
+
+    function isYes(value) {
+        return value !== undefined && YES_VALUES.includes(value);
+    }
+
+    function isNo(value) {
+        return value !== undefined && NO_VALUES.includes(value);
+    }
+
+    /**
+     * Terrain class for an OSM track, from tracktype, smoothness and 4wd_only
+     */
+    function trackTerrain(tags) {
+        if (tags['4wd_only'] === 'yes') return 'crawl';
+        if (['very_horrible', 'impassable'].includes(tags.smoothness)) return 'crawl';
+        switch (tags.tracktype) {
+            case 'grade1':
+            case 'grade2':
+                return 'road';
+            case 'grade5':
+                return 'crawl';
+            default:
+                return 'trail';
+        }
+    }
+
+    /**
+     * Classify an OSM way for routing
+     * @param {Object} tags - OSM tags
+     * @returns {{terrain: string, access: number, oneway: number}|null}
+     *          oneway is 1 (along the way), -1 (against it) or 0; null when
+     *          the way is not a routable road or trail
+     */
+    function classifyWay(tags) {
+        const highway = tags.highway;
+        if (!highway) return null;
+
+        let terrain;
+        let access;
+        switch (highway) {
+            case 'motorway':
+            case 'motorway_link':
+            case 'trunk':
+            case 'trunk_link':
+                terrain = 'highway';
+                access = ACCESS.CAR;
+                break;
+            case 'primary':
+            case 'primary_link':
+                terrain = 'highway';
+                access = ALL_ACCESS;
+                break;
+            case 'secondary':
+            case 'secondary_link':
+            case 'tertiary':
+            case 'tertiary_link':
+            case 'unclassified':
+            case 'residential':
+            case 'service':
+            case 'living_street':
+            case 'road':
+                terrain = 'road';
+                access = ALL_ACCESS;
+                break;
+            case 'track':
+                terrain = trackTerrain(tags);
+                access = ALL_ACCESS;
+                break;
+            case 'path':
+            case 'bridleway':
+            case 'footway':
+            case 'pedestrian':
+            case 'cycleway':
+                terrain = 'trail';
+                access = ACCESS.FOOT;
+                break;
+            case 'steps':
+                terrain = 'crawl';
+                access = ACCESS.FOOT;
+                break;
+            default:
+                return null;
+        }
+
+        // Demanding alpine routes are technical on foot
+        if (tags.sac_scale && !['hiking', 'mountain_hiking'].includes(tags.sac_scale)) {
+            terrain = 'crawl';
+        }
+
+        // General access first, then the more specific mode tags
+        if (isNo(tags.access)) access = 0;
+        if (isNo(tags.vehicle)) access &= ~(ACCESS.ATV | ACCESS.CAR);
+        if (isNo(tags.motor_vehicle)) access &= ~(ACCESS.ATV | ACCESS.CAR);
+        if (isYes(tags.motor_vehicle)) access |= ACCESS.ATV | ACCESS.CAR;
+        if (isNo(tags.motorcar)) access &= ~ACCESS.CAR;
+        if (isYes(tags.motorcar)) access |= ACCESS.CAR;
+        if (isNo(tags.atv)) access &= ~ACCESS.ATV;
+        if (isYes(tags.atv)) access |= ACCESS.ATV;
+        if (isNo(tags.foot)) access &= ~ACCESS.FOOT;
+        if (isYes(tags.foot)) access |= ACCESS.FOOT;
+
+        if (!access) return null;
+
+        let oneway = 0;
+        if (['yes', 'true', '1'].includes(tags.oneway)) {
+            oneway = 1;
+        } else if (tags.oneway === '-1' || tags.oneway === 'reverse') {
+            oneway = -1;
+        } else if (tags.oneway !== 'no' &&
+                   (highway === 'motorway' || highway === 'motorway_link' || tags.junction === 'roundabout')) {
+            oneway = 1;
+        }
+
+        return { terrain, access, oneway };
+    }
+
+    /**
+     * Classify a feature from a pre-built network that carries a RouteBuilder
+     * terrain class instead of OSM tags
+     */
+    function classifyTerrainFeature(props) {
+        if (!TERRAINS.includes(props.terrain)) return null;
+        return { terrain: props.terrain, access: ALL_ACCESS, oneway: 0 };
+    }
+
+    // ==================== PARSERS ====================
+    // Every parser returns { nodes: Map(id -> [lat, lon]), ways: [{ refs, tags }] }
+
+    /**
+     * Parse Overpass API JSON (out body / out geom)
+     * @param {Object} json
+     */
+    function parseOverpassJSON(json) {
+        const nodes = new Map();
+        const ways = [];
+        const keys = new Map();
+        let synthetic = -1;
+
+        for (const el of json.elements || []) {
+            if (el.type === 'node' && typeof el.lat === 'number') {
+                nodes.set(el.id, [el.lat, el.lon]);
+            } else if (el.type === 'way' && el.tags && el.tags.highway) {
+                if (Array.isArray(el.geometry) && el.geometry.length === (el.nodes || []).length) {
+                    el.geometry.forEach((g, i) => nodes.set(el.nodes[i], [g.lat, g.lon]));
+                    ways.push({ refs: el.nodes, tags: el.tags });
+                } else if (Array.isArray(el.geometry)) {
+                    // out geom without node ids: ways only join where they share coordinates
+                    const refs = el.geometry.map(g => coordinateId(nodes, g.lat, g.lon, () => synthetic--, keys));
+                    ways.push({ refs, tags: el.tags });
+                } else if (Array.isArray(el.nodes)) {
+                    ways.push({ refs: el.nodes, tags: el.tags });
+                }
+            }
+        }
+        return { nodes, ways };
+    }
+
+    /**
+     * Parse an OSM XML document
+     * @param {string} text
+     */
+    function parseOSMXML(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.querySelector('parsererror')) throw new Error('Invalid OSM XML');
+
+        const nodes = new Map();
+        const ways = [];
+        doc.querySelectorAll('node').forEach(n => {
+            nodes.set(Number(n.getAttribute('id')), [
+                parseFloat(n.getAttribute('lat')),
+                parseFloat(n.getAttribute('lon'))
+            ]);
+        });
+        doc.querySelectorAll('way').forEach(w => {
+            const tags = {};
+            w.querySelectorAll('tag').forEach(t => { tags[t.getAttribute('k')] = t.getAttribute('v'); });
+            if (!tags.highway) return;
+            const refs = Array.from(w.querySelectorAll('nd')).map(nd => Number(nd.getAttribute('ref')));
+            ways.push({ refs, tags });
+        });
+        return { nodes, ways };
+    }
+
+    /**
+     * Look up or assign a node id for a coordinate (networks without node ids)
+     */
+    function coordinateId(nodes, lat, lon, nextId, keys) {
+        const key = `${lat.toFixed(7)},${lon.toFixed(7)}`;
+        let id = keys.get(key);
+        if (id === undefined) {
+            id = nextId();
+            keys.set(key, id);
+            nodes.set(id, [lat, lon]);
+        }
+        return id;
+    }
+
+    /**
+     * Parse a pre-built GeoJSON line network. Features carry OSM tags as
+     * properties (highway, tracktype, access...) or a RouteBuilder terrain.
+     * Lines join where they share an identical vertex.
+     * @param {Object} geojson
+     */
+    function parseGeoJSONNetwork(geojson) {
+        const nodes = new Map();
+        const ways = [];
+        const keys = new Map();
+        let nextId = 1;
+        const assign = () => nextId++;
+
+        const features = geojson.type === 'FeatureCollection' ? geojson.features
+            : geojson.type === 'Feature' ? [geojson] : [];
+
+        for (const feature of features) {
+            const geom = feature && feature.geometry;
+            if (!geom) continue;
+            const props = { ...(feature.properties || {}) };
+            if (props.tags && typeof props.tags === 'object') Object.assign(props, props.tags);
+
+            const lines = geom.type === 'LineString' ? [geom.coordinates]
+                : geom.type === 'MultiLineString' ? geom.coordinates : [];
+            for (const line of lines) {
+                const refs = line.map(c => coordinateId(nodes, c[1], c[0], assign, keys));
+                ways.push({ refs, tags: stringifyTags(props) });
+            }
+        }
+        return { nodes, ways };
+    }
+
+    function stringifyTags(props) {
+        const tags = {};
+        for (const [k, v] of Object.entries(props)) {
+            if (v !== null && typeof v !== 'object') tags[k] = String(v);
+        }
+        return tags;
+    }
+
+    // ==================== PROTOBUF ====================
+
+    const { createPbf, readVarint, zigzag, skipField, readBytes, decodeString, readPackedVarints } = BinaryUtils;
+
+    /**
+     * Read packed delta-coded sint64 values (node ids, refs, coordinates)
+     */
+    function readPackedDeltas(pbf) {
+        const end = readVarint(pbf) + pbf.pos;
+        const values = [];
+        let last = 0;
+        while (pbf.pos < end) {
+            last += zigzag(readVarint(pbf));
+            values.push(last);
+        }
+        return values;
+    }
+
+    // ==================== OSM PBF ====================
+
+    /**
+     * Split an OSM PBF file into its fileblocks
+     * @returns {Array<{type: string, blob: Uint8Array}>}
+     */
+    function readFileBlocks(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const blocks = [];
+        let pos = 0;
+        while (pos + 4 <= bytes.length) {
+            const headerLen = view.getUint32(pos, false);
+            pos += 4;
+            const header = createPbf(bytes.subarray(pos, pos + headerLen));
+            let type = '';
+            let dataSize = 0;
+            while (header.pos < header.buf.length) {
+                const tag = readVarint(header);
+                const field = Math.floor(tag / 8);
+                if (field === 1 && (tag & 7) === 2) type = decodeString(readBytes(header));
+                else if (field === 3 && (tag & 7) === 0) dataSize = readVarint(header);
+                else skipField(header, tag & 7);
+            }
+            pos += headerLen;
+            if (pos + dataSize > bytes.length) throw new Error('Truncated OSM PBF file');
+            blocks.push({ type, blob: bytes.subarray(pos, pos + dataSize) });
+            pos += dataSize;
+        }
+        return blocks;
+    }
+
+    /**
+     * Unpack a fileblock's Blob message (raw or zlib)
+     */
+    async function readBlob(blob) {
+        const pbf = createPbf(blob);
+        while (pbf.pos < pbf.buf.length) {
+            const tag = readVarint(pbf);
+            const field = Math.floor(tag / 8);
+            if (field === PBF.BLOB_RAW && (tag & 7) === 2) return readBytes(pbf);
+            if (field === PBF.BLOB_ZLIB && (tag & 7) === 2) return BinaryUtils.inflate(readBytes(pbf), 'Compressed OSM PBF blocks');
+            if ((tag & 7) === 2 && field >= 4) throw new Error('OSM PBF uses an unsupported compression (only zlib is supported)');
+            skipField(pbf, tag & 7);
+        }
+        throw new Error('Empty OSM PBF blob');
+    }
+
+    /**
+     * Read a PrimitiveBlock's string table, coordinate encoding and the
+     * byte ranges of its primitive groups
+     */
+    function readPrimitiveBlock(bytes) {
+        const pbf = createPbf(bytes);
+        const block = { strings: [], groups: [], granularity: 100, latOffset: 0, lonOffset: 0 };
+        while (pbf.pos < pbf.buf.length) {
+            const tag = readVarint(pbf);
+            const field = Math.floor(tag / 8);
+            if (field === PBF.BLOCK_STRINGTABLE && (tag & 7) === 2) {
+                const table = createPbf(readBytes(pbf));
+                while (table.pos < table.buf.length) {
+                    const t = readVarint(table);
+                    if (Math.floor(t / 8) === 1 && (t & 7) === 2) block.strings.push(decodeString(readBytes(table)));
+                    else skipField(table, t & 7);
+                }
+            } else if (field === PBF.BLOCK_GROUP && (tag & 7) === 2) {
+                block.groups.push(readBytes(pbf));
+            } else if (field === PBF.BLOCK_GRANULARITY && (tag & 7) === 0) {
+                block.granularity = readVarint(pbf);
+            } else if (field === PBF.BLOCK_LAT_OFFSET && (tag & 7) === 0) {
+                block.latOffset = readVarint(pbf);
+            } else if (field === PBF.BLOCK_LON_OFFSET && (tag & 7) === 0) {
+                block.lonOffset = readVarint(pbf);
+            } else {
+                skipField(pbf, tag & 7);
+            }
+        }
+        return block;
+    }
+
+    function readWay(bytes, strings) {
+        const pbf = createPbf(bytes);
+        let keys = [];
+        let vals = [];
+        let refs = [];
+        while (pbf.pos < pbf.buf.length) {
+            const tag = readVarint(pbf);
+            const field = Math.floor(tag / 8);
+            if (field === 2 && (tag & 7) === 2) keys = readPackedVarints(pbf);
+            else if (field === 3 && (tag & 7) === 2) vals = readPackedVarints(pbf);
+            else if (field === 8 && (tag & 7) === 2) refs = readPackedDeltas(pbf);
+            else skipField(pbf, tag & 7);
+        }
+        const tags = {};
+        keys.forEach((k, i) => { tags[strings[k]] = strings[vals[i]]; });
+        return { refs, tags };
+    }
+
+    function readDenseNodes(bytes, block, wanted, nodes) {
+        const pbf = createPbf(bytes);
+        let ids = [];
+        let lats = [];
+        let lons = [];
+        while (pbf.pos < pbf.buf.length) {
+            const tag = readVarint(pbf);
+            const field = Math.floor(tag / 8);
+            if (field === 1 && (tag & 7) === 2) ids = readPackedDeltas(pbf);
+            else if (field === 8 && (tag & 7) === 2) lats = readPackedDeltas(pbf);
+            else if (field === 9 && (tag & 7) === 2) lons = readPackedDeltas(pbf);
+            else skipField(pbf, tag & 7);
+        }
+        for (let i = 0; i < ids.length; i++) {
+            if (!wanted.has(ids[i])) continue;
+            nodes.set(ids[i], [
+                1e-9 * (block.latOffset + block.granularity * lats[i]),
+                1e-9 * (block.lonOffset + block.granularity * lons[i])
+            ]);
+        }
+    }
+
+    function readNode(bytes, block, wanted, nodes) {
+        const pbf = createPbf(bytes);
+        let id = 0;
+        let lat = 0;
+        let lon = 0;
+        while (pbf.pos < pbf.buf.length) {
+            const tag = readVarint(pbf);
+            const field = Math.floor(tag / 8);
+            if (field === 1 && (tag & 7) === 0) id = zigzag(readVarint(pbf));
+            else if (field === 8 && (tag & 7) === 0) lat = zigzag(readVarint(pbf));
+            else if (field === 9 && (tag & 7) === 0) lon = zigzag(readVarint(pbf));
+            else skipField(pbf, tag & 7);
+        }
+        if (wanted.has(id)) {
+            nodes.set(id, [
+                1e-9 * (block.latOffset + block.granularity * lat),
+                1e-9 * (block.lonOffset + block.granularity * lon)
+            ]);
+        }
+    }
+
+    /**
+     * Collect the routable ways of one decompressed OSMData block
+     * @param {Uint8Array} blockBytes - PrimitiveBlock
+     * @param {Array} ways - Receives { refs, tags }
+     * @param {Set} wanted - Receives the node ids those ways reference
+     */
+    function collectWays(blockBytes, ways, wanted) {
+        const block = readPrimitiveBlock(blockBytes);
+        for (const groupBytes of block.groups) {
+            const group = createPbf(groupBytes);
+            while (group.pos < group.buf.length) {
+                const tag = readVarint(group);
+                if (Math.floor(tag / 8) === PBF.GROUP_WAY && (tag & 7) === 2) {
+                    const way = readWay(readBytes(group), block.strings);
+                    if (classifyWay(way.tags)) {
+                        ways.push(way);
+                        way.refs.forEach(ref => wanted.add(ref));
+                    }
+                } else {
+                    skipField(group, tag & 7);
+                }
+            }
+        }
+    }
+
+    /**
+     * Collect coordinates of wanted nodes (dense or plain) from one OSMData block
+     * @param {Uint8Array} blockBytes - PrimitiveBlock
+     * @param {Set} wanted - Node ids to keep
+     * @param {Map} nodes - Receives id -> [lat, lon]
+     */
+    function collectNodes(blockBytes, wanted, nodes) {
+        const block = readPrimitiveBlock(blockBytes);
+        for (const groupBytes of block.groups) {
+            const group = createPbf(groupBytes);
+            while (group.pos < group.buf.length) {
+                const tag = readVarint(group);
+                const field = Math.floor(tag / 8);
+                if (field === PBF.GROUP_DENSE && (tag & 7) === 2) {
+                    readDenseNodes(readBytes(group), block, wanted, nodes);
+                } else if (field === PBF.GROUP_NODE && (tag & 7) === 2) {
+                    readNode(readBytes(group), block, wanted, nodes);
+                } else {
+                    skipField(group, tag & 7);
+                }
+            }
+        }
+    }
+
+    /**
+     * Parse an OSM PBF extract. Two passes over the blocks: the first keeps
+     * routable ways, the second only the nodes those ways reference, so
+     * memory scales with the road network rather than the whole extract.
+     * @param {ArrayBuffer|Uint8Array} buffer
+     * @param {Function} onProgress - Optional (fraction) callback
+     */
+    async function parseOSMPBF(buffer, onProgress) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const blocks = readFileBlocks(bytes).filter(b => b.type === 'OSMData');
+        if (blocks.length === 0) throw new Error('No OSM data found in PBF file');
+
+        const ways = [];
+        const wanted = new Set();
+        for (let i = 0; i < blocks.length; i++) {
+            collectWays(await readBlob(blocks[i].blob), ways, wanted);
+            if (onProgress) onProgress((i + 1) / (blocks.length * 2));
+        }
+        if (wanted.size > MAX_GRAPH_NODES) {
+            throw new Error(`Network too large for this device (${wanted.size.toLocaleString()} nodes); use a smaller extract`);
+        }
+
+        const nodes = new Map();
+        for (let i = 0; i < blocks.length; i++) {
+            collectNodes(await readBlob(blocks[i].blob), wanted, nodes);
+            if (onProgress) onProgress((blocks.length + i + 1) / (blocks.length * 2));
+        }
+        return { nodes, ways };
+    }
+
+    // ==================== GRAPH ====================
+
+    /**
+     * Build a compact routing graph from parsed ways
+     * @param {{nodes: Map, ways: Array}} osm - Parser output
+     * @param {Object} options - name, format
+     * @returns {Object} Graph record (typed arrays, storable in IndexedDB)
+     */
+    function buildGraph(osm, options = {}) {
+        const index = new Map();            // OSM node id -> compact index
+        const lat = [];
+        const lon = [];
+        const edgeA = [];
+        const edgeB = [];
+        const edgeLen = [];
+        const edgeTerrain = [];
+        const edgeFlags = [];
+        const terrainLengths = { highway: 0, road: 0, trail: 0, crawl: 0 };
+
+        const nodeIndex = (id) => {
+            let i = index.get(id);
+            if (i === undefined) {
+                const coords = osm.nodes.get(id);
+                if (!coords) return -1;
+                i = lat.length;
+                index.set(id, i);
+                lat.push(coords[0]);
+                lon.push(coords[1]);
+            }
+            return i;
+        };
+
+        for (const way of osm.ways) {
+            const cls = classifyWay(way.tags) || classifyTerrainFeature(way.tags);
+            if (!cls) continue;
+
+            const refs = cls.oneway === -1 ? [...way.refs].reverse() : way.refs;
+            const flags = cls.access | (cls.oneway ? ONEWAY : 0);
+            const terrainIdx = TERRAINS.indexOf(cls.terrain);
+
+            let prev = -1;
+            for (const ref of refs) {
+                const cur = nodeIndex(ref);
+                if (cur < 0) { prev = -1; continue; }
+                if (prev >= 0 && prev !== cur) {
+                    const len = haversineMeters(lat[prev], lon[prev], lat[cur], lon[cur]);
+                    edgeA.push(prev);
+                    edgeB.push(cur);
+                    edgeLen.push(len);
+                    edgeTerrain.push(terrainIdx);
+                    edgeFlags.push(flags);
+                    terrainLengths[cls.terrain] += len;
+                }
+                prev = cur;
+            }
+        }
+
+        if (edgeA.length === 0) throw new Error('No routable roads or trails found');
+        if (lat.length > MAX_GRAPH_NODES) {
+            throw new Error(`Network too large for this device (${lat.length.toLocaleString()} nodes); use a smaller extract`);
+        }
+
+        const bounds = { north: -90, south: 90, east: -180, west: 180 };
+        for (let i = 0; i < lat.length; i++) {
+            if (lat[i] > bounds.north) bounds.north = lat[i];
+            if (lat[i] < bounds.south) bounds.south = lat[i];
+            if (lon[i] > bounds.east) bounds.east = lon[i];
+            if (lon[i] < bounds.west) bounds.west = lon[i];
+        }
+
+        return {
+            id: options.id || generateId(),
+            name: options.name || 'Road network',
+            format: options.format || 'osm',
+            importedAt: Date.now(),
+            bounds,
+            nodeCount: lat.length,
+            edgeCount: edgeA.length,
+            terrainLengths,
+            lat: Float64Array.from(lat),
+            lon: Float64Array.from(lon),
+            edgeA: Uint32Array.from(edgeA),
+            edgeB: Uint32Array.from(edgeB),
+            edgeLen: Float32Array.from(edgeLen),
+            edgeTerrain: Uint8Array.from(edgeTerrain),
+            edgeFlags: Uint8Array.from(edgeFlags)
+        };
+    }
+
+    /**
+     * Add adjacency lists and a spatial index to a graph record
+     * @param {Object} record - From buildGraph or IndexedDB
+     * @returns {Object} Graph ready for snapping and routing
+     */
+    function prepareGraph(record) {
+        const n = record.nodeCount;
+        const e = record.edgeCount;
+
+        // Adjacency in CSR form, both directions; oneway is checked per profile
+        const offsets = new Uint32Array(n + 1);
+        for (let i = 0; i < e; i++) {
+            offsets[record.edgeA[i] + 1]++;
+            offsets[record.edgeB[i] + 1]++;
+        }
+        for (let i = 0; i < n; i++) offsets[i + 1] += offsets[i];
+        const adjacency = new Uint32Array(e * 2);
+        const fill = offsets.slice(0, n);
+        for (let i = 0; i < e; i++) {
+            adjacency[fill[record.edgeA[i]]++] = i;
+            adjacency[fill[record.edgeB[i]]++] = i;
+        }
+
+        // Per-node union of access bits, for snapping
+        const nodeAccess = new Uint8Array(n);
+        for (let i = 0; i < e; i++) {
+            const access = record.edgeFlags[i] & ALL_ACCESS;
+            nodeAccess[record.edgeA[i]] |= access;
+            nodeAccess[record.edgeB[i]] |= access;
+        }
+
+        const cells = new Map();
+        for (let i = 0; i < n; i++) {
+            const key = cellKey(Math.floor(record.lat[i] / INDEX_CELL_DEG), Math.floor(record.lon[i] / INDEX_CELL_DEG));
+            let list = cells.get(key);
+            if (!list) cells.set(key, list = []);
+            list.push(i);
+        }
+
+        return { ...record, offsets, adjacency, nodeAccess, cells };
+    }
+
+    function cellKey(row, col) {
+        return `${row}:${col}`;
+    }
+
+    /**
+     * Find the nearest node a profile can use
+     * @returns {{node: number, lat: number, lon: number, distance: number}|null}
+     */
+    function snap(graph, lat, lon, profileId = settings.profile, maxDistance = DEFAULT_SNAP_DISTANCE_M) {
+        const profile = PROFILES[profileId];
+        if (!graph || !profile) return null;
+
+        const row = Math.floor(lat / INDEX_CELL_DEG);
+        const col = Math.floor(lon / INDEX_CELL_DEG);
+        const cellMeters = INDEX_CELL_DEG * 111320 * Math.max(0.1, Math.cos(lat * Math.PI / 180));
+        const maxRing = Math.ceil(maxDistance / cellMeters) + 1;
+
+        let best = -1;
+        let bestDist = Infinity;
+        for (let ring = 0; ring <= maxRing; ring++) {
+            for (let r = row - ring; r <= row + ring; r++) {
+                for (let c = col - ring; c <= col + ring; c++) {
+                    if (Math.max(Math.abs(r - row), Math.abs(c - col)) !== ring) continue;
+                    const list = graph.cells.get(cellKey(r, c));
+                    if (!list) continue;
+                    for (const i of list) {
+                        if (!(graph.nodeAccess[i] & profile.access)) continue;
+                        const d = haversineMeters(lat, lon, graph.lat[i], graph.lon[i]);
+                        if (d < bestDist) {
+                            bestDist = d;
+                            best = i;
+                        }
+                    }
+                }
+            }
+            // Anything in a further ring is at least `ring` cells away
+            if (best >= 0 && bestDist <= ring * cellMeters) break;
+        }
+
+        if (best < 0 || bestDist > maxDistance) return null;
+        return { node: best, lat: graph.lat[best], lon: graph.lon[best], distance: bestDist };
+    }
+
+    /**
+     * Speeds in mph per terrain for a profile, from LogisticsModule when loaded
+     */
+    function getProfileSpeeds(profileId) {
+        const profile = PROFILES[profileId];
+        if (!profile) throw new Error(`Unknown routing profile: ${profileId}`);
+        if (profile.vehicle && typeof LogisticsModule !== 'undefined' &&
+            LogisticsModule.VEHICLE_PROFILES && LogisticsModule.VEHICLE_PROFILES[profile.vehicle]) {
+            return { ...profile.speed, ...LogisticsModule.VEHICLE_PROFILES[profile.vehicle].speed };
+        }
+        return { ...profile.speed };
+    }
+
+    /**
+     * A* shortest-time path between two graph nodes
+     * @returns {{nodes: number[], edges: number[], distance: number, time: number}|null}
+     */
+    function shortestPath(graph, start, goal, profileId) {
+        const profile = PROFILES[profileId];
+        const speeds = getProfileSpeeds(profileId);
+        const mps = TERRAINS.map(t => speeds[t] * MPH_TO_MPS);
+        const maxMps = Math.max(...mps);
+
+        const n = graph.nodeCount;
+        const g = new Float64Array(n).fill(Infinity);
+        const prevEdge = new Int32Array(n).fill(-1);
+        const closed = new Uint8Array(n);
+        const heap = createHeap();
+
+        const goalLat = graph.lat[goal];
+        const goalLon = graph.lon[goal];
+        const h = (i) => haversineMeters(graph.lat[i], graph.lon[i], goalLat, goalLon) / maxMps;
+
+        g[start] = 0;
+        heap.push(start, h(start));
+
+        while (heap.size() > 0) {
+            const node = heap.pop();
+            if (closed[node]) continue;
+            if (node === goal) break;
+            closed[node] = 1;
+
+            for (let k = graph.offsets[node]; k < graph.offsets[node + 1]; k++) {
+                const edge = graph.adjacency[k];
+                const flags = graph.edgeFlags[edge];
+                if (!(flags & profile.access)) continue;
+
+                const forward = graph.edgeA[edge] === node;
+                if (!forward && profile.oneway && (flags & ONEWAY)) continue;
+                const next = forward ? graph.edgeB[edge] : graph.edgeA[edge];
+                if (closed[next]) continue;
+
+                const cost = g[node] + graph.edgeLen[edge] / mps[graph.edgeTerrain[edge]];
+                if (cost < g[next]) {
+                    g[next] = cost;
+                    prevEdge[next] = edge;
+                    heap.push(next, cost + h(next));
+                }
+            }
+        }
+
+        if (g[goal] === Infinity) return null;
+
+        const nodes = [goal];
+        const edges = [];
+        let distance = 0;
+        let cur = goal;
+        while (cur !== start) {
+            const edge = prevEdge[cur];
+            edges.push(edge);
+            distance += graph.edgeLen[edge];
+            cur = graph.edgeA[edge] === cur ? graph.edgeB[edge] : graph.edgeA[edge];
+            nodes.push(cur);
+        }
+        nodes.reverse();
+        edges.reverse();
+        return { nodes, edges, distance, time: g[goal] };
+    }
+
+    /**
+     * Binary min-heap of node indices keyed by priority
+     */
+    function createHeap() {
+        const items = [];
+        const keys = [];
+
+        function push(item, key) {
+            let i = items.length;
+            items.push(item);
+            keys.push(key);
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (keys[parent] <= key) break;
+                items[i] = items[parent];
+                keys[i] = keys[parent];
+                i = parent;
+            }
+            items[i] = item;
+            keys[i] = key;
+        }
+
+        function pop() {
+            const top = items[0];
+            const lastItem = items.pop();
+            const lastKey = keys.pop();
+            if (items.length > 0) {
+                let i = 0;
+                const len = items.length;
+                while (true) {
+                    let child = 2 * i + 1;
+                    if (child >= len) break;
+                    if (child + 1 < len && keys[child + 1] < keys[child]) child++;
+                    if (keys[child] >= lastKey) break;
+                    items[i] = items[child];
+                    keys[i] = keys[child];
+                    i = child;
+                }
+                items[i] = lastItem;
+                keys[i] = lastKey;
+            }
+            return top;
+        }
+
+        return { push, pop, size: () => items.length };
+    }
+
+    /**
+     * Route between two coordinates on a graph
+     * @param {Object} graph - From prepareGraph
+     * @param {{lat, lon}} from
+     * @param {{lat, lon}} to
+     * @param {string} profileId - foot, atv or truck_4x4
+     * @param {Object} options - maxSnapDistance (m)
+     * @returns {Object|null} { points: [{lat, lon, terrain}], distance (m), time (s),
+     *          terrainDistance, snappedFrom, snappedTo } where each point's terrain
+     *          is that of the edge leading to it; null if either end is off the
+     *          network or the ends are not connected for this profile
+     */
+    function findRoute(graph, from, to, profileId = settings.profile, options = {}) {
+        if (!PROFILES[profileId]) throw new Error(`Unknown routing profile: ${profileId}`);
+        const maxSnap = options.maxSnapDistance || DEFAULT_SNAP_DISTANCE_M;
+
+        const start = snap(graph, from.lat, from.lon, profileId, maxSnap);
+        const end = snap(graph, to.lat, to.lon, profileId, maxSnap);
+        if (!start || !end) return null;
+
+        const path = shortestPath(graph, start.node, end.node, profileId);
+        if (!path) return null;
+
+        const terrainDistance = { highway: 0, road: 0, trail: 0, crawl: 0 };
+        const points = path.nodes.map((node, i) => {
+            const terrain = i === 0 ? null : TERRAINS[graph.edgeTerrain[path.edges[i - 1]]];
+            if (terrain) terrainDistance[terrain] += graph.edgeLen[path.edges[i - 1]];
+            return { lat: graph.lat[node], lon: graph.lon[node], terrain };
+        });
+
+        return {
+            profile: profileId,
+            points,
+            distance: path.distance,
+            time: path.time,
+            terrainDistance,
+            snappedFrom: start,
+            snappedTo: end
+        };
+    }
+
+    // ==================== ACTIVE NETWORK ====================
+
+    /**
+     * Route on the active network
+     * @see findRoute
+     */
+    function route(from, to, profileId = settings.profile, options = {}) {
+        if (!activeGraph) return null;
+        return findRoute(activeGraph, from, to, profileId, options);
+    }
+
+    /**
+     * Snap a coordinate to the active network
+     */
+    function snapToNetwork(lat, lon, profileId = settings.profile, maxDistance = DEFAULT_SNAP_DISTANCE_M) {
+        return snap(activeGraph, lat, lon, profileId, maxDistance);
+    }
+
+    function hasNetwork() {
+        return activeGraph !== null;
+    }
+
+    /**
+     * Use a graph record in memory without storing it
+     */
+    function loadGraph(record) {
+        activeGraph = record ? prepareGraph(record) : null;
+        return activeGraph ? summarize(activeGraph) : null;
+    }
+
+    async function activateGraph(id) {
+        const record = id ? await getGraphRecord(id) : null;
+        if (id && !record) throw new Error('Road network not found');
+        loadGraph(record || null);
+        settings.activeGraphId = record ? id : null;
+        await saveSettings();
+        emitChange();
+        return getActiveNetwork();
+    }
+
+    function getActiveNetwork() {
+        return activeGraph ? summarize(activeGraph) : null;
+    }
+
+    function getNetworks() {
+        return graphs.map(g => ({ ...g, active: g.id === settings.activeGraphId }));
+    }
+
+    async function removeNetwork(id) {
+        await deleteGraphRecord(id);
+        graphs = graphs.filter(g => g.id !== id);
+        if (settings.activeGraphId === id) {
+            activeGraph = null;
+            settings.activeGraphId = null;
+            if (graphs.length > 0) {
+                await activateGraph(graphs[0].id);
+                return;
+            }
+            await saveSettings();
+        }
+        emitChange();
+    }
+
+    async function renameNetwork(id, name) {
+        const record = await getGraphRecord(id);
+        if (!record) return;
+        record.name = name;
+        await putGraphRecord(record);
+        graphs = graphs.map(g => g.id === id ? { ...g, name } : g);
+        if (activeGraph && activeGraph.id === id) activeGraph.name = name;
+        emitChange();
+    }
+
+    function getProfile() {
+        return settings.profile;
+    }
+
+    async function setProfile(profileId) {
+        if (!PROFILES[profileId]) throw new Error(`Unknown routing profile: ${profileId}`);
+        settings.profile = profileId;
+        await saveSettings();
+        emitChange();
+    }
+
+    function summarize(record) {
+        return {
+            id: record.id,
+            name: record.name,
+            format: record.format,
+            importedAt: record.importedAt,
+            bounds: record.bounds,
+            nodeCount: record.nodeCount,
+            edgeCount: record.edgeCount,
+            terrainLengths: record.terrainLengths
+        };
+    }
+
+    // ==================== IMPORT ====================
+
+    /**
+     * Parse file contents into ways and nodes, detecting the format
+     * @param {ArrayBuffer} buffer
+     * @param {string} fileName
+     * @returns {Promise<{osm: Object, format: string}>}
+     */
+    async function parseNetwork(buffer, fileName = '', onProgress) {
+        const lower = fileName.toLowerCase();
+        const bytes = new Uint8Array(buffer);
+
+        if (lower.endsWith('.pbf') || looksLikePBF(bytes)) {
+            return { osm: await parseOSMPBF(bytes, onProgress), format: 'pbf' };
+        }
+
+        const text = decodeString(bytes).trim();
+        if (text.startsWith('<')) {
+            return { osm: parseOSMXML(text), format: 'osm' };
+        }
+
+        let json;
+        try {
+            json = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Unrecognized network file (expected .osm.pbf, .osm, Overpass JSON or GeoJSON)');
+        }
+        if (Array.isArray(json.elements)) {
+            return { osm: parseOverpassJSON(json), format: 'overpass' };
+        }
+        if (json.type === 'FeatureCollection' || json.type === 'Feature') {
+            return { osm: parseGeoJSONNetwork(json), format: 'geojson' };
+        }
+        throw new Error('Unrecognized network file (expected .osm.pbf, .osm, Overpass JSON or GeoJSON)');
+    }
+
+    /**
+     * OSM PBF files start with a 4-byte header length and an "OSMHeader" BlobHeader
+     */
+    function looksLikePBF(bytes) {
+        if (bytes.length < 16) return false;
+        const probe = decodeString(bytes.subarray(4, 20));
+        return probe.includes('OSMHeader') || probe.includes('OSMData');
+    }
+
+    /**
+     * Import a road/trail network file and make it the active network
+     * @param {File} file
+     * @param {Function} onProgress - Optional (fraction) callback
+     * @returns {Promise<Object>} Network summary
+     */
+    async function importFile(file, onProgress) {
+        const buffer = await file.arrayBuffer();
+        const { osm, format } = await parseNetwork(buffer, file.name, onProgress);
+        const name = file.name.replace(/\.(osm\.pbf|pbf|osm|geojson|json)$/i, '') || 'Road network';
+        const record = buildGraph(osm, { name, format });
+
+        await putGraphRecord(record);
+        graphs = [...graphs.filter(g => g.id !== record.id), summarize(record)];
+        await activateGraph(record.id);
+        return summarize(record);
+    }
+
+    // ==================== HELPERS ====================
+
+    function haversineMeters(lat1, lon1, lat2, lon2) {
+        const dLat = (lat2 - lat1) * Math.PI / 180;
+        const dLon = (lon2 - lon1) * Math.PI / 180;
+        const a = Math.sin(dLat / 2) ** 2 +
+                  Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+                  Math.sin(dLon / 2) ** 2;
+        return EARTH_RADIUS_M * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    function generateId() {
+        if (typeof Helpers !== 'undefined' && Helpers.generateId) return Helpers.generateId();
+        return 'net-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    }
+
+    // ==================== PUBLIC API ====================
+
+    return {
+        init,
+        // Networks
+        importFile,
+        getNetworks,
+        getActiveNetwork,
+        activateGraph,
+        removeNetwork,
+        renameNetwork,
+        hasNetwork,
+        // Routing
+        route,
+        snapToNetwork,
+        getProfile,
+        setProfile,
+        getProfileSpeeds,
+        // Parsing and graph (exposed for testing)
+        classifyWay,
+        parseNetwork,
+        parseOverpassJSON,
+        parseGeoJSONNetwork,
+        parseOSMPBF,
+        readFileBlocks,
+        collectWays,
+        collectNodes,
+        buildGraph,
+        prepareGraph,
+        loadGraph,
+        findRoute,
+        snap,
+        // Constants
+        PROFILES,
+        TERRAINS,
+        DEFAULT_SNAP_DISTANCE_M
+    };
+})();
+
+window.OfflineRoutingModule = OfflineRoutingModule;
@@ -55,6 +55,49 @@ const PanelsModule = (function() {
     
     // Track visual feedback timeouts to prevent stacking on rapid clicks
     let feedbackTimeouts = {};
+    
+    // SAR search pattern form (kept across Routes panel re-renders); distances in meters
+    let sarPatternForm = {
+        type: 'expanding_square',
+        datum: 'center',
+        trackSpacing: 50,
+        legLength: 500,
+        orientation: 0,
+        trackCount: '',
+        open: false
+    };
+    
+    // Lost-person search plan form (kept across re-renders)
+    let searchPlanForm = {
+        category: 'hiker',
+        ipp: 'center',
+        areaId: '',
+        cellSize: 500,
+        sourceId: '',
+        sweepWidth: null,
+        preview: null,
+        ringsOpen: false
+    };
+    
+    // Track selected in the Tracks panel
+    let selectedTrackId = null;
+    
+    // APRS station whose weather/telemetry detail is open
+    let selectedAPRSStation = null;
+    
+    // APRS messaging composer state, kept across re-renders from incoming packets
+    let aprsMessageForm = { draft: '', newTo: '', bulletinLine: '0', bulletinGroup: '' };
+    
+    // Open state of the APRS relay rules and packet log, which re-render on every packet
+    let aprsRelayPanel = { rulesOpen: false, logOpen: false };
+    let takSyncPanel = { open: false };
+    let meshRangeTestPanel = { open: false };
+    
+    // Offline road network section in the Routes panel
+    let offlineRoutingForm = {
+        open: false,
+        importing: null     // progress text while an import runs
+    };
 
     function init() {
         // Prevent double initialization
@@ -85,7 +128,7 @@ const PanelsModule = (function() {
         setupEventDelegation();
         
         render();
-        State.subscribe(render, ['activePanel', 'waypoints', 'routes', 'mapLayers', 'selectedWaypoint', 'selectedVehicle', 'waypointFilter', 'mapRegions', 'teamMembers']);
+        State.subscribe(render, ['activePanel', 'waypoints', 'routes', 'areas', 'selectedArea', 'mapLayers', 'selectedWaypoint', 'selectedVehicle', 'waypointFilter', 'mapRegions', 'teamMembers']);
         State.subscribe(updatePanelVisibility, ['isPanelOpen']);
         const offlineBtn = domCache.get('offline-toggle');
         if (offlineBtn) offlineBtn.onclick = () => { State.UI.toggleOffline(); updateOfflineToggle(); };
@@ -97,14 +140,62 @@ const PanelsModule = (function() {
         // Subscribe to undo state changes to update UI
         if (typeof UndoModule !== 'undefined') {
             Events.on('undo:stateChange', () => {
-                // Re-render if on waypoints or routes panel to update undo buttons
+                // Re-render if on waypoints, routes or areas panel to update undo buttons
                 const panel = State.get('activePanel');
-                if (panel === 'waypoints' || panel === 'routes') {
+                if (panel === 'waypoints' || panel === 'routes' || panel === 'areas') {
                     updateUndoToolbar();
                 }
             });
         }
         
+        // Area drawing/shape-editing state lives in AreasModule, not State
+        Events.on('areas:changed', () => {
+            if (State.get('activePanel') === 'areas') renderAreas();
+        });
+        Events.on('searchplan:changed', () => {
+            if (State.get('activePanel') === 'searchplan') renderSearchPlan();
+        });
+        Events.on('tracks:changed', () => {
+            if (State.get('activePanel') === 'tracks') renderTracks();
+        });
+        Events.on('tracks:replay', (replay) => {
+            if (State.get('activePanel') === 'tracks') updateTrackReplayControls(replay);
+        });
+        Events.on('routing:changed', () => {
+            if (State.get('activePanel') === 'routes') renderRoutes();
+        });
+        // Transfer progress updates in place so typing in the Team panel isn't interrupted
+        Events.on('meshtastic:transfer', () => {
+            if (State.get('activePanel') === 'team') updateMeshTransfers();
+        });
+        Events.on('meshtastic:range_test', () => {
+            if (State.get('activePanel') === 'team') updateMeshRangeTest();
+        });
+        Events.on('geofence:changed', () => {
+            if (State.get('activePanel') === 'areas') updateGeofenceSection();
+        });
+        Events.on('geofence:event', () => {
+            if (State.get('activePanel') === 'areas') updateGeofenceSection();
+        });
+        Events.on('meshtastic:topology', () => {
+            if (State.get('activePanel') === 'team') updateMeshHealth();
+        });
+        Events.on('meshtastic:store_forward', () => {
+            if (State.get('activePanel') === 'team') updateMeshHealth();
+        });
+        Events.on('team:audit', () => {
+            if (State.get('activePanel') === 'team') updateTeamSecurity();
+        });
+        Events.on('team:keys_rotated', () => {
+            if (State.get('activePanel') === 'team') updateTeamSecurity();
+        });
+        Events.on('checkin:changed', () => {
+            if (State.get('activePanel') === 'team') updateCheckInProtocol();
+        });
+        Events.on('commplan:checkins_changed', () => {
+            if (State.get('activePanel') === 'team') updateCheckInProtocol();
+        });
+        
         initialized = true;
     }
     
@@ -578,6 +669,8 @@ const PanelsModule = (function() {
             case 'sos': renderSOS(); break;
             case 'waypoints': renderWaypoints(); break;
             case 'routes': renderRoutes(); break;
+            case 'areas': renderAreas(); break;
+            case 'searchplan': renderSearchPlan(); break;
             case 'logistics': renderLogistics(); break;
             case 'offline': renderOffline(); break;
             case 'team': renderTeam(); break;
@@ -585,6 +678,7 @@ const PanelsModule = (function() {
             case 'sarsat': renderSarsat(); break;
             case 'settings': renderSettings(); break;
             case 'gps': renderGPS(); break;
+            case 'tracks': renderTracks(); break;
             case 'weather': renderWeather(); break;
             case 'contingency': renderContingency(); break;
             case 'sunmoon': renderSunMoon(); break;
@@ -691,6 +785,22 @@ const PanelsModule = (function() {
                     { key: 'usgs_hydro', name: 'Hydrography', desc: 'Rivers, streams, lakes (US)', icon: 'water' }
                 ]
             },
+            vector: {
+                name: 'Vector Basemap (MVT / PMTiles)',
+                icon: '🧭',
+                collapsed: true,
+                baseLayers: [
+                    { key: 'vector', name: 'Vector Map', desc: 'Rendered on device from a loaded source', icon: 'map' }
+                ]
+            },
+            imported: {
+                name: 'Imported Maps (MBTiles)',
+                icon: '💾',
+                collapsed: true,
+                baseLayers: [
+                    { key: 'mbtiles', name: 'Imported Maps', desc: 'Sideloaded .mbtiles packs (Offline panel)', icon: 'map' }
+                ]
+            },
             blm: {
                 name: 'BLM (Bureau of Land Mgmt)',
                 icon: '🏜️',
@@ -706,7 +816,7 @@ const PanelsModule = (function() {
                 collapsed: false,
                 baseLayers: [],
                 overlays: [
-                    { key: 'grid', name: 'Grid', desc: 'Reference grid overlay', icon: 'layers' }
+                    { key: 'grid', name: 'MGRS / UTM Grid', desc: 'Grid lines, 100 km squares & graticule', icon: 'layers' }
                 ]
             }
         };
@@ -781,6 +891,33 @@ const PanelsModule = (function() {
                 `;
             }).join('')}
             
+            ${activeOverlays.includes('grid') && typeof MGRSGridModule !== 'undefined' ? (() => {
+                const gridSettings = MGRSGridModule.getSettings();
+                return `
+                    <div class="divider"></div>
+                    <div class="section-label">Grid Options</div>
+                    <div style="padding:12px;background:rgba(255,255,255,0.03);border-radius:10px;font-size:12px;display:flex;flex-direction:column;gap:8px">
+                        <label class="checkbox-field">
+                            <input type="checkbox" data-grid-setting="mgrs" ${gridSettings.mgrs ? 'checked' : ''} style="width:auto">
+                            <span>MGRS / UTM grid lines</span>
+                        </label>
+                        <label class="checkbox-field">
+                            <input type="checkbox" data-grid-setting="graticule" ${gridSettings.graticule ? 'checked' : ''} style="width:auto">
+                            <span>Lat/lon graticule</span>
+                        </label>
+                        <label class="checkbox-field">
+                            <input type="checkbox" data-grid-setting="labels" ${gridSettings.labels ? 'checked' : ''} style="width:auto">
+                            <span>Square IDs &amp; line labels</span>
+                        </label>
+                        <div style="color:rgba(255,255,255,0.4);font-size:11px">
+                            Line interval follows zoom: 100 km → 10 km → 1 km → 100 m
+                        </div>
+                    </div>
+                `;
+            })() : ''}
+            
+            ${typeof VectorTileModule !== 'undefined' ? renderVectorSourcesSection() : ''}
+            
             <!-- Active Layers Summary -->
             <div class="divider"></div>
             <div class="section-label">Active Layers</div>
@@ -828,7 +965,9 @@ const PanelsModule = (function() {
                 hillshade: 'Hillshade',
                 labels: 'Labels',
                 transportation: 'Roads',
-                grid: 'Grid'
+                grid: 'MGRS Grid',
+                vector: 'Vector Map',
+                mbtiles: 'Imported Maps'
             };
             return names[key] || key;
         }
@@ -903,6 +1042,15 @@ const PanelsModule = (function() {
             };
         });
         
+        // Grid overlay options
+        container.querySelectorAll('[data-grid-setting]').forEach(input => {
+            input.onchange = () => {
+                MGRSGridModule.setSetting(input.dataset.gridSetting, input.checked);
+            };
+        });
+        
+        if (typeof VectorTileModule !== 'undefined') attachVectorSourceHandlers(layers);
+        
         // Reset button
         container.querySelector('#reset-layers').onclick = () => {
             const defaultLayers = {
@@ -921,6 +1069,132 @@ const PanelsModule = (function() {
         };
     }
 
+    /**
+     * Vector basemap sources: list, select, delete, load file / URL, style toggles
+     */
+    function renderVectorSourcesSection() {
+        const sources = VectorTileModule.getSources();
+        const active = VectorTileModule.getActiveSource();
+        const vs = VectorTileModule.getSettings();
+        
+        return `
+            <div class="divider"></div>
+            <div class="section-label">Vector Sources</div>
+            ${sources.length === 0 ? `
+                <div style="padding:12px;background:rgba(255,255,255,0.03);border-radius:10px;font-size:12px;color:rgba(255,255,255,0.5)">
+                    Load a .pmtiles archive to use a whole-region basemap offline, or add an MVT tile URL.
+                </div>
+            ` : sources.map(src => `
+                <div class="list-item" style="display:flex;align-items:center;gap:8px;padding:10px;margin-bottom:6px;cursor:pointer;
+                     ${active && active.id === src.id ? 'border:1px solid #f97316' : ''}" data-vector-source="${src.id}">
+                    <div style="flex:1;min-width:0">
+                        <div style="font-size:13px;font-weight:500;overflow:hidden;text-overflow:ellipsis;white-space:nowrap">${escapeHtml(src.name)}</div>
+                        <div style="font-size:11px;color:rgba(255,255,255,0.5)">
+                            ${src.type === 'pmtiles' ? (src.local ? 'PMTiles file' : 'PMTiles URL') : src.type === 'mbtiles' ? 'MBTiles pack' : 'XYZ tiles'}
+                            · ${src.tileType.toUpperCase()} · z${src.minZoom}–${src.maxZoom}
+                            ${src.size ? ` · ${(src.size / 1048576).toFixed(1)} MB` : ''}
+                        </div>
+                    </div>
+                    ${active && active.id === src.id ? `<span style="color:#f97316">${Icons.get('check')}</span>` : ''}
+                    <button class="btn btn--secondary" data-vector-delete="${src.id}" title="Remove source" style="padding:6px">${Icons.get('trash')}</button>
+                </div>
+            `).join('')}
+            <div style="display:flex;gap:8px;margin-top:8px">
+                <button class="btn btn--secondary" id="vector-load-file" style="flex:1;font-size:12px">
+                    ${Icons.get('upload')} Load PMTiles
+                </button>
+                <button class="btn btn--secondary" id="vector-add-url" style="flex:1;font-size:12px">
+                    Add URL
+                </button>
+            </div>
+            <input type="file" id="vector-file-input" accept=".pmtiles" style="display:none">
+            <div style="padding:12px;margin-top:8px;background:rgba(255,255,255,0.03);border-radius:10px;font-size:12px;display:flex;flex-direction:column;gap:8px">
+                <label class="checkbox-field">
+                    <input type="checkbox" data-vector-setting="labels" ${vs.labels ? 'checked' : ''} style="width:auto">
+                    <span>Place, road &amp; contour labels</span>
+                </label>
+                <label class="checkbox-field">
+                    <input type="checkbox" data-vector-setting="contours" ${vs.contours ? 'checked' : ''} style="width:auto">
+                    <span>Contour lines</span>
+                </label>
+                <label class="checkbox-field">
+                    <input type="checkbox" data-vector-setting="buildings" ${vs.buildings ? 'checked' : ''} style="width:auto">
+                    <span>Buildings</span>
+                </label>
+            </div>
+        `;
+    }
+    
+    function attachVectorSourceHandlers(layers) {
+        const useVectorBase = () => {
+            if (layers.baseLayer === 'vector') return;
+            State.set('mapLayers', { ...layers, baseLayer: 'vector', terrain: false, satellite: false });
+            MapModule.setBaseLayer('vector');
+            MapModule.saveLayerPreferences();
+        };
+        
+        container.querySelectorAll('[data-vector-source]').forEach(row => {
+            row.onclick = async () => {
+                await VectorTileModule.setActiveSource(row.dataset.vectorSource);
+                useVectorBase();
+                renderMapLayers();
+            };
+        });
+        
+        container.querySelectorAll('[data-vector-delete]').forEach(btn => {
+            btn.onclick = async (e) => {
+                e.stopPropagation();
+                const src = VectorTileModule.getSources().find(s => s.id === btn.dataset.vectorDelete);
+                if (!src || !confirm(`Remove vector source "${src.name}"?`)) return;
+                await VectorTileModule.removeSource(src.id);
+                if (!VectorTileModule.hasSource() && layers.baseLayer === 'vector') {
+                    State.set('mapLayers', { ...layers, baseLayer: 'standard' });
+                    MapModule.setBaseLayer('standard');
+                    MapModule.saveLayerPreferences();
+                }
+                renderMapLayers();
+                ModalsModule.showToast('Vector source removed', 'success');
+            };
+        });
+        
+        const fileInput = container.querySelector('#vector-file-input');
+        container.querySelector('#vector-load-file').onclick = () => fileInput.click();
+        fileInput.onchange = async () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            try {
+                ModalsModule.showToast(`Opening ${file.name}...`, 'info');
+                const src = await VectorTileModule.addArchiveFile(file);
+                await VectorTileModule.setActiveSource(src.id);
+                useVectorBase();
+                ModalsModule.showToast(`Loaded ${src.name} (z${src.minZoom}–${src.maxZoom})`, 'success');
+            } catch (err) {
+                ModalsModule.showToast('Could not load archive: ' + err.message, 'error');
+            }
+            renderMapLayers();
+        };
+        
+        container.querySelector('#vector-add-url').onclick = async () => {
+            const url = prompt('PMTiles URL or MVT template (https://.../{z}/{x}/{y}.pbf):');
+            if (!url) return;
+            try {
+                const src = await VectorTileModule.addRemoteSource(url);
+                await VectorTileModule.setActiveSource(src.id);
+                useVectorBase();
+                ModalsModule.showToast(`Added ${src.name}`, 'success');
+            } catch (err) {
+                ModalsModule.showToast('Could not add source: ' + err.message, 'error');
+            }
+            renderMapLayers();
+        };
+        
+        container.querySelectorAll('[data-vector-setting]').forEach(input => {
+            input.onchange = () => {
+                VectorTileModule.setSetting(input.dataset.vectorSetting, input.checked);
+            };
+        });
+    }
+
     function renderWaypoints() {
         const wps = State.get('waypoints'), filter = State.get('waypointFilter'), sel = State.get('selectedWaypoint');
         
@@ -1138,6 +1412,25 @@ const PanelsModule = (function() {
         });
     }
 
+    /**
+     * Collect the recorded GPS track, team positions and areas for GeoJSON export
+     */
+    function getGeoJSONExportExtras() {
+        const tracks = [];
+        if (typeof GPSModule !== 'undefined') {
+            const recorded = GPSModule.getRecordedTrack();
+            if (recorded.length >= 2) {
+                tracks.push({ name: 'Recorded Track', points: recorded });
+            }
+        }
+
+        const team = (State.get('teamMembers') || []).filter(m =>
+            m.lat && m.lon && (Math.abs(m.lat) > 0.0001 || Math.abs(m.lon) > 0.0001)
+        );
+
+        return { tracks, team, areas: State.get('areas') || [] };
+    }
+
     function renderRoutes() {
         _saveScroll(); _restoreScroll();
         const routes = State.get('routes');
@@ -1145,6 +1438,25 @@ const PanelsModule = (function() {
         const builderState = RouteBuilderModule.getState();
         const isBuilding = builderState.isBuilding;
         const currentRoute = builderState.currentRoute;
+        const geoJSONExtras = getGeoJSONExportExtras();
+        const hasGeoJSONExtras = geoJSONExtras.tracks.length > 0 || geoJSONExtras.team.length > 0;
+        const nothingToExport = routes.length === 0 && waypoints.length === 0 && geoJSONExtras.areas.length === 0;
+        const hasRouting = typeof OfflineRoutingModule !== 'undefined';
+        const hasNetwork = hasRouting && OfflineRoutingModule.hasNetwork();
+        
+        // Snapped legs add via points between the clicked ones; only clicked points are listed
+        const controlPoints = [];
+        if (currentRoute) {
+            let vias = 0;
+            currentRoute.points.forEach((pt, i) => {
+                if (pt.via) {
+                    vias++;
+                } else {
+                    controlPoints.push({ pt, i, vias });
+                    vias = 0;
+                }
+            });
+        }
 
         container.innerHTML = `
             <div class="panel__header">
@@ -1168,16 +1480,30 @@ const PanelsModule = (function() {
                     ${Icons.get('download')} KML/KMZ
                     <input type="file" id="kml-import" accept=".kml,.kmz" style="display:none">
                 </label>
+                <label class="btn btn--secondary" style="flex:1;cursor:pointer">
+                    ${Icons.get('download')} GeoJSON
+                    <input type="file" id="geojson-import" accept=".geojson,.json,application/geo+json" style="display:none">
+                </label>
+                <label class="btn btn--secondary" style="flex:1;cursor:pointer" title="ATAK Data Package / Mission Package">
+                    ${Icons.get('download')} TAK Pkg
+                    <input type="file" id="takpkg-import" accept=".zip,application/zip" style="display:none">
+                </label>
             </div>
             
             <div class="section-label">Export</div>
             <div style="display:flex;gap:8px;margin-bottom:16px">
-                <button class="btn btn--secondary" id="gpx-export" style="flex:1" ${routes.length === 0 && waypoints.length === 0 ? 'disabled' : ''}>
+                <button class="btn btn--secondary" id="gpx-export" style="flex:1" ${nothingToExport ? 'disabled' : ''}>
                     ${Icons.get('export')} GPX
                 </button>
-                <button class="btn btn--secondary" id="kml-export" style="flex:1" ${routes.length === 0 && waypoints.length === 0 ? 'disabled' : ''}>
+                <button class="btn btn--secondary" id="kml-export" style="flex:1" ${nothingToExport ? 'disabled' : ''}>
                     ${Icons.get('export')} KML
                 </button>
+                <button class="btn btn--secondary" id="geojson-export" style="flex:1" ${nothingToExport && !hasGeoJSONExtras ? 'disabled' : ''}>
+                    ${Icons.get('export')} GeoJSON
+                </button>
+                <button class="btn btn--secondary" id="takpkg-export" style="flex:1" title="ATAK Data Package" ${nothingToExport ? 'disabled' : ''}>
+                    ${Icons.get('export')} TAK Pkg
+                </button>
             </div>
             
             ${isBuilding && currentRoute ? `
@@ -1185,7 +1511,7 @@ const PanelsModule = (function() {
                 <div style="padding:14px;background:rgba(249,115,22,0.1);border:1px solid rgba(249,115,22,0.3);border-radius:12px;margin-bottom:16px">
                     <div style="display:flex;align-items:center;justify-content:space-between;margin-bottom:12px">
                         <span style="font-size:12px;color:#f97316;font-weight:600">BUILDING ROUTE</span>
-                        <span style="font-size:11px;color:rgba(255,255,255,0.5)">${currentRoute.points.length} points</span>
+                        <span style="font-size:11px;color:rgba(255,255,255,0.5)">${controlPoints.length} points</span>
                     </div>
                     <input type="text" id="route-name-input" value="${currentRoute.name}" placeholder="Route name" 
                         style="margin-bottom:12px;background:rgba(0,0,0,0.3)">
@@ -1194,6 +1520,26 @@ const PanelsModule = (function() {
                         Click on the map to add points. Click near waypoints to link them.
                     </div>
                     
+                    ${hasRouting ? `
+                        <div style="display:flex;gap:8px;align-items:center;margin-bottom:12px">
+                            <label for="route-snap-profile" style="font-size:12px;color:rgba(255,255,255,0.6);white-space:nowrap">Snap to</label>
+                            <select id="route-snap-profile" style="flex:1;padding:6px;font-size:12px" ${hasNetwork ? '' : 'disabled'}>
+                                <option value="" ${!builderState.snapProfile ? 'selected' : ''}>Off (straight lines)</option>
+                                ${Object.entries(OfflineRoutingModule.PROFILES).map(([key, p]) => `
+                                    <option value="${key}" ${builderState.snapProfile === key ? 'selected' : ''}>${p.icon} ${p.name}</option>
+                                `).join('')}
+                            </select>
+                            ${builderState.snapProfile && hasNetwork && controlPoints.length >= 2 ? `
+                                <button class="btn btn--secondary" id="route-snap-all" style="padding:6px 10px;font-size:11px" title="Route every leg over the road network">Snap all</button>
+                            ` : ''}
+                        </div>
+                        ${!hasNetwork ? `
+                            <div style="font-size:11px;color:rgba(255,255,255,0.4);margin:-6px 0 12px">
+                                Import a road network below to snap routes to roads and trails
+                            </div>
+                        ` : ''}
+                    ` : ''}
+                    
                     <!-- Route Stats -->
                     <div class="stat-grid stat-grid--3" style="margin-bottom:12px">
                         <div style="text-align:center;padding:8px;background:rgba(0,0,0,0.2);border-radius:6px">
@@ -1214,13 +1560,13 @@ const PanelsModule = (function() {
                     ${currentRoute.points.length > 0 ? `
                         <div class="section-label">Route Points</div>
                         <div style="max-height:200px;overflow-y:auto;margin-bottom:12px">
-                            ${currentRoute.points.map((pt, i) => {
+                            ${controlPoints.map(({ pt, i, vias }, n) => {
                                 const linkedWp = pt.waypointId ? waypoints.find(w => w.id === pt.waypointId) : null;
                                 const wpType = linkedWp ? Constants.WAYPOINT_TYPES[linkedWp.type] : null;
                                 return `
                                     <div class="list-item" style="margin-bottom:4px;padding:8px" data-point-index="${i}">
                                         <div style="display:flex;align-items:center;gap:8px;flex:1">
-                                            <span style="font-size:11px;color:rgba(255,255,255,0.3);width:20px">${i + 1}</span>
+                                            <span style="font-size:11px;color:rgba(255,255,255,0.3);width:20px">${n + 1}</span>
                                             ${linkedWp ? `
                                                 <span style="font-size:14px">${wpType?.icon || '📍'}</span>
                                                 <span style="font-size:12px">${linkedWp.name}</span>
@@ -1228,12 +1574,16 @@ const PanelsModule = (function() {
                                                 <span style="font-size:12px;color:rgba(255,255,255,0.6)">${pt.lat.toFixed(4)}°, ${pt.lon.toFixed(4)}°</span>
                                             `}
                                         </div>
-                                        <select data-terrain-index="${i}" style="width:80px;padding:4px;font-size:11px">
-                                            <option value="highway" ${pt.terrain === 'highway' ? 'selected' : ''}>Highway</option>
-                                            <option value="road" ${pt.terrain === 'road' ? 'selected' : ''}>Road</option>
-                                            <option value="trail" ${pt.terrain === 'trail' ? 'selected' : ''}>Trail</option>
-                                            <option value="crawl" ${pt.terrain === 'crawl' ? 'selected' : ''}>Technical</option>
-                                        </select>
+                                        ${vias > 0 ? `
+                                            <span style="width:80px;font-size:10px;color:rgba(255,255,255,0.4);text-align:center" title="Terrain filled in from the road network">🛣️ ${vias} pts</span>
+                                        ` : `
+                                            <select data-terrain-index="${i}" style="width:80px;padding:4px;font-size:11px">
+                                                <option value="highway" ${pt.terrain === 'highway' ? 'selected' : ''}>Highway</option>
+                                                <option value="road" ${pt.terrain === 'road' ? 'selected' : ''}>Road</option>
+                                                <option value="trail" ${pt.terrain === 'trail' ? 'selected' : ''}>Trail</option>
+                                                <option value="crawl" ${pt.terrain === 'crawl' ? 'selected' : ''}>Technical</option>
+                                            </select>
+                                        `}
                                         <button class="btn btn--secondary" data-remove-point="${i}" style="padding:4px 8px;font-size:11px">✕</button>
                                     </div>
                                 `;
@@ -1275,7 +1625,7 @@ const PanelsModule = (function() {
                                 <div class="card__icon" style="background:rgba(249,115,22,0.15);color:#f97316">${Icons.get('route')}</div>
                                 <div style="flex:1">
                                     <div class="card__title">${r.name}</div>
-                                    <div class="card__subtitle">${r.points?.length || 0} points ${r.source ? `• ${r.source}` : ''}</div>
+                                    <div class="card__subtitle">${r.points?.length || 0} points ${r.source ? `• ${r.source}` : ''}${r.searchPattern && typeof SearchPatternModule !== 'undefined' ? ` • 🔍 ${SearchPatternModule.PATTERNS[r.searchPattern.type]?.label || 'Search pattern'}` : ''}</div>
                                 </div>
                                 <button class="btn btn--secondary" data-elevation-route="${r.id}" style="padding:6px" title="Elevation Profile" aria-label="View elevation profile for ${Helpers.escapeHtml(r.name)}">📈</button>
                                 <button class="btn btn--secondary" data-edit-route="${r.id}" style="padding:6px" title="Edit route" aria-label="Edit ${Helpers.escapeHtml(r.name)}">✏️</button>
@@ -1322,6 +1672,10 @@ const PanelsModule = (function() {
                     📍 Create Route from All Waypoints
                 </button>
             ` : ''}
+            
+            ${!isBuilding && typeof SearchPatternModule !== 'undefined' ? renderSarPatternSection(waypoints) : ''}
+            
+            ${hasRouting ? renderOfflineRoutingSection() : ''}
         `;
         
         // Attach undo/redo handlers
@@ -1363,8 +1717,11 @@ const PanelsModule = (function() {
                         }
                     }
                     
+                    const importedAreas = await AreasModule.addAreas(result.areas);
+                    
                     ModalsModule.showToast(
-                        `Imported ${result.waypoints.length} waypoints, ${importedRoutes.length} routes`, 
+                        `Imported ${result.waypoints.length} waypoints, ${importedRoutes.length} routes` +
+                            (importedAreas.length > 0 ? `, ${importedAreas.length} areas` : ''), 
                         'success'
                     );
                     
@@ -1387,7 +1744,7 @@ const PanelsModule = (function() {
             gpxExport.onclick = () => {
                 const allWaypoints = State.get('waypoints');
                 const allRoutes = State.get('routes').filter(r => !r.isBuilding);
-                GPXModule.downloadGPX(allWaypoints, allRoutes, 'griddown-export.gpx');
+                GPXModule.downloadGPX(allWaypoints, allRoutes, 'griddown-export.gpx', { areas: State.get('areas') });
                 ModalsModule.showToast('GPX file downloaded', 'success');
             };
         }
@@ -1418,8 +1775,11 @@ const PanelsModule = (function() {
                         }
                     }
                     
+                    const importedAreas = await AreasModule.addAreas(result.areas);
+                    
                     ModalsModule.showToast(
-                        `Imported ${result.waypoints.length} waypoints, ${result.routes.length} routes from KML`, 
+                        `Imported ${result.waypoints.length} waypoints, ${result.routes.length} routes` +
+                            (importedAreas.length > 0 ? `, ${importedAreas.length} areas` : '') + ' from KML', 
                         'success'
                     );
                     
@@ -1442,11 +1802,129 @@ const PanelsModule = (function() {
             kmlExport.onclick = () => {
                 const allWaypoints = State.get('waypoints');
                 const allRoutes = State.get('routes').filter(r => !r.isBuilding);
-                KMLModule.downloadKML(allWaypoints, allRoutes, 'griddown-export.kml');
+                KMLModule.downloadKML(allWaypoints, allRoutes, 'griddown-export.kml', { areas: State.get('areas') });
                 ModalsModule.showToast('KML file downloaded', 'success');
             };
         }
         
+        // GeoJSON Import
+        const geojsonImport = container.querySelector('#geojson-import');
+        if (geojsonImport) {
+            geojsonImport.onchange = async (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+                
+                try {
+                    const result = await GeoJSONModule.importFromFile(file);
+                    
+                    // Add imported waypoints
+                    if (result.waypoints.length > 0) {
+                        const existingWps = State.get('waypoints');
+                        State.Waypoints.setAll([...existingWps, ...result.waypoints]);
+                        await Storage.Waypoints.saveAll(result.waypoints);
+                    }
+                    
+                    // Add imported routes
+                    if (result.routes.length > 0) {
+                        const existingRoutes = State.get('routes');
+                        State.Routes.setAll([...existingRoutes, ...result.routes]);
+                        for (const route of result.routes) {
+                            await Storage.Routes.save(route);
+                        }
+                    }
+                    
+                    // Add imported polygons as areas
+                    const importedAreas = await AreasModule.addAreas(result.areas);
+                    
+                    let message = `Imported ${result.waypoints.length} waypoints, ${result.routes.length} routes`;
+                    if (importedAreas.length > 0) message += `, ${importedAreas.length} areas`;
+                    message += ' from GeoJSON';
+                    if (result.skipped > 0) message += ` (${result.skipped} unsupported features skipped)`;
+                    ModalsModule.showToast(message, 'success');
+                    
+                    renderRoutes();
+                    MapModule.render();
+                    
+                } catch (err) {
+                    console.error('GeoJSON import error:', err);
+                    ModalsModule.showToast('Failed to import GeoJSON: ' + err.message, 'error');
+                }
+                
+                // Reset input
+                e.target.value = '';
+            };
+        }
+        
+        // GeoJSON Export (also carries the recorded track and team positions)
+        const geojsonExport = container.querySelector('#geojson-export');
+        if (geojsonExport) {
+            geojsonExport.onclick = () => {
+                const allWaypoints = State.get('waypoints');
+                const allRoutes = State.get('routes').filter(r => !r.isBuilding);
+                GeoJSONModule.downloadGeoJSON(allWaypoints, allRoutes, 'griddown-export.geojson', getGeoJSONExportExtras());
+                ModalsModule.showToast('GeoJSON file downloaded', 'success');
+            };
+        }
+        
+        // ATAK Data Package Import
+        const takPkgImport = container.querySelector('#takpkg-import');
+        if (takPkgImport) {
+            takPkgImport.onchange = async (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+                
+                try {
+                    const result = await TAKModule.importDataPackage(file);
+                    
+                    if (result.waypoints.length > 0) {
+                        const existingWps = State.get('waypoints');
+                        State.Waypoints.setAll([...existingWps, ...result.waypoints]);
+                        await Storage.Waypoints.saveAll(result.waypoints);
+                    }
+                    
+                    if (result.routes.length > 0) {
+                        const existingRoutes = State.get('routes');
+                        State.Routes.setAll([...existingRoutes, ...result.routes]);
+                        for (const route of result.routes) {
+                            await Storage.Routes.save(route);
+                        }
+                    }
+                    
+                    const importedAreas = await AreasModule.addAreas(result.areas);
+                    const unlinked = result.attachments.filter(a => !a.linked).length;
+                    
+                    let message = `Imported ${result.waypoints.length} waypoints, ${result.routes.length} routes`;
+                    if (importedAreas.length > 0) message += `, ${importedAreas.length} areas`;
+                    message += ` from "${result.name}"`;
+                    if (unlinked > 0) message += ` (${unlinked} attachments not imported)`;
+                    ModalsModule.showToast(message, 'success');
+                    
+                    renderRoutes();
+                    MapModule.render();
+                    
+                } catch (err) {
+                    console.error('Data Package import error:', err);
+                    ModalsModule.showToast('Failed to import Data Package: ' + err.message, 'error');
+                }
+                
+                e.target.value = '';
+            };
+        }
+        
+        // ATAK Data Package Export
+        const takPkgExport = container.querySelector('#takpkg-export');
+        if (takPkgExport) {
+            takPkgExport.onclick = () => {
+                TAKModule.downloadDataPackage({
+                    name: 'GridDown Export',
+                    waypoints: State.get('waypoints'),
+                    routes: State.get('routes').filter(r => !r.isBuilding),
+                    areas: State.get('areas')
+                });
+                ModalsModule.showToast('Data Package downloaded — copy to the device and open in Import Manager', 'success');
+            };
+        }
+        
         // Route name input
         const routeNameInput = container.querySelector('#route-name-input');
         if (routeNameInput) {
@@ -1533,6 +2011,31 @@ const PanelsModule = (function() {
             };
         }
         
+        attachSarPatternHandlers(waypoints);
+        attachOfflineRoutingHandlers();
+        
+        // Snap-to-network profile for the route being built
+        const snapSelect = container.querySelector('#route-snap-profile');
+        if (snapSelect) {
+            snapSelect.onchange = () => {
+                const profile = snapSelect.value || null;
+                RouteBuilderModule.setSnapProfile(profile);
+                if (profile) OfflineRoutingModule.setProfile(profile);
+                renderRoutes();
+            };
+        }
+        const snapAllBtn = container.querySelector('#route-snap-all');
+        if (snapAllBtn) {
+            snapAllBtn.onclick = () => {
+                const failed = RouteBuilderModule.snapRoute();
+                if (failed > 0) {
+                    ModalsModule.showToast(`${failed} leg${failed === 1 ? '' : 's'} could not be routed and stay straight`, 'info');
+                }
+                renderRoutes();
+                MapModule.render();
+            };
+        }
+        
         // Elevation profile toggles
         container.querySelectorAll('[data-elevation-route]').forEach(btn => {
             btn.onclick = async (e) => {
@@ -1718,39 +2221,1172 @@ const PanelsModule = (function() {
         });
     }
 
-    function renderLogistics() {
-        _saveScroll(); _restoreScroll();
-        const config = LogisticsModule.getConfig();
-        const profiles = LogisticsModule.getProfiles();
-        const routes = State.get('routes');
-        const waypoints = State.get('waypoints');
-        
-        // Run analysis if we have a route
-        let analysis = null;
-        let report = null;
-        if (routes.length > 0 && routes[0].points?.length >= 2) {
-            analysis = LogisticsModule.analyzeRoute(routes[0], waypoints, config);
-            report = LogisticsModule.generateReport(analysis);
-        }
+    /**
+     * SAR search pattern generator section of the Routes panel
+     */
+    function renderSarPatternSection(waypoints) {
+        const f = sarPatternForm;
+        const pattern = SearchPatternModule.PATTERNS[f.type];
+        const uses = (field) => pattern.uses.includes(field);
         
-        const waterCount = waypoints.filter(w => w.type === 'water').length;
-        const fuelCount = waypoints.filter(w => w.type === 'fuel').length;
-        const bailCount = waypoints.filter(w => w.type === 'bailout').length;
-
-        container.innerHTML = `
-            <div class="panel__header"><h2 class="panel__title">Logistics Calculator</h2></div>
-            
-            <!-- Vehicle Selection -->
-            <div class="section-label">Vehicle Profile</div>
-            <div class="vehicle-grid">
-                ${Object.entries(profiles.vehicles).map(([k, v]) => `
-                    <button class="vehicle-btn ${config.vehicle === k ? 'vehicle-btn--selected' : ''}" data-vehicle="${k}">
-                        <div class="vehicle-btn__name">${v.icon} ${v.name}</div>
-                        <div class="vehicle-btn__specs">${v.fuelCapacity} gal • ${v.consumption.road} mpg</div>
-                    </button>
-                `).join('')}
-            </div>
-            
+        return `
+            <div class="divider"></div>
+            <details style="margin-bottom:12px" ${f.open ? 'open' : ''} id="sar-pattern-details">
+                <summary class="section-label" style="cursor:pointer">🔍 SAR Search Pattern</summary>
+                <div style="padding:12px;background:rgba(255,255,255,0.03);border-radius:10px">
+                    <div class="form-group">
+                        <label>Pattern</label>
+                        <select id="sar-type">
+                            ${Object.entries(SearchPatternModule.PATTERNS).map(([key, p]) => `
+                                <option value="${key}" ${f.type === key ? 'selected' : ''}>${p.icon} ${p.label}</option>
+                            `).join('')}
+                        </select>
+                        <div style="font-size:11px;color:rgba(255,255,255,0.4);margin-top:4px">${pattern.description}</div>
+                    </div>
+                    <div class="form-group">
+                        <label>Datum</label>
+                        <select id="sar-datum">
+                            <option value="center" ${f.datum === 'center' ? 'selected' : ''}>Map center</option>
+                            ${waypoints.filter(w => w.lat && w.lon).map(w => `
+                                <option value="${w.id}" ${f.datum === w.id ? 'selected' : ''}>📍 ${Helpers.escapeHtml(w.name)}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div style="display:grid;grid-template-columns:1fr 1fr;gap:8px">
+                        ${uses('trackSpacing') ? `
+                            <div class="form-group">
+                                <label>${f.type === 'contour' ? 'Contour interval (m)' : 'Track spacing (m)'}</label>
+                                <input type="number" id="sar-spacing" min="1" value="${f.trackSpacing}">
+                            </div>
+                        ` : ''}
+                        <div class="form-group">
+                            <label>${f.type === 'sector' ? 'Radius (m)' : f.type === 'contour' ? 'Max distance (m)' : 'Leg length (m)'}</label>
+                            <input type="number" id="sar-leg" min="1" value="${f.legLength}">
+                        </div>
+                        <div class="form-group">
+                            <label>Orientation (° true)</label>
+                            <input type="number" id="sar-orientation" min="0" max="359" value="${f.orientation}">
+                        </div>
+                        ${uses('trackCount') ? `
+                            <div class="form-group">
+                                <label>Tracks</label>
+                                <input type="number" id="sar-tracks" min="2" placeholder="auto" value="${f.trackCount}">
+                            </div>
+                        ` : ''}
+                    </div>
+                    <button class="btn btn--primary btn--full" id="sar-create">Create Search Route</button>
+                </div>
+            </details>
+        `;
+    }
+    
+    /**
+     * Offline road network import and management (Routes panel)
+     */
+    function renderOfflineRoutingSection() {
+        const networks = OfflineRoutingModule.getNetworks();
+        const km = (m) => (m / 1000).toFixed(m < 10000 ? 1 : 0);
+        
+        return `
+            <div class="divider"></div>
+            <details style="margin-bottom:12px" ${offlineRoutingForm.open ? 'open' : ''} id="offline-routing-details">
+                <summary class="section-label" style="cursor:pointer">🛣️ Offline Road Network</summary>
+                <div style="padding:12px;background:rgba(255,255,255,0.03);border-radius:10px">
+                    <div style="font-size:11px;color:rgba(255,255,255,0.5);margin-bottom:10px">
+                        Import an OpenStreetMap extract of your area (.osm.pbf, .osm or Overpass JSON) or a
+                        GeoJSON line network. Routes can then snap to roads and trails for foot, ATV or 4x4
+                        travel with no connection.
+                    </div>
+                    ${networks.length === 0 ? `
+                        <div style="font-size:12px;color:rgba(255,255,255,0.4);margin-bottom:10px">No road networks imported</div>
+                    ` : networks.map(n => `
+                        <div class="card ${n.active ? 'card--selected' : ''}" style="margin-bottom:8px;padding:10px">
+                            <div style="display:flex;align-items:center;gap:8px">
+                                <div style="flex:1;min-width:0">
+                                    <div style="font-size:13px;font-weight:600">${Helpers.escapeHtml(n.name)}${n.active ? ' <span style="font-size:10px;color:#22c55e">ACTIVE</span>' : ''}</div>
+                                    <div style="font-size:11px;color:rgba(255,255,255,0.5)">
+                                        ${n.nodeCount.toLocaleString()} nodes • ${n.format.toUpperCase()}
+                                    </div>
+                                    <div style="font-size:11px;color:rgba(255,255,255,0.4)">
+                                        Hwy ${km(n.terrainLengths.highway)} • Road ${km(n.terrainLengths.road)} • Trail ${km(n.terrainLengths.trail)} • Tech ${km(n.terrainLengths.crawl)} km
+                                    </div>
+                                </div>
+                                ${!n.active ? `<button class="btn btn--secondary" data-network-use="${n.id}" style="padding:4px 8px;font-size:11px">Use</button>` : ''}
+                                <button class="btn btn--secondary" data-network-delete="${n.id}" style="padding:4px 8px;font-size:11px" aria-label="Delete ${Helpers.escapeHtml(n.name)}">🗑️</button>
+                            </div>
+                        </div>
+                    `).join('')}
+                    ${offlineRoutingForm.importing ? `
+                        <div id="network-import-status" style="font-size:12px;color:#f97316;padding:8px 0">${Helpers.escapeHtml(offlineRoutingForm.importing)}</div>
+                    ` : `
+                        <label class="btn btn--secondary btn--full" style="cursor:pointer">
+                            ${Icons.get('download')} Import Road Network
+                            <input type="file" id="network-import" accept=".pbf,.osm,.json,.geojson" style="display:none">
+                        </label>
+                    `}
+                </div>
+            </details>
+        `;
+    }
+    
+    function attachOfflineRoutingHandlers() {
+        const details = container.querySelector('#offline-routing-details');
+        if (!details) return;
+        details.ontoggle = () => { offlineRoutingForm.open = details.open; };
+        
+        const input = container.querySelector('#network-import');
+        if (input) {
+            input.onchange = async (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+                
+                offlineRoutingForm.importing = `Reading ${file.name}...`;
+                renderRoutes();
+                try {
+                    const network = await OfflineRoutingModule.importFile(file, (fraction) => {
+                        offlineRoutingForm.importing = `Reading ${file.name}... ${Math.round(fraction * 100)}%`;
+                        const status = container.querySelector('#network-import-status');
+                        if (status) status.textContent = offlineRoutingForm.importing;
+                    });
+                    ModalsModule.showToast(`Imported ${network.name}: ${network.edgeCount.toLocaleString()} road and trail segments`, 'success');
+                } catch (err) {
+                    console.error('Road network import error:', err);
+                    ModalsModule.showToast('Failed to import road network: ' + err.message, 'error');
+                }
+                offlineRoutingForm.importing = null;
+                renderRoutes();
+            };
+        }
+        
+        container.querySelectorAll('[data-network-use]').forEach(btn => {
+            btn.onclick = async () => {
+                try {
+                    await OfflineRoutingModule.activateGraph(btn.dataset.networkUse);
+                } catch (err) {
+                    ModalsModule.showToast(err.message, 'error');
+                }
+            };
+        });
+        
+        container.querySelectorAll('[data-network-delete]').forEach(btn => {
+            btn.onclick = async () => {
+                if (!confirm('Delete this road network?')) return;
+                await OfflineRoutingModule.removeNetwork(btn.dataset.networkDelete);
+                ModalsModule.showToast('Road network deleted', 'success');
+            };
+        });
+    }
+    
+    function attachSarPatternHandlers(waypoints) {
+        const details = container.querySelector('#sar-pattern-details');
+        if (!details) return;
+        details.ontoggle = () => { sarPatternForm.open = details.open; };
+        
+        const readForm = () => {
+            const num = (id, fallback) => {
+                const el = container.querySelector(id);
+                return el ? parseFloat(el.value) : fallback;
+            };
+            sarPatternForm.type = container.querySelector('#sar-type').value;
+            sarPatternForm.datum = container.querySelector('#sar-datum').value;
+            sarPatternForm.trackSpacing = num('#sar-spacing', sarPatternForm.trackSpacing);
+            sarPatternForm.legLength = num('#sar-leg', sarPatternForm.legLength);
+            sarPatternForm.orientation = num('#sar-orientation', 0) || 0;
+            const tracksEl = container.querySelector('#sar-tracks');
+            if (tracksEl) sarPatternForm.trackCount = tracksEl.value;
+        };
+        
+        // Labels and fields depend on the pattern
+        container.querySelector('#sar-type').onchange = () => { readForm(); renderRoutes(); };
+        
+        container.querySelector('#sar-create').onclick = async () => {
+            readForm();
+            const f = sarPatternForm;
+            
+            let datum;
+            if (f.datum === 'center') {
+                datum = MapModule.getCenter();
+            } else {
+                const wp = waypoints.find(w => w.id === f.datum);
+                datum = wp ? { lat: wp.lat, lon: wp.lon } : MapModule.getCenter();
+            }
+            
+            try {
+                const route = await SearchPatternModule.createRoute(f.type, {
+                    datum,
+                    trackSpacing: f.trackSpacing,
+                    legLength: f.legLength,
+                    orientation: f.orientation,
+                    trackCount: parseInt(f.trackCount) || undefined
+                });
+                if (route) {
+                    const km = SearchPatternModule.trackLength(route.points) / 1000;
+                    const contourNote = route.searchPattern.type === 'contour' && route.searchPattern.source === 'geometric'
+                        ? ' (no offline DEM here, loops are circular)' : '';
+                    ModalsModule.showToast(`${route.name}: ${route.points.length} points, ${km.toFixed(2)} km${contourNote}`, 'success');
+                }
+                renderRoutes();
+            } catch (err) {
+                ModalsModule.showToast(err.message, 'error');
+            }
+        };
+    }
+    
+    /**
+     * Areas panel - search sectors, hazard zones and AO boundaries
+     */
+    function renderAreas() {
+        _saveScroll(); _restoreScroll();
+        const areas = State.get('areas') || [];
+        const selected = State.get('selectedArea');
+        const drawState = AreasModule.getDrawingState();
+        const areaTypes = Constants.AREA_TYPES;
+
+        container.innerHTML = `
+            <div class="panel__header">
+                <h2 class="panel__title">Areas</h2>
+            </div>
+            
+            <!-- Undo/Redo Toolbar -->
+            ${renderUndoToolbar()}
+            
+            ${drawState.isDrawing ? `
+                <!-- Drawing Mode -->
+                <div style="padding:14px;background:rgba(168,85,247,0.1);border:1px solid rgba(168,85,247,0.3);border-radius:12px;margin-bottom:16px">
+                    <div style="display:flex;align-items:center;justify-content:space-between;margin-bottom:8px">
+                        <span style="font-size:12px;color:#a855f7;font-weight:600">DRAWING ${areaTypes[drawState.type].label.toUpperCase()}</span>
+                        <span style="font-size:11px;color:rgba(255,255,255,0.5)">${drawState.points.length} points</span>
+                    </div>
+                    <div style="font-size:12px;color:rgba(255,255,255,0.6);margin-bottom:12px">
+                        Tap the map to add corners. Tap the first corner or press Finish to close the area.
+                    </div>
+                    ${drawState.points.length >= 3 ? `
+                        <div style="font-size:12px;margin-bottom:12px">
+                            ${AreasModule.formatArea(AreasModule.computeArea(drawState.points))} •
+                            ${AreasModule.formatPerimeter(AreasModule.computePerimeter(drawState.points))} perimeter
+                        </div>
+                    ` : ''}
+                    <div style="display:flex;gap:8px">
+                        <button class="btn btn--secondary" id="area-undo-point" style="flex:1" ${drawState.points.length === 0 ? 'disabled' : ''}>↩️ Point</button>
+                        <button class="btn btn--secondary" id="area-cancel-draw" style="flex:1">Cancel</button>
+                        <button class="btn btn--primary" id="area-finish-draw" style="flex:1" ${drawState.points.length < 3 ? 'disabled' : ''}>✓ Finish</button>
+                    </div>
+                </div>
+            ` : `
+                <div class="section-label">New Area</div>
+                <div style="display:grid;grid-template-columns:1fr 1fr;gap:8px;margin-bottom:16px">
+                    ${Object.entries(areaTypes).map(([key, t]) => `
+                        <button class="btn btn--secondary" data-draw-area="${key}" style="justify-content:flex-start">
+                            <span style="color:${t.color}">${t.icon}</span> ${t.label}
+                        </button>
+                    `).join('')}
+                </div>
+            `}
+            
+            ${selected ? renderAreaEditor(selected, drawState) : ''}
+            
+            <!-- Area List -->
+            ${areas.length === 0 ? `
+                <div class="empty-state">
+                    <div class="empty-state__icon">${Icons.get('area')}</div>
+                    <div class="empty-state__title">No areas yet</div>
+                    <div class="empty-state__desc">Draw a search sector or import polygons from KML or GeoJSON</div>
+                </div>
+            ` : `
+                <div class="section-label">Areas (${areas.length})</div>
+                <div class="panel__scroll">
+                    ${areas.map(a => {
+                        const t = areaTypes[a.type] || areaTypes.custom;
+                        const stats = AreasModule.getStats(a);
+                        return `
+                            <div class="card ${selected?.id === a.id ? 'card--selected' : ''}" data-area-id="${a.id}" style="margin-bottom:8px;cursor:pointer">
+                                <div class="card__header">
+                                    <div class="card__icon" style="background:${a.color}26;color:${a.color}">${t.icon}</div>
+                                    <div style="flex:1">
+                                        <div class="card__title">${Helpers.escapeHtml(a.name)}</div>
+                                        <div class="card__subtitle">
+                                            ${AreasModule.formatArea(stats.areaSqMeters)} • ${AreasModule.formatPerimeter(stats.perimeterMiles)} perimeter • ${stats.vertexCount} pts
+                                        </div>
+                                    </div>
+                                    <button class="btn btn--secondary" data-delete-area="${a.id}" style="padding:6px" title="Delete area" aria-label="Delete ${Helpers.escapeHtml(a.name)}">🗑️</button>
+                                </div>
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+            `}
+            
+            <div id="geofence-section">${renderGeofenceSection()}</div>
+        `;
+        
+        attachUndoHandlers();
+        attachGeofenceHandlers(container.querySelector('#geofence-section'));
+        
+        container.querySelectorAll('[data-draw-area]').forEach(btn => {
+            btn.onclick = () => {
+                AreasModule.startDrawing(btn.dataset.drawArea);
+                ModalsModule.showToast('Tap the map to add area corners', 'info');
+            };
+        });
+        
+        const undoPointBtn = container.querySelector('#area-undo-point');
+        if (undoPointBtn) undoPointBtn.onclick = () => AreasModule.removeLastDrawingPoint();
+        
+        const cancelDrawBtn = container.querySelector('#area-cancel-draw');
+        if (cancelDrawBtn) cancelDrawBtn.onclick = () => AreasModule.cancelDrawing();
+        
+        const finishDrawBtn = container.querySelector('#area-finish-draw');
+        if (finishDrawBtn) {
+            finishDrawBtn.onclick = async () => {
+                const area = await AreasModule.finishDrawing();
+                if (area) ModalsModule.showToast(`${area.name} saved`, 'success');
+            };
+        }
+        
+        container.querySelectorAll('[data-area-id]').forEach(item => {
+            item.onclick = (e) => {
+                if (e.target.closest('[data-delete-area]')) return;
+                const area = areas.find(a => a.id === item.dataset.areaId);
+                if (!area) return;
+                if (AreasModule.isEditing()) AreasModule.stopEditing();
+                State.Areas.select(selected?.id === area.id ? null : area);
+            };
+        });
+        
+        container.querySelectorAll('[data-delete-area]').forEach(btn => {
+            btn.onclick = async () => {
+                const area = areas.find(a => a.id === btn.dataset.deleteArea);
+                if (area && confirm(`Delete area "${area.name}"?`)) {
+                    await AreasModule.deleteArea(area.id);
+                    ModalsModule.showToast('Area deleted', 'success');
+                }
+            };
+        });
+        
+        if (selected) attachAreaEditorHandlers(selected);
+    }
+    
+    /**
+     * Editor card for the selected area
+     */
+    function renderAreaEditor(area, drawState) {
+        const isEditingShape = drawState.editingId === area.id;
+        const opacityPct = Math.round((area.fillOpacity ?? 0.15) * 100);
+        
+        return `
+            <div class="card" style="margin-bottom:16px;border-color:${area.color}">
+                <div class="form-group">
+                    <label>Name</label>
+                    <input type="text" id="area-name" value="${Helpers.escapeHtml(area.name)}">
+                </div>
+                <div class="form-group">
+                    <label>Type</label>
+                    <select id="area-type">
+                        ${Object.entries(Constants.AREA_TYPES).map(([key, t]) => `
+                            <option value="${key}" ${area.type === key ? 'selected' : ''}>${t.icon} ${t.label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div style="display:flex;gap:12px">
+                    <div class="form-group" style="flex:1">
+                        <label>Line</label>
+                        <input type="color" id="area-color" value="${area.color}">
+                    </div>
+                    <div class="form-group" style="flex:1">
+                        <label>Fill</label>
+                        <input type="color" id="area-fill" value="${area.fill || area.color}">
+                    </div>
+                    <div class="form-group" style="flex:2">
+                        <label>Fill opacity <span id="area-opacity-value">${opacityPct}%</span></label>
+                        <input type="range" id="area-opacity" min="0" max="60" step="5" value="${opacityPct}">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label>Notes</label>
+                    <textarea id="area-notes" rows="2" placeholder="Assignment, hazards, search status...">${Helpers.escapeHtml(area.notes || '')}</textarea>
+                </div>
+                <div style="display:flex;gap:8px;margin-bottom:8px">
+                    <button class="btn btn--primary" id="area-save" style="flex:1">Save</button>
+                    <button class="btn btn--secondary" id="area-zoom" style="flex:1">🎯 Zoom to</button>
+                </div>
+                <button class="btn btn--secondary btn--full" id="area-geofence" style="margin-bottom:8px">🛡 Geofence this area</button>
+                <div style="display:flex;gap:8px">
+                    <button class="btn btn--secondary" id="area-edit-shape" style="flex:1">
+                        ${isEditingShape ? '✓ Done editing' : '✏️ Edit shape'}
+                    </button>
+                    ${isEditingShape ? `
+                        <button class="btn btn--secondary" id="area-remove-vertex" style="flex:1" ${drawState.selectedVertex < 0 || drawState.vertexCount <= 3 ? 'disabled' : ''}>
+                            ✕ Remove point
+                        </button>
+                    ` : ''}
+                </div>
+                ${isEditingShape ? `
+                    <div style="font-size:11px;color:rgba(255,255,255,0.5);margin-top:8px">
+                        Drag a corner to move it. Tap a small midpoint dot to add a corner; tap a corner to select it.
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+    
+    function attachAreaEditorHandlers(area) {
+        const opacityInput = container.querySelector('#area-opacity');
+        const opacityValue = container.querySelector('#area-opacity-value');
+        if (opacityInput) {
+            opacityInput.oninput = () => { opacityValue.textContent = opacityInput.value + '%'; };
+        }
+        
+        const saveBtn = container.querySelector('#area-save');
+        if (saveBtn) {
+            saveBtn.onclick = async () => {
+                await AreasModule.updateArea(area.id, {
+                    name: container.querySelector('#area-name').value.trim() || area.name,
+                    type: container.querySelector('#area-type').value,
+                    color: container.querySelector('#area-color').value,
+                    fill: container.querySelector('#area-fill').value,
+                    fillOpacity: parseInt(opacityInput.value) / 100,
+                    notes: container.querySelector('#area-notes').value
+                });
+                ModalsModule.showToast('Area saved', 'success');
+            };
+        }
+        
+        const zoomBtn = container.querySelector('#area-zoom');
+        if (zoomBtn) {
+            zoomBtn.onclick = () => {
+                const c = AreasModule.computeCentroid(area.points);
+                if (c) MapModule.setCenter(c.lat, c.lon);
+            };
+        }
+        
+        const editShapeBtn = container.querySelector('#area-edit-shape');
+        if (editShapeBtn) {
+            editShapeBtn.onclick = () => {
+                if (AreasModule.getDrawingState().editingId === area.id) {
+                    AreasModule.stopEditing();
+                } else {
+                    AreasModule.startEditing(area.id);
+                }
+            };
+        }
+        
+        const removeVertexBtn = container.querySelector('#area-remove-vertex');
+        if (removeVertexBtn) removeVertexBtn.onclick = () => AreasModule.removeSelectedVertex();
+        
+        const geofenceBtn = container.querySelector('#area-geofence');
+        if (geofenceBtn) {
+            geofenceBtn.disabled = typeof GeofenceModule === 'undefined';
+            geofenceBtn.onclick = () => openGeofenceModal({ shape: 'area', areaId: area.id, name: area.name });
+        }
+    }
+    
+    /**
+     * Geofence list and recent event log for the Areas panel
+     */
+    function renderGeofenceSection() {
+        if (typeof GeofenceModule === 'undefined') return '';
+        const fences = GeofenceModule.getFences();
+        const waypoints = State.get('waypoints') || [];
+        const areas = State.get('areas') || [];
+        const events = GeofenceModule.getLog({ limit: 8 });
+        const eventIcons = { enter: '➡️', exit: '⬅️', dwell: '⏱️' };
+        const eventVerbs = { enter: 'entered', exit: 'left', dwell: 'lingered in' };
+        
+        const describe = (f) => {
+            if (f.shape === 'area') {
+                const area = areas.find(a => a.id === f.areaId);
+                return area ? `⬡ ${Helpers.escapeHtml(area.name)}` : '⬡ area deleted';
+            }
+            const wp = waypoints.find(w => w.id === f.waypointId);
+            const where = wp ? `📍 ${Helpers.escapeHtml(wp.name)}` : f.waypointId ? 'waypoint deleted' : 'fixed point';
+            return `${f.radiusM >= 1000 ? (f.radiusM / 1000).toFixed(1) + ' km' : Math.round(f.radiusM) + ' m'} around ${where}`;
+        };
+        
+        return `
+            <div class="section-label" style="display:flex;justify-content:space-between;align-items:center;margin-top:16px">
+                <span>🛡 Geofences (${fences.length})</span>
+                <button class="btn btn--secondary" id="geofence-add" style="padding:2px 8px;font-size:10px">+ Add</button>
+            </div>
+            ${fences.length === 0 ? `
+                <div style="font-size:11px;color:rgba(255,255,255,0.4);margin-bottom:12px">
+                    Alert when you or a tracked team member (Meshtastic, APRS, TAK) enters, leaves or lingers inside an area or a radius around a waypoint.
+                </div>
+            ` : fences.map(f => `
+                <div class="card" style="margin-bottom:8px;${f.enabled ? '' : 'opacity:0.55'}">
+                    <div class="card__header">
+                        <div class="card__icon" style="background:${f.occupants.length ? '#ef4444' : '#f97316'}26;color:${f.occupants.length ? '#ef4444' : '#f97316'}">🛡</div>
+                        <div style="flex:1;min-width:0">
+                            <div class="card__title">${Helpers.escapeHtml(f.name)}</div>
+                            <div class="card__subtitle">${describe(f)}</div>
+                            <div style="font-size:10px;color:rgba(255,255,255,0.5);margin-top:2px">
+                                ${[f.alertOn.enter && 'enter', f.alertOn.exit && 'exit', f.alertOn.dwell && `dwell ${f.dwellMinutes}m`].filter(Boolean).join(' • ') || 'log only'}
+                                • ${Object.entries(f.watch).filter(([, on]) => on).map(([src]) => GeofenceModule.SOURCE_LABELS[src]).join(', ') || 'no sources'}
+                                • ${f.cooldownMinutes}m cooldown
+                            </div>
+                            ${f.occupants.length ? `<div style="font-size:10px;color:#ef4444;margin-top:2px">Inside: ${f.occupants.map(n => Helpers.escapeHtml(n)).join(', ')}</div>` : ''}
+                            ${f.missing ? `<div style="font-size:10px;color:#f59e0b;margin-top:2px">⚠ Boundary no longer exists — edit or delete this fence</div>` : ''}
+                        </div>
+                        <input type="checkbox" data-geofence-toggle="${f.id}" ${f.enabled ? 'checked' : ''} title="Enabled" aria-label="Enable ${Helpers.escapeHtml(f.name)}">
+                        <button class="btn btn--secondary" data-geofence-edit="${f.id}" style="padding:6px" title="Edit geofence">✏️</button>
+                        <button class="btn btn--secondary" data-geofence-delete="${f.id}" style="padding:6px" title="Delete geofence" aria-label="Delete ${Helpers.escapeHtml(f.name)}">🗑️</button>
+                    </div>
+                </div>
+            `).join('')}
+            ${events.length ? `
+                <div class="section-label" style="display:flex;justify-content:space-between;align-items:center">
+                    <span>Geofence Log</span>
+                    <span style="display:flex;gap:6px">
+                        <button class="btn btn--secondary" id="geofence-log-csv" style="padding:2px 8px;font-size:10px">CSV</button>
+                        <button class="btn btn--secondary" id="geofence-log-clear" style="padding:2px 8px;font-size:10px">Clear</button>
+                    </span>
+                </div>
+                <div style="margin-bottom:16px">
+                    ${events.map(e => `
+                        <div style="font-size:11px;padding:4px 0;border-bottom:1px solid rgba(255,255,255,0.05);${e.alerted ? '' : 'color:rgba(255,255,255,0.45)'}">
+                            ${eventIcons[e.event]} <strong>${Helpers.escapeHtml(e.subjectName)}</strong> ${eventVerbs[e.event]} ${Helpers.escapeHtml(e.fenceName)}
+                            <span style="float:right;color:rgba(255,255,255,0.4)">${new Date(e.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}${e.alerted ? '' : ' • no alert'}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+        `;
+    }
+    
+    /**
+     * Refresh the geofence section without re-rendering the Areas panel
+     */
+    function updateGeofenceSection() {
+        const el = document.getElementById('geofence-section');
+        if (!el) return;
+        el.innerHTML = renderGeofenceSection();
+        attachGeofenceHandlers(el);
+    }
+    
+    function attachGeofenceHandlers(el) {
+        if (!el) return;
+        
+        const addBtn = el.querySelector('#geofence-add');
+        if (addBtn) addBtn.onclick = () => openGeofenceModal();
+        
+        el.querySelectorAll('[data-geofence-toggle]').forEach(box => {
+            box.onchange = () => GeofenceModule.setFenceEnabled(box.dataset.geofenceToggle, box.checked);
+        });
+        el.querySelectorAll('[data-geofence-edit]').forEach(btn => {
+            btn.onclick = () => {
+                const fence = GeofenceModule.getFences().find(f => f.id === btn.dataset.geofenceEdit);
+                if (fence) openGeofenceModal(fence);
+            };
+        });
+        el.querySelectorAll('[data-geofence-delete]').forEach(btn => {
+            btn.onclick = async () => {
+                const fence = GeofenceModule.getFences().find(f => f.id === btn.dataset.geofenceDelete);
+                if (fence && confirm(`Delete geofence "${fence.name}"?`)) {
+                    await GeofenceModule.deleteFence(fence.id);
+                    ModalsModule.showToast('Geofence deleted', 'success');
+                }
+            };
+        });
+        
+        const csvBtn = el.querySelector('#geofence-log-csv');
+        if (csvBtn) {
+            csvBtn.onclick = () => {
+                const blob = new Blob([GeofenceModule.exportLogCSV()], { type: 'text/csv' });
+                const url = URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = `geofence-log-${new Date().toISOString().slice(0, 10)}.csv`;
+                a.click();
+                URL.revokeObjectURL(url);
+            };
+        }
+        const clearBtn = el.querySelector('#geofence-log-clear');
+        if (clearBtn) {
+            clearBtn.onclick = () => {
+                if (confirm('Clear the geofence log?')) GeofenceModule.clearLog();
+            };
+        }
+    }
+    
+    /**
+     * Create or edit a geofence
+     * @param {Object} [fence] - existing fence, or a partial one (e.g. { shape: 'area', areaId }) to prefill
+     */
+    function openGeofenceModal(fence = {}) {
+        const areas = State.get('areas') || [];
+        const waypoints = (State.get('waypoints') || []).filter(w => typeof w.lat === 'number' && typeof w.lon === 'number');
+        const f = GeofenceModule.createFence(fence);
+        const isEdit = !!fence.id;
+        
+        modalContainer.innerHTML = `
+            <div class="modal-backdrop" id="modal-backdrop" role="presentation">
+                <div class="modal" role="dialog" aria-modal="true" style="max-width:420px">
+                    <div class="modal__header">
+                        <h3 class="modal__title">🛡 ${isEdit ? 'Edit' : 'New'} Geofence</h3>
+                        <button class="modal__close" id="modal-close" aria-label="Close dialog">${Icons.get('close')}</button>
+                    </div>
+                    <div class="modal__body">
+                        <div class="form-group">
+                            <label>Name</label>
+                            <input type="text" id="gf-name" value="${Helpers.escapeHtml(isEdit ? f.name : '')}" placeholder="e.g. Base camp, Hazard zone">
+                        </div>
+                        <div class="form-group">
+                            <label>Boundary</label>
+                            <select id="gf-shape">
+                                <option value="area" ${f.shape === 'area' ? 'selected' : ''}>Drawn area</option>
+                                <option value="radius" ${f.shape === 'radius' ? 'selected' : ''}>Radius around a waypoint</option>
+                            </select>
+                        </div>
+                        <div class="form-group" id="gf-area-group" style="${f.shape === 'area' ? '' : 'display:none'}">
+                            <label>Area</label>
+                            <select id="gf-area">
+                                ${areas.length ? areas.map(a => `<option value="${a.id}" ${f.areaId === a.id ? 'selected' : ''}>${Helpers.escapeHtml(a.name)}</option>`).join('') : '<option value="">Draw an area first</option>'}
+                            </select>
+                        </div>
+                        <div id="gf-radius-group" style="display:${f.shape === 'radius' ? 'flex' : 'none'};gap:8px">
+                            <div class="form-group" style="flex:2">
+                                <label>Waypoint</label>
+                                <select id="gf-waypoint">
+                                    ${waypoints.length ? waypoints.map(w => `<option value="${w.id}" ${f.waypointId === w.id ? 'selected' : ''}>📍 ${Helpers.escapeHtml(w.name)}</option>`).join('') : '<option value="">No waypoints</option>'}
+                                </select>
+                            </div>
+                            <div class="form-group" style="flex:1">
+                                <label>Radius (m)</label>
+                                <input type="number" id="gf-radius" min="10" step="10" value="${f.radiusM || 200}">
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label>Alert on</label>
+                            <div style="display:flex;gap:12px;flex-wrap:wrap;align-items:center;font-size:12px">
+                                <label style="display:flex;gap:4px;align-items:center"><input type="checkbox" id="gf-enter" ${f.alertOn.enter ? 'checked' : ''}> Enter</label>
+                                <label style="display:flex;gap:4px;align-items:center"><input type="checkbox" id="gf-exit" ${f.alertOn.exit ? 'checked' : ''}> Exit</label>
+                                <label style="display:flex;gap:4px;align-items:center"><input type="checkbox" id="gf-dwell" ${f.alertOn.dwell ? 'checked' : ''}> Dwell</label>
+                                <input type="number" id="gf-dwell-min" min="1" value="${f.dwellMinutes}" style="width:60px" title="Dwell minutes"> min
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label>Watch</label>
+                            <div style="display:flex;gap:12px;flex-wrap:wrap;font-size:12px">
+                                ${Object.entries(GeofenceModule.SOURCE_LABELS).map(([src, label]) => `
+                                    <label style="display:flex;gap:4px;align-items:center"><input type="checkbox" data-gf-watch="${src}" ${f.watch[src] ? 'checked' : ''}> ${src === 'self' ? 'Me' : label}</label>
+                                `).join('')}
+                            </div>
+                        </div>
+                        <div style="display:flex;gap:8px">
+                            <div class="form-group" style="flex:1">
+                                <label>Severity</label>
+                                <select id="gf-severity">
+                                    ${Object.values(AlertModule.SEVERITY).map(s => `<option value="${s}" ${f.severity === s ? 'selected' : ''}>${s}</option>`).join('')}
+                                </select>
+                            </div>
+                            <div class="form-group" style="flex:1">
+                                <label>Cooldown (min)</label>
+                                <input type="number" id="gf-cooldown" min="0" value="${f.cooldownMinutes}">
+                            </div>
+                        </div>
+                    </div>
+                    <div class="modal__footer">
+                        <button class="btn btn--secondary" id="modal-cancel">Cancel</button>
+                        <button class="btn btn--primary" id="gf-save">${isEdit ? 'Save' : 'Create'}</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        const closeModal = () => { modalContainer.innerHTML = ''; };
+        const q = (sel) => modalContainer.querySelector(sel);
+        
+        q('#modal-close').onclick = closeModal;
+        q('#modal-cancel').onclick = closeModal;
+        q('#modal-backdrop').onclick = (e) => {
+            if (e.target.id === 'modal-backdrop') closeModal();
+        };
+        q('#gf-shape').onchange = () => {
+            const radius = q('#gf-shape').value === 'radius';
+            q('#gf-area-group').style.display = radius ? 'none' : '';
+            q('#gf-radius-group').style.display = radius ? 'flex' : 'none';
+        };
+        
+        q('#gf-save').onclick = async () => {
+            const shape = q('#gf-shape').value;
+            const watch = {};
+            modalContainer.querySelectorAll('[data-gf-watch]').forEach(box => { watch[box.dataset.gfWatch] = box.checked; });
+            const data = {
+                name: q('#gf-name').value,
+                shape,
+                areaId: shape === 'area' ? q('#gf-area').value : null,
+                waypointId: shape === 'radius' ? q('#gf-waypoint').value : null,
+                radiusM: parseFloat(q('#gf-radius').value),
+                alertOn: { enter: q('#gf-enter').checked, exit: q('#gf-exit').checked, dwell: q('#gf-dwell').checked },
+                dwellMinutes: parseFloat(q('#gf-dwell-min').value),
+                watch,
+                severity: q('#gf-severity').value,
+                cooldownMinutes: parseFloat(q('#gf-cooldown').value)
+            };
+            if (!data.name.trim()) {
+                const source = shape === 'area'
+                    ? areas.find(a => a.id === data.areaId)
+                    : waypoints.find(w => w.id === data.waypointId);
+                data.name = source?.name || '';
+            }
+            try {
+                if (isEdit) {
+                    await GeofenceModule.updateFence(fence.id, data);
+                } else {
+                    await GeofenceModule.addFence(data);
+                }
+                closeModal();
+                ModalsModule.showToast(`🛡 Geofence ${isEdit ? 'saved' : 'created'}`, 'success');
+            } catch (err) {
+                ModalsModule.showToast(err.message, 'error');
+            }
+        };
+    }
+    
+    /**
+     * Lost-person search plan panel - IPP rings, segments, assignments and sorties
+     */
+    function renderSearchPlan() {
+        _saveScroll(); _restoreScroll();
+        const plan = SearchPlanModule.getPlan();
+        const f = searchPlanForm;
+        const pct = SearchPlanModule.formatPercent;
+        
+        if (!plan) {
+            const waypoints = (State.get('waypoints') || []).filter(w => w.lat && w.lon);
+            const checkpoints = getContingencyCheckpoints();
+            const cat = SearchPlanModule.SUBJECT_CATEGORIES[f.category];
+            
+            container.innerHTML = `
+                <div class="panel__header">
+                    <h2 class="panel__title">Lost Person</h2>
+                </div>
+                
+                <div class="empty-state" style="padding:16px 0">
+                    <div class="empty-state__icon">${Icons.get('target')}</div>
+                    <div class="empty-state__title">No active search</div>
+                    <div class="empty-state__desc">Start an incident from the initial planning point (IPP) to get distance rings by subject category</div>
+                </div>
+                
+                <div class="form-group">
+                    <label>Incident name</label>
+                    <input type="text" id="sp-name" placeholder="e.g. Missing hiker – Eagle Creek">
+                </div>
+                <div class="form-group">
+                    <label>Subject category</label>
+                    <select id="sp-category">
+                        ${Object.entries(SearchPlanModule.SUBJECT_CATEGORIES).map(([key, c]) => `
+                            <option value="${key}" ${f.category === key ? 'selected' : ''}>${c.icon} ${c.label}</option>
+                        `).join('')}
+                    </select>
+                    <div style="font-size:11px;color:rgba(255,255,255,0.4);margin-top:4px">
+                        25/50/75/95%: ${cat.rings.join(' / ')} km (editable after creating)
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label>IPP</label>
+                    <select id="sp-ipp">
+                        <option value="center" ${f.ipp === 'center' ? 'selected' : ''}>Map center</option>
+                        <option value="gps" ${f.ipp === 'gps' ? 'selected' : ''}>My position</option>
+                        ${waypoints.map(w => `
+                            <option value="wp:${w.id}" ${f.ipp === 'wp:' + w.id ? 'selected' : ''}>📍 ${Helpers.escapeHtml(w.name)}</option>
+                        `).join('')}
+                        ${checkpoints.map((cp, i) => `
+                            <option value="cp:${i}" ${f.ipp === 'cp:' + i ? 'selected' : ''}>🛡️ ${Helpers.escapeHtml(cp.name || 'Checkpoint ' + (i + 1))} (contingency plan)</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <button class="btn btn--primary btn--full" id="sp-create">Start Search</button>
+            `;
+            
+            container.querySelector('#sp-category').onchange = (e) => {
+                f.category = e.target.value;
+                f.ipp = container.querySelector('#sp-ipp').value;
+                renderSearchPlan();
+            };
+            container.querySelector('#sp-create').onclick = () => {
+                f.ipp = container.querySelector('#sp-ipp').value;
+                const ipp = resolveSearchPlanIpp(f.ipp, waypoints, checkpoints);
+                if (!ipp) {
+                    ModalsModule.showToast('No position for that IPP', 'error');
+                    return;
+                }
+                try {
+                    SearchPlanModule.createIncident({
+                        name: container.querySelector('#sp-name').value,
+                        category: f.category,
+                        ipp
+                    });
+                    ModalsModule.showToast('Search started', 'success');
+                } catch (err) {
+                    ModalsModule.showToast(err.message, 'error');
+                }
+            };
+            return;
+        }
+        
+        const cat = SearchPlanModule.SUBJECT_CATEGORIES[plan.category];
+        const segments = SearchPlanModule.getSegments();
+        const segmentAreaIds = new Set(plan.segments.map(s => s.areaId));
+        const freeAreas = (State.get('areas') || []).filter(a => !segmentAreaIds.has(a.id));
+        const members = SearchPlanModule.getAssignableMembers();
+        const sources = SearchPlanModule.getTrackSources();
+        const statuses = SearchPlanModule.SEGMENT_STATUS;
+        
+        container.innerHTML = `
+            <div class="panel__header">
+                <h2 class="panel__title">Lost Person</h2>
+            </div>
+            
+            <div class="card" style="margin-bottom:16px;border-color:#f97316">
+                <div class="card__header">
+                    <div class="card__icon" style="background:rgba(249,115,22,0.15)">${cat.icon}</div>
+                    <div style="flex:1">
+                        <div class="card__title">${Helpers.escapeHtml(plan.name)}</div>
+                        <div class="card__subtitle">
+                            ${cat.label} • IPP ${Helpers.escapeHtml(plan.ipp.name)} ${plan.ipp.lat.toFixed(5)}, ${plan.ipp.lon.toFixed(5)}
+                        </div>
+                    </div>
+                </div>
+                <div style="display:grid;grid-template-columns:repeat(3,1fr);gap:8px;margin:12px 0;text-align:center">
+                    <div>
+                        <div style="font-size:18px;font-weight:600">${pct(plan.row)}</div>
+                        <div style="font-size:11px;color:rgba(255,255,255,0.5)">ROW</div>
+                    </div>
+                    <div>
+                        <div style="font-size:18px;font-weight:600">${pct(SearchPlanModule.getCumulativePos())}</div>
+                        <div style="font-size:11px;color:rgba(255,255,255,0.5)">Cumulative POS</div>
+                    </div>
+                    <div>
+                        <div style="font-size:18px;font-weight:600">${plan.sorties.length}</div>
+                        <div style="font-size:11px;color:rgba(255,255,255,0.5)">Sorties</div>
+                    </div>
+                </div>
+                <label style="display:flex;align-items:center;gap:8px;font-size:12px;margin-bottom:12px">
+                    <input type="checkbox" id="sp-show-map" ${plan.showOnMap ? 'checked' : ''}> Show rings on map
+                </label>
+                <div style="display:flex;gap:8px">
+                    <button class="btn btn--secondary" id="sp-zoom-ipp" style="flex:1">🎯 IPP</button>
+                    <button class="btn btn--secondary" id="sp-move-ipp" style="flex:1">Move IPP to center</button>
+                    <button class="btn btn--secondary" id="sp-close" style="flex:1">Close</button>
+                </div>
+            </div>
+            
+            <details style="margin-bottom:12px" id="sp-rings-details" ${f.ringsOpen ? 'open' : ''}>
+                <summary class="section-label" style="cursor:pointer">Distance Rings</summary>
+                <div style="padding:12px;background:rgba(255,255,255,0.03);border-radius:10px">
+                    <div class="form-group">
+                        <label>Subject category</label>
+                        <select id="sp-ring-category">
+                            ${Object.entries(SearchPlanModule.SUBJECT_CATEGORIES).map(([key, c]) => `
+                                <option value="${key}" ${plan.category === key ? 'selected' : ''}>${c.icon} ${c.label}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div style="display:grid;grid-template-columns:repeat(4,1fr);gap:8px">
+                        ${plan.rings.map((km, i) => `
+                            <div class="form-group">
+                                <label>${SearchPlanModule.RING_PERCENTILES[i]}% (km)</label>
+                                <input type="number" data-sp-ring="${i}" min="0.01" step="0.1" value="${km}">
+                            </div>
+                        `).join('')}
+                    </div>
+                    <button class="btn btn--primary btn--full" id="sp-save-rings">Save Rings</button>
+                    ${plan.sorties.length > 0 ? `
+                        <div style="font-size:11px;color:rgba(255,255,255,0.4);margin-top:6px">
+                            Sorties are recorded, so ring changes apply to new segments only until POA is reset.
+                        </div>
+                    ` : ''}
+                </div>
+            </details>
+            
+            <div class="section-label">Segments (${segments.length})</div>
+            <div style="padding:12px;background:rgba(255,255,255,0.03);border-radius:10px;margin-bottom:12px">
+                ${freeAreas.length === 0 ? `
+                    <div style="font-size:12px;color:rgba(255,255,255,0.5)">
+                        Draw search areas in the Areas panel, then add them here or divide one into a grid.
+                    </div>
+                ` : `
+                    <div class="form-group">
+                        <label>Area</label>
+                        <select id="sp-area">
+                            ${freeAreas.map(a => `
+                                <option value="${a.id}" ${f.areaId === a.id ? 'selected' : ''}>${Helpers.escapeHtml(a.name)} (${AreasModule.formatArea(AreasModule.computeArea(a.points))})</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div style="display:flex;gap:8px;align-items:flex-end">
+                        <button class="btn btn--secondary" id="sp-add-segment" style="flex:1">+ As one segment</button>
+                        <div class="form-group" style="flex:1;margin-bottom:0">
+                            <label>Cell (m)</label>
+                            <input type="number" id="sp-cell-size" min="50" step="50" value="${f.cellSize}">
+                        </div>
+                        <button class="btn btn--secondary" id="sp-divide" style="flex:1">▦ Divide</button>
+                    </div>
+                `}
+            </div>
+            
+            ${segments.map(seg => {
+                const status = statuses[seg.status] || statuses.unassigned;
+                return `
+                    <div class="card" style="margin-bottom:8px">
+                        <div class="card__header">
+                            <div class="card__icon" style="background:${seg.area.color}26;color:${seg.area.color}">⬡</div>
+                            <div style="flex:1">
+                                <div class="card__title">${Helpers.escapeHtml(seg.label)}</div>
+                                <div class="card__subtitle">
+                                    ${AreasModule.formatArea(AreasModule.computeArea(seg.area.points))} •
+                                    <span style="color:${status.color}">${status.label}</span>
+                                    ${seg.effortMeters > 0 ? ` • ${(seg.effortMeters / 1000).toFixed(2)} km searched` : ''}
+                                </div>
+                            </div>
+                            <button class="btn btn--secondary" data-sp-remove="${seg.id}" style="padding:6px" title="Remove segment" aria-label="Remove ${Helpers.escapeHtml(seg.label)}">🗑️</button>
+                        </div>
+                        <div style="display:grid;grid-template-columns:1fr 1fr 1fr;gap:8px;margin-top:8px">
+                            <div class="form-group" style="margin-bottom:0">
+                                <label>POA %${seg.manualPoa ? ' ✎' : ''}</label>
+                                <input type="number" data-sp-poa="${seg.id}" min="0" max="100" step="0.1" value="${((seg.poa || 0) * 100).toFixed(1)}">
+                            </div>
+                            <div class="form-group" style="margin-bottom:0">
+                                <label>Cum. POD</label>
+                                <div style="padding:8px 0;font-weight:600">${pct(seg.podCumulative)}</div>
+                            </div>
+                            <div class="form-group" style="margin-bottom:0">
+                                <label>Assigned</label>
+                                <select data-sp-assign="${seg.id}">
+                                    <option value="">—</option>
+                                    ${members.map(m => `
+                                        <option value="${m.id}" ${seg.assignedTo === m.id ? 'selected' : ''}>${Helpers.escapeHtml(m.name || m.id)}</option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                        </div>
+                    </div>
+                `;
+            }).join('')}
+            
+            ${segments.length > 0 ? `
+                <button class="btn btn--secondary btn--full" id="sp-reset-poa" style="margin-bottom:16px">↺ Reset POA from rings</button>
+                
+                <div class="section-label">Record Sortie</div>
+                <div style="padding:12px;background:rgba(255,255,255,0.03);border-radius:10px;margin-bottom:16px">
+                    ${sources.length === 0 ? `
+                        <div style="font-size:12px;color:rgba(255,255,255,0.5)">
+                            No tracks yet. Record a GPS track, save a route, or assign segments to team members to collect their breadcrumbs.
+                        </div>
+                    ` : `
+                        <div class="form-group">
+                            <label>Track</label>
+                            <select id="sp-source">
+                                ${sources.map(s => `
+                                    <option value="${Helpers.escapeHtml(s.id)}" ${f.sourceId === s.id ? 'selected' : ''}>${Helpers.escapeHtml(s.label)}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label>Effective sweep width (m)</label>
+                            <input type="number" id="sp-sweep" min="1" value="${f.sweepWidth || plan.sweepWidth}">
+                        </div>
+                        <div style="display:flex;gap:8px">
+                            <button class="btn btn--secondary" id="sp-preview" style="flex:1">Preview POD</button>
+                            <button class="btn btn--primary" id="sp-record" style="flex:1">Record Sortie</button>
+                        </div>
+                        ${f.preview ? `
+                            <div style="margin-top:12px;font-size:12px">
+                                ${f.preview.length === 0 ? 'Track does not cross any segment' : f.preview.map(r => `
+                                    <div style="display:flex;justify-content:space-between;padding:4px 0;border-bottom:1px solid rgba(255,255,255,0.06)">
+                                        <span>${Helpers.escapeHtml(r.label)}</span>
+                                        <span>${(r.lengthM / 1000).toFixed(2)} km • C ${r.coverage.toFixed(2)} • POD ${pct(r.pod)}</span>
+                                    </div>
+                                `).join('')}
+                            </div>
+                        ` : ''}
+                    `}
+                </div>
+            ` : ''}
+            
+            ${plan.sorties.length > 0 ? `
+                <div class="section-label">Sorties</div>
+                ${plan.sorties.slice().reverse().map(s => `
+                    <div style="padding:8px 12px;background:rgba(255,255,255,0.03);border-radius:8px;margin-bottom:6px;font-size:12px">
+                        <div style="display:flex;justify-content:space-between">
+                            <span>${Helpers.escapeHtml(s.source)}</span>
+                            <span style="font-weight:600">POS ${pct(s.pos)}</span>
+                        </div>
+                        <div style="color:rgba(255,255,255,0.5);margin-top:2px">
+                            ${new Date(s.at).toLocaleString()} • W ${s.sweepWidth} m •
+                            ${s.results.map(r => `${Helpers.escapeHtml(r.label)} ${pct(r.pod)}`).join(', ')}
+                        </div>
+                    </div>
+                `).join('')}
+            ` : ''}
+        `;
+        
+        attachSearchPlanHandlers(plan);
+    }
+    
+    function attachSearchPlanHandlers(plan) {
+        const f = searchPlanForm;
+        const q = (sel) => container.querySelector(sel);
+        const run = async (fn, successMsg) => {
+            try {
+                await fn();
+                if (successMsg) ModalsModule.showToast(successMsg, 'success');
+            } catch (err) {
+                ModalsModule.showToast(err.message, 'error');
+            }
+        };
+        
+        q('#sp-show-map').onchange = (e) => SearchPlanModule.updateIncident({ showOnMap: e.target.checked });
+        q('#sp-zoom-ipp').onclick = () => MapModule.setCenter(plan.ipp.lat, plan.ipp.lon);
+        q('#sp-move-ipp').onclick = () => {
+            const c = MapModule.getCenter();
+            SearchPlanModule.updateIncident({ ipp: { lat: c.lat, lon: c.lon } });
+        };
+        q('#sp-close').onclick = () => {
+            if (confirm(`Close "${plan.name}"? Segment areas stay on the map.`)) {
+                f.preview = null;
+                SearchPlanModule.closeIncident();
+            }
+        };
+        
+        const ringsDetails = q('#sp-rings-details');
+        ringsDetails.ontoggle = () => { f.ringsOpen = ringsDetails.open; };
+        q('#sp-ring-category').onchange = (e) => SearchPlanModule.updateIncident({ category: e.target.value });
+        q('#sp-save-rings').onclick = () => {
+            const rings = [...container.querySelectorAll('[data-sp-ring]')].map(el => parseFloat(el.value));
+            SearchPlanModule.updateIncident({ rings });
+            ModalsModule.showToast('Rings saved', 'success');
+        };
+        
+        const areaSelect = q('#sp-area');
+        if (areaSelect) {
+            const readArea = () => {
+                f.areaId = areaSelect.value;
+                f.cellSize = parseFloat(q('#sp-cell-size').value) || f.cellSize;
+            };
+            q('#sp-add-segment').onclick = () => run(() => { readArea(); SearchPlanModule.addSegmentFromArea(f.areaId); }, 'Segment added');
+            q('#sp-divide').onclick = () => run(async () => {
+                readArea();
+                const cells = await SearchPlanModule.divideAreaIntoGrid(f.areaId, f.cellSize);
+                ModalsModule.showToast(`${cells.length} segments created`, 'success');
+            });
+        }
+        
+        container.querySelectorAll('[data-sp-poa]').forEach(input => {
+            input.onchange = () => {
+                const value = input.value.trim();
+                SearchPlanModule.updateSegment(input.dataset.spPoa, { poa: value === '' ? null : parseFloat(value) / 100 });
+            };
+        });
+        container.querySelectorAll('[data-sp-assign]').forEach(select => {
+            select.onchange = () => SearchPlanModule.updateSegment(select.dataset.spAssign, { assignedTo: select.value || null });
+        });
+        container.querySelectorAll('[data-sp-remove]').forEach(btn => {
+            btn.onclick = () => {
+                if (confirm('Remove this segment? Its area stays on the map.')) {
+                    SearchPlanModule.removeSegment(btn.dataset.spRemove);
+                }
+            };
+        });
+        
+        const resetBtn = q('#sp-reset-poa');
+        if (resetBtn) {
+            resetBtn.onclick = () => {
+                if (plan.sorties.length === 0 || confirm('Discard all recorded sorties and manual POA estimates?')) {
+                    f.preview = null;
+                    SearchPlanModule.resetPoa();
+                }
+            };
+        }
+        
+        const sourceSelect = q('#sp-source');
+        if (sourceSelect) {
+            const readSortie = () => {
+                f.sourceId = sourceSelect.value;
+                f.sweepWidth = parseFloat(q('#sp-sweep').value) || plan.sweepWidth;
+            };
+            sourceSelect.onchange = () => {
+                readSortie();
+                f.preview = null;
+                renderSearchPlan();
+            };
+            q('#sp-preview').onclick = () => {
+                readSortie();
+                const source = SearchPlanModule.getTrackSources().find(s => s.id === f.sourceId);
+                f.preview = source ? SearchPlanModule.evaluateTrack(source.points, f.sweepWidth) : [];
+                renderSearchPlan();
+            };
+            q('#sp-record').onclick = () => run(() => {
+                readSortie();
+                const sortie = SearchPlanModule.recordSortie({ sourceId: f.sourceId, sweepWidth: f.sweepWidth });
+                f.preview = null;
+                ModalsModule.showToast(`Sortie recorded: POS ${SearchPlanModule.formatPercent(sortie.pos)}`, 'success');
+            });
+        }
+    }
+    
+    /**
+     * Checkpoints of the current contingency plan, usable as an IPP
+     */
+    function getContingencyCheckpoints() {
+        if (typeof ContingencyModule === 'undefined') return [];
+        const cps = ContingencyModule.getCurrentPlan()?.rawData?.checkpoints?.checkpoints || [];
+        return cps.filter(cp => cp.coords && Number.isFinite(cp.coords.lat));
+    }
+    
+    function resolveSearchPlanIpp(value, waypoints, checkpoints) {
+        if (value === 'center') {
+            const c = MapModule.getCenter();
+            return { lat: c.lat, lon: c.lon, name: 'IPP' };
+        }
+        if (value === 'gps') {
+            const pos = typeof GPSModule !== 'undefined' ? GPSModule.getPosition() : null;
+            return pos && pos.lat && pos.lon ? { lat: pos.lat, lon: pos.lon, name: 'IPP' } : null;
+        }
+        if (value.startsWith('wp:')) {
+            const wp = waypoints.find(w => w.id === value.slice(3));
+            return wp ? { lat: wp.lat, lon: wp.lon, name: wp.name } : null;
+        }
+        if (value.startsWith('cp:')) {
+            const cp = checkpoints[parseInt(value.slice(3))];
+            return cp ? { lat: cp.coords.lat, lon: cp.coords.lon, name: cp.name || 'Last checkpoint' } : null;
+        }
+        return null;
+    }
+
+    function renderLogistics() {
+        _saveScroll(); _restoreScroll();
+        const config = LogisticsModule.getConfig();
+        const profiles = LogisticsModule.getProfiles();
+        const routes = State.get('routes');
+        const waypoints = State.get('waypoints');
+        
+        // Run analysis if we have a route
+        let analysis = null;
+        let report = null;
+        if (routes.length > 0 && routes[0].points?.length >= 2) {
+            analysis = LogisticsModule.analyzeRoute(routes[0], waypoints, config);
+            report = LogisticsModule.generateReport(analysis);
+        }
+        
+        const waterCount = waypoints.filter(w => w.type === 'water').length;
+        const fuelCount = waypoints.filter(w => w.type === 'fuel').length;
+        const bailCount = waypoints.filter(w => w.type === 'bailout').length;
+
+        container.innerHTML = `
+            <div class="panel__header"><h2 class="panel__title">Logistics Calculator</h2></div>
+            
+            <!-- Vehicle Selection -->
+            <div class="section-label">Vehicle Profile</div>
+            <div class="vehicle-grid">
+                ${Object.entries(profiles.vehicles).map(([k, v]) => `
+                    <button class="vehicle-btn ${config.vehicle === k ? 'vehicle-btn--selected' : ''}" data-vehicle="${k}">
+                        <div class="vehicle-btn__name">${v.icon} ${v.name}</div>
+                        <div class="vehicle-btn__specs">${v.fuelCapacity} gal • ${v.consumption.road} mpg</div>
+                    </button>
+                `).join('')}
+            </div>
+            
             <!-- Aux Fuel -->
             <div style="margin-top:12px;display:flex;align-items:center;gap:10px">
                 <label style="font-size:12px;color:rgba(255,255,255,0.6)">Extra Fuel (gal):</label>
@@ -2037,6 +3673,12 @@ const PanelsModule = (function() {
                         ${Icons.get('download')} Current View
                     </button>
                 </div>
+                ${typeof MBTilesModule !== 'undefined' ? `
+                    <button class="btn btn--secondary btn--full" id="import-mbtiles" style="margin-bottom:20px;margin-top:-12px">
+                        ${Icons.get('upload')} Import MBTiles File
+                    </button>
+                    <input type="file" id="mbtiles-file-input" accept=".mbtiles" style="display:none">
+                ` : ''}
             ` : ''}
             
             <div class="divider"></div>
@@ -2070,7 +3712,7 @@ const PanelsModule = (function() {
                                         ${Icons.get(status.icon)}
                                     </div>
                                     <div style="flex:1">
-                                        <div class="card__title">${r.name}</div>
+                                        <div class="card__title">${escapeHtml(r.name)}</div>
                                         <div class="card__subtitle">
                                             ${r.tileCount?.toLocaleString() || '?'} tiles • 
                                             ~${OfflineModule.formatSize(r.estimatedSize || 0)} • 
@@ -2083,7 +3725,7 @@ const PanelsModule = (function() {
                                 </div>
                                 ${r.status === 'downloaded' || r.status === 'partial' ? `
                                     <div style="margin-top:8px;padding-top:8px;border-top:1px solid rgba(255,255,255,0.06);display:flex;justify-content:space-between;font-size:11px;color:rgba(255,255,255,0.4)">
-                                        <span>Layers: ${(r.layers || []).join(', ')}</span>
+                                        <span>${r.source === 'mbtiles' ? 'Imported MBTiles' : 'Layers: ' + (r.layers || []).join(', ')}</span>
                                         <span>${r.lastSync ? 'Synced ' + new Date(r.lastSync).toLocaleDateString() : ''}</span>
                                     </div>
                                 ` : ''}
@@ -2100,6 +3742,11 @@ const PanelsModule = (function() {
             
             <div class="divider"></div>
             
+            <!-- Offline Elevation (DEM) -->
+            ${renderDEMSection()}
+            
+            <div class="divider"></div>
+            
             <!-- Storage Management -->
             <div class="section-label">Storage Management</div>
             <div style="display:flex;flex-direction:column;gap:8px">
@@ -2161,6 +3808,36 @@ const PanelsModule = (function() {
             };
         }
         
+        const importMBTilesBtn = container.querySelector('#import-mbtiles');
+        if (importMBTilesBtn) {
+            const fileInput = container.querySelector('#mbtiles-file-input');
+            importMBTilesBtn.onclick = () => fileInput.click();
+            fileInput.onchange = async () => {
+                const file = fileInput.files[0];
+                if (!file) return;
+                importMBTilesBtn.disabled = true;
+                importMBTilesBtn.textContent = 'Reading tile index...';
+                try {
+                    const { pack } = await MBTilesModule.importFile(file, ({ scanned }) => {
+                        importMBTilesBtn.textContent = `Reading tile index... ${scanned.toLocaleString()} tiles`;
+                    });
+                    
+                    // Show the pack: switch to its layer and move there if it is out of view
+                    MapModule.setBaseLayer(pack.format === 'pbf' ? 'vector' : 'mbtiles');
+                    const center = MapModule.getCenter();
+                    const b = pack.bounds;
+                    if (center.lat < b.south || center.lat > b.north || center.lon < b.west || center.lon > b.east) {
+                        MapModule.setCenter((b.north + b.south) / 2, (b.east + b.west) / 2,
+                            Math.min(pack.maxZoom, Math.max(pack.minZoom, 10)));
+                    }
+                    ModalsModule.showToast(`Imported "${pack.name}" — ${pack.tileCount.toLocaleString()} tiles, z${pack.minZoom}-${pack.maxZoom}`, 'success');
+                } catch (err) {
+                    ModalsModule.showToast('MBTiles import failed: ' + err.message, 'error');
+                }
+                renderOffline();
+            };
+        }
+        
         const cancelDrawingBtn = container.querySelector('#cancel-drawing');
         if (cancelDrawingBtn) {
             cancelDrawingBtn.onclick = () => {
@@ -2176,43 +3853,212 @@ const PanelsModule = (function() {
             };
         }
         
-        // Delete region handlers
-        container.querySelectorAll('[data-delete-region]').forEach(btn => {
-            btn.onclick = async (e) => {
-                e.stopPropagation();
-                const regionId = btn.dataset.deleteRegion;
-                if (confirm('Delete this offline region? Cached tiles will be removed.')) {
+        // Delete region handlers
+        container.querySelectorAll('[data-delete-region]').forEach(btn => {
+            btn.onclick = async (e) => {
+                e.stopPropagation();
+                const regionId = btn.dataset.deleteRegion;
+                if (confirm('Delete this offline region? Cached tiles will be removed.')) {
+                    try {
+                        await OfflineModule.deleteRegion(regionId);
+                        ModalsModule.showToast('Region deleted', 'success');
+                        renderOffline();
+                    } catch (err) {
+                        ModalsModule.showToast('Failed to delete region: ' + err.message, 'error');
+                    }
+                }
+            };
+        });
+        
+        // Clear cache handler
+        const clearCacheBtn = container.querySelector('#clear-cache');
+        if (clearCacheBtn) {
+            clearCacheBtn.onclick = async () => {
+                if (confirm('Clear all cached map tiles? You will need to re-download regions for offline use.')) {
+                    try {
+                        await caches.delete('griddown-tiles-v1');
+                        if (typeof MBTilesModule !== 'undefined') await MBTilesModule.deleteAll();
+                        await Storage.Settings.set('offlineRegions', []);
+                        State.set('mapRegions', []);
+                        ModalsModule.showToast('Cache cleared', 'success');
+                        renderOffline();
+                    } catch (err) {
+                        ModalsModule.showToast('Failed to clear cache: ' + err.message, 'error');
+                    }
+                }
+            };
+        }
+        
+        attachDEMHandlers();
+        
+        // Background sync status
+        updateBackgroundSyncStatus();
+    }
+    
+    /**
+     * Render offline elevation (DEM) section for the Offline panel
+     */
+    function renderDEMSection() {
+        if (typeof DEMModule === 'undefined') return '';
+        
+        const demSources = DEMModule.getSources();
+        const demStats = DEMModule.getStats();
+        const demProgress = DEMModule.getDownloadProgress();
+        const formatBytes = (bytes) => OfflineModule.formatSize(bytes / 1024);
+        
+        return `
+            <div class="section-label" style="display:flex;align-items:center;gap:8px">
+                ⛰️ Offline Elevation
+                <span style="font-size:10px;color:rgba(255,255,255,0.3);font-weight:400">${formatBytes(demStats.sizeBytes)}</span>
+            </div>
+            <div style="font-size:11px;color:rgba(255,255,255,0.5);margin-bottom:10px">
+                Terrain analysis, elevation profiles and RF line-of-sight use this data first and only go to the network where it has no coverage.
+            </div>
+            
+            ${demProgress ? `
+                <div style="padding:12px;background:rgba(34,197,94,0.08);border:1px solid rgba(34,197,94,0.25);border-radius:10px;margin-bottom:10px">
+                    <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:8px">
+                        <span style="font-size:12px">Downloading elevation "${escapeHtml(demProgress.name || 'DEM')}"</span>
+                        <button class="btn btn--secondary" id="dem-cancel" style="padding:4px 10px;font-size:11px">Cancel</button>
+                    </div>
+                    <div style="font-size:11px;color:rgba(255,255,255,0.5)">
+                        ${demProgress.downloaded.toLocaleString()} / ${demProgress.total.toLocaleString()} tiles${demProgress.errors > 0 ? ` • ${demProgress.errors} failed` : ''}
+                    </div>
+                </div>
+            ` : ''}
+            
+            ${demSources.length === 0 ? `
+                <div style="font-size:12px;color:rgba(255,255,255,0.4);padding:10px;background:rgba(255,255,255,0.03);border-radius:8px;margin-bottom:10px">
+                    No elevation data stored — elevation requires a network connection.
+                </div>
+            ` : demSources.map(s => `
+                <div class="list-item" style="margin-bottom:6px">
+                    <div style="flex:1;min-width:0">
+                        <div style="font-size:12px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap">${escapeHtml(s.name)}</div>
+                        <div style="font-size:10px;color:rgba(255,255,255,0.4)">
+                            ${s.type === 'terrarium'
+                                ? `Terrarium z${s.zoom} • ${s.tileCount} tiles${s.failedTiles ? ` (${s.failedTiles} failed)` : ''}`
+                                : `${s.format === 'hgt' ? 'SRTM HGT' : 'GeoTIFF'} • ~${s.resolutionMeters} m`}
+                            • ${formatBytes(s.sizeBytes || 0)}
+                        </div>
+                    </div>
+                    <button class="btn btn--secondary" data-dem-delete="${s.id}" style="padding:6px" title="Delete">
+                        ${Icons.get('trash')}
+                    </button>
+                </div>
+            `).join('')}
+            
+            ${!demProgress ? `
+                <div style="display:flex;gap:8px;align-items:center;margin-top:8px">
+                    <select id="dem-zoom" style="flex:1" aria-label="DEM resolution">
+                        ${DEMModule.DEM_ZOOMS.map(z => `
+                            <option value="${z}" ${z === DEMModule.DEFAULT_DEM_ZOOM ? 'selected' : ''}>
+                                z${z} (~${Math.round(40075016 / (256 * Math.pow(2, z)))} m)
+                            </option>
+                        `).join('')}
+                    </select>
+                    <button class="btn btn--secondary" id="dem-download-view" style="flex:1">
+                        ${Icons.get('download')} Current View
+                    </button>
+                </div>
+                <button class="btn btn--secondary btn--full" id="dem-import" style="margin-top:8px">
+                    ${Icons.get('upload')} Import HGT / GeoTIFF
+                </button>
+                <input type="file" id="dem-import-file" accept=".hgt,.tif,.tiff" multiple style="display:none">
+            ` : ''}
+        `;
+    }
+    
+    /**
+     * Attach handlers for the offline elevation (DEM) section
+     */
+    function attachDEMHandlers() {
+        if (typeof DEMModule === 'undefined') return;
+        
+        const cancelBtn = container.querySelector('#dem-cancel');
+        if (cancelBtn) {
+            cancelBtn.onclick = () => DEMModule.cancelDownload();
+        }
+        
+        container.querySelectorAll('[data-dem-delete]').forEach(btn => {
+            btn.onclick = async () => {
+                if (!confirm('Delete this elevation data?')) return;
+                try {
+                    await DEMModule.deleteSource(btn.dataset.demDelete);
+                    ModalsModule.showToast('Elevation data deleted', 'success');
+                } catch (err) {
+                    ModalsModule.showToast('Failed to delete: ' + err.message, 'error');
+                }
+                renderOffline();
+            };
+        });
+        
+        const downloadBtn = container.querySelector('#dem-download-view');
+        if (downloadBtn) {
+            downloadBtn.onclick = () => {
+                const canvas = document.getElementById('map-canvas');
+                if (!canvas) return;
+                
+                const topLeft = MapModule.pixelToLatLon(0, 0);
+                const bottomRight = MapModule.pixelToLatLon(canvas.offsetWidth, canvas.offsetHeight);
+                const bounds = {
+                    north: topLeft.lat,
+                    south: bottomRight.lat,
+                    west: topLeft.lon,
+                    east: bottomRight.lon
+                };
+                const zoom = parseInt(container.querySelector('#dem-zoom').value, 10);
+                startDEMDownload({ name: `Elevation ${new Date().toLocaleDateString()}`, bounds, zoom });
+            };
+        }
+        
+        const importBtn = container.querySelector('#dem-import');
+        const importInput = container.querySelector('#dem-import-file');
+        if (importBtn && importInput) {
+            importBtn.onclick = () => importInput.click();
+            importInput.onchange = async () => {
+                const files = Array.from(importInput.files || []);
+                let imported = 0;
+                for (const file of files) {
                     try {
-                        await OfflineModule.deleteRegion(regionId);
-                        ModalsModule.showToast('Region deleted', 'success');
-                        renderOffline();
+                        await DEMModule.importFile(file);
+                        imported++;
                     } catch (err) {
-                        ModalsModule.showToast('Failed to delete region: ' + err.message, 'error');
+                        ModalsModule.showToast(`${file.name}: ${err.message}`, 'error');
                     }
                 }
+                if (imported > 0) {
+                    ModalsModule.showToast(`Imported ${imported} elevation file${imported > 1 ? 's' : ''}`, 'success');
+                }
+                renderOffline();
             };
-        });
+        }
+    }
+    
+    /**
+     * Run a DEM download, refreshing the Offline panel as it progresses
+     */
+    async function startDEMDownload(config) {
+        const estimate = DEMModule.estimateDownload(config.bounds, config.zoom);
+        if (estimate.tooLarge) {
+            ModalsModule.showToast(`Area needs ${estimate.tileCount.toLocaleString()} elevation tiles — choose a lower resolution`, 'error');
+            return;
+        }
         
-        // Clear cache handler
-        const clearCacheBtn = container.querySelector('#clear-cache');
-        if (clearCacheBtn) {
-            clearCacheBtn.onclick = async () => {
-                if (confirm('Clear all cached map tiles? You will need to re-download regions for offline use.')) {
-                    try {
-                        await caches.delete('griddown-tiles-v1');
-                        await Storage.Settings.set('offlineRegions', []);
-                        State.set('mapRegions', []);
-                        ModalsModule.showToast('Cache cleared', 'success');
-                        renderOffline();
-                    } catch (err) {
-                        ModalsModule.showToast('Failed to clear cache: ' + err.message, 'error');
-                    }
+        try {
+            const source = await DEMModule.downloadArea(config, (progress) => {
+                if (State.get('activePanel') === 'offline' && (progress.phase !== 'downloading' || progress.progress % 5 === 0)) {
+                    renderOffline();
                 }
-            };
+            });
+            if (source) {
+                ModalsModule.showToast('Elevation data ready for offline use', 'success');
+            }
+        } catch (err) {
+            ModalsModule.showToast('Elevation download failed: ' + err.message, 'error');
         }
         
-        // Background sync status
-        updateBackgroundSyncStatus();
+        if (State.get('activePanel') === 'offline') renderOffline();
     }
     
     /**
@@ -2449,6 +4295,14 @@ const PanelsModule = (function() {
                             ⚠️ Large download. Consider reducing zoom levels or selecting a smaller area.
                         </div>
                         
+                        ${typeof DEMModule !== 'undefined' ? `
+                            <!-- Offline elevation option -->
+                            <label class="checkbox-field" style="margin-top:12px">
+                                <input type="checkbox" id="include-dem" style="width:auto" checked>
+                                <span>Include elevation data (z${DEMModule.DEFAULT_DEM_ZOOM}, ~${OfflineModule.formatSize(DEMModule.estimateDownload(bounds).sizeBytes / 1024)})</span>
+                            </label>
+                        ` : ''}
+                        
                         <!-- Background sync option -->
                         <div id="background-sync-option" style="margin-top:16px;padding:14px;background:rgba(59,130,246,0.1);border:1px solid rgba(59,130,246,0.2);border-radius:10px">
                             <label class="checkbox-field" style="margin:0">
@@ -2550,6 +4404,7 @@ const PanelsModule = (function() {
             
             const regionConfig = { name, bounds, minZoom, maxZoom, layers };
             const useBackgroundSync = domCache.get('use-background-sync')?.checked;
+            const includeDEM = typeof DEMModule !== 'undefined' && document.getElementById('include-dem')?.checked;
             
             closeModal();
             
@@ -2561,6 +4416,9 @@ const PanelsModule = (function() {
                     if (result.supported) {
                         ModalsModule.showToast(`Downloading ${result.tileCount.toLocaleString()} tiles in background`, 'success');
                         renderOffline();
+                        if (includeDEM) {
+                            startDEMDownload({ name, bounds, regionId: result.region?.id });
+                        }
                         return;
                     }
                 } catch (err) {
@@ -2570,7 +4428,7 @@ const PanelsModule = (function() {
             
             // Foreground download (fallback or explicitly selected)
             try {
-                await OfflineModule.downloadRegion(regionConfig, (progress) => {
+                const region = await OfflineModule.downloadRegion(regionConfig, (progress) => {
                     // Update panel every 2% or on completion
                     if (progress.phase === 'complete' || progress.phase === 'cancelled' || progress.progress % 2 === 0) {
                         renderOffline();
@@ -2578,6 +4436,10 @@ const PanelsModule = (function() {
                 });
                 
                 ModalsModule.showToast('Download complete!', 'success');
+                
+                if (includeDEM && region) {
+                    await startDEMDownload({ name, bounds, regionId: region.id });
+                }
             } catch (err) {
                 if (err.message !== 'Download cancelled') {
                     ModalsModule.showToast('Download failed: ' + err.message, 'error');
@@ -2624,7 +4486,9 @@ const PanelsModule = (function() {
                         </div>
                         <div style="font-size:11px;color:rgba(255,255,255,0.5)">
                             ${isConnected 
-                                ? `${status.positionCount} positions • ${status.markerCount} markers` 
+                                ? `${status.positionCount} positions • ${status.markerCount} markers` +
+                                    (status.routeCount + status.shapeCount > 0 ? ` • ${status.routeCount + status.shapeCount} routes/shapes` : '') +
+                                    (status.detectedFormat === 'xml' ? ' • CoT XML' : '')
                                 : 'Connect to receive CoT data from compatible apps'}
                         </div>
                     </div>
@@ -2697,6 +4561,8 @@ const PanelsModule = (function() {
                         `}
                     </div>
                     
+                    ${renderTAKSync()}
+                    
                     <div style="display:flex;gap:8px">
                         <button class="btn btn--secondary" id="tak-disconnect-btn" style="flex:1;font-size:11px;padding:6px;color:#ef4444">
                             Disconnect
@@ -2724,6 +4590,15 @@ const PanelsModule = (function() {
                         <div style="font-size:10px;color:rgba(255,255,255,0.3);margin-top:6px">
                             Run griddown-cot-bridge on a Raspberry Pi to receive CoT multicast
                         </div>
+                        
+                        <div style="display:flex;align-items:center;gap:8px;margin-top:10px">
+                            <span style="font-size:11px;color:rgba(255,255,255,0.4)">PROTOCOL</span>
+                            <select id="tak-wire-format" style="flex:1;padding:6px 8px;font-size:11px;background:#1a1f2e;color:#fff;border:1px solid rgba(255,255,255,0.2);border-radius:6px">
+                                <option value="auto" ${status.wireFormat === 'auto' ? 'selected' : ''}>Auto-detect</option>
+                                <option value="json" ${status.wireFormat === 'json' ? 'selected' : ''}>GridDown bridge (JSON)</option>
+                                <option value="xml" ${status.wireFormat === 'xml' ? 'selected' : ''}>CoT XML over WebSocket</option>
+                            </select>
+                        </div>
                     </div>
                 `}
             </div>
@@ -2735,6 +4610,60 @@ const PanelsModule = (function() {
     /**
      * Render CoT positions list
      */
+    /**
+     * Two-way sync: choose which waypoints, routes and areas are linked to TAK
+     */
+    function renderTAKSync() {
+        const sync = TAKModule.getSyncStatus();
+        const groups = [
+            { kind: 'waypoint', label: 'Waypoints', items: State.get('waypoints') },
+            { kind: 'route', label: 'Routes', items: State.get('routes').filter(r => !r.isBuilding) },
+            { kind: 'area', label: 'Areas', items: State.get('areas') }
+        ];
+        const linkedCount = sync.waypoints + sync.routes + sync.areas;
+        
+        return `
+            <details id="tak-sync-details" style="background:rgba(0,0,0,0.2);border-radius:8px;padding:10px 12px;margin-bottom:12px" ${takSyncPanel.open ? 'open' : ''}>
+                <summary style="cursor:pointer;font-size:11px;color:rgba(255,255,255,0.5);text-transform:uppercase">
+                    Sync with TAK
+                    ${linkedCount > 0 ? `<span style="color:#06b6d4;margin-left:4px;text-transform:none">• ${linkedCount} linked</span>` : ''}
+                </summary>
+                <div style="padding-top:8px;font-size:12px">
+                    ${!sync.available ? `
+                        <div style="font-size:10px;color:#fbbf24;margin-bottom:8px">
+                            Sync needs a CoT XML connection. Linked items are sent once the protocol is CoT XML.
+                        </div>
+                    ` : ''}
+                    <label style="display:flex;align-items:center;gap:8px;margin-bottom:6px;cursor:pointer">
+                        <input type="checkbox" id="tak-sync-accept-routes" ${sync.acceptRoutes ? 'checked' : ''}>
+                        Add routes drawn in ATAK to my routes
+                    </label>
+                    <div style="display:flex;align-items:center;gap:8px;margin-bottom:10px">
+                        <span style="font-size:10px;color:rgba(255,255,255,0.5)">Stale after (min)</span>
+                        <select id="tak-sync-stale" style="padding:4px 6px;font-size:11px">
+                            ${[5, 10, 30, 60, 240].map(m => `<option value="${m}" ${sync.staleMinutes === m ? 'selected' : ''}>${m}</option>`).join('')}
+                        </select>
+                    </div>
+                    ${groups.map(group => group.items.length === 0 ? '' : `
+                        <div style="font-size:10px;color:rgba(255,255,255,0.4);margin:6px 0 4px">${group.label.toUpperCase()}</div>
+                        ${group.items.map(item => `
+                            <label style="display:flex;align-items:center;gap:8px;padding:3px 0;cursor:pointer">
+                                <input type="checkbox" data-tak-sync="${group.kind}" data-id="${escapeHtml(item.id)}" ${item.takSync ? 'checked' : ''}>
+                                <span style="flex:1;overflow:hidden;text-overflow:ellipsis;white-space:nowrap">${escapeHtml(item.name || 'Untitled')}</span>
+                                ${item.source === 'tak' ? '<span style="font-size:9px;color:#06b6d4">ATAK</span>' : ''}
+                            </label>
+                        `).join('')}
+                    `).join('')}
+                    <div style="font-size:10px;color:rgba(255,255,255,0.3);margin-top:8px">
+                        Linked items are re-sent every ${Math.round(sync.staleMinutes / 2)} min and update from edits made in ATAK.
+                        Unlinking or deleting removes them from TAK.
+                        ${sync.pendingDeletes > 0 ? ` ${sync.pendingDeletes} deletes waiting to send.` : ''}
+                    </div>
+                </div>
+            </details>
+        `;
+    }
+    
     function renderTAKPositions() {
         if (typeof TAKModule === 'undefined') return '';
         
@@ -2818,6 +4747,8 @@ const PanelsModule = (function() {
         
         const isConnected = APRSModule.isConnected();
         const isConnecting = APRSModule.isConnecting();
+        const isReconnecting = APRSModule.isReconnecting();
+        const connection = APRSModule.getConnectionSettings();
         const stations = APRSModule.getStations();
         const stats = APRSModule.getStats();
         const config = {
@@ -2827,8 +4758,22 @@ const PanelsModule = (function() {
             smartBeaconing: APRSModule.isSmartBeaconing()
         };
         
-        // Check for Web Bluetooth support
+        // Check for Web Bluetooth / Web Serial support
         const hasBluetooth = 'bluetooth' in navigator;
+        const hasSerial = 'serial' in navigator;
+        const transportLabels = {
+            'bluetooth': 'Bluetooth TNC',
+            'serial': 'USB Serial KISS',
+            'kiss-tcp': 'KISS over WebSocket'
+        };
+        const transportSupported = connection.type === 'bluetooth' ? hasBluetooth
+            : connection.type === 'serial' ? hasSerial
+            : typeof WebSocket !== 'undefined';
+        const transportHint = {
+            'bluetooth': hasBluetooth ? 'Connect Bluetooth TNC (Mobilinkd)' : 'Web Bluetooth not supported',
+            'serial': hasSerial ? 'Connect USB KISS TNC or Direwolf serial port' : 'Web Serial not supported',
+            'kiss-tcp': 'Connect Direwolf / KISS TCP via bridge'
+        }[connection.type];
         
         return `
             <div class="section-label" style="display:flex;align-items:center;gap:8px">
@@ -2840,18 +4785,18 @@ const PanelsModule = (function() {
             <div style="padding:14px;background:${isConnected ? 'rgba(59,130,246,0.1)' : 'rgba(255,255,255,0.03)'};border:1px solid ${isConnected ? 'rgba(59,130,246,0.3)' : 'rgba(255,255,255,0.1)'};border-radius:12px;margin-bottom:12px">
                 <div style="display:flex;align-items:center;gap:12px;margin-bottom:${isConnected ? '12px' : '0'}">
                     <div style="width:40px;height:40px;border-radius:10px;background:${isConnected ? 'rgba(59,130,246,0.2)' : 'rgba(255,255,255,0.05)'};display:flex;align-items:center;justify-content:center">
-                        <span style="font-size:20px">${isConnected ? '📻' : isConnecting ? '⏳' : '📴'}</span>
+                        <span style="font-size:20px">${isConnected ? '📻' : isConnecting ? '⏳' : isReconnecting ? '🔄' : '📴'}</span>
                     </div>
                     <div style="flex:1">
-                        <div style="font-size:14px;font-weight:600;color:${isConnected ? '#3b82f6' : 'inherit'}">
-                            ${isConnected ? 'TNC Connected' : isConnecting ? 'Connecting...' : 'TNC Not Connected'}
+                        <div style="font-size:14px;font-weight:600;color:${isConnected ? '#3b82f6' : isReconnecting ? '#f59e0b' : 'inherit'}">
+                            ${isConnected ? 'TNC Connected' : isConnecting ? 'Connecting...' : isReconnecting ? 'Reconnecting...' : 'TNC Not Connected'}
                         </div>
                         <div style="font-size:11px;color:rgba(255,255,255,0.5)">
                             ${isConnected 
-                                ? `${stats.packetsReceived} pkts received • ${stations.length} stations` 
-                                : hasBluetooth 
-                                    ? 'Connect Bluetooth TNC (Mobilinkd)' 
-                                    : 'Web Bluetooth not supported'}
+                                ? `${transportLabels[APRSModule.getConnectionType()] || 'TNC'} • ${stats.packetsReceived} pkts received • ${stations.length} stations` 
+                                : isReconnecting
+                                    ? `${transportLabels[connection.type]} lost • attempt ${APRSModule.getReconnectAttempts()}`
+                                    : transportHint}
                         </div>
                     </div>
                 </div>
@@ -2898,18 +4843,60 @@ const PanelsModule = (function() {
                             </div>
                         </div>
                         
+                        <!-- Transport Selection -->
+                        <div style="padding:12px;background:rgba(255,255,255,0.03);border-radius:10px;margin-bottom:12px">
+                            <div style="font-size:11px;color:rgba(255,255,255,0.4);margin-bottom:8px">TNC CONNECTION</div>
+                            <select id="aprs-transport" style="width:100%;padding:8px;font-size:12px;margin-bottom:8px">
+                                ${APRSModule.TRANSPORTS.map(t => `
+                                    <option value="${t}" ${connection.type === t ? 'selected' : ''}>${transportLabels[t]}</option>
+                                `).join('')}
+                            </select>
+                            
+                            ${connection.type === 'serial' ? `
+                                <div style="display:flex;align-items:center;gap:8px;margin-bottom:8px">
+                                    <span style="font-size:11px;color:rgba(255,255,255,0.5)">Baud rate</span>
+                                    <select id="aprs-baud" style="flex:1;padding:6px;font-size:12px">
+                                        ${APRSModule.BAUD_RATES.map(b => `
+                                            <option value="${b}" ${connection.baudRate === b ? 'selected' : ''}>${b}</option>
+                                        `).join('')}
+                                    </select>
+                                </div>
+                            ` : ''}
+                            
+                            ${connection.type === 'kiss-tcp' ? `
+                                <input type="text" id="aprs-kiss-url" placeholder="ws://localhost:8765" value="${Helpers.escapeHtml(connection.wsUrl || '')}"
+                                    style="width:100%;padding:8px;font-size:12px;margin-bottom:6px">
+                                <div style="font-size:10px;color:rgba(255,255,255,0.4);margin-bottom:8px">
+                                    Browsers can't open raw TCP. Bridge Direwolf's KISS port with e.g. <code>websockify 8765 localhost:8001</code>
+                                </div>
+                            ` : ''}
+                            
+                            <label style="display:flex;align-items:center;gap:8px;font-size:12px;color:rgba(255,255,255,0.7);cursor:pointer">
+                                <input type="checkbox" id="aprs-auto-reconnect" ${connection.autoReconnect ? 'checked' : ''}>
+                                Auto-reconnect if the TNC drops
+                            </label>
+                        </div>
+                        
                         <!-- Connect Button -->
-                        <button class="btn btn--primary btn--full aprs-connect-btn" ${!hasBluetooth ? 'disabled' : ''}>
-                            ${Icons.get('satellite')} Connect Bluetooth TNC
+                        <button class="btn btn--primary btn--full aprs-connect-btn" ${!transportSupported ? 'disabled' : ''}>
+                            ${Icons.get('satellite')} Connect ${transportLabels[connection.type]}
                         </button>
                         
-                        ${!hasBluetooth ? `
+                        ${isReconnecting ? `
+                            <button class="btn btn--secondary btn--full aprs-cancel-reconnect-btn" style="margin-top:8px;font-size:12px">
+                                Stop reconnecting
+                            </button>
+                        ` : ''}
+                        
+                        ${!transportSupported ? `
                             <div style="margin-top:8px;padding:10px;background:rgba(239,68,68,0.1);border:1px solid rgba(239,68,68,0.2);border-radius:8px;font-size:12px;color:#ef4444">
-                                ⚠️ Web Bluetooth requires Chrome or Edge
+                                ⚠️ ${connection.type === 'serial' ? 'Web Serial' : 'Web Bluetooth'} requires Chrome or Edge
                             </div>
                         ` : `
                             <div style="margin-top:8px;font-size:10px;color:rgba(255,255,255,0.4);text-align:center">
-                                Supports Mobilinkd TNC3/TNC4 and compatible devices
+                                ${connection.type === 'bluetooth' ? 'Supports Mobilinkd TNC3/TNC4 and compatible devices'
+                                    : connection.type === 'serial' ? 'Supports USB KISS TNCs (TNC-X, NinoTNC, Kantronics in KISS mode)'
+                                    : 'Works with Direwolf, soundmodem and other KISS TCP servers'}
                             </div>
                         `}
                     ` : ''}
@@ -2951,7 +4938,7 @@ const PanelsModule = (function() {
                             }
                             
                             return `
-                                <div class="card" style="margin-bottom:6px;padding:10px;opacity:${isFresh ? 1 : 0.6}" data-aprs-station="${station.callsign}">
+                                <div class="card" style="margin-bottom:6px;padding:10px;cursor:pointer;opacity:${isFresh ? 1 : 0.6};${station.callsign === selectedAPRSStation ? 'border-color:rgba(59,130,246,0.5)' : ''}" data-aprs-station="${station.callsign}">
                                     <div style="display:flex;align-items:center;gap:10px">
                                         <div style="width:36px;height:36px;border-radius:10px;background:rgba(59,130,246,0.15);display:flex;align-items:center;justify-content:center;flex-shrink:0">
                                             <span style="font-size:18px">${symbolInfo.icon}</span>
@@ -2963,6 +4950,8 @@ const PanelsModule = (function() {
                                             </div>
                                             <div style="font-size:10px;color:rgba(255,255,255,0.4);margin-top:2px">
                                                 ${symbolInfo.name} • ${ageStr}
+                                                ${station.weather ? ` • ${station.weather.temperature !== undefined ? Math.round(station.weather.temperature) + '°F' : 'WX'}${station.weather.windSpeed !== undefined ? ' ' + Math.round(station.weather.windSpeed) + ' mph' : ''}` : ''}
+                                                ${station.telemetry ? ' • 📈 telemetry' : ''}
                                             </div>
                                             ${station.status ? `
                                                 <div style="font-size:10px;color:rgba(255,255,255,0.5);margin-top:3px;font-style:italic;overflow:hidden;text-overflow:ellipsis;white-space:nowrap">
@@ -2990,6 +4979,13 @@ const PanelsModule = (function() {
                         </div>
                     ` : ''}
                 </div>
+                
+                ${selectedAPRSStation ? renderAPRSStationDetail(selectedAPRSStation) : ''}
+                
+                <label style="display:flex;align-items:center;gap:8px;font-size:11px;color:rgba(255,255,255,0.5);margin-bottom:12px;cursor:pointer">
+                    <input type="checkbox" id="aprs-weather-feed" ${APRSModule.isWeatherFeedEnabled() ? 'checked' : ''}>
+                    Use APRS weather stations as ground observations in Weather
+                </label>
                 ${(() => {
                     // GPS status message for distance display
                     let myPos = null;
@@ -2999,30 +4995,580 @@ const PanelsModule = (function() {
                             myPos = gpsPos;
                         }
                     }
-                    if (!myPos) {
-                        return `
-                            <div style="padding:8px;background:rgba(59,130,246,0.1);border-radius:8px;font-size:11px;color:rgba(255,255,255,0.5);text-align:center;margin-bottom:12px">
-                                📍 Enable GPS or set manual position to see distance/bearing to stations
-                            </div>
-                        `;
+                    if (!myPos) {
+                        return `
+                            <div style="padding:8px;background:rgba(59,130,246,0.1);border-radius:8px;font-size:11px;color:rgba(255,255,255,0.5);text-align:center;margin-bottom:12px">
+                                📍 Enable GPS or set manual position to see distance/bearing to stations
+                            </div>
+                        `;
+                    }
+                    return '';
+                })()}
+            ` : ''}
+            
+            ${renderAPRSMessaging()}
+            
+            ${renderAPRSRelay()}
+            
+            <!-- APRS Info Box (collapsed by default) -->
+            <details style="margin-bottom:12px">
+                <summary style="cursor:pointer;font-size:11px;color:rgba(255,255,255,0.5);padding:8px;background:rgba(255,255,255,0.03);border-radius:8px">
+                    ℹ️ What is APRS?
+                </summary>
+                <div style="padding:10px;font-size:11px;color:rgba(255,255,255,0.5);line-height:1.5">
+                    <p style="margin-bottom:8px"><strong>APRS</strong> (Automatic Packet Reporting System) is a digital communications protocol used by amateur radio operators.</p>
+                    <p style="margin-bottom:8px">• Operates on VHF (144.390 MHz in North America)</p>
+                    <p style="margin-bottom:8px">• Range: 50+ miles with digipeaters</p>
+                    <p style="margin-bottom:8px">• Requires ham radio license to transmit</p>
+                    <p>• Works completely offline - no internet needed</p>
+                </div>
+            </details>
+        `;
+    }
+    
+    /**
+     * Render digipeater / mesh gate rules and the packet log
+     */
+    function renderAPRSRelay() {
+        const relay = APRSModule.getRelaySettings();
+        const stats = APRSModule.getStats();
+        const log = aprsRelayPanel.logOpen ? APRSModule.getPacketLog(50) : [];
+        const meshAvailable = typeof MeshtasticModule !== 'undefined';
+        const directionStyles = {
+            rx: { label: 'RX', color: '#3b82f6' },
+            tx: { label: 'TX', color: '#f97316' },
+            digi: { label: 'DIGI', color: '#22c55e' },
+            drop: { label: 'DROP', color: 'rgba(255,255,255,0.4)' },
+            'gate-out': { label: '→MESH', color: '#a855f7' },
+            'gate-in': { label: 'MESH→', color: '#a855f7' }
+        };
+        
+        return `
+            <details id="aprs-relay-details" style="margin-bottom:8px" ${aprsRelayPanel.rulesOpen ? 'open' : ''}>
+                <summary style="cursor:pointer;font-size:11px;color:rgba(255,255,255,0.5);padding:8px;background:rgba(255,255,255,0.03);border-radius:8px">
+                    📡 Digipeater & mesh gate
+                    ${relay.digipeat ? '<span style="color:#22c55e;margin-left:4px">• DIGI</span>' : ''}
+                    ${relay.gateToMesh || relay.gateFromMesh ? '<span style="color:#a855f7;margin-left:4px">• GATE</span>' : ''}
+                </summary>
+                <div style="padding:8px;font-size:12px">
+                    <label style="display:flex;align-items:center;gap:8px;margin-bottom:6px;cursor:pointer">
+                        <input type="checkbox" data-aprs-relay="digipeat" ${relay.digipeat ? 'checked' : ''}>
+                        Digipeat (fill-in relay)
+                    </label>
+                    <label style="display:flex;align-items:center;gap:8px;margin-bottom:6px;cursor:pointer;padding-left:20px">
+                        <input type="checkbox" data-aprs-relay="fillInOnly" ${relay.fillInOnly ? 'checked' : ''}>
+                        Only WIDE1-1
+                    </label>
+                    <div style="display:flex;gap:8px;margin-bottom:8px;padding-left:20px">
+                        <div style="flex:1">
+                            <label style="font-size:10px;color:rgba(255,255,255,0.5)">Max WIDEn-N</label>
+                            <select data-aprs-relay="maxHops" style="width:100%;padding:6px;font-size:11px">
+                                ${[1, 2, 3, 4, 5, 6, 7].map(n => `<option value="${n}" ${relay.maxHops === n ? 'selected' : ''}>WIDE${n}-${n}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div style="flex:2">
+                            <label style="font-size:10px;color:rgba(255,255,255,0.5)">Aliases</label>
+                            <input type="text" data-aprs-relay="aliases" value="${escapeHtml(relay.aliases.join(', '))}" placeholder="e.g. SAR, TEMP1-1"
+                                style="width:100%;padding:6px;font-size:11px;text-transform:uppercase">
+                        </div>
+                    </div>
+                    
+                    <label style="display:flex;align-items:center;gap:8px;margin-bottom:6px;cursor:pointer;${meshAvailable ? '' : 'opacity:0.5'}">
+                        <input type="checkbox" data-aprs-relay="gateToMesh" ${relay.gateToMesh ? 'checked' : ''} ${meshAvailable ? '' : 'disabled'}>
+                        Gate APRS positions into the mesh
+                    </label>
+                    <label style="display:flex;align-items:center;gap:8px;margin-bottom:6px;cursor:pointer;${meshAvailable ? '' : 'opacity:0.5'}">
+                        <input type="checkbox" data-aprs-relay="gateFromMesh" ${relay.gateFromMesh ? 'checked' : ''} ${meshAvailable ? '' : 'disabled'}>
+                        Transmit mesh node positions as APRS objects
+                    </label>
+                    <div style="display:flex;gap:8px;margin-bottom:6px;padding-left:20px">
+                        <div style="flex:1">
+                            <label style="font-size:10px;color:rgba(255,255,255,0.5)">Every (min)</label>
+                            <select data-aprs-relay="gateInterval" style="width:100%;padding:6px;font-size:11px">
+                                ${[1, 2, 5, 10, 15, 30].map(m => `<option value="${m * 60}" ${relay.gateInterval === m * 60 ? 'selected' : ''}>${m}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div style="flex:2">
+                            <label style="font-size:10px;color:rgba(255,255,255,0.5)">Only callsigns starting with</label>
+                            <input type="text" data-aprs-relay="gateFilter" value="${escapeHtml(relay.gateFilter.join(', '))}" placeholder="All stations"
+                                style="width:100%;padding:6px;font-size:11px;text-transform:uppercase">
+                        </div>
+                    </div>
+                    <div style="font-size:10px;color:rgba(255,255,255,0.4)">
+                        ${stats.packetsDigipeated || 0} digipeated • ${stats.packetsGated || 0} gated. A transmitting digipeater needs a licensed control operator.
+                    </div>
+                </div>
+            </details>
+            
+            <details id="aprs-log-details" style="margin-bottom:12px" ${aprsRelayPanel.logOpen ? 'open' : ''}>
+                <summary style="cursor:pointer;font-size:11px;color:rgba(255,255,255,0.5);padding:8px;background:rgba(255,255,255,0.03);border-radius:8px">
+                    📜 Packet log
+                </summary>
+                <div style="padding:8px">
+                    ${log.length === 0 ? `
+                        <div style="text-align:center;color:rgba(255,255,255,0.3);font-size:11px;padding:8px">No packets yet</div>
+                    ` : `
+                        <div style="max-height:220px;overflow-y:auto;font-family:'IBM Plex Mono',monospace;font-size:10px">
+                            ${log.map(entry => {
+                                const style = directionStyles[entry.direction] || directionStyles.rx;
+                                return `
+                                    <div style="padding:3px 0;border-bottom:1px solid rgba(255,255,255,0.05);word-break:break-all">
+                                        <span style="color:rgba(255,255,255,0.3)">${new Date(entry.time).toLocaleTimeString()}</span>
+                                        <span style="color:${style.color};font-weight:600">${style.label}</span>
+                                        ${escapeHtml(entry.source)}&gt;${escapeHtml(entry.dest)}${entry.path ? ',' + escapeHtml(entry.path) : ''}${entry.info ? ':' + escapeHtml(entry.info) : ''}
+                                        ${entry.note ? `<span style="color:rgba(255,255,255,0.4)"> (${escapeHtml(entry.note)})</span>` : ''}
+                                    </div>
+                                `;
+                            }).join('')}
+                        </div>
+                        <button class="btn btn--secondary" id="aprs-log-clear-btn" style="margin-top:6px;padding:4px 8px;font-size:10px">Clear log</button>
+                    `}
+                </div>
+            </details>
+        `;
+    }
+    
+    /**
+     * Render the APRS messaging inbox (thread list or the open thread)
+     */
+    function renderAPRSMessaging() {
+        const activeId = APRSModule.getActiveThread();
+        const threads = APRSModule.getThreads();
+        const unread = APRSModule.getUnreadCount();
+        const hasCallsign = !!APRSModule.getCallsign();
+        const isConnected = APRSModule.isConnected();
+        
+        const header = `
+            <div class="section-label" style="display:flex;justify-content:space-between;align-items:center">
+                <span>💬 APRS Messages
+                    ${unread > 0 ? `<span style="margin-left:6px;font-size:10px;background:#ef4444;color:#fff;padding:1px 6px;border-radius:8px">${unread}</span>` : ''}
+                </span>
+                ${activeId ? `<button class="btn btn--secondary aprs-thread-back-btn" style="padding:4px 8px;font-size:10px">← Inbox</button>` : ''}
+            </div>
+        `;
+        
+        if (activeId) {
+            const thread = threads.find(t => t.id === activeId) || { id: activeId, type: activeId === 'BLN' ? 'bulletin' : activeId.startsWith('#') ? 'group' : 'direct', name: activeId === 'BLN' ? 'Bulletins' : activeId.replace(/^#/, '') };
+            const messages = APRSModule.getThreadMessages(activeId);
+            const lines = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+            
+            return `
+                ${header}
+                <div style="display:flex;align-items:center;justify-content:space-between;margin-bottom:6px">
+                    <div style="font-size:13px;font-weight:600;font-family:'IBM Plex Mono',monospace">
+                        ${thread.type === 'group' ? '👥 ' : thread.type === 'bulletin' ? '📢 ' : ''}${escapeHtml(thread.name)}
+                    </div>
+                    <button class="btn btn--secondary aprs-thread-delete-btn" style="padding:4px 8px;font-size:10px;color:#ef4444">Delete</button>
+                </div>
+                <div id="aprs-messages-container" style="max-height:200px;overflow-y:auto;margin-bottom:8px;background:rgba(0,0,0,0.2);border-radius:8px;padding:8px">
+                    ${messages.length === 0 ? `
+                        <div style="padding:16px;text-align:center;color:rgba(255,255,255,0.3);font-size:11px">No messages yet</div>
+                    ` : messages.map(msg => `
+                        <div style="padding:6px 8px;margin-bottom:4px;background:${msg.outgoing ? 'rgba(59,130,246,0.15)' : 'rgba(255,255,255,0.05)'};border-radius:6px;${msg.outgoing ? 'margin-left:20px' : 'margin-right:20px'}">
+                            <div style="font-size:10px;color:rgba(255,255,255,0.4);margin-bottom:2px;display:flex;justify-content:space-between;align-items:center;gap:6px">
+                                <span>
+                                    ${msg.outgoing ? 'You' : escapeHtml(msg.from)}${thread.type === 'bulletin' ? ` • ${escapeHtml(msg.to)}${msg.bulletin === 'announcement' ? ' (announcement)' : ''}` : ''} • ${formatMeshTime(msg.time)}
+                                </span>
+                                ${msg.outgoing ? `
+                                    <span style="color:${msg.status === 'rejected' ? '#ef4444' : getMessageStatusColor(msg.status)};font-size:9px" title="${msg.status}${msg.attempts > 1 ? ` (${msg.attempts} tries)` : ''}">
+                                        ${msg.status === 'rejected' ? '⊘' : getMessageStatusIcon(msg.status)}
+                                    </span>
+                                ` : ''}
+                            </div>
+                            <div style="font-size:12px;word-break:break-word">${escapeHtml(msg.text)}</div>
+                            ${msg.outgoing && (msg.status === 'failed' || msg.status === 'rejected') ? `
+                                <button class="btn btn--secondary" data-aprs-retry="${msg.id}" style="margin-top:4px;padding:2px 8px;font-size:10px">↻ Retry</button>
+                            ` : ''}
+                            ${msg.outgoing && msg.repeatUntil > Date.now() ? `
+                                <button class="btn btn--secondary" data-aprs-stop-bulletin="${msg.id}" style="margin-top:4px;padding:2px 8px;font-size:10px">Stop repeating</button>
+                            ` : ''}
+                        </div>
+                    `).join('')}
+                </div>
+                
+                ${thread.type === 'bulletin' ? `
+                    <div style="display:flex;gap:6px;margin-bottom:6px">
+                        <select id="aprs-bulletin-line" style="flex:1;padding:6px;font-size:11px" title="0-9 bulletins, A-Z announcements">
+                            ${lines.map(l => `<option value="${l}" ${aprsMessageForm.bulletinLine === l ? 'selected' : ''}>${/[0-9]/.test(l) ? 'Bulletin' : 'Announcement'} ${l}</option>`).join('')}
+                        </select>
+                        <input type="text" id="aprs-bulletin-group" placeholder="Group (opt.)" maxlength="5" value="${escapeHtml(aprsMessageForm.bulletinGroup)}"
+                            style="flex:1;padding:6px;font-size:11px;text-transform:uppercase">
+                    </div>
+                ` : ''}
+                <div style="display:flex;gap:8px;margin-bottom:4px">
+                    <input type="text" id="aprs-msg-input" maxlength="67" value="${escapeHtml(aprsMessageForm.draft)}"
+                        placeholder="${!hasCallsign ? 'Set your callsign to send' : isConnected ? 'Message...' : 'Type to queue message...'}"
+                        style="flex:1;padding:10px;font-size:12px" ${!hasCallsign ? 'disabled' : ''}>
+                    <button class="btn ${isConnected ? 'btn--primary' : 'btn--secondary'}" id="aprs-msg-send-btn" style="padding:10px 16px" ${!hasCallsign ? 'disabled' : ''}>
+                        ${isConnected ? '📤' : '🕐'}
+                    </button>
+                </div>
+                <div style="font-size:10px;color:rgba(255,255,255,0.3);margin-bottom:12px">
+                    ${thread.type === 'direct' ? 'Retried until acknowledged' : thread.type === 'group' ? 'Sent to the group without acknowledgment' : 'Repeated every 10 min for an hour'}
+                </div>
+            `;
+        }
+        
+        const groups = APRSModule.getGroups();
+        
+        return `
+            ${header}
+            ${threads.length > 0 ? `
+                <div style="max-height:200px;overflow-y:auto;margin-bottom:8px">
+                    ${threads.map(t => `
+                        <div class="card" data-aprs-thread="${escapeHtml(t.id)}" style="margin-bottom:6px;padding:8px 10px;cursor:pointer">
+                            <div style="display:flex;justify-content:space-between;align-items:center;gap:8px">
+                                <span style="font-size:12px;font-weight:600;font-family:'IBM Plex Mono',monospace">
+                                    ${t.type === 'group' ? '👥 ' : t.type === 'bulletin' ? '📢 ' : ''}${escapeHtml(t.name)}
+                                </span>
+                                <span style="display:flex;gap:6px;align-items:center;font-size:10px;color:rgba(255,255,255,0.4)">
+                                    ${t.pending > 0 ? `<span style="color:#f59e0b">${t.pending} pending</span>` : ''}
+                                    ${formatMeshTime(t.lastTime)}
+                                    ${t.unread > 0 ? `<span style="background:#ef4444;color:#fff;padding:1px 6px;border-radius:8px">${t.unread}</span>` : ''}
+                                </span>
+                            </div>
+                            <div style="font-size:11px;color:rgba(255,255,255,0.5);margin-top:2px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap">${escapeHtml(t.lastMessage)}</div>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : `
+                <div style="padding:12px;text-align:center;color:rgba(255,255,255,0.3);font-size:11px;margin-bottom:8px">No APRS messages yet</div>
+            `}
+            
+            <div style="display:flex;gap:8px;margin-bottom:8px">
+                <input type="text" id="aprs-msg-to" placeholder="Callsign, group or tactical call" maxlength="9" value="${escapeHtml(aprsMessageForm.newTo)}"
+                    style="flex:1;padding:8px;font-size:12px;text-transform:uppercase">
+                <button class="btn btn--secondary" id="aprs-msg-open-btn" style="padding:8px 12px;font-size:12px">Open</button>
+                <button class="btn btn--secondary" id="aprs-bulletins-btn" style="padding:8px 12px;font-size:12px" title="Bulletins & announcements">📢</button>
+            </div>
+            
+            <details style="margin-bottom:12px">
+                <summary style="cursor:pointer;font-size:11px;color:rgba(255,255,255,0.5);padding:8px;background:rgba(255,255,255,0.03);border-radius:8px">
+                    👥 Groups & tactical calls (${groups.length})
+                </summary>
+                <div style="padding:8px">
+                    ${groups.map(g => `
+                        <div style="display:flex;justify-content:space-between;align-items:center;font-size:12px;padding:4px 0">
+                            <span><span style="font-family:'IBM Plex Mono',monospace">${escapeHtml(g.name)}</span>
+                                <span style="font-size:10px;color:rgba(255,255,255,0.4)">${g.type === 'tactical' ? 'tactical call' : 'group'}</span></span>
+                            <button class="btn btn--secondary" data-aprs-leave-group="${escapeHtml(g.name)}" style="padding:2px 8px;font-size:10px">✕</button>
+                        </div>
+                    `).join('')}
+                    <div style="display:flex;gap:6px;margin-top:6px">
+                        <input type="text" id="aprs-group-name" placeholder="e.g. SARTEAM" maxlength="9" style="flex:2;padding:6px;font-size:11px;text-transform:uppercase">
+                        <select id="aprs-group-type" style="flex:1;padding:6px;font-size:11px">
+                            <option value="group">Group</option>
+                            <option value="tactical">Tactical</option>
+                        </select>
+                        <button class="btn btn--secondary" id="aprs-group-add-btn" style="padding:6px 10px;font-size:11px">Add</button>
+                    </div>
+                    <div style="font-size:10px;color:rgba(255,255,255,0.4);margin-top:6px">
+                        Group messages share one thread and are not acked. A tactical call (e.g. BASE) is treated as your own callsign.
+                    </div>
+                </div>
+            </details>
+        `;
+    }
+    
+    /**
+     * Attach APRS messaging handlers
+     */
+    function attachAPRSMessagingHandlers() {
+        const openThread = (id) => {
+            APRSModule.setActiveThread(id);
+            aprsMessageForm.draft = '';
+            renderTeam();
+        };
+        
+        container.querySelectorAll('[data-aprs-thread]').forEach(card => {
+            card.onclick = () => openThread(card.dataset.aprsThread);
+        });
+        
+        const backBtn = container.querySelector('.aprs-thread-back-btn');
+        if (backBtn) {
+            backBtn.onclick = () => {
+                APRSModule.setActiveThread(null);
+                renderTeam();
+            };
+        }
+        
+        const deleteBtn = container.querySelector('.aprs-thread-delete-btn');
+        if (deleteBtn) {
+            deleteBtn.onclick = () => {
+                if (confirm('Delete this conversation?')) {
+                    APRSModule.deleteThread(APRSModule.getActiveThread());
+                    renderTeam();
+                }
+            };
+        }
+        
+        const toInput = container.querySelector('#aprs-msg-to');
+        const openBtn = container.querySelector('#aprs-msg-open-btn');
+        if (toInput && openBtn) {
+            toInput.oninput = () => { aprsMessageForm.newTo = toInput.value; };
+            const open = () => {
+                const to = toInput.value.trim().toUpperCase();
+                if (!to) return;
+                const group = APRSModule.getGroups().find(g => g.name === to && g.type === 'group');
+                aprsMessageForm.newTo = '';
+                openThread(group ? '#' + to : to);
+            };
+            openBtn.onclick = open;
+            toInput.onkeypress = (e) => { if (e.key === 'Enter') open(); };
+        }
+        
+        const bulletinsBtn = container.querySelector('#aprs-bulletins-btn');
+        if (bulletinsBtn) {
+            bulletinsBtn.onclick = () => openThread('BLN');
+        }
+        
+        const lineSelect = container.querySelector('#aprs-bulletin-line');
+        if (lineSelect) {
+            lineSelect.onchange = () => { aprsMessageForm.bulletinLine = lineSelect.value; };
+        }
+        const groupInput = container.querySelector('#aprs-bulletin-group');
+        if (groupInput) {
+            groupInput.oninput = () => { aprsMessageForm.bulletinGroup = groupInput.value; };
+        }
+        
+        const msgInput = container.querySelector('#aprs-msg-input');
+        const sendBtn = container.querySelector('#aprs-msg-send-btn');
+        if (msgInput && sendBtn) {
+            // Keep the draft across re-renders triggered by incoming packets
+            msgInput.oninput = () => { aprsMessageForm.draft = msgInput.value; };
+            
+            const send = async () => {
+                const text = msgInput.value.trim();
+                const id = APRSModule.getActiveThread();
+                if (!text || !id) return;
+                try {
+                    if (id === 'BLN') {
+                        await APRSModule.sendBulletin(aprsMessageForm.bulletinLine, text, aprsMessageForm.bulletinGroup);
+                    } else {
+                        const group = id.startsWith('#');
+                        await APRSModule.sendMessage(id.replace(/^#/, ''), text, !group);
+                    }
+                    aprsMessageForm.draft = '';
+                    if (!APRSModule.isConnected()) {
+                        ModalsModule.showToast('Message queued - will send when TNC connects', 'info');
                     }
-                    return '';
-                })()}
-            ` : ''}
-            
-            <!-- APRS Info Box (collapsed by default) -->
-            <details style="margin-bottom:12px">
-                <summary style="cursor:pointer;font-size:11px;color:rgba(255,255,255,0.5);padding:8px;background:rgba(255,255,255,0.03);border-radius:8px">
-                    ℹ️ What is APRS?
-                </summary>
-                <div style="padding:10px;font-size:11px;color:rgba(255,255,255,0.5);line-height:1.5">
-                    <p style="margin-bottom:8px"><strong>APRS</strong> (Automatic Packet Reporting System) is a digital communications protocol used by amateur radio operators.</p>
-                    <p style="margin-bottom:8px">• Operates on VHF (144.390 MHz in North America)</p>
-                    <p style="margin-bottom:8px">• Range: 50+ miles with digipeaters</p>
-                    <p style="margin-bottom:8px">• Requires ham radio license to transmit</p>
-                    <p>• Works completely offline - no internet needed</p>
+                } catch (err) {
+                    ModalsModule.showToast('Failed to send: ' + err.message, 'error');
+                }
+                renderTeam();
+            };
+            sendBtn.onclick = send;
+            msgInput.onkeypress = (e) => { if (e.key === 'Enter') send(); };
+        }
+        
+        container.querySelectorAll('[data-aprs-retry]').forEach(btn => {
+            btn.onclick = () => {
+                APRSModule.retryMessage(btn.dataset.aprsRetry);
+                renderTeam();
+            };
+        });
+        
+        container.querySelectorAll('[data-aprs-stop-bulletin]').forEach(btn => {
+            btn.onclick = () => {
+                APRSModule.cancelBulletin(btn.dataset.aprsStopBulletin);
+                renderTeam();
+            };
+        });
+        
+        const groupAddBtn = container.querySelector('#aprs-group-add-btn');
+        if (groupAddBtn) {
+            groupAddBtn.onclick = () => {
+                const name = container.querySelector('#aprs-group-name')?.value || '';
+                const type = container.querySelector('#aprs-group-type')?.value || 'group';
+                try {
+                    const group = APRSModule.joinGroup(name, type);
+                    ModalsModule.showToast(`${group.type === 'tactical' ? 'Tactical call' : 'Group'} ${group.name} added`, 'success');
+                    renderTeam();
+                } catch (err) {
+                    ModalsModule.showToast(err.message, 'error');
+                }
+            };
+        }
+        
+        container.querySelectorAll('[data-aprs-leave-group]').forEach(btn => {
+            btn.onclick = () => {
+                APRSModule.leaveGroup(btn.dataset.aprsLeaveGroup);
+                renderTeam();
+            };
+        });
+        
+        // Keep the open thread scrolled to the newest message
+        const messagesContainer = container.querySelector('#aprs-messages-container');
+        if (messagesContainer) {
+            messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        }
+    }
+    
+    /**
+     * Render nearby ground observations (APRS weather stations) in the Weather panel.
+     * These come in over RF, so they show even when forecast data can't load.
+     */
+    function renderGroundObservations() {
+        if (typeof MapModule === 'undefined' || !WeatherModule.getGroundObservations) return '';
+        
+        const center = MapModule.getMapState();
+        const observations = WeatherModule.getGroundObservations(center.lat, center.lon).slice(0, 3);
+        if (observations.length === 0) return '';
+        
+        return `
+            <div class="section-label">📡 Ground Observations</div>
+            <div style="margin-bottom:16px">
+                ${observations.map(obs => {
+                    const ageMin = Math.round((Date.now() - obs.time) / 60000);
+                    const parts = [
+                        obs.temperature !== undefined ? WeatherModule.formatTemp(obs.temperature) : null,
+                        obs.windSpeed !== undefined ? `${Math.round(obs.windSpeed)} mph ${obs.windDirection !== undefined ? WeatherModule.windDirectionToCardinal(obs.windDirection) : ''}`.trim() : null,
+                        obs.windGust !== undefined ? `G${Math.round(obs.windGust)}` : null,
+                        obs.humidity !== undefined ? `${Math.round(obs.humidity)}%` : null,
+                        obs.pressure !== undefined ? `${obs.pressure.toFixed(1)} mb` : null
+                    ].filter(Boolean);
+                    return `
+                        <div class="card" style="margin-bottom:6px;padding:10px">
+                            <div style="display:flex;justify-content:space-between;font-size:12px">
+                                <span style="font-weight:600;font-family:'IBM Plex Mono',monospace">${Helpers.escapeHtml(obs.name)}</span>
+                                <span style="color:rgba(255,255,255,0.4);font-size:10px">${obs.distanceMi.toFixed(1)} mi • ${ageMin < 1 ? 'now' : ageMin + 'm ago'}</span>
+                            </div>
+                            <div style="font-size:12px;color:rgba(255,255,255,0.7);margin-top:4px">${parts.join(' • ') || 'No readings'}</div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+    
+    /**
+     * Render the weather/telemetry detail card for a selected APRS station
+     */
+    function renderAPRSStationDetail(callsign) {
+        const station = APRSModule.getStation(callsign);
+        if (!station) return '';
+        
+        const weatherHistory = APRSModule.getWeatherHistory(callsign);
+        const telemetry = APRSModule.getTelemetry(callsign);
+        const wx = station.weather;
+        const fmt = (v, digits = 0) => (v === undefined || v === null ? '--' : Number(v).toFixed(digits));
+        const series = (key) => weatherHistory
+            .filter(r => r[key] !== undefined)
+            .map(r => ({ time: r.time, value: r[key] }));
+        
+        const statCell = (value, label) => `
+            <div style="text-align:center;padding:6px;background:rgba(0,0,0,0.2);border-radius:6px">
+                <div style="font-size:13px;font-weight:600">${value}</div>
+                <div style="font-size:9px;color:rgba(255,255,255,0.4)">${label}</div>
+            </div>
+        `;
+        
+        return `
+            <div class="card" style="margin-bottom:12px;padding:12px;border-color:rgba(59,130,246,0.4)">
+                <div style="display:flex;align-items:center;justify-content:space-between;margin-bottom:8px">
+                    <div style="font-size:13px;font-weight:600;font-family:'IBM Plex Mono',monospace">${Helpers.escapeHtml(station.callsign)}</div>
+                    <button class="btn btn--secondary aprs-detail-close-btn" style="padding:4px 8px;font-size:10px">Close</button>
                 </div>
-            </details>
+                
+                ${station.lat === undefined ? `
+                    <div style="font-size:10px;color:rgba(255,255,255,0.4);margin-bottom:8px">No position heard yet</div>
+                ` : ''}
+                
+                ${wx ? `
+                    <div style="font-size:11px;color:rgba(255,255,255,0.4);margin-bottom:6px">WEATHER • ${new Date(wx.time).toLocaleTimeString()}</div>
+                    <div class="stat-grid stat-grid--3" style="margin-bottom:8px">
+                        ${statCell(wx.temperature !== undefined ? `${fmt(wx.temperature)}°F` : '--', 'TEMP')}
+                        ${statCell(wx.humidity !== undefined ? `${fmt(wx.humidity)}%` : '--', 'HUMIDITY')}
+                        ${statCell(wx.pressure !== undefined ? `${fmt(wx.pressure, 1)} mb` : '--', 'PRESSURE')}
+                        ${statCell(wx.windSpeed !== undefined ? `${fmt(wx.windSpeed)} mph ${wx.windDirection !== undefined && typeof WeatherModule !== 'undefined' ? WeatherModule.windDirectionToCardinal(wx.windDirection) : ''}` : '--', 'WIND')}
+                        ${statCell(wx.windGust !== undefined ? `${fmt(wx.windGust)} mph` : '--', 'GUST')}
+                        ${statCell(wx.rain24h !== undefined ? `${fmt(wx.rain24h, 2)}"` : wx.rain1h !== undefined ? `${fmt(wx.rain1h, 2)}"/h` : '--', 'RAIN 24H')}
+                    </div>
+                    ${renderAPRSHistoryChart('Temperature', '°F', [{ points: series('temperature'), color: '#f97316' }])}
+                    ${renderAPRSHistoryChart('Wind / Gust', 'mph', [
+                        { points: series('windSpeed'), color: '#3b82f6' },
+                        { points: series('windGust'), color: 'rgba(59,130,246,0.45)' }
+                    ])}
+                    ${renderAPRSHistoryChart('Pressure', 'mb', [{ points: series('pressure'), color: '#a855f7' }], 1)}
+                    ${renderAPRSHistoryChart('Humidity', '%', [{ points: series('humidity'), color: '#22c55e' }])}
+                    ${renderAPRSHistoryChart('Rain (24h)', 'in', [{ points: series('rain24h'), color: '#06b6d4' }], 2)}
+                ` : ''}
+                
+                ${telemetry && telemetry.latest ? `
+                    <div style="font-size:11px;color:rgba(255,255,255,0.4);margin:8px 0 6px">
+                        TELEMETRY${telemetry.definitions.project ? ` • ${Helpers.escapeHtml(telemetry.definitions.project)}` : ''} • #${Helpers.escapeHtml(String(telemetry.latest.sequence))}
+                    </div>
+                    ${telemetry.latest.channels.map((ch, i) => `
+                        <div style="display:flex;justify-content:space-between;font-size:12px;padding:2px 0">
+                            <span style="color:rgba(255,255,255,0.6)">${Helpers.escapeHtml(ch.name)}</span>
+                            <span style="font-weight:600">${ch.value === null ? '--' : `${+ch.value.toFixed(3)} ${Helpers.escapeHtml(ch.unit)}`}</span>
+                        </div>
+                        ${renderAPRSHistoryChart('', ch.unit, [{
+                            points: telemetry.history
+                                .filter(f => f.channels[i].value !== null)
+                                .map(f => ({ time: f.time, value: f.channels[i].value })),
+                            color: '#eab308'
+                        }], 2)}
+                    `).join('')}
+                    ${telemetry.latest.bits.length ? `
+                        <div style="display:flex;flex-wrap:wrap;gap:4px;margin-top:6px">
+                            ${telemetry.latest.bits.map(bit => `
+                                <span style="font-size:10px;padding:2px 6px;border-radius:4px;background:${bit.on ? 'rgba(34,197,94,0.2)' : 'rgba(255,255,255,0.05)'};color:${bit.on ? '#22c55e' : 'rgba(255,255,255,0.4)'}">
+                                    ${Helpers.escapeHtml(bit.name)}${bit.label ? ` (${Helpers.escapeHtml(bit.label)})` : ''}
+                                </span>
+                            `).join('')}
+                        </div>
+                    ` : ''}
+                ` : ''}
+                
+                ${!wx && !(telemetry && telemetry.latest) ? `
+                    <div style="font-size:11px;color:rgba(255,255,255,0.4)">No weather or telemetry from this station</div>
+                ` : ''}
+            </div>
+        `;
+    }
+    
+    /**
+     * Render a small time-series chart for APRS station history.
+     * Returns '' until a series has at least two points.
+     * @param {string} title
+     * @param {string} unit
+     * @param {Array} series - [{ points: [{time, value}], color }]
+     */
+    function renderAPRSHistoryChart(title, unit, series, decimals = 0) {
+        const drawn = series.filter(s => s.points.length >= 2);
+        if (drawn.length === 0) return '';
+        
+        const all = drawn.flatMap(s => s.points);
+        const minT = Math.min(...all.map(p => p.time));
+        const maxT = Math.max(...all.map(p => p.time));
+        let minV = Math.min(...all.map(p => p.value));
+        let maxV = Math.max(...all.map(p => p.value));
+        if (maxV - minV < 1e-9) { minV -= 1; maxV += 1; }
+        
+        const width = 300;
+        const height = 60;
+        const padding = 4;
+        const x = t => padding + (maxT > minT ? (t - minT) / (maxT - minT) : 0.5) * (width - 2 * padding);
+        const y = v => height - padding - ((v - minV) / (maxV - minV)) * (height - 2 * padding);
+        
+        return `
+            <div style="margin-bottom:8px">
+                <div style="display:flex;justify-content:space-between;font-size:10px;color:rgba(255,255,255,0.4)">
+                    <span>${Helpers.escapeHtml(title)}</span>
+                    <span>${minV.toFixed(decimals)}–${maxV.toFixed(decimals)} ${Helpers.escapeHtml(unit)}</span>
+                </div>
+                <svg width="100%" height="${height}" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" style="background:rgba(0,0,0,0.2);border-radius:6px">
+                    ${drawn.map(s => `
+                        <path d="${s.points.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(p.time).toFixed(1)},${y(p.value).toFixed(1)}`).join(' ')}"
+                            fill="none" stroke="${s.color}" stroke-width="2" vector-effect="non-scaling-stroke"/>
+                    `).join('')}
+                </svg>
+                <div style="display:flex;justify-content:space-between;font-size:9px;color:rgba(255,255,255,0.3)">
+                    <span>${new Date(minT).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+                    <span>${new Date(maxT).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+                </div>
+            </div>
         `;
     }
     
@@ -3032,6 +5578,8 @@ const PanelsModule = (function() {
     function attachAPRSHandlers() {
         if (typeof APRSModule === 'undefined') return;
         
+        attachAPRSMessagingHandlers();
+        
         // Connect button
         const connectBtn = container.querySelector('.aprs-connect-btn');
         if (connectBtn) {
@@ -3044,8 +5592,12 @@ const PanelsModule = (function() {
                         APRSModule.setCallsign(callsign, parseInt(ssid));
                     }
                     
-                    await APRSModule.connectBluetooth();
-                    ModalsModule.showToast('Connected to APRS TNC', 'success');
+                    const urlInput = container.querySelector('#aprs-kiss-url');
+                    if (urlInput) {
+                        APRSModule.setConnectionSettings({ wsUrl: urlInput.value });
+                    }
+                    
+                    await APRSModule.connect();
                     renderTeam();
                 } catch (err) {
                     ModalsModule.showToast('APRS connection failed: ' + err.message, 'error');
@@ -3054,6 +5606,45 @@ const PanelsModule = (function() {
             };
         }
         
+        // Transport selection
+        const transportSelect = container.querySelector('#aprs-transport');
+        if (transportSelect) {
+            transportSelect.onchange = () => {
+                APRSModule.setConnectionSettings({ type: transportSelect.value });
+                renderTeam();
+            };
+        }
+        
+        const baudSelect = container.querySelector('#aprs-baud');
+        if (baudSelect) {
+            baudSelect.onchange = () => {
+                APRSModule.setConnectionSettings({ baudRate: baudSelect.value });
+            };
+        }
+        
+        const kissUrlInput = container.querySelector('#aprs-kiss-url');
+        if (kissUrlInput) {
+            kissUrlInput.onchange = () => {
+                APRSModule.setConnectionSettings({ wsUrl: kissUrlInput.value });
+            };
+        }
+        
+        const autoReconnectCheck = container.querySelector('#aprs-auto-reconnect');
+        if (autoReconnectCheck) {
+            autoReconnectCheck.onchange = () => {
+                APRSModule.setConnectionSettings({ autoReconnect: autoReconnectCheck.checked });
+                renderTeam();
+            };
+        }
+        
+        const cancelReconnectBtn = container.querySelector('.aprs-cancel-reconnect-btn');
+        if (cancelReconnectBtn) {
+            cancelReconnectBtn.onclick = () => {
+                APRSModule.cancelReconnect();
+                renderTeam();
+            };
+        }
+        
         // Disconnect button
         const disconnectBtn = container.querySelector('.aprs-disconnect-btn');
         if (disconnectBtn) {
@@ -3098,9 +5689,68 @@ const PanelsModule = (function() {
             };
         }
         
+        // Station weather/telemetry detail
+        container.querySelectorAll('[data-aprs-station]').forEach(card => {
+            card.onclick = () => {
+                const callsign = card.dataset.aprsStation;
+                selectedAPRSStation = selectedAPRSStation === callsign ? null : callsign;
+                renderTeam();
+            };
+        });
+        
+        const detailCloseBtn = container.querySelector('.aprs-detail-close-btn');
+        if (detailCloseBtn) {
+            detailCloseBtn.onclick = () => {
+                selectedAPRSStation = null;
+                renderTeam();
+            };
+        }
+        
+        const weatherFeedCheck = container.querySelector('#aprs-weather-feed');
+        if (weatherFeedCheck) {
+            weatherFeedCheck.onchange = () => {
+                APRSModule.setWeatherFeed(weatherFeedCheck.checked);
+            };
+        }
+        
+        // Digipeater / mesh gate rules apply as soon as they change
+        container.querySelectorAll('[data-aprs-relay]').forEach(input => {
+            input.onchange = () => {
+                const key = input.dataset.aprsRelay;
+                try {
+                    APRSModule.setRelaySettings({ [key]: input.type === 'checkbox' ? input.checked : input.value });
+                } catch (err) {
+                    ModalsModule.showToast(err.message, 'error');
+                }
+                renderTeam();
+            };
+        });
+        
+        const relayDetails = container.querySelector('#aprs-relay-details');
+        if (relayDetails) {
+            relayDetails.ontoggle = () => { aprsRelayPanel.rulesOpen = relayDetails.open; };
+        }
+        const logDetails = container.querySelector('#aprs-log-details');
+        if (logDetails) {
+            logDetails.ontoggle = () => {
+                const wasOpen = aprsRelayPanel.logOpen;
+                aprsRelayPanel.logOpen = logDetails.open;
+                // Log entries are only rendered while the log is open
+                if (logDetails.open && !wasOpen) renderTeam();
+            };
+        }
+        const logClearBtn = container.querySelector('#aprs-log-clear-btn');
+        if (logClearBtn) {
+            logClearBtn.onclick = () => {
+                APRSModule.clearPacketLog();
+                renderTeam();
+            };
+        }
+        
         // Go to APRS station
         container.querySelectorAll('[data-goto-aprs]').forEach(btn => {
-            btn.onclick = () => {
+            btn.onclick = (e) => {
+                e.stopPropagation();
                 const station = APRSModule.getStation(btn.dataset.gotoAprs);
                 if (station && station.lat && station.lon && typeof MapModule !== 'undefined') {
                     MapModule.setCenter(station.lat, station.lon, 15);
@@ -4250,7 +6900,295 @@ const PanelsModule = (function() {
             }
         };
     }
-
+
+    /**
+     * Signed sync status, key rotation and the audit trail for the Team section
+     */
+    function renderTeamSecurity() {
+        if (typeof TeamModule === 'undefined' || !TeamModule.getSyncSecurity) return '';
+        const sec = TeamModule.getSyncSecurity();
+        if (!sec) return '';
+        const entries = TeamModule.getAuditLog({ limit: 8 });
+        const canRotate = TeamModule.hasPermission('remove_members');
+        const canEditTeam = TeamModule.hasPermission('edit_team');
+        
+        return `
+            <div style="padding:12px;background:rgba(255,255,255,0.03);border:1px solid rgba(255,255,255,0.08);border-radius:10px;margin-bottom:12px">
+                <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:8px">
+                    <div style="font-size:10px;color:rgba(255,255,255,0.4)">SYNC SECURITY</div>
+                    <span style="font-size:10px;color:rgba(255,255,255,0.5)" title="${sec.keyRotatedAt ? 'Last rotated ' + new Date(sec.keyRotatedAt).toLocaleString() : 'Never rotated'}">🔑 Key v${sec.keyEpoch}</span>
+                </div>
+                <div style="font-size:11px;margin-bottom:6px;color:${sec.hasSigningKey ? '#22c55e' : '#f59e0b'}">
+                    ${sec.hasSigningKey ? '🔏 Your updates are signed' : '⚠️ No signing key yet — connect Meshtastic'}
+                    <span style="color:rgba(255,255,255,0.4)"> • ${sec.keyedMembers}/${sec.totalMembers} members keyed${sec.rejected ? ` • <span style="color:#ef4444">${sec.rejected} rejected</span>` : ''}</span>
+                </div>
+                ${canEditTeam ? `
+                    <label style="display:flex;align-items:center;gap:6px;font-size:11px;margin-bottom:8px">
+                        <input type="checkbox" id="team-require-signed" ${sec.requireSignedSync ? 'checked' : ''}>
+                        Reject unsigned updates
+                    </label>
+                ` : ''}
+                <div style="display:flex;gap:8px;margin-bottom:${entries.length ? '8px' : '0'}">
+                    ${canRotate ? `<button class="btn btn--secondary" id="team-rotate-keys" style="flex:1;font-size:10px;padding:6px">🔑 Rotate Keys</button>` : ''}
+                    ${entries.length ? `<button class="btn btn--secondary" id="team-audit-clear" style="font-size:10px;padding:6px">Clear Log</button>` : ''}
+                </div>
+                ${entries.map(e => `
+                    <div style="font-size:11px;padding:4px 0;border-bottom:1px solid rgba(255,255,255,0.05);${e.outcome === 'rejected' ? 'color:#ef4444' : ''}">
+                        ${e.outcome === 'rejected' ? '⛔' : e.signed ? '🔏' : '✓'} <strong>${escapeHtml(e.actorName || e.actor || '?')}</strong> ${escapeHtml(e.summary)}
+                        <span style="float:right;color:rgba(255,255,255,0.4)">${formatMeshTime(e.at)}</span>
+                        ${e.reason ? `<div style="font-size:10px;color:rgba(239,68,68,0.8)">${escapeHtml(e.reason)}</div>` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+    
+    function updateTeamSecurity() {
+        const el = document.getElementById('team-security');
+        if (!el) return;
+        el.innerHTML = renderTeamSecurity();
+        attachTeamSecurityHandlers(el);
+    }
+    
+    function attachTeamSecurityHandlers(el) {
+        if (!el) return;
+        
+        const requireBox = el.querySelector('#team-require-signed');
+        if (requireBox) {
+            requireBox.onchange = () => {
+                try {
+                    TeamModule.updateTeam({ settings: { requireSignedSync: requireBox.checked } });
+                } catch (err) {
+                    ModalsModule.showToast('Error: ' + err.message, 'error');
+                }
+            };
+        }
+        
+        const rotateBtn = el.querySelector('#team-rotate-keys');
+        if (rotateBtn) {
+            rotateBtn.onclick = async () => {
+                if (!confirm('Rotate the team passphrase and mesh key? Members without a known key will need a new invite.')) return;
+                try {
+                    const result = await TeamModule.rotateTeamKeys();
+                    ModalsModule.showToast(
+                        result.pending.length
+                            ? `🔑 Keys rotated — ${result.pending.length} member${result.pending.length !== 1 ? 's' : ''} need a new invite`
+                            : '🔑 Keys rotated and sent to all members',
+                        result.pending.length ? 'warning' : 'success'
+                    );
+                } catch (err) {
+                    ModalsModule.showToast('Error: ' + err.message, 'error');
+                }
+            };
+        }
+        
+        const clearBtn = el.querySelector('#team-audit-clear');
+        if (clearBtn) {
+            clearBtn.onclick = () => {
+                if (confirm('Clear the team audit log?')) TeamModule.clearAuditLog();
+            };
+        }
+    }
+    
+    /**
+     * Comm plan check-in engine: schedule, our prompt, per-member status and escalation
+     */
+    function renderCheckInProtocol() {
+        if (typeof CheckInModule === 'undefined' || typeof CommPlanModule === 'undefined') return '';
+        const config = CheckInModule.getConfig();
+        const summary = CheckInModule.getSummary();
+        const fmt = CheckInModule.formatClock;
+        const statusColors = { ok: '#22c55e', due: '#3b82f6', missed: '#f59e0b', overdue: '#ef4444', pending: 'rgba(255,255,255,0.4)' };
+        const statusLabels = { ok: 'OK', due: 'Due', missed: 'Missed', overdue: 'Overdue', pending: 'No check-in' };
+        
+        if (!config.enabled) {
+            return `
+                <div style="padding:12px;background:rgba(255,255,255,0.03);border:1px solid rgba(255,255,255,0.08);border-radius:10px;margin-bottom:16px">
+                    <label style="display:flex;align-items:center;gap:6px;font-size:12px">
+                        <input type="checkbox" id="checkin-enabled">
+                        ⏰ Run comm plan check-ins
+                    </label>
+                    <div style="font-size:10px;color:rgba(255,255,255,0.4);margin-top:4px">Prompts you on schedule, sends over Meshtastic/APRS and escalates missed check-ins</div>
+                </div>
+            `;
+        }
+        
+        const statuses = CheckInModule.getStatuses();
+        const history = CheckInModule.getHistory({ limit: 5 });
+        const schedule = config.windows.length > 0
+            ? `At ${config.windows.map(w => escapeHtml(w.time)).join(', ')}`
+            : `Every ${config.interval} min`;
+        const next = summary.next;
+        const nextText = !next ? 'No windows scheduled'
+            : next.openAt <= Date.now() ? `Window open until ${fmt(next.closeAt)}`
+            : `Next ${fmt(next.dueAt)} (opens ${fmt(next.openAt)})`;
+        
+        return `
+            <div style="padding:12px;background:rgba(255,255,255,0.03);border:1px solid rgba(255,255,255,0.08);border-radius:10px;margin-bottom:16px">
+                <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:8px">
+                    <label style="display:flex;align-items:center;gap:6px;font-size:10px;color:rgba(255,255,255,0.4)">
+                        <input type="checkbox" id="checkin-enabled" checked>
+                        CHECK-IN PROTOCOL
+                    </label>
+                    <span style="font-size:10px;color:rgba(255,255,255,0.5)">${schedule} • ±${config.windowMinutes / 2} min</span>
+                </div>
+                <div style="font-size:11px;margin-bottom:8px">⏰ ${nextText}</div>
+                
+                ${summary.prompt ? `
+                    <div style="padding:8px;background:rgba(59,130,246,0.15);border:1px solid rgba(59,130,246,0.3);border-radius:6px;margin-bottom:8px">
+                        <div style="font-size:11px;font-weight:500;margin-bottom:6px">Check-in due ${fmt(summary.prompt.dueAt)} — closes ${fmt(summary.prompt.closeAt)}</div>
+                        <div style="display:flex;gap:8px">
+                            <button class="btn btn--success" data-checkin-status="OK" style="flex:1;font-size:11px;padding:6px">✓ Check In</button>
+                            <button class="btn btn--secondary" data-checkin-status="NEED HELP" style="flex:1;font-size:11px;padding:6px;color:#f59e0b">⚠️ Need Help</button>
+                        </div>
+                    </div>
+                ` : ''}
+                
+                ${statuses.map(s => `
+                    <div style="display:flex;align-items:center;gap:8px;font-size:11px;padding:4px 0;border-bottom:1px solid rgba(255,255,255,0.05)">
+                        <span style="width:8px;height:8px;border-radius:50%;background:${statusColors[s.status]};flex-shrink:0"></span>
+                        <strong style="flex:1">${escapeHtml(s.name)}</strong>
+                        <span style="color:rgba(255,255,255,0.5)">${s.last ? `${escapeHtml(s.last.status)} ${formatMeshTime(s.last.at)} • ${escapeHtml(s.last.via)}` : ''}</span>
+                        <span style="color:${statusColors[s.status]}">${s.level && s.status !== 'overdue' ? escapeHtml(s.level) : statusLabels[s.status]}</span>
+                        ${s.missed && (s.self || summary.coordinator) ? `<button class="btn btn--secondary" data-checkin-ack="${escapeHtml(s.key)}" style="padding:2px 6px;font-size:9px" title="Contact made — stop escalating">Stand down</button>` : ''}
+                    </div>
+                    ${s.missed?.protocol ? `
+                        <div style="font-size:10px;color:rgba(239,68,68,0.85);padding:4px 0 4px 16px">
+                            ${escapeHtml(s.missed.protocol.searchInstructions.slice(2).join(' '))}
+                            ${s.missed.protocol.lastKnownPosition ? `<div style="color:rgba(255,255,255,0.4)">Last known ${s.missed.protocol.lastKnownPosition.lat.toFixed(5)}, ${s.missed.protocol.lastKnownPosition.lon.toFixed(5)}</div>` : ''}
+                        </div>
+                    ` : ''}
+                `).join('')}
+                
+                <details style="margin-top:8px">
+                    <summary style="font-size:10px;color:rgba(255,255,255,0.5);cursor:pointer">Schedule & escalation</summary>
+                    <div style="display:grid;grid-template-columns:1fr 1fr;gap:6px;margin-top:8px;font-size:10px">
+                        <label>Interval (min)<input type="number" id="checkin-interval" min="5" max="1440" value="${config.interval}" style="width:100%"></label>
+                        <label>Window (min)<input type="number" id="checkin-window" min="2" max="120" value="${config.windowMinutes}" style="width:100%"></label>
+                    </div>
+                    <div style="font-size:10px;margin-top:6px">
+                        Fixed times ${config.windows.length ? '(override interval)' : ''}:
+                        ${config.windows.map(w => `<span style="padding:2px 6px;background:rgba(255,255,255,0.05);border-radius:4px;margin-right:4px">${escapeHtml(w.time)} <a href="#" data-checkin-remove-window="${escapeHtml(w.id)}" aria-label="Remove ${escapeHtml(w.time)}">✕</a></span>`).join('')}
+                        <input type="time" id="checkin-add-time" style="font-size:10px">
+                        <button class="btn btn--secondary" id="checkin-add-window" style="padding:2px 6px;font-size:9px">Add</button>
+                    </div>
+                    <div style="display:flex;flex-wrap:wrap;gap:10px;font-size:10px;margin-top:6px">
+                        <label><input type="checkbox" id="checkin-auto" ${config.autoSend ? 'checked' : ''}> Auto-send</label>
+                        <label><input type="checkbox" id="checkin-mesh" ${config.transports.mesh ? 'checked' : ''}> Meshtastic</label>
+                        <label><input type="checkbox" id="checkin-aprs" ${config.transports.aprs ? 'checked' : ''}> APRS to</label>
+                        <input type="text" id="checkin-aprs-to" value="${escapeHtml(config.aprsTo || '')}" placeholder="CALL or group" maxlength="9" style="width:80px;font-size:10px">
+                    </div>
+                    <div style="display:grid;grid-template-columns:1fr 1fr;gap:6px;margin-top:6px;font-size:10px">
+                        ${config.escalation.map((step, i) => `
+                            <label>${escapeHtml(CheckInModule.ESCALATION_LABELS[step.action] || step.action)} after (min)
+                                <input type="number" data-checkin-step="${i}" min="0" max="1440" value="${step.after}" style="width:100%">
+                            </label>
+                        `).join('')}
+                    </div>
+                </details>
+                
+                ${history.length ? `
+                    <div style="margin-top:8px">
+                        ${history.map(h => `
+                            <div style="font-size:10px;color:rgba(255,255,255,0.5);padding:2px 0">
+                                ${h.type === 'checkin' ? '✓' : h.type === 'escalation' ? '⚠️' : h.type === 'missed' ? '⏰' : '↺'}
+                                ${escapeHtml(h.name)} ${h.type === 'checkin' ? `checked in ${escapeHtml(h.status)} via ${escapeHtml(h.via)}`
+                                    : h.type === 'escalation' ? escapeHtml(CheckInModule.ESCALATION_LABELS[h.action] || h.action)
+                                    : h.type === 'missed' ? `missed ${fmt(h.dueAt)}`
+                                    : h.type === 'recovered' ? `back in contact (${fmt(h.dueAt)})`
+                                    : `stood down (${fmt(h.dueAt)})`}
+                                <span style="float:right">${formatMeshTime(h.at)}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+    
+    function updateCheckInProtocol() {
+        const el = document.getElementById('checkin-protocol');
+        if (!el) return;
+        // Don't rebuild under the user while they're editing the schedule
+        if (el.contains(document.activeElement) && document.activeElement.tagName === 'INPUT' && document.activeElement.type !== 'checkbox') return;
+        const details = el.querySelector('details');
+        const wasOpen = details && details.open;
+        el.innerHTML = renderCheckInProtocol();
+        if (wasOpen && el.querySelector('details')) el.querySelector('details').open = true;
+        attachCheckInProtocolHandlers(el);
+    }
+    
+    function attachCheckInProtocolHandlers(el) {
+        if (!el || typeof CheckInModule === 'undefined') return;
+        const save = (settings) => CommPlanModule.updateCheckInSettings(settings);
+        const config = CheckInModule.getConfig();
+        
+        const enabledBox = el.querySelector('#checkin-enabled');
+        if (enabledBox) enabledBox.onchange = () => save({ enabled: enabledBox.checked });
+        
+        el.querySelectorAll('[data-checkin-status]').forEach(btn => {
+            btn.onclick = async () => {
+                btn.disabled = true;
+                try {
+                    await CheckInModule.sendCheckIn(btn.dataset.checkinStatus);
+                } catch (err) {
+                    ModalsModule.showToast('Check-in failed: ' + err.message, 'error');
+                    btn.disabled = false;
+                }
+            };
+        });
+        
+        el.querySelectorAll('[data-checkin-ack]').forEach(btn => {
+            btn.onclick = () => CheckInModule.acknowledgeMissed(btn.dataset.checkinAck);
+        });
+        
+        const number = (input, min, max, apply) => {
+            if (!input) return;
+            input.onchange = () => {
+                const value = parseInt(input.value, 10);
+                if (!isFinite(value)) return;
+                apply(Math.max(min, Math.min(max, value)));
+            };
+        };
+        number(el.querySelector('#checkin-interval'), 5, 1440, v => save({ interval: v }));
+        number(el.querySelector('#checkin-window'), 2, 120, v => save({ windowMinutes: v }));
+        el.querySelectorAll('[data-checkin-step]').forEach(input => {
+            number(input, 0, 1440, v => {
+                const escalation = config.escalation.map(s => ({ ...s }));
+                escalation[Number(input.dataset.checkinStep)].after = v;
+                save({ escalation });
+            });
+        });
+        
+        const autoBox = el.querySelector('#checkin-auto');
+        if (autoBox) autoBox.onchange = () => save({ autoSend: autoBox.checked });
+        const meshBox = el.querySelector('#checkin-mesh');
+        const aprsBox = el.querySelector('#checkin-aprs');
+        [meshBox, aprsBox].forEach(box => {
+            if (box) box.onchange = () => save({ transports: { mesh: meshBox.checked, aprs: aprsBox.checked } });
+        });
+        const aprsTo = el.querySelector('#checkin-aprs-to');
+        if (aprsTo) aprsTo.onchange = () => save({ aprsTo: aprsTo.value.trim().toUpperCase() });
+        
+        const addBtn = el.querySelector('#checkin-add-window');
+        const timeInput = el.querySelector('#checkin-add-time');
+        if (addBtn && timeInput) {
+            addBtn.onclick = () => {
+                if (!/^\d{2}:\d{2}$/.test(timeInput.value)) {
+                    ModalsModule.showToast('Pick a time first', 'error');
+                    return;
+                }
+                CommPlanModule.addCheckInWindow(timeInput.value);
+            };
+        }
+        el.querySelectorAll('[data-checkin-remove-window]').forEach(link => {
+            link.onclick = (e) => {
+                e.preventDefault();
+                CommPlanModule.removeCheckInWindow(link.dataset.checkinRemoveWindow);
+            };
+        });
+    }
+    
     /**
      * Render Team Management section
      */
@@ -4487,6 +7425,9 @@ const PanelsModule = (function() {
                     `}
                 </div>
                 
+                <!-- Signed Sync & Audit Trail -->
+                <div id="team-security">${renderTeamSecurity()}</div>
+                
                 <!-- Comm Plan Summary -->
                 ${currentTeam.commPlan ? `
                     <div style="padding:12px;background:rgba(139,92,246,0.1);border:1px solid rgba(139,92,246,0.2);border-radius:10px">
@@ -4679,7 +7620,7 @@ const PanelsModule = (function() {
                 ` : ''}
                 
                 <!-- Phase 2: Mesh Health Widget (when connected) -->
-                ${isConnected ? renderMeshHealthWidget() : ''}
+                ${isConnected ? `<div id="mesh-health">${renderMeshHealthWidget()}</div>` : ''}
                 
                 <!-- Traceroute Widget (when active) -->
                 ${isConnected ? renderTracerouteWidget() : ''}
@@ -4779,6 +7720,9 @@ const PanelsModule = (function() {
                 </button>
             </div>
             
+            <!-- Comm Plan Check-in Protocol -->
+            <div id="checkin-protocol">${renderCheckInProtocol()}</div>
+            
             <div class="divider"></div>
             
             <!-- Mesh Messaging Section -->
@@ -4830,6 +7774,7 @@ const PanelsModule = (function() {
                         <div style="font-size:10px;color:rgba(255,255,255,0.4);margin-bottom:2px;display:flex;justify-content:space-between;align-items:center">
                             <span>${msg.isSent ? 'You' : msg.fromName || 'Unknown'} • ${formatMeshTime(msg.timestamp)}</span>
                             ${msg.isSent ? `<span style="color:${statusColor};font-size:9px" title="${status}">${statusIcon}</span>` : ''}
+                            ${msg.replayed ? '<span style="font-size:9px" title="Replayed by a store-and-forward router">📦</span>' : ''}
                         </div>
                         <div style="font-size:12px;word-break:break-word">${escapeHtml(msg.text)}</div>
                     </div>
@@ -4859,6 +7804,19 @@ const PanelsModule = (function() {
                     🛤️ Share Route
                 </button>
             </div>
+            <div style="display:flex;gap:8px;margin-bottom:16px;margin-top:-8px">
+                <button class="btn btn--secondary" id="mesh-share-area-btn" style="flex:1;font-size:11px" ${!isConnected || (State.get('areas') || []).length === 0 ? 'disabled' : ''}>
+                    ⬡ Area
+                </button>
+                <button class="btn btn--secondary" id="mesh-share-team-btn" style="flex:1;font-size:11px" ${!isConnected || typeof TeamModule === 'undefined' || !TeamModule.isInTeam() ? 'disabled' : ''}>
+                    👥 Team Pkg
+                </button>
+                <button class="btn btn--secondary" id="mesh-share-commplan-btn" style="flex:1;font-size:11px" ${!isConnected || typeof CommPlanModule === 'undefined' ? 'disabled' : ''}>
+                    📻 Comm Plan
+                </button>
+            </div>
+            <div id="mesh-transfers">${renderMeshTransfers()}</div>
+            <div id="mesh-range-test">${renderMeshRangeTest()}</div>
             
             <div class="divider"></div>
             
@@ -4959,6 +7917,9 @@ const PanelsModule = (function() {
             };
         }
         
+        attachTeamSecurityHandlers(container.querySelector('#team-security'));
+        attachCheckInProtocolHandlers(container.querySelector('#checkin-protocol'));
+        
         // Add Rally Point button
         const addRallyBtn = container.querySelector('#team-add-rally-btn');
         if (addRallyBtn) {
@@ -5176,6 +8137,34 @@ const PanelsModule = (function() {
             };
         }
         
+        // TAK two-way sync
+        const takSyncDetails = container.querySelector('#tak-sync-details');
+        if (takSyncDetails) {
+            takSyncDetails.ontoggle = () => { takSyncPanel.open = takSyncDetails.open; };
+        }
+        container.querySelectorAll('[data-tak-sync]').forEach(input => {
+            input.onchange = () => {
+                TAKModule.setSync(input.dataset.takSync, input.dataset.id, input.checked);
+                renderTeam();
+            };
+        });
+        const takSyncAccept = container.querySelector('#tak-sync-accept-routes');
+        if (takSyncAccept) {
+            takSyncAccept.onchange = () => TAKModule.configureSync({ acceptRoutes: takSyncAccept.checked });
+        }
+        const takSyncStale = container.querySelector('#tak-sync-stale');
+        if (takSyncStale) {
+            takSyncStale.onchange = () => TAKModule.configureSync({ staleMinutes: takSyncStale.value });
+        }
+        
+        // CoT wire format
+        const takWireFormat = container.querySelector('#tak-wire-format');
+        if (takWireFormat) {
+            takWireFormat.onchange = () => {
+                TAKModule.setWireFormat(takWireFormat.value);
+            };
+        }
+        
         // CoT Bridge Disconnect button
         const takDisconnectBtn = container.querySelector('#tak-disconnect-btn');
         if (takDisconnectBtn) {
@@ -5411,6 +8400,40 @@ const PanelsModule = (function() {
             shareRouteBtn.onclick = () => openMeshShareRouteModal();
         }
         
+        // Share area / team package / comm plan (mesh transfers)
+        const shareAreaBtn = container.querySelector('#mesh-share-area-btn');
+        if (shareAreaBtn) {
+            shareAreaBtn.onclick = () => openMeshShareAreaModal();
+        }
+        
+        const shareTeamPkgBtn = container.querySelector('#mesh-share-team-btn');
+        if (shareTeamPkgBtn) {
+            shareTeamPkgBtn.onclick = async () => {
+                try {
+                    await MeshtasticModule.shareTeamPackage();
+                    ModalsModule.showToast('👥 Sending team package — members need the passphrase to join', 'info');
+                } catch (err) {
+                    ModalsModule.showToast(err.message, 'error');
+                }
+            };
+        }
+        
+        const shareCommPlanBtn = container.querySelector('#mesh-share-commplan-btn');
+        if (shareCommPlanBtn) {
+            shareCommPlanBtn.onclick = async () => {
+                try {
+                    await MeshtasticModule.shareCommPlan();
+                    ModalsModule.showToast('📻 Sending comm plan', 'info');
+                } catch (err) {
+                    ModalsModule.showToast(err.message, 'error');
+                }
+            };
+        }
+        
+        attachMeshHealthHandlers(container.querySelector('#mesh-health'));
+        attachMeshTransferHandlers(container.querySelector('#mesh-transfers'));
+        attachMeshRangeTestHandlers(container.querySelector('#mesh-range-test'));
+        
         // Go to team member location
         container.querySelectorAll('[data-goto-team]').forEach(btn => {
             btn.onclick = () => {
@@ -5493,7 +8516,7 @@ const PanelsModule = (function() {
         // GPX Export
         container.querySelector('#export-gpx-btn').onclick = () => {
             if (typeof GPXModule !== 'undefined') {
-                GPXModule.downloadGPX(waypoints, routes, 'griddown-export.gpx');
+                GPXModule.downloadGPX(waypoints, routes, 'griddown-export.gpx', { areas: State.get('areas') });
                 ModalsModule.showToast('GPX exported', 'success');
             } else {
                 ModalsModule.showToast('GPX module not available', 'error');
@@ -5679,6 +8702,36 @@ const PanelsModule = (function() {
                     </div>
                 `}
                 
+                <!-- Topology (neighbor info links) -->
+                ${health.topology && health.topology.links > 0 ? `
+                    <div style="margin-top:8px;padding-top:8px;border-top:1px solid rgba(255,255,255,0.1)">
+                        <div style="display:flex;justify-content:space-between;align-items:center">
+                            <span style="font-size:10px;color:rgba(255,255,255,0.5)">🕸️ ${health.topology.links} mesh link${health.topology.links !== 1 ? 's' : ''}</span>
+                            <label style="font-size:10px;color:rgba(255,255,255,0.5);display:flex;align-items:center;gap:4px;cursor:pointer">
+                                <input type="checkbox" id="mesh-topology-show" ${MeshtasticModule.getMeshTopology().showOnMap ? 'checked' : ''}> Map
+                            </label>
+                        </div>
+                        ${health.topology.weakLinks.map(l => `
+                            <div style="font-size:10px;color:${l.quality === 'poor' ? '#ef4444' : '#f59e0b'};margin-top:3px">
+                                ⚠ ${escapeHtml(l.aName)} ↔ ${escapeHtml(l.bName)} ${l.snr.toFixed(1)} dB${l.oneWay ? ' (one-way)' : ''}
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+                
+                <!-- Store & Forward routers -->
+                ${health.storeForward && health.storeForward.routers.length > 0 ? `
+                    <div style="margin-top:8px;padding-top:8px;border-top:1px solid rgba(255,255,255,0.1);display:flex;justify-content:space-between;align-items:center;gap:8px">
+                        <span style="font-size:10px;color:rgba(255,255,255,0.5)">
+                            📦 ${escapeHtml(health.storeForward.routers[0].name)} • heard ${formatTimeAgo(health.storeForward.routers[0].lastHeard)}
+                            ${health.storeForward.pending ? `<span style="color:#3b82f6">• replaying${health.storeForward.pending.expected ? ` ${health.storeForward.pending.received}/${health.storeForward.pending.expected}` : '…'}</span>` : ''}
+                        </span>
+                        <button class="btn btn--secondary" id="mesh-sf-request" style="padding:2px 8px;font-size:10px" ${health.storeForward.pending ? 'disabled' : ''}>
+                            Get missed
+                        </button>
+                    </div>
+                ` : ''}
+                
                 <!-- Queue Status -->
                 ${health.queueStatus && health.queueStatus.count > 0 ? `
                     <div style="margin-top:8px;padding-top:8px;border-top:1px solid rgba(255,255,255,0.1)">
@@ -5689,6 +8742,35 @@ const PanelsModule = (function() {
         `;
     }
     
+    /**
+     * Refresh the mesh health widget without re-rendering the Team panel
+     */
+    function updateMeshHealth() {
+        const el = document.getElementById('mesh-health');
+        if (!el) return;
+        el.innerHTML = renderMeshHealthWidget();
+        attachMeshHealthHandlers(el);
+    }
+    
+    function attachMeshHealthHandlers(el) {
+        if (!el) return;
+        
+        const showBox = el.querySelector('#mesh-topology-show');
+        if (showBox) showBox.onchange = () => MeshtasticModule.setTopologyVisible(showBox.checked);
+        
+        const sfBtn = el.querySelector('#mesh-sf-request');
+        if (sfBtn) {
+            sfBtn.onclick = async () => {
+                try {
+                    await MeshtasticModule.requestMissedMessages();
+                    ModalsModule.showToast('📦 Asked router for missed messages', 'info');
+                } catch (err) {
+                    ModalsModule.showToast(err.message, 'error');
+                }
+            };
+        }
+    }
+    
     /**
      * Render canned messages bar
      */
@@ -8818,7 +11900,24 @@ const PanelsModule = (function() {
                     <div class="modal__body">
                         <p style="font-size:12px;color:rgba(255,255,255,0.5);margin-bottom:12px">
                             Select a waypoint to share with your team over the mesh network.
+                            It shows up in the official Meshtastic apps too.
                         </p>
+                        <div style="display:flex;gap:8px;align-items:center;margin-bottom:12px;font-size:12px">
+                            <label style="color:rgba(255,255,255,0.5)">Expires</label>
+                            <select id="mesh-wp-expire" style="flex:1;padding:6px;font-size:12px">
+                                <option value="0">Never</option>
+                                <option value="1">1 hour</option>
+                                <option value="8">8 hours</option>
+                                <option value="24">24 hours</option>
+                                <option value="168">7 days</option>
+                            </select>
+                            <label style="display:flex;align-items:center;gap:6px;cursor:pointer" title="Only this node can move or delete it">
+                                <input type="checkbox" id="mesh-wp-lock"> Lock
+                            </label>
+                            <label style="display:flex;align-items:center;gap:6px;cursor:pointer" title="Also send attached photos (scaled down)">
+                                <input type="checkbox" id="mesh-wp-photos"> 📷
+                            </label>
+                        </div>
                         <div style="max-height:300px;overflow-y:auto">
                             ${waypoints.map(wp => {
                                 const type = Constants.WAYPOINT_TYPES[wp.type] || Constants.WAYPOINT_TYPES.custom;
@@ -8828,8 +11927,11 @@ const PanelsModule = (function() {
                                             <div class="card__icon" style="background:${type.color}22">${type.icon}</div>
                                             <div>
                                                 <div class="card__title">${wp.name}</div>
-                                                <div class="card__subtitle">${type.label}</div>
+                                                <div class="card__subtitle">${type.label}${wp.meshWaypointId ? ' • shared' : ''}${wp.photos?.length ? ` • 📷 ${wp.photos.length}` : ''}</div>
                                             </div>
+                                            ${wp.meshWaypointId && wp.source !== 'meshtastic' ? `
+                                                <button class="btn btn--secondary" style="margin-left:auto;padding:4px 8px;font-size:11px" data-unshare-wp="${wp.id}" title="Remove it from other devices">Unshare</button>
+                                            ` : ''}
                                         </div>
                                     </div>
                                 `;
@@ -8855,69 +11957,417 @@ const PanelsModule = (function() {
             card.onclick = async () => {
                 const wp = waypoints.find(w => w.id === card.dataset.shareWp);
                 if (wp) {
+                    const options = {
+                        expireHours: parseInt(modalContainer.querySelector('#mesh-wp-expire').value, 10),
+                        locked: modalContainer.querySelector('#mesh-wp-lock').checked
+                    };
+                    const withPhotos = modalContainer.querySelector('#mesh-wp-photos').checked;
+                    closeModal();
+                    await MeshtasticModule.shareWaypoint(wp, options);
+                    if (withPhotos && wp.photos?.length) {
+                        try {
+                            await MeshtasticModule.shareWaypointPhotos(wp);
+                        } catch (err) {
+                            ModalsModule.showToast(err.message, 'error');
+                        }
+                    }
+                }
+            };
+        });
+        
+        modalContainer.querySelectorAll('[data-unshare-wp]').forEach(btn => {
+            btn.onclick = async (e) => {
+                e.stopPropagation();
+                const wp = waypoints.find(w => w.id === btn.dataset.unshareWp);
+                if (!wp) return;
+                closeModal();
+                try {
+                    if (await MeshtasticModule.deleteSharedWaypoint(wp)) {
+                        ModalsModule.showToast(`📍 Stopped sharing: ${wp.name}`, 'success');
+                    } else {
+                        ModalsModule.showToast('Connect a Meshtastic radio to unshare', 'error');
+                    }
+                } catch (err) {
+                    ModalsModule.showToast('Error: ' + err.message, 'error');
+                }
+            };
+        });
+    }
+    
+    /**
+     * Open modal to select route for mesh sharing
+     */
+    function openMeshShareRouteModal() {
+        const routes = State.get('routes') || [];
+        // Uses cached modalContainer ref
+        
+        modalContainer.innerHTML = `
+            <div class="modal-backdrop" id="modal-backdrop" role="presentation">
+                <div class="modal" role="dialog" aria-modal="true" style="max-width:400px">
+                    <div class="modal__header">
+                        <h3 class="modal__title">🛤️ Share Route via Mesh</h3>
+                        <button class="modal__close" id="modal-close" aria-label="Close dialog">${Icons.get('close')}</button>
+                    </div>
+                    <div class="modal__body">
+                        <p style="font-size:12px;color:rgba(255,255,255,0.5);margin-bottom:12px">
+                            Select a route to share. Large routes are compressed and sent in chunks, with missing chunks re-requested.
+                        </p>
+                        <div style="max-height:300px;overflow-y:auto">
+                            ${routes.filter(r => !r.isBuilding).map(route => `
+                                <div class="card" style="margin-bottom:8px;cursor:pointer" data-share-route="${route.id}">
+                                    <div class="card__header">
+                                        <div class="card__icon" style="background:rgba(249,115,22,0.15);color:#f97316">${Icons.get('route')}</div>
+                                        <div>
+                                            <div class="card__title">${route.name}</div>
+                                            <div class="card__subtitle">${route.distance || '?'} mi • ${route.points?.length || 0} points</div>
+                                        </div>
+                                    </div>
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
+                    <div class="modal__footer">
+                        <button class="btn btn--secondary" id="modal-cancel">Cancel</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        const closeModal = () => { modalContainer.innerHTML = ''; };
+        
+        modalContainer.querySelector('#modal-close').onclick = closeModal;
+        modalContainer.querySelector('#modal-cancel').onclick = closeModal;
+        modalContainer.querySelector('#modal-backdrop').onclick = (e) => {
+            if (e.target.id === 'modal-backdrop') closeModal();
+        };
+        
+        modalContainer.querySelectorAll('[data-share-route]').forEach(card => {
+            card.onclick = async () => {
+                const route = routes.find(r => r.id === card.dataset.shareRoute);
+                if (route) {
                     closeModal();
-                    await MeshtasticModule.shareWaypoint(wp);
+                    await MeshtasticModule.shareRoute(route);
+                }
+            };
+        });
+    }
+    
+    /**
+     * Open modal to select an area for mesh sharing
+     */
+    function openMeshShareAreaModal() {
+        const areas = State.get('areas') || [];
+        
+        modalContainer.innerHTML = `
+            <div class="modal-backdrop" id="modal-backdrop" role="presentation">
+                <div class="modal" role="dialog" aria-modal="true" style="max-width:400px">
+                    <div class="modal__header">
+                        <h3 class="modal__title">⬡ Share Area via Mesh</h3>
+                        <button class="modal__close" id="modal-close" aria-label="Close dialog">${Icons.get('close')}</button>
+                    </div>
+                    <div class="modal__body">
+                        <p style="font-size:12px;color:rgba(255,255,255,0.5);margin-bottom:12px">
+                            Select an area to share. It is compressed and sent in chunks; missing chunks are re-requested.
+                        </p>
+                        <div style="max-height:300px;overflow-y:auto">
+                            ${areas.map(area => `
+                                <div class="card" style="margin-bottom:8px;cursor:pointer" data-share-area="${area.id}">
+                                    <div class="card__header">
+                                        <div class="card__icon" style="background:${area.color}22;color:${area.color}">⬡</div>
+                                        <div>
+                                            <div class="card__title">${escapeHtml(area.name)}</div>
+                                            <div class="card__subtitle">${area.points?.length || 0} points</div>
+                                        </div>
+                                    </div>
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
+                    <div class="modal__footer">
+                        <button class="btn btn--secondary" id="modal-cancel">Cancel</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        const closeModal = () => { modalContainer.innerHTML = ''; };
+        
+        modalContainer.querySelector('#modal-close').onclick = closeModal;
+        modalContainer.querySelector('#modal-cancel').onclick = closeModal;
+        modalContainer.querySelector('#modal-backdrop').onclick = (e) => {
+            if (e.target.id === 'modal-backdrop') closeModal();
+        };
+        
+        modalContainer.querySelectorAll('[data-share-area]').forEach(card => {
+            card.onclick = async () => {
+                const area = areas.find(a => a.id === card.dataset.shareArea);
+                if (!area) return;
+                closeModal();
+                try {
+                    await MeshtasticModule.shareArea(area);
+                    ModalsModule.showToast(`⬡ Sending area: ${area.name}`, 'success');
+                } catch (err) {
+                    ModalsModule.showToast(err.message, 'error');
                 }
             };
         });
     }
     
     /**
-     * Open modal to select route for mesh sharing
+     * Render the Meshtastic range test / coverage mapping section
+     */
+    function renderMeshRangeTest() {
+        if (typeof MeshtasticModule === 'undefined' || !MeshtasticModule.getRangeTestStatus) return '';
+        const rt = MeshtasticModule.getRangeTestStatus();
+        const isConnected = MeshtasticModule.isConnected();
+        const cmp = rt.comparison;
+        
+        return `
+            <details id="mesh-range-details" style="background:rgba(0,0,0,0.2);border-radius:8px;padding:10px 12px;margin-bottom:16px" ${meshRangeTestPanel.open ? 'open' : ''}>
+                <summary style="cursor:pointer;font-size:11px;color:rgba(255,255,255,0.5);text-transform:uppercase">
+                    📶 Range Test & Coverage
+                    ${rt.role ? `<span style="color:#22c55e;margin-left:4px;text-transform:none">• ${rt.role === 'beacon' ? 'beacon running' : 'logging'}</span>` : ''}
+                </summary>
+                <div style="padding-top:8px;font-size:12px">
+                    ${rt.role ? `
+                        <button class="btn btn--secondary btn--full" id="mesh-range-stop" style="font-size:12px;margin-bottom:8px">
+                            ⏹ Stop ${rt.role === 'beacon' ? `Beacon (${rt.sent} sent)` : 'Logging'}
+                        </button>
+                    ` : `
+                        <div style="display:flex;gap:8px;align-items:center;margin-bottom:8px">
+                            <span style="font-size:10px;color:rgba(255,255,255,0.5)">Ping every</span>
+                            <select id="mesh-range-interval" style="padding:4px 6px;font-size:11px">
+                                ${[15, 30, 60, 120].map(s => `<option value="${s}" ${rt.interval === s ? 'selected' : ''}>${s}s</option>`).join('')}
+                            </select>
+                        </div>
+                        <div style="display:flex;gap:8px;margin-bottom:8px">
+                            <button class="btn btn--secondary" id="mesh-range-beacon" style="flex:1;font-size:11px" ${!isConnected ? 'disabled' : ''} title="Stay put and send sequenced pings">
+                                📡 Start Beacon
+                            </button>
+                            <button class="btn btn--primary" id="mesh-range-logger" style="flex:1;font-size:11px" title="Move around and log which pings arrive">
+                                🚶 Start Logging
+                            </button>
+                        </div>
+                    `}
+                    ${rt.samples > 0 ? `
+                        <div style="display:grid;grid-template-columns:repeat(3,1fr);gap:6px;text-align:center;margin-bottom:8px">
+                            <div><div style="font-size:16px;font-weight:600;color:#22c55e">${rt.heard}</div><div style="font-size:9px;color:rgba(255,255,255,0.4)">HEARD</div></div>
+                            <div><div style="font-size:16px;font-weight:600;color:#ef4444">${rt.missed}</div><div style="font-size:9px;color:rgba(255,255,255,0.4)">MISSED</div></div>
+                            <div><div style="font-size:16px;font-weight:600">${Math.round(rt.successRate * 100)}%</div><div style="font-size:9px;color:rgba(255,255,255,0.4)">SUCCESS</div></div>
+                        </div>
+                        <div style="font-size:10px;color:rgba(255,255,255,0.4);margin-bottom:8px">
+                            ${rt.lastSnr !== null ? `Last SNR ${rt.lastSnr.toFixed(1)} dB` : 'No SNR yet'}${rt.lastRssi !== null ? ` • RSSI ${rt.lastRssi} dBm` : ''}${rt.maxDistance ? ` • farthest ${(rt.maxDistance / 1000).toFixed(2)} km` : ''}
+                        </div>
+                        <label style="display:flex;align-items:center;gap:8px;margin-bottom:8px;cursor:pointer">
+                            <input type="checkbox" id="mesh-range-show" ${rt.showOnMap ? 'checked' : ''}> Show coverage heatmap on map
+                        </label>
+                        <div style="display:flex;gap:6px;margin-bottom:8px">
+                            <button class="btn btn--secondary" id="mesh-range-csv" style="flex:1;font-size:11px;padding:6px">CSV</button>
+                            <button class="btn btn--secondary" id="mesh-range-geojson" style="flex:1;font-size:11px;padding:6px">GeoJSON</button>
+                            <button class="btn btn--secondary" id="mesh-range-clear" style="flex:1;font-size:11px;padding:6px">Clear</button>
+                        </div>
+                        <button class="btn btn--secondary btn--full" id="mesh-range-compare" style="font-size:11px;margin-bottom:6px" ${typeof RFLOSModule === 'undefined' ? 'disabled' : ''}>
+                            ⛰️ Compare with RF LOS prediction
+                        </button>
+                        ${cmp ? `
+                            <div style="font-size:10px;color:rgba(255,255,255,0.5)">
+                                ${cmp.compared} points: ${cmp.agree} agree, ${cmp.optimistic} predicted but missed, ${cmp.pessimistic} heard despite prediction${cmp.rssiError !== null ? ` • RSSI ${cmp.rssiError > 0 ? '+' : ''}${cmp.rssiError} dB vs model` : ''}
+                            </div>
+                        ` : ''}
+                    ` : `
+                        <div style="font-size:10px;color:rgba(255,255,255,0.3)">
+                            One node runs the beacon; a roaming tablet logs which pings arrive with SNR/RSSI and GPS position.
+                        </div>
+                    `}
+                </div>
+            </details>
+        `;
+    }
+    
+    /**
+     * Refresh the range test section without re-rendering the Team panel
+     */
+    function updateMeshRangeTest() {
+        const el = document.getElementById('mesh-range-test');
+        if (!el) return;
+        el.innerHTML = renderMeshRangeTest();
+        attachMeshRangeTestHandlers(el);
+    }
+    
+    function attachMeshRangeTestHandlers(el) {
+        if (!el) return;
+        
+        const details = el.querySelector('#mesh-range-details');
+        if (details) {
+            details.ontoggle = () => { meshRangeTestPanel.open = details.open; };
+        }
+        
+        const start = (role) => {
+            try {
+                const interval = parseInt(el.querySelector('#mesh-range-interval')?.value, 10) || undefined;
+                MeshtasticModule.startRangeTest(role, { interval });
+            } catch (err) {
+                ModalsModule.showToast(err.message, 'error');
+            }
+        };
+        const beaconBtn = el.querySelector('#mesh-range-beacon');
+        if (beaconBtn) beaconBtn.onclick = () => start('beacon');
+        const loggerBtn = el.querySelector('#mesh-range-logger');
+        if (loggerBtn) loggerBtn.onclick = () => start('logger');
+        
+        const stopBtn = el.querySelector('#mesh-range-stop');
+        if (stopBtn) stopBtn.onclick = () => MeshtasticModule.stopRangeTest();
+        
+        const showBox = el.querySelector('#mesh-range-show');
+        if (showBox) showBox.onchange = () => MeshtasticModule.setCoverageVisible(showBox.checked);
+        
+        const csvBtn = el.querySelector('#mesh-range-csv');
+        if (csvBtn) csvBtn.onclick = () => MeshtasticModule.downloadCoverage('csv');
+        const geoBtn = el.querySelector('#mesh-range-geojson');
+        if (geoBtn) geoBtn.onclick = () => MeshtasticModule.downloadCoverage('geojson');
+        
+        const clearBtn = el.querySelector('#mesh-range-clear');
+        if (clearBtn) {
+            clearBtn.onclick = () => {
+                if (confirm('Clear the range test log?')) MeshtasticModule.clearRangeTest();
+            };
+        }
+        
+        const compareBtn = el.querySelector('#mesh-range-compare');
+        if (compareBtn) {
+            compareBtn.onclick = async () => {
+                compareBtn.disabled = true;
+                compareBtn.textContent = 'Analyzing terrain…';
+                try {
+                    await MeshtasticModule.compareCoverageWithPrediction();
+                } catch (err) {
+                    ModalsModule.showToast(err.message, 'error');
+                    updateMeshRangeTest();
+                }
+            };
+        }
+    }
+    
+    /**
+     * Render the mesh transfer list (progress for both directions)
+     */
+    function renderMeshTransfers() {
+        if (typeof MeshtasticModule === 'undefined' || !MeshtasticModule.getTransfers) return '';
+        const transfers = MeshtasticModule.getTransfers();
+        if (transfers.length === 0) return '';
+        
+        const kindIcons = { route: '🛤️', area: '⬡', team: '👥', commplan: '📻', image: '📷', team_sync: '🔏' };
+        const statusColors = {
+            sending: '#3b82f6', waiting: '#3b82f6', receiving: '#3b82f6',
+            complete: '#22c55e', stalled: '#f59e0b', failed: '#ef4444', cancelled: 'rgba(255,255,255,0.3)'
+        };
+        const finished = ['complete', 'failed', 'cancelled'];
+        
+        return `
+            <div class="section-label" style="display:flex;justify-content:space-between;align-items:center">
+                <span>📶 Transfers</span>
+                ${transfers.some(t => finished.includes(t.status)) ? `
+                    <button class="btn btn--secondary" id="mesh-xfer-clear" style="padding:2px 8px;font-size:10px">Clear done</button>
+                ` : ''}
+            </div>
+            <div style="margin-bottom:16px">
+                ${transfers.map(t => {
+                    const color = statusColors[t.status] || '#3b82f6';
+                    const peer = t.direction === 'out' ? `to ${t.peerName || 'all'}` : `from ${t.peerName || '?'}`;
+                    const gap = t.pending && !finished.includes(t.status)
+                        ? ` • ${t.pending} ${t.direction === 'out' ? 'resending' : 'missing'}` : '';
+                    const acks = t.direction === 'out' && t.acks ? ` • ${t.acks} ack${t.acks !== 1 ? 's' : ''}` : '';
+                    return `
+                        <div style="padding:8px;margin-bottom:6px;background:rgba(255,255,255,0.05);border-radius:8px">
+                            <div style="display:flex;justify-content:space-between;align-items:center;font-size:12px">
+                                <span>${kindIcons[t.kind] || '📦'} ${t.direction === 'out' ? '↑' : '↓'} ${escapeHtml(t.name || t.kind || 'Transfer')}</span>
+                                <span style="font-size:10px;color:${color}">${t.status}</span>
+                            </div>
+                            <div style="font-size:10px;color:rgba(255,255,255,0.4);margin-top:2px">
+                                ${escapeHtml(peer)} • ${t.done}/${t.total} chunks${t.size ? ` • ${(t.size / 1024).toFixed(1)} KB` : ''}${gap}${acks}
+                            </div>
+                            <div style="height:4px;background:rgba(255,255,255,0.1);border-radius:2px;margin-top:6px;overflow:hidden">
+                                <div style="height:100%;width:${Math.round(t.progress * 100)}%;background:${color}"></div>
+                            </div>
+                            <div style="display:flex;gap:6px;justify-content:flex-end;margin-top:6px">
+                                ${t.status === 'stalled' ? `<button class="btn btn--secondary" data-xfer-resume="${t.key}" style="padding:2px 8px;font-size:10px">Resume</button>` : ''}
+                                ${!finished.includes(t.status) ? `<button class="btn btn--secondary" data-xfer-cancel="${t.key}" style="padding:2px 8px;font-size:10px">Cancel</button>` : ''}
+                                ${t.kind === 'team' && t.hasResult ? `<button class="btn btn--primary" data-xfer-join="${t.key}" style="padding:2px 8px;font-size:10px">Join Team</button>` : ''}
+                                ${t.kind === 'commplan' && t.hasResult ? `<button class="btn btn--primary" data-xfer-plan="${t.key}" style="padding:2px 8px;font-size:10px">Import Plan</button>` : ''}
+                                ${t.kind === 'image' && t.hasResult ? `<button class="btn btn--secondary" data-xfer-view="${t.key}" style="padding:2px 8px;font-size:10px">View</button>` : ''}
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+    
+    /**
+     * Refresh the transfer list without re-rendering the Team panel
      */
-    function openMeshShareRouteModal() {
-        const routes = State.get('routes') || [];
-        // Uses cached modalContainer ref
+    function updateMeshTransfers() {
+        const el = document.getElementById('mesh-transfers');
+        if (!el) return;
+        el.innerHTML = renderMeshTransfers();
+        attachMeshTransferHandlers(el);
+    }
+    
+    function attachMeshTransferHandlers(el) {
+        if (!el) return;
         
-        modalContainer.innerHTML = `
-            <div class="modal-backdrop" id="modal-backdrop" role="presentation">
-                <div class="modal" role="dialog" aria-modal="true" style="max-width:400px">
-                    <div class="modal__header">
-                        <h3 class="modal__title">🛤️ Share Route via Mesh</h3>
-                        <button class="modal__close" id="modal-close" aria-label="Close dialog">${Icons.get('close')}</button>
-                    </div>
-                    <div class="modal__body">
-                        <p style="font-size:12px;color:rgba(255,255,255,0.5);margin-bottom:12px">
-                            Select a route to share. Large routes will be sent in chunks.
-                        </p>
-                        <div style="max-height:300px;overflow-y:auto">
-                            ${routes.filter(r => !r.isBuilding).map(route => `
-                                <div class="card" style="margin-bottom:8px;cursor:pointer" data-share-route="${route.id}">
-                                    <div class="card__header">
-                                        <div class="card__icon" style="background:rgba(249,115,22,0.15);color:#f97316">${Icons.get('route')}</div>
-                                        <div>
-                                            <div class="card__title">${route.name}</div>
-                                            <div class="card__subtitle">${route.distance || '?'} mi • ${route.points?.length || 0} points</div>
-                                        </div>
-                                    </div>
-                                </div>
-                            `).join('')}
-                        </div>
-                    </div>
-                    <div class="modal__footer">
-                        <button class="btn btn--secondary" id="modal-cancel">Cancel</button>
-                    </div>
-                </div>
-            </div>
-        `;
+        const clearBtn = el.querySelector('#mesh-xfer-clear');
+        if (clearBtn) clearBtn.onclick = () => MeshtasticModule.clearFinishedTransfers();
         
-        const closeModal = () => { modalContainer.innerHTML = ''; };
+        el.querySelectorAll('[data-xfer-resume]').forEach(btn => {
+            btn.onclick = () => MeshtasticModule.resumeTransfers(btn.dataset.xferResume);
+        });
         
-        modalContainer.querySelector('#modal-close').onclick = closeModal;
-        modalContainer.querySelector('#modal-cancel').onclick = closeModal;
-        modalContainer.querySelector('#modal-backdrop').onclick = (e) => {
-            if (e.target.id === 'modal-backdrop') closeModal();
-        };
+        el.querySelectorAll('[data-xfer-cancel]').forEach(btn => {
+            btn.onclick = () => MeshtasticModule.cancelTransfer(btn.dataset.xferCancel);
+        });
         
-        modalContainer.querySelectorAll('[data-share-route]').forEach(card => {
-            card.onclick = async () => {
-                const route = routes.find(r => r.id === card.dataset.shareRoute);
-                if (route) {
-                    closeModal();
-                    await MeshtasticModule.shareRoute(route);
+        el.querySelectorAll('[data-xfer-join]').forEach(btn => {
+            btn.onclick = async () => {
+                const pkg = MeshtasticModule.getTransferResult(btn.dataset.xferJoin);
+                if (!pkg || typeof TeamModule === 'undefined') return;
+                const passphrase = prompt(`Passphrase for team "${pkg.teamName || 'team'}":`);
+                if (!passphrase) return;
+                try {
+                    const team = await TeamModule.importTeamPackage(pkg, passphrase);
+                    ModalsModule.showToast(`Joined team: ${team.name}`, 'success');
+                    renderTeam();
+                } catch (err) {
+                    ModalsModule.showToast(`Could not join: ${err.message}`, 'error');
+                }
+            };
+        });
+        
+        el.querySelectorAll('[data-xfer-plan]').forEach(btn => {
+            btn.onclick = () => {
+                const plan = MeshtasticModule.getTransferResult(btn.dataset.xferPlan);
+                if (!plan || typeof CommPlanModule === 'undefined') return;
+                if (!confirm(`Import comm plan "${plan.name || 'comm plan'}" to your saved plans?`)) return;
+                const imported = CommPlanModule.importPlanJSON(JSON.stringify(plan));
+                if (imported) {
+                    ModalsModule.showToast(`Imported comm plan: ${imported.name}`, 'success');
+                } else {
+                    ModalsModule.showToast('Could not import comm plan', 'error');
                 }
             };
         });
+        
+        el.querySelectorAll('[data-xfer-view]').forEach(btn => {
+            btn.onclick = () => {
+                const dataUrl = MeshtasticModule.getTransferResult(btn.dataset.xferView);
+                if (typeof dataUrl !== 'string' || !dataUrl.startsWith('data:image/')) return;
+                ModalsModule.showModal('Received Image', `
+                    <div style="text-align:center">
+                        <img src="${escapeHtml(dataUrl)}" style="max-width:100%;border-radius:8px" alt="Received image">
+                    </div>
+                `);
+            };
+        });
     }
     
     /**
@@ -8926,6 +12376,7 @@ const PanelsModule = (function() {
     function openExportModal() {
         const waypoints = State.get('waypoints') || [];
         const routes = State.get('routes') || [];
+        const areas = State.get('areas') || [];
         
         // Uses cached modalContainer ref
         modalContainer.innerHTML = `
@@ -8974,6 +12425,7 @@ const PanelsModule = (function() {
                             <div style="display:flex;gap:16px;font-size:13px">
                                 <span>📍 ${waypoints.length} waypoints</span>
                                 <span>🛣️ ${routes.length} routes</span>
+                                ${areas.length > 0 ? `<span>⬡ ${areas.length} areas</span>` : ''}
                             </div>
                         </div>
                     </div>
@@ -9101,7 +12553,9 @@ const PanelsModule = (function() {
      */
     function showConflictResolution(planData, filename) {
         const conflicts = PlanSharingModule.analyzeConflicts(planData);
-        const hasConflicts = conflicts.waypoints.length > 0 || conflicts.routes.length > 0;
+        const hasConflicts = conflicts.waypoints.length > 0 || conflicts.routes.length > 0 || conflicts.areas.length > 0;
+        const conflictCount = conflicts.waypoints.length + conflicts.routes.length + conflicts.areas.length;
+        const newCount = conflicts.newWaypoints.length + conflicts.newRoutes.length + conflicts.newAreas.length;
         
         // Uses cached modalContainer ref
         modalContainer.innerHTML = `
@@ -9132,9 +12586,15 @@ const PanelsModule = (function() {
                                 <div style="font-size:20px;font-weight:600;color:#22c55e">${conflicts.newRoutes.length}</div>
                                 <div style="font-size:11px;color:rgba(255,255,255,0.5)">New Routes</div>
                             </div>
+                            ${conflicts.newAreas.length > 0 ? `
+                                <div style="flex:1;padding:12px;background:rgba(34,197,94,0.1);border-radius:8px;text-align:center">
+                                    <div style="font-size:20px;font-weight:600;color:#22c55e">${conflicts.newAreas.length}</div>
+                                    <div style="font-size:11px;color:rgba(255,255,255,0.5)">New Areas</div>
+                                </div>
+                            ` : ''}
                             ${hasConflicts ? `
                                 <div style="flex:1;padding:12px;background:rgba(249,115,22,0.1);border-radius:8px;text-align:center">
-                                    <div style="font-size:20px;font-weight:600;color:#f97316">${conflicts.waypoints.length + conflicts.routes.length}</div>
+                                    <div style="font-size:20px;font-weight:600;color:#f97316">${conflictCount}</div>
                                     <div style="font-size:11px;color:rgba(255,255,255,0.5)">Conflicts</div>
                                 </div>
                             ` : ''}
@@ -9194,6 +12654,30 @@ const PanelsModule = (function() {
                                     </div>
                                 </div>
                             `).join('')}
+                            
+                            ${conflicts.areas.map((c, i) => `
+                                <div style="padding:12px;background:rgba(255,255,255,0.03);border:1px solid rgba(255,255,255,0.06);border-radius:8px;margin-bottom:8px">
+                                    <div style="display:flex;justify-content:space-between;align-items:start;margin-bottom:8px">
+                                        <div>
+                                            <div style="font-size:13px;font-weight:500">⬡ ${Helpers.escapeHtml(c.imported.name)}</div>
+                                            <div style="font-size:11px;color:rgba(255,255,255,0.4)">
+                                                ${c.type === 'name_collision' ? 'Name already exists' : 'Modified version exists'}
+                                            </div>
+                                        </div>
+                                    </div>
+                                    <div style="display:flex;gap:6px">
+                                        <button class="btn btn--secondary conflict-btn" data-conflict="area_${c.imported.id}" data-action="skip" style="flex:1;padding:8px;font-size:11px">
+                                            Skip
+                                        </button>
+                                        <button class="btn btn--secondary conflict-btn" data-conflict="area_${c.imported.id}" data-action="replace" style="flex:1;padding:8px;font-size:11px">
+                                            Replace
+                                        </button>
+                                        <button class="btn btn--secondary conflict-btn" data-conflict="area_${c.imported.id}" data-action="keep_both" style="flex:1;padding:8px;font-size:11px">
+                                            Keep Both
+                                        </button>
+                                    </div>
+                                </div>
+                            `).join('')}
                         ` : `
                             <div style="padding:20px;text-align:center;color:rgba(255,255,255,0.5)">
                                 <div style="font-size:24px;margin-bottom:8px">✓</div>
@@ -9204,7 +12688,7 @@ const PanelsModule = (function() {
                     <div class="modal__footer">
                         <button class="btn btn--secondary" id="modal-cancel">Cancel</button>
                         <button class="btn btn--success" id="modal-import">
-                            ${Icons.get('download')} Import ${conflicts.newWaypoints.length + conflicts.newRoutes.length + conflicts.waypoints.length + conflicts.routes.length} Items
+                            ${Icons.get('download')} Import ${newCount + conflictCount} Items
                         </button>
                     </div>
                 </div>
@@ -9217,6 +12701,7 @@ const PanelsModule = (function() {
         // Set default resolutions to 'skip' for conflicts, implicit 'add' for new items
         conflicts.waypoints.forEach(c => { resolutions[`waypoint_${c.imported.id}`] = 'skip'; });
         conflicts.routes.forEach(c => { resolutions[`route_${c.imported.id}`] = 'skip'; });
+        conflicts.areas.forEach(c => { resolutions[`area_${c.imported.id}`] = 'skip'; });
         
         const closeModal = () => { modalContainer.innerHTML = ''; };
         
@@ -9256,7 +12741,8 @@ const PanelsModule = (function() {
                               result.routes.added + result.routes.updated;
                 
                 ModalsModule.showToast(
-                    `Imported: ${result.waypoints.added} waypoints, ${result.routes.added} routes`,
+                    `Imported: ${result.waypoints.added} waypoints, ${result.routes.added} routes` +
+                        (result.areas.added > 0 ? `, ${result.areas.added} areas` : ''),
                     'success'
                 );
                 
@@ -9698,10 +13184,17 @@ const PanelsModule = (function() {
         
         const trailStopBtn = container.querySelector('#trail-stop');
         if (trailStopBtn) {
-            trailStopBtn.onclick = () => {
-                const track = GPSModule.stopRecording();
-                if (track && track.points.length > 1) {
-                    ModalsModule.showToast(`Trail saved: ${track.points.length} points, ${GPSModule.formatDistance(track.distance)}`, 'success');
+            trailStopBtn.onclick = async () => {
+                if (typeof TracksModule !== 'undefined') {
+                    const track = await TracksModule.stopRecording();
+                    if (track) {
+                        ModalsModule.showToast(`${track.name} saved to Tracks: ${GPSModule.formatDistance(track.stats.distance / 1609.344)}`, 'success');
+                    }
+                } else {
+                    const track = GPSModule.stopRecording();
+                    if (track && track.points.length > 1) {
+                        ModalsModule.showToast(`Trail saved: ${track.points.length} points, ${GPSModule.formatDistance(track.distance)}`, 'success');
+                    }
                 }
                 renderGPS();
             };
@@ -9837,6 +13330,295 @@ const PanelsModule = (function() {
         }
     }
     
+    /**
+     * Tracks panel - recording controls and the saved track library
+     */
+    function renderTracks() {
+        _saveScroll(); _restoreScroll();
+        const tracks = TracksModule.getTracks();
+        const selected = tracks.find(t => t.id === selectedTrackId) || null;
+        const replay = TracksModule.getReplayState();
+        
+        container.innerHTML = `
+            <div class="panel__header">
+                <h2 class="panel__title">Tracks</h2>
+            </div>
+            
+            <div id="track-recording-card">${renderTrackRecordingCard()}</div>
+            
+            <label style="display:flex;align-items:center;gap:8px;font-size:12px;margin:-4px 0 16px">
+                <input type="checkbox" id="track-autostart" ${TracksModule.isAutoStartEnabled() ? 'checked' : ''}>
+                Start recording automatically when I start moving
+            </label>
+            
+            ${selected ? renderTrackDetails(selected, replay) : ''}
+            
+            ${tracks.length === 0 ? `
+                <div class="empty-state">
+                    <div class="empty-state__icon">${Icons.get('activity')}</div>
+                    <div class="empty-state__title">No saved tracks</div>
+                    <div class="empty-state__desc">Recorded tracks are kept here with their stats</div>
+                </div>
+            ` : `
+                <div style="display:flex;justify-content:space-between;align-items:center">
+                    <div class="section-label">Library (${tracks.length})</div>
+                    <div style="display:flex;gap:4px">
+                        <button class="btn btn--secondary" data-export-all-tracks="gpx" style="padding:4px 8px;font-size:11px">GPX</button>
+                        <button class="btn btn--secondary" data-export-all-tracks="kml" style="padding:4px 8px;font-size:11px">KML</button>
+                        <button class="btn btn--secondary" data-export-all-tracks="geojson" style="padding:4px 8px;font-size:11px">GeoJSON</button>
+                    </div>
+                </div>
+                <div class="panel__scroll">
+                    ${tracks.map(t => `
+                        <div class="card ${selected?.id === t.id ? 'card--selected' : ''}" data-track-id="${t.id}" style="margin-bottom:8px;cursor:pointer">
+                            <div class="card__header">
+                                <div class="card__icon" style="background:${t.color}26;color:${t.color}">${Icons.get('activity')}</div>
+                                <div style="flex:1">
+                                    <div class="card__title">${Helpers.escapeHtml(t.name)}</div>
+                                    <div class="card__subtitle">
+                                        ${t.startTime ? new Date(t.startTime).toLocaleDateString() + ' • ' : ''}${GPSModule.formatDistance(t.stats.distance / 1609.344)} •
+                                        ${GPSModule.formatDuration(t.stats.movingTime / 3600)} moving
+                                        ${t.stats.elevationGain > 0 ? ` • ↗ ${Math.round(t.stats.elevationGain * 3.28084)} ft` : ''}
+                                    </div>
+                                </div>
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            `}
+        `;
+        
+        attachTrackHandlers(selected);
+    }
+    
+    /**
+     * Recording status and controls; also refreshed on GPS updates
+     */
+    function renderTrackRecordingCard() {
+        const gpsState = GPSModule.getState();
+        const stats = gpsState.isRecording ? TracksModule.getRecordingStats() : null;
+        const status = !gpsState.isRecording ? 'Not recording' : gpsState.isRecordingPaused ? 'Paused' : 'Recording...';
+        
+        return `
+            <div style="padding:14px;background:var(--color-bg-elevated);border-radius:12px;margin-bottom:16px">
+                <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:12px">
+                    <div>
+                        <div style="font-size:13px;font-weight:500">${status}</div>
+                        <div style="font-size:11px;color:rgba(255,255,255,0.5)">
+                            ${stats ? `${stats.pointCount} points • ${GPSModule.formatDistance(stats.distance / 1609.344)} • ${GPSModule.formatDuration(stats.movingTime / 3600)} moving` :
+                              (gpsState.isTracking ? 'GPS ready' : 'Start GPS in the GPS panel to record')}
+                        </div>
+                    </div>
+                    ${gpsState.isRecording && !gpsState.isRecordingPaused ? `
+                        <div style="width:12px;height:12px;background:#ef4444;border-radius:50%;animation:pulse 1s infinite"></div>
+                    ` : ''}
+                </div>
+                <div style="display:flex;gap:8px">
+                    ${!gpsState.isRecording ? `
+                        <button class="btn btn--success" id="track-start" style="flex:1" ${!gpsState.isTracking ? 'disabled' : ''}>● Start Recording</button>
+                    ` : `
+                        ${gpsState.isRecordingPaused ? `
+                            <button class="btn btn--secondary" id="track-resume" style="flex:1">▶ Resume</button>
+                        ` : `
+                            <button class="btn btn--secondary" id="track-pause" style="flex:1">❚❚ Pause</button>
+                        `}
+                        <button class="btn btn--primary" id="track-stop" style="flex:1">■ Stop & Save</button>
+                    `}
+                </div>
+            </div>
+        `;
+    }
+    
+    function attachTrackRecordingHandlers() {
+        const startBtn = container.querySelector('#track-start');
+        if (startBtn) startBtn.onclick = () => TracksModule.startRecording();
+        
+        const pauseBtn = container.querySelector('#track-pause');
+        if (pauseBtn) pauseBtn.onclick = () => TracksModule.pauseRecording();
+        
+        const resumeBtn = container.querySelector('#track-resume');
+        if (resumeBtn) resumeBtn.onclick = () => TracksModule.resumeRecording();
+        
+        const stopBtn = container.querySelector('#track-stop');
+        if (stopBtn) {
+            stopBtn.onclick = async () => {
+                const track = await TracksModule.stopRecording();
+                if (track) {
+                    selectedTrackId = track.id;
+                    ModalsModule.showToast(`${track.name} saved`, 'success');
+                } else {
+                    ModalsModule.showToast('Track too short to save', 'info');
+                }
+            };
+        }
+    }
+    
+    function updateTrackRecordingCard() {
+        const card = container.querySelector('#track-recording-card');
+        if (!card) return;
+        card.innerHTML = renderTrackRecordingCard();
+        attachTrackRecordingHandlers();
+    }
+    
+    /**
+     * Stats, replay and export for the selected track
+     */
+    function renderTrackDetails(track, replay) {
+        const s = track.stats;
+        const isShown = TracksModule.getShownTrackId() === track.id;
+        const isReplaying = replay?.trackId === track.id;
+        const ft = (m) => m === null ? '--' : Math.round(m * 3.28084).toLocaleString();
+        const stat = (value, label) => `
+            <div style="text-align:center">
+                <div style="font-size:15px;font-weight:600">${value}</div>
+                <div style="font-size:9px;color:rgba(255,255,255,0.4)">${label}</div>
+            </div>
+        `;
+        
+        return `
+            <div class="card" style="margin-bottom:16px;border-color:${track.color}">
+                <div class="form-group">
+                    <label>Name</label>
+                    <input type="text" id="track-name" value="${Helpers.escapeHtml(track.name)}">
+                </div>
+                <div class="stat-grid stat-grid--3" style="margin-bottom:12px">
+                    ${stat(GPSModule.formatDistance(s.distance / 1609.344), 'DISTANCE')}
+                    ${stat(GPSModule.formatDuration(s.movingTime / 3600), 'MOVING TIME')}
+                    ${stat(GPSModule.formatDuration(s.elapsedTime / 3600), 'TOTAL TIME')}
+                    ${stat(GPSModule.formatSpeed(s.avgMovingSpeed), 'AVG MOVING')}
+                    ${stat(GPSModule.formatSpeed(s.maxSpeed), 'MAX SPEED')}
+                    ${stat(s.segmentCount, 'SEGMENTS')}
+                    ${stat(ft(s.elevationGain), 'GAIN (FT)')}
+                    ${stat(ft(s.elevationLoss), 'LOSS (FT)')}
+                    ${stat(ft(s.maxElevation), 'HIGH (FT)')}
+                </div>
+                ${s.elevationSource ? `
+                    <div style="font-size:11px;color:rgba(255,255,255,0.4);margin-bottom:12px">
+                        Elevation from ${s.elevationSource === 'barometer' ? 'barometer' : 'GPS altitude'} • ${s.pointCount} points
+                    </div>
+                ` : ''}
+                
+                ${isReplaying ? `
+                    <div style="padding:10px;background:rgba(245,158,11,0.1);border-radius:8px;margin-bottom:12px">
+                        <div style="display:flex;justify-content:space-between;font-size:11px;margin-bottom:6px">
+                            <span id="track-replay-time">${new Date(replay.time).toLocaleTimeString()}</span>
+                            <span>${GPSModule.formatDuration(replay.duration / 3600000)}</span>
+                        </div>
+                        <input type="range" id="track-scrubber" min="0" max="${replay.duration}" step="1000" value="${replay.offset}" style="width:100%">
+                        <div style="display:flex;gap:8px;margin-top:8px">
+                            <button class="btn btn--secondary" id="track-replay-toggle" style="flex:1">${replay.playing ? '❚❚ Pause' : '▶ Play'}</button>
+                            <select id="track-replay-speed" style="flex:1">
+                                ${TracksModule.REPLAY_SPEEDS.map(x => `
+                                    <option value="${x}" ${replay.speed === x ? 'selected' : ''}>${x}×</option>
+                                `).join('')}
+                            </select>
+                            <button class="btn btn--secondary" id="track-replay-stop" style="flex:1">✕ Stop</button>
+                        </div>
+                    </div>
+                ` : ''}
+                
+                <div style="display:flex;gap:8px;margin-bottom:8px">
+                    <button class="btn btn--primary" id="track-save" style="flex:1">Save</button>
+                    <button class="btn btn--secondary" id="track-show" style="flex:1">${isShown ? '🙈 Hide' : '👁 Show'}</button>
+                    ${!isReplaying && track.startTime && track.endTime ? `
+                        <button class="btn btn--secondary" id="track-replay" style="flex:1">⏵ Replay</button>
+                    ` : ''}
+                </div>
+                <div style="display:flex;gap:8px">
+                    <button class="btn btn--secondary" data-export-track="gpx" style="flex:1">GPX</button>
+                    <button class="btn btn--secondary" data-export-track="kml" style="flex:1">KML</button>
+                    <button class="btn btn--secondary" data-export-track="geojson" style="flex:1">GeoJSON</button>
+                    <button class="btn btn--secondary" id="track-to-route" style="flex:1" title="Copy to routes">${Icons.get('route')}</button>
+                    <button class="btn btn--secondary" id="track-delete" style="padding:6px" title="Delete track" aria-label="Delete ${Helpers.escapeHtml(track.name)}">🗑️</button>
+                </div>
+            </div>
+        `;
+    }
+    
+    function attachTrackHandlers(selected) {
+        attachTrackRecordingHandlers();
+        
+        container.querySelector('#track-autostart').onchange = (e) => TracksModule.setAutoStart(e.target.checked);
+        
+        container.querySelectorAll('[data-track-id]').forEach(card => {
+            card.onclick = () => {
+                selectedTrackId = selectedTrackId === card.dataset.trackId ? null : card.dataset.trackId;
+                // Selecting a track shows it on the map
+                TracksModule.showTrack(selectedTrackId);
+                const track = selectedTrackId && TracksModule.getTrack(selectedTrackId);
+                if (track) {
+                    const first = track.segments[0][0];
+                    MapModule.setCenter(first.lat, first.lon);
+                }
+            };
+        });
+        
+        container.querySelectorAll('[data-export-all-tracks]').forEach(btn => {
+            btn.onclick = () => {
+                try {
+                    TracksModule.exportTracks(TracksModule.getTracks().map(t => t.id), btn.dataset.exportAllTracks);
+                } catch (err) {
+                    ModalsModule.showToast(err.message, 'error');
+                }
+            };
+        });
+        
+        if (!selected) return;
+        
+        container.querySelector('#track-save').onclick = async () => {
+            await TracksModule.updateTrack(selected.id, { name: container.querySelector('#track-name').value });
+            ModalsModule.showToast('Track saved', 'success');
+        };
+        container.querySelector('#track-show').onclick = () => {
+            TracksModule.showTrack(TracksModule.getShownTrackId() === selected.id ? null : selected.id);
+        };
+        
+        const replayBtn = container.querySelector('#track-replay');
+        if (replayBtn) replayBtn.onclick = () => TracksModule.startReplay(selected.id);
+        
+        const scrubber = container.querySelector('#track-scrubber');
+        if (scrubber) {
+            scrubber.oninput = () => TracksModule.seekReplay(parseInt(scrubber.value, 10));
+            container.querySelector('#track-replay-toggle').onclick = () => {
+                if (TracksModule.getReplayState()?.playing) TracksModule.pauseReplay();
+                else TracksModule.playReplay();
+                renderTracks();
+            };
+            container.querySelector('#track-replay-speed').onchange = (e) => TracksModule.setReplaySpeed(parseInt(e.target.value, 10));
+            container.querySelector('#track-replay-stop').onclick = () => TracksModule.stopReplay();
+        }
+        
+        container.querySelectorAll('[data-export-track]').forEach(btn => {
+            btn.onclick = () => TracksModule.exportTracks([selected.id], btn.dataset.exportTrack);
+        });
+        
+        container.querySelector('#track-to-route').onclick = async () => {
+            const route = await TracksModule.trackToRoute(selected.id);
+            if (route) ModalsModule.showToast(`Copied to routes as "${route.name}"`, 'success');
+        };
+        
+        container.querySelector('#track-delete').onclick = async () => {
+            if (confirm(`Delete track "${selected.name}"?`)) {
+                selectedTrackId = null;
+                await TracksModule.deleteTrack(selected.id);
+                ModalsModule.showToast('Track deleted', 'success');
+            }
+        };
+    }
+    
+    /**
+     * Move the replay scrubber without re-rendering the panel
+     */
+    function updateTrackReplayControls(replay) {
+        if (!replay) return;
+        const scrubber = container.querySelector('#track-scrubber');
+        if (scrubber && document.activeElement !== scrubber) scrubber.value = replay.offset;
+        const timeLabel = container.querySelector('#track-replay-time');
+        if (timeLabel) timeLabel.textContent = new Date(replay.time).toLocaleTimeString();
+        const toggle = container.querySelector('#track-replay-toggle');
+        if (toggle) toggle.textContent = replay.playing ? '❚❚ Pause' : '▶ Play';
+    }
+    
     // GPS update subscription
     let gpsUpdateUnsubscribe = null;
     let initialGPSCenterDone = false;  // Track if we've centered on first fix
@@ -9864,6 +13646,8 @@ const PanelsModule = (function() {
             // Only re-render GPS panel if it's active
             if (State.get('activePanel') === 'gps') {
                 renderGPS();
+            } else if (State.get('activePanel') === 'tracks') {
+                updateTrackRecordingCard();
             }
             // Always update map for position
             MapModule.render();
@@ -9935,6 +13719,8 @@ const PanelsModule = (function() {
                 </div>
             ` : ''}
             
+            ${renderGroundObservations()}
+            
             ${!weatherLoading && weatherData ? `
                 <!-- Current Conditions -->
                 <div class="section-label">Current Conditions</div>
@@ -12044,8 +15830,11 @@ const PanelsModule = (function() {
                     // Reload state from storage
                     const waypoints = await Storage.Waypoints.getAll();
                     const routes = await Storage.Routes.getAll();
+                    const areas = await Storage.Areas.getAll();
                     State.Waypoints.setAll(waypoints);
                     State.Routes.setAll(routes);
+                    State.Areas.setAll(areas);
+                    if (typeof TracksModule !== 'undefined') await TracksModule.reload();
                     
                     ModalsModule.showToast('Data imported successfully', 'success');
                     renderSettings(); // Re-render to show new counts
@@ -12240,6 +16029,17 @@ const PanelsModule = (function() {
                     State.Routes.setAll([]);
                 }
                 
+                if (type === 'all') {
+                    if (typeof AreasModule !== 'undefined') AreasModule.stopEditing();
+                    const areas = State.get('areas');
+                    for (const a of areas) {
+                        await Storage.Areas.delete(a.id);
+                    }
+                    State.Areas.setAll([]);
+                    State.Areas.select(null);
+                    if (typeof TracksModule !== 'undefined') await TracksModule.deleteAllTracks();
+                }
+                
                 closeModal();
                 ModalsModule.showToast(`${type === 'all' ? 'All data' : type.charAt(0).toUpperCase() + type.slice(1)} cleared`, 'success');
                 renderSettings();
@@ -12802,8 +16602,11 @@ const PanelsModule = (function() {
                                 <span style="color:#f59e0b">Overdue if not here by: ${ContingencyModule.formatDateTime(cp.overdueTime)}</span>
                             </div>
                             ${cp.searchArea ? `
-                                <div style="font-size:10px;color:rgba(255,255,255,0.4);margin-top:4px">
-                                    🔍 ${cp.searchArea.description}
+                                <div style="display:flex;justify-content:space-between;align-items:center;gap:8px;margin-top:4px">
+                                    <span style="font-size:10px;color:rgba(255,255,255,0.4)">🔍 ${cp.searchArea.description}</span>
+                                    ${typeof AreasModule !== 'undefined' ? `
+                                        <button class="btn btn--secondary" data-save-search-area="${i}" style="padding:4px 8px;font-size:10px;white-space:nowrap">⬡ Save as area</button>
+                                    ` : ''}
                                 </div>
                             ` : ''}
                         </div>
@@ -12811,6 +16614,19 @@ const PanelsModule = (function() {
                 }).join('')}
             </div>
         `;
+        
+        resultsDiv.querySelectorAll('[data-save-search-area]').forEach(btn => {
+            btn.onclick = async () => {
+                const cp = result.checkpoints[parseInt(btn.dataset.saveSearchArea)];
+                try {
+                    const area = await AreasModule.createFromSearchArea(cp.searchArea, `${cp.name} search`);
+                    btn.disabled = true;
+                    ModalsModule.showToast(`Saved "${area.name}" to Areas`, 'success');
+                } catch (err) {
+                    ModalsModule.showToast('Could not save search area: ' + err.message, 'error');
+                }
+            };
+        });
     }
     
     /**
@@ -18716,9 +22532,14 @@ ${text}
                                  style="width:100%;height:100%;object-fit:contain"
                                  alt="SSTV ${img.mode}">
                         </div>
-                        <div style="font-size:11px">
-                            <div style="font-weight:500">${img.mode}</div>
-                            <div style="color:var(--text-secondary)">${new Date(img.timestamp).toLocaleString()}</div>
+                        <div style="font-size:11px;display:flex;justify-content:space-between;align-items:flex-end;gap:4px">
+                            <div>
+                                <div style="font-weight:500">${img.mode}</div>
+                                <div style="color:var(--text-secondary)">${new Date(img.timestamp).toLocaleString()}</div>
+                            </div>
+                            ${typeof MeshtasticModule !== 'undefined' && MeshtasticModule.isConnected() ? `
+                                <button class="btn btn--secondary btn--small" data-sstv-mesh="${img.id}" title="Send over the mesh">📡</button>
+                            ` : ''}
                         </div>
                     </div>
                 `).join('')}
@@ -20418,6 +24239,23 @@ ${text}
             };
         });
 
+        container.querySelectorAll('[data-sstv-mesh]').forEach(btn => {
+            btn.onclick = async (e) => {
+                e.stopPropagation();
+                const img = SSTVModule.getReceivedImages().find(i => i.id === btn.dataset.sstvMesh);
+                if (!img || !img.imageData) return;
+                try {
+                    await MeshtasticModule.shareImage(SSTVModule.imageDataToDataURL(img.imageData), {
+                        name: `SSTV ${img.mode}`,
+                        meta: { source: 'sstv' }
+                    });
+                    ModalsModule.showToast('📡 Sending SSTV image over mesh', 'success');
+                } catch (err) {
+                    ModalsModule.showToast(err.message, 'error');
+                }
+            };
+        });
+
         const clearHistoryBtn = container.querySelector('#sstv-clear-history');
         if (clearHistoryBtn) {
             clearHistoryBtn.onclick = async () => {
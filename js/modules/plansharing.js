@@ -123,6 +123,7 @@ const PlanSharingModule = (function() {
     function createPlanPackage(options = {}) {
         const waypoints = State.get('waypoints') || [];
         const routes = State.get('routes') || [];
+        const areas = State.get('areas') || [];
         
         // Filter to selected items if specified
         const selectedWaypoints = options.waypointIds 
@@ -133,6 +134,10 @@ const PlanSharingModule = (function() {
             ? routes.filter(r => options.routeIds.includes(r.id))
             : routes;
 
+        const selectedAreas = options.areaIds
+            ? areas.filter(a => options.areaIds.includes(a.id))
+            : areas;
+
         // Get logistics config if available
         let logisticsConfig = null;
         if (typeof LogisticsModule !== 'undefined') {
@@ -165,21 +170,26 @@ const PlanSharingModule = (function() {
             // Core data
             waypoints: selectedWaypoints,
             routes: selectedRoutes,
+            areas: selectedAreas,
             
             // Optional modules
             logistics: logisticsConfig,
             contingency: contingencyData,
             
             // Metadata for conflict resolution
-            checksum: generateChecksum(selectedWaypoints, selectedRoutes)
+            checksum: generateChecksum(selectedWaypoints, selectedRoutes, selectedAreas)
         };
     }
 
     /**
-     * Generate a simple checksum for change detection
+     * Generate a simple checksum for change detection.
+     * Areas are only hashed when present so plans without areas keep the
+     * checksum older versions computed for them.
      */
-    function generateChecksum(waypoints, routes) {
-        const data = JSON.stringify({ waypoints, routes });
+    function generateChecksum(waypoints, routes, areas = []) {
+        const data = areas && areas.length > 0
+            ? JSON.stringify({ waypoints, routes, areas })
+            : JSON.stringify({ waypoints, routes });
         let hash = 0;
         for (let i = 0; i < data.length; i++) {
             const char = data.charCodeAt(i);
@@ -291,12 +301,15 @@ const PlanSharingModule = (function() {
     function analyzeConflicts(importedPlan) {
         const existingWaypoints = State.get('waypoints') || [];
         const existingRoutes = State.get('routes') || [];
+        const existingAreas = State.get('areas') || [];
 
         const conflicts = {
             waypoints: [],
             routes: [],
+            areas: [],
             newWaypoints: [],
-            newRoutes: []
+            newRoutes: [],
+            newAreas: []
         };
 
         // Check waypoint conflicts
@@ -360,6 +373,35 @@ const PlanSharingModule = (function() {
             }
         });
 
+        // Check area conflicts
+        (importedPlan.areas || []).forEach(imported => {
+            const existing = existingAreas.find(e => e.id === imported.id);
+            
+            if (existing) {
+                const isDifferent = JSON.stringify(existing) !== JSON.stringify(imported);
+                if (isDifferent) {
+                    conflicts.areas.push({
+                        imported,
+                        existing,
+                        type: 'modified'
+                    });
+                }
+            } else {
+                const nameMatch = existingAreas.find(e => 
+                    e.name.toLowerCase() === imported.name.toLowerCase()
+                );
+                if (nameMatch) {
+                    conflicts.areas.push({
+                        imported,
+                        existing: nameMatch,
+                        type: 'name_collision'
+                    });
+                } else {
+                    conflicts.newAreas.push(imported);
+                }
+            }
+        });
+
         return conflicts;
     }
 
@@ -372,11 +414,14 @@ const PlanSharingModule = (function() {
     async function mergePlan(importedPlan, resolutions = {}) {
         const existingWaypoints = [...(State.get('waypoints') || [])];
         const existingRoutes = [...(State.get('routes') || [])];
+        const existingAreas = [...(State.get('areas') || [])];
         
         let addedWaypoints = 0;
         let updatedWaypoints = 0;
         let addedRoutes = 0;
         let updatedRoutes = 0;
+        let addedAreas = 0;
+        let updatedAreas = 0;
 
         // Process waypoints
         (importedPlan.waypoints || []).forEach(imported => {
@@ -484,13 +529,54 @@ const PlanSharingModule = (function() {
             }
         });
 
+        // Process areas
+        (importedPlan.areas || []).forEach(imported => {
+            const existingIndex = existingAreas.findIndex(e => e.id === imported.id);
+            const resolution = resolutions[`area_${imported.id}`] || 'skip';
+
+            if (existingIndex === -1) {
+                const nameIndex = existingAreas.findIndex(e => 
+                    e.name.toLowerCase() === imported.name.toLowerCase()
+                );
+                
+                if (nameIndex === -1 || resolution === 'keep_both') {
+                    if (resolution === 'keep_both') {
+                        imported = { 
+                            ...imported, 
+                            id: Helpers.generateId(),
+                            name: `${imported.name} (imported)`
+                        };
+                    }
+                    existingAreas.push(imported);
+                    addedAreas++;
+                } else if (resolution === 'replace') {
+                    existingAreas[nameIndex] = { ...imported, id: existingAreas[nameIndex].id };
+                    updatedAreas++;
+                }
+            } else {
+                if (resolution === 'replace') {
+                    existingAreas[existingIndex] = imported;
+                    updatedAreas++;
+                } else if (resolution === 'keep_both') {
+                    existingAreas.push({ 
+                        ...imported, 
+                        id: Helpers.generateId(),
+                        name: `${imported.name} (imported)`
+                    });
+                    addedAreas++;
+                }
+            }
+        });
+
         // Update state
         State.Waypoints.setAll(existingWaypoints);
         State.Routes.setAll(existingRoutes);
+        State.Areas.setAll(existingAreas);
 
         // Persist to storage
         await Storage.Waypoints.saveAll(existingWaypoints);
         await Storage.Routes.saveAll(existingRoutes);
+        await Storage.Areas.saveAll(existingAreas);
 
         // Import logistics config if present and user wants it
         if (importedPlan.logistics && resolutions.importLogistics) {
@@ -508,7 +594,8 @@ const PlanSharingModule = (function() {
 
         return {
             waypoints: { added: addedWaypoints, updated: updatedWaypoints },
-            routes: { added: addedRoutes, updated: updatedRoutes }
+            routes: { added: addedRoutes, updated: updatedRoutes },
+            areas: { added: addedAreas, updated: updatedAreas }
         };
     }
 
@@ -532,6 +619,12 @@ const PlanSharingModule = (function() {
         conflicts.newRoutes.forEach(r => {
             resolutions[`route_${r.id}`] = 'add';
         });
+        conflicts.areas.forEach(c => {
+            resolutions[`area_${c.imported.id}`] = 'skip';
+        });
+        conflicts.newAreas.forEach(a => {
+            resolutions[`area_${a.id}`] = 'add';
+        });
 
         return mergePlan(importedPlan, resolutions);
     }
@@ -542,10 +635,11 @@ const PlanSharingModule = (function() {
     function generatePlanSummary(options = {}) {
         const waypoints = State.get('waypoints') || [];
         const routes = State.get('routes') || [];
+        const areas = State.get('areas') || [];
         
         let summary = `GDPLAN|v${PLAN_VERSION}|`;
         summary += `W:${waypoints.length}|R:${routes.length}|`;
-        summary += `CK:${generateChecksum(waypoints, routes)}|`;
+        summary += `CK:${generateChecksum(waypoints, routes, areas)}|`;
         summary += `T:${Math.floor(Date.now() / 1000)}`;
         
         return summary;
@@ -576,7 +670,8 @@ const PlanSharingModule = (function() {
 
         const waypoints = State.get('waypoints') || [];
         const routes = State.get('routes') || [];
-        const localChecksum = generateChecksum(waypoints, routes);
+        const areas = State.get('areas') || [];
+        const localChecksum = generateChecksum(waypoints, routes, areas);
 
         return localChecksum === parsed.checksum;
     }
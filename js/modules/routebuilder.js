@@ -9,6 +9,7 @@ const RouteBuilderModule = (function() {
     let currentRoute = null;
     let selectedPointIndex = -1;
     let isDraggingPoint = false;
+    let snapProfile = null;     // OfflineRoutingModule profile, null = straight lines
 
     /**
      * Start building a new route
@@ -43,6 +44,15 @@ const RouteBuilderModule = (function() {
     function addPoint(lat, lon, waypointId = null) {
         if (!isBuilding || !currentRoute) return null;
 
+        // Free clicks land on the nearest road or trail; linked waypoints stay put
+        if (canSnap() && !waypointId) {
+            const snapped = OfflineRoutingModule.snapToNetwork(lat, lon, snapProfile);
+            if (snapped) {
+                lat = snapped.lat;
+                lon = snapped.lon;
+            }
+        }
+
         const point = {
             lat: lat,
             lon: lon,
@@ -53,6 +63,14 @@ const RouteBuilderModule = (function() {
         };
 
         currentRoute.points.push(point);
+        
+        const prev = previousControlIndex(currentRoute.points.length - 1);
+        if (canSnap() && prev >= 0) {
+            if (!rerouteLeg(prev, currentRoute.points.length - 1).routed) {
+                ModalsModule.showToast('No offline route to this point, added a straight segment', 'info');
+            }
+        }
+        
         recalculateRoute();
         updateRouteInState();
         
@@ -86,12 +104,28 @@ const RouteBuilderModule = (function() {
     function removePoint(index) {
         if (!currentRoute || index < 0 || index >= currentRoute.points.length) return;
 
-        currentRoute.points.splice(index, 1);
+        // Removing a clicked point also drops the snapped legs on either side
+        let start = index;
+        let end = index + 1;
+        let prev = -1;
+        let next = -1;
+        if (!currentRoute.points[index].via) {
+            prev = previousControlIndex(index);
+            next = nextControlIndex(index);
+            start = prev + 1;
+            end = next >= 0 ? next : currentRoute.points.length;
+        }
+        currentRoute.points.splice(start, end - start);
         
-        if (selectedPointIndex === index) {
+        if (selectedPointIndex >= start && selectedPointIndex < end) {
             selectedPointIndex = -1;
-        } else if (selectedPointIndex > index) {
-            selectedPointIndex--;
+        } else if (selectedPointIndex >= end) {
+            selectedPointIndex -= end - start;
+        }
+        
+        // Rejoin the neighbours over the network
+        if (prev >= 0 && next >= 0 && canSnap()) {
+            rerouteLeg(prev, prev + 1);
         }
         
         recalculateRoute();
@@ -109,6 +143,19 @@ const RouteBuilderModule = (function() {
         currentRoute.points[index].x = lonToX(lon);
         currentRoute.points[index].y = latToY(lat);
         
+        // Re-route the legs into and out of a moved clicked point
+        if (canSnap() && !currentRoute.points[index].via) {
+            let current = index;
+            const prev = previousControlIndex(current);
+            if (prev >= 0) {
+                current += rerouteLeg(prev, current).delta;
+            }
+            const next = nextControlIndex(current);
+            if (next >= 0) {
+                rerouteLeg(current, next);
+            }
+        }
+        
         recalculateRoute();
         updateRouteInState();
     }
@@ -228,6 +275,7 @@ const RouteBuilderModule = (function() {
             currentRoute = { ...route, isBuilding: true };
             isBuilding = true;
             selectedPointIndex = -1;
+            if (route.routingProfile) snapProfile = route.routingProfile;
             
             // Update in state
             updateRouteInState();
@@ -280,13 +328,16 @@ const RouteBuilderModule = (function() {
         let totalTime = 0;
         let elevationGain = 0;
 
-        // Speed by terrain type (mph)
-        const speeds = {
+        // Speed by terrain type (mph), or the profile a route was snapped with
+        let speeds = {
             highway: 55,
             road: 30,
             trail: 12,
             crawl: 5
         };
+        if (currentRoute.routingProfile && typeof OfflineRoutingModule !== 'undefined') {
+            speeds = OfflineRoutingModule.getProfileSpeeds(currentRoute.routingProfile);
+        }
 
         for (let i = 1; i < currentRoute.points.length; i++) {
             const p1 = currentRoute.points[i - 1];
@@ -336,6 +387,102 @@ const RouteBuilderModule = (function() {
         });
     }
 
+    // ==================== OFFLINE ROUTING ====================
+
+    /**
+     * Snap new points to the offline road/trail network
+     * @param {string|null} profile - OfflineRoutingModule profile (foot, atv, truck_4x4) or null for straight lines
+     */
+    function setSnapProfile(profile) {
+        snapProfile = profile || null;
+        updateBuildingUI();
+    }
+
+    function canSnap() {
+        return !!snapProfile && typeof OfflineRoutingModule !== 'undefined' && OfflineRoutingModule.hasNetwork();
+    }
+
+    function previousControlIndex(index) {
+        for (let i = index - 1; i >= 0; i--) {
+            if (!currentRoute.points[i].via) return i;
+        }
+        return -1;
+    }
+
+    function nextControlIndex(index) {
+        for (let i = index + 1; i < currentRoute.points.length; i++) {
+            if (!currentRoute.points[i].via) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Replace the points between two clicked points with a routed path.
+     * Path points are inserted as via points carrying the terrain of the
+     * way that leads to them.
+     * @returns {{delta: number, routed: boolean}} Change in point count and
+     *          whether a route was found (if not, the leg is left straight)
+     */
+    function rerouteLeg(fromIndex, toIndex) {
+        const points = currentRoute.points;
+        const from = points[fromIndex];
+        const to = points[toIndex];
+
+        const removed = toIndex - fromIndex - 1;
+        points.splice(fromIndex + 1, removed);
+
+        const result = OfflineRoutingModule.route(from, to, snapProfile);
+        if (!result) return { delta: -removed, routed: false };
+
+        const path = result.points.slice();
+        if (path.length > 0 && haversineDistance(path[0].lat, path[0].lon, from.lat, from.lon) < 0.0005) {
+            path.shift();
+        }
+        let lastTerrain = null;
+        if (path.length > 0) {
+            lastTerrain = path[path.length - 1].terrain;
+            if (haversineDistance(path[path.length - 1].lat, path[path.length - 1].lon, to.lat, to.lon) < 0.0005) {
+                path.pop();
+            }
+        }
+
+        const vias = path.map(p => ({
+            lat: p.lat,
+            lon: p.lon,
+            x: lonToX(p.lon),
+            y: latToY(p.lat),
+            terrain: p.terrain || lastTerrain || to.terrain,
+            via: true
+        }));
+        points.splice(fromIndex + 1, 0, ...vias);
+        if (lastTerrain) to.terrain = lastTerrain;
+        currentRoute.routingProfile = snapProfile;
+
+        return { delta: vias.length - removed, routed: true };
+    }
+
+    /**
+     * Re-route every leg of the route being built with the current profile
+     * @returns {number} Legs that could not be routed
+     */
+    function snapRoute() {
+        if (!currentRoute || !canSnap()) return 0;
+
+        let failed = 0;
+        let from = nextControlIndex(-1);
+        while (from >= 0) {
+            const to = nextControlIndex(from);
+            if (to < 0) break;
+            const leg = rerouteLeg(from, to);
+            if (!leg.routed) failed++;
+            from = to + leg.delta;
+        }
+
+        recalculateRoute();
+        updateRouteInState();
+        return failed;
+    }
+
     /**
      * Handle map click during route building
      */
@@ -377,7 +524,8 @@ const RouteBuilderModule = (function() {
         return {
             isBuilding,
             currentRoute,
-            selectedPointIndex
+            selectedPointIndex,
+            snapProfile
         };
     }
 
@@ -387,7 +535,13 @@ const RouteBuilderModule = (function() {
     function reverseRoute() {
         if (!currentRoute || currentRoute.points.length < 2) return;
         
+        // Terrain belongs to the segment leading into a point, so it moves
+        // one place along when the direction flips
+        const terrains = currentRoute.points.map(p => p.terrain).reverse();
         currentRoute.points.reverse();
+        for (let i = currentRoute.points.length - 1; i > 0; i--) {
+            currentRoute.points[i].terrain = terrains[i - 1];
+        }
         recalculateRoute();
         updateRouteInState();
     }
@@ -417,6 +571,36 @@ const RouteBuilderModule = (function() {
         return currentRoute;
     }
 
+    /**
+     * Create and save a route from generated points (e.g. SAR search patterns)
+     * @param {Array<{lat, lon}>} points
+     * @param {string} name
+     * @param {Object} options - terrain for every segment, meta fields merged into the route
+     */
+    function createFromPoints(points, name, options = {}) {
+        if (isBuilding) {
+            ModalsModule.showToast('Finish or cancel the route being built first', 'error');
+            return null;
+        }
+
+        // Generated geometry is kept exactly as given, never snapped
+        const savedSnapProfile = snapProfile;
+        snapProfile = null;
+        
+        startNewRoute(name);
+        Object.assign(currentRoute, options.meta || {});
+        
+        points.forEach(p => {
+            const point = addPoint(p.lat, p.lon);
+            if (point && options.terrain) point.terrain = options.terrain;
+        });
+        recalculateRoute();
+
+        const route = finishRoute();
+        snapProfile = savedSnapProfile;
+        return route;
+    }
+
     // Helper functions
     function lonToX(lon) {
         return 50 + (lon + 119.1892) / 0.004;
@@ -458,10 +642,13 @@ const RouteBuilderModule = (function() {
         deleteRoute,
         reverseRoute,
         createFromWaypoints,
+        createFromPoints,
         handleMapClick,
         selectPoint,
         getState,
-        recalculateRoute
+        recalculateRoute,
+        setSnapProfile,
+        snapRoute
     };
 })();
 
@@ -94,6 +94,7 @@ const SearchModule = (function() {
         { id: 'help-gps', name: 'GPS & Location', keywords: ['gps', 'location', 'position', 'coordinates', 'accuracy'], icon: '📍', description: 'How GPS positioning works in GridDown', content: 'GridDown uses your device GPS for positioning. In GPS-denied environments, use celestial navigation or rangefinder resection.', panel: 'gps' },
         { id: 'help-offline', name: 'Offline Maps', keywords: ['offline', 'maps', 'download', 'cache', 'tiles'], icon: '🗺️', description: 'Download maps for offline use', content: 'Download map tiles before going off-grid. Select regions and download for offline access.', panel: 'offline' },
         { id: 'help-navigation', name: 'Route Navigation', keywords: ['navigation', 'route', 'navigate', 'directions', 'turn'], icon: '🧭', description: 'Navigate along a route', content: 'Create a route, then tap Start Navigation. Follow turn-by-turn guidance with distance and bearing.', panel: 'navigation' },
+        { id: 'help-geofence', name: 'Geofences', keywords: ['geofence', 'fence', 'boundary', 'enter', 'exit', 'dwell', 'alert', 'perimeter'], icon: '🛡', description: 'Alerts when people enter, leave or linger in an area', content: 'In the Areas panel, add a geofence on a drawn area or a radius around a waypoint. It watches your GPS and tracked Meshtastic nodes, APRS stations and TAK contacts, alerting on enter, exit or dwell with a per-fence severity and cooldown. Every crossing is logged and can be exported as CSV.', panel: 'areas' },
         
         // Celestial Navigation
         { id: 'help-celestial', name: 'Celestial Navigation', keywords: ['celestial', 'stars', 'navigation', 'sextant', 'astronomy'], icon: '⭐', description: 'Navigate using stars and celestial bodies', content: 'Use the star chart, camera sextant, and noon sight tools to determine position without GPS.', panel: 'celestial' },
@@ -102,11 +103,15 @@ const SearchModule = (function() {
         
         // Communication
         { id: 'help-radio', name: 'Radio Frequencies', keywords: ['radio', 'frequency', 'channel', 'communication', 'ham'], icon: '📻', description: 'Managing radio frequencies', content: 'Store and organize radio frequencies for your team. Supports ham, GMRS, FRS, MURS bands.', panel: 'radio' },
-        { id: 'help-meshtastic', name: 'Meshtastic Integration', keywords: ['meshtastic', 'mesh', 'lora', 'radio', 'messaging'], icon: '📡', description: 'Connect to Meshtastic mesh network', content: 'Connect via Bluetooth to share positions and messages over LoRa mesh network.', panel: 'team' },
-        { id: 'help-aprs', name: 'APRS Tracking', keywords: ['aprs', 'packet', 'amateur', 'tracking'], icon: '📶', description: 'Amateur radio position reporting', content: 'View APRS stations and send position reports (requires amateur radio license).', panel: 'team' },
+        { id: 'help-meshtastic', name: 'Meshtastic Integration', keywords: ['meshtastic', 'mesh', 'lora', 'radio', 'messaging', 'waypoint', 'transfer', 'share area', 'comm plan', 'photo', 'range test', 'coverage', 'heatmap', 'snr', 'rssi', 'store and forward', 'missed messages', 'topology', 'neighbor'], icon: '📡', description: 'Connect to Meshtastic mesh network', content: 'Connect via Bluetooth to share positions and messages over LoRa mesh network. Shared waypoints use the native Meshtastic format, so they appear in the official Android/iOS apps, and theirs appear here (with expiry and lock). Routes, areas, team packages, comm plans and small images are sent as compressed transfers that re-request missing chunks and resume after a reconnect; progress shows in the Team panel. Range Test: one node runs the beacon, a roaming tablet logs heard and missed pings with SNR/RSSI and GPS, then shows a coverage heatmap, exports CSV/GeoJSON and compares against RF LOS predictions. After a reconnect, missed messages are requested from a store-and-forward router; neighbor info draws the mesh topology with link SNR on the map and in Mesh Health.', panel: 'team' },
+        { id: 'help-team-security', name: 'Team Roles & Signed Sync', keywords: ['team', 'role', 'permission', 'leader', 'signature', 'signed', 'audit', 'key rotation', 'remove member'], icon: '🔏', description: 'Who may change shared team data', content: 'Team updates sent over the mesh are signed with each member\'s Meshtastic key, and every receiver checks the sender\'s role before applying them: only members with the right role can change rally points, the comm plan, roles or membership. The Sync Security card in the Team panel shows the audit trail of who changed what, including rejected updates. Removing a member rotates the team passphrase and mesh key; members without a known key need a new invite.', panel: 'team' },
+        { id: 'help-checkin-protocol', name: 'Check-in Protocol', keywords: ['check-in', 'checkin', 'schedule', 'missed', 'overdue', 'escalation', 'comm plan', 'contingency'], icon: '⏰', description: 'Scheduled check-ins with automatic escalation', content: 'Turn on Run comm plan check-ins in the Team panel. Windows follow the comm plan interval, or its fixed times when set, centered on each time. When a window opens you are prompted (or the check-in is sent automatically) over Meshtastic and/or APRS. Each member is tracked from received check-ins. A missed window escalates: leader alert, retry request, switch to the contingency frequency, then an overdue protocol built from their last known position. Stand down stops escalation once contact is made.', panel: 'team' },
+        { id: 'help-aprs', name: 'APRS Tracking', keywords: ['aprs', 'packet', 'amateur', 'tracking', 'tnc', 'kiss', 'direwolf', 'serial', 'bulletin', 'message', 'digipeater', 'igate'], icon: '📶', description: 'Amateur radio position reporting', content: 'View APRS stations and send position reports (requires amateur radio license). Connect a Bluetooth TNC, a USB serial KISS TNC, or Direwolf/KISS TCP through a WebSocket bridge; dropped links reconnect automatically. APRS Messages holds per-callsign threads retried until acked, bulletins, and group or tactical-call traffic. A hilltop tablet can run as a fill-in digipeater and cross-gate positions with the Meshtastic mesh.', panel: 'team' },
         
         // Emergency
         { id: 'help-sos', name: 'Emergency SOS', keywords: ['sos', 'emergency', 'help', 'rescue', 'distress'], icon: '🆘', description: 'Send emergency distress signal', content: 'Activate SOS to flash screen/light, sound alarm, and prepare emergency message with coordinates.', panel: 'sos' },
+        { id: 'help-deadman', name: 'Dead-Man Switch', keywords: ['dead man', 'deadman', 'solo', 'fall', 'impact', 'no movement', 'auto sos', 'pin'], icon: '⏱️', description: 'Automatic SOS if you stop responding', content: 'Arm the dead-man switch in the SOS panel before going out alone. It asks "Are you OK?" on a schedule and watches for no movement or a hard impact followed by stillness. If a prompt goes unanswered or a trigger fires, a loud countdown starts; cancel it (with your PIN if set) or SOS is activated. Intervals stretch on low battery. Use Drill to practise, and export the event log for debriefs.', panel: 'sos' },
+        { id: 'help-signal-tools', name: 'Signal Tools', keywords: ['strobe', 'morse', 'whistle', 'tone', 'signal mirror', 'mirror', 'flash', 'beacon', 'signal'], icon: '🔦', description: 'Strobe, Morse, whistle tones and mirror aiming', content: 'In the SOS panel, Signal Tools flashes the full screen and/or sounds a loud tone: SOS or any message in Morse, whistle patterns (3 short = help), or a rescue beacon. Pick a schedule such as 1 min every 5 min to save battery. Signal Mirror Aiming uses your GPS position and the time to place the sun; enter or capture the target bearing and it tells you which way to face and how easy the angle is.', panel: 'sos' },
         { id: 'help-sarsat', name: 'SARSAT Beacons', keywords: ['sarsat', 'beacon', 'elt', 'plb', 'epirb', 'emergency'], icon: '🔔', description: 'Detect emergency beacons', content: 'With SDR hardware, detect 406 MHz emergency beacon signals from ELTs, PLBs, and EPIRBs.', panel: 'sarsat' },
         
         // Tools
@@ -136,6 +141,8 @@ const SearchModule = (function() {
         // Planning & Logistics
         { id: 'help-logistics', name: 'Logistics Planning', keywords: ['logistics', 'supply', 'food', 'water', 'fuel', 'weight', 'pack', 'gear'], icon: '📦', description: 'Plan supplies and logistics', content: 'Calculate food, water, fuel, and gear requirements for trips. Weight budgets and resupply planning.', panel: 'logistics' },
         { id: 'help-contingency', name: 'Contingency Planning', keywords: ['contingency', 'planning', 'bailout', 'bail', 'emergency', 'plan', 'alternate', 'escape'], icon: '🛡️', description: 'Create contingency and bail-out plans', content: 'Define bail-out points, alternate routes, and emergency procedures for trip planning.', panel: 'contingency' },
+        { id: 'help-searchplan', name: 'Lost Person Search Planning', keywords: ['lost', 'person', 'sar', 'poa', 'pod', 'isrid', 'ipp', 'segment', 'sortie'], icon: '🎯', description: 'Plan a lost-person search with POA rings and segments', content: 'Set the IPP and subject category for ISRID distance rings, divide the area into segments, assign team members and update POA/POD from sortie tracks.', panel: 'searchplan' },
+        { id: 'help-offline-routing', name: 'Offline Road & Trail Routing', keywords: ['routing', 'snap', 'road', 'trail', 'osm', 'pbf', 'openstreetmap', 'atv', '4x4', 'offline', 'directions'], icon: '🛣️', description: 'Snap routes to roads and trails without a connection', content: 'Import an OpenStreetMap extract (.osm.pbf, .osm or Overpass JSON) or a GeoJSON line network in the Routes panel, then choose Snap to while building a route. Legs follow roads and trails usable on foot, by ATV or by 4x4, with terrain filled in automatically.', panel: 'routes' },
         
         // Field References
         { id: 'help-medical', name: 'Medical Reference', keywords: ['medical', 'first', 'aid', 'injury', 'treatment', 'emergency', 'health'], icon: '🏥', description: 'Field medical reference guide', content: 'Quick reference for common field injuries and medical emergencies. Not a substitute for professional medical training.', panel: 'medical' },
@@ -145,9 +152,9 @@ const SearchModule = (function() {
         { id: 'help-sstv', name: 'SSTV Image Transmission', keywords: ['sstv', 'slow', 'scan', 'television', 'image', 'picture', 'transmit'], icon: '📺', description: 'Send and receive images over radio', content: 'Slow Scan Television for transmitting images over amateur radio. Receive, transmit, and enhance SSTV images.', panel: 'sstv' },
         { id: 'help-atlasrf', name: 'AtlasRF', keywords: ['rf', 'sentinel', 'spectrum', 'sdr', 'signal', 'detection', 'drone', 'fpv'], icon: '📡', description: 'RF spectrum monitoring and drone detection', content: 'Connect AtlasRF Pro SDR hardware for spectrum monitoring. Detects FPV drone signals and other RF activity.', panel: 'atlasrf' },
         { id: 'help-radiacode', name: 'Radiation Monitoring', keywords: ['radiation', 'radiacode', 'geiger', 'nuclear', 'dosimeter', 'cpm', 'microsievert'], icon: '☢️', description: 'RadiaCode radiation detector integration', content: 'Connect RadiaCode device via Bluetooth to monitor ambient radiation levels. Map overlay shows readings.', panel: 'team' },
-        { id: 'help-tak', name: 'TAK/ATAK Bridge', keywords: ['tak', 'atak', 'wintak', 'cot', 'cursor', 'target', 'military', 'tactical'], icon: '🎖️', description: 'Cursor on Target integration', content: 'Bridge to ATAK/WinTAK tactical systems via Cursor on Target (CoT) protocol. Share positions and markers.', panel: 'team' },
+        { id: 'help-tak', name: 'TAK/ATAK Bridge', keywords: ['tak', 'atak', 'wintak', 'cot', 'cursor', 'target', 'military', 'tactical', 'data package', 'mission package', 'sync'], icon: '🎖️', description: 'Cursor on Target integration', content: 'Bridge to ATAK/WinTAK tactical systems via Cursor on Target (CoT) protocol, either through the GridDown bridge or any CoT XML WebSocket source. Share positions and link waypoints, routes and areas for two-way sync with ATAK (Team panel → Sync with TAK). Import and export ATAK Data Packages (.zip) from the Routes panel to hand off on SD card.', panel: 'team' },
         { id: 'help-compass', name: 'Compass & Declination', keywords: ['compass', 'declination', 'magnetic', 'true', 'north', 'variation'], icon: '🧭', description: 'Magnetic declination and compass corrections', content: 'GridDown calculates magnetic declination using WMM model. Displayed on the map bar. Click for details or to adjust.' },
-        { id: 'help-track', name: 'Track Recording & Export', keywords: ['track', 'record', 'gpx', 'breadcrumb', 'trail', 'log', 'gps', 'trace'], icon: '📍', description: 'Record GPS tracks and export as GPX', content: 'Record your movement as a GPS track. Export as GPX file for use in other apps.', panel: 'gps' },
+        { id: 'help-track', name: 'Track Recording & Export', keywords: ['track', 'record', 'gpx', 'kml', 'geojson', 'breadcrumb', 'trail', 'log', 'gps', 'trace', 'replay', 'pause'], icon: '📍', description: 'Record GPS tracks into the track library and export them', content: 'Record your movement as a GPS track with pause/resume, or let recording start automatically when you move. Saved tracks keep distance, moving time, elevation gain and max speed, can be replayed on the map and exported as GPX, KML or GeoJSON.', panel: 'tracks' },
         { id: 'help-device-setup', name: 'Meshtastic Device Setup', keywords: ['meshtastic', 'setup', 'device', 'configure', 'bluetooth', 'lora', 'region', 'firmware'], icon: '📱', description: 'Configure new Meshtastic devices', content: 'Step-by-step wizard to set up a new Meshtastic device: name, region, modem preset, TX power. No Meshtastic app needed.', panel: 'team' },
         
         // Data
@@ -0,0 +1,348 @@
+/**
+ * GridDown Search Pattern Module - SAR Search Pattern Generator
+ * Expanding square, sector, parallel track / creeping line and contour
+ * searches around a datum, output as ordinary routes via RouteBuilderModule
+ */
+const SearchPatternModule = (function() {
+    'use strict';
+
+    // ==================== CONSTANTS ====================
+
+    const EARTH_RADIUS_M = 6371000;
+    const MAX_POINTS = 400;              // keeps routes shareable over the mesh
+    const CONTOUR_BEARINGS = 36;         // rays sampled for DEM contour tracing
+    const CONTOUR_STEPS = 40;            // samples per ray
+    const CIRCLE_POINTS = 36;            // vertices per geometric contour loop
+
+    const PATTERNS = {
+        expanding_square: {
+            label: 'Expanding Square',
+            icon: '⬜',
+            description: 'Square spiral out from the datum; legs grow by one track spacing every second turn',
+            uses: ['trackSpacing', 'legLength', 'orientation']
+        },
+        sector: {
+            label: 'Sector Search',
+            icon: '✳️',
+            description: 'Three triangles through the datum with 120° right turns; good for a well-known last position',
+            uses: ['legLength', 'orientation']
+        },
+        parallel: {
+            label: 'Parallel Track / Creeping Line',
+            icon: '☰',
+            description: 'Back-and-forth legs covering a rectangle centered on the datum; orient legs across the major axis for a creeping line',
+            uses: ['trackSpacing', 'legLength', 'orientation', 'trackCount']
+        },
+        contour: {
+            label: 'Contour Search',
+            icon: '⛰️',
+            description: 'Loops around a hill or feature at the datum; follows DEM contours when offline elevation covers the area',
+            uses: ['trackSpacing', 'legLength', 'orientation']
+        }
+    };
+
+    // ==================== PATTERN GENERATORS ====================
+    // All generators take { datum: {lat, lon}, trackSpacing (m), legLength (m),
+    // orientation (° true) } and return [{lat, lon}] starting at the
+    // commence-search point.
+
+    /**
+     * Expanding square: legs S, S, 2S, 2S, 3S, 3S ... turning right 90°,
+     * until the next leg would be longer than legLength
+     */
+    function expandingSquare(params) {
+        const { datum, trackSpacing, legLength, orientation = 0 } = validate(params, true);
+        const points = [{ lat: datum.lat, lon: datum.lon }];
+        let current = datum;
+        let heading = orientation;
+
+        for (let leg = 0; points.length < MAX_POINTS; leg++) {
+            const length = trackSpacing * (Math.floor(leg / 2) + 1);
+            if (length > legLength) break;
+            current = destinationPoint(current, heading, length);
+            points.push(current);
+            heading = normalizeBearing(heading + 90);
+        }
+        return points;
+    }
+
+    /**
+     * Sector search (VS): out legLength, 120° right, across legLength, 120°
+     * right back through the datum. Three triangles rotate the pattern by 120°
+     * so the datum is crossed three times on evenly spread radials.
+     */
+    function sectorSearch(params) {
+        const { datum, legLength, orientation = 0 } = validate(params, false);
+        const points = [{ lat: datum.lat, lon: datum.lon }];
+        // Radial bearings visited by each triangle, relative to the first leg
+        const triangles = [[0, 60], [240, 300], [120, 180]];
+
+        triangles.forEach(([a, b]) => {
+            points.push(destinationPoint(datum, orientation + a, legLength));
+            points.push(destinationPoint(datum, orientation + b, legLength));
+            points.push({ lat: datum.lat, lon: datum.lon });
+        });
+        return points;
+    }
+
+    /**
+     * Parallel track: trackCount legs of legLength along orientation, spaced
+     * trackSpacing apart and advancing to the right, centered on the datum
+     */
+    function parallelTrack(params) {
+        const { datum, trackSpacing, legLength, orientation = 0 } = validate(params, true);
+        const trackCount = Math.min(
+            Math.floor(MAX_POINTS / 2),
+            Math.max(2, Math.round(params.trackCount || (legLength / trackSpacing + 1)))
+        );
+        const width = (trackCount - 1) * trackSpacing;
+        const across = normalizeBearing(orientation + 90);
+
+        // Commence search point: back half a leg and left half the width
+        const back = destinationPoint(datum, orientation + 180, legLength / 2);
+        const start = destinationPoint(back, across + 180, width / 2);
+
+        const points = [];
+        for (let i = 0; i < trackCount; i++) {
+            const legStart = destinationPoint(start, across, i * trackSpacing);
+            const legEnd = destinationPoint(legStart, orientation, legLength);
+            if (i % 2 === 0) points.push(legStart, legEnd);
+            else points.push(legEnd, legStart);
+        }
+        return points;
+    }
+
+    /**
+     * Geometric contour search: closed loops at trackSpacing, 2×trackSpacing …
+     * up to legLength from the datum, starting each loop on the orientation
+     * radial and stepping out between loops
+     */
+    function contourLoops(params) {
+        const { datum, trackSpacing, legLength, orientation = 0 } = validate(params, true);
+        const radii = [];
+        for (let r = trackSpacing; r <= legLength && radii.length * (CIRCLE_POINTS + 1) < MAX_POINTS; r += trackSpacing) {
+            radii.push(r);
+        }
+
+        const points = [];
+        radii.forEach(radius => {
+            for (let i = 0; i <= CIRCLE_POINTS; i++) {
+                points.push(destinationPoint(datum, orientation + i * 360 / CIRCLE_POINTS, radius));
+            }
+        });
+        return points;
+    }
+
+    /**
+     * Trace contour rings around a summit from radial elevation profiles.
+     * @param {Object} params - Pattern params; trackSpacing is the vertical interval (m)
+     * @param {Array<Array<number|null>>} profiles - profiles[b][s] is the elevation
+     *   on bearing orientation + b·360/B at distance (s+1)·legLength/S; profiles
+     *   share the datum elevation as their origin
+     * @param {number} datumElevation - Elevation at the datum (m)
+     * @returns {Array<{lat, lon}>|null} Joined rings, or null if no complete ring
+     */
+    function contourRingsFromProfiles(params, profiles, datumElevation) {
+        const { datum, trackSpacing, legLength, orientation = 0 } = validate(params, true);
+        if (!profiles || profiles.length === 0 || datumElevation === null || datumElevation === undefined) return null;
+
+        const bearingCount = profiles.length;
+        const stepCount = profiles[0].length;
+        const stepLength = legLength / stepCount;
+        const points = [];
+
+        for (let level = datumElevation - trackSpacing; points.length < MAX_POINTS; level -= trackSpacing) {
+            const ring = [];
+            for (let b = 0; b < bearingCount; b++) {
+                const distance = firstCrossing(profiles[b], datumElevation, level, stepLength);
+                if (distance === null) break;
+                ring.push(destinationPoint(datum, orientation + b * 360 / bearingCount, distance));
+            }
+            // Stop at the first level that does not close within legLength
+            if (ring.length < bearingCount) break;
+            ring.push(ring[0]);
+            points.push(...ring);
+        }
+
+        return points.length > 0 ? points : null;
+    }
+
+    /**
+     * Distance along a profile where elevation first drops to level (linear interpolation)
+     */
+    function firstCrossing(profile, originElevation, level, stepLength) {
+        let prevElevation = originElevation;
+        let prevDistance = 0;
+        for (let s = 0; s < profile.length; s++) {
+            const elevation = profile[s];
+            if (elevation === null || elevation === undefined) return null;
+            const distance = (s + 1) * stepLength;
+            if (elevation <= level) {
+                const t = prevElevation === elevation ? 1 : (prevElevation - level) / (prevElevation - elevation);
+                return prevDistance + t * (distance - prevDistance);
+            }
+            prevElevation = elevation;
+            prevDistance = distance;
+        }
+        return null;
+    }
+
+    /**
+     * Contour search: follow DEM contours below the datum when offline
+     * elevation covers the area, otherwise fall back to geometric loops
+     * @returns {Promise<{points, source: 'dem'|'geometric'}>}
+     */
+    async function contourSearch(params) {
+        const p = validate(params, true);
+
+        if (typeof DEMModule !== 'undefined' && DEMModule.hasData() && DEMModule.hasCoverage(p.datum.lat, p.datum.lon)) {
+            const coords = [p.datum];
+            for (let b = 0; b < CONTOUR_BEARINGS; b++) {
+                for (let s = 1; s <= CONTOUR_STEPS; s++) {
+                    coords.push(destinationPoint(p.datum, p.orientation + b * 360 / CONTOUR_BEARINGS, s * p.legLength / CONTOUR_STEPS));
+                }
+            }
+
+            try {
+                const elevations = await DEMModule.getElevations(coords);
+                const profiles = [];
+                for (let b = 0; b < CONTOUR_BEARINGS; b++) {
+                    profiles.push(elevations.slice(1 + b * CONTOUR_STEPS, 1 + (b + 1) * CONTOUR_STEPS));
+                }
+                const points = contourRingsFromProfiles(p, profiles, elevations[0]);
+                if (points) return { points, source: 'dem' };
+            } catch (e) {
+                console.warn('SearchPattern: DEM contour tracing failed, using loops', e);
+            }
+        }
+
+        return { points: contourLoops(p), source: 'geometric' };
+    }
+
+    /**
+     * Generate any pattern by key
+     * @returns {Promise<{points, source}>}
+     */
+    async function generate(type, params) {
+        switch (type) {
+            case 'expanding_square': return { points: expandingSquare(params), source: 'geometric' };
+            case 'sector': return { points: sectorSearch(params), source: 'geometric' };
+            case 'parallel': return { points: parallelTrack(params), source: 'geometric' };
+            case 'contour': return contourSearch(params);
+            default: throw new Error(`Unknown search pattern: ${type}`);
+        }
+    }
+
+    // ==================== ROUTE OUTPUT ====================
+
+    /**
+     * Generate a pattern and save it as a route that NavigationModule can
+     * follow and MeshtasticModule can share
+     * @returns {Promise<Object|null>} The saved route
+     */
+    async function createRoute(type, params, name) {
+        const { points, source } = await generate(type, params);
+        if (points.length < 2) {
+            throw new Error('Pattern is too small; increase leg length or reduce track spacing');
+        }
+
+        const pattern = PATTERNS[type];
+        return RouteBuilderModule.createFromPoints(points, name || `${pattern.label} ${formatDatum(params.datum)}`, {
+            terrain: 'trail',
+            meta: {
+                searchPattern: {
+                    type,
+                    datum: { lat: params.datum.lat, lon: params.datum.lon },
+                    trackSpacing: params.trackSpacing || null,
+                    legLength: params.legLength,
+                    orientation: params.orientation || 0,
+                    source
+                }
+            }
+        });
+    }
+
+    /**
+     * Total track length (m) of a pattern, for coverage estimates
+     */
+    function trackLength(points) {
+        let total = 0;
+        for (let i = 1; i < points.length; i++) {
+            total += distanceMeters(points[i - 1], points[i]);
+        }
+        return total;
+    }
+
+    // ==================== HELPERS ====================
+
+    function validate(params, needsSpacing) {
+        if (!params || !params.datum || !isFinite(params.datum.lat) || !isFinite(params.datum.lon)) {
+            throw new Error('Search pattern needs a datum point');
+        }
+        if (!(params.legLength > 0)) {
+            throw new Error('Leg length must be greater than zero');
+        }
+        if (needsSpacing && !(params.trackSpacing > 0)) {
+            throw new Error('Track spacing must be greater than zero');
+        }
+        return {
+            ...params,
+            orientation: normalizeBearing(params.orientation || 0)
+        };
+    }
+
+    function formatDatum(datum) {
+        return `${datum.lat.toFixed(4)}, ${datum.lon.toFixed(4)}`;
+    }
+
+    function normalizeBearing(deg) {
+        return ((deg % 360) + 360) % 360;
+    }
+
+    function toRad(deg) {
+        return deg * Math.PI / 180;
+    }
+
+    function destinationPoint(from, bearingDeg, distanceM) {
+        const d = distanceM / EARTH_RADIUS_M;
+        const brng = toRad(bearingDeg);
+        const lat1 = toRad(from.lat);
+        const lon1 = toRad(from.lon);
+        const lat2 = Math.asin(Math.sin(lat1) * Math.cos(d) + Math.cos(lat1) * Math.sin(d) * Math.cos(brng));
+        const lon2 = lon1 + Math.atan2(
+            Math.sin(brng) * Math.sin(d) * Math.cos(lat1),
+            Math.cos(d) - Math.sin(lat1) * Math.sin(lat2)
+        );
+        return {
+            lat: Math.round(lat2 * 180 / Math.PI * 1e6) / 1e6,
+            lon: Math.round((((lon2 * 180 / Math.PI) + 540) % 360 - 180) * 1e6) / 1e6
+        };
+    }
+
+    function distanceMeters(a, b) {
+        const dLat = toRad(b.lat - a.lat);
+        const dLon = toRad(b.lon - a.lon);
+        const h = Math.sin(dLat / 2) ** 2 +
+                  Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+        return EARTH_RADIUS_M * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+    }
+
+    // ==================== PUBLIC API ====================
+
+    return {
+        PATTERNS,
+        generate,
+        createRoute,
+        trackLength,
+
+        // Generators (exposed for testing)
+        expandingSquare,
+        sectorSearch,
+        parallelTrack,
+        contourLoops,
+        contourRingsFromProfiles,
+        contourSearch
+    };
+})();
+
+window.SearchPatternModule = SearchPatternModule;
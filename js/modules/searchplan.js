@@ -0,0 +1,868 @@
+/**
+ * GridDown Search Plan Module - Lost Person POA Planning
+ * ISRID-style distance rings around the IPP, search segments built from
+ * areas, team assignments, and POA/POD bookkeeping updated from sortie tracks
+ */
+const SearchPlanModule = (function() {
+    'use strict';
+
+    // ==================== CONSTANTS ====================
+
+    const EARTH_RADIUS_M = 6371000;
+    const STORAGE_KEY = 'search_plan';
+    const RING_PERCENTILES = [25, 50, 75, 95];
+    const POA_SAMPLES = 40;              // grid samples per side when integrating POA
+    const TRACK_STEP_M = 10;             // track subdivision when measuring effort in a segment
+    const MAX_GRID_CELLS = 100;
+    const MAX_BREADCRUMBS = 2000;        // per member
+    const BREADCRUMB_MIN_MOVE_M = 5;
+    const DEFAULT_SWEEP_WIDTH_M = 20;
+
+    // Distance from the IPP (km) within which 25/50/75/95% of subjects were
+    // found. Approximate ISRID-derived figures for temperate terrain; edit the
+    // rings on an incident to match the reference tables your team uses.
+    const SUBJECT_CATEGORIES = {
+        hiker:          { label: 'Hiker',            icon: '🥾', rings: [0.7, 1.9, 3.6, 11.3] },
+        hunter:         { label: 'Hunter',           icon: '🦌', rings: [1.0, 2.1, 4.0, 10.7] },
+        gatherer:       { label: 'Gatherer',         icon: '🍄', rings: [0.9, 1.6, 3.6, 6.5] },
+        mountain_biker: { label: 'Mountain Biker',   icon: '🚵', rings: [1.9, 3.2, 8.1, 18.0] },
+        skier:          { label: 'Skier (Nordic)',   icon: '⛷️', rings: [1.0, 3.2, 6.4, 14.5] },
+        climber:        { label: 'Climber',          icon: '🧗', rings: [0.1, 1.0, 2.0, 9.2] },
+        child_1_3:      { label: 'Child 1–3',        icon: '🧒', rings: [0.1, 0.2, 0.6, 2.0] },
+        child_4_6:      { label: 'Child 4–6',        icon: '🧒', rings: [0.3, 0.6, 1.3, 3.3] },
+        child_7_12:     { label: 'Child 7–12',       icon: '🧒', rings: [0.5, 1.3, 2.4, 5.5] },
+        autistic:       { label: 'Autistic',         icon: '🧩', rings: [0.2, 0.6, 2.4, 5.0] },
+        dementia:       { label: 'Dementia',         icon: '👴', rings: [0.2, 0.6, 1.5, 7.9] },
+        despondent:     { label: 'Despondent',       icon: '🕯️', rings: [0.2, 0.7, 2.0, 13.3] }
+    };
+
+    const SEGMENT_STATUS = {
+        unassigned: { label: 'Unassigned', color: '#6b7280' },
+        assigned:   { label: 'Assigned',   color: '#3b82f6' },
+        searched:   { label: 'Searched',   color: '#22c55e' }
+    };
+
+    // ==================== STATE ====================
+
+    let initialized = false;
+
+    // Active incident or null:
+    // { id, name, category, ipp: {lat, lon, name}, rings: [km x4],
+    //   sweepWidth, showOnMap, row, segments: [], sorties: [],
+    //   breadcrumbs: { memberId: [{lat, lon, t}] }, createdAt, updatedAt }
+    let plan = null;
+    let saveTimer = null;
+
+    // ==================== INITIALIZATION ====================
+
+    /**
+     * Initialize the search plan module
+     */
+    async function init() {
+        if (initialized) {
+            console.debug('SearchPlanModule already initialized');
+            return;
+        }
+
+        try {
+            plan = await Storage.Settings.get(STORAGE_KEY, null);
+        } catch (e) {
+            console.warn('SearchPlanModule: could not load search plan:', e);
+        }
+
+        if (typeof Events !== 'undefined') {
+            Events.on('team:member_position', (data) => recordBreadcrumb(data?.member));
+        }
+
+        initialized = true;
+        console.log('SearchPlanModule initialized', plan ? `- Incident: ${plan.name}` : '');
+    }
+
+    // ==================== DISTANCE RINGS ====================
+
+    /**
+     * Cumulative probability that the subject is within distanceKm of the
+     * IPP. Linear between the ring percentiles; the last 5% tails off
+     * linearly to twice the 95% ring.
+     */
+    function ringCdf(distanceKm, rings) {
+        const knots = ringKnots(rings);
+        if (distanceKm <= 0) return 0;
+        for (let i = 1; i < knots.length; i++) {
+            const [r0, p0] = knots[i - 1];
+            const [r1, p1] = knots[i];
+            if (distanceKm <= r1) {
+                return r1 > r0 ? p0 + (p1 - p0) * (distanceKm - r0) / (r1 - r0) : p1;
+            }
+        }
+        return 1;
+    }
+
+    /**
+     * Probability density (per km²) at distanceKm from the IPP, uniform
+     * within each ring band
+     */
+    function ringDensity(distanceKm, rings) {
+        const knots = ringKnots(rings);
+        for (let i = 1; i < knots.length; i++) {
+            const [r0, p0] = knots[i - 1];
+            const [r1, p1] = knots[i];
+            if (distanceKm <= r1 && r1 > r0) {
+                return (p1 - p0) / (Math.PI * (r1 * r1 - r0 * r0));
+            }
+        }
+        return 0;
+    }
+
+    function ringKnots(rings) {
+        const r = normalizeRings(rings);
+        return [[0, 0], [r[0], 0.25], [r[1], 0.5], [r[2], 0.75], [r[3], 0.95], [r[3] * 2, 1]];
+    }
+
+    /**
+     * Four positive, non-decreasing ring distances in km
+     */
+    function normalizeRings(rings) {
+        const out = [];
+        for (let i = 0; i < 4; i++) {
+            const v = parseFloat(rings?.[i]);
+            const prev = i > 0 ? out[i - 1] : 0.01;
+            out.push(Number.isFinite(v) && v >= prev ? v : Math.max(prev, 0.01));
+        }
+        return out;
+    }
+
+    /**
+     * Probability that the subject is inside the polygon, integrating the
+     * ring density over a sample grid clipped to the polygon
+     */
+    function poaFromRings(points, ipp, rings, samples = POA_SAMPLES) {
+        if (!points || points.length < 3 || !ipp) return 0;
+
+        const areaKm2 = AreasModule.computeArea(points) / 1e6;
+        const bounds = AreasModule.getBounds(points);
+        const dLat = (bounds.north - bounds.south) / samples;
+        const dLon = (bounds.east - bounds.west) / samples;
+
+        let sum = 0;
+        let inside = 0;
+        for (let i = 0; i < samples; i++) {
+            const lat = bounds.south + (i + 0.5) * dLat;
+            for (let j = 0; j < samples; j++) {
+                const lon = bounds.west + (j + 0.5) * dLon;
+                if (!AreasModule.containsPoint(points, lat, lon)) continue;
+                sum += ringDensity(distanceMeters(ipp, { lat, lon }) / 1000, rings);
+                inside++;
+            }
+        }
+
+        // Slivers narrower than a sample cell: fall back to the centroid
+        if (inside === 0) {
+            const c = AreasModule.computeCentroid(points);
+            return c ? ringDensity(distanceMeters(ipp, c) / 1000, rings) * areaKm2 : 0;
+        }
+        return Math.min(1, (sum / inside) * areaKm2);
+    }
+
+    // ==================== COVERAGE / POD ====================
+
+    /**
+     * Meters of track that fall inside the polygon
+     */
+    function trackLengthInPolygon(track, points) {
+        if (!track || track.length < 2 || !points || points.length < 3) return 0;
+
+        let total = 0;
+        for (let i = 1; i < track.length; i++) {
+            const a = track[i - 1];
+            const b = track[i];
+            const len = distanceMeters(a, b);
+            if (len === 0) continue;
+            const steps = Math.min(200, Math.max(1, Math.ceil(len / TRACK_STEP_M)));
+            for (let s = 0; s < steps; s++) {
+                const f = (s + 0.5) / steps;
+                const lat = a.lat + (b.lat - a.lat) * f;
+                const lon = a.lon + (b.lon - a.lon) * f;
+                if (AreasModule.containsPoint(points, lat, lon)) total += len / steps;
+            }
+        }
+        return total;
+    }
+
+    /**
+     * Coverage = effective sweep width × track length / segment area
+     */
+    function computeCoverage(sweepWidthM, lengthM, areaSqM) {
+        if (!areaSqM || areaSqM <= 0) return 0;
+        return Math.max(0, sweepWidthM * lengthM / areaSqM);
+    }
+
+    /**
+     * Exponential detection function: POD = 1 − e^(−coverage)
+     */
+    function podFromCoverage(coverage) {
+        return 1 - Math.exp(-Math.max(0, coverage));
+    }
+
+    /**
+     * Bayesian POA update after an unsuccessful search.
+     * POA' = POA·(1 − POD) / (1 − Σ POA·POD); rest-of-world is renormalized
+     * the same way. Returns { segments, row, pos } without mutating input.
+     */
+    function bayesUpdate(segments, row, results) {
+        const podById = {};
+        (results || []).forEach(r => { podById[r.segmentId] = clamp01(r.pod); });
+
+        const pos = segments.reduce((sum, s) => sum + (s.poa || 0) * (podById[s.id] || 0), 0);
+        const remaining = 1 - pos;
+        if (remaining <= 1e-9) {
+            return { segments: segments.map(s => ({ ...s })), row, pos };
+        }
+
+        const updated = segments.map(s => {
+            const pod = podById[s.id];
+            if (pod === undefined) return { ...s, poa: (s.poa || 0) / remaining };
+            return {
+                ...s,
+                poa: (s.poa || 0) * (1 - pod) / remaining,
+                podCumulative: 1 - (1 - (s.podCumulative || 0)) * (1 - pod)
+            };
+        });
+        return { segments: updated, row: (row || 0) / remaining, pos };
+    }
+
+    // ==================== INCIDENT ====================
+
+    /**
+     * Start a new incident (replaces any current one)
+     */
+    function createIncident({ name, category = 'hiker', ipp, rings } = {}) {
+        if (!ipp || !Number.isFinite(ipp.lat) || !Number.isFinite(ipp.lon)) {
+            throw new Error('An initial planning point (IPP) is required');
+        }
+        const cat = SUBJECT_CATEGORIES[category] ? category : 'hiker';
+        const now = new Date().toISOString();
+
+        plan = {
+            id: Helpers.generateId(),
+            name: (name || '').trim() || 'Lost Person Search',
+            category: cat,
+            ipp: { lat: ipp.lat, lon: ipp.lon, name: ipp.name || 'IPP' },
+            rings: normalizeRings(rings || SUBJECT_CATEGORIES[cat].rings),
+            sweepWidth: DEFAULT_SWEEP_WIDTH_M,
+            showOnMap: true,
+            row: 1,
+            segments: [],
+            sorties: [],
+            breadcrumbs: {},
+            createdAt: now,
+            updatedAt: now
+        };
+        changed();
+        return plan;
+    }
+
+    /**
+     * Update incident name, category, IPP, rings, sweep width or map toggle.
+     * Changing the category without explicit rings loads its default rings.
+     */
+    function updateIncident(updates = {}) {
+        if (!plan) return null;
+
+        if (typeof updates.name === 'string' && updates.name.trim()) plan.name = updates.name.trim();
+        if (updates.category && SUBJECT_CATEGORIES[updates.category] && updates.category !== plan.category) {
+            plan.category = updates.category;
+            if (!updates.rings) plan.rings = [...SUBJECT_CATEGORIES[updates.category].rings];
+        }
+        if (updates.rings) plan.rings = normalizeRings(updates.rings);
+        if (updates.ipp && Number.isFinite(updates.ipp.lat) && Number.isFinite(updates.ipp.lon)) {
+            plan.ipp = { lat: updates.ipp.lat, lon: updates.ipp.lon, name: updates.ipp.name || plan.ipp.name };
+        }
+        if (Number.isFinite(updates.sweepWidth) && updates.sweepWidth > 0) plan.sweepWidth = updates.sweepWidth;
+        if (typeof updates.showOnMap === 'boolean') plan.showOnMap = updates.showOnMap;
+
+        // Rings or IPP moved: re-seed POA unless sorties have already refined it
+        if ((updates.rings || updates.ipp || updates.category) && plan.sorties.length === 0) {
+            seedPoa();
+        }
+        changed();
+        return plan;
+    }
+
+    /**
+     * Close the current incident. Segment areas are left on the map.
+     */
+    function closeIncident() {
+        plan = null;
+        changed();
+    }
+
+    function getPlan() {
+        return plan;
+    }
+
+    // ==================== SEGMENTS ====================
+
+    /**
+     * Segments joined with their areas; segments whose area was deleted are dropped
+     */
+    function getSegments() {
+        if (!plan) return [];
+        const areas = State.get('areas') || [];
+        return plan.segments
+            .map(s => ({ ...s, area: areas.find(a => a.id === s.areaId) }))
+            .filter(s => s.area && s.area.points?.length >= 3);
+    }
+
+    /**
+     * Add an existing area as a search segment
+     */
+    function addSegmentFromArea(areaId, label) {
+        if (!plan) throw new Error('Start an incident first');
+        const area = (State.get('areas') || []).find(a => a.id === areaId);
+        if (!area) throw new Error('Area not found');
+        if (plan.segments.some(s => s.areaId === areaId)) throw new Error('Area is already a segment');
+
+        const segment = newSegment(area, label || area.name);
+        plan.segments.push(segment);
+        placeNewSegments([segment]);
+        changed();
+        return segment;
+    }
+
+    /**
+     * Divide an area into square cells of cellSizeM and add each as a segment.
+     * Cells are new search areas labelled A1, A2 … B1 … (rows north→south).
+     */
+    async function divideAreaIntoGrid(areaId, cellSizeM) {
+        if (!plan) throw new Error('Start an incident first');
+        const area = (State.get('areas') || []).find(a => a.id === areaId);
+        if (!area) throw new Error('Area not found');
+
+        const cells = gridCells(area.points, cellSizeM);
+        if (cells.length === 0) throw new Error('Cell size is larger than the area');
+        if (cells.length > MAX_GRID_CELLS) {
+            throw new Error(`That makes ${cells.length} segments; use a larger cell size (max ${MAX_GRID_CELLS})`);
+        }
+
+        const created = await AreasModule.addAreas(cells.map(c => ({
+            type: 'search',
+            name: `${area.name} ${c.label}`,
+            points: c.points,
+            notes: `Segment of ${area.name} (${plan.name})`
+        })));
+
+        const segments = created.map((a, i) => newSegment(a, cells[i].label));
+        plan.segments.push(...segments);
+        placeNewSegments(segments);
+        changed();
+        return created;
+    }
+
+    /**
+     * Clip the polygon to a grid of cellSizeM squares. Cells smaller than 5%
+     * of a full cell are folded away to avoid unsearchable slivers.
+     */
+    function gridCells(points, cellSizeM) {
+        if (!points || points.length < 3 || !(cellSizeM > 0)) return [];
+
+        const bounds = AreasModule.getBounds(points);
+        const midLat = (bounds.north + bounds.south) / 2;
+        const dLat = cellSizeM / 111320;
+        const dLon = cellSizeM / (111320 * Math.cos(toRad(midLat)));
+        const rows = Math.ceil((bounds.north - bounds.south) / dLat);
+        const cols = Math.ceil((bounds.east - bounds.west) / dLon);
+        if (rows * cols > MAX_GRID_CELLS * 4) {
+            throw new Error(`Cell size is too small for this area (max ${MAX_GRID_CELLS} segments)`);
+        }
+
+        const minArea = cellSizeM * cellSizeM * 0.05;
+        const cells = [];
+        for (let r = 0; r < rows; r++) {
+            const north = bounds.north - r * dLat;
+            const south = north - dLat;
+            let col = 0;
+            for (let c = 0; c < cols; c++) {
+                const west = bounds.west + c * dLon;
+                const clipped = clipToRect(points, { north, south, west, east: west + dLon });
+                if (clipped.length < 3 || AreasModule.computeArea(clipped) < minArea) continue;
+                col++;
+                cells.push({ label: rowLabel(r) + col, points: clipped });
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * Sutherland–Hodgman clip of a polygon to a lat/lon rectangle
+     */
+    function clipToRect(points, rect) {
+        const edges = [
+            { inside: p => p.lat <= rect.north, cut: (a, b) => atLat(a, b, rect.north) },
+            { inside: p => p.lat >= rect.south, cut: (a, b) => atLat(a, b, rect.south) },
+            { inside: p => p.lon >= rect.west,  cut: (a, b) => atLon(a, b, rect.west) },
+            { inside: p => p.lon <= rect.east,  cut: (a, b) => atLon(a, b, rect.east) }
+        ];
+
+        let output = points.map(p => ({ lat: p.lat, lon: p.lon }));
+        edges.forEach(edge => {
+            const input = output;
+            output = [];
+            input.forEach((cur, i) => {
+                const prev = input[(i + input.length - 1) % input.length];
+                if (edge.inside(cur)) {
+                    if (!edge.inside(prev)) output.push(edge.cut(prev, cur));
+                    output.push(cur);
+                } else if (edge.inside(prev)) {
+                    output.push(edge.cut(prev, cur));
+                }
+            });
+        });
+        return output.map(p => ({ lat: round6(p.lat), lon: round6(p.lon) }));
+    }
+
+    function atLat(a, b, lat) {
+        const f = (lat - a.lat) / (b.lat - a.lat);
+        return { lat, lon: a.lon + (b.lon - a.lon) * f };
+    }
+
+    function atLon(a, b, lon) {
+        const f = (lon - a.lon) / (b.lon - a.lon);
+        return { lat: a.lat + (b.lat - a.lat) * f, lon };
+    }
+
+    function rowLabel(index) {
+        let label = '';
+        let n = index;
+        do {
+            label = String.fromCharCode(65 + (n % 26)) + label;
+            n = Math.floor(n / 26) - 1;
+        } while (n >= 0);
+        return label;
+    }
+
+    function newSegment(area, label) {
+        return {
+            id: Helpers.generateId(),
+            areaId: area.id,
+            label: label,
+            assignedTo: null,
+            status: 'unassigned',
+            poa: 0,
+            manualPoa: false,
+            podCumulative: 0,
+            effortMeters: 0
+        };
+    }
+
+    /**
+     * Update a segment's label, assignment, status or POA.
+     * Setting poa marks it as a manual estimate that ring recomputes keep.
+     */
+    function updateSegment(id, updates = {}) {
+        const segment = plan?.segments.find(s => s.id === id);
+        if (!segment) return null;
+
+        if (typeof updates.label === 'string' && updates.label.trim()) segment.label = updates.label.trim();
+        if ('assignedTo' in updates) {
+            segment.assignedTo = updates.assignedTo || null;
+            if (segment.status !== 'searched') segment.status = segment.assignedTo ? 'assigned' : 'unassigned';
+        }
+        if (updates.status && SEGMENT_STATUS[updates.status]) segment.status = updates.status;
+        if (updates.poa === null) {
+            segment.manualPoa = false;
+            if (plan.sorties.length === 0) seedPoa();
+        } else if (Number.isFinite(updates.poa)) {
+            segment.poa = clamp01(updates.poa);
+            segment.manualPoa = true;
+            rebalanceRow();
+        }
+        changed();
+        return segment;
+    }
+
+    function removeSegment(id) {
+        if (!plan) return;
+        plan.segments = plan.segments.filter(s => s.id !== id);
+        if (plan.sorties.length === 0) seedPoa();
+        else rebalanceRow();
+        changed();
+    }
+
+    /**
+     * Seed segment POA from the distance rings. Manual estimates are kept.
+     * Overlapping segments that sum past 100% are scaled down so ROW never
+     * goes negative.
+     */
+    function seedPoa() {
+        const live = new Map(getSegments().map(s => [s.id, s]));
+
+        plan.segments.forEach(seg => {
+            const joined = live.get(seg.id);
+            if (!joined) seg.poa = 0;
+            else if (!seg.manualPoa) seg.poa = poaFromRings(joined.area.points, plan.ipp, plan.rings);
+        });
+
+        const total = plan.segments.reduce((sum, s) => sum + s.poa, 0);
+        if (total > 1) plan.segments.forEach(s => { s.poa /= total; });
+        rebalanceRow();
+    }
+
+    /**
+     * New segments before any sortie re-seed everything; after sorties the
+     * ring POA is carved out of what is left in ROW so earlier updates stand
+     */
+    function placeNewSegments(segments) {
+        if (plan.sorties.length === 0) {
+            seedPoa();
+            return;
+        }
+        segments.forEach(seg => {
+            const area = (State.get('areas') || []).find(a => a.id === seg.areaId);
+            seg.poa = Math.min(plan.row, area ? poaFromRings(area.points, plan.ipp, plan.rings) : 0);
+            rebalanceRow();
+        });
+    }
+
+    /**
+     * Discard sorties, manual estimates and cumulative POD and start over
+     * from the distance rings
+     */
+    function resetPoa() {
+        if (!plan) return;
+        plan.sorties = [];
+        plan.segments.forEach(seg => {
+            seg.manualPoa = false;
+            seg.podCumulative = 0;
+            seg.effortMeters = 0;
+            if (seg.status === 'searched') seg.status = seg.assignedTo ? 'assigned' : 'unassigned';
+        });
+        seedPoa();
+        changed();
+    }
+
+    function rebalanceRow() {
+        const total = plan.segments.reduce((sum, s) => sum + (s.poa || 0), 0);
+        plan.row = Math.max(0, 1 - total);
+    }
+
+    // ==================== SORTIES ====================
+
+    /**
+     * Tracks a sortie can be scored from: my recorded GPS track, saved
+     * routes/tracks, and breadcrumbs collected for team members
+     */
+    function getTrackSources() {
+        const sources = [];
+
+        if (typeof GPSModule !== 'undefined' && GPSModule.getRecordedTrack) {
+            const track = GPSModule.getRecordedTrack();
+            if (track.length >= 2) {
+                sources.push({ id: 'gps', label: `My recorded track (${track.length} pts)`, points: track });
+            }
+        }
+
+        if (plan) {
+            const members = getAssignableMembers();
+            Object.entries(plan.breadcrumbs || {}).forEach(([memberId, crumbs]) => {
+                if (crumbs.length < 2) return;
+                const member = members.find(m => m.id === memberId);
+                sources.push({
+                    id: 'member:' + memberId,
+                    label: `${member?.name || memberId} breadcrumbs (${crumbs.length} pts)`,
+                    points: crumbs,
+                    memberId
+                });
+            });
+        }
+
+        (State.get('routes') || []).forEach(route => {
+            if (route.isBuilding || !route.points || route.points.length < 2) return;
+            const points = route.points.filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lon));
+            if (points.length < 2) return;
+            sources.push({ id: 'route:' + route.id, label: route.name || 'Route', points });
+        });
+
+        return sources;
+    }
+
+    /**
+     * Score a track against every segment: effort inside, coverage and POD
+     */
+    function evaluateTrack(track, sweepWidthM) {
+        const width = sweepWidthM > 0 ? sweepWidthM : (plan?.sweepWidth || DEFAULT_SWEEP_WIDTH_M);
+        return getSegments()
+            .map(seg => {
+                const lengthM = trackLengthInPolygon(track, seg.area.points);
+                const areaSqM = AreasModule.computeArea(seg.area.points);
+                const coverage = computeCoverage(width, lengthM, areaSqM);
+                return {
+                    segmentId: seg.id,
+                    label: seg.label,
+                    lengthM,
+                    coverage,
+                    pod: podFromCoverage(coverage)
+                };
+            })
+            .filter(r => r.lengthM > 0);
+    }
+
+    /**
+     * Record an unsuccessful sortie and update POA/POD for every segment it
+     * covered. Returns the stored sortie (with its POS) or null.
+     */
+    function recordSortie({ sourceId, sweepWidth, note } = {}) {
+        if (!plan) throw new Error('Start an incident first');
+        const source = getTrackSources().find(s => s.id === sourceId);
+        if (!source) throw new Error('Track not found');
+
+        const width = sweepWidth > 0 ? sweepWidth : plan.sweepWidth;
+        const results = evaluateTrack(source.points, width);
+        if (results.length === 0) throw new Error('Track does not cross any segment');
+
+        const { segments, row, pos } = bayesUpdate(plan.segments, plan.row, results);
+        plan.segments = segments.map(seg => {
+            const r = results.find(x => x.segmentId === seg.id);
+            return r ? { ...seg, status: 'searched', effortMeters: (seg.effortMeters || 0) + r.lengthM } : seg;
+        });
+        plan.row = row;
+        plan.sweepWidth = width;
+
+        const sortie = {
+            id: Helpers.generateId(),
+            at: new Date().toISOString(),
+            source: source.label,
+            memberId: source.memberId || null,
+            sweepWidth: width,
+            note: note || '',
+            pos,
+            results: results.map(r => ({
+                segmentId: r.segmentId,
+                label: r.label,
+                lengthM: Math.round(r.lengthM),
+                coverage: r.coverage,
+                pod: r.pod
+            }))
+        };
+        plan.sorties.push(sortie);
+
+        // Breadcrumbs are consumed by the sortie so the next one starts fresh
+        if (source.memberId) plan.breadcrumbs[source.memberId] = [];
+
+        changed();
+        return sortie;
+    }
+
+    /**
+     * Probability the subject would have been found by the sorties so far:
+     * 1 − Π(1 − POS_k)
+     */
+    function getCumulativePos() {
+        if (!plan) return 0;
+        return 1 - plan.sorties.reduce((acc, s) => acc * (1 - (s.pos || 0)), 1);
+    }
+
+    // ==================== TEAM ====================
+
+    /**
+     * Members that segments can be assigned to
+     */
+    function getAssignableMembers() {
+        if (typeof TeamModule !== 'undefined' && TeamModule.getMembers) {
+            const members = TeamModule.getMembers();
+            if (members.length > 0) return members;
+        }
+        return (State.get('teamMembers') || []).filter(m => !m.isMe);
+    }
+
+    /**
+     * Collect position reports from members assigned to a segment
+     */
+    function recordBreadcrumb(member) {
+        if (!plan || !member || !Number.isFinite(member.lat) || !Number.isFinite(member.lon)) return;
+        if (!plan.segments.some(s => s.assignedTo === member.id)) return;
+
+        const crumbs = plan.breadcrumbs[member.id] || (plan.breadcrumbs[member.id] = []);
+        const last = crumbs[crumbs.length - 1];
+        if (last && distanceMeters(last, member) < BREADCRUMB_MIN_MOVE_M) return;
+
+        crumbs.push({ lat: member.lat, lon: member.lon, t: Date.now() });
+        if (crumbs.length > MAX_BREADCRUMBS) crumbs.splice(0, crumbs.length - MAX_BREADCRUMBS);
+        scheduleSave();
+    }
+
+    // ==================== MAP RENDERING ====================
+
+    /**
+     * Draw the IPP, distance rings and segment POA labels
+     */
+    function render(ctx, latLonToPixel) {
+        if (!plan || !plan.showOnMap) return;
+
+        const center = latLonToPixel(plan.ipp.lat, plan.ipp.lon);
+
+        plan.rings.forEach((km, i) => {
+            ctx.beginPath();
+            for (let b = 0; b <= 72; b++) {
+                const p = destinationPoint(plan.ipp, b * 5, km * 1000);
+                const px = latLonToPixel(p.lat, p.lon);
+                if (b === 0) ctx.moveTo(px.x, px.y);
+                else ctx.lineTo(px.x, px.y);
+            }
+            ctx.strokeStyle = `rgba(249,115,22,${0.9 - i * 0.15})`;
+            ctx.lineWidth = 2;
+            ctx.setLineDash([8, 6]);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            const labelPt = destinationPoint(plan.ipp, 0, km * 1000);
+            const lp = latLonToPixel(labelPt.lat, labelPt.lon);
+            drawLabel(ctx, `${RING_PERCENTILES[i]}% · ${km} km`, lp.x, lp.y - 8, '#f97316');
+        });
+
+        // Segment POA under the area name
+        getSegments().forEach(seg => {
+            const c = AreasModule.computeCentroid(seg.area.points);
+            if (!c) return;
+            const px = latLonToPixel(c.lat, c.lon);
+            drawLabel(ctx, `POA ${formatPercent(seg.poa)}`, px.x, px.y + 15, '#fde68a');
+        });
+
+        // IPP marker
+        ctx.beginPath();
+        ctx.arc(center.x, center.y, 8, 0, Math.PI * 2);
+        ctx.fillStyle = '#f97316';
+        ctx.fill();
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = '#fff';
+        ctx.stroke();
+        drawLabel(ctx, plan.ipp.name || 'IPP', center.x, center.y + 20, '#fff');
+    }
+
+    function drawLabel(ctx, text, x, y, color) {
+        ctx.font = '11px system-ui, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = 'rgba(0,0,0,0.7)';
+        ctx.strokeText(text, x, y);
+        ctx.fillStyle = color;
+        ctx.fillText(text, x, y);
+    }
+
+    // ==================== PERSISTENCE ====================
+
+    function changed() {
+        if (plan) plan.updatedAt = new Date().toISOString();
+        save();
+        if (typeof Events !== 'undefined') Events.emit('searchplan:changed', { plan });
+        if (typeof MapModule !== 'undefined') MapModule.render();
+    }
+
+    async function save() {
+        if (saveTimer) {
+            clearTimeout(saveTimer);
+            saveTimer = null;
+        }
+        try {
+            await Storage.Settings.set(STORAGE_KEY, plan);
+        } catch (e) {
+            console.warn('SearchPlanModule: could not save search plan:', e);
+        }
+    }
+
+    // Breadcrumbs arrive often; batch their writes
+    function scheduleSave() {
+        if (saveTimer) return;
+        saveTimer = setTimeout(save, 5000);
+    }
+
+    // ==================== HELPERS ====================
+
+    function formatPercent(p) {
+        const pct = (p || 0) * 100;
+        return pct > 0 && pct < 1 ? pct.toFixed(1) + '%' : Math.round(pct) + '%';
+    }
+
+    function clamp01(v) {
+        return Math.min(1, Math.max(0, Number(v) || 0));
+    }
+
+    function round6(v) {
+        return Math.round(v * 1e6) / 1e6;
+    }
+
+    function toRad(deg) {
+        return deg * Math.PI / 180;
+    }
+
+    function distanceMeters(a, b) {
+        const dLat = toRad(b.lat - a.lat);
+        const dLon = toRad(b.lon - a.lon);
+        const h = Math.sin(dLat / 2) ** 2 +
+                  Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+        return EARTH_RADIUS_M * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+    }
+
+    function destinationPoint(from, bearingDeg, distanceM) {
+        const d = distanceM / EARTH_RADIUS_M;
+        const brng = toRad(bearingDeg);
+        const lat1 = toRad(from.lat);
+        const lon1 = toRad(from.lon);
+        const lat2 = Math.asin(Math.sin(lat1) * Math.cos(d) + Math.cos(lat1) * Math.sin(d) * Math.cos(brng));
+        const lon2 = lon1 + Math.atan2(
+            Math.sin(brng) * Math.sin(d) * Math.cos(lat1),
+            Math.cos(d) - Math.sin(lat1) * Math.sin(lat2)
+        );
+        return { lat: lat2 * 180 / Math.PI, lon: ((lon2 * 180 / Math.PI) + 540) % 360 - 180 };
+    }
+
+    // ==================== PUBLIC API ====================
+
+    return {
+        init,
+        SUBJECT_CATEGORIES,
+        SEGMENT_STATUS,
+        RING_PERCENTILES,
+
+        // Rings and probability math
+        ringCdf,
+        ringDensity,
+        normalizeRings,
+        poaFromRings,
+        trackLengthInPolygon,
+        computeCoverage,
+        podFromCoverage,
+        bayesUpdate,
+        gridCells,
+        formatPercent,
+
+        // Incident
+        createIncident,
+        updateIncident,
+        closeIncident,
+        getPlan,
+
+        // Segments
+        getSegments,
+        addSegmentFromArea,
+        divideAreaIntoGrid,
+        updateSegment,
+        removeSegment,
+        resetPoa,
+
+        // Sorties
+        getTrackSources,
+        evaluateTrack,
+        recordSortie,
+        getCumulativePos,
+
+        // Team
+        getAssignableMembers,
+
+        // Map
+        render
+    };
+})();
+
+window.SearchPlanModule = SearchPlanModule;
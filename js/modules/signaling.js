@@ -0,0 +1,835 @@
+/**
+ * GridDown Signaling Module - Visual and Audio Distress Signals
+ * Turns the device into a signaling kit: a full-screen strobe that flashes
+ * SOS or any message in Morse, a Web Audio tone generator for whistle
+ * patterns and Morse, a signal-mirror aiming helper driven by the sun's
+ * position and the compass, and a burst scheduler that runs patterns on a
+ * duty cycle to save battery
+ */
+const SignalingModule = (function() {
+    'use strict';
+
+    // ==================== CONSTANTS ====================
+
+    const SETTINGS_STORAGE_KEY = 'signaling_settings';
+    const DEG_TO_RAD = Math.PI / 180;
+    const RAD_TO_DEG = 180 / Math.PI;
+
+    const MORSE = {
+        A: '.-', B: '-...', C: '-.-.', D: '-..', E: '.', F: '..-.', G: '--.', H: '....',
+        I: '..', J: '.---', K: '-.-', L: '.-..', M: '--', N: '-.', O: '---', P: '.--.',
+        Q: '--.-', R: '.-.', S: '...', T: '-', U: '..-', V: '...-', W: '.--', X: '-..-',
+        Y: '-.--', Z: '--..',
+        0: '-----', 1: '.----', 2: '..---', 3: '...--', 4: '....-',
+        5: '.....', 6: '-....', 7: '--...', 8: '---..', 9: '----.',
+        '.': '.-.-.-', ',': '--..--', '?': '..--..', '/': '-..-.', '-': '-....-',
+        '=': '-...-', '+': '.-.-.', '@': '.--.-.', ':': '---...', '\'': '.----.'
+    };
+
+    // Whistle-style patterns are fixed timings; the rest are Morse at the chosen speed
+    const PATTERNS = {
+        sos: { id: 'sos', name: 'SOS', icon: '🆘', morse: '...---...', description: 'Morse SOS, repeated' },
+        message: { id: 'message', name: 'Message', icon: '✉️', description: 'Any text in Morse' },
+        help: { id: 'help', name: 'Help (3 short)', icon: '📢', steps: [1000, 1000, 1000, 1000, 1000], gap: 5000, description: '3 short blasts/flashes — distress' },
+        long3: { id: 'long3', name: '3 long', icon: '📯', steps: [3000, 1000, 3000, 1000, 3000], gap: 5000, description: '3 long blasts/flashes — SOS' },
+        come: { id: 'come', name: 'Come to me', icon: '👋', steps: [1000, 1000, 1000], gap: 5000, description: '2 short blasts/flashes' },
+        attention: { id: 'attention', name: 'Attention', icon: '❗', steps: [3000], gap: 5000, description: '1 long blast/flash' },
+        strobe: { id: 'strobe', name: 'Beacon', icon: '💡', steps: [120], gap: 880, description: 'Rescue strobe, 60 flashes/min' }
+    };
+
+    // everyMinutes 0 = continuous
+    const SCHEDULES = {
+        continuous: { id: 'continuous', name: 'Continuous', burstSeconds: 0, everyMinutes: 0 },
+        '30s_2m': { id: '30s_2m', name: '30 s every 2 min', burstSeconds: 30, everyMinutes: 2 },
+        '1m_5m': { id: '1m_5m', name: '1 min every 5 min', burstSeconds: 60, everyMinutes: 5 },
+        '1m_15m': { id: '1m_15m', name: '1 min every 15 min', burstSeconds: 60, everyMinutes: 15 }
+    };
+
+    const DEFAULT_SETTINGS = {
+        wpm: 8,                 // Slow enough to read by eye
+        toneHz: 3000,           // Phone speakers and ears are most sensitive near 3 kHz
+        volume: 1,
+        schedule: 'continuous',
+        stopAfterMinutes: 0,    // 0 = until stopped
+        lastMessage: ''
+    };
+
+    // ==================== STATE ====================
+
+    let initialized = false;
+    let settings = { ...DEFAULT_SETTINGS };
+
+    // { patternId, message, light, sound, schedule, startedAt, timeline, step, bursting, nextBurstAt, cycles }
+    let session = null;
+    let stepTimer = null;
+    let idleTimer = null;
+
+    let audioCtx = null;
+    let oscillator = null;
+    let gainNode = null;
+    let wakeLock = null;
+
+    // Mirror aiming
+    let aiming = false;
+    let heading = null;
+    let targetBearing = null;
+    let lastAimRender = 0;
+
+    // ==================== INITIALIZATION ====================
+
+    async function init() {
+        if (initialized) {
+            console.debug('SignalingModule already initialized');
+            return;
+        }
+
+        try {
+            settings = { ...DEFAULT_SETTINGS, ...(await Storage.Settings.get(SETTINGS_STORAGE_KEY, null) || {}) };
+        } catch (e) {
+            console.warn('SignalingModule: could not load settings:', e);
+        }
+
+        initialized = true;
+        console.log('SignalingModule initialized');
+    }
+
+    // ==================== MORSE & PATTERNS ====================
+
+    /**
+     * Encode text as Morse: letters separated by spaces, words by ' / '.
+     * Characters with no Morse code are dropped.
+     */
+    function textToMorse(text) {
+        return String(text || '').toUpperCase().trim().split(/\s+/)
+            .map(word => [...word].map(ch => MORSE[ch]).filter(Boolean).join(' '))
+            .filter(Boolean)
+            .join(' / ');
+    }
+
+    /**
+     * One cycle of a pattern as on/off steps, ending with the gap before it repeats
+     * @param {string} patternId
+     * @param {Object} [options] - { message, wpm }
+     * @returns {Array<{on: boolean, ms: number}>}
+     */
+    function buildTimeline(patternId, options = {}) {
+        const pattern = PATTERNS[patternId];
+        if (!pattern) throw new Error(`Unknown signal pattern: ${patternId}`);
+        const steps = [];
+        const push = (on, ms) => {
+            const last = steps[steps.length - 1];
+            if (last && last.on === on) last.ms += ms;
+            else steps.push({ on, ms });
+        };
+
+        if (pattern.steps) {
+            pattern.steps.forEach((ms, i) => push(i % 2 === 0, ms));
+            push(false, pattern.gap);
+            return steps;
+        }
+
+        const morse = pattern.morse || textToMorse(options.message);
+        if (!morse) throw new Error('Message has no characters that can be sent in Morse');
+        const unit = 1200 / (options.wpm || settings.wpm);
+        const words = morse.split(' / ');
+        words.forEach(word => {
+            word.split(' ').forEach((letter, l) => {
+                [...letter].forEach((el, e) => {
+                    push(true, (el === '-' ? 3 : 1) * unit);
+                    if (e < letter.length - 1) push(false, unit);
+                });
+                if (l < word.split(' ').length - 1) push(false, 3 * unit);
+            });
+            push(false, 7 * unit);
+        });
+        return steps;
+    }
+
+    function getCycleMs(timeline) {
+        return timeline.reduce((sum, s) => sum + s.ms, 0);
+    }
+
+    // ==================== SCHEDULER ====================
+
+    /**
+     * Where a schedule stands at a given time
+     * @param {Object} schedule - { burstSeconds, everyMinutes, stopAfterMinutes }
+     * @param {number} startedAt
+     * @param {number} now
+     * @returns {{bursting: boolean, burstEndsAt: number|null, nextBurstAt: number|null, expired: boolean}}
+     */
+    function getScheduleWindow(schedule, startedAt, now) {
+        const expired = !!schedule.stopAfterMinutes && now >= startedAt + schedule.stopAfterMinutes * 60000;
+        if (!schedule.everyMinutes) {
+            return { bursting: !expired, burstEndsAt: null, nextBurstAt: null, expired };
+        }
+        const period = schedule.everyMinutes * 60000;
+        const cycleStart = startedAt + Math.floor(Math.max(0, now - startedAt) / period) * period;
+        const burstEndsAt = cycleStart + schedule.burstSeconds * 1000;
+        const bursting = !expired && now < burstEndsAt;
+        return {
+            bursting,
+            burstEndsAt: bursting ? burstEndsAt : null,
+            nextBurstAt: bursting ? cycleStart : cycleStart + period,
+            expired
+        };
+    }
+
+    // ==================== PLAYER ====================
+
+    /**
+     * Start signaling. Stops any signal already running.
+     * @param {Object} options - { pattern, message, light, sound, schedule, stopAfterMinutes }
+     */
+    function start(options = {}) {
+        const patternId = options.pattern || 'sos';
+        const light = options.light !== false;
+        const sound = !!options.sound;
+        if (!light && !sound) throw new Error('Choose light, sound or both');
+        const timeline = buildTimeline(patternId, { message: options.message });
+
+        stop(null);
+        const schedule = {
+            ...(SCHEDULES[options.schedule || settings.schedule] || SCHEDULES.continuous),
+            stopAfterMinutes: options.stopAfterMinutes !== undefined ? options.stopAfterMinutes : settings.stopAfterMinutes
+        };
+        session = {
+            patternId,
+            message: patternId === 'message' ? String(options.message || '') : null,
+            light,
+            sound,
+            schedule,
+            startedAt: Date.now(),
+            timeline,
+            step: 0,
+            bursting: true,
+            nextBurstAt: null,
+            cycles: 0
+        };
+        if (patternId === 'message') {
+            settings.lastMessage = session.message;
+            saveSettings();
+        }
+
+        if (sound) ensureAudio();
+        if (light) {
+            requestWakeLock();
+            showOverlay();
+        }
+        logSignal(`${describeSession()} started`);
+        runStep();
+        emitChanged();
+        return getStatus();
+    }
+
+    /**
+     * Stop signaling
+     * @param {string|null} [reason] - logged when given
+     */
+    function stop(reason = 'Stopped') {
+        if (stepTimer) {
+            clearTimeout(stepTimer);
+            stepTimer = null;
+        }
+        if (idleTimer) {
+            clearInterval(idleTimer);
+            idleTimer = null;
+        }
+        if (!session) return;
+
+        const ended = session;
+        setOutput(false);
+        session = null;
+        hideOverlay();
+        releaseWakeLock();
+        if (oscillator) {
+            try { oscillator.stop(); } catch (e) { /* already stopped */ }
+            oscillator = null;
+            gainNode = null;
+        }
+        if (reason) {
+            const minutes = Math.round((Date.now() - ended.startedAt) / 60000);
+            logSignal(`${describeSessionOf(ended)} ${reason.toLowerCase()} after ${minutes} min (${ended.cycles} cycles)`);
+        }
+        emitChanged();
+    }
+
+    function runStep() {
+        if (!session) return;
+        const { timeline } = session;
+
+        if (session.step >= timeline.length) {
+            session.step = 0;
+            session.cycles++;
+            // A burst always finishes the pattern it started
+            const win = getScheduleWindow(session.schedule, session.startedAt, Date.now());
+            if (win.expired) {
+                stop('Finished');
+                return;
+            }
+            if (!win.bursting) {
+                goIdle(win.nextBurstAt);
+                return;
+            }
+        }
+
+        const step = timeline[session.step++];
+        setOutput(step.on);
+        stepTimer = setTimeout(runStep, step.ms);
+    }
+
+    function goIdle(nextBurstAt) {
+        setOutput(false);
+        session.bursting = false;
+        session.nextBurstAt = nextBurstAt;
+        renderOverlayCaption();
+        emitChanged();
+
+        idleTimer = setInterval(() => {
+            if (!session) return;
+            const now = Date.now();
+            // The stop-after time can run out during a rest
+            if (getScheduleWindow(session.schedule, session.startedAt, now).expired) {
+                stop('Finished');
+                return;
+            }
+            if (now >= session.nextBurstAt) {
+                clearInterval(idleTimer);
+                idleTimer = null;
+                session.bursting = true;
+                session.nextBurstAt = null;
+                renderOverlayCaption();
+                emitChanged();
+                runStep();
+            } else {
+                renderOverlayCaption();
+            }
+        }, 1000);
+    }
+
+    function setOutput(on) {
+        if (!session) return;
+        if (session.light) setLight(on);
+        if (session.sound) setSound(on);
+    }
+
+    function getStatus() {
+        if (!session) return { active: false };
+        return {
+            active: true,
+            patternId: session.patternId,
+            pattern: PATTERNS[session.patternId].name,
+            message: session.message,
+            light: session.light,
+            sound: session.sound,
+            schedule: session.schedule.name,
+            startedAt: session.startedAt,
+            bursting: session.bursting,
+            nextBurstAt: session.nextBurstAt,
+            cycles: session.cycles,
+            cycleMs: getCycleMs(session.timeline)
+        };
+    }
+
+    function describeSessionOf(s) {
+        const outputs = [s.light && 'strobe', s.sound && 'tone'].filter(Boolean).join(' + ');
+        const what = s.patternId === 'message' ? `"${s.message}" in Morse` : PATTERNS[s.patternId].name;
+        const schedule = s.schedule.everyMinutes ? `, ${s.schedule.name}` : '';
+        return `${outputs.charAt(0).toUpperCase() + outputs.slice(1)}: ${what}${schedule}`;
+    }
+
+    function describeSession() {
+        return describeSessionOf(session);
+    }
+
+    // ==================== AUDIO ====================
+
+    function ensureAudio() {
+        try {
+            if (!audioCtx) {
+                const Ctx = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+                if (!Ctx) return;
+                audioCtx = new Ctx();
+            }
+            if (audioCtx.state === 'suspended') audioCtx.resume();
+            if (oscillator) return;
+            // One oscillator runs for the whole session; the gain keys it on and off
+            oscillator = audioCtx.createOscillator();
+            gainNode = audioCtx.createGain();
+            oscillator.type = 'square';
+            oscillator.frequency.value = settings.toneHz;
+            gainNode.gain.value = 0;
+            oscillator.connect(gainNode);
+            gainNode.connect(audioCtx.destination);
+            oscillator.start();
+        } catch (e) {
+            console.warn('SignalingModule: audio unavailable:', e);
+        }
+    }
+
+    function setSound(on) {
+        if (!gainNode) return;
+        // Short ramp avoids clicks at the edges of each element
+        gainNode.gain.setTargetAtTime(on ? settings.volume : 0, audioCtx.currentTime, 0.004);
+    }
+
+    // ==================== STROBE OVERLAY ====================
+
+    function showOverlay() {
+        if (typeof document === 'undefined' || !document.body) return;
+        let el = document.getElementById('signal-strobe');
+        if (!el) {
+            el = document.createElement('div');
+            el.id = 'signal-strobe';
+            el.style.cssText = `
+                position: fixed;
+                inset: 0;
+                z-index: 10000;
+                background: #000;
+                display: flex;
+                flex-direction: column;
+                justify-content: flex-end;
+                align-items: center;
+                padding: 24px;
+            `;
+            document.body.appendChild(el);
+        }
+        el.innerHTML = `
+            <div id="signal-strobe-caption" style="font-size:12px;color:#666;margin-bottom:12px;text-align:center;mix-blend-mode:difference"></div>
+            <button class="btn btn--secondary" id="signal-strobe-stop" style="padding:12px 32px;background:#333;color:#aaa;border:1px solid #555">■ Stop</button>
+        `;
+        el.querySelector('#signal-strobe-stop').onclick = () => stop();
+        renderOverlayCaption();
+    }
+
+    function hideOverlay() {
+        if (typeof document === 'undefined') return;
+        const el = document.getElementById('signal-strobe');
+        if (el) el.remove();
+    }
+
+    function setLight(on) {
+        if (typeof document === 'undefined') return;
+        const el = document.getElementById('signal-strobe');
+        if (el) el.style.background = on ? '#fff' : '#000';
+    }
+
+    function renderOverlayCaption() {
+        if (!session || typeof document === 'undefined') return;
+        const caption = document.getElementById('signal-strobe-caption');
+        if (!caption) return;
+        const what = session.patternId === 'message' ? session.message : PATTERNS[session.patternId].name;
+        caption.textContent = session.bursting
+            ? `${what} — hold the screen toward searchers`
+            : `${what} — next burst in ${formatCountdown(session.nextBurstAt - Date.now())}`;
+    }
+
+    async function requestWakeLock() {
+        if (typeof navigator === 'undefined' || !('wakeLock' in navigator)) return;
+        try {
+            wakeLock = await navigator.wakeLock.request('screen');
+        } catch (e) {
+            console.warn('SignalingModule: wake lock failed:', e);
+        }
+    }
+
+    function releaseWakeLock() {
+        if (wakeLock) {
+            wakeLock.release().catch(() => {});
+            wakeLock = null;
+        }
+    }
+
+    // ==================== SIGNAL MIRROR ====================
+
+    /**
+     * Sun azimuth/altitude for a position and time
+     * @returns {{azimuth: number, altitude: number}|null}
+     */
+    function getSunAzAlt(lat, lon, date = new Date()) {
+        if (typeof CelestialModule === 'undefined') return null;
+        const sun = CelestialModule.getSunPosition(date);
+        const { azimuth, altitude } = CelestialModule.calculateAltAz(sun.GHA, sun.dec, lat, lon);
+        return { azimuth, altitude };
+    }
+
+    function toVector(azimuth, altitude) {
+        const az = azimuth * DEG_TO_RAD;
+        const alt = altitude * DEG_TO_RAD;
+        return [Math.cos(alt) * Math.sin(az), Math.cos(alt) * Math.cos(az), Math.sin(alt)];
+    }
+
+    function normalizeBearing(deg) {
+        return ((deg % 360) + 360) % 360;
+    }
+
+    function signedDelta(to, from) {
+        const d = normalizeBearing(to - from);
+        return d > 180 ? d - 360 : d;
+    }
+
+    /**
+     * Geometry for flashing the sun at a target. The mirror must face halfway
+     * between the sun and the target; the wider the angle between them, the
+     * harder the aim (past ~140° the sun is behind you and your body is in the way).
+     * @param {Object} params - { sunAzimuth, sunAltitude, targetBearing, targetElevation }
+     */
+    function getMirrorAim({ sunAzimuth, sunAltitude, targetBearing, targetElevation = 0 }) {
+        const s = toVector(sunAzimuth, sunAltitude);
+        const t = toVector(targetBearing, targetElevation);
+        const dot = Math.max(-1, Math.min(1, s[0] * t[0] + s[1] * t[1] + s[2] * t[2]));
+        const separation = Math.acos(dot) * RAD_TO_DEG;
+
+        const n = [s[0] + t[0], s[1] + t[1], s[2] + t[2]];
+        const len = Math.hypot(n[0], n[1], n[2]) || 1;
+        const mirrorAzimuth = normalizeBearing(Math.atan2(n[0], n[1]) * RAD_TO_DEG);
+        const mirrorTilt = Math.asin(n[2] / len) * RAD_TO_DEG;
+
+        return {
+            sunUp: sunAltitude >= 0,
+            separation,
+            incidence: separation / 2,
+            sunOffset: signedDelta(sunAzimuth, targetBearing),   // + = sun right of target
+            mirrorAzimuth,
+            mirrorTilt,
+            quality: sunAltitude < 0 ? 'none' : separation <= 90 ? 'good' : separation <= 140 ? 'fair' : 'poor'
+        };
+    }
+
+    /**
+     * Follow the compass for live aiming. Call from a user gesture (iOS permission).
+     */
+    async function startAiming() {
+        if (aiming) return true;
+        if (typeof DeviceOrientationEvent !== 'undefined' &&
+            typeof DeviceOrientationEvent.requestPermission === 'function') {
+            try {
+                if (await DeviceOrientationEvent.requestPermission() !== 'granted') return false;
+            } catch (e) {
+                console.warn('SignalingModule: orientation permission failed:', e);
+                return false;
+            }
+        }
+        window.addEventListener('deviceorientation', handleOrientation);
+        aiming = true;
+        emitChanged();
+        return true;
+    }
+
+    function stopAiming() {
+        if (!aiming) return;
+        window.removeEventListener('deviceorientation', handleOrientation);
+        aiming = false;
+        heading = null;
+        emitChanged();
+    }
+
+    function handleOrientation(event) {
+        // webkitCompassHeading for iOS, alpha for others
+        const h = event.webkitCompassHeading || (event.alpha !== null ? 360 - event.alpha : null);
+        if (h === null || h === undefined) return;
+        heading = normalizeBearing(h);
+        const now = Date.now();
+        if (now - lastAimRender > 250) {
+            lastAimRender = now;
+            updateAimReadout();
+        }
+    }
+
+    function setTargetBearing(bearing) {
+        targetBearing = bearing === null || bearing === '' || isNaN(bearing) ? null : normalizeBearing(Number(bearing));
+        emitChanged();
+        return targetBearing;
+    }
+
+    /**
+     * Everything the mirror helper shows, from the current GPS fix and compass
+     */
+    function getAimState(date = new Date()) {
+        const fix = typeof GPSModule !== 'undefined' ? GPSModule.getPosition() : null;
+        const pos = fix && typeof fix.lat === 'number' ? fix : null;
+        const sun = pos ? getSunAzAlt(pos.lat, pos.lon, date) : null;
+        const aim = sun && targetBearing !== null
+            ? getMirrorAim({ sunAzimuth: sun.azimuth, sunAltitude: sun.altitude, targetBearing })
+            : null;
+        return {
+            hasPosition: !!pos,
+            sun,
+            targetBearing,
+            heading,
+            aiming,
+            aim,
+            turn: heading !== null && targetBearing !== null ? signedDelta(targetBearing, heading) : null
+        };
+    }
+
+    // ==================== LOG & SETTINGS ====================
+
+    function logSignal(message) {
+        if (typeof SOSModule !== 'undefined' && SOSModule.addSignalLog) {
+            SOSModule.addSignalLog('visual_audio', typeof Helpers !== 'undefined' ? Helpers.escapeHtml(message) : message);
+        }
+    }
+
+    function getSettings() {
+        return { ...settings };
+    }
+
+    function updateSettings(updates) {
+        ['wpm', 'toneHz', 'volume', 'schedule', 'stopAfterMinutes'].forEach(key => {
+            if (updates[key] !== undefined) settings[key] = updates[key];
+        });
+        if (!SCHEDULES[settings.schedule]) settings.schedule = 'continuous';
+        if (oscillator) oscillator.frequency.value = settings.toneHz;
+        saveSettings();
+        emitChanged();
+        return getSettings();
+    }
+
+    function saveSettings() {
+        Promise.resolve(Storage.Settings.set(SETTINGS_STORAGE_KEY, settings))
+            .catch(e => console.warn('SignalingModule: could not save settings:', e));
+    }
+
+    function emitChanged() {
+        if (typeof Events !== 'undefined') Events.emit('signaling:changed', getStatus());
+        updateSection();
+    }
+
+    function formatCountdown(ms) {
+        const total = Math.max(0, Math.ceil(ms / 1000));
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    // ==================== SOS PANEL SECTION ====================
+
+    function renderAimReadout() {
+        const state = getAimState();
+        if (!state.hasPosition) {
+            return `<div style="font-size:11px;color:rgba(255,255,255,0.5)">Needs a GPS fix to place the sun</div>`;
+        }
+        if (!state.sun) {
+            return `<div style="font-size:11px;color:rgba(255,255,255,0.5)">Sun position unavailable</div>`;
+        }
+        const qualityColors = { good: '#22c55e', fair: '#f59e0b', poor: '#ef4444', none: '#ef4444' };
+        const qualityText = {
+            good: 'Good angle — easy to aim',
+            fair: 'Workable — keep the mirror close to your eye',
+            poor: 'Sun is behind you — move so it is more to your side',
+            none: 'Sun is below the horizon — use the strobe instead'
+        };
+        const aim = state.aim;
+        return `
+            <div style="display:grid;grid-template-columns:1fr 1fr;gap:8px;font-size:11px">
+                <div>
+                    <div style="color:rgba(255,255,255,0.5)">Sun</div>
+                    <div style="font-weight:500">${Math.round(state.sun.azimuth)}° az, ${Math.round(state.sun.altitude)}° up</div>
+                </div>
+                <div>
+                    <div style="color:rgba(255,255,255,0.5)">Heading</div>
+                    <div style="font-weight:500">${state.heading !== null ? `${Math.round(state.heading)}°` : state.aiming ? 'Waiting…' : '—'}</div>
+                </div>
+            </div>
+            ${state.turn !== null ? `
+                <div style="font-size:16px;font-weight:600;text-align:center;margin:10px 0;color:${Math.abs(state.turn) <= 5 ? '#22c55e' : '#fff'}">
+                    ${Math.abs(state.turn) <= 5 ? '● On target' : state.turn > 0 ? `Turn right ${Math.round(state.turn)}° →` : `← Turn left ${Math.round(-state.turn)}°`}
+                </div>
+            ` : ''}
+            ${aim ? `
+                <div style="font-size:11px;margin-top:8px;color:${qualityColors[aim.quality]}">${qualityText[aim.quality]}</div>
+                ${aim.sunUp ? `
+                    <div style="font-size:11px;color:rgba(255,255,255,0.6);margin-top:4px;line-height:1.5">
+                        Sun is ${Math.abs(Math.round(aim.sunOffset))}° ${aim.sunOffset >= 0 ? 'right' : 'left'} of the target, ${Math.round(aim.separation)}° apart.<br>
+                        Face the mirror toward ${Math.round(aim.mirrorAzimuth)}°, tilted ${Math.round(aim.mirrorTilt)}° up.
+                    </div>
+                ` : ''}
+            ` : ''}
+        `;
+    }
+
+    function updateAimReadout() {
+        if (typeof document === 'undefined') return;
+        const el = document.getElementById('signal-mirror-readout');
+        if (el) el.innerHTML = renderAimReadout();
+    }
+
+    /**
+     * Signaling tools card for the SOS panel
+     */
+    function renderSection() {
+        const status = getStatus();
+        const esc = typeof Helpers !== 'undefined' && Helpers.escapeHtml ? Helpers.escapeHtml : (t => String(t));
+
+        return `
+            <div class="section-label">🔦 Signal Tools</div>
+            ${status.active ? `
+                <div style="padding:12px;background:rgba(249,115,22,0.1);border:1px solid rgba(249,115,22,0.3);border-radius:10px;margin-bottom:10px">
+                    <div style="font-size:12px;font-weight:600;color:#f97316">
+                        ${status.light ? '💡' : ''}${status.sound ? '🔊' : ''} ${esc(status.patternId === 'message' ? status.message : status.pattern)}
+                    </div>
+                    <div style="font-size:11px;color:rgba(255,255,255,0.6);margin-top:2px">
+                        ${esc(status.schedule)} · ${status.bursting ? 'signaling' : `next burst at ${new Date(status.nextBurstAt).toLocaleTimeString()}`}
+                    </div>
+                    <button class="btn btn--secondary btn--full" id="signal-stop-btn" style="margin-top:8px">■ Stop</button>
+                </div>
+            ` : ''}
+            <div style="padding:12px;background:var(--color-bg-elevated);border-radius:12px;margin-bottom:16px">
+                <div style="display:grid;grid-template-columns:repeat(4,1fr);gap:6px">
+                    ${Object.values(PATTERNS).map(p => `
+                        <button class="btn btn--secondary signal-pattern-btn" data-pattern="${p.id}" title="${p.description}"
+                            style="padding:8px 4px;font-size:10px;flex-direction:column;gap:2px">
+                            <span style="font-size:16px">${p.icon}</span>${p.name}
+                        </button>
+                    `).join('')}
+                </div>
+                <input type="text" id="signal-message" maxlength="40" placeholder="Message for Morse (e.g. NEED WATER)"
+                    value="${esc(settings.lastMessage)}" style="width:100%;margin-top:8px;font-size:12px">
+                <div style="display:flex;gap:12px;margin-top:8px;font-size:11px">
+                    <label><input type="checkbox" id="signal-light" checked> 💡 Strobe</label>
+                    <label><input type="checkbox" id="signal-sound"> 🔊 Tone</label>
+                </div>
+                <div style="display:grid;grid-template-columns:1fr 1fr;gap:8px;margin-top:8px;font-size:11px">
+                    <label>Schedule
+                        <select id="signal-schedule" style="width:100%;padding:4px">
+                            ${Object.values(SCHEDULES).map(s => `<option value="${s.id}" ${settings.schedule === s.id ? 'selected' : ''}>${s.name}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label>Stop after
+                        <select id="signal-stop-after" style="width:100%;padding:4px">
+                            ${[0, 30, 60, 120, 240].map(m => `<option value="${m}" ${settings.stopAfterMinutes === m ? 'selected' : ''}>${m ? `${m >= 60 ? `${m / 60} h` : `${m} min`}` : 'Never'}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label>Morse speed
+                        <select id="signal-wpm" style="width:100%;padding:4px">
+                            ${[[5, 'Slow (5 wpm)'], [8, 'Normal (8 wpm)'], [13, 'Fast (13 wpm)']].map(([v, l]) => `<option value="${v}" ${settings.wpm === v ? 'selected' : ''}>${l}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label>Tone
+                        <select id="signal-tone" style="width:100%;padding:4px">
+                            ${[[3000, '3 kHz (whistle, loudest)'], [1000, '1 kHz (Morse)']].map(([v, l]) => `<option value="${v}" ${settings.toneHz === v ? 'selected' : ''}>${l}</option>`).join('')}
+                        </select>
+                    </label>
+                </div>
+            </div>
+
+            <details id="signal-mirror" style="margin-bottom:16px" ${aiming ? 'open' : ''}>
+                <summary style="cursor:pointer;font-size:13px;font-weight:500;color:var(--color-text-muted);padding:8px 0">
+                    🪞 Signal Mirror Aiming
+                </summary>
+                <div style="padding:12px;background:var(--color-bg-elevated);border-radius:12px">
+                    <div style="display:flex;gap:6px;align-items:center;margin-bottom:10px">
+                        <input type="number" id="signal-target-bearing" min="0" max="359" placeholder="Target °"
+                            value="${targetBearing !== null ? Math.round(targetBearing) : ''}" style="width:80px;font-size:12px">
+                        <button class="btn btn--secondary" id="signal-use-heading" style="font-size:10px;padding:6px 8px" ${heading === null ? 'disabled' : ''}>Use heading</button>
+                        <button class="btn btn--secondary" id="signal-aim-toggle" style="font-size:10px;padding:6px 8px;margin-left:auto">${aiming ? 'Stop compass' : 'Start compass'}</button>
+                    </div>
+                    <div id="signal-mirror-readout">${renderAimReadout()}</div>
+                    <div style="font-size:10px;color:rgba(255,255,255,0.4);margin-top:10px;line-height:1.5">
+                        Point the top of the phone at the target and tap Use heading. Hold the mirror under your eye, make a V with two fingers around the target, and tilt until the light spot sits in the V. Sweep slowly — aircraft see the flash tens of kilometres away.
+                    </div>
+                </div>
+            </details>
+        `;
+    }
+
+    function updateSection() {
+        if (typeof document === 'undefined') return;
+        const el = document.getElementById('signaling-section');
+        if (!el) return;
+        if (el.contains(document.activeElement) && document.activeElement.tagName === 'INPUT') return;
+        el.innerHTML = renderSection();
+        attachSectionListeners(el);
+    }
+
+    function attachSectionListeners(el) {
+        if (!el) return;
+        const toast = (msg, type) => {
+            if (typeof ModalsModule !== 'undefined') ModalsModule.showToast(msg, type);
+        };
+
+        el.querySelectorAll('.signal-pattern-btn').forEach(btn => {
+            btn.onclick = () => {
+                try {
+                    start({
+                        pattern: btn.dataset.pattern,
+                        message: el.querySelector('#signal-message').value,
+                        light: el.querySelector('#signal-light').checked,
+                        sound: el.querySelector('#signal-sound').checked
+                    });
+                } catch (err) {
+                    toast(err.message, 'error');
+                }
+            };
+        });
+
+        const stopBtn = el.querySelector('#signal-stop-btn');
+        if (stopBtn) stopBtn.onclick = () => stop();
+
+        const selects = {
+            '#signal-schedule': v => ({ schedule: v }),
+            '#signal-stop-after': v => ({ stopAfterMinutes: parseInt(v, 10) }),
+            '#signal-wpm': v => ({ wpm: parseInt(v, 10) }),
+            '#signal-tone': v => ({ toneHz: parseInt(v, 10) })
+        };
+        Object.entries(selects).forEach(([selector, toUpdate]) => {
+            const select = el.querySelector(selector);
+            if (select) select.onchange = () => updateSettings(toUpdate(select.value));
+        });
+
+        const bearingInput = el.querySelector('#signal-target-bearing');
+        if (bearingInput) bearingInput.onchange = () => setTargetBearing(bearingInput.value);
+        const useHeading = el.querySelector('#signal-use-heading');
+        if (useHeading) {
+            useHeading.onclick = () => {
+                if (heading !== null) setTargetBearing(Math.round(heading));
+            };
+        }
+        const aimToggle = el.querySelector('#signal-aim-toggle');
+        if (aimToggle) {
+            aimToggle.onclick = async () => {
+                if (aiming) {
+                    stopAiming();
+                } else if (!(await startAiming())) {
+                    toast('Compass access denied', 'error');
+                }
+            };
+        }
+    }
+
+    // ==================== PUBLIC API ====================
+
+    return {
+        init,
+
+        // Player
+        start,
+        stop,
+        getStatus,
+
+        // Patterns
+        textToMorse,
+        buildTimeline,
+        getScheduleWindow,
+
+        // Signal mirror
+        getSunAzAlt,
+        getMirrorAim,
+        getAimState,
+        startAiming,
+        stopAiming,
+        setTargetBearing,
+
+        // Settings
+        getSettings,
+        updateSettings,
+
+        // SOS panel
+        renderSection,
+        attachSectionListeners,
+
+        PATTERNS,
+        SCHEDULES
+    };
+})();
+
+window.SignalingModule = SignalingModule;
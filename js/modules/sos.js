@@ -110,14 +110,14 @@ const SOSModule = (function() {
             name: 'Visual Signals',
             icon: '🔦',
             status: 'available',
-            description: 'Mirror, light, smoke'
+            description: 'Strobe, Morse light, mirror'
         },
         audio: {
             id: 'audio',
             name: 'Audio Signals',
             icon: '📢',
             status: 'available',
-            description: 'Whistle, horn, voice'
+            description: 'Whistle tones, Morse audio'
         }
     };
 
@@ -1272,6 +1272,12 @@ const SOSModule = (function() {
         
         html += `<div class="divider"></div>`;
         
+        // Dead-Man Switch
+        if (typeof DeadManModule !== 'undefined') {
+            html += `<div id="deadman-section">${DeadManModule.renderSection()}</div>`;
+            html += `<div class="divider"></div>`;
+        }
+        
         // Emergency Contacts
         html += `
             <div class="section-label">📞 Emergency Contacts</div>
@@ -1302,6 +1308,11 @@ const SOSModule = (function() {
         
         html += `<div class="divider"></div>`;
         
+        // Signal Tools (strobe, tone, mirror)
+        if (typeof SignalingModule !== 'undefined') {
+            html += `<div id="signaling-section">${SignalingModule.renderSection()}</div>`;
+        }
+        
         // Signal Reference (collapsible)
         html += `
             <details style="margin-bottom:16px">
@@ -1369,6 +1380,13 @@ const SOSModule = (function() {
      * Attach panel event listeners
      */
     function attachPanelListeners(container) {
+        if (typeof DeadManModule !== 'undefined') {
+            DeadManModule.attachSectionListeners(container.querySelector('#deadman-section'));
+        }
+        if (typeof SignalingModule !== 'undefined') {
+            SignalingModule.attachSectionListeners(container.querySelector('#signaling-section'));
+        }
+        
         // Quick SOS button
         const quickSOS = container.querySelector('#quick-sos-btn');
         if (quickSOS) {
@@ -1723,6 +1741,7 @@ const SOSModule = (function() {
         
         // Broadcast control
         sendEmergencySignal,    // Manually trigger a broadcast
+        addSignalLog,           // Lets signal tools record their use
         getBroadcastCount: () => state.broadcastCount,
         getLastBroadcast: () => state.lastBroadcast,
         isBroadcasting: () => state.broadcastInterval !== null,
@@ -15,10 +15,12 @@
  * XML protocol for interoperability purposes.
  * 
  * Features:
- * - WebSocket connection to CoT Bridge
+ * - WebSocket connection to CoT Bridge or any CoT-over-WebSocket source
+ * - Native CoT XML parsing and generation (PLI, markers, routes, shapes, GeoChat)
  * - Display CoT PLI (positions) as team members
- * - Display CoT markers as waypoints
+ * - Display CoT markers, routes and drawn shapes
  * - Display CoT GeoChat messages
+ * - Import/export ATAK Data Packages (.zip with CoT, KML and attachments)
  * - Auto-reconnect on disconnect
  * - Connection status indicator
  * 
@@ -45,12 +47,24 @@ const TAKModule = (function() {
         // Data
         positions: new Map(),      // uid -> position data
         markers: new Map(),        // uid -> marker data
+        routes: new Map(),         // uid -> CoT route (b-m-r)
+        shapes: new Map(),         // uid -> CoT drawn shape (u-d-*)
         messages: [],              // Chat messages
+        xmlBuffer: '',             // Partial CoT XML between messages
+        detectedFormat: null,      // 'json' (bridge) or 'xml' (plain CoT), from traffic
         
         // Settings
         enabled: false,
         showOnMap: true,
         showInTeam: true,
+        wireFormat: 'auto',        // 'auto', 'json' or 'xml'
+        
+        // Two-way sync of waypoints, routes and areas
+        syncLinks: new Map(),      // takUid -> { kind, id, type, hash, sentAt }
+        pendingDeletes: new Map(), // takUid -> CoT type, sent on reconnect
+        syncAcceptRoutes: true,    // Add routes drawn in ATAK to GridDown
+        syncStaleMs: 10 * 60 * 1000,
+        syncUnsubscribe: null,
         
         // Bidirectional sharing
         sharingEnabled: false,
@@ -67,6 +81,8 @@ const TAKModule = (function() {
             markersReceived: 0,
             messagesReceived: 0,
             positionsSent: 0,
+            itemsSent: 0,
+            itemsUpdated: 0,
             lastUpdate: null,
             lastTransmit: null
         },
@@ -85,6 +101,32 @@ const TAKModule = (function() {
     const RECONNECT_DELAYS = [1000, 2000, 5000, 10000, 30000]; // ms
     const MAX_MESSAGES = 100;
     const POSITION_STALE_MS = 5 * 60 * 1000; // 5 minutes
+    const DEFAULT_STALE_MS = 5 * 60 * 1000;
+    const ARCHIVE_STALE_MS = 365 * 24 * 60 * 60 * 1000; // Persistent markers
+    const MAX_XML_BUFFER = 256 * 1024;
+    const UNKNOWN_HAE = 9999999; // CoT "unknown" for hae/ce/le
+    
+    // CoT event types generated and recognised
+    const COT_TYPES = {
+        SELF: 'a-f-G-U-C',
+        SPOT: 'b-m-p-s-m',
+        WAYPOINT: 'b-m-p-w',
+        ROUTE: 'b-m-r',
+        CHAT: 'b-t-f',
+        FREEFORM: 'u-d-f',
+        RECTANGLE: 'u-d-r',
+        CIRCLE: 'u-d-c-c',
+        DELETE: 't-x-d-d'
+    };
+    
+    // Data Package attachments that become waypoint photos
+    const IMAGE_TYPES = {
+        jpg: 'image/jpeg',
+        jpeg: 'image/jpeg',
+        png: 'image/png',
+        gif: 'image/gif',
+        webp: 'image/webp'
+    };
     
     // TAK Team colors
     const TEAM_COLORS = {
@@ -114,6 +156,7 @@ const TAKModule = (function() {
         'a-u-G': '❔',           // Unknown ground
         'b-m-p-w': '📍',         // Waypoint
         'b-m-p-s-p-i': '📍',     // Point of interest
+        'b-m-p-s-m': '📍',       // Spot map marker
         'b-m-r': '🔀',           // Route
     };
     
@@ -124,16 +167,24 @@ const TAKModule = (function() {
     function init() {
         console.log('TAKModule initializing...');
         
-        // Load saved settings
+        // Load saved settings and sync links
         loadSettings();
+        loadSyncState();
         
         // Auto-connect if enabled and URL saved
         if (state.enabled && state.bridgeUrl) {
             connect(state.bridgeUrl);
         }
         
-        // Set up periodic cleanup
-        setInterval(cleanupStalePositions, 60000);
+        // Publish edits to waypoints, routes and areas linked to TAK
+        ensureSyncSubscription();
+        
+        // Set up periodic cleanup and sync refresh
+        setInterval(() => {
+            cleanupStalePositions();
+            cleanupStaleItems();
+            refreshSyncedItems();
+        }, 60000);
         
         console.log('TAKModule initialized');
     }
@@ -151,6 +202,9 @@ const TAKModule = (function() {
                 state.myCallsign = settings.myCallsign || 'GridDown';
                 state.myTeam = settings.myTeam || 'Cyan';
                 state.sharingIntervalMs = settings.sharingIntervalMs || 30000;
+                state.wireFormat = settings.wireFormat || 'auto';
+                state.syncAcceptRoutes = settings.syncAcceptRoutes !== false;
+                state.syncStaleMs = settings.syncStaleMs || state.syncStaleMs;
             }
             
             // Generate unique UID if not set
@@ -172,13 +226,44 @@ const TAKModule = (function() {
                 sharingConsented: state.sharingConsented,
                 myCallsign: state.myCallsign,
                 myTeam: state.myTeam,
-                sharingIntervalMs: state.sharingIntervalMs
+                sharingIntervalMs: state.sharingIntervalMs,
+                wireFormat: state.wireFormat,
+                syncAcceptRoutes: state.syncAcceptRoutes,
+                syncStaleMs: state.syncStaleMs
             }));
         } catch (e) {
             console.warn('Failed to save CoT settings:', e);
         }
     }
     
+    /**
+     * Sync links and queued deletes survive a reload, so an item deleted while
+     * offline is still removed in TAK once the link is back
+     */
+    function loadSyncState() {
+        try {
+            const saved = localStorage.getItem('griddown_cot_sync');
+            if (saved) {
+                const sync = JSON.parse(saved);
+                state.syncLinks = new Map(sync.links || []);
+                state.pendingDeletes = new Map(sync.pendingDeletes || []);
+            }
+        } catch (e) {
+            console.warn('Failed to load CoT sync links:', e);
+        }
+    }
+    
+    function saveSyncState() {
+        try {
+            localStorage.setItem('griddown_cot_sync', JSON.stringify({
+                links: [...state.syncLinks],
+                pendingDeletes: [...state.pendingDeletes]
+            }));
+        } catch (e) {
+            console.warn('Failed to save CoT sync links:', e);
+        }
+    }
+    
     // ==========================================================================
     // WEBSOCKET CONNECTION
     // ==========================================================================
@@ -253,6 +338,7 @@ const TAKModule = (function() {
         state.reconnectAttempts = 0;
         
         notifyConnectionChange();
+        resyncAll();
         
         // Show toast
         if (typeof ModalsModule !== 'undefined') {
@@ -280,8 +366,15 @@ const TAKModule = (function() {
     }
     
     function handleMessage(event) {
+        // Plain CoT sources send XML; the GridDown bridge sends JSON
+        if (typeof event.data === 'string' && (event.data.trimStart().startsWith('<') || state.xmlBuffer)) {
+            handleCoTXml(event.data);
+            return;
+        }
+        
         try {
             const message = JSON.parse(event.data);
+            state.detectedFormat = 'json';
             
             switch (message.type) {
                 case 'snapshot':
@@ -492,6 +585,37 @@ const TAKModule = (function() {
         return markers;
     }
     
+    /**
+     * Get CoT routes received from the network
+     */
+    function getRoutes() {
+        return Array.from(state.routes.values()).map(route => ({
+            id: route.id,
+            name: route.name,
+            points: route.points.map(p => ({ ...p })),
+            color: route.color,
+            remarks: route.remarks,
+            source: 'tak'
+        }));
+    }
+    
+    /**
+     * Get CoT drawn shapes received from the network
+     */
+    function getShapes() {
+        return Array.from(state.shapes.values()).map(shape => ({
+            id: shape.id,
+            name: shape.name,
+            type: shape.type,
+            points: shape.points.map(p => ({ ...p })),
+            closed: shape.closed,
+            color: shape.color,
+            fill: shape.fill,
+            remarks: shape.remarks,
+            source: 'tak'
+        }));
+    }
+    
     /**
      * Get chat messages
      */
@@ -510,7 +634,11 @@ const TAKModule = (function() {
             enabled: state.enabled,
             positionCount: state.positions.size,
             markerCount: state.markers.size,
+            routeCount: state.routes.size,
+            shapeCount: state.shapes.size,
             messageCount: state.messages.length,
+            wireFormat: state.wireFormat,
+            detectedFormat: state.detectedFormat,
             stats: { ...state.stats }
         };
     }
@@ -557,6 +685,92 @@ const TAKModule = (function() {
         return '👤';
     }
     
+    function escapeXml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+    
+    /**
+     * CoT colors are signed 32-bit ARGB integers (e.g. -1 = opaque white)
+     */
+    function argbToHex(value) {
+        const n = parseInt(value, 10);
+        if (!isFinite(n)) return null;
+        return '#' + ((n >>> 0) & 0xFFFFFF).toString(16).padStart(6, '0');
+    }
+    
+    function hexToArgb(hex, alpha = 255) {
+        const rgb = parseInt(String(hex).replace('#', ''), 16);
+        if (!isFinite(rgb)) return -1;
+        return ((alpha & 0xFF) << 24) | (rgb & 0xFFFFFF);
+    }
+    
+    // GridDown legacy map coordinates (same projection as GPX/KML import)
+    function lonToX(lon) {
+        return 50 + (lon + 119.1892) / 0.004;
+    }
+    
+    function latToY(lat) {
+        return 50 + (lat - 37.4215) / 0.002;
+    }
+    
+    function haversineMiles(a, b) {
+        const R = 3958.8;
+        const dLat = (b.lat - a.lat) * Math.PI / 180;
+        const dLon = (b.lon - a.lon) * Math.PI / 180;
+        const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(a.lat * Math.PI / 180) * Math.cos(b.lat * Math.PI / 180) * Math.sin(dLon / 2) ** 2;
+        return 2 * R * Math.asin(Math.sqrt(h));
+    }
+    
+    function bytesToBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+    
+    function base64ToBytes(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+    
+    function safeFilename(name) {
+        return String(name).replace(/[^a-z0-9_\-]+/gi, '_').replace(/^_+|_+$/g, '') || 'package';
+    }
+    
+    /**
+     * Drop CoT markers, routes and shapes past their stale time.
+     * Linked GridDown items are kept; only an explicit delete removes them.
+     */
+    function cleanupStaleItems() {
+        const now = Date.now();
+        let removed = 0;
+        
+        [state.markers, state.routes, state.shapes].forEach(map => {
+            map.forEach((item, uid) => {
+                if (item.stale && item.stale < now) {
+                    map.delete(uid);
+                    removed++;
+                }
+            });
+        });
+        
+        if (removed > 0) {
+            console.log(`CoT: Removed ${removed} stale markers/shapes`);
+            notifyMarkerUpdate();
+        }
+    }
+    
     function cleanupStalePositions() {
         const now = Date.now();
         let removed = 0;
@@ -644,6 +858,43 @@ const TAKModule = (function() {
         const positions = getPositions();
         const markers = getMarkers();
         
+        // Shapes and routes underneath everything else
+        state.shapes.forEach(shape => {
+            const pixels = shape.points.map(p => latLonToPixel(p.lat, p.lon)).filter(Boolean);
+            if (pixels.length < 2) return;
+            
+            ctx.beginPath();
+            pixels.forEach((px, i) => (i === 0 ? ctx.moveTo(px.x, px.y) : ctx.lineTo(px.x, px.y)));
+            if (shape.closed) {
+                ctx.closePath();
+                ctx.fillStyle = (shape.fill || shape.color || '#f97316') + '33';
+                ctx.fill();
+            }
+            ctx.strokeStyle = shape.color || '#f97316';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        });
+        
+        state.routes.forEach(route => {
+            const pixels = route.points.map(p => latLonToPixel(p.lat, p.lon)).filter(Boolean);
+            if (pixels.length < 2) return;
+            
+            ctx.beginPath();
+            pixels.forEach((px, i) => (i === 0 ? ctx.moveTo(px.x, px.y) : ctx.lineTo(px.x, px.y)));
+            ctx.strokeStyle = route.color || '#3b82f6';
+            ctx.lineWidth = 3;
+            ctx.setLineDash([8, 4]);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            
+            if (zoom >= 10) {
+                ctx.font = '10px system-ui';
+                ctx.fillStyle = '#fff';
+                ctx.textAlign = 'center';
+                ctx.fillText(route.name, pixels[0].x, pixels[0].y - 10);
+            }
+        });
+        
         // Render markers first (below positions)
         markers.forEach(marker => {
             const pixel = latLonToPixel(marker.lat, marker.lon);
@@ -770,10 +1021,14 @@ const TAKModule = (function() {
         };
         
         try {
-            state.websocket.send(JSON.stringify({
-                type: 'position',
-                payload: payload
-            }));
+            if (getWireFormat() === 'xml') {
+                state.websocket.send(buildPositionEvent(payload));
+            } else {
+                state.websocket.send(JSON.stringify({
+                    type: 'position',
+                    payload: payload
+                }));
+            }
             
             state.stats.positionsSent++;
             state.stats.lastTransmit = Date.now();
@@ -926,6 +1181,1189 @@ const TAKModule = (function() {
         saveSettings();
     }
     
+    // ==========================================================================
+    // COT XML
+    // ==========================================================================
+    
+    /**
+     * Pull complete <event> elements out of the receive buffer. CoT sources
+     * may send several events per message or split one across messages.
+     */
+    function extractCoTEvents(text) {
+        state.xmlBuffer += text;
+        const events = [];
+        const pattern = /<event\b[^>]*\/>|<event\b[\s\S]*?<\/event>/g;
+        let match;
+        let consumed = 0;
+        while ((match = pattern.exec(state.xmlBuffer)) !== null) {
+            events.push(match[0]);
+            consumed = pattern.lastIndex;
+        }
+        state.xmlBuffer = state.xmlBuffer.slice(consumed);
+        if (state.xmlBuffer.length > MAX_XML_BUFFER) {
+            state.xmlBuffer = '';
+        }
+        return events;
+    }
+    
+    /**
+     * Handle CoT XML received over the WebSocket
+     */
+    function handleCoTXml(text) {
+        if (state.detectedFormat !== 'xml') {
+            state.detectedFormat = 'xml';
+            resyncAll();
+        }
+        const xml = extractCoTEvents(text).join('');
+        if (!xml) return;
+        
+        try {
+            applyCoTItems(parseCoT(xml));
+        } catch (e) {
+            console.error('CoT: Failed to parse XML:', e);
+        }
+    }
+    
+    /**
+     * Parse one or more CoT <event> elements
+     * @param {string} xml - CoT XML (declarations and multiple events allowed)
+     * @returns {Array} Items: { kind: position|marker|route|shape|chat|delete, data }
+     */
+    function parseCoT(xml) {
+        const body = String(xml).replace(/<\?xml[^>]*\?>/g, '');
+        const doc = new DOMParser().parseFromString(`<cot>${body}</cot>`, 'application/xml');
+        if (doc.querySelector('parsererror')) {
+            throw new Error('Invalid CoT XML');
+        }
+        return Array.from(doc.getElementsByTagName('event'))
+            .map(readCoTEvent)
+            .filter(Boolean);
+    }
+    
+    /**
+     * Convert a CoT <event> element to a GridDown item
+     */
+    function readCoTEvent(event) {
+        const uid = event.getAttribute('uid');
+        const type = event.getAttribute('type') || '';
+        if (!uid) return null;
+        
+        const point = event.querySelector('point');
+        const detail = event.querySelector('detail');
+        const find = (selector) => (detail ? detail.querySelector(selector) : null);
+        const attr = (selector, name) => find(selector)?.getAttribute(name) ?? null;
+        
+        const lat = parseFloat(point?.getAttribute('lat'));
+        const lon = parseFloat(point?.getAttribute('lon'));
+        const hae = parseFloat(point?.getAttribute('hae'));
+        const time = Date.parse(event.getAttribute('time')) || Date.now();
+        const stale = Date.parse(event.getAttribute('stale')) || null;
+        const name = attr('contact', 'callsign') || uid;
+        const remarks = find('remarks')?.textContent.trim() || '';
+        const alt = isFinite(hae) && hae < UNKNOWN_HAE ? hae : null;
+        
+        // Delete request: the target is the linked uid
+        if (type === COT_TYPES.DELETE) {
+            const target = attr('link', 'uid');
+            return target ? { kind: 'delete', data: { id: target } } : null;
+        }
+        
+        // GeoChat
+        const chat = find('__chat');
+        if (type === COT_TYPES.CHAT || chat) {
+            return {
+                kind: 'chat',
+                data: {
+                    id: uid,
+                    from: chat?.getAttribute('senderCallsign') || name,
+                    text: remarks,
+                    chatroom: chat?.getAttribute('chatroom') || 'All Chat Rooms',
+                    time
+                }
+            };
+        }
+        
+        const links = detail
+            ? Array.from(detail.querySelectorAll('link[point]')).map(link => parseCoTPoint(link.getAttribute('point'))).filter(Boolean)
+            : [];
+        
+        // Routes
+        if (type === COT_TYPES.ROUTE) {
+            if (links.length < 2) return null;
+            return {
+                kind: 'route',
+                data: { id: uid, name, type, points: links, color: argbToHex(attr('link_attr', 'color')), remarks, time, stale }
+            };
+        }
+        
+        // Drawn shapes
+        if (type.startsWith('u-d-')) {
+            let points = links;
+            const ellipse = find('shape ellipse');
+            if (ellipse && isFinite(lat) && isFinite(lon)) {
+                points = ellipsePoints(lat, lon,
+                    parseFloat(ellipse.getAttribute('major')),
+                    parseFloat(ellipse.getAttribute('minor')),
+                    parseFloat(ellipse.getAttribute('angle')) || 0);
+            }
+            if (points.length < 2) return null;
+            
+            const first = points[0], last = points[points.length - 1];
+            const closed = type !== COT_TYPES.FREEFORM || (points.length > 2 && first.lat === last.lat && first.lon === last.lon);
+            if (closed && first.lat === last.lat && first.lon === last.lon) points = points.slice(0, -1);
+            
+            return {
+                kind: 'shape',
+                data: {
+                    id: uid, name, type, points, closed,
+                    color: argbToHex(attr('strokeColor', 'value')),
+                    fill: argbToHex(attr('fillColor', 'value')),
+                    remarks, time, stale
+                }
+            };
+        }
+        
+        if (!isFinite(lat) || !isFinite(lon)) return null;
+        
+        // Units (PLI)
+        if (type.startsWith('a-')) {
+            const speed = parseFloat(attr('track', 'speed'));
+            const course = parseFloat(attr('track', 'course'));
+            const battery = parseFloat(attr('status', 'battery'));
+            return {
+                kind: 'position',
+                data: {
+                    id: uid, name, lat, lon, alt, type,
+                    speed: isFinite(speed) ? speed : 0,
+                    course: isFinite(course) ? course : undefined,
+                    team: attr('__group', 'name') || '',
+                    role: attr('__group', 'role') || '',
+                    battery: isFinite(battery) ? battery : undefined,
+                    lastUpdate: time,
+                    stale
+                }
+            };
+        }
+        
+        // Everything else with a point is a marker
+        return {
+            kind: 'marker',
+            data: { id: uid, name, lat, lon, alt, type, remarks, color: argbToHex(attr('color', 'argb')), time, stale }
+        };
+    }
+    
+    /**
+     * Parse a CoT link point ("lat,lon" or "lat,lon,hae")
+     */
+    function parseCoTPoint(text) {
+        const [lat, lon] = String(text || '').split(',').map(parseFloat);
+        return isFinite(lat) && isFinite(lon) ? { lat, lon } : null;
+    }
+    
+    /**
+     * Approximate a CoT ellipse (meters) as a polygon
+     */
+    function ellipsePoints(lat, lon, major, minor, angleDeg, segments = 36) {
+        if (!(major > 0)) return [];
+        const b = minor > 0 ? minor : major;
+        const rot = angleDeg * Math.PI / 180;
+        const mPerDegLat = 111320;
+        const mPerDegLon = 111320 * Math.cos(lat * Math.PI / 180);
+        const points = [];
+        for (let i = 0; i < segments; i++) {
+            const t = (i / segments) * Math.PI * 2;
+            const x = major * Math.cos(t), y = b * Math.sin(t);
+            // angle is clockwise from north
+            const east = x * Math.sin(rot) + y * Math.cos(rot);
+            const north = x * Math.cos(rot) - y * Math.sin(rot);
+            points.push({ lat: lat + north / mPerDegLat, lon: lon + east / mPerDegLon });
+        }
+        return points;
+    }
+    
+    /**
+     * Merge parsed CoT items into the live picture
+     */
+    function applyCoTItems(items) {
+        const now = Date.now();
+        let positions = false, markers = false;
+        
+        items.forEach(item => {
+            const { kind, data } = item;
+            
+            // Already expired on arrival
+            if (data.stale && data.stale < now) return;
+            
+            // Linked GridDown items (and new ATAK routes) go to State instead of the overlay
+            if (applySyncItem(item)) return;
+            
+            switch (kind) {
+                case 'position':
+                    state.positions.set(data.id, { ...data, receivedAt: now });
+                    state.stats.positionsReceived++;
+                    positions = true;
+                    break;
+                case 'marker':
+                    state.markers.set(data.id, { ...data, receivedAt: now });
+                    state.stats.markersReceived++;
+                    markers = true;
+                    break;
+                case 'route':
+                    state.routes.set(data.id, { ...data, receivedAt: now });
+                    markers = true;
+                    break;
+                case 'shape':
+                    state.shapes.set(data.id, { ...data, receivedAt: now });
+                    markers = true;
+                    break;
+                case 'chat':
+                    state.messages.push({ ...data, receivedAt: now });
+                    if (state.messages.length > MAX_MESSAGES) {
+                        state.messages = state.messages.slice(-MAX_MESSAGES);
+                    }
+                    state.stats.messagesReceived++;
+                    notifyMessageReceived(data);
+                    break;
+                case 'delete':
+                    positions = state.positions.delete(data.id) || positions;
+                    markers = [state.markers, state.routes, state.shapes].some(map => map.delete(data.id)) || markers;
+                    break;
+            }
+        });
+        
+        if (items.length > 0) state.stats.lastUpdate = now;
+        if (positions) notifyPositionUpdate();
+        if (markers) notifyMarkerUpdate();
+        if ((positions || markers) && typeof MapModule !== 'undefined') {
+            MapModule.render();
+        }
+    }
+    
+    /**
+     * Build a CoT event
+     * @param {Object} opts - { uid, type, lat, lon, hae, how, staleMs, detail (inner XML) }
+     */
+    function buildCoTEvent({ uid, type, lat, lon, hae, how = 'h-e', staleMs = DEFAULT_STALE_MS, detail = '' }) {
+        const now = new Date();
+        const time = now.toISOString();
+        const stale = new Date(now.getTime() + staleMs).toISOString();
+        const alt = typeof hae === 'number' && isFinite(hae) ? hae : UNKNOWN_HAE;
+        return `<event version="2.0" uid="${escapeXml(uid)}" type="${escapeXml(type)}" how="${how}" time="${time}" start="${time}" stale="${stale}">` +
+            `<point lat="${(+lat).toFixed(7)}" lon="${(+lon).toFixed(7)}" hae="${alt}" ce="${UNKNOWN_HAE}" le="${UNKNOWN_HAE}"/>` +
+            `<detail>${detail}</detail></event>`;
+    }
+    
+    /**
+     * Self-position (PLI) event
+     */
+    function buildPositionEvent(pos) {
+        return buildCoTEvent({
+            uid: state.myUid,
+            type: COT_TYPES.SELF,
+            lat: pos.lat,
+            lon: pos.lon,
+            hae: pos.alt,
+            how: 'm-g',
+            staleMs: Math.max(state.sharingIntervalMs * 3, 60000),
+            detail: `<contact callsign="${escapeXml(state.myCallsign)}"/>` +
+                `<__group name="${escapeXml(state.myTeam)}" role="Team Member"/>` +
+                `<track speed="${(pos.speed || 0).toFixed(1)}" course="${(pos.course || 0).toFixed(1)}"/>` +
+                `<takv platform="GridDown" device="browser"/>`
+        });
+    }
+    
+    /**
+     * Waypoint as a spot map marker (b-m-p-s-m)
+     * @param {Object} options - { staleMs, archive } - live-synced items use a short stale time and no archive flag
+     */
+    function buildMarkerEvent(wp, uid = wp.takUid || `griddown-wp-${wp.id}`, { staleMs = ARCHIVE_STALE_MS, archive = true } = {}) {
+        return buildCoTEvent({
+            uid,
+            type: COT_TYPES.SPOT,
+            lat: wp.lat,
+            lon: wp.lon,
+            hae: typeof wp.elevation === 'number' ? wp.elevation : undefined,
+            staleMs,
+            detail: `<contact callsign="${escapeXml(wp.name || 'Waypoint')}"/>` +
+                `<color argb="${hexToArgb(wp.color || '#f97316')}"/>` +
+                (wp.notes ? `<remarks>${escapeXml(wp.notes)}</remarks>` : '<remarks/>') +
+                (archive ? '<archive/>' : '')
+        });
+    }
+    
+    /**
+     * Route as a CoT route (b-m-r) with one waypoint link per point
+     */
+    function buildRouteEvent(route, uid = route.takUid || `griddown-rt-${route.id}`, { staleMs = ARCHIVE_STALE_MS, archive = true } = {}) {
+        const points = (route.points || []).filter(p => typeof p.lat === 'number' && typeof p.lon === 'number');
+        if (points.length < 2) return null;
+        
+        const links = points.map((p, i) =>
+            `<link uid="${escapeXml(uid)}.${i}" callsign="${escapeXml(p.name || (i === 0 ? 'SP' : i === points.length - 1 ? 'VDO' : 'CP' + i))}" type="${COT_TYPES.WAYPOINT}" point="${p.lat.toFixed(7)},${p.lon.toFixed(7)}" relation="c"/>`
+        ).join('');
+        
+        return buildCoTEvent({
+            uid,
+            type: COT_TYPES.ROUTE,
+            lat: points[0].lat,
+            lon: points[0].lon,
+            staleMs,
+            detail: links +
+                `<link_attr color="${hexToArgb(route.color || '#3b82f6')}" method="Walking" direction="Infil" routetype="Primary" order="Ascending Check Points"/>` +
+                `<contact callsign="${escapeXml(route.name || 'Route')}"/>` +
+                (route.notes ? `<remarks>${escapeXml(route.notes)}</remarks>` : '<remarks/>') +
+                '<__routeinfo><__navcues/></__routeinfo>' + (archive ? '<archive/>' : '')
+        });
+    }
+    
+    /**
+     * Area as a closed freeform shape (u-d-f)
+     */
+    function buildShapeEvent(area, uid = area.takUid || `griddown-area-${area.id}`, { staleMs = ARCHIVE_STALE_MS, archive = true } = {}) {
+        const points = (area.points || []).filter(p => typeof p.lat === 'number' && typeof p.lon === 'number');
+        if (points.length < 3) return null;
+        
+        const ring = [...points, points[0]];
+        const center = {
+            lat: points.reduce((s, p) => s + p.lat, 0) / points.length,
+            lon: points.reduce((s, p) => s + p.lon, 0) / points.length
+        };
+        const color = area.color || '#f97316';
+        const fillAlpha = Math.round((typeof area.fillOpacity === 'number' ? area.fillOpacity : 0.2) * 255);
+        
+        return buildCoTEvent({
+            uid,
+            type: COT_TYPES.FREEFORM,
+            lat: center.lat,
+            lon: center.lon,
+            staleMs,
+            detail: ring.map(p => `<link point="${p.lat.toFixed(7)},${p.lon.toFixed(7)}"/>`).join('') +
+                `<strokeColor value="${hexToArgb(color)}"/><strokeWeight value="3.0"/>` +
+                `<fillColor value="${hexToArgb(area.fill || color, fillAlpha)}"/>` +
+                `<contact callsign="${escapeXml(area.name || 'Area')}"/>` +
+                (area.notes ? `<remarks>${escapeXml(area.notes)}</remarks>` : '<remarks/>') +
+                '<labels_on value="true"/>' + (archive ? '<archive/>' : '')
+        });
+    }
+    
+    /**
+     * GeoChat message to All Chat Rooms
+     */
+    function buildChatEvent(text, chatroom = 'All Chat Rooms') {
+        const messageId = Math.random().toString(36).substring(2, 12);
+        const gps = typeof GPSModule !== 'undefined' ? GPSModule.getState() : null;
+        return buildCoTEvent({
+            uid: `GeoChat.${state.myUid}.${chatroom}.${messageId}`,
+            type: COT_TYPES.CHAT,
+            lat: gps?.lat || 0,
+            lon: gps?.lon || 0,
+            how: 'h-g-i-g-o',
+            staleMs: 24 * 60 * 60 * 1000,
+            detail: `<__chat parent="RootContactGroup" groupOwner="false" messageId="${messageId}" chatroom="${escapeXml(chatroom)}" id="${escapeXml(chatroom)}" senderCallsign="${escapeXml(state.myCallsign)}">` +
+                `<chatgrp uid0="${escapeXml(state.myUid)}" uid1="${escapeXml(chatroom)}" id="${escapeXml(chatroom)}"/></__chat>` +
+                `<link uid="${escapeXml(state.myUid)}" type="${COT_TYPES.SELF}" relation="p-p"/>` +
+                `<remarks source="BAO.F.ATAK.${escapeXml(state.myUid)}" to="${escapeXml(chatroom)}" time="${new Date().toISOString()}">${escapeXml(text)}</remarks>`
+        });
+    }
+    
+    /**
+     * Wire format for outgoing data: 'xml' for plain CoT sources, 'json' for the GridDown bridge
+     */
+    function getWireFormat() {
+        if (state.wireFormat !== 'auto') return state.wireFormat;
+        return state.detectedFormat || 'json';
+    }
+    
+    /**
+     * Send a GeoChat message (CoT XML connections only; the bridge JSON protocol has no chat upload)
+     */
+    function sendChat(text) {
+        const body = String(text || '').trim();
+        if (!state.isConnected || !body || getWireFormat() !== 'xml') return false;
+        
+        try {
+            state.websocket.send(buildChatEvent(body));
+            state.messages.push({ id: `local-${Date.now()}`, from: state.myCallsign, text: body, chatroom: 'All Chat Rooms', time: Date.now(), receivedAt: Date.now(), outgoing: true });
+            if (state.messages.length > MAX_MESSAGES) {
+                state.messages = state.messages.slice(-MAX_MESSAGES);
+            }
+            return true;
+        } catch (e) {
+            console.error('CoT: Failed to send chat:', e);
+            return false;
+        }
+    }
+    
+    /**
+     * Set the outgoing wire format
+     * @param {string} format - 'auto', 'json' or 'xml'
+     */
+    function setWireFormat(format) {
+        if (!['auto', 'json', 'xml'].includes(format)) {
+            throw new Error(`Unknown CoT wire format: ${format}`);
+        }
+        state.wireFormat = format;
+        saveSettings();
+        resyncAll();
+    }
+    
+    // ==========================================================================
+    // TWO-WAY SYNC
+    // ==========================================================================
+    
+    // GridDown collections that can be linked to CoT items. Linked items carry
+    // takSync: true and takUid, and are stored with the rest of the data.
+    const SYNC_KINDS = {
+        waypoint: {
+            stateKey: 'waypoints', type: COT_TYPES.SPOT, prefix: 'griddown-wp-',
+            actions: () => State.Waypoints, store: () => Storage.Waypoints, build: buildMarkerEvent
+        },
+        route: {
+            stateKey: 'routes', type: COT_TYPES.ROUTE, prefix: 'griddown-rt-',
+            actions: () => State.Routes, store: () => Storage.Routes, build: buildRouteEvent
+        },
+        area: {
+            stateKey: 'areas', type: COT_TYPES.FREEFORM, prefix: 'griddown-area-',
+            actions: () => State.Areas, store: () => Storage.Areas, build: buildShapeEvent
+        }
+    };
+    
+    /**
+     * Subscribe to State once so local edits and deletions are published
+     */
+    function ensureSyncSubscription() {
+        if (state.syncUnsubscribe || typeof State === 'undefined') return;
+        state.syncUnsubscribe = State.subscribe(handleSyncStateChange, ['waypoints', 'routes', 'areas']);
+    }
+    
+    /**
+     * Sync is carried as CoT XML; the bridge JSON protocol has no marker upload
+     */
+    function canSync() {
+        return state.isConnected && state.websocket && getWireFormat() === 'xml';
+    }
+    
+    /**
+     * All GridDown items currently linked to TAK
+     * @returns {Map} takUid -> { kind, item }
+     */
+    function getSyncedItems() {
+        const items = new Map();
+        if (typeof State === 'undefined') return items;
+        Object.entries(SYNC_KINDS).forEach(([kind, config]) => {
+            (State.get(config.stateKey) || []).forEach(item => {
+                if (item.takSync && item.takUid && !item.isBuilding) {
+                    items.set(item.takUid, { kind, item });
+                }
+            });
+        });
+        return items;
+    }
+    
+    /**
+     * Content that matters to the other side; coordinates rounded below CoT precision
+     */
+    function syncFingerprint(kind, item) {
+        const round = (v) => Math.round(v * 1e6) / 1e6;
+        const points = kind === 'waypoint'
+            ? [[round(item.lat), round(item.lon)]]
+            : (item.points || []).map(p => [round(p.lat), round(p.lon)]);
+        return JSON.stringify([item.name || '', item.notes || '', points]);
+    }
+    
+    /**
+     * Publish new and edited linked items, and deletes for unlinked ones
+     */
+    function handleSyncStateChange() {
+        const current = getSyncedItems();
+        
+        state.syncLinks.forEach((link, uid) => {
+            if (!current.has(uid)) {
+                state.syncLinks.delete(uid);
+                sendSyncDelete(uid, link.type);
+            }
+        });
+        
+        if (!canSync()) return;
+        
+        current.forEach(({ kind, item }, uid) => {
+            const link = state.syncLinks.get(uid);
+            if (!link || link.hash !== syncFingerprint(kind, item)) {
+                publishSyncItem(kind, item);
+            }
+        });
+    }
+    
+    /**
+     * Send one linked item with the sync stale time
+     */
+    function publishSyncItem(kind, item) {
+        const config = SYNC_KINDS[kind];
+        const xml = config.build(item, item.takUid, { staleMs: state.syncStaleMs, archive: false });
+        if (!xml) return false;
+        
+        try {
+            state.websocket.send(xml);
+            state.syncLinks.set(item.takUid, {
+                kind,
+                id: item.id,
+                type: config.type,
+                hash: syncFingerprint(kind, item),
+                sentAt: Date.now()
+            });
+            saveSyncState();
+            state.stats.itemsSent++;
+            return true;
+        } catch (e) {
+            console.error('CoT: Failed to publish synced item:', e);
+            return false;
+        }
+    }
+    
+    /**
+     * CoT delete request for a uid
+     */
+    function buildDeleteEvent(uid, type) {
+        return buildCoTEvent({
+            uid: `${uid}.delete`,
+            type: COT_TYPES.DELETE,
+            lat: 0,
+            lon: 0,
+            staleMs: 20000,
+            detail: `<link uid="${escapeXml(uid)}" relation="none" type="${escapeXml(type)}"/><__forcedelete/>`
+        });
+    }
+    
+    /**
+     * Delete a linked item on the TAK side, queueing it while offline
+     */
+    function sendSyncDelete(uid, type) {
+        if (!canSync()) {
+            state.pendingDeletes.set(uid, type);
+        } else {
+            try {
+                state.websocket.send(buildDeleteEvent(uid, type));
+                state.pendingDeletes.delete(uid);
+            } catch (e) {
+                console.error('CoT: Failed to send delete:', e);
+                state.pendingDeletes.set(uid, type);
+            }
+        }
+        saveSyncState();
+    }
+    
+    /**
+     * Push everything again (new connection, or the wire format became XML)
+     */
+    function resyncAll() {
+        if (!canSync()) return;
+        state.pendingDeletes.forEach((type, uid) => sendSyncDelete(uid, type));
+        state.syncLinks.forEach(link => { link.hash = null; });
+        handleSyncStateChange();
+    }
+    
+    /**
+     * Re-send linked items before TAK clients see them go stale
+     */
+    function refreshSyncedItems() {
+        if (!canSync()) return;
+        const now = Date.now();
+        state.syncLinks.forEach(link => {
+            if (now - link.sentAt > state.syncStaleMs / 2) link.hash = null;
+        });
+        handleSyncStateChange();
+    }
+    
+    /**
+     * Link or unlink a GridDown waypoint, route or area
+     * @param {string} kind - 'waypoint', 'route' or 'area'
+     * @param {string} id - GridDown item id
+     * @param {boolean} enabled - false sends a delete to TAK but keeps the local item
+     */
+    function setSync(kind, id, enabled) {
+        const config = SYNC_KINDS[kind];
+        if (!config) throw new Error(`Unknown sync kind: ${kind}`);
+        
+        const item = (State.get(config.stateKey) || []).find(i => i.id === id);
+        if (!item) return false;
+        
+        ensureSyncSubscription();
+        const updates = enabled
+            ? { takSync: true, takUid: item.takUid || `${config.prefix}${item.id}` }
+            : { takSync: false };
+        config.actions().update(id, updates, false);
+        config.store().save({ ...item, ...updates });
+        handleSyncStateChange();
+        notifySyncChange();
+        return true;
+    }
+    
+    /**
+     * Is a GridDown item linked to TAK?
+     */
+    function isSynced(kind, id) {
+        const config = SYNC_KINDS[kind];
+        const item = config && (State.get(config.stateKey) || []).find(i => i.id === id);
+        return !!(item && item.takSync);
+    }
+    
+    /**
+     * Apply an incoming CoT item to a linked GridDown item or, for new
+     * routes, create one. Returns true when the item was consumed.
+     */
+    function applySyncItem({ kind, data }) {
+        if (typeof State === 'undefined') return false;
+        
+        if (kind === 'delete') {
+            const linked = getSyncedItems().get(data.id);
+            if (!linked) return false;
+            removeSyncedItem(linked.kind, linked.item, data.id);
+            return true;
+        }
+        
+        if (kind !== 'marker' && kind !== 'route' && kind !== 'shape') return false;
+        
+        const linked = getSyncedItems().get(data.id);
+        if (!linked) {
+            if (kind === 'route' && state.syncAcceptRoutes) {
+                acceptRoute(data);
+                return true;
+            }
+            return false;
+        }
+        
+        const updates = syncUpdatesFor(linked.kind, kind, data, linked.item);
+        if (!updates) return false;
+        
+        const updated = { ...linked.item, ...updates };
+        const hash = syncFingerprint(linked.kind, updated);
+        const link = state.syncLinks.get(data.id);
+        if (link && link.hash === hash) return true; // Our own event echoed back
+        
+        // Record the new content first so the State change is not sent back
+        state.syncLinks.set(data.id, {
+            kind: linked.kind,
+            id: linked.item.id,
+            type: SYNC_KINDS[linked.kind].type,
+            hash,
+            sentAt: link ? link.sentAt : Date.now()
+        });
+        saveSyncState();
+        SYNC_KINDS[linked.kind].actions().update(linked.item.id, updates, false);
+        SYNC_KINDS[linked.kind].store().save(updated);
+        state.stats.itemsUpdated++;
+        notifySyncChange();
+        return true;
+    }
+    
+    /**
+     * Field updates for a linked item from the matching CoT item
+     */
+    function syncUpdatesFor(localKind, cotKind, data, existing) {
+        if (localKind === 'waypoint' && cotKind === 'marker') {
+            const wp = cotToWaypoint(data);
+            return {
+                name: wp.name, notes: wp.notes, lat: wp.lat, lon: wp.lon, x: wp.x, y: wp.y,
+                ...(wp.elevation !== null ? { elevation: wp.elevation } : {})
+            };
+        }
+        if (localKind === 'route' && (cotKind === 'route' || (cotKind === 'shape' && !data.closed))) {
+            const route = cotToRoute(data);
+            return {
+                name: route.name,
+                notes: route.notes,
+                distance: route.distance,
+                points: route.points.map((p, i) => ({ ...p, terrain: existing.points?.[i]?.terrain || p.terrain }))
+            };
+        }
+        if (localKind === 'area' && cotKind === 'shape' && data.closed) {
+            const area = cotToArea(data);
+            return {
+                name: area.name,
+                notes: area.notes,
+                points: area.points,
+                ...(area.color ? { color: area.color } : {}),
+                updatedAt: new Date().toISOString()
+            };
+        }
+        return null;
+    }
+    
+    /**
+     * New route from TAK: add it to GridDown, already linked
+     */
+    function acceptRoute(data) {
+        const route = { ...cotToRoute(data), takSync: true, duration: '0h', elevation: '0' };
+        
+        ensureSyncSubscription();
+        state.syncLinks.set(data.id, {
+            kind: 'route',
+            id: route.id,
+            type: COT_TYPES.ROUTE,
+            hash: syncFingerprint('route', route),
+            sentAt: Date.now()
+        });
+        saveSyncState();
+        State.Routes.add(route);
+        Storage.Routes.save(route);
+        state.stats.itemsUpdated++;
+        
+        if (typeof ModalsModule !== 'undefined') {
+            ModalsModule.showToast(`🔀 TAK route received: ${route.name}`, 'success');
+        }
+        notifySyncChange();
+    }
+    
+    /**
+     * Linked item deleted on the TAK side
+     */
+    function removeSyncedItem(kind, item, uid) {
+        state.syncLinks.delete(uid);
+        state.pendingDeletes.delete(uid);
+        saveSyncState();
+        SYNC_KINDS[kind].actions().remove(item.id, false);
+        SYNC_KINDS[kind].store().delete(item.id);
+        
+        if (typeof ModalsModule !== 'undefined') {
+            ModalsModule.showToast(`🗑️ "${item.name}" was deleted in TAK`, 'info');
+        }
+        notifySyncChange();
+    }
+    
+    /**
+     * Configure sync behaviour
+     * @param {Object} options - { acceptRoutes, staleMinutes }
+     */
+    function configureSync(options = {}) {
+        if (typeof options.acceptRoutes === 'boolean') {
+            state.syncAcceptRoutes = options.acceptRoutes;
+        }
+        if (options.staleMinutes !== undefined) {
+            const minutes = parseInt(options.staleMinutes, 10);
+            if (!(minutes >= 2 && minutes <= 1440)) {
+                throw new Error('Stale time must be between 2 and 1440 minutes');
+            }
+            state.syncStaleMs = minutes * 60 * 1000;
+        }
+        saveSettings();
+        notifySyncChange();
+    }
+    
+    /**
+     * Sync status for the panel
+     */
+    function getSyncStatus() {
+        const counts = { waypoint: 0, route: 0, area: 0 };
+        getSyncedItems().forEach(({ kind }) => { counts[kind]++; });
+        return {
+            available: canSync(),
+            acceptRoutes: state.syncAcceptRoutes,
+            staleMinutes: Math.round(state.syncStaleMs / 60000),
+            waypoints: counts.waypoint,
+            routes: counts.route,
+            areas: counts.area,
+            pendingDeletes: state.pendingDeletes.size,
+            itemsSent: state.stats.itemsSent,
+            itemsUpdated: state.stats.itemsUpdated
+        };
+    }
+    
+    function notifySyncChange() {
+        if (typeof Events !== 'undefined') {
+            Events.emit('tak:sync_changed', getSyncStatus());
+        }
+    }
+    
+    // ==========================================================================
+    // DATA PACKAGES
+    // ==========================================================================
+    
+    let crcTable = null;
+    
+    /**
+     * CRC-32 as used by ZIP
+     */
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+    
+    /**
+     * Build an uncompressed (stored) ZIP archive
+     * @param {Array} files - [{ name, data: Uint8Array | string }]
+     * @returns {Uint8Array}
+     */
+    function buildZip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+        
+        const locals = [];
+        const centrals = [];
+        let offset = 0;
+        
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+            const crc = crc32(data);
+            
+            const local = new Uint8Array(30 + name.length);
+            const lv = new DataView(local.buffer);
+            lv.setUint32(0, 0x04034b50, true);
+            lv.setUint16(4, 20, true);              // version needed
+            lv.setUint16(6, 0x0800, true);          // UTF-8 names
+            lv.setUint16(8, 0, true);               // stored
+            lv.setUint16(10, dosTime, true);
+            lv.setUint16(12, dosDate, true);
+            lv.setUint32(14, crc, true);
+            lv.setUint32(18, data.length, true);
+            lv.setUint32(22, data.length, true);
+            lv.setUint16(26, name.length, true);
+            local.set(name, 30);
+            
+            const central = new Uint8Array(46 + name.length);
+            const cv = new DataView(central.buffer);
+            cv.setUint32(0, 0x02014b50, true);
+            cv.setUint16(4, 20, true);              // version made by
+            cv.setUint16(6, 20, true);
+            cv.setUint16(8, 0x0800, true);
+            cv.setUint16(10, 0, true);
+            cv.setUint16(12, dosTime, true);
+            cv.setUint16(14, dosDate, true);
+            cv.setUint32(16, crc, true);
+            cv.setUint32(20, data.length, true);
+            cv.setUint32(24, data.length, true);
+            cv.setUint16(28, name.length, true);
+            cv.setUint32(42, offset, true);
+            central.set(name, 46);
+            
+            locals.push(local, data);
+            centrals.push(central);
+            offset += local.length + data.length;
+        });
+        
+        const centralSize = centrals.reduce((s, c) => s + c.length, 0);
+        const end = new Uint8Array(22);
+        const ev = new DataView(end.buffer);
+        ev.setUint32(0, 0x06054b50, true);
+        ev.setUint16(8, files.length, true);
+        ev.setUint16(10, files.length, true);
+        ev.setUint32(12, centralSize, true);
+        ev.setUint32(16, offset, true);
+        
+        const parts = [...locals, ...centrals, end];
+        const zip = new Uint8Array(parts.reduce((s, p) => s + p.length, 0));
+        let pos = 0;
+        parts.forEach(p => { zip.set(p, pos); pos += p.length; });
+        return zip;
+    }
+    
+    /**
+     * List the entries of a ZIP archive from its central directory
+     * @returns {Array} [{ name, method, size, data }] - data is still compressed
+     */
+    function readZipEntries(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        
+        let eocd = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+        }
+        if (eocd === -1) throw new Error('Not a ZIP file');
+        
+        const count = view.getUint16(eocd + 10, true);
+        let ptr = view.getUint32(eocd + 16, true);
+        if (ptr === 0xFFFFFFFF) throw new Error('ZIP64 packages are not supported');
+        
+        const decoder = new TextDecoder();
+        const entries = [];
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(ptr, true) !== 0x02014b50) throw new Error('Corrupt ZIP central directory');
+            const method = view.getUint16(ptr + 10, true);
+            const compressedSize = view.getUint32(ptr + 20, true);
+            const size = view.getUint32(ptr + 24, true);
+            const nameLength = view.getUint16(ptr + 28, true);
+            const extraLength = view.getUint16(ptr + 30, true);
+            const commentLength = view.getUint16(ptr + 32, true);
+            const localOffset = view.getUint32(ptr + 42, true);
+            const name = decoder.decode(bytes.subarray(ptr + 46, ptr + 46 + nameLength));
+            ptr += 46 + nameLength + extraLength + commentLength;
+            
+            if (name.endsWith('/')) continue;
+            
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            entries.push({ name, method, size, data: bytes.subarray(dataStart, dataStart + compressedSize) });
+        }
+        return entries;
+    }
+    
+    /**
+     * Decompress a ZIP entry (stored or deflated)
+     */
+    async function extractZipEntry(entry) {
+        if (entry.method === 0) return entry.data;
+        if (entry.method !== 8) throw new Error(`Unsupported ZIP compression in ${entry.name}`);
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot decompress ZIP files');
+        }
+        const stream = new Blob([entry.data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+    
+    /**
+     * Read a Data Package manifest: package name and zip entry -> uid map
+     */
+    function parseManifest(xml) {
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+        const param = (parent, name) => parent?.querySelector(`Parameter[name="${name}"]`)?.getAttribute('value') || null;
+        const uids = new Map();
+        doc.querySelectorAll('Contents Content').forEach(content => {
+            const uid = param(content, 'uid');
+            if (uid) uids.set(content.getAttribute('zipEntry'), uid);
+        });
+        const config = doc.querySelector('Configuration');
+        return { name: param(config, 'name'), uid: param(config, 'uid'), uids };
+    }
+    
+    /**
+     * Import an ATAK Data Package / Mission Package
+     * @param {File} file - .zip
+     * @returns {Promise<Object>} { name, waypoints, routes, areas, attachments }
+     */
+    async function importDataPackage(file) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const entries = readZipEntries(bytes);
+        const decoder = new TextDecoder();
+        
+        const result = {
+            name: file.name.replace(/\.zip$/i, ''),
+            waypoints: [],
+            routes: [],
+            areas: [],
+            attachments: []
+        };
+        
+        const manifestEntry = entries.find(e => /(^|\/)manifest\.xml$/i.test(e.name));
+        const manifest = manifestEntry
+            ? parseManifest(decoder.decode(await extractZipEntry(manifestEntry)))
+            : { name: null, uids: new Map() };
+        if (manifest.name) result.name = manifest.name;
+        
+        for (const entry of entries) {
+            if (entry === manifestEntry) continue;
+            const lower = entry.name.toLowerCase();
+            const data = await extractZipEntry(entry);
+            
+            if (lower.endsWith('.cot') || (lower.endsWith('.xml') && decoder.decode(data.subarray(0, 512)).includes('<event'))) {
+                parseCoT(decoder.decode(data)).forEach(item => addPackageItem(result, item));
+            } else if (lower.endsWith('.kml') || lower.endsWith('.kmz')) {
+                const kml = lower.endsWith('.kmz') ? await readKmz(data) : decoder.decode(data);
+                if (kml && typeof KMLModule !== 'undefined') {
+                    const parsed = KMLModule.parseKML(kml);
+                    result.waypoints.push(...parsed.waypoints);
+                    result.routes.push(...parsed.routes);
+                    result.areas.push(...parsed.areas);
+                }
+            } else {
+                result.attachments.push({
+                    name: entry.name.split('/').pop(),
+                    path: entry.name,
+                    uid: manifest.uids.get(entry.name) || entry.name.split('/')[0],
+                    data
+                });
+            }
+        }
+        
+        // Image attachments become photos on the marker they belong to
+        result.attachments.forEach(attachment => {
+            const mime = IMAGE_TYPES[attachment.name.split('.').pop().toLowerCase()];
+            const wp = mime && result.waypoints.find(w => w.takUid === attachment.uid);
+            if (wp) {
+                wp.photos = wp.photos || [];
+                wp.photos.push({
+                    id: Helpers.generateId(),
+                    data: `data:${mime};base64,${bytesToBase64(attachment.data)}`,
+                    timestamp: new Date().toISOString(),
+                    filename: attachment.name
+                });
+                attachment.linked = true;
+            }
+        });
+        
+        return result;
+    }
+    
+    /**
+     * First KML document inside a KMZ
+     */
+    async function readKmz(bytes) {
+        const kml = readZipEntries(bytes).find(e => /\.kml$/i.test(e.name));
+        return kml ? new TextDecoder().decode(await extractZipEntry(kml)) : null;
+    }
+    
+    /**
+     * Convert a parsed CoT item into GridDown waypoints, routes or areas
+     */
+    function addPackageItem(result, { kind, data }) {
+        if (kind === 'marker' || kind === 'position') {
+            result.waypoints.push(cotToWaypoint(data));
+        } else if (kind === 'route' || (kind === 'shape' && !data.closed)) {
+            result.routes.push(cotToRoute(data));
+        } else if (kind === 'shape') {
+            result.areas.push(cotToArea(data));
+        }
+    }
+    
+    /**
+     * CoT marker -> GridDown waypoint
+     */
+    function cotToWaypoint(marker) {
+        return {
+            id: Helpers.generateId(),
+            name: marker.name,
+            lat: marker.lat,
+            lon: marker.lon,
+            x: lonToX(marker.lon),
+            y: latToY(marker.lat),
+            elevation: marker.alt,
+            type: 'custom',
+            notes: marker.remarks || '',
+            verified: false,
+            source: 'tak',
+            takUid: marker.id
+        };
+    }
+    
+    /**
+     * CoT route or open shape -> GridDown route
+     */
+    function cotToRoute(route) {
+        const points = route.points.map(p => ({
+            lat: p.lat,
+            lon: p.lon,
+            x: lonToX(p.lon),
+            y: latToY(p.lat),
+            terrain: 'trail'
+        }));
+        let miles = 0;
+        for (let i = 1; i < points.length; i++) {
+            miles += haversineMiles(points[i - 1], points[i]);
+        }
+        return {
+            id: Helpers.generateId(),
+            name: route.name,
+            notes: route.remarks || '',
+            points,
+            distance: miles.toFixed(1),
+            color: route.color || undefined,
+            source: 'tak',
+            takUid: route.id
+        };
+    }
+    
+    /**
+     * CoT closed shape -> GridDown area
+     */
+    function cotToArea(shape) {
+        return {
+            name: shape.name,
+            notes: shape.remarks || '',
+            type: 'custom',
+            color: shape.color || undefined,
+            fill: shape.fill || undefined,
+            points: shape.points.map(p => ({ lat: p.lat, lon: p.lon })),
+            source: 'tak',
+            takUid: shape.id
+        };
+    }
+    
+    /**
+     * Build an ATAK Data Package with one CoT file per item, a KML copy
+     * for other GIS tools, and waypoint photos as attachments
+     * @param {Object} options - { name, waypoints, routes, areas }
+     * @returns {Uint8Array} ZIP bytes
+     */
+    function buildDataPackage({ name = 'GridDown Package', waypoints = [], routes = [], areas = [] } = {}) {
+        const files = [];
+        const contents = [];
+        const add = (path, data, uid) => {
+            files.push({ name: path, data });
+            contents.push({ path, uid });
+        };
+        
+        waypoints.forEach(wp => {
+            const uid = wp.takUid || `griddown-wp-${wp.id}`;
+            add(`${uid}/${uid}.cot`, buildMarkerEvent(wp, uid), uid);
+            (wp.photos || []).forEach((photo, i) => {
+                const match = /^data:([^;]+);base64,(.*)$/.exec(photo.data || '');
+                if (!match) return;
+                const ext = Object.keys(IMAGE_TYPES).find(k => IMAGE_TYPES[k] === match[1]) || 'jpg';
+                const filename = (photo.filename || `photo-${i + 1}.${ext}`).replace(/[\\/]/g, '_');
+                add(`${uid}/${filename}`, base64ToBytes(match[2]), uid);
+            });
+        });
+        routes.forEach(route => {
+            const uid = route.takUid || `griddown-rt-${route.id}`;
+            const xml = buildRouteEvent(route, uid);
+            if (xml) add(`${uid}/${uid}.cot`, xml, uid);
+        });
+        areas.forEach(area => {
+            const uid = area.takUid || `griddown-area-${area.id}`;
+            const xml = buildShapeEvent(area, uid);
+            if (xml) add(`${uid}/${uid}.cot`, xml, uid);
+        });
+        
+        if (typeof KMLModule !== 'undefined') {
+            add(`${safeFilename(name)}.kml`, KMLModule.exportKML(waypoints, routes, { name, areas }), null);
+        }
+        
+        const packageUid = `griddown-pkg-${Date.now().toString(36)}`;
+        const manifest = '<MissionPackageManifest version="2"><Configuration>' +
+            `<Parameter name="uid" value="${packageUid}"/>` +
+            `<Parameter name="name" value="${escapeXml(name)}"/>` +
+            '<Parameter name="onReceiveDelete" value="true"/>' +
+            '</Configuration><Contents>' +
+            contents.map(c => `<Content ignore="false" zipEntry="${escapeXml(c.path)}">` +
+                (c.uid ? `<Parameter name="uid" value="${escapeXml(c.uid)}"/>` : '') +
+                '</Content>').join('') +
+            '</Contents></MissionPackageManifest>';
+        files.push({ name: 'MANIFEST/manifest.xml', data: manifest });
+        
+        return buildZip(files);
+    }
+    
+    /**
+     * Download a Data Package for ATAK (copy to the device, then Import Manager)
+     */
+    function downloadDataPackage(options = {}) {
+        const name = options.name || 'GridDown Package';
+        const zip = buildDataPackage({ ...options, name });
+        const blob = new Blob([zip], { type: 'application/zip' });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${safeFilename(name)}.zip`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+    
     // ==========================================================================
     // SETUP WIZARD
     // ==========================================================================
@@ -1442,6 +2880,8 @@ const TAKModule = (function() {
         getPositions,
         getTeamMembers,
         getMarkers,
+        getRoutes,
+        getShapes,
         getMessages,
         getStatus,
         renderOnMap,
@@ -1457,6 +2897,32 @@ const TAKModule = (function() {
         configureSharing,
         getSharingStatus,
         
+        // CoT XML
+        COT_TYPES,
+        parseCoT,
+        buildPositionEvent,
+        buildMarkerEvent,
+        buildRouteEvent,
+        buildShapeEvent,
+        buildChatEvent,
+        sendChat,
+        setWireFormat,
+        getWireFormat,
+        
+        // Two-way sync
+        setSync,
+        isSynced,
+        configureSync,
+        getSyncStatus,
+        
+        // Data Packages
+        importDataPackage,
+        buildDataPackage,
+        downloadDataPackage,
+        buildZip,
+        readZipEntries,
+        crc32,
+        
         // Setup wizard
         openSetupWizard,
         closeSetupWizard,
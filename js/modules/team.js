@@ -8,6 +8,7 @@
  * - Member management with roles and permissions
  * - Shared rally points and comm plans
  * - Team-aware Meshtastic channel configuration
+ * - Signed team sync with role enforcement, audit trail and key rotation
  */
 const TeamModule = (function() {
     'use strict';
@@ -75,6 +76,24 @@ const TeamModule = (function() {
         cache: { name: 'Supply Cache', icon: '📦', color: '#f59e0b' },
         extraction: { name: 'Extraction Point', icon: '🚁', color: '#8b5cf6' }
     };
+    
+    // Permission a sender's role must hold for each sync type.
+    // 'self' means members may only act on their own record (role/key changes need edit_members).
+    const SYNC_PERMISSIONS = {
+        team_info: 'edit_team',
+        member_joined: 'self',
+        member_update: 'self',
+        member_left: 'self',
+        member_removed: 'remove_members',
+        roster: 'edit_members',
+        rally_update: 'edit_waypoints',
+        comm_plan: 'edit_plan',
+        team_dissolved: 'dissolve_team',
+        key_rotation: 'remove_members'
+    };
+    
+    const AUDIT_STORAGE_KEY = 'team_audit_log';
+    const MAX_AUDIT_LOG = 300;
 
     // =========================================================================
     // STATE
@@ -82,13 +101,16 @@ const TeamModule = (function() {
     
     let initialized = false;
     let eventCleanup = [];
+    let lastSyncTs = 0;      // Last sync timestamp we sent (kept strictly increasing)
     
     let state = {
         currentTeam: null,
         myMemberId: null,
         pendingInvites: [],
         joinRequests: [],
-        lastSync: null
+        lastSync: null,
+        syncCursor: {},      // "memberId:subtype" -> ts of last accepted sync (replay guard)
+        auditLog: []         // newest last
     };
 
     // =========================================================================
@@ -109,6 +131,7 @@ const TeamModule = (function() {
             eventCleanup.push(Events.on('meshtastic:message', handleMeshMessage));
             eventCleanup.push(Events.on('meshtastic:position', handlePositionUpdate));
             eventCleanup.push(Events.on('meshtastic:connection', handleConnectionChange));
+            eventCleanup.push(Events.on('meshtastic:transfer_received', handleSyncTransfer));
         }
         
         initialized = true;
@@ -136,7 +159,10 @@ const TeamModule = (function() {
                 state.currentTeam = saved.currentTeam || null;
                 state.myMemberId = saved.myMemberId || null;
                 state.pendingInvites = saved.pendingInvites || [];
+                state.syncCursor = saved.syncCursor || {};
             }
+            const audit = await Storage.Settings.get(AUDIT_STORAGE_KEY);
+            if (Array.isArray(audit)) state.auditLog = audit;
         } catch (e) {
             console.warn('Could not load team state:', e);
         }
@@ -147,7 +173,8 @@ const TeamModule = (function() {
             await Storage.Settings.set('team_state', {
                 currentTeam: state.currentTeam,
                 myMemberId: state.myMemberId,
-                pendingInvites: state.pendingInvites
+                pendingInvites: state.pendingInvites,
+                syncCursor: state.syncCursor
             });
         } catch (e) {
             console.warn('Could not save team state:', e);
@@ -188,6 +215,7 @@ const TeamModule = (function() {
             passphrase: options.passphrase || generatePassphrase(),
             meshChannel: meshChannel,
             meshPSK: meshPSK,
+            keyEpoch: 0,
             
             // Members
             members: [{
@@ -219,14 +247,18 @@ const TeamModule = (function() {
                 positionShareInterval: 60,
                 autoCheckIn: false,
                 requireApproval: true,
-                shareWaypointsDefault: true
+                shareWaypointsDefault: true,
+                requireSignedSync: true,
+                rotateKeysOnRemove: true
             }
         };
         
         state.currentTeam = team;
         state.myMemberId = myMemberId;
+        state.syncCursor = {};
         
         saveTeamState();
+        ensureSigningIdentity();
         Events.emit('team:created', { team });
         
         return team;
@@ -275,6 +307,7 @@ const TeamModule = (function() {
         state.currentTeam = null;
         state.myMemberId = null;
         state.joinRequests = [];
+        state.syncCursor = {};
         
         saveTeamState();
         Events.emit('team:left', { teamName });
@@ -315,7 +348,10 @@ const TeamModule = (function() {
     }
     
     function hasPermission(permission) {
-        const role = getMyRole();
+        return roleHasPermission(getMyRole(), permission);
+    }
+    
+    function roleHasPermission(role, permission) {
         if (!role) return false;
         return ROLES[role]?.permissions.includes(permission) || false;
     }
@@ -359,7 +395,7 @@ const TeamModule = (function() {
         member.role = newRole;
         
         saveTeamState();
-        broadcastTeamSync('member_update', member);
+        broadcastTeamSync('member_update', { id: member.id, role: member.role });
         Events.emit('team:member_updated', { member });
         
         return member;
@@ -377,9 +413,16 @@ const TeamModule = (function() {
         state.currentTeam.members = state.currentTeam.members.filter(m => m.id !== memberId);
         
         saveTeamState();
-        broadcastTeamSync('member_removed', { memberId });
+        broadcastTeamSync('member_removed', { memberId, name: member.name });
         Events.emit('team:member_removed', { memberId, memberName: member.name });
         
+        // The removed member still holds the team secrets
+        if (state.currentTeam.settings?.rotateKeysOnRemove !== false) {
+            rotateTeamKeys(`${member.name} removed`).catch(e => {
+                console.warn('Key rotation after removal failed:', e);
+            });
+        }
+        
         return true;
     }
     
@@ -425,6 +468,10 @@ const TeamModule = (function() {
             memberCount: state.currentTeam.members.length,
             memberList: state.currentTeam.members.map(m => ({ name: m.shortName, role: m.role })),
             
+            // Roster with signing keys, so the new member can verify team sync
+            roster: getRoster(),
+            keyEpoch: state.currentTeam.keyEpoch || 0,
+            
             // Optional data
             rallyPoints: includeRallies ? state.currentTeam.rallyPoints : [],
             commPlan: includeCommPlan ? state.currentTeam.commPlan : null,
@@ -459,6 +506,10 @@ const TeamModule = (function() {
             p: state.currentTeam.passphrase
         };
         
+        // Inviter's id, role and signing key: the joiner trusts them to send the full roster
+        const me = getMyMember();
+        if (me?.publicKey) invite.r = [me.id, me.role, me.publicKey];
+        
         return 'GDTEAM:' + btoa(JSON.stringify(invite));
     }
     
@@ -498,7 +549,10 @@ const TeamModule = (function() {
                     teamId: decoded.t,
                     teamName: decoded.n,
                     meshChannel: decoded.c,
-                    meshPSK: decoded.k
+                    meshPSK: decoded.k,
+                    roster: Array.isArray(decoded.r)
+                        ? [{ id: decoded.r[0], role: decoded.r[1], publicKey: decoded.r[2], name: decoded.r[0] }]
+                        : []
                 };
                 passphrase = decoded.p;
             } else {
@@ -549,8 +603,21 @@ const TeamModule = (function() {
             passphrase: passphrase || pkg.passphrase,
             meshChannel: pkg.meshChannel,
             meshPSK: pkg.meshPSK,
+            keyEpoch: pkg.keyEpoch || 0,
             
-            members: [{
+            members: [...(pkg.roster || [])
+                .filter(m => m && m.id && m.id !== myMemberId && ROLES[m.role])
+                .map(m => ({
+                    id: m.id,
+                    name: m.name || m.id,
+                    shortName: m.shortName || (m.name || m.id).substring(0, 4).toUpperCase(),
+                    role: m.role,
+                    publicKey: m.publicKey || null,
+                    status: 'unknown',
+                    lastSeen: null,
+                    lat: null,
+                    lon: null
+                })), {
                 id: myMemberId,
                 name: myName,
                 shortName: myShortName,
@@ -568,14 +635,15 @@ const TeamModule = (function() {
         };
         
         state.myMemberId = myMemberId;
+        state.syncCursor = {};
         
         // Import rally points as waypoints
         importRallyPointsToWaypoints();
         
         await saveTeamState();
         
-        // Announce join to team
-        broadcastTeamSync('member_joined', getMyMember());
+        // Announce join to team, proving we hold the current team secret
+        await announceSelf('member_joined');
         
         Events.emit('team:joined', { team: state.currentTeam });
         
@@ -730,70 +798,183 @@ const TeamModule = (function() {
     // MESH COMMUNICATION
     // =========================================================================
     
-    function broadcastTeamSync(subtype, data = {}) {
-        if (!state.currentTeam) return;
-        if (typeof MeshtasticModule === 'undefined') return;
-        
-        const meshState = MeshtasticModule.getConnectionState();
-        if (meshState.state !== 'connected') return;
+    // MeshtasticModule truncates text messages past this; bigger syncs go as transfers
+    const MAX_SYNC_TEXT = 200;
+    
+    /**
+     * Sign and send a team sync message. Local changes are written to the audit log.
+     * @param {string} subtype - Sync type (see SYNC_PERMISSIONS)
+     * @param {Object} data - Payload
+     * @param {Object} [options] - { audit: false to skip the audit entry, to: member id for directed transfers }
+     * @returns {Promise<boolean>} true when handed to the mesh
+     */
+    /**
+     * Strictly increasing send time; receivers drop anything not newer than
+     * the last message of the same type from us
+     */
+    function nextSyncTimestamp() {
+        lastSyncTs = Math.max(Date.now(), lastSyncTs + 1);
+        return lastSyncTs;
+    }
+    
+    async function broadcastTeamSync(subtype, data = {}, options = {}) {
+        if (!state.currentTeam) return false;
         
         const message = {
             _ts: 'team',
             tid: state.currentTeam.id,
             sub: subtype,
             from: state.myMemberId,
-            ts: Date.now(),
+            ts: nextSyncTimestamp(),
             d: data
         };
         
+        if (options.audit !== false) {
+            recordAudit({
+                ts: message.ts,
+                actor: message.from,
+                actorName: getMyMember()?.name || message.from,
+                action: subtype,
+                summary: describeSync(message),
+                outcome: 'applied',
+                origin: 'local'
+            });
+        }
+        
+        if (typeof MeshtasticModule === 'undefined') return false;
+        
+        const meshState = MeshtasticModule.getConnectionState();
+        if (meshState.state !== 'connected') return false;
+        
+        await ensureSigningIdentity();
+        try {
+            message.sig = await MeshtasticModule.signWithMyKey(syncSigningString(message));
+        } catch (e) {
+            console.warn('Could not sign team sync, sending unsigned:', e);
+        }
+        
         try {
-            MeshtasticModule.sendTextMessage(JSON.stringify(message));
+            const text = JSON.stringify(message);
+            if (text.length <= MAX_SYNC_TEXT || typeof MeshtasticModule.sendTransfer !== 'function') {
+                await MeshtasticModule.sendTextMessage(text);
+            } else {
+                await MeshtasticModule.sendTransfer('team_sync', message, { name: `Team ${subtype}`, to: options.to });
+            }
+            return true;
         } catch (e) {
             console.warn('Failed to broadcast team sync:', e);
+            return false;
         }
     }
     
     function handleMeshMessage(event) {
         if (!event || !event.message || !event.message.text) return;
         
+        let msg;
         try {
-            const msg = JSON.parse(event.message.text);
-            
-            // Not a team sync message
-            if (msg._ts !== 'team') return;
-            
-            // Not for our team
-            if (!state.currentTeam || msg.tid !== state.currentTeam.id) return;
-            
-            // Ignore own messages
-            if (msg.from === state.myMemberId) return;
-            
-            processTeamSync(msg);
+            msg = JSON.parse(event.message.text);
         } catch (e) {
-            // Not JSON or not team message, ignore
+            return; // Not JSON, ignore
         }
+        
+        receiveTeamSync(msg, event.message.rxFrom || event.message.from);
     }
     
-    function processTeamSync(msg) {
+    function handleSyncTransfer(event) {
+        if (event?.transfer?.kind !== 'team_sync') return;
+        // transfer.peer is what the sender wrote in its offer; only the radio header is trusted
+        receiveTeamSync(event.data, event.transfer.rxFrom || undefined);
+    }
+    
+    /**
+     * Verify an incoming sync message and apply it if the sender is allowed to
+     * @param {Object} msg - Parsed sync message
+     * @param {string} [transportFrom] - Node id the mesh delivered it from
+     */
+    async function receiveTeamSync(msg, transportFrom) {
+        // Not a team sync message
+        if (!msg || msg._ts !== 'team') return;
+        
+        // Not for our team
+        if (!state.currentTeam || msg.tid !== state.currentTeam.id) return;
+        
+        // Ignore own messages
+        if (msg.from === state.myMemberId) return;
+        
+        let verdict;
+        try {
+            verdict = await verifyTeamSync(msg, transportFrom);
+        } catch (e) {
+            verdict = { ok: false, reason: `Verification failed: ${e.message}` };
+        }
+        
+        // Left or switched teams while verifying
+        if (!state.currentTeam || msg.tid !== state.currentTeam.id) return;
+        
+        if (!verdict.ok) {
+            rejectSync(msg, verdict.reason, !!msg.sig);
+            return;
+        }
+        
+        if (!msg.d || typeof msg.d !== 'object') msg.d = {};
+        processTeamSync(msg, verdict);
+    }
+    
+    function processTeamSync(msg, verdict = {}) {
+        if (!state.currentTeam) return false;
+        
+        const auth = authorizeSync(msg);
+        if (!auth.ok) {
+            rejectSync(msg, auth.reason, !!verdict.signed);
+            return false;
+        }
+        
+        // Directed messages are relayed to everyone; only the addressee acts on them
+        if ((msg.sub === 'key_rotation' || msg.sub === 'roster') && msg.d.to !== state.myMemberId) return true;
+        
+        state.syncCursor[`${msg.from}:${msg.sub}`] = msg.ts;
+        recordAudit({
+            ts: msg.ts,
+            actor: msg.from,
+            actorName: senderName(msg),
+            action: msg.sub,
+            summary: describeSync(msg),
+            outcome: 'applied',
+            signed: !!verdict.signed,
+            origin: 'remote'
+        });
+        
         switch (msg.sub) {
             case 'team_info':
                 if (msg.d.name) state.currentTeam.name = msg.d.name;
+                if (msg.d.description !== undefined) state.currentTeam.description = msg.d.description;
                 if (msg.d.settings) state.currentTeam.settings = { ...state.currentTeam.settings, ...msg.d.settings };
                 break;
                 
             case 'member_joined':
-            case 'member_update':
-                const existingMember = state.currentTeam.members.find(m => m.id === msg.d.id);
+            case 'member_update': {
+                const { proof, ...update } = msg.d;
+                const existingMember = state.currentTeam.members.find(m => m.id === update.id);
+                
+                // Joining never carries a role; new members start as support
+                if (msg.sub === 'member_joined') delete update.role;
+                if (update.role === 'leader') demoteOtherLeaders(update.id);
+                
                 if (existingMember) {
-                    Object.assign(existingMember, msg.d);
-                } else if (msg.d.id) {
+                    Object.assign(existingMember, update);
+                } else if (update.id) {
                     state.currentTeam.members.push({
-                        ...msg.d,
+                        role: 'support',
+                        ...update,
                         status: 'active',
                         lastSeen: Date.now()
                     });
                 }
+                
+                // Bring the new member's roster (and signing keys) up to date
+                if (msg.sub === 'member_joined' && hasPermission('invite')) sendRoster(update.id);
                 break;
+            }
                 
             case 'member_left':
             case 'member_removed':
@@ -802,16 +983,43 @@ const TeamModule = (function() {
                     const teamName = state.currentTeam.name;
                     state.currentTeam = null;
                     state.myMemberId = null;
+                    state.syncCursor = {};
                     saveTeamState();
                     Events.emit('team:removed_by_leader', { teamName });
                     if (typeof ModalsModule !== 'undefined') {
                         ModalsModule.showToast(`Removed from team: ${teamName}`, 'error');
                     }
-                    return;
+                    return true;
                 }
                 state.currentTeam.members = state.currentTeam.members.filter(m => m.id !== msg.d.memberId);
                 break;
                 
+            case 'roster':
+                (msg.d.members || []).forEach(entry => {
+                    if (!entry || !entry.id || entry.id === state.myMemberId || !ROLES[entry.role]) return;
+                    const member = state.currentTeam.members.find(m => m.id === entry.id);
+                    if (member) {
+                        member.role = entry.role;
+                        if (entry.name) member.name = entry.name;
+                        if (entry.shortName) member.shortName = entry.shortName;
+                        // A roster only fills in missing keys; a pinned key is never replaced
+                        if (entry.publicKey && !member.publicKey) member.publicKey = entry.publicKey;
+                    } else if (state.currentTeam.members.length < MAX_TEAM_MEMBERS) {
+                        state.currentTeam.members.push({
+                            id: entry.id,
+                            name: entry.name || entry.id,
+                            shortName: entry.shortName || (entry.name || entry.id).substring(0, 4).toUpperCase(),
+                            role: entry.role,
+                            publicKey: entry.publicKey || null,
+                            status: 'unknown',
+                            lastSeen: null,
+                            lat: null,
+                            lon: null
+                        });
+                    }
+                });
+                break;
+                
             case 'rally_update':
                 if (msg.d.rallyPoints) {
                     // Clear existing team waypoints
@@ -833,20 +1041,66 @@ const TeamModule = (function() {
                 }
                 break;
                 
-            case 'team_dissolved':
+            case 'key_rotation':
+                applyKeyRotation(msg);
+                break;
+                
+            case 'team_dissolved': {
                 const teamName = state.currentTeam.name;
                 state.currentTeam = null;
                 state.myMemberId = null;
+                state.syncCursor = {};
                 saveTeamState();
                 Events.emit('team:dissolved_by_leader', { teamName });
                 if (typeof ModalsModule !== 'undefined') {
                     ModalsModule.showToast(`Team "${teamName}" was dissolved`, 'error');
                 }
-                return;
+                return true;
+            }
         }
         
         saveTeamState();
         Events.emit('team:synced', { type: msg.sub });
+        return true;
+    }
+    
+    function demoteOtherLeaders(newLeaderId) {
+        state.currentTeam.members.forEach(m => {
+            if (m.role === 'leader' && m.id !== newLeaderId) m.role = 'coleader';
+        });
+    }
+    
+    /**
+     * Broadcast our own member entry with a join proof, so peers that have not
+     * pinned our signing key yet will accept it
+     */
+    async function announceSelf(subtype, options = {}) {
+        const publicKey = await ensureSigningIdentity();
+        let proof = null;
+        try {
+            proof = await computeJoinProof(state.currentTeam, state.myMemberId, publicKey);
+        } catch (e) {
+            console.warn('Could not compute join proof:', e);
+        }
+        return broadcastTeamSync(subtype, { ...getMyMember(), proof }, options);
+    }
+    
+    function sendRoster(memberId) {
+        broadcastTeamSync('roster', { to: memberId, members: getRoster() }, { audit: false, to: memberId });
+    }
+    
+    /**
+     * Members with their roles and signing keys
+     */
+    function getRoster() {
+        if (!state.currentTeam) return [];
+        return state.currentTeam.members.map(m => ({
+            id: m.id,
+            name: m.name,
+            shortName: m.shortName,
+            role: m.role,
+            publicKey: m.publicKey || null
+        }));
     }
     
     function handlePositionUpdate(event) {
@@ -868,11 +1122,380 @@ const TeamModule = (function() {
         if (event.state === 'connected' && state.currentTeam) {
             // Announce presence when reconnecting
             setTimeout(() => {
-                broadcastTeamSync('member_update', getMyMember());
+                if (state.currentTeam) announceSelf('member_update', { audit: false });
             }, 2000);
         }
     }
 
+    // =========================================================================
+    // SYNC SECURITY (SIGNATURES, ROLE ENFORCEMENT, AUDIT, KEY ROTATION)
+    // =========================================================================
+    
+    /**
+     * Record our Meshtastic PKI public key on our member entry.
+     * Sync messages are signed with the matching private key.
+     * @returns {Promise<string|null>} public key (base64)
+     */
+    async function ensureSigningIdentity() {
+        const me = getMyMember();
+        if (!me || typeof MeshtasticModule === 'undefined' || !MeshtasticModule.isCryptoAvailable?.()) return null;
+        
+        try {
+            const publicKey = await MeshtasticModule.getMyPublicKey();
+            if (publicKey && me.publicKey !== publicKey) {
+                me.publicKey = publicKey;
+                await saveTeamState();
+            }
+            return publicKey;
+        } catch (e) {
+            console.warn('Could not load team signing key:', e);
+            return null;
+        }
+    }
+    
+    /**
+     * Deterministic JSON (sorted keys) so signatures survive re-serialization
+     */
+    function canonicalJSON(value) {
+        if (Array.isArray(value)) {
+            return '[' + value.map(v => v === undefined ? 'null' : canonicalJSON(v)).join(',') + ']';
+        }
+        if (value && typeof value === 'object') {
+            return '{' + Object.keys(value).sort()
+                .filter(k => value[k] !== undefined && typeof value[k] !== 'function')
+                .map(k => JSON.stringify(k) + ':' + canonicalJSON(value[k]))
+                .join(',') + '}';
+        }
+        const json = JSON.stringify(value);
+        return json === undefined ? 'null' : json;
+    }
+    
+    function syncSigningString(msg) {
+        return canonicalJSON({ tid: msg.tid, sub: msg.sub, from: msg.from, ts: msg.ts, d: msg.d });
+    }
+    
+    /**
+     * HMAC proving a joiner holds the current team key.
+     * Keyed on the first 24 chars of the mesh PSK — all an invite code carries —
+     * so it stops working for removed members once keys are rotated.
+     */
+    async function computeJoinProof(team, memberId, publicKey) {
+        const encoder = new TextEncoder();
+        const key = await crypto.subtle.importKey(
+            'raw', encoder.encode((team.meshPSK || '').substring(0, 24)),
+            { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+        );
+        const mac = await crypto.subtle.sign('HMAC', key, encoder.encode(`${team.id}|${memberId}|${publicKey || ''}`));
+        return btoa(String.fromCharCode(...new Uint8Array(mac)));
+    }
+    
+    /**
+     * Check that a sync message was signed by the member it claims to come from
+     * @returns {Promise<Object>} { ok, signed, reason }
+     */
+    async function verifyTeamSync(msg, transportFrom) {
+        const team = state.currentTeam;
+        
+        // Mesh members use their node id as member id; it must match the radio sender
+        if (transportFrom && typeof msg.from === 'string' && msg.from.startsWith('!') && transportFrom !== msg.from) {
+            return { ok: false, reason: 'Sender does not match the mesh node it came from' };
+        }
+        
+        if (!msg.sig) {
+            return team.settings?.requireSignedSync === false
+                ? { ok: true, signed: false }
+                : { ok: false, reason: 'Unsigned sync message' };
+        }
+        
+        if (typeof MeshtasticModule === 'undefined' || typeof MeshtasticModule.verifySignature !== 'function') {
+            return { ok: false, reason: 'Signature verification unavailable' };
+        }
+        
+        const sender = getMember(msg.from);
+        const selfAnnounce = (msg.sub === 'member_joined' || msg.sub === 'member_update') && msg.d?.id === msg.from;
+        let publicKey = sender?.publicKey || null;
+        
+        if (!publicKey && selfAnnounce && msg.d.publicKey) {
+            // First key we see for this member is pinned, so it must come with proof of
+            // the team key; otherwise anyone could claim a roster entry that has no key yet.
+            // Members without a key may also get one from a signed roster, which never
+            // replaces a key already pinned.
+            const expected = await computeJoinProof(team, msg.from, msg.d.publicKey);
+            if (msg.d.proof !== expected) {
+                return { ok: false, reason: 'Join proof does not match the current team key' };
+            }
+            publicKey = msg.d.publicKey;
+        }
+        
+        if (!publicKey) publicKey = MeshtasticModule.getPeerPublicKey?.(msg.from) || null;
+        if (!publicKey) return { ok: false, reason: 'No signing key on record for sender' };
+        
+        const valid = await MeshtasticModule.verifySignature(publicKey, syncSigningString(msg), msg.sig);
+        return valid ? { ok: true, signed: true } : { ok: false, reason: 'Signature does not match sender key' };
+    }
+    
+    /**
+     * Check a sync message against the sender's role as we know it
+     * @param {Object} msg - Sync message
+     * @returns {Object} { ok, reason }
+     */
+    function authorizeSync(msg) {
+        const allow = () => ({ ok: true, reason: null });
+        const deny = reason => ({ ok: false, reason });
+        
+        if (!state.currentTeam) return deny('Not in a team');
+        
+        const rule = SYNC_PERMISSIONS[msg.sub];
+        if (!rule) return deny(`Unknown sync type "${msg.sub}"`);
+        
+        const d = msg.d || {};
+        const lastTs = state.syncCursor[`${msg.from}:${msg.sub}`];
+        if (lastTs && !(msg.ts > lastTs)) return deny('Replayed or older than an update already applied');
+        
+        if (msg.sub === 'member_joined') {
+            return d.id === msg.from ? allow() : deny('Members can only announce themselves');
+        }
+        
+        const sender = getMember(msg.from);
+        if (!sender) return deny('Sender is not a team member');
+        const roleName = ROLES[sender.role]?.name || sender.role;
+        
+        if (msg.sub === 'member_left') {
+            return d.memberId === msg.from ? allow() : deny('Members can only leave for themselves');
+        }
+        
+        if (msg.sub === 'member_update') {
+            const target = getMember(d.id);
+            const roleChange = !!d.role && d.role !== target?.role;
+            const keyChange = !!(target?.publicKey && d.publicKey && d.publicKey !== target.publicKey);
+            
+            if (d.id === msg.from && !roleChange && !keyChange) return allow();
+            if (!roleHasPermission(sender.role, 'edit_members')) return deny(`${roleName} cannot edit members`);
+            if (d.role && !ROLES[d.role]) return deny(`Invalid role "${d.role}"`);
+            if (roleChange && sender.role !== 'leader' &&
+                (d.role === 'leader' || d.role === 'coleader' || target?.role === 'leader')) {
+                return deny('Only the leader can assign leader/co-leader roles');
+            }
+            return allow();
+        }
+        
+        if (msg.sub === 'roster') {
+            if (!roleHasPermission(sender.role, rule)) return deny(`${roleName} lacks ${rule} permission`);
+            // Each entry is held to the same role rules as a member_update
+            const promotes = sender.role !== 'leader' && (d.members || []).some(entry => {
+                const current = entry?.id ? getMember(entry.id)?.role : null;
+                return !!entry?.role && entry.role !== current &&
+                    (entry.role === 'leader' || entry.role === 'coleader' || current === 'leader');
+            });
+            return promotes ? deny('Only the leader can assign leader/co-leader roles') : allow();
+        }
+        
+        if (msg.sub === 'member_removed' && getMember(d.memberId)?.role === 'leader') {
+            return deny('The team leader cannot be removed');
+        }
+        
+        return roleHasPermission(sender.role, rule) ? allow() : deny(`${roleName} lacks ${rule} permission`);
+    }
+    
+    function senderName(msg) {
+        return getMember(msg.from)?.name || (msg.d?.id === msg.from && msg.d.name) || msg.from;
+    }
+    
+    function rejectSync(msg, reason, signed) {
+        console.warn(`Rejected team sync "${msg.sub}" from ${msg.from}: ${reason}`);
+        
+        recordAudit({
+            ts: msg.ts,
+            actor: msg.from,
+            actorName: senderName(msg),
+            action: msg.sub,
+            summary: describeSync(msg),
+            outcome: 'rejected',
+            reason,
+            signed: !!signed,
+            origin: 'remote'
+        });
+        Events.emit('team:sync_rejected', { type: msg.sub, from: msg.from, reason });
+    }
+    
+    /**
+     * One-line description of what a sync message changes
+     */
+    function describeSync(msg) {
+        const d = msg.d || {};
+        const nameOf = id => getMember(id)?.name || d.name || id;
+        
+        switch (msg.sub) {
+            case 'team_info':
+                return d.name ? `Updated team info ("${d.name}")` : 'Updated team info';
+            case 'member_joined':
+                return 'Joined the team';
+            case 'member_update':
+                if (d.id !== msg.from && d.role) return `Set ${nameOf(d.id)} to ${ROLES[d.role]?.name || d.role}`;
+                if (d.id !== msg.from) return `Updated ${nameOf(d.id)}`;
+                return d.role && d.role !== getMember(d.id)?.role
+                    ? `Changed own role to ${ROLES[d.role]?.name || d.role}`
+                    : 'Updated own member info';
+            case 'member_left':
+                return 'Left the team';
+            case 'member_removed':
+                return `Removed ${nameOf(d.memberId)}`;
+            case 'roster':
+                return `Sent the team roster (${(d.members || []).length} members)`;
+            case 'rally_update':
+                return `Updated rally points (${(d.rallyPoints || []).length})`;
+            case 'comm_plan':
+                return 'Updated the comm plan';
+            case 'team_dissolved':
+                return 'Dissolved the team';
+            case 'key_rotation':
+                return `Rotated team keys (epoch ${d.ep})`;
+            default:
+                return msg.sub;
+        }
+    }
+    
+    function recordAudit(entry) {
+        const record = {
+            id: 'aud-' + Date.now().toString(36) + Math.random().toString(36).substr(2, 4),
+            at: Date.now(),
+            ...entry
+        };
+        
+        state.auditLog.push(record);
+        if (state.auditLog.length > MAX_AUDIT_LOG) {
+            state.auditLog.splice(0, state.auditLog.length - MAX_AUDIT_LOG);
+        }
+        
+        saveAuditLog();
+        Events.emit('team:audit', { entry: record });
+        return record;
+    }
+    
+    async function saveAuditLog() {
+        try {
+            await Storage.Settings.set(AUDIT_STORAGE_KEY, state.auditLog);
+        } catch (e) {
+            console.warn('Could not save team audit log:', e);
+        }
+    }
+    
+    /**
+     * Who changed what, newest first
+     * @param {Object} [options] - { limit, memberId, outcome: 'applied'|'rejected' }
+     */
+    function getAuditLog(options = {}) {
+        let entries = state.auditLog.slice().reverse();
+        if (options.memberId) entries = entries.filter(e => e.actor === options.memberId);
+        if (options.outcome) entries = entries.filter(e => e.outcome === options.outcome);
+        return options.limit ? entries.slice(0, options.limit) : entries;
+    }
+    
+    function clearAuditLog() {
+        state.auditLog = [];
+        saveAuditLog();
+        Events.emit('team:audit', { cleared: true });
+    }
+    
+    /**
+     * Summary for the Team panel
+     */
+    function getSyncSecurity() {
+        const team = state.currentTeam;
+        if (!team) return null;
+        
+        return {
+            keyEpoch: team.keyEpoch || 0,
+            keyRotatedAt: team.keyRotatedAt || null,
+            requireSignedSync: team.settings?.requireSignedSync !== false,
+            rotateKeysOnRemove: team.settings?.rotateKeysOnRemove !== false,
+            hasSigningKey: !!getMyMember()?.publicKey,
+            keyedMembers: team.members.filter(m => m.publicKey).length,
+            totalMembers: team.members.length,
+            rejected: state.auditLog.filter(e => e.outcome === 'rejected').length
+        };
+    }
+    
+    /**
+     * Replace the team passphrase and mesh PSK, and send the new ones to each
+     * remaining member encrypted to their PKI key. Members we hold no key for
+     * need a fresh invite.
+     * @param {string} [reason]
+     * @returns {Promise<Object>} { epoch, delivered, pending } (member names)
+     */
+    async function rotateTeamKeys(reason = 'Manual rotation') {
+        const team = state.currentTeam;
+        if (!team) throw new Error('Not in a team');
+        if (!hasPermission('remove_members')) throw new Error('No permission to rotate team keys');
+        
+        team.meshPSK = generateMeshPSK();
+        team.passphrase = generatePassphrase();
+        team.keyEpoch = (team.keyEpoch || 0) + 1;
+        team.keyRotatedAt = Date.now();
+        await saveTeamState();
+        
+        const secret = JSON.stringify({ ep: team.keyEpoch, psk: team.meshPSK, pp: team.passphrase });
+        const delivered = [];
+        const pending = [];
+        
+        for (const member of team.members) {
+            if (member.id === state.myMemberId) continue;
+            
+            const canDeliver = typeof MeshtasticModule !== 'undefined' && MeshtasticModule.canSendDMTo?.(member.id);
+            if (!canDeliver) {
+                pending.push(member.name);
+                continue;
+            }
+            
+            try {
+                const k = await MeshtasticModule.encryptForNode(member.id, secret);
+                const sent = await broadcastTeamSync('key_rotation', { to: member.id, ep: team.keyEpoch, k }, { audit: false, to: member.id });
+                (sent ? delivered : pending).push(member.name);
+            } catch (e) {
+                console.warn(`Could not send new team key to ${member.name}:`, e);
+                pending.push(member.name);
+            }
+        }
+        
+        recordAudit({
+            ts: team.keyRotatedAt,
+            actor: state.myMemberId,
+            actorName: getMyMember()?.name || state.myMemberId,
+            action: 'key_rotation',
+            summary: `Rotated team keys (epoch ${team.keyEpoch}): ${reason}` +
+                (pending.length ? ` — ${pending.length} member${pending.length !== 1 ? 's' : ''} need a new invite` : ''),
+            outcome: 'applied',
+            origin: 'local'
+        });
+        Events.emit('team:keys_rotated', { epoch: team.keyEpoch, delivered, pending });
+        
+        return { epoch: team.keyEpoch, delivered, pending };
+    }
+    
+    /**
+     * Decrypt and adopt team keys sent to us by the leader
+     */
+    async function applyKeyRotation(msg) {
+        const team = state.currentTeam;
+        try {
+            const secret = JSON.parse(await MeshtasticModule.decryptFromNode(msg.from, msg.d.k));
+            if (state.currentTeam !== team || !(secret.ep > (team.keyEpoch || 0))) return;
+            
+            team.meshPSK = secret.psk;
+            team.passphrase = secret.pp;
+            team.keyEpoch = secret.ep;
+            team.keyRotatedAt = Date.now();
+            await saveTeamState();
+            
+            Events.emit('team:keys_rotated', { epoch: secret.ep, from: msg.from });
+            if (typeof ModalsModule !== 'undefined') {
+                ModalsModule.showToast(`🔑 Team keys rotated by ${getMember(msg.from)?.name || msg.from}`, 'info');
+            }
+        } catch (e) {
+            rejectSync(msg, 'Could not decrypt the new team key', true);
+        }
+    }
+
     // =========================================================================
     // UTILITIES
     // =========================================================================
@@ -1355,6 +1978,7 @@ const TeamModule = (function() {
         getMyMember,
         getMyRole,
         hasPermission,
+        roleHasPermission,
         getMembers,
         getMember,
         getJoinRequests: () => [...state.joinRequests],
@@ -1367,6 +1991,14 @@ const TeamModule = (function() {
         updateAllMemberStatuses,
         getTeamHealth,
         
+        // Sync security
+        receiveTeamSync,
+        authorizeSync,
+        getAuditLog,
+        clearAuditLog,
+        getSyncSecurity,
+        rotateTeamKeys,
+        
         // Team sharing
         generateTeamPackage,
         exportTeamPackageEncrypted,
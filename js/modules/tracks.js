@@ -0,0 +1,744 @@
+/**
+ * GridDown Tracks Module - Track Library
+ * Persistent recorded tracks with pause/resume segments, auto-start on
+ * movement, per-track statistics, map replay and GPX/KML/GeoJSON export
+ */
+const TracksModule = (function() {
+    'use strict';
+
+    // ==================== CONSTANTS ====================
+
+    const EARTH_RADIUS_M = 6371000;
+    const METERS_PER_MILE = 1609.344;
+    const SETTINGS_KEY = 'track_settings';
+
+    const MOVING_SPEED_MPS = 0.5;        // slower steps count as stopped
+    const MAX_PLAUSIBLE_SPEED_MPS = 100; // drops GPS jumps from max speed
+    const MIN_SPEED_STEP_S = 3;          // shorter steps are too noisy for speed
+    const BARO_HYSTERESIS_M = 2;
+    const GPS_HYSTERESIS_M = 10;
+
+    const AUTO_START_SPEED_MPS = 1.0;
+    const AUTO_START_FIXES = 3;          // consecutive fixes above the speed
+    const AUTO_START_DISTANCE_M = 50;
+    const AUTO_START_MAX_ACCURACY_M = 30;
+    const AUTO_START_COOLDOWN_MS = 5 * 60 * 1000;
+
+    const REPLAY_TICK_MS = 100;
+    const REPLAY_SPEEDS = [1, 10, 60, 300];
+
+    // ==================== STATE ====================
+
+    let initialized = false;
+    let tracks = [];                     // newest first
+    let settings = { autoStart: false };
+
+    // Track drawn on the map (library id) and replay cursor
+    let shownTrackId = null;
+    let replay = null;                   // { trackId, offset (ms), playing, speed }
+    let replayTimer = null;
+
+    // Recording stopped outside this module (e.g. GPS switched off) is still saved
+    let wasRecording = false;
+    let stopping = false;
+
+    // Auto-start detection
+    let autoAnchor = null;
+    let fastFixes = 0;
+    let autoStartBlockedUntil = 0;
+
+    // ==================== INITIALIZATION ====================
+
+    /**
+     * Initialize the track library
+     */
+    async function init() {
+        if (initialized) {
+            console.debug('TracksModule already initialized');
+            return;
+        }
+
+        await reload();
+
+        try {
+            settings = { ...settings, ...(await Storage.Settings.get(SETTINGS_KEY, {})) };
+        } catch (e) {
+            console.warn('TracksModule: could not load settings:', e);
+        }
+
+        if (typeof GPSModule !== 'undefined') {
+            GPSModule.subscribe(handleGPSUpdate);
+        }
+
+        initialized = true;
+        console.log(`TracksModule initialized with ${tracks.length} tracks`);
+    }
+
+    /**
+     * Reload the library from storage (e.g. after a JSON backup import)
+     */
+    async function reload() {
+        try {
+            tracks = (await Storage.Tracks.getAll()) || [];
+            sortTracks();
+        } catch (e) {
+            console.warn('TracksModule: could not load tracks:', e);
+            tracks = [];
+        }
+        changed();
+    }
+
+    // ==================== RECORDING ====================
+
+    /**
+     * Start a new recording (needs an active GPS source)
+     */
+    function startRecording() {
+        if (typeof GPSModule === 'undefined') return false;
+        const started = GPSModule.startRecording();
+        if (started) changed();
+        return started;
+    }
+
+    function pauseRecording() {
+        const paused = GPSModule.pauseRecording();
+        if (paused) changed();
+        return paused;
+    }
+
+    function resumeRecording() {
+        const resumed = GPSModule.resumeRecording();
+        if (resumed) changed();
+        return resumed;
+    }
+
+    /**
+     * Stop recording and save the track to the library.
+     * Returns the saved track, or null if it was too short to keep.
+     */
+    async function stopRecording(name) {
+        stopping = true;
+        try {
+            GPSModule.stopRecording();
+        } finally {
+            stopping = false;
+        }
+        autoStartBlockedUntil = Date.now() + AUTO_START_COOLDOWN_MS;
+        autoAnchor = null;
+        return saveRecorded(name);
+    }
+
+    /**
+     * Move the GPS module's finished recording into the library
+     */
+    async function saveRecorded(name) {
+        const segments = GPSModule.getRecordedSegments();
+        GPSModule.clearRecordedTrack();
+
+        if (segments.reduce((sum, seg) => sum + seg.length, 0) < 2) {
+            changed();
+            return null;
+        }
+
+        const track = buildTrack({ name, segments, source: 'gps' });
+        await saveTrack(track);
+        return track;
+    }
+
+    function handleGPSUpdate(gpsState) {
+        if (wasRecording && !gpsState.isRecording && !stopping) {
+            saveRecorded().catch(e => console.warn('TracksModule: could not save track:', e));
+        }
+        wasRecording = gpsState.isRecording;
+        checkAutoStart(gpsState);
+    }
+
+    /**
+     * Live statistics for the recording in progress
+     */
+    function getRecordingStats() {
+        if (typeof GPSModule === 'undefined') return null;
+        return computeStats(normalizeSegments(GPSModule.getRecordedSegments()));
+    }
+
+    /**
+     * GPS subscriber: start recording once the user is clearly moving
+     */
+    function checkAutoStart(gpsState) {
+        if (!settings.autoStart || !gpsState.isTracking || gpsState.isRecording) return;
+        const pos = gpsState.currentPosition;
+        if (!pos || Date.now() < autoStartBlockedUntil) return;
+        if (gpsState.accuracy && gpsState.accuracy > AUTO_START_MAX_ACCURACY_M) return;
+
+        if (!autoAnchor) {
+            autoAnchor = { lat: pos.lat, lon: pos.lon };
+            fastFixes = 0;
+            return;
+        }
+
+        fastFixes = gpsState.speed >= AUTO_START_SPEED_MPS ? fastFixes + 1 : 0;
+        const moved = distanceMeters(autoAnchor, pos);
+
+        if (fastFixes >= AUTO_START_FIXES || moved >= AUTO_START_DISTANCE_M) {
+            autoAnchor = null;
+            fastFixes = 0;
+            if (startRecording() && typeof ModalsModule !== 'undefined') {
+                ModalsModule.showToast('Movement detected: track recording started', 'info');
+            }
+        }
+    }
+
+    async function setAutoStart(enabled) {
+        settings.autoStart = !!enabled;
+        autoAnchor = null;
+        fastFixes = 0;
+        autoStartBlockedUntil = 0;
+        try {
+            await Storage.Settings.set(SETTINGS_KEY, settings);
+        } catch (e) {
+            console.warn('TracksModule: could not save settings:', e);
+        }
+        changed();
+    }
+
+    function isAutoStartEnabled() {
+        return settings.autoStart;
+    }
+
+    // ==================== TRACK OBJECTS ====================
+
+    /**
+     * Build a library track from segments of GPS points
+     */
+    function buildTrack({ id, name, notes, color, segments, source } = {}) {
+        const segs = normalizeSegments(segments);
+        const first = segs[0]?.[0];
+        const lastSeg = segs[segs.length - 1];
+        const last = lastSeg?.[lastSeg.length - 1];
+
+        return {
+            id: id || Helpers.generateId(),
+            name: name || defaultName(first?.timestamp),
+            notes: notes || '',
+            color: color || '#22c55e',
+            source: source || 'gps',
+            startTime: first?.timestamp ?? null,
+            endTime: last?.timestamp ?? null,
+            segments: segs,
+            stats: computeStats(segs),
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Points as plain objects with numeric timestamps; empty segments dropped
+     */
+    function normalizeSegments(segments) {
+        return (segments || [])
+            .map(seg => (seg || [])
+                .filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lon))
+                .map(p => {
+                    const t = p.timestamp instanceof Date ? p.timestamp.getTime()
+                        : typeof p.timestamp === 'string' ? Date.parse(p.timestamp) : p.timestamp;
+                    const point = { lat: p.lat, lon: p.lon, timestamp: Number.isFinite(t) ? t : null };
+                    if (Number.isFinite(p.altitude)) point.altitude = p.altitude;
+                    if (Number.isFinite(p.baroAltitude)) point.baroAltitude = p.baroAltitude;
+                    if (Number.isFinite(p.speed)) point.speed = p.speed;
+                    if (Number.isFinite(p.accuracy)) point.accuracy = p.accuracy;
+                    return point;
+                }))
+            .filter(seg => seg.length > 0);
+    }
+
+    /**
+     * Distance, times, speeds and elevation totals for a track.
+     * Pause gaps between segments count toward elapsed time only.
+     */
+    function computeStats(segments) {
+        const stats = {
+            distance: 0,          // meters
+            elapsedTime: 0,       // seconds, first to last point
+            movingTime: 0,        // seconds
+            avgMovingSpeed: 0,    // m/s
+            maxSpeed: 0,          // m/s
+            elevationGain: 0,     // meters
+            elevationLoss: 0,
+            minElevation: null,
+            maxElevation: null,
+            elevationSource: null,
+            pointCount: 0,
+            segmentCount: segments.length
+        };
+
+        let reportedMax = 0;
+        let stepMax = 0;
+
+        segments.forEach(seg => {
+            stats.pointCount += seg.length;
+            for (let i = 1; i < seg.length; i++) {
+                const a = seg[i - 1];
+                const b = seg[i];
+                const d = distanceMeters(a, b);
+                stats.distance += d;
+
+                const dt = a.timestamp !== null && b.timestamp !== null ? (b.timestamp - a.timestamp) / 1000 : 0;
+                if (dt > 0) {
+                    const v = d / dt;
+                    if (v >= MOVING_SPEED_MPS) stats.movingTime += dt;
+                    if (dt >= MIN_SPEED_STEP_S && v <= MAX_PLAUSIBLE_SPEED_MPS) stepMax = Math.max(stepMax, v);
+                }
+            }
+            seg.forEach(p => {
+                if (Number.isFinite(p.speed) && p.speed <= MAX_PLAUSIBLE_SPEED_MPS) reportedMax = Math.max(reportedMax, p.speed);
+            });
+        });
+
+        // Device-reported (Doppler) speed is better than position differencing
+        stats.maxSpeed = reportedMax > 0 ? reportedMax : stepMax;
+        stats.avgMovingSpeed = stats.movingTime > 0 ? stats.distance / stats.movingTime : 0;
+
+        const first = segments[0]?.[0];
+        const lastSeg = segments[segments.length - 1];
+        const last = lastSeg?.[lastSeg.length - 1];
+        if (first?.timestamp && last?.timestamp) {
+            stats.elapsedTime = Math.max(0, (last.timestamp - first.timestamp) / 1000);
+        }
+
+        // Barometer when most points have it, otherwise GPS altitude
+        const all = segments.flat();
+        const baroCount = all.filter(p => Number.isFinite(p.baroAltitude)).length;
+        const gpsCount = all.filter(p => Number.isFinite(p.altitude)).length;
+        let key = null;
+        let threshold = 0;
+        if (baroCount > 0 && baroCount >= all.length / 2) {
+            key = 'baroAltitude';
+            threshold = BARO_HYSTERESIS_M;
+            stats.elevationSource = 'barometer';
+        } else if (gpsCount > 0) {
+            key = 'altitude';
+            threshold = GPS_HYSTERESIS_M;
+            stats.elevationSource = 'gps';
+        }
+
+        if (key) {
+            segments.forEach(seg => {
+                const { gain, loss, min, max } = elevationChange(seg.map(p => p[key]), threshold);
+                stats.elevationGain += gain;
+                stats.elevationLoss += loss;
+                if (min !== null) stats.minElevation = stats.minElevation === null ? min : Math.min(stats.minElevation, min);
+                if (max !== null) stats.maxElevation = stats.maxElevation === null ? max : Math.max(stats.maxElevation, max);
+            });
+        }
+
+        return stats;
+    }
+
+    /**
+     * Climb and descent with a hysteresis band so sensor noise isn't counted
+     */
+    function elevationChange(values, threshold) {
+        let gain = 0, loss = 0, min = null, max = null, ref = null;
+        values.forEach(v => {
+            if (!Number.isFinite(v)) return;
+            min = min === null ? v : Math.min(min, v);
+            max = max === null ? v : Math.max(max, v);
+            if (ref === null) {
+                ref = v;
+            } else if (v - ref >= threshold) {
+                gain += v - ref;
+                ref = v;
+            } else if (ref - v >= threshold) {
+                loss += ref - v;
+                ref = v;
+            }
+        });
+        return { gain, loss, min, max };
+    }
+
+    // ==================== LIBRARY ====================
+
+    function getTracks() {
+        return [...tracks];
+    }
+
+    function getTrack(id) {
+        return tracks.find(t => t.id === id) || null;
+    }
+
+    async function saveTrack(track) {
+        const index = tracks.findIndex(t => t.id === track.id);
+        if (index >= 0) tracks[index] = track;
+        else tracks.push(track);
+        sortTracks();
+        await Storage.Tracks.save(track);
+        changed();
+        return track;
+    }
+
+    /**
+     * Rename or re-color a track, or edit its notes
+     */
+    async function updateTrack(id, updates = {}) {
+        const track = getTrack(id);
+        if (!track) return null;
+        const updated = { ...track };
+        if (typeof updates.name === 'string' && updates.name.trim()) updated.name = updates.name.trim();
+        if (typeof updates.notes === 'string') updated.notes = updates.notes;
+        if (typeof updates.color === 'string') updated.color = updates.color;
+        return saveTrack(updated);
+    }
+
+    async function deleteTrack(id) {
+        if (replay?.trackId === id) stopReplay();
+        if (shownTrackId === id) shownTrackId = null;
+        tracks = tracks.filter(t => t.id !== id);
+        await Storage.Tracks.delete(id);
+        changed();
+    }
+
+    async function deleteAllTracks() {
+        stopReplay();
+        shownTrackId = null;
+        for (const t of tracks) {
+            await Storage.Tracks.delete(t.id);
+        }
+        tracks = [];
+        changed();
+    }
+
+    /**
+     * Copy a track into the route list (e.g. to navigate it back)
+     */
+    async function trackToRoute(id) {
+        const track = getTrack(id);
+        if (!track) return null;
+        const points = track.segments.flat();
+        if (points.length < 2) return null;
+
+        const route = {
+            id: Helpers.generateId(),
+            name: track.name,
+            points: points.map(p => ({
+                lat: p.lat,
+                lon: p.lon,
+                elevation: Number.isFinite(p.altitude) ? p.altitude * 3.28084 : null, // m to ft
+                timestamp: p.timestamp
+            })),
+            distance: (track.stats.distance / METERS_PER_MILE).toFixed(1),
+            duration: typeof GPSModule !== 'undefined' ? GPSModule.formatDuration(track.stats.elapsedTime / 3600) : '',
+            elevation: Math.round(track.stats.elevationGain * 3.28084).toString(),
+            source: 'gps-track',
+            recordedAt: track.startTime ? new Date(track.startTime).toISOString() : null
+        };
+        State.Routes.add(route);
+        await Storage.Routes.save(route);
+        return route;
+    }
+
+    // ==================== EXPORT ====================
+
+    /**
+     * Track objects in the shape the GPX/KML/GeoJSON exporters take
+     */
+    function toExportTracks(ids) {
+        return ids.map(getTrack).filter(Boolean).map(t => ({
+            name: t.name,
+            notes: t.notes,
+            color: t.color,
+            segments: t.segments,
+            points: t.segments.flat()
+        }));
+    }
+
+    /**
+     * Download one or more tracks as 'gpx', 'kml' or 'geojson'
+     */
+    function exportTracks(ids, format) {
+        const list = toExportTracks(ids);
+        if (list.length === 0) throw new Error('No tracks to export');
+
+        const base = list.length === 1 ? safeFilename(list[0].name) : 'griddown-tracks';
+        const options = { name: list.length === 1 ? list[0].name : 'GridDown Tracks', tracks: list };
+
+        switch (format) {
+            case 'gpx':
+                GPXModule.downloadGPX([], [], base + '.gpx', options);
+                break;
+            case 'kml':
+                KMLModule.downloadKML([], [], base + '.kml', options);
+                break;
+            case 'geojson':
+                GeoJSONModule.downloadGeoJSON([], [], base + '.geojson', options);
+                break;
+            default:
+                throw new Error('Unknown export format: ' + format);
+        }
+    }
+
+    function safeFilename(name) {
+        return (name || 'track').replace(/[^a-z0-9_-]+/gi, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'track';
+    }
+
+    // ==================== MAP & REPLAY ====================
+
+    function showTrack(id) {
+        shownTrackId = id;
+        if (!id || replay?.trackId !== id) stopReplay();
+        changed();
+    }
+
+    function getShownTrackId() {
+        return shownTrackId;
+    }
+
+    /**
+     * Start replaying a track from the beginning (paused)
+     */
+    function startReplay(id) {
+        const track = getTrack(id);
+        if (!track || !track.startTime || !track.endTime) return false;
+        stopReplay();
+        shownTrackId = id;
+        replay = { trackId: id, offset: 0, playing: false, speed: REPLAY_SPEEDS[1] };
+        changed();
+        return true;
+    }
+
+    function stopReplay() {
+        if (replayTimer) {
+            clearInterval(replayTimer);
+            replayTimer = null;
+        }
+        if (replay) {
+            replay = null;
+            changed();
+        }
+    }
+
+    function playReplay() {
+        if (!replay) return;
+        const track = getTrack(replay.trackId);
+        const duration = track.endTime - track.startTime;
+        if (replay.offset >= duration) replay.offset = 0;
+        replay.playing = true;
+
+        if (replayTimer) clearInterval(replayTimer);
+        replayTimer = setInterval(() => {
+            replay.offset = Math.min(duration, replay.offset + REPLAY_TICK_MS * replay.speed);
+            if (replay.offset >= duration) pauseReplay();
+            replayMoved();
+        }, REPLAY_TICK_MS);
+        replayMoved();
+    }
+
+    function pauseReplay() {
+        if (replayTimer) {
+            clearInterval(replayTimer);
+            replayTimer = null;
+        }
+        if (replay) {
+            replay.playing = false;
+            replayMoved();
+        }
+    }
+
+    /**
+     * Jump the replay cursor to offsetMs after the track start
+     */
+    function seekReplay(offsetMs) {
+        if (!replay) return;
+        const track = getTrack(replay.trackId);
+        replay.offset = Math.max(0, Math.min(track.endTime - track.startTime, offsetMs));
+        replayMoved();
+    }
+
+    function setReplaySpeed(speed) {
+        if (replay && speed > 0) {
+            replay.speed = speed;
+            replayMoved();
+        }
+    }
+
+    /**
+     * Replay cursor with the interpolated position, or null when not replaying
+     */
+    function getReplayState() {
+        if (!replay) return null;
+        const track = getTrack(replay.trackId);
+        if (!track) return null;
+        return {
+            ...replay,
+            duration: track.endTime - track.startTime,
+            time: track.startTime + replay.offset,
+            position: positionAt(track, track.startTime + replay.offset)
+        };
+    }
+
+    /**
+     * Where the track was at time t (ms). Interpolates within a segment and
+     * holds the last fix through pause gaps.
+     */
+    function positionAt(track, t) {
+        let last = null;
+        for (let s = 0; s < track.segments.length; s++) {
+            const seg = track.segments[s];
+            for (let i = 0; i < seg.length; i++) {
+                const p = seg[i];
+                if (p.timestamp === null) continue;
+                if (p.timestamp > t) {
+                    if (!last || last.segment !== s) {
+                        return last ? last.pos : { lat: p.lat, lon: p.lon, segment: s, index: i };
+                    }
+                    const a = seg[last.index];
+                    const f = (t - a.timestamp) / (p.timestamp - a.timestamp);
+                    return {
+                        lat: a.lat + (p.lat - a.lat) * f,
+                        lon: a.lon + (p.lon - a.lon) * f,
+                        segment: s,
+                        index: last.index
+                    };
+                }
+                last = { segment: s, index: i, pos: { lat: p.lat, lon: p.lon, segment: s, index: i } };
+            }
+        }
+        return last ? last.pos : null;
+    }
+
+    function replayMoved() {
+        if (typeof Events !== 'undefined') Events.emit('tracks:replay', getReplayState());
+        if (typeof MapModule !== 'undefined') MapModule.render();
+    }
+
+    /**
+     * Draw the shown library track and the replay marker
+     */
+    function render(ctx, latLonToPixel) {
+        const track = shownTrackId ? getTrack(shownTrackId) : null;
+        if (!track) return;
+
+        const replayState = replay?.trackId === track.id ? getReplayState() : null;
+        const cursor = replayState?.position;
+
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        track.segments.forEach((seg, s) => {
+            drawLine(ctx, latLonToPixel, seg, track.color, cursor ? 0.35 : 0.9, 4);
+
+            // Replayed portion at full strength
+            if (cursor && s <= cursor.segment) {
+                const done = s < cursor.segment ? seg : seg.slice(0, cursor.index + 1).concat([cursor]);
+                drawLine(ctx, latLonToPixel, done, track.color, 1, 4);
+            }
+        });
+
+        // Start and end markers
+        const first = track.segments[0][0];
+        const lastSeg = track.segments[track.segments.length - 1];
+        drawDot(ctx, latLonToPixel(first.lat, first.lon), 6, '#22c55e');
+        const end = lastSeg[lastSeg.length - 1];
+        drawDot(ctx, latLonToPixel(end.lat, end.lon), 6, '#ef4444');
+
+        if (cursor) {
+            drawDot(ctx, latLonToPixel(cursor.lat, cursor.lon), 9, '#f59e0b');
+        }
+    }
+
+    function drawLine(ctx, latLonToPixel, points, color, alpha, width) {
+        if (points.length < 2) return;
+        ctx.beginPath();
+        points.forEach((p, i) => {
+            const px = latLonToPixel(p.lat, p.lon);
+            if (i === 0) ctx.moveTo(px.x, px.y);
+            else ctx.lineTo(px.x, px.y);
+        });
+        ctx.globalAlpha = alpha;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = width;
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+    }
+
+    function drawDot(ctx, px, radius, color) {
+        ctx.beginPath();
+        ctx.arc(px.x, px.y, radius, 0, Math.PI * 2);
+        ctx.fillStyle = color;
+        ctx.fill();
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+
+    // ==================== HELPERS ====================
+
+    function changed() {
+        if (typeof Events !== 'undefined') Events.emit('tracks:changed', { count: tracks.length });
+        if (typeof MapModule !== 'undefined') MapModule.render();
+    }
+
+    function sortTracks() {
+        tracks.sort((a, b) => (b.startTime || 0) - (a.startTime || 0));
+    }
+
+    function defaultName(time) {
+        const d = time ? new Date(time) : new Date();
+        return 'Track ' + d.toLocaleString();
+    }
+
+    function toRad(deg) {
+        return deg * Math.PI / 180;
+    }
+
+    function distanceMeters(a, b) {
+        const dLat = toRad(b.lat - a.lat);
+        const dLon = toRad(b.lon - a.lon);
+        const h = Math.sin(dLat / 2) ** 2 +
+                  Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+        return EARTH_RADIUS_M * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+    }
+
+    // ==================== PUBLIC API ====================
+
+    return {
+        init,
+        reload,
+        REPLAY_SPEEDS,
+
+        // Recording
+        startRecording,
+        pauseRecording,
+        resumeRecording,
+        stopRecording,
+        getRecordingStats,
+        setAutoStart,
+        isAutoStartEnabled,
+
+        // Tracks and statistics
+        buildTrack,
+        computeStats,
+        getTracks,
+        getTrack,
+        saveTrack,
+        updateTrack,
+        deleteTrack,
+        deleteAllTracks,
+        trackToRoute,
+        exportTracks,
+        toExportTracks,
+
+        // Map and replay
+        showTrack,
+        getShownTrackId,
+        startReplay,
+        stopReplay,
+        playReplay,
+        pauseReplay,
+        seekReplay,
+        setReplaySpeed,
+        getReplayState,
+        positionAt,
+        render
+    };
+})();
+
+window.TracksModule = TracksModule;
@@ -31,6 +31,11 @@ const UndoModule = (function() {
         ROUTE_POINT_ADD: 'route:point:add',
         ROUTE_POINT_DELETE: 'route:point:delete',
         
+        // Areas
+        AREA_ADD: 'area:add',
+        AREA_DELETE: 'area:delete',
+        AREA_EDIT: 'area:edit',
+        
         // Bulk operations
         BULK_WAYPOINT_DELETE: 'waypoint:bulk:delete',
         BULK_ROUTE_DELETE: 'route:bulk:delete',
@@ -210,6 +215,21 @@ const UndoModule = (function() {
                 showToast('Route edit undone', 'success');
                 break;
                 
+            case ActionTypes.AREA_ADD:
+                await undoAreaAdd(action.data);
+                showToast('Area creation undone', 'success');
+                break;
+                
+            case ActionTypes.AREA_DELETE:
+                await undoAreaDelete(action.data);
+                showToast(`Restored "${action.data.area.name}"`, 'success');
+                break;
+                
+            case ActionTypes.AREA_EDIT:
+                await undoAreaEdit(action.data);
+                showToast('Area edit undone', 'success');
+                break;
+                
             case ActionTypes.BULK_WAYPOINT_DELETE:
                 await undoBulkWaypointDelete(action.data);
                 showToast(`Restored ${action.data.waypoints.length} waypoints`, 'success');
@@ -279,6 +299,21 @@ const UndoModule = (function() {
                 showToast('Route edit restored', 'success');
                 break;
                 
+            case ActionTypes.AREA_ADD:
+                await redoAreaAdd(action.data);
+                showToast('Area restored', 'success');
+                break;
+                
+            case ActionTypes.AREA_DELETE:
+                await redoAreaDelete(action.data);
+                showToast(`Deleted "${action.data.area.name}"`, 'success');
+                break;
+                
+            case ActionTypes.AREA_EDIT:
+                await redoAreaEdit(action.data);
+                showToast('Area edit restored', 'success');
+                break;
+                
             case ActionTypes.BULK_WAYPOINT_DELETE:
                 await redoBulkWaypointDelete(action.data);
                 showToast(`Deleted ${action.data.waypoints.length} waypoints`, 'success');
@@ -503,6 +538,46 @@ const UndoModule = (function() {
         }
     }
 
+    // ==========================================
+    // Area Operations
+    // ==========================================
+
+    async function undoAreaAdd(data) {
+        State.Areas.remove(data.area.id, false);
+        await Storage.Areas.delete(data.area.id);
+    }
+
+    async function redoAreaAdd(data) {
+        State.Areas.add(data.area, false);
+        await Storage.Areas.save(data.area);
+    }
+
+    async function undoAreaDelete(data) {
+        const areas = State.get('areas');
+        if (data.index !== undefined && data.index <= areas.length) {
+            areas.splice(data.index, 0, data.area);
+            State.Areas.setAll([...areas]);
+        } else {
+            State.Areas.setAll([...areas, data.area]);
+        }
+        await Storage.Areas.save(data.area);
+    }
+
+    async function redoAreaDelete(data) {
+        State.Areas.remove(data.area.id, false);
+        await Storage.Areas.delete(data.area.id);
+    }
+
+    async function undoAreaEdit(data) {
+        State.Areas.update(data.area.id, data.previousState, false);
+        await Storage.Areas.save(data.previousState);
+    }
+
+    async function redoAreaEdit(data) {
+        State.Areas.update(data.area.id, data.area, false);
+        await Storage.Areas.save(data.area);
+    }
+
     // ==========================================
     // Convenience Methods for Recording Actions
     // ==========================================
@@ -572,6 +647,33 @@ const UndoModule = (function() {
         });
     }
 
+    /**
+     * Record an area being added
+     */
+    function recordAreaAdd(area) {
+        return pushAction(ActionTypes.AREA_ADD, { area: { ...area } });
+    }
+
+    /**
+     * Record an area being deleted
+     */
+    function recordAreaDelete(area, index) {
+        return pushAction(ActionTypes.AREA_DELETE, {
+            area: { ...area },
+            index
+        });
+    }
+
+    /**
+     * Record an area being edited (name, style or shape)
+     */
+    function recordAreaEdit(area, previousState) {
+        return pushAction(ActionTypes.AREA_EDIT, {
+            area: { ...area },
+            previousState: { ...previousState }
+        });
+    }
+
     /**
      * Record multiple waypoints being deleted
      */
@@ -703,6 +805,12 @@ const UndoModule = (function() {
                 return `Delete route "${action.data.route.name}"`;
             case ActionTypes.ROUTE_EDIT:
                 return `Edit route "${action.data.route.name}"`;
+            case ActionTypes.AREA_ADD:
+                return `Add area "${action.data.area.name}"`;
+            case ActionTypes.AREA_DELETE:
+                return `Delete area "${action.data.area.name}"`;
+            case ActionTypes.AREA_EDIT:
+                return `Edit area "${action.data.area.name}"`;
             case ActionTypes.BULK_WAYPOINT_DELETE:
                 return `Delete ${action.data.waypoints.length} waypoints`;
             case ActionTypes.BULK_ROUTE_DELETE:
@@ -755,6 +863,9 @@ const UndoModule = (function() {
         recordRouteAdd,
         recordRouteDelete,
         recordRouteEdit,
+        recordAreaAdd,
+        recordAreaDelete,
+        recordAreaEdit,
         recordBulkWaypointDelete,
         recordBulkRouteDelete,
         recordImportWaypoints,
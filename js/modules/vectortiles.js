@@ -0,0 +1,1355 @@
+/**
+ * GridDown Vector Tile Module - Mapbox Vector Tile (MVT) and PMTiles basemaps
+ *
+ * Renders vector basemaps on the map canvas so large areas fit on a device:
+ *   - Local PMTiles v3 archives loaded from disk (kept as a Blob in IndexedDB,
+ *     read with byte-range slices, never unpacked)
+ *   - Remote PMTiles archives over HTTP range requests
+ *   - XYZ MVT endpoints ({z}/{x}/{y}.pbf templates)
+ *
+ * Tiles are decoded with a small built-in protobuf reader and drawn with a
+ * basic topo style (land cover, water, contours, roads, boundaries) that
+ * understands the OpenMapTiles, Protomaps and Shortbread schemas. Geometry
+ * is rasterized per tile (and re-rasterized from the deepest available zoom
+ * when overzoomed); labels are placed separately in screen space after the
+ * map rotation is removed, so they stay upright and sharp at any bearing.
+ */
+const VectorTileModule = (function() {
+    'use strict';
+
+    // ==================== CONSTANTS ====================
+
+    const DB_NAME = 'griddown-vectortiles';
+    const DB_VERSION = 1;
+    const SOURCES_STORE = 'sources';
+    const SETTINGS_KEY = 'vectorTileSettings';
+
+    // Tiles are rasterized at 2x so fractional zoom scaling stays sharp
+    const RENDER_SIZE = 512;
+
+    const DECODED_CACHE_LIMIT = 96;
+    const DIRECTORY_CACHE_LIMIT = 64;
+    const MAX_LABEL_TILES = 48;
+    const MAX_LABELS = 400;
+
+    // PMTiles v3 header
+    const PMTILES_HEADER_BYTES = 127;
+    const PMTILES_INITIAL_FETCH = 16384;
+
+    const COMPRESSION = { UNKNOWN: 0, NONE: 1, GZIP: 2, BROTLI: 3, ZSTD: 4 };
+    const TILE_TYPE = { UNKNOWN: 0, MVT: 1, PNG: 2, JPEG: 3, WEBP: 4, AVIF: 5 };
+    const TILE_TYPE_NAMES = { 1: 'mvt', 2: 'png', 3: 'jpeg', 4: 'webp', 5: 'avif' };
+
+    // MVT geometry types
+    const GEOM = { POINT: 1, LINE: 2, POLYGON: 3 };
+
+    const COLORS = {
+        land: '#f4f1ea',
+        forest: '#cfe3b5',
+        grass: '#dcebc4',
+        sand: '#f1e6c8',
+        ice: '#f4fbff',
+        wetland: '#d7e8e0',
+        urban: '#ece7e1',
+        water: '#a9cfe4',
+        waterway: '#8cbfe0',
+        contour: 'rgba(160, 110, 60, 0.45)',
+        contourIndex: 'rgba(140, 90, 40, 0.75)',
+        building: '#dcd4cb',
+        casing: '#b9b2a6',
+        motorway: '#f3a86b',
+        primary: '#f8cf8a',
+        secondary: '#fbe7a8',
+        minor: '#ffffff',
+        track: '#a68a64',
+        path: '#8b6f4e',
+        rail: '#9a9a9a',
+        boundary: 'rgba(130, 90, 160, 0.6)',
+        label: '#2b2b2b',
+        labelHalo: 'rgba(255, 255, 255, 0.9)',
+        waterLabel: '#2f6f9f',
+        contourLabel: '#8a5a2b'
+    };
+
+    // Land cover fill order (drawn before water)
+    const LANDCOVER_ORDER = ['urban', 'sand', 'grass', 'forest', 'wetland', 'ice'];
+
+    // Road draw order, minor first so major roads sit on top
+    const ROAD_ORDER = ['path', 'track', 'minor', 'secondary', 'primary', 'motorway'];
+    const ROAD_WIDTHS = { motorway: 3, primary: 2.5, secondary: 2, minor: 1.3, track: 1, path: 0.8 };
+
+    // Label ranks (lower = more important) and the zoom they appear at
+    const PLACE_RANKS = {
+        country: 0, state: 1, province: 1, region: 1,
+        city: 2, town: 3, village: 4,
+        hamlet: 5, suburb: 5, neighbourhood: 5, locality: 5, isolated_dwelling: 5
+    };
+    const RANK_MIN_ZOOM = [2, 4, 5, 8, 11, 13, 13, 13];
+
+    // Layer names across the supported schemas
+    const LAYERS = {
+        water: ['water', 'ocean', 'water_polygons', 'waterarea'],
+        waterway: ['waterway', 'water_lines'],
+        landcover: ['landcover', 'landuse', 'park', 'landuse_overlay', 'natural', 'land', 'sites'],
+        earth: ['earth'],
+        contour: ['contour', 'contours', 'contour_lines', 'contour_line'],
+        building: ['building', 'buildings'],
+        road: ['transportation', 'roads', 'streets', 'road', 'highway'],
+        roadName: ['transportation_name', 'roads', 'streets', 'street_labels', 'road_label'],
+        boundary: ['boundary', 'boundaries', 'admin'],
+        place: ['place', 'places', 'place_labels', 'place_label', 'settlement'],
+        peak: ['mountain_peak', 'peaks', 'pois', 'poi'],
+        waterName: ['water_name', 'water_label', 'water_polygons_labels', 'water_lines_labels']
+    };
+
+    // ==================== STATE ====================
+
+    let db = null;
+    let sources = [];                       // Source records (pmtiles with blob/url, xyz)
+    let settings = {
+        activeSourceId: null,
+        labels: true,
+        contours: true,
+        buildings: true
+    };
+
+    const archives = new Map();             // sourceId -> PMTiles reader
+    const decodedCache = new Map();         // `${sourceId}/${z}/${x}/${y}` -> decoded tile
+    const pendingDecodes = new Map();       // same key -> Promise
+    const textDecoder = typeof TextDecoder !== 'undefined' ? new TextDecoder('utf-8') : null;
+
+    // ==================== INITIALIZATION ====================
+
+    async function init() {
+        try {
+            if (typeof Storage !== 'undefined') {
+                const saved = await Storage.Settings.get(SETTINGS_KEY);
+                if (saved) settings = { ...settings, ...saved };
+            }
+        } catch (e) {
+            console.warn('Could not load vector tile settings:', e);
+        }
+
+        if (typeof indexedDB !== 'undefined') {
+            try {
+                await openDatabase();
+                sources = await getAllSources();
+            } catch (err) {
+                console.warn('VectorTileModule: failed to open database:', err);
+            }
+        }
+
+        if (settings.activeSourceId && !sources.some(s => s.id === settings.activeSourceId)) {
+            settings.activeSourceId = sources.length > 0 ? sources[0].id : null;
+        }
+        console.log(`VectorTileModule initialized (${sources.length} sources)`);
+    }
+
+    async function openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onerror = () => reject(request.error);
+
+            request.onsuccess = () => {
+                db = request.result;
+                resolve(db);
+            };
+
+            request.onupgradeneeded = (event) => {
+                const database = event.target.result;
+                if (!database.objectStoreNames.contains(SOURCES_STORE)) {
+                    database.createObjectStore(SOURCES_STORE, { keyPath: 'id' });
+                }
+            };
+        });
+    }
+
+    function requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async function getAllSources() {
+        if (!db) await openDatabase();
+        return requestToPromise(db.transaction(SOURCES_STORE, 'readonly').objectStore(SOURCES_STORE).getAll());
+    }
+
+    async function putSource(record) {
+        if (!db) await openDatabase();
+        return requestToPromise(db.transaction(SOURCES_STORE, 'readwrite').objectStore(SOURCES_STORE).put(record));
+    }
+
+    async function deleteSourceRecord(id) {
+        if (!db) await openDatabase();
+        return requestToPromise(db.transaction(SOURCES_STORE, 'readwrite').objectStore(SOURCES_STORE).delete(id));
+    }
+
+    async function saveSettings() {
+        try {
+            if (typeof Storage !== 'undefined') {
+                await Storage.Settings.set(SETTINGS_KEY, settings);
+            }
+        } catch (e) {
+            console.warn('Could not save vector tile settings:', e);
+        }
+    }
+
+    // ==================== PROTOBUF ====================
+
+    const { createPbf, readVarint, zigzag, skipField, readString, readPackedVarints } = BinaryUtils;
+
+    // ==================== MVT DECODING ====================
+
+    /**
+     * Decode a Mapbox Vector Tile
+     * @param {ArrayBuffer|Uint8Array} bytes - Uncompressed tile
+     * @returns {Object} { layerName: { name, extent, features: [{ id, type, properties, geometry }] } }
+     */
+    function decodeMVT(bytes) {
+        const pbf = createPbf(bytes);
+        const layers = {};
+
+        while (pbf.pos < pbf.buf.length) {
+            const tag = readVarint(pbf);
+            const field = Math.floor(tag / 8);
+            const wire = tag & 7;
+            if (field === 3 && wire === 2) {
+                const end = readVarint(pbf) + pbf.pos;
+                const layer = readLayer(pbf, end);
+                layers[layer.name] = layer;
+                pbf.pos = end;
+            } else {
+                skipField(pbf, wire);
+            }
+        }
+        return layers;
+    }
+
+    function readLayer(pbf, end) {
+        const layer = { name: '', extent: 4096, version: 1, features: [] };
+        const keys = [];
+        const values = [];
+        const rawFeatures = [];
+
+        while (pbf.pos < end) {
+            const tag = readVarint(pbf);
+            const field = Math.floor(tag / 8);
+            const wire = tag & 7;
+            if (field === 1 && wire === 2) {
+                layer.name = readString(pbf);
+            } else if (field === 2 && wire === 2) {
+                const featureEnd = readVarint(pbf) + pbf.pos;
+                rawFeatures.push(readFeature(pbf, featureEnd));
+                pbf.pos = featureEnd;
+            } else if (field === 3 && wire === 2) {
+                keys.push(readString(pbf));
+            } else if (field === 4 && wire === 2) {
+                const valueEnd = readVarint(pbf) + pbf.pos;
+                values.push(readValue(pbf, valueEnd));
+                pbf.pos = valueEnd;
+            } else if (field === 5 && wire === 0) {
+                layer.extent = readVarint(pbf);
+            } else if (field === 15 && wire === 0) {
+                layer.version = readVarint(pbf);
+            } else {
+                skipField(pbf, wire);
+            }
+        }
+
+        // Features reference keys/values by index, which may follow them in the stream
+        layer.features = rawFeatures.map(raw => {
+            const properties = {};
+            for (let i = 0; i + 1 < raw.tags.length; i += 2) {
+                properties[keys[raw.tags[i]]] = values[raw.tags[i + 1]];
+            }
+            return {
+                id: raw.id,
+                type: raw.type,
+                properties,
+                geometry: decodeGeometry(raw.geometry)
+            };
+        });
+        return layer;
+    }
+
+    function readFeature(pbf, end) {
+        const feature = { id: null, type: 0, tags: [], geometry: [] };
+        while (pbf.pos < end) {
+            const tag = readVarint(pbf);
+            const field = Math.floor(tag / 8);
+            const wire = tag & 7;
+            if (field === 1 && wire === 0) feature.id = readVarint(pbf);
+            else if (field === 2 && wire === 2) feature.tags = readPackedVarints(pbf);
+            else if (field === 3 && wire === 0) feature.type = readVarint(pbf);
+            else if (field === 4 && wire === 2) feature.geometry = readPackedVarints(pbf);
+            else skipField(pbf, wire);
+        }
+        return feature;
+    }
+
+    function readValue(pbf, end) {
+        let value = null;
+        while (pbf.pos < end) {
+            const tag = readVarint(pbf);
+            const field = Math.floor(tag / 8);
+            const wire = tag & 7;
+            if (field === 1 && wire === 2) {
+                value = readString(pbf);
+            } else if (field === 2 && wire === 5) {
+                value = new DataView(pbf.buf.buffer, pbf.buf.byteOffset + pbf.pos, 4).getFloat32(0, true);
+                pbf.pos += 4;
+            } else if (field === 3 && wire === 1) {
+                value = new DataView(pbf.buf.buffer, pbf.buf.byteOffset + pbf.pos, 8).getFloat64(0, true);
+                pbf.pos += 8;
+            } else if ((field === 4 || field === 5) && wire === 0) {
+                value = readVarint(pbf);
+            } else if (field === 6 && wire === 0) {
+                value = zigzag(readVarint(pbf));
+            } else if (field === 7 && wire === 0) {
+                value = readVarint(pbf) !== 0;
+            } else {
+                skipField(pbf, wire);
+            }
+        }
+        return value;
+    }
+
+    /**
+     * Decode MVT geometry commands into rings/lines/points in tile units
+     * @param {number[]} commands
+     * @returns {Array<Array<[number, number]>>}
+     */
+    function decodeGeometry(commands) {
+        const parts = [];
+        let part = null;
+        let x = 0;
+        let y = 0;
+        let i = 0;
+
+        while (i < commands.length) {
+            const command = commands[i++];
+            const id = command & 7;
+            const count = command >> 3;
+
+            if (id === 1 || id === 2) {
+                for (let j = 0; j < count && i + 1 < commands.length; j++) {
+                    x += zigzag(commands[i++]);
+                    y += zigzag(commands[i++]);
+                    if (id === 1) {
+                        if (part) parts.push(part);
+                        part = [[x, y]];
+                    } else if (part) {
+                        part.push([x, y]);
+                    }
+                }
+            } else if (id === 7) {
+                if (part && part.length > 0) part.push([part[0][0], part[0][1]]);
+            } else {
+                break;
+            }
+        }
+        if (part) parts.push(part);
+        return parts;
+    }
+
+    // ==================== PMTILES ====================
+
+    /**
+     * Hilbert-curve tile ID used by PMTiles v3
+     */
+    function zxyToTileId(z, x, y) {
+        if (z > 26) throw new Error('Zoom level exceeds PMTiles limit (26)');
+        const n = Math.pow(2, z);
+        if (x < 0 || y < 0 || x >= n || y >= n) throw new Error('Tile x/y outside zoom level bounds');
+
+        // Number of tiles in all lower zoom levels: (4^z - 1) / 3
+        const base = (Math.pow(4, z) - 1) / 3;
+        let tx = x;
+        let ty = y;
+        let d = 0;
+        for (let s = n / 2; s >= 1; s /= 2) {
+            const rx = (tx & s) > 0 ? 1 : 0;
+            const ry = (ty & s) > 0 ? 1 : 0;
+            d += s * s * ((3 * rx) ^ ry);
+            if (ry === 0) {
+                if (rx === 1) {
+                    tx = s - 1 - tx;
+                    ty = s - 1 - ty;
+                }
+                const t = tx;
+                tx = ty;
+                ty = t;
+            }
+        }
+        return base + d;
+    }
+
+    function readUint64LE(view, offset) {
+        return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 4294967296;
+    }
+
+    /**
+     * Parse the 127-byte PMTiles v3 header
+     */
+    function parsePMTilesHeader(bytes) {
+        const buf = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+        if (buf.length < PMTILES_HEADER_BYTES) throw new Error('File too small to be a PMTiles archive');
+        const magic = String.fromCharCode(...buf.subarray(0, 7));
+        if (magic !== 'PMTiles') throw new Error('Not a PMTiles archive');
+        const version = buf[7];
+        if (version !== 3) throw new Error(`PMTiles version ${version} is not supported (need v3)`);
+
+        const view = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+        return {
+            version,
+            rootDirectoryOffset: readUint64LE(view, 8),
+            rootDirectoryLength: readUint64LE(view, 16),
+            metadataOffset: readUint64LE(view, 24),
+            metadataLength: readUint64LE(view, 32),
+            leafDirectoryOffset: readUint64LE(view, 40),
+            leafDirectoryLength: readUint64LE(view, 48),
+            tileDataOffset: readUint64LE(view, 56),
+            tileDataLength: readUint64LE(view, 64),
+            addressedTiles: readUint64LE(view, 72),
+            tileEntries: readUint64LE(view, 80),
+            tileContents: readUint64LE(view, 88),
+            clustered: buf[96] === 1,
+            internalCompression: buf[97],
+            tileCompression: buf[98],
+            tileType: buf[99],
+            minZoom: buf[100],
+            maxZoom: buf[101],
+            bounds: {
+                west: view.getInt32(102, true) / 1e7,
+                south: view.getInt32(106, true) / 1e7,
+                east: view.getInt32(110, true) / 1e7,
+                north: view.getInt32(114, true) / 1e7
+            },
+            centerZoom: buf[118],
+            centerLon: view.getInt32(119, true) / 1e7,
+            centerLat: view.getInt32(123, true) / 1e7
+        };
+    }
+
+    /**
+     * Deserialize a (decompressed) PMTiles directory
+     * @returns {Array<{tileId, offset, length, runLength}>}
+     */
+    function parseDirectory(bytes) {
+        const pbf = createPbf(bytes);
+        const count = readVarint(pbf);
+        const entries = [];
+
+        let lastId = 0;
+        for (let i = 0; i < count; i++) {
+            lastId += readVarint(pbf);
+            entries.push({ tileId: lastId, offset: 0, length: 0, runLength: 1 });
+        }
+        for (let i = 0; i < count; i++) entries[i].runLength = readVarint(pbf);
+        for (let i = 0; i < count; i++) entries[i].length = readVarint(pbf);
+        for (let i = 0; i < count; i++) {
+            const v = readVarint(pbf);
+            entries[i].offset = (v === 0 && i > 0)
+                ? entries[i - 1].offset + entries[i - 1].length
+                : v - 1;
+        }
+        return entries;
+    }
+
+    /**
+     * Find the directory entry for a tile ID (tile run or leaf directory)
+     */
+    function findEntry(entries, tileId) {
+        let lo = 0;
+        let hi = entries.length - 1;
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            const cmp = tileId - entries[mid].tileId;
+            if (cmp > 0) lo = mid + 1;
+            else if (cmp < 0) hi = mid - 1;
+            else return entries[mid];
+        }
+
+        // Not an exact hit: the preceding entry may be a leaf or a run covering it
+        if (hi >= 0) {
+            const entry = entries[hi];
+            if (entry.runLength === 0) return entry;
+            if (tileId - entry.tileId < entry.runLength) return entry;
+        }
+        return null;
+    }
+
+    async function decompress(bytes, compression) {
+        if (compression === COMPRESSION.NONE || compression === COMPRESSION.UNKNOWN) {
+            // Some servers gzip tiles without saying so
+            if (compression === COMPRESSION.UNKNOWN && bytes[0] === 0x1f && bytes[1] === 0x8b) {
+                return decompress(bytes, COMPRESSION.GZIP);
+            }
+            return bytes;
+        }
+        if (compression === COMPRESSION.GZIP) {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('This browser cannot decompress gzip tiles');
+            }
+            const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+        throw new Error('Unsupported PMTiles compression (only none and gzip are supported)');
+    }
+
+    /**
+     * Byte-range reader for a Blob/File
+     */
+    function blobRangeReader(blob) {
+        return async (offset, length) => new Uint8Array(await blob.slice(offset, offset + length).arrayBuffer());
+    }
+
+    /**
+     * Byte-range reader for a URL (HTTP Range requests)
+     */
+    function urlRangeReader(url) {
+        return async (offset, length) => {
+            const response = await fetch(url, { headers: { Range: `bytes=${offset}-${offset + length - 1}` } });
+            if (!response.ok) throw new Error(`PMTiles request failed: HTTP ${response.status}`);
+            const bytes = new Uint8Array(await response.arrayBuffer());
+            // Servers without range support return the whole file
+            return response.status === 200 ? bytes.subarray(offset, offset + length) : bytes;
+        };
+    }
+
+    /**
+     * Open a PMTiles archive
+     * @param {Function} getBytes - (offset, length) => Promise<Uint8Array>
+     */
+    async function openPMTiles(getBytes) {
+        const head = await getBytes(0, PMTILES_INITIAL_FETCH);
+        const header = parsePMTilesHeader(head);
+        const reader = { header, getBytes, directories: new Map() };
+
+        // The root directory normally sits inside the initial fetch
+        const rootEnd = header.rootDirectoryOffset + header.rootDirectoryLength;
+        if (rootEnd <= head.length) {
+            const rootBytes = head.slice(header.rootDirectoryOffset, rootEnd);
+            reader.directories.set(header.rootDirectoryOffset,
+                parseDirectory(await decompress(rootBytes, header.internalCompression)));
+        }
+        return reader;
+    }
+
+    async function getDirectory(reader, offset, length) {
+        if (reader.directories.has(offset)) return reader.directories.get(offset);
+        const bytes = await reader.getBytes(offset, length);
+        const entries = parseDirectory(await decompress(bytes, reader.header.internalCompression));
+        reader.directories.set(offset, entries);
+        if (reader.directories.size > DIRECTORY_CACHE_LIMIT) {
+            // Keep the root directory, drop the oldest leaf
+            for (const key of reader.directories.keys()) {
+                if (key !== reader.header.rootDirectoryOffset) {
+                    reader.directories.delete(key);
+                    break;
+                }
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Read one tile from a PMTiles archive
+     * @returns {Promise<Uint8Array|null>} Decompressed tile bytes, null if absent
+     */
+    async function getPMTilesTile(reader, z, x, y) {
+        const { header } = reader;
+        const tileId = zxyToTileId(z, x, y);
+        let offset = header.rootDirectoryOffset;
+        let length = header.rootDirectoryLength;
+
+        for (let depth = 0; depth < 4; depth++) {
+            const entries = await getDirectory(reader, offset, length);
+            const entry = findEntry(entries, tileId);
+            if (!entry) return null;
+
+            if (entry.runLength > 0) {
+                const bytes = await reader.getBytes(header.tileDataOffset + entry.offset, entry.length);
+                return decompress(bytes, header.tileCompression);
+            }
+            offset = header.leafDirectoryOffset + entry.offset;
+            length = entry.length;
+        }
+        return null;
+    }
+
+    async function readPMTilesMetadata(reader) {
+        const { header } = reader;
+        if (!header.metadataLength) return {};
+        try {
+            const bytes = await reader.getBytes(header.metadataOffset, header.metadataLength);
+            const json = await decompress(bytes, header.internalCompression);
+            return JSON.parse(textDecoder ? textDecoder.decode(json) : String.fromCharCode(...json));
+        } catch (e) {
+            console.warn('Could not read PMTiles metadata:', e);
+            return {};
+        }
+    }
+
+    async function getArchive(source) {
+        if (archives.has(source.id)) return archives.get(source.id);
+        const getBytes = source.blob ? blobRangeReader(source.blob) : urlRangeReader(source.url);
+        const reader = await openPMTiles(getBytes);
+        archives.set(source.id, reader);
+        return reader;
+    }
+
+    // ==================== SOURCES ====================
+
+    /**
+     * Raw (decompressed) tile bytes from a source
+     */
+    async function getTileData(source, z, x, y) {
+        if (source.type === 'pmtiles') {
+            return getPMTilesTile(await getArchive(source), z, x, y);
+        }
+        if (source.type === 'mbtiles') {
+            if (typeof MBTilesModule === 'undefined') return null;
+            const bytes = await MBTilesModule.getTileData(source.packId, z, x, y);
+            return bytes ? decompress(bytes, COMPRESSION.UNKNOWN) : null;
+        }
+
+        const url = source.url
+            .replace('{z}', z)
+            .replace('{x}', x)
+            .replace('{y}', y);
+        const response = await fetch(url);
+        if (response.status === 404 || response.status === 204) return null;
+        if (!response.ok) throw new Error(`Vector tile request failed: HTTP ${response.status}`);
+        return decompress(new Uint8Array(await response.arrayBuffer()), COMPRESSION.UNKNOWN);
+    }
+
+    /**
+     * Add a PMTiles archive from a local file
+     * @param {File} file
+     * @returns {Promise<Object>} Source record
+     */
+    async function addArchiveFile(file) {
+        const reader = await openPMTiles(blobRangeReader(file));
+        return registerArchive(reader, { blob: file, name: file.name, size: file.size });
+    }
+
+    /**
+     * Add a remote source: a .pmtiles URL or an XYZ MVT template
+     * @param {string} url
+     * @param {Object} options - { name, maxZoom }
+     */
+    async function addRemoteSource(url, options = {}) {
+        const trimmed = (url || '').trim();
+        if (!/^https?:\/\//i.test(trimmed)) throw new Error('Enter an http(s) URL');
+
+        if (/\.pmtiles(\?|$)/i.test(trimmed)) {
+            const reader = await openPMTiles(urlRangeReader(trimmed));
+            return registerArchive(reader, { url: trimmed, name: options.name || trimmed.split('/').pop() });
+        }
+
+        if (!trimmed.includes('{z}') || !trimmed.includes('{x}') || !trimmed.includes('{y}')) {
+            throw new Error('Tile URL must contain {z}, {x} and {y}');
+        }
+
+        const source = {
+            id: Helpers.generateId(),
+            type: 'xyz',
+            name: options.name || new URL(trimmed.replace(/[{}]/g, '')).hostname,
+            url: trimmed,
+            tileType: 'mvt',
+            minZoom: 0,
+            maxZoom: options.maxZoom || 14,
+            bounds: null,
+            attribution: options.attribution || '© OpenStreetMap contributors',
+            addedAt: new Date().toISOString()
+        };
+        return storeSource(source);
+    }
+
+    /**
+     * Add a vector MBTiles pack (tiles are read through MBTilesModule)
+     * @param {Object} pack - Pack record from MBTilesModule.importFile()
+     */
+    async function addMBTilesSource(pack) {
+        const source = {
+            id: Helpers.generateId(),
+            type: 'mbtiles',
+            packId: pack.id,
+            name: pack.name,
+            size: pack.size,
+            tileType: 'mvt',
+            minZoom: pack.minZoom,
+            maxZoom: pack.maxZoom,
+            bounds: pack.bounds,
+            attribution: pack.attribution || '© OpenStreetMap contributors',
+            addedAt: new Date().toISOString()
+        };
+        return storeSource(source);
+    }
+
+    async function registerArchive(reader, { blob = null, url = null, name, size = null }) {
+        const { header } = reader;
+        const tileType = TILE_TYPE_NAMES[header.tileType];
+        if (!tileType || tileType === 'avif') {
+            throw new Error('Archive tile type is not supported (need MVT, PNG, JPEG or WebP)');
+        }
+        if (header.tileCompression === COMPRESSION.BROTLI || header.tileCompression === COMPRESSION.ZSTD ||
+            header.internalCompression === COMPRESSION.BROTLI || header.internalCompression === COMPRESSION.ZSTD) {
+            throw new Error('Archive uses brotli/zstd compression; re-export with gzip');
+        }
+
+        const metadata = await readPMTilesMetadata(reader);
+        const source = {
+            id: Helpers.generateId(),
+            type: 'pmtiles',
+            name: metadata.name || (name || 'Vector map').replace(/\.pmtiles$/i, ''),
+            blob,
+            url,
+            size,
+            tileType,
+            minZoom: header.minZoom,
+            maxZoom: header.maxZoom,
+            bounds: header.bounds,
+            center: { lat: header.centerLat, lon: header.centerLon, zoom: header.centerZoom },
+            attribution: stripTags(metadata.attribution) || '© OpenStreetMap contributors',
+            layers: Array.isArray(metadata.vector_layers) ? metadata.vector_layers.map(l => l.id) : [],
+            addedAt: new Date().toISOString()
+        };
+        archives.set(source.id, reader);
+        return storeSource(source);
+    }
+
+    async function storeSource(source) {
+        await putSource(source);
+        sources.push(source);
+        if (!settings.activeSourceId) {
+            settings.activeSourceId = source.id;
+            await saveSettings();
+        }
+        refreshMap();
+        return source;
+    }
+
+    async function removeSource(id) {
+        await deleteSourceRecord(id);
+        sources = sources.filter(s => s.id !== id);
+        archives.delete(id);
+        clearDecoded(id);
+        if (settings.activeSourceId === id) {
+            settings.activeSourceId = sources.length > 0 ? sources[0].id : null;
+            await saveSettings();
+        }
+        refreshMap();
+    }
+
+    async function setActiveSource(id) {
+        if (!sources.some(s => s.id === id)) throw new Error('Vector source not found');
+        settings.activeSourceId = id;
+        await saveSettings();
+        refreshMap();
+    }
+
+    function getActiveSource() {
+        return sources.find(s => s.id === settings.activeSourceId) || null;
+    }
+
+    function getSources() {
+        return sources.map(({ blob, ...rest }) => ({ ...rest, local: !!blob }));
+    }
+
+    function hasSource() {
+        return !!getActiveSource();
+    }
+
+    function getAttribution() {
+        const source = getActiveSource();
+        return source ? source.attribution : '';
+    }
+
+    function getSettings() {
+        return { ...settings };
+    }
+
+    async function setSetting(key, value) {
+        if (!(key in settings) || key === 'activeSourceId') return;
+        settings[key] = value;
+        await saveSettings();
+        refreshMap();
+    }
+
+    function stripTags(text) {
+        return typeof text === 'string' ? text.replace(/<[^>]*>/g, '').trim() : '';
+    }
+
+    function clearDecoded(sourceId) {
+        for (const key of Array.from(decodedCache.keys())) {
+            if (key.startsWith(sourceId + '/')) decodedCache.delete(key);
+        }
+    }
+
+    /**
+     * Drop rendered vector tiles so the map redraws with new data/style
+     */
+    function refreshMap() {
+        if (typeof MapModule !== 'undefined' && MapModule.invalidateLayer) {
+            MapModule.invalidateLayer('vector');
+        }
+    }
+
+    // ==================== STYLE ====================
+
+    function propKind(props) {
+        return props.class || props.kind || props['pmap:kind'] || props.subclass || props.type || props.highway || '';
+    }
+
+    /**
+     * Normalize a road feature to a style class
+     * @returns {string|null} motorway|primary|secondary|minor|track|path|rail, or null to skip
+     */
+    function classifyRoad(props) {
+        const kind = String(propKind(props)).toLowerCase();
+        const detail = String(props.kind_detail || props.subclass || '').toLowerCase();
+
+        if (['motorway', 'highway', 'trunk', 'motorway_link', 'trunk_link'].includes(kind)) return 'motorway';
+        if (['primary', 'primary_link', 'major_road'].includes(kind)) {
+            return detail === 'secondary' || detail === 'tertiary' ? 'secondary' : 'primary';
+        }
+        if (['secondary', 'secondary_link', 'tertiary', 'tertiary_link', 'medium_road'].includes(kind)) return 'secondary';
+        if (['minor', 'minor_road', 'residential', 'unclassified', 'service', 'street', 'street_limited',
+            'living_street', 'road', 'busway', 'raceway', 'other'].includes(kind)) {
+            return detail === 'track' ? 'track' : 'minor';
+        }
+        if (kind === 'track') return 'track';
+        if (['path', 'footway', 'cycleway', 'bridleway', 'steps', 'pedestrian', 'trail'].includes(kind)) return 'path';
+        if (['rail', 'railway', 'transit', 'subway', 'light_rail', 'tram', 'narrow_gauge'].includes(kind)) return 'rail';
+        return null;
+    }
+
+    /**
+     * Normalize a land cover / land use feature to a fill class
+     */
+    function classifyLandcover(props) {
+        const kind = String(propKind(props)).toLowerCase();
+        if (['wood', 'forest', 'orchard', 'vineyard', 'tree'].includes(kind)) return 'forest';
+        if (['grass', 'grassland', 'park', 'meadow', 'heath', 'scrub', 'farmland', 'farm', 'nature_reserve',
+            'national_park', 'protected_area', 'garden', 'recreation_ground', 'golf_course', 'pitch', 'cemetery'].includes(kind)) {
+            return 'grass';
+        }
+        if (['sand', 'beach', 'bare_rock', 'rock', 'scree', 'desert', 'quarry'].includes(kind)) return 'sand';
+        if (['glacier', 'ice'].includes(kind)) return 'ice';
+        if (['wetland', 'marsh', 'swamp', 'bog'].includes(kind)) return 'wetland';
+        if (['residential', 'commercial', 'industrial', 'retail', 'urban', 'urban_area', 'military'].includes(kind)) return 'urban';
+        return null;
+    }
+
+    function placeRank(props) {
+        const kind = String(props.class || props.kind_detail || props.place || props.kind || '').toLowerCase();
+        if (kind in PLACE_RANKS) return PLACE_RANKS[kind];
+        if (kind === 'locality' || kind === 'neighborhood' || kind === 'macrohood') return 5;
+        return 4;
+    }
+
+    function featureName(props) {
+        return props.name || props['name:latin'] || props.name_en || props['name:en'] || props.name_int || '';
+    }
+
+    function contourElevation(props) {
+        const v = props.ele ?? props.elevation ?? props.height ?? props.elev;
+        return typeof v === 'number' ? v : (v !== undefined ? parseFloat(v) : NaN);
+    }
+
+    function isIndexContour(props, ele) {
+        if (props.index !== undefined) return !!props.index && props.index !== 'no';
+        if (props.idx !== undefined) return !!props.idx;
+        if (props.nth_line !== undefined) return props.nth_line === 5 || props.nth_line === 10;
+        if (props.level !== undefined) return props.level === 1;
+        return Number.isFinite(ele) && ele % 100 === 0;
+    }
+
+    function roadWidth(cls, zoom) {
+        const base = ROAD_WIDTHS[cls] || 1;
+        const factor = Math.max(0.35, Math.min(3, Math.pow(2, (zoom - 13) / 2)));
+        return base * factor * (RENDER_SIZE / 256);
+    }
+
+    // ==================== TILE PREPARATION ====================
+
+    function tilePointToLatLon(z, x, y, px, py, extent) {
+        const n = Math.pow(2, z);
+        const lon = (x + px / extent) / n * 360 - 180;
+        const latRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * (y + py / extent) / n)));
+        return { lat: latRad * 180 / Math.PI, lon };
+    }
+
+    function hasLayer(group, name) {
+        return LAYERS[group].includes(name);
+    }
+
+    /**
+     * Extract label candidates from a decoded tile
+     */
+    function extractLabels(layers, z, x, y) {
+        const labels = [];
+
+        for (const [name, layer] of Object.entries(layers)) {
+            const extent = layer.extent;
+            for (const f of layer.features) {
+                const props = f.properties;
+                const text = featureName(props);
+
+                if (f.type === GEOM.POINT && hasLayer('place', name) && text) {
+                    const rank = placeRank(props);
+                    const [px, py] = f.geometry[0]?.[0] || [];
+                    if (px === undefined) continue;
+                    const pos = tilePointToLatLon(z, x, y, px, py, extent);
+                    const minZoom = typeof props.min_zoom === 'number' ? props.min_zoom : RANK_MIN_ZOOM[rank];
+                    labels.push({ kind: 'place', text, rank, minZoom, ...pos });
+                } else if (f.type === GEOM.POINT && hasLayer('peak', name) &&
+                    (name === 'mountain_peak' || name === 'peaks' || propKind(props) === 'peak') && text) {
+                    const [px, py] = f.geometry[0]?.[0] || [];
+                    if (px === undefined) continue;
+                    const ele = contourElevation(props);
+                    const pos = tilePointToLatLon(z, x, y, px, py, extent);
+                    labels.push({
+                        kind: 'peak',
+                        text: Number.isFinite(ele) ? `${text} (${Math.round(ele).toLocaleString()} m)` : text,
+                        rank: 5, minZoom: 11, ...pos
+                    });
+                } else if (f.type === GEOM.LINE && hasLayer('roadName', name) && (text || props.ref)) {
+                    const anchor = lineAnchor(f.geometry);
+                    if (!anchor) continue;
+                    const a = tilePointToLatLon(z, x, y, anchor.x1, anchor.y1, extent);
+                    const b = tilePointToLatLon(z, x, y, anchor.x2, anchor.y2, extent);
+                    labels.push({
+                        kind: 'road', text: text || String(props.ref), rank: 6, minZoom: 13,
+                        lat: (a.lat + b.lat) / 2, lon: (a.lon + b.lon) / 2,
+                        lat1: a.lat, lon1: a.lon, lat2: b.lat, lon2: b.lon
+                    });
+                } else if (f.type === GEOM.LINE && hasLayer('contour', name)) {
+                    const ele = contourElevation(props);
+                    if (!Number.isFinite(ele) || !isIndexContour(props, ele)) continue;
+                    const anchor = lineAnchor(f.geometry);
+                    if (!anchor) continue;
+                    const a = tilePointToLatLon(z, x, y, anchor.x1, anchor.y1, extent);
+                    const b = tilePointToLatLon(z, x, y, anchor.x2, anchor.y2, extent);
+                    labels.push({
+                        kind: 'contour', text: String(Math.round(ele)), rank: 7, minZoom: 12,
+                        lat: (a.lat + b.lat) / 2, lon: (a.lon + b.lon) / 2,
+                        lat1: a.lat, lon1: a.lon, lat2: b.lat, lon2: b.lon
+                    });
+                } else if (f.type === GEOM.POINT && hasLayer('waterName', name) && text) {
+                    const [px, py] = f.geometry[0]?.[0] || [];
+                    if (px === undefined) continue;
+                    labels.push({ kind: 'water', text, rank: 4, minZoom: 8, ...tilePointToLatLon(z, x, y, px, py, extent) });
+                }
+            }
+        }
+        return labels;
+    }
+
+    /**
+     * Longest segment of a line, used to anchor and orient its label
+     */
+    function lineAnchor(parts) {
+        let best = null;
+        let bestLen = 0;
+        for (const part of parts) {
+            for (let i = 1; i < part.length; i++) {
+                const dx = part[i][0] - part[i - 1][0];
+                const dy = part[i][1] - part[i - 1][1];
+                const len = dx * dx + dy * dy;
+                if (len > bestLen) {
+                    bestLen = len;
+                    best = { x1: part[i - 1][0], y1: part[i - 1][1], x2: part[i][0], y2: part[i][1] };
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Fetch and decode a tile, sharing in-flight work
+     */
+    function getDecodedTile(source, z, x, y) {
+        const key = `${source.id}/${z}/${x}/${y}`;
+        if (decodedCache.has(key)) return Promise.resolve(decodedCache.get(key));
+        if (pendingDecodes.has(key)) return pendingDecodes.get(key);
+
+        const promise = (async () => {
+            const bytes = await getTileData(source, z, x, y);
+            let decoded = null;
+            if (bytes && bytes.length > 0) {
+                if (source.tileType === 'mvt') {
+                    const layers = decodeMVT(bytes);
+                    decoded = { type: 'mvt', layers, labels: extractLabels(layers, z, x, y) };
+                } else {
+                    decoded = { type: 'raster', image: await createImageBitmap(new Blob([bytes])) };
+                }
+            }
+            decodedCache.set(key, decoded);
+            while (decodedCache.size > DECODED_CACHE_LIMIT) {
+                const oldest = decodedCache.keys().next().value;
+                const entry = decodedCache.get(oldest);
+                if (entry && entry.image && entry.image.close) entry.image.close();
+                decodedCache.delete(oldest);
+            }
+            return decoded;
+        })();
+
+        pendingDecodes.set(key, promise);
+        promise.then(() => pendingDecodes.delete(key), () => pendingDecodes.delete(key));
+        return promise;
+    }
+
+    // ==================== RENDERING ====================
+
+    function tracePath(ctx, parts, k, ox, oy, close) {
+        for (const part of parts) {
+            if (part.length === 0) continue;
+            ctx.moveTo((part[0][0] - ox) * k, (part[0][1] - oy) * k);
+            for (let i = 1; i < part.length; i++) {
+                ctx.lineTo((part[i][0] - ox) * k, (part[i][1] - oy) * k);
+            }
+            if (close) ctx.closePath();
+        }
+    }
+
+    /**
+     * Sort a tile's features into style buckets
+     */
+    function bucketFeatures(layers) {
+        const buckets = {
+            earth: [], water: [], waterway: [], contour: [], contourIndex: [],
+            building: [], boundary: [], rail: [], fills: {}, roads: {}
+        };
+        LANDCOVER_ORDER.forEach(k => { buckets.fills[k] = []; });
+        ROAD_ORDER.forEach(k => { buckets.roads[k] = []; });
+
+        for (const [name, layer] of Object.entries(layers)) {
+            for (const f of layer.features) {
+                const props = f.properties;
+                const item = { geometry: f.geometry, extent: layer.extent };
+
+                if (f.type === GEOM.POLYGON) {
+                    if (hasLayer('water', name)) buckets.water.push(item);
+                    else if (hasLayer('earth', name)) buckets.earth.push(item);
+                    else if (hasLayer('building', name)) buckets.building.push(item);
+                    else if (hasLayer('landcover', name)) {
+                        const cls = classifyLandcover(props);
+                        if (cls) buckets.fills[cls].push(item);
+                    }
+                } else if (f.type === GEOM.LINE) {
+                    if (hasLayer('waterway', name) || hasLayer('water', name)) {
+                        buckets.waterway.push(item);
+                    } else if (hasLayer('contour', name)) {
+                        const ele = contourElevation(props);
+                        (isIndexContour(props, ele) ? buckets.contourIndex : buckets.contour).push(item);
+                    } else if (hasLayer('boundary', name)) {
+                        const level = props.admin_level ?? props.kind_detail;
+                        if (level === undefined || Number(level) <= 4) buckets.boundary.push(item);
+                    } else if (hasLayer('road', name)) {
+                        const cls = classifyRoad(props);
+                        if (cls === 'rail') buckets.rail.push(item);
+                        else if (cls) buckets.roads[cls].push(item);
+                    }
+                }
+            }
+        }
+        return buckets;
+    }
+
+    /**
+     * Draw a decoded vector tile onto a canvas context
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Object} decoded - From getDecodedTile()
+     * @param {Object} view - { zoom, dz, subX, subY } overzoom placement of the requested tile
+     */
+    function drawVectorTile(ctx, decoded, view) {
+        const { zoom, dz = 0, subX = 0, subY = 0 } = view;
+        const px = RENDER_SIZE / 256;
+
+        ctx.fillStyle = COLORS.land;
+        ctx.fillRect(0, 0, RENDER_SIZE, RENDER_SIZE);
+        if (!decoded) return;
+
+        const buckets = bucketFeatures(decoded.layers);
+        const scale = Math.pow(2, dz);
+
+        const fill = (items, color) => {
+            if (items.length === 0) return;
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            for (const it of items) {
+                const k = RENDER_SIZE / it.extent * scale;
+                tracePath(ctx, it.geometry, k, subX * it.extent / scale, subY * it.extent / scale, true);
+            }
+            ctx.fill();
+        };
+
+        const stroke = (items, color, width, dash = null) => {
+            if (items.length === 0) return;
+            ctx.strokeStyle = color;
+            ctx.lineWidth = width;
+            ctx.setLineDash(dash || []);
+            ctx.beginPath();
+            for (const it of items) {
+                const k = RENDER_SIZE / it.extent * scale;
+                tracePath(ctx, it.geometry, k, subX * it.extent / scale, subY * it.extent / scale, false);
+            }
+            ctx.stroke();
+        };
+
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        fill(buckets.earth, COLORS.land);
+        LANDCOVER_ORDER.forEach(cls => fill(buckets.fills[cls], COLORS[cls]));
+        fill(buckets.water, COLORS.water);
+        stroke(buckets.waterway, COLORS.waterway, Math.max(1, zoom - 10) * 0.6 * px);
+
+        if (settings.contours) {
+            stroke(buckets.contour, COLORS.contour, 0.7 * px);
+            stroke(buckets.contourIndex, COLORS.contourIndex, 1.3 * px);
+        }
+
+        if (settings.buildings && zoom >= 14) {
+            fill(buckets.building, COLORS.building);
+        }
+
+        // Road casings, then fills, minor to major
+        ROAD_ORDER.forEach(cls => {
+            if (cls === 'path' || cls === 'track') return;
+            stroke(buckets.roads[cls], COLORS.casing, roadWidth(cls, zoom) + 1.5 * px);
+        });
+        ROAD_ORDER.forEach(cls => {
+            const dash = (cls === 'path' || cls === 'track') ? [3 * px, 2 * px] : null;
+            stroke(buckets.roads[cls], COLORS[cls], roadWidth(cls, zoom), dash);
+        });
+        stroke(buckets.rail, COLORS.rail, 1.2 * px, [5 * px, 3 * px]);
+        stroke(buckets.boundary, COLORS.boundary, 1.2 * px, [6 * px, 3 * px, 1.5 * px, 3 * px]);
+        ctx.setLineDash([]);
+    }
+
+    function createCanvas(size) {
+        if (typeof document !== 'undefined' && document.createElement) {
+            const canvas = document.createElement('canvas');
+            canvas.width = size;
+            canvas.height = size;
+            return canvas;
+        }
+        return new OffscreenCanvas(size, size);
+    }
+
+    /**
+     * Render a map tile for the active source
+     * Zoom levels past the source's max zoom are re-rasterized from the
+     * deepest available tile, so overzoomed geometry stays sharp.
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    async function renderTile(z, x, y) {
+        const source = getActiveSource();
+        const canvas = createCanvas(RENDER_SIZE);
+        const ctx = canvas.getContext('2d');
+
+        if (!source) {
+            ctx.fillStyle = COLORS.land;
+            ctx.fillRect(0, 0, RENDER_SIZE, RENDER_SIZE);
+            return canvas;
+        }
+
+        const dz = Math.max(0, z - source.maxZoom);
+        const pz = z - dz;
+        const px = x >> dz;
+        const py = y >> dz;
+        const subX = x - (px << dz);
+        const subY = y - (py << dz);
+
+        let decoded = null;
+        if (pz >= (source.minZoom || 0)) {
+            decoded = await getDecodedTile(source, pz, px, py);
+        }
+
+        if (decoded && decoded.type === 'raster') {
+            const size = decoded.image.width / Math.pow(2, dz);
+            ctx.drawImage(decoded.image, subX * size, subY * size, size, size, 0, 0, RENDER_SIZE, RENDER_SIZE);
+        } else {
+            drawVectorTile(ctx, decoded, { zoom: z, dz, subX, subY });
+        }
+        return canvas;
+    }
+
+    /**
+     * Tiles covering bounds at a zoom level (capped)
+     */
+    function tilesForBounds(bounds, z) {
+        const n = Math.pow(2, z);
+        const toX = lon => Math.floor((lon + 180) / 360 * n);
+        const toY = lat => {
+            const r = Math.max(-85.0511, Math.min(85.0511, lat)) * Math.PI / 180;
+            return Math.floor((1 - Math.log(Math.tan(r) + 1 / Math.cos(r)) / Math.PI) / 2 * n);
+        };
+        const tiles = [];
+        const y0 = Math.max(0, toY(bounds.north));
+        const y1 = Math.min(n - 1, toY(bounds.south));
+        for (let x = toX(bounds.west); x <= toX(bounds.east); x++) {
+            for (let y = y0; y <= y1; y++) {
+                tiles.push({ z, x: ((x % n) + n) % n, y });
+                if (tiles.length >= MAX_LABEL_TILES) return tiles;
+            }
+        }
+        return tiles;
+    }
+
+    /**
+     * Screen-space axis-aligned box of a (possibly rotated) label
+     */
+    function labelBox(x, y, w, h, angle) {
+        const cos = Math.abs(Math.cos(angle));
+        const sin = Math.abs(Math.sin(angle));
+        const bw = w * cos + h * sin;
+        const bh = w * sin + h * cos;
+        return { x1: x - bw / 2, y1: y - bh / 2, x2: x + bw / 2, y2: y + bh / 2 };
+    }
+
+    function boxesOverlap(a, b) {
+        return a.x1 < b.x2 && a.x2 > b.x1 && a.y1 < b.y2 && a.y2 > b.y1;
+    }
+
+    /**
+     * Draw labels for the visible area in screen space (call outside the
+     * rotated map context so text stays upright).
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Function} latLonToPixel - Returns screen coordinates
+     * @param {Object} view - { bounds, zoom, width, height }
+     */
+    function renderLabels(ctx, latLonToPixel, view) {
+        const source = getActiveSource();
+        if (!settings.labels || !source || source.tileType !== 'mvt' || !view.bounds) return;
+
+        const z = Math.max(source.minZoom || 0, Math.min(Math.floor(view.zoom), source.maxZoom));
+        const candidates = [];
+        const seen = new Set();
+        for (const t of tilesForBounds(view.bounds, z)) {
+            const decoded = decodedCache.get(`${source.id}/${t.z}/${t.x}/${t.y}`);
+            if (!decoded || !decoded.labels) continue;
+            for (const label of decoded.labels) {
+                if (label.minZoom > view.zoom) continue;
+                if (label.kind === 'contour' && !settings.contours) continue;
+                // Features split across tiles carry the same name; keep the first per area
+                const dedupeKey = `${label.kind}:${label.text}:${Math.round(label.lat * 50)}:${Math.round(label.lon * 50)}`;
+                if (seen.has(dedupeKey)) continue;
+                seen.add(dedupeKey);
+                candidates.push(label);
+            }
+        }
+        candidates.sort((a, b) => a.rank - b.rank);
+
+        const placed = [];
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineJoin = 'round';
+
+        for (const label of candidates) {
+            if (placed.length >= MAX_LABELS) break;
+
+            const p = latLonToPixel(label.lat, label.lon);
+            if (p.x < -50 || p.y < -50 || p.x > view.width + 50 || p.y > view.height + 50) continue;
+
+            let angle = 0;
+            if (label.lat1 !== undefined) {
+                const a = latLonToPixel(label.lat1, label.lon1);
+                const b = latLonToPixel(label.lat2, label.lon2);
+                angle = Math.atan2(b.y - a.y, b.x - a.x);
+                // Keep text reading left to right
+                if (angle > Math.PI / 2) angle -= Math.PI;
+                if (angle < -Math.PI / 2) angle += Math.PI;
+            }
+
+            let font;
+            let color = COLORS.label;
+            switch (label.kind) {
+                case 'place':
+                    font = label.rank <= 2 ? 'bold 13px system-ui, sans-serif'
+                        : label.rank === 3 ? '600 12px system-ui, sans-serif'
+                        : label.rank === 4 ? '11px system-ui, sans-serif'
+                        : '10px system-ui, sans-serif';
+                    break;
+                case 'water':
+                    font = 'italic 11px system-ui, sans-serif';
+                    color = COLORS.waterLabel;
+                    break;
+                case 'contour':
+                    font = '9px system-ui, sans-serif';
+                    color = COLORS.contourLabel;
+                    break;
+                case 'peak':
+                    font = '10px system-ui, sans-serif';
+                    break;
+                default:
+                    font = '10px system-ui, sans-serif';
+            }
+            ctx.font = font;
+            const text = label.kind === 'peak' ? `▲ ${label.text}` : label.text;
+            const w = ctx.measureText(text).width + 4;
+            const box = labelBox(p.x, p.y, w, 14, angle);
+            if (placed.some(b => boxesOverlap(b, box))) continue;
+            placed.push(box);
+
+            ctx.save();
+            ctx.translate(p.x, p.y);
+            if (angle) ctx.rotate(angle);
+            ctx.strokeStyle = COLORS.labelHalo;
+            ctx.lineWidth = 3;
+            ctx.strokeText(text, 0, 0);
+            ctx.fillStyle = color;
+            ctx.fillText(text, 0, 0);
+            ctx.restore();
+        }
+        ctx.restore();
+    }
+
+    return {
+        init,
+        // Rendering
+        renderTile,
+        renderLabels,
+        // Sources
+        addArchiveFile,
+        addRemoteSource,
+        addMBTilesSource,
+        removeSource,
+        setActiveSource,
+        getActiveSource,
+        getSources,
+        hasSource,
+        getAttribution,
+        // Settings
+        getSettings,
+        setSetting,
+        // Decoding (exposed for testing)
+        decodeMVT,
+        decodeGeometry,
+        zxyToTileId,
+        parsePMTilesHeader,
+        parseDirectory,
+        findEntry,
+        getPMTilesTile,
+        openPMTiles,
+        classifyRoad,
+        classifyLandcover,
+        extractLabels,
+        labelBox,
+        boxesOverlap,
+        // Constants
+        RENDER_SIZE,
+        TILE_TYPE,
+        COMPRESSION
+    };
+})();
+
+window.VectorTileModule = VectorTileModule;
@@ -99,6 +99,12 @@ const WeatherModule = (function() {
     let nwsLastAlertCount = 0;      // count from last fetch for UI display
     const alertedNWSIds = new Map(); // alertId -> { timestamp, expiration }
 
+    // ==================== Ground Observations State ====================
+    // Latest reading per local sensor (APRS weather stations), keyed by observation id
+    const groundObservations = new Map();
+    const GROUND_OBS_MAX_AGE = 3 * 60 * 60 * 1000;  // Drop readings older than 3 hours
+    const GROUND_OBS_RADIUS_MI = 30;                // Default search radius
+
     /**
      * Initialize the module
      */
@@ -2278,6 +2284,59 @@ const WeatherModule = (function() {
         return atlasRFConditions;
     }
 
+    // ==================== Ground Observations ====================
+
+    /**
+     * Receive a ground-truth observation from a local sensor (e.g. an APRS
+     * weather station heard over RF). Works with no internet connection.
+     * @param {Object} obs - { id, source, name, lat, lon, time, temperature (°F),
+     *                         humidity, windSpeed (mph), windDirection, windGust,
+     *                         pressure (mbar), rain1h, rain24h (in) }
+     * @returns {boolean} true if stored
+     */
+    function handleGroundObservation(obs) {
+        if (!obs || !obs.id || !isFinite(obs.lat) || !isFinite(obs.lon)) return false;
+        
+        const observation = { ...obs, time: obs.time || Date.now() };
+        groundObservations.set(obs.id, observation);
+        pruneGroundObservations();
+        
+        if (typeof Events !== 'undefined') {
+            Events.emit('weather:observation', observation);
+        }
+        return true;
+    }
+    
+    /**
+     * Drop observations past GROUND_OBS_MAX_AGE
+     */
+    function pruneGroundObservations() {
+        const cutoff = Date.now() - GROUND_OBS_MAX_AGE;
+        groundObservations.forEach((obs, id) => {
+            if (obs.time < cutoff) groundObservations.delete(id);
+        });
+    }
+    
+    /**
+     * Get recent ground observations, nearest first when a location is given
+     * @param {number} [lat] @param {number} [lon]
+     * @param {number} [radiusMi] - Only include observations within this distance
+     * @returns {Array} observations with distanceMi when a location is given
+     */
+    function getGroundObservations(lat, lon, radiusMi = GROUND_OBS_RADIUS_MI) {
+        pruneGroundObservations();
+        const all = Array.from(groundObservations.values());
+        
+        if (lat === undefined || lon === undefined) {
+            return all.sort((a, b) => b.time - a.time);
+        }
+        
+        return all
+            .map(obs => ({ ...obs, distanceMi: _haversineDistMi(lat, lon, obs.lat, obs.lon) }))
+            .filter(obs => obs.distanceMi <= radiusMi)
+            .sort((a, b) => a.distanceMi - b.distanceMi);
+    }
+
     // Public API
     return {
         init,
@@ -2321,6 +2380,9 @@ const WeatherModule = (function() {
         processFisBSigmets,
         getAtlasRFWeather,
         getAtlasRFConditions,
+        // Ground observations (APRS weather stations)
+        handleGroundObservation,
+        getGroundObservations,
         WMO_CODES,
         ALERT_THRESHOLDS
     };
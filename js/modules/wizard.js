@@ -1113,6 +1113,16 @@ const SituationWizard = (function() {
                 if (action === 'activate' && typeof SOSModule !== 'undefined') {
                     SOSModule.activate();
                 }
+                if (action === 'strobe' && typeof SignalingModule !== 'undefined') {
+                    SignalingModule.start({ pattern: 'sos', light: true });
+                }
+                if (action === 'mirror') {
+                    const mirror = document.getElementById('signal-mirror');
+                    if (mirror) {
+                        mirror.open = true;
+                        mirror.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                    }
+                }
                 break;
             case 'navigation':
                 if (action === 'startTrack' && typeof NavigationModule !== 'undefined') {
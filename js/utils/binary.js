@@ -0,0 +1,139 @@
+/**
+ * GridDown Binary Utilities - Protobuf Wire Format and Inflate
+ * Minimal protobuf reader shared by vector tiles, OSM PBF routing data and
+ * the Meshtastic client, plus zlib inflate via DecompressionStream
+ */
+const BinaryUtils = (function() {
+    'use strict';
+
+    const textDecoder = typeof TextDecoder !== 'undefined' ? new TextDecoder('utf-8') : null;
+
+    // ==================== PROTOBUF ====================
+
+    /**
+     * Reader state over a byte buffer
+     * @param {ArrayBuffer|Uint8Array} bytes
+     * @returns {{buf: Uint8Array, pos: number}}
+     */
+    function createPbf(bytes) {
+        const buf = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+        return { buf, pos: 0 };
+    }
+
+    function ensureBytes(pbf, len) {
+        if (len < 0 || pbf.pos + len > pbf.buf.length) throw new Error('Truncated protobuf');
+    }
+
+    /**
+     * Read an unsigned varint (safe up to 2^53)
+     */
+    function readVarint(pbf) {
+        let value = 0;
+        let multiplier = 1;
+        let byte;
+        do {
+            if (pbf.pos >= pbf.buf.length) throw new Error('Truncated varint');
+            byte = pbf.buf[pbf.pos++];
+            value += (byte & 0x7f) * multiplier;
+            multiplier *= 128;
+        } while (byte & 0x80);
+        return value;
+    }
+
+    function zigzag(n) {
+        return n % 2 === 1 ? -(n + 1) / 2 : n / 2;
+    }
+
+    function skipField(pbf, wireType) {
+        switch (wireType) {
+            case 0: readVarint(pbf); break;
+            case 1: ensureBytes(pbf, 8); pbf.pos += 8; break;
+            case 2: { const len = readVarint(pbf); ensureBytes(pbf, len); pbf.pos += len; break; }
+            case 5: ensureBytes(pbf, 4); pbf.pos += 4; break;
+            default: throw new Error(`Unsupported protobuf wire type ${wireType}`);
+        }
+    }
+
+    /**
+     * Read a length-delimited field as a view into the buffer
+     */
+    function readBytes(pbf) {
+        const len = readVarint(pbf);
+        ensureBytes(pbf, len);
+        const bytes = pbf.buf.subarray(pbf.pos, pbf.pos + len);
+        pbf.pos += len;
+        return bytes;
+    }
+
+    function decodeString(bytes) {
+        return textDecoder ? textDecoder.decode(bytes) : String.fromCharCode(...bytes);
+    }
+
+    function readString(pbf) {
+        return decodeString(readBytes(pbf));
+    }
+
+    function readPackedVarints(pbf) {
+        const end = readVarint(pbf) + pbf.pos;
+        ensureBytes(pbf, end - pbf.pos);
+        const values = [];
+        while (pbf.pos < end) values.push(readVarint(pbf));
+        return values;
+    }
+
+    /**
+     * Split a message into its fields
+     * @param {Uint8Array} bytes
+     * @returns {Array<{field, wire, value, offset}>} value is a number for varints,
+     *          a Uint8Array for length-delimited fields; fixed32/fixed64 fields carry their byte offset
+     */
+    function readFields(bytes) {
+        const pbf = createPbf(bytes);
+        const fields = [];
+        while (pbf.pos < pbf.buf.length) {
+            const key = readVarint(pbf);
+            const field = Math.floor(key / 8);
+            const wire = key & 7;
+            if (wire === 0) {
+                fields.push({ field, wire, value: readVarint(pbf) });
+            } else if (wire === 2) {
+                fields.push({ field, wire, value: readBytes(pbf) });
+            } else if (wire === 1 || wire === 5) {
+                fields.push({ field, wire, offset: pbf.pos });
+                skipField(pbf, wire);
+            } else {
+                throw new Error(`Unsupported protobuf wire type ${wire}`);
+            }
+        }
+        return fields;
+    }
+
+    // ==================== COMPRESSION ====================
+
+    /**
+     * Inflate zlib ("deflate") compressed bytes
+     * @param {Uint8Array} bytes
+     * @param {string} [what] - What is being inflated (plural), for the error when unsupported
+     */
+    async function inflate(bytes, what = 'Compressed blocks') {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error(`${what} need a browser with DecompressionStream support`);
+        }
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    return {
+        createPbf,
+        readVarint,
+        zigzag,
+        skipField,
+        readBytes,
+        readString,
+        decodeString,
+        readPackedVarints,
+        readFields,
+        inflate
+    };
+})();
+window.BinaryUtils = BinaryUtils;
@@ -173,9 +173,11 @@ const Coordinates = (function() {
 
     /**
      * Convert lat/lon to UTM
+     * @param {number} [forceZone] - Project into this zone instead of the natural one
+     *   (used by the grid overlay to extend a zone's lines up to its seam)
      * @returns { zone, letter, easting, northing }
      */
-    function latLonToUTM(lat, lon) {
+    function latLonToUTM(lat, lon, forceZone) {
         // Constants
         const a = 6378137; // WGS84 semi-major axis
         const f = 1 / 298.257223563; // WGS84 flattening
@@ -196,6 +198,7 @@ const Coordinates = (function() {
             else if (lon >= 21 && lon < 33) zone = 35;
             else if (lon >= 33 && lon < 42) zone = 37;
         }
+        if (forceZone) zone = forceZone;
         
         // Central meridian
         const lon0 = (zone - 1) * 6 - 180 + 3;
@@ -318,12 +321,7 @@ const Coordinates = (function() {
         const utm = latLonToUTM(lat, lon);
         
         // Get 100km grid square
-        const set = (utm.zone - 1) % 6;
-        const e100k = Math.floor(utm.easting / 100000);
-        const n100k = Math.floor(utm.northing / 100000) % 20;
-        
-        const col = MGRS_E100K[set][e100k - 1] || 'A';
-        const row = MGRS_N100K[set % 2][n100k] || 'A';
+        const { col, row } = get100kSquareId(utm.zone, utm.easting, utm.northing);
         
         // Get numeric portion
         const e = utm.easting % 100000;
@@ -344,6 +342,20 @@ const Coordinates = (function() {
         };
     }
 
+    /**
+     * Get the MGRS 100km square letters for a UTM position
+     * @returns { col, row } e.g. { col: 'L', row: 'A' }
+     */
+    function get100kSquareId(zone, easting, northing) {
+        const set = (zone - 1) % 6;
+        const e100k = Math.floor(easting / 100000);
+        const n100k = ((Math.floor(northing / 100000) % 20) + 20) % 20;
+        return {
+            col: MGRS_E100K[set][e100k - 1] || 'A',
+            row: MGRS_N100K[set % 2][n100k] || 'A'
+        };
+    }
+
     /**
      * Format as MGRS string
      * @returns "11S LA 18234 43234" (precision 5) or "11S LA 182 432" (precision 3)
@@ -610,6 +622,8 @@ const Coordinates = (function() {
         utmToLatLon,
         latLonToMGRS,
         mgrsToLatLon,
+        get100kSquareId,
+        getUTMZoneLetter,
         
         // Generic format/parse
         format,
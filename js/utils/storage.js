@@ -3,9 +3,9 @@
  */
 const Storage = (function() {
     'use strict';
-    const DB_NAME = 'griddown-db', DB_VERSION = 1;
+    const DB_NAME = 'griddown-db', DB_VERSION = 3;
     let db = null;
-    const STORES = { WAYPOINTS: 'waypoints', ROUTES: 'routes', SETTINGS: 'settings', MAP_REGIONS: 'mapRegions' };
+    const STORES = { WAYPOINTS: 'waypoints', ROUTES: 'routes', AREAS: 'areas', TRACKS: 'tracks', SETTINGS: 'settings', MAP_REGIONS: 'mapRegions' };
 
     async function init() {
         return new Promise((resolve, reject) => {
@@ -17,6 +17,8 @@ const Storage = (function() {
                 const d = e.target.result;
                 if (!d.objectStoreNames.contains(STORES.WAYPOINTS)) d.createObjectStore(STORES.WAYPOINTS, { keyPath: 'id' });
                 if (!d.objectStoreNames.contains(STORES.ROUTES)) d.createObjectStore(STORES.ROUTES, { keyPath: 'id' });
+                if (!d.objectStoreNames.contains(STORES.AREAS)) d.createObjectStore(STORES.AREAS, { keyPath: 'id' });
+                if (!d.objectStoreNames.contains(STORES.TRACKS)) d.createObjectStore(STORES.TRACKS, { keyPath: 'id' });
                 if (!d.objectStoreNames.contains(STORES.SETTINGS)) d.createObjectStore(STORES.SETTINGS, { keyPath: 'key' });
                 if (!d.objectStoreNames.contains(STORES.MAP_REGIONS)) d.createObjectStore(STORES.MAP_REGIONS, { keyPath: 'id' });
             };
@@ -55,18 +57,28 @@ const Storage = (function() {
         save: (r) => put(STORES.ROUTES, r), delete: (id) => remove(STORES.ROUTES, id),
         async saveAll(rs) { for (const r of rs) await put(STORES.ROUTES, r); }
     };
+    const Areas = {
+        getAll: () => getAll(STORES.AREAS), get: (id) => get(STORES.AREAS, id),
+        save: (a) => put(STORES.AREAS, a), delete: (id) => remove(STORES.AREAS, id),
+        async saveAll(areas) { for (const a of areas) await put(STORES.AREAS, a); }
+    };
+    const Tracks = {
+        getAll: () => getAll(STORES.TRACKS), get: (id) => get(STORES.TRACKS, id),
+        save: (t) => put(STORES.TRACKS, t), delete: (id) => remove(STORES.TRACKS, id),
+        async saveAll(tracks) { for (const t of tracks) await put(STORES.TRACKS, t); }
+    };
     const Settings = {
         async get(key, def = null) { const r = await get(STORES.SETTINGS, key); return r ? r.value : def; },
         set: (key, value) => put(STORES.SETTINGS, { key, value })
     };
 
     async function exportData() {
-        return JSON.stringify({ version: DB_VERSION, exportedAt: new Date().toISOString(), waypoints: await Waypoints.getAll(), routes: await Routes.getAll() }, null, 2);
+        return JSON.stringify({ version: DB_VERSION, exportedAt: new Date().toISOString(), waypoints: await Waypoints.getAll(), routes: await Routes.getAll(), areas: await Areas.getAll(), tracks: await Tracks.getAll() }, null, 2);
     }
     async function importData(json) {
-        try { const data = JSON.parse(json); if (data.waypoints) await Waypoints.saveAll(data.waypoints); if (data.routes) await Routes.saveAll(data.routes); return true; } catch { return false; }
+        try { const data = JSON.parse(json); if (data.waypoints) await Waypoints.saveAll(data.waypoints); if (data.routes) await Routes.saveAll(data.routes); if (data.areas) await Areas.saveAll(data.areas); if (data.tracks) await Tracks.saveAll(data.tracks); return true; } catch { return false; }
     }
 
-    return { init, STORES, Waypoints, Routes, Settings, exportData, importData };
+    return { init, STORES, Waypoints, Routes, Areas, Tracks, Settings, exportData, importData };
 })();
 window.Storage = Storage;
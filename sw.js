@@ -1,19 +1,19 @@
-const CACHE_NAME = 'griddown-v6.57.75';
+const CACHE_NAME = 'griddown-v6.82.0';
 const TILE_CACHE_NAME = 'griddown-tiles-v1';
 const STATIC_ASSETS = [
     './', 'index.html', 'manifest.json', 'favicon.ico', 'css/app.css',
     'icons/icon.svg', 'icons/icon-192.png', 'icons/icon-512.png',
     'js/utils/helpers.js', 'js/utils/storage.js', 'js/utils/icons.js',
-    'js/utils/coordinates.js', 'js/utils/events-manager.js',
+    'js/utils/coordinates.js', 'js/utils/events-manager.js', 'js/utils/binary.js',
     'js/core/log.js', 'js/core/error-boundary.js', 'js/core/constants.js', 'js/core/state.js', 'js/core/events.js',
     'js/modules/map.js', 'js/modules/sidebar.js', 'js/modules/panels.js',
     'js/modules/modals.js', 'js/modules/logistics.js', 'js/modules/gpx.js',
-    'js/modules/kml.js', 'js/modules/routebuilder.js', 'js/modules/elevation.js', 
-    'js/modules/offline.js', 'js/modules/gps.js', 'js/modules/navigation.js',
+    'js/modules/kml.js', 'js/modules/geojson.js', 'js/modules/routebuilder.js', 'js/modules/areas.js', 'js/modules/searchpatterns.js', 'js/modules/searchplan.js', 'js/modules/geofence.js', 'js/modules/tracks.js', 'js/modules/offlinerouting.js', 'js/modules/elevation.js', 'js/modules/dem.js',
+    'js/modules/offline.js', 'js/modules/mbtiles.js', 'js/modules/mgrsgrid.js', 'js/modules/vectortiles.js', 'js/modules/gps.js', 'js/modules/navigation.js',
     'js/modules/hiking.js',
     'js/modules/weather.js', 'js/modules/satweather.js', 'js/modules/alerts.js', 'js/modules/airquality.js', 'js/modules/rflos.js', 'js/modules/contingency.js', 'js/modules/measure.js', 
-    'js/modules/sunmoon.js', 'js/modules/celestial.js', 'js/modules/camera-sextant.js', 'js/modules/star-id.js', 'js/modules/rangefinder.js', 'js/modules/commplan.js', 'js/modules/terrain.js',
-    'js/modules/nightmode.js', 'js/modules/sos.js', 'js/modules/radio.js',
+    'js/modules/sunmoon.js', 'js/modules/celestial.js', 'js/modules/camera-sextant.js', 'js/modules/star-id.js', 'js/modules/rangefinder.js', 'js/modules/commplan.js', 'js/modules/checkin.js', 'js/modules/terrain.js',
+    'js/modules/nightmode.js', 'js/modules/sos.js', 'js/modules/deadman.js', 'js/modules/signaling.js', 'js/modules/radio.js',
     'js/modules/plansharing.js',
     'js/modules/declination.js',
     'js/modules/print.js',
@@ -44,6 +44,36 @@ function test(name, fn) {
     }
 }
 
+// Tests that await (crypto, timers) are queued and run in order after the
+// synchronous suites; each one must set up and restore its own globals
+const asyncTests = [];
+
+function testAsync(name, fn) {
+    totalTests++;
+    suiteResults[currentSuite].total++;
+    asyncTests.push({ suite: currentSuite, name, fn });
+}
+
+async function runAsyncTests() {
+    if (asyncTests.length === 0) return;
+    _testLog('\n  Async tests');
+    for (const t of asyncTests) {
+        try {
+            await t.fn();
+            passed++;
+            suiteResults[t.suite].passed++;
+            _testLog(`    ✅ [${t.suite}] ${t.name}`);
+        } catch (e) {
+            failed++;
+            suiteResults[t.suite].failed++;
+            const msg = e.message || String(e);
+            failures.push({ suite: t.suite, test: t.name, error: msg });
+            _testLog(`    ❌ [${t.suite}] ${t.name}`);
+            _testLog(`       ${msg}`);
+        }
+    }
+}
+
 function assert(condition, message) {
     if (!condition) throw new Error(message || 'Assertion failed');
 }
@@ -132,6 +162,9 @@ global.Events = { emit: () => {} };
 
 const Coordinates = loadIIFE('js/utils/coordinates.js', 'Coordinates');
 
+// Shared protobuf reader / inflate used by vector tiles, DEM and routing
+global.BinaryUtils = loadIIFE('js/utils/binary.js', 'BinaryUtils');
+
 // Mock dependencies for State
 global.Constants = {
     SAMPLE_WAYPOINTS: [
@@ -412,6 +445,23 @@ if (Coordinates) {
         });
     });
 
+    suite('Coordinates.MGRS 100km square', () => {
+        test('matches toMGRS letters', () => {
+            const utm = Coordinates.latLonToUTM(37.4215, -119.1892);
+            const id = Coordinates.get100kSquareId(utm.zone, utm.easting, utm.northing);
+            const mgrs = Coordinates.latLonToMGRS(37.4215, -119.1892);
+            assertEqual(id.col + id.row, mgrs.col + mgrs.row);
+        });
+
+        test('forced zone projects past the seam', () => {
+            const natural = Coordinates.latLonToUTM(37.5, -119.9);
+            const forced = Coordinates.latLonToUTM(37.5, -119.9, 10);
+            assertEqual(natural.zone, 11);
+            assertEqual(forced.zone, 10);
+            assert(forced.easting > 700000, `Easting beyond zone 10 edge: ${forced.easting}`);
+        });
+    });
+
     suite('Coordinates.distance', () => {
         test('same point returns 0', () => {
             assertEqual(Coordinates.distance(37, -122, 37, -122), 0);
@@ -1576,25 +1626,3156 @@ if (WeatherModule) {
 }
 
 // ============================================================
-// Results
+// ---- MGRS GRID ----
 // ============================================================
-_testLog('\n╔══════════════════════════════════════════╗');
-_testLog('║              Results                     ║');
-_testLog('╚══════════════════════════════════════════╝');
 
-Object.entries(suiteResults).forEach(([name, r]) => {
-    const status = r.failed === 0 ? '✅' : '❌';
-    _testLog(`  ${status} ${name}: ${r.passed}/${r.total} passed`);
-});
+global.Coordinates = Coordinates;
+const MGRSGridModule = loadIIFE('js/modules/mgrsgrid.js', 'MGRSGridModule');
+if (MGRSGridModule) {
+    suite('MGRSGrid.chooseGridInterval', () => {
+        test('low zoom falls back to zone seams only', () => {
+            assertEqual(MGRSGridModule.chooseGridInterval(37, 3), null);
+        });
+        test('regional zoom uses 100 km squares', () => {
+            assertEqual(MGRSGridModule.chooseGridInterval(37, 7), 100000);
+        });
+        test('zoom 10 uses 10 km lines', () => {
+            assertEqual(MGRSGridModule.chooseGridInterval(37, 10), 10000);
+        });
+        test('zoom 13 uses 1 km lines', () => {
+            assertEqual(MGRSGridModule.chooseGridInterval(37, 13), 1000);
+        });
+        test('zoom 17 uses 100 m lines', () => {
+            assertEqual(MGRSGridModule.chooseGridInterval(37, 17), 100);
+        });
+    });
+
+    suite('MGRSGrid.getZoneCells', () => {
+        test('splits view at zone seam', () => {
+            const cells = MGRSGridModule.getZoneCells({ north: 38, south: 37, west: -121, east: -119 });
+            assertEqual(cells.length, 2);
+            assertEqual(cells[0].zone, 10);
+            assertEqual(cells[1].zone, 11);
+            assertEqual(cells[0].east, -120);
+            assertEqual(cells[1].west, -120);
+        });
+        test('splits view at band edge', () => {
+            const cells = MGRSGridModule.getZoneCells({ north: 41, south: 39, west: -118, east: -117 });
+            assertEqual(cells.map(c => c.band).join(''), 'ST');
+        });
+        test('Norway exception widens 32V', () => {
+            const cells = MGRSGridModule.getZoneCells({ north: 61, south: 60, west: 4, east: 5 });
+            assertEqual(cells.length, 1);
+            assertEqual(cells[0].zone, 32);
+        });
+        test('Svalbard exception has no zone 34X', () => {
+            const zones = MGRSGridModule.getBandZones('X').map(z => z.zone);
+            assert(!zones.includes(32) && !zones.includes(34) && !zones.includes(36), 'Even zones 32-36 omitted');
+            assert(zones.includes(33), 'Zone 33X present');
+        });
+        test('view across antimeridian maps to zones 60 and 1', () => {
+            const cells = MGRSGridModule.getZoneCells({ north: 10, south: 9, west: 179, east: 181 });
+            assertEqual(cells.map(c => c.zone).join(','), '60,1');
+            assertEqual(cells[1].west, 180);
+        });
+        test('ignores polar regions', () => {
+            assertEqual(MGRSGridModule.getZoneCells({ north: 89, south: 85, west: 0, east: 1 }).length, 0);
+        });
+    });
+
+    suite('MGRSGrid.computeGridLines', () => {
+        const cell = MGRSGridModule.getZoneCells({ north: 37.45, south: 37.40, west: -119.22, east: -119.16 })[0];
+        const lines = MGRSGridModule.computeGridLines(cell, 1000);
+
+        test('produces easting and northing lines', () => {
+            assert(lines.some(l => l.axis === 'e'), 'Has easting lines');
+            assert(lines.some(l => l.axis === 'n'), 'Has northing lines');
+        });
+        test('line values are multiples of the interval', () => {
+            assert(lines.every(l => l.value % 1000 === 0), 'All on 1 km');
+        });
+        test('lines stay inside the cell', () => {
+            lines.forEach(l => l.runs.forEach(run => run.forEach(p => {
+                assert(p.lon >= cell.west - 1e-9 && p.lon <= cell.east + 1e-9, 'lon inside');
+                assert(p.lat >= cell.south - 1e-9 && p.lat <= cell.north + 1e-9, 'lat inside');
+            })));
+        });
+        test('easting line lies on its easting', () => {
+            const line = lines.find(l => l.axis === 'e');
+            const mid = line.runs[0][Math.floor(line.runs[0].length / 2)];
+            const utm = Coordinates.latLonToUTM(mid.lat, mid.lon, cell.zone);
+            assertClose(utm.easting, line.value, 2);
+        });
+    });
+
+    suite('MGRSGrid.computeSquareLabels', () => {
+        test('labels 100 km square with zone, band and letters', () => {
+            const cell = MGRSGridModule.getZoneCells({ north: 37.6, south: 37.2, west: -119.4, east: -119.0 })[0];
+            const labels = MGRSGridModule.computeSquareLabels(cell);
+            assert(labels.length > 0, 'Has labels');
+            const expected = Coordinates.toMGRS(37.4215, -119.1892).split(' ').slice(0, 2).join(' ');
+            assert(labels.some(l => l.text === expected), `Expected ${expected} in ${labels.map(l => l.text)}`);
+        });
+    });
+
+    suite('MGRSGrid.clipPolyline', () => {
+        const rect = { north: 1, south: 0, west: 0, east: 1 };
+        test('clips crossing segment', () => {
+            const runs = MGRSGridModule.clipPolyline([{ lat: 0.5, lon: -1 }, { lat: 0.5, lon: 2 }], rect);
+            assertEqual(runs.length, 1);
+            assertClose(runs[0][0].lon, 0, 1e-9);
+            assertClose(runs[0][1].lon, 1, 1e-9);
+        });
+        test('drops segment fully outside', () => {
+            assertEqual(MGRSGridModule.clipPolyline([{ lat: 2, lon: 0 }, { lat: 3, lon: 1 }], rect).length, 0);
+        });
+        test('splits polyline leaving and re-entering', () => {
+            const pts = [{ lat: 0.5, lon: 0.2 }, { lat: 1.5, lon: 0.4 }, { lat: 0.5, lon: 0.8 }];
+            assertEqual(MGRSGridModule.clipPolyline(pts, rect).length, 2);
+        });
+    });
+
+    suite('MGRSGrid label formatting', () => {
+        test('1 km principal digits', () => assertEqual(MGRSGridModule.formatGridLabel(318000, 1000), '18'));
+        test('100 m principal digits', () => assertEqual(MGRSGridModule.formatGridLabel(318200, 100), '182'));
+        test('10 km principal digit', () => assertEqual(MGRSGridModule.formatGridLabel(4140000, 10000), '4'));
+        test('zero padded', () => assertEqual(MGRSGridModule.formatGridLabel(4105000, 1000), '05'));
+        test('graticule whole degrees', () => assertEqual(MGRSGridModule.formatGraticuleLabel(-119, false, 1), '119°W'));
+        test('graticule minutes', () => assertEqual(MGRSGridModule.formatGraticuleLabel(37.25, true, 15 / 60), "37°15'N"));
+        test('graticule seconds', () => assertEqual(MGRSGridModule.formatGraticuleLabel(37.2525, true, 15 / 3600), "37°15'09\"N"));
+    });
+} else {
+    _testLog('  ⚠️  MGRSGridModule not loaded, skipping');
+}
+
+// ============================================================
+// ---- DEM ----
+// ============================================================
+
+global.Helpers = Helpers;
+const DEMModule = loadIIFE('js/modules/dem.js', 'DEMModule');
+if (DEMModule) {
+    // Minimal little-endian GeoTIFF: int16 raster, one strip, EPSG:4326 georeferencing
+    function buildTestTIFF(width, height, values, { tiepoint, scale, pixelIsPoint = false, noData = null }) {
+        const entries = [
+            [256, 3, [width]], [257, 3, [height]], [258, 3, [16]], [259, 3, [1]],
+            [273, 4, [0]], [277, 3, [1]], [278, 3, [height]], [279, 4, [width * height * 2]],
+            [339, 3, [2]], [33550, 12, scale], [33922, 12, tiepoint],
+            [34735, 3, [1, 1, 0, 2, 1024, 0, 1, 2, 1025, 0, 1, pixelIsPoint ? 2 : 1]]
+        ];
+        if (noData !== null) entries.push([42113, 2, String(noData) + '\0']);
+        const typeSize = { 2: 1, 3: 2, 4: 4, 12: 8 };
+        const ifdSize = 2 + entries.length * 12 + 4;
+        let extra = 8 + ifdSize;
+        const layout = entries.map(([tag, type, vals]) => {
+            const size = typeSize[type] * vals.length;
+            const entry = { tag, type, vals, size, offset: size > 4 ? extra : null };
+            if (size > 4) extra += size;
+            return entry;
+        });
+        const dataOffset = extra;
+        const buf = new ArrayBuffer(dataOffset + width * height * 2);
+        const dv = new DataView(buf);
+        dv.setUint16(0, 0x4949); dv.setUint16(2, 42, true); dv.setUint32(4, 8, true);
+        dv.setUint16(8, entries.length, true);
+        const write = (type, offset, v) => {
+            if (type === 2) dv.setUint8(offset, v.charCodeAt(0));
+            else if (type === 3) dv.setUint16(offset, v, true);
+            else if (type === 4) dv.setUint32(offset, v, true);
+            else dv.setFloat64(offset, v, true);
+        };
+        layout.forEach((e, i) => {
+            const p = 10 + i * 12;
+            const vals = e.tag === 273 ? [dataOffset] : (e.type === 2 ? e.vals.split('') : e.vals);
+            dv.setUint16(p, e.tag, true); dv.setUint16(p + 2, e.type, true); dv.setUint32(p + 4, vals.length, true);
+            const base = e.offset === null ? p + 8 : e.offset;
+            if (e.offset !== null) dv.setUint32(p + 8, e.offset, true);
+            vals.forEach((v, j) => write(e.type, base + j * typeSize[e.type], v));
+        });
+        values.forEach((v, i) => dv.setInt16(dataOffset + i * 2, v, true));
+        return buf;
+    }
+
+    suite('DEM decoding', () => {
+        test('terrarium sea level', () => assertEqual(DEMModule.decodeTerrarium(128, 0, 0), 0));
+        test('terrarium fractional meters', () => assertClose(DEMModule.decodeTerrarium(135, 51, 128), 1843.5, 1e-9));
+        test('terrarium below sea level', () => assertEqual(DEMModule.decodeTerrarium(127, 156, 0), -100));
+        test('mapbox terrain-rgb', () => assertClose(DEMModule.decodeMapboxRGB(1, 134, 160), 0, 1e-6));
+        test('RGBA pixels decode with transparent as void', () => {
+            const out = DEMModule.decodeRGBPixels(new Uint8Array([128, 10, 0, 255, 128, 0, 0, 0]));
+            assertEqual(out.length, 2);
+            assertEqual(out[0], 10);
+            assert(Number.isNaN(out[1]));
+        });
+    });
+
+    suite('DEM interpolation', () => {
+        test('bilinear midpoint', () => assertClose(DEMModule.bilinear(0, 10, 20, 30, 0.5, 0.5), 15, 1e-9));
+        test('bilinear corner is exact', () => assertEqual(DEMModule.bilinear(7, 10, 20, 30, 0, 0), 7));
+        test('void corners are dropped and reweighted', () => {
+            assertClose(DEMModule.bilinear(10, null, 20, NaN, 0.5, 0.5), 15, 1e-9);
+        });
+        test('all-void yields null', () => assertEqual(DEMModule.bilinear(null, NaN, null, undefined, 0.3, 0.3), null));
+
+        const grid = {
+            originLat: 38, originLon: -120, dLat: 0.5, dLon: 0.5,
+            width: 3, height: 3, noData: -9999,
+            data: new Float32Array([100, 200, 300, 400, 500, 600, 700, 800, -9999])
+        };
+        test('grid sample at a node', () => assertEqual(DEMModule.sampleGrid(grid, 37.5, -119.5), 500));
+        test('grid sample between nodes', () => assertClose(DEMModule.sampleGrid(grid, 37.75, -119.75), 300, 1e-9));
+        test('grid no-data is skipped', () => assertEqual(DEMModule.sampleGrid(grid, 37, -119.25), 800));
+        test('grid void at a node is null', () => assertEqual(DEMModule.sampleGrid(grid, 37, -119), null));
+        test('grid outside coverage is null', () => assertEqual(DEMModule.sampleGrid(grid, 36, -119.5), null));
+        test('grid bounds', () => {
+            const b = DEMModule.gridBounds(grid);
+            assertEqual(b.north, 38); assertEqual(b.south, 37);
+            assertEqual(b.west, -120); assertEqual(b.east, -119);
+        });
+    });
+
+    suite('DEM terrarium tiles', () => {
+        test('tiles for bounds at one zoom', () => {
+            const tiles = DEMModule.tilesForBounds({ north: 37.8, south: 37.7, west: -119.6, east: -119.5 }, 12);
+            assertEqual(tiles.length, 6);
+            assert(tiles.every(t => t.z === 12));
+        });
+        test('sampling reads the pixel under a point', () => {
+            const data = new Float32Array(256 * 256).fill(1000);
+            const p = DEMModule.latLonToGlobalPixel(37.75, -119.55, 12);
+            const tx = Math.floor(p.x / 256), ty = Math.floor(p.y / 256);
+            const value = DEMModule.sampleTiles(37.75, -119.55, 12, (x, y) => (x === tx && y === ty ? data : null));
+            assertEqual(value, 1000);
+        });
+        test('uncovered tiles sample as null', () => {
+            assertEqual(DEMModule.sampleTiles(37.75, -119.55, 12, () => null), null);
+        });
+    });
+
+    suite('DEM file import', () => {
+        test('HGT names give the south-west corner', () => {
+            const c = DEMModule.parseHGTName('N37W120.hgt');
+            assertEqual(c.south, 37); assertEqual(c.west, -120);
+            const s = DEMModule.parseHGTName('s05e011.HGT');
+            assertEqual(s.south, -5); assertEqual(s.west, 11);
+            assertEqual(DEMModule.parseHGTName('elevation.hgt'), null);
+        });
+        test('HGT parses big-endian samples and voids', () => {
+            const buf = new ArrayBuffer(2 * 2 * 2);
+            const dv = new DataView(buf);
+            [1000, 1100, 1200, -32768].forEach((v, i) => dv.setInt16(i * 2, v, false));
+            const grid = DEMModule.parseHGT(buf, 'N37W120.hgt');
+            assertEqual(grid.width, 2);
+            assertEqual(grid.originLat, 38);
+            assertEqual(grid.dLat, 1);
+            assertEqual(DEMModule.sampleGrid(grid, 38, -120), 1000);
+            assertEqual(DEMModule.sampleGrid(grid, 37, -120), 1200);
+            assertClose(DEMModule.sampleGrid(grid, 37, -119.5), 1200, 1e-9);
+        });
+        test('HGT with odd size is rejected', () => {
+            assertThrows(() => DEMModule.parseHGT(new ArrayBuffer(6), 'N37W120.hgt'));
+        });
+        test('GeoTIFF layout and georeferencing (PixelIsArea)', () => {
+            const buf = buildTestTIFF(3, 2, [10, 20, 30, 40, 50, 60],
+                { tiepoint: [0, 0, 0, -120, 38, 0], scale: [0.1, 0.1, 0] });
+            const layout = DEMModule.readGeoTIFF(buf);
+            assertEqual(layout.width, 3);
+            assertEqual(layout.height, 2);
+            assertClose(layout.originLat, 37.95, 1e-9);
+            assertClose(layout.originLon, -119.95, 1e-9);
+            const data = DEMModule.rasterizeGeoTIFF(layout, layout.blocks);
+            assertEqual(Array.from(data).join(','), '10,20,30,40,50,60');
+        });
+        test('GeoTIFF PixelIsPoint and GDAL no-data', () => {
+            const buf = buildTestTIFF(2, 1, [-9999, 5],
+                { tiepoint: [0, 0, 0, -120, 38, 0], scale: [0.5, 0.5, 0], pixelIsPoint: true, noData: -9999 });
+            const layout = DEMModule.readGeoTIFF(buf);
+            assertEqual(layout.originLat, 38);
+            const data = DEMModule.rasterizeGeoTIFF(layout, layout.blocks);
+            assert(Number.isNaN(data[0]));
+            assertEqual(data[1], 5);
+        });
+        test('non-TIFF input is rejected', () => {
+            assertThrows(() => DEMModule.readGeoTIFF(new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8]).buffer));
+        });
+    });
+} else {
+    _testLog('  ⚠️  DEMModule not loaded, skipping');
+}
+
+// ============================================================
+// ---- VECTOR TILES ----
+// ============================================================
+
+const VectorTileModule = loadIIFE('js/modules/vectortiles.js', 'VectorTileModule');
+if (VectorTileModule) {
+    // Minimal protobuf writer for hand-built tiles
+    function pbVarint(n) {
+        const out = [];
+        while (n >= 128) { out.push((n % 128) | 0x80); n = Math.floor(n / 128); }
+        out.push(n);
+        return out;
+    }
+    const pbZig = n => (n < 0 ? -2 * n - 1 : 2 * n);
+    const pbKey = (field, wire) => pbVarint(field * 8 + wire);
+    const pbBytes = (field, bytes) => [...pbKey(field, 2), ...pbVarint(bytes.length), ...bytes];
+    const pbString = (field, str) => pbBytes(field, [...Buffer.from(str, 'utf8')]);
+    const pbUint = (field, n) => [...pbKey(field, 0), ...pbVarint(n)];
+    const pbPacked = (field, nums) => pbBytes(field, nums.flatMap(pbVarint));
+
+    // Layer "roads": one line (class=primary, name=Main St) and one point; extent 4096
+    function buildTestMVT() {
+        const line = [
+            ...pbUint(1, 7),
+            ...pbPacked(2, [0, 0, 1, 1]),
+            ...pbUint(3, 2),
+            ...pbPacked(4, [9, pbZig(0), pbZig(2048), 18, pbZig(4096), pbZig(0), pbZig(0), pbZig(100)])
+        ];
+        const point = [...pbPacked(2, [0, 2]), ...pbUint(3, 1), ...pbPacked(4, [9, pbZig(10), pbZig(20)])];
+        const layer = [
+            ...pbUint(15, 2),
+            ...pbString(1, 'roads'),
+            ...pbBytes(2, line),
+            ...pbBytes(2, point),
+            ...pbString(3, 'class'),
+            ...pbString(3, 'name'),
+            ...pbBytes(4, pbString(1, 'primary')),
+            ...pbBytes(4, pbString(1, 'Main St')),
+            ...pbBytes(4, pbUint(6, pbZig(-3))),
+            ...pbUint(5, 4096)
+        ];
+        return new Uint8Array(pbBytes(3, layer));
+    }
+
+    suite('VectorTiles MVT decoding', () => {
+        const layers = VectorTileModule.decodeMVT(buildTestMVT());
+        const roads = layers.roads;
+
+        test('layer name and extent', () => {
+            assertEqual(Object.keys(layers).join(','), 'roads');
+            assertEqual(roads.extent, 4096);
+            assertEqual(roads.version, 2);
+        });
+        test('feature properties resolved from keys/values', () => {
+            assertEqual(roads.features[0].properties.class, 'primary');
+            assertEqual(roads.features[0].properties.name, 'Main St');
+            assertEqual(roads.features[0].id, 7);
+        });
+        test('sint value decoded', () => assertEqual(roads.features[1].properties.class, -3));
+        test('line geometry deltas accumulate', () => {
+            const g = roads.features[0].geometry;
+            assertEqual(g.length, 1);
+            assertEqual(JSON.stringify(g[0]), JSON.stringify([[0, 2048], [4096, 2048], [4096, 2148]]));
+        });
+        test('point geometry', () => assertEqual(JSON.stringify(roads.features[1].geometry), '[[[10,20]]]'));
+        test('close path repeats first vertex', () => {
+            const rings = VectorTileModule.decodeGeometry([9, 0, 0, 26, 20, 0, 0, 20, 19, 0, 15]);
+            assertEqual(JSON.stringify(rings), '[[[0,0],[10,0],[10,10],[0,10],[0,0]]]');
+        });
+        test('multiple MoveTo start new parts', () => {
+            const parts = VectorTileModule.decodeGeometry([9, 0, 0, 10, 2, 2, 9, 2, 2, 10, 2, 2]);
+            assertEqual(parts.length, 2);
+            assertEqual(JSON.stringify(parts[1]), '[[2,2],[3,3]]');
+        });
+        test('empty tile decodes to no layers', () => assertEqual(Object.keys(VectorTileModule.decodeMVT(new Uint8Array(0))).length, 0));
+    });
+
+    suite('Binary protobuf reader', () => {
+        test('fields split with fixed-width offsets', () => {
+            const bytes = new Uint8Array([...pbUint(1, 300), ...pbString(2, 'ab'), 0x1d, 1, 2, 3, 4, 0x21, 0, 0, 0, 0, 0, 0, 0, 0]);
+            const fields = BinaryUtils.readFields(bytes);
+            assertEqual(fields.map(f => `${f.field}/${f.wire}`).join(','), '1/0,2/2,3/5,4/1');
+            assertEqual(fields[0].value, 300);
+            assertEqual(BinaryUtils.decodeString(fields[1].value), 'ab');
+            assertEqual(fields[2].offset, 8);
+            assertEqual(fields[3].offset, 13);
+        });
+        test('truncated fixed64 rejected', () => assertThrows(() => BinaryUtils.readFields(new Uint8Array([0x09, 1, 2, 3]))));
+        test('truncated length-delimited rejected', () => assertThrows(() => BinaryUtils.readFields(new Uint8Array([0x12, 5, 1]))));
+    });
+
+    suite('VectorTiles PMTiles', () => {
+        test('tile id z0', () => assertEqual(VectorTileModule.zxyToTileId(0, 0, 0), 0));
+        test('tile ids z1 follow Hilbert order', () => {
+            assertEqual(VectorTileModule.zxyToTileId(1, 0, 0), 1);
+            assertEqual(VectorTileModule.zxyToTileId(1, 0, 1), 2);
+            assertEqual(VectorTileModule.zxyToTileId(1, 1, 1), 3);
+            assertEqual(VectorTileModule.zxyToTileId(1, 1, 0), 4);
+        });
+        test('tile id z2 base offset', () => assertEqual(VectorTileModule.zxyToTileId(2, 0, 0), 5));
+        test('tile ids unique at z3', () => {
+            const ids = new Set();
+            for (let x = 0; x < 8; x++) for (let y = 0; y < 8; y++) ids.add(VectorTileModule.zxyToTileId(3, x, y));
+            assertEqual(ids.size, 64);
+            assertEqual(Math.min(...ids), 21);
+            assertEqual(Math.max(...ids), 84);
+        });
+        test('out of range tile throws', () => assertThrows(() => VectorTileModule.zxyToTileId(1, 2, 0)));
+
+        test('directory deserialization', () => {
+            // 3 entries: ids 0,1,5; run lengths 1,1,0 (leaf); lengths 10,20,30; offsets 0, follow-on, 100
+            const bytes = new Uint8Array([3, 0, 1, 4, 1, 1, 0, 10, 20, 30, 1, 0, 101]);
+            const entries = VectorTileModule.parseDirectory(bytes);
+            assertEqual(entries.map(e => e.tileId).join(','), '0,1,5');
+            assertEqual(entries.map(e => e.offset).join(','), '0,10,100');
+            assertEqual(entries[2].runLength, 0);
+        });
+        test('find entry: exact, run, leaf, miss', () => {
+            const entries = [
+                { tileId: 0, offset: 0, length: 10, runLength: 1 },
+                { tileId: 1, offset: 10, length: 20, runLength: 3 },
+                { tileId: 10, offset: 100, length: 30, runLength: 0 }
+            ];
+            assertEqual(VectorTileModule.findEntry(entries, 0).offset, 0);
+            assertEqual(VectorTileModule.findEntry(entries, 3).offset, 10);
+            assertEqual(VectorTileModule.findEntry(entries, 4), null);
+            assertEqual(VectorTileModule.findEntry(entries, 57).offset, 100);
+        });
+
+        test('header parsing', () => {
+            const buf = new Uint8Array(127);
+            buf.set([...Buffer.from('PMTiles')], 0);
+            buf[7] = 3;
+            const dv = new DataView(buf.buffer);
+            dv.setUint32(8, 127, true); dv.setUint32(16, 50, true);
+            dv.setUint32(56, 4096, true); dv.setUint32(60, 1, true);
+            buf[97] = 2; buf[98] = 2; buf[99] = 1; buf[100] = 0; buf[101] = 14;
+            dv.setInt32(102, -1245000000, true); dv.setInt32(106, 320000000, true);
+            dv.setInt32(110, -1140000000, true); dv.setInt32(114, 420000000, true);
+            const h = VectorTileModule.parsePMTilesHeader(buf);
+            assertEqual(h.rootDirectoryOffset, 127);
+            assertEqual(h.rootDirectoryLength, 50);
+            assertEqual(h.tileDataOffset, 4096 + 4294967296);
+            assertEqual(h.tileType, VectorTileModule.TILE_TYPE.MVT);
+            assertEqual(h.maxZoom, 14);
+            assertClose(h.bounds.west, -124.5, 1e-9);
+            assertClose(h.bounds.north, 42, 1e-9);
+        });
+        test('non-PMTiles rejected', () => assertThrows(() => VectorTileModule.parsePMTilesHeader(new Uint8Array(127))));
+    });
+
+    suite('VectorTiles style and labels', () => {
+        test('OpenMapTiles road classes', () => {
+            assertEqual(VectorTileModule.classifyRoad({ class: 'motorway' }), 'motorway');
+            assertEqual(VectorTileModule.classifyRoad({ class: 'tertiary' }), 'secondary');
+            assertEqual(VectorTileModule.classifyRoad({ class: 'track' }), 'track');
+            assertEqual(VectorTileModule.classifyRoad({ class: 'rail' }), 'rail');
+        });
+        test('Protomaps road kinds', () => {
+            assertEqual(VectorTileModule.classifyRoad({ kind: 'highway' }), 'motorway');
+            assertEqual(VectorTileModule.classifyRoad({ kind: 'major_road', kind_detail: 'secondary' }), 'secondary');
+            assertEqual(VectorTileModule.classifyRoad({ kind: 'minor_road', kind_detail: 'track' }), 'track');
+            assertEqual(VectorTileModule.classifyRoad({ kind: 'path' }), 'path');
+        });
+        test('unknown road class skipped', () => assertEqual(VectorTileModule.classifyRoad({ class: 'ferry' }), null));
+        test('land cover classes', () => {
+            assertEqual(VectorTileModule.classifyLandcover({ class: 'wood' }), 'forest');
+            assertEqual(VectorTileModule.classifyLandcover({ kind: 'park' }), 'grass');
+            assertEqual(VectorTileModule.classifyLandcover({ class: 'glacier' }), 'ice');
+        });
+
+        test('road name label anchored on longest segment', () => {
+            const layers = { transportation_name: VectorTileModule.decodeMVT(buildTestMVT()).roads };
+            const labels = VectorTileModule.extractLabels(layers, 0, 0, 0);
+            assertEqual(labels.length, 1);
+            assertEqual(labels[0].kind, 'road');
+            assertEqual(labels[0].text, 'Main St');
+            assertClose(labels[0].lon, 0, 1e-9);
+            assertClose(labels[0].lat, 0, 1e-9);
+            assertClose(labels[0].lon1, -180, 1e-9);
+            assertClose(labels[0].lon2, 180, 1e-9);
+        });
+        test('place label rank and min zoom', () => {
+            const layers = {
+                place: { extent: 4096, features: [{ type: 1, properties: { class: 'town', name: 'Bishop' }, geometry: [[[2048, 2048]]] }] }
+            };
+            const labels = VectorTileModule.extractLabels(layers, 1, 0, 0);
+            assertEqual(labels[0].rank, 3);
+            assertEqual(labels[0].minZoom, 8);
+            assertClose(labels[0].lon, -90, 1e-9);
+        });
+        test('only index contours labelled', () => {
+            const line = [[[0, 0], [100, 0]]];
+            const layers = {
+                contour: { extent: 4096, features: [
+                    { type: 2, properties: { ele: 1500 }, geometry: line },
+                    { type: 2, properties: { ele: 1540 }, geometry: line }
+                ] }
+            };
+            const labels = VectorTileModule.extractLabels(layers, 10, 0, 0);
+            assertEqual(labels.length, 1);
+            assertEqual(labels[0].text, '1500');
+        });
+        test('rotated label box grows', () => {
+            const flat = VectorTileModule.labelBox(0, 0, 40, 10, 0);
+            const steep = VectorTileModule.labelBox(0, 0, 40, 10, Math.PI / 2);
+            assertClose(flat.x2 - flat.x1, 40, 1e-9);
+            assertClose(steep.y2 - steep.y1, 40, 1e-9);
+        });
+        test('label collision', () => {
+            const a = VectorTileModule.labelBox(0, 0, 40, 10, 0);
+            assert(VectorTileModule.boxesOverlap(a, VectorTileModule.labelBox(30, 0, 40, 10, 0)));
+            assert(!VectorTileModule.boxesOverlap(a, VectorTileModule.labelBox(0, 20, 40, 10, 0)));
+        });
+    });
+} else {
+    _testLog('  ⚠️  VectorTileModule not loaded, skipping');
+}
+
+// ============================================================
+// ---- MBTILES ----
+// ============================================================
+
+const MBTilesModule = loadIIFE('js/modules/mbtiles.js', 'MBTilesModule');
+if (MBTilesModule) {
+    suite('MBTiles SQLite primitives', () => {
+        test('varint single byte', () => {
+            const r = MBTilesModule.readVarint(new Uint8Array([0x7f]), 0);
+            assertEqual(r.value, 127);
+            assertEqual(r.length, 1);
+        });
+        test('varint multi byte', () => {
+            const r = MBTilesModule.readVarint(new Uint8Array([0x81, 0x00]), 0);
+            assertEqual(r.value, 128);
+            assertEqual(r.length, 2);
+        });
+        test('varint nine bytes uses full last byte', () => {
+            const bytes = new Uint8Array([0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0xff]);
+            assertEqual(MBTilesModule.readVarint(bytes, 0).value, 255);
+            assertEqual(MBTilesModule.readVarint(bytes, 0).length, 9);
+        });
+
+        test('database header', () => {
+            const bytes = new Uint8Array(100);
+            bytes.set([...Buffer.from('SQLite format 3\0', 'latin1')], 0);
+            const dv = new DataView(bytes.buffer);
+            dv.setUint16(16, 1); // 65536
+            bytes[20] = 8;
+            dv.setUint32(56, 1);
+            const h = MBTilesModule.parseHeader(bytes);
+            assertEqual(h.pageSize, 65536);
+            assertEqual(h.usableSize, 65528);
+            assertEqual(h.textEncoding, 'utf-8');
+        });
+        test('non-SQLite file rejected', () => assertThrows(() => MBTilesModule.parseHeader(new Uint8Array(100))));
+
+        test('leaf and interior page headers', () => {
+            const leaf = new Uint8Array(512);
+            leaf[0] = 13; leaf[4] = 2; leaf[8] = 0x01; leaf[9] = 0xf0; leaf[10] = 0x01; leaf[11] = 0xe0;
+            const info = MBTilesModule.parseBTreePage(leaf, 2);
+            assertEqual(info.interior, false);
+            assertEqual(info.cells.join(','), '496,480');
+            const interior = new Uint8Array(512);
+            interior[0] = 5; interior[4] = 1; interior[11] = 9; interior[12] = 0x01; interior[13] = 0xfc;
+            const info2 = MBTilesModule.parseBTreePage(interior, 3);
+            assertEqual(info2.rightChild, 9);
+            assertEqual(info2.cells[0], 508);
+        });
+        test('page 1 header follows the database header', () => {
+            const page = new Uint8Array(512);
+            page[100] = 13;
+            assertEqual(MBTilesModule.parseBTreePage(page, 1).cells.length, 0);
+        });
+
+        test('local payload sizes (4096-byte pages)', () => {
+            assertEqual(MBTilesModule.localPayloadSize(4000, 4096, true), 4000);
+            assertEqual(MBTilesModule.localPayloadSize(4061, 4096, true), 4061);
+            // Overflowing table payload keeps K = minLocal + (P - minLocal) % (U - 4) when it fits
+            assertEqual(MBTilesModule.localPayloadSize(5000, 4096, true), 489 + (5000 - 489) % 4092);
+            assertEqual(MBTilesModule.localPayloadSize(1002, 4096, false), 1002);
+            // ...and falls back to minLocal when K would exceed maxLocal
+            assertEqual(MBTilesModule.localPayloadSize(1003, 4096, false), 489);
+        });
+
+        test('record decoding', () => {
+            // header: size 6; types: int8, int16, const 1, text(3), blob(2)
+            const payload = new Uint8Array([6, 1, 2, 9, 19, 16, 0xfe, 0x01, 0x00, 0x61, 0x62, 0x63, 0xaa, 0xbb]);
+            const rec = MBTilesModule.parseRecord(payload, new TextDecoder());
+            assertEqual(rec[0], -2);
+            assertEqual(rec[1], 256);
+            assertEqual(rec[2], 1);
+            assertEqual(rec[3], 'abc');
+            assertEqual(Array.from(rec[4]).join(','), '170,187');
+        });
+        test('record int24 sign', () => {
+            const rec = MBTilesModule.parseRecord(new Uint8Array([2, 3, 0xff, 0xff, 0xfe]), new TextDecoder());
+            assertEqual(rec[0], -2);
+        });
+        test('key comparison', () => {
+            assertEqual(MBTilesModule.compareKey([3, 1, 2, 99], [3, 1, 2]), 0);
+            assert(MBTilesModule.compareKey([3, 1, 1, 99], [3, 1, 2]) < 0);
+            assert(MBTilesModule.compareKey([4, 0, 0, 1], [3, 9, 9]) > 0);
+            assert(MBTilesModule.compareKey([null], [0]) < 0);
+            assert(MBTilesModule.compareKey(['a'], [5]) > 0);
+        });
+    });
+
+    suite('MBTiles schema', () => {
+        const schema = [
+            { type: 'table', name: 'metadata', table: 'metadata', rootPage: 2, sql: 'CREATE TABLE metadata (name text, value text)' },
+            { type: 'table', name: 'tiles', table: 'tiles', rootPage: 3, sql: 'CREATE TABLE tiles (zoom_level integer, tile_column integer, tile_row integer, tile_data blob)' },
+            { type: 'index', name: 'tile_index', table: 'tiles', rootPage: 4, sql: 'CREATE UNIQUE INDEX tile_index on tiles (zoom_level, tile_column, tile_row)' }
+        ];
+        test('plain tiles layout', () => {
+            const layout = MBTilesModule.resolveTileLayout(schema);
+            assertEqual(layout.kind, 'tiles');
+            assertEqual(layout.tileIndexRoot, 4);
+            assertEqual(layout.dataColumn, 3);
+        });
+        test('missing tile index rejected', () => assertThrows(() => MBTilesModule.resolveTileLayout(schema.slice(0, 2))));
+        test('deduplicated map/images layout with autoindexes', () => {
+            const dedup = [
+                { type: 'table', name: 'map', table: 'map', rootPage: 2,
+                  sql: 'CREATE TABLE map (zoom_level INTEGER, tile_column INTEGER, tile_row INTEGER, tile_id TEXT, PRIMARY KEY (zoom_level, tile_column, tile_row))' },
+                { type: 'index', name: 'sqlite_autoindex_map_1', table: 'map', rootPage: 3, sql: null },
+                { type: 'table', name: 'images', table: 'images', rootPage: 4, sql: 'CREATE TABLE images (tile_data blob, tile_id text PRIMARY KEY)' },
+                { type: 'index', name: 'sqlite_autoindex_images_1', table: 'images', rootPage: 5, sql: null },
+                { type: 'view', name: 'tiles', table: 'tiles', rootPage: 0, sql: 'CREATE VIEW tiles AS SELECT ...' }
+            ];
+            const layout = MBTilesModule.resolveTileLayout(dedup);
+            assertEqual(layout.kind, 'map');
+            assertEqual(layout.tileIndexRoot, 3);
+            assertEqual(layout.imageIndexRoot, 5);
+            assertEqual(layout.mapTileIdColumn, 3);
+            assertEqual(layout.dataColumn, 0);
+            assertEqual(layout.imageIdIsRowid, false);
+        });
+        test('integer tile_id is the rowid', () => {
+            const t = MBTilesModule.parseCreateTable('CREATE TABLE images (tile_id INTEGER PRIMARY KEY, tile_data BLOB)');
+            assertEqual(t.rowidColumn, 'tile_id');
+            assertEqual(t.columns.join(','), 'tile_id,tile_data');
+        });
+        test('quoted identifiers and constraints', () => {
+            const t = MBTilesModule.parseCreateTable('CREATE TABLE "tiles" ("zoom_level" INTEGER, [tile_column] INTEGER, `tile_row` INTEGER, tile_data BLOB, CONSTRAINT pk UNIQUE (zoom_level, tile_column, tile_row))');
+            assertEqual(t.columns.join(','), 'zoom_level,tile_column,tile_row,tile_data');
+            assertEqual(t.uniqueKeys[0].join(','), 'zoom_level,tile_column,tile_row');
+        });
+        test('index columns', () => {
+            const idx = MBTilesModule.parseCreateIndex('CREATE UNIQUE INDEX "map_index" ON "map" ("zoom_level", "tile_column" ASC, "tile_row")');
+            assertEqual(idx.table, 'map');
+            assertEqual(idx.columns.join(','), 'zoom_level,tile_column,tile_row');
+        });
+    });
+
+    suite('MBTiles metadata and tiles', () => {
+        test('metadata normalized', () => {
+            const meta = MBTilesModule.parseMetadata([
+                ['name', 'Sierra'], ['format', 'jpeg'], ['bounds', '-120.5,36,-118,38.25'],
+                ['minzoom', '6'], ['maxzoom', '14'], ['attribution', '<a href="x">© USGS</a>']
+            ]);
+            assertEqual(meta.format, 'jpg');
+            assertEqual(meta.maxZoom, 14);
+            assertEqual(meta.bounds.north, 38.25);
+            assertEqual(meta.attribution, '© USGS');
+        });
+        test('bad bounds ignored', () => assertEqual(MBTilesModule.parseMetadata([['bounds', '1,2,3']]).bounds, null));
+        test('format sniffing', () => {
+            assertEqual(MBTilesModule.sniffFormat(new Uint8Array([0x89, 0x50, 0x4e, 0x47])), 'png');
+            assertEqual(MBTilesModule.sniffFormat(new Uint8Array([0xff, 0xd8, 0xff, 0xe0])), 'jpg');
+            assertEqual(MBTilesModule.sniffFormat(new Uint8Array([0x1f, 0x8b, 8, 0])), 'pbf');
+        });
+        test('TMS row flip', () => {
+            assertEqual(MBTilesModule.tmsRow(0, 0), 0);
+            assertEqual(MBTilesModule.tmsRow(3, 0), 7);
+            assertEqual(MBTilesModule.tmsRow(10, 300), 723);
+        });
+        test('tile range bounds', () => {
+            const b = MBTilesModule.tileRangeBounds(1, 0, 0, 0, 0);
+            assertClose(b.west, -180, 1e-9);
+            assertClose(b.east, 0, 1e-9);
+            assertClose(b.south, 0, 1e-9);
+            assertClose(b.north, 85.0511, 1e-4);
+        });
+    });
+} else {
+    _testLog('  ⚠️  MBTilesModule not loaded, skipping');
+}
+
+// ---- GEOJSON MODULE ----
+// Real waypoint type schemas so property-to-field mapping is exercised
+const RealConstants = loadIIFE('js/core/constants.js', 'Constants');
+if (RealConstants) global.Constants.WAYPOINT_TYPES = RealConstants.WAYPOINT_TYPES;
+const GeoJSONModule = loadIIFE('js/modules/geojson.js', 'GeoJSONModule');
+if (GeoJSONModule && RealConstants) {
+    suite('GeoJSON parsing', () => {
+        test('FeatureCollection splits points, lines and polygons', () => {
+            const result = GeoJSONModule.parseGeoJSON(JSON.stringify({
+                type: 'FeatureCollection',
+                features: [
+                    { type: 'Feature', properties: { name: 'A' }, geometry: { type: 'Point', coordinates: [-119.5, 37.5, 1200] } },
+                    { type: 'Feature', properties: { name: 'R' }, geometry: { type: 'LineString', coordinates: [[-119.5, 37.5], [-119.4, 37.6]] } },
+                    { type: 'Feature', properties: { name: 'P' }, geometry: { type: 'Polygon', coordinates: [[[-119, 37], [-118, 37], [-118, 38], [-119, 37]]] } }
+                ]
+            }));
+            assertEqual(result.waypoints.length, 1);
+            assertEqual(result.routes.length, 1);
+            assertEqual(result.areas.length, 1);
+            assertEqual(result.waypoints[0].lat, 37.5);
+            assertEqual(result.waypoints[0].lon, -119.5);
+            assertEqual(result.waypoints[0].elevation, 1200);
+            assertEqual(result.waypoints[0].source, 'geojson');
+        });
+        test('polygon drops closing position and holes', () => {
+            const result = GeoJSONModule.parseGeoJSON({
+                type: 'Feature', properties: { name: 'Sector 1', stroke: '#ff0000' },
+                geometry: { type: 'Polygon', coordinates: [
+                    [[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]],
+                    [[0.2, 0.2], [0.4, 0.2], [0.4, 0.4], [0.2, 0.2]]
+                ] }
+            });
+            assertEqual(result.areas[0].points.length, 4);
+            assertEqual(result.areas[0].name, 'Sector 1');
+            assertEqual(result.areas[0].color, '#ff0000');
+        });
+        test('MultiLineString joins parts into one route', () => {
+            const result = GeoJSONModule.parseGeoJSON({
+                type: 'Feature', properties: { name: 'Two legs', terrain: 'trail' },
+                geometry: { type: 'MultiLineString', coordinates: [
+                    [[-119.5, 37.5], [-119.4, 37.5]],
+                    [[-119.4, 37.5], [-119.3, 37.5]]
+                ] }
+            });
+            assertEqual(result.routes.length, 1);
+            assertEqual(result.routes[0].points.length, 4);
+            assertEqual(result.routes[0].points[0].terrain, 'trail');
+        });
+        test('bare geometry is accepted', () => {
+            const result = GeoJSONModule.parseGeoJSON({ type: 'Point', coordinates: [10, 20] });
+            assertEqual(result.waypoints.length, 1);
+        });
+        test('invalid positions and unknown geometries are skipped', () => {
+            const result = GeoJSONModule.parseGeoJSON({
+                type: 'FeatureCollection',
+                features: [
+                    { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [200, 95] } },
+                    { type: 'Feature', properties: {}, geometry: null },
+                    { type: 'Feature', properties: {}, geometry: { type: 'Curve', coordinates: [] } }
+                ]
+            });
+            assertEqual(result.waypoints.length, 0);
+            assertEqual(result.skipped, 3);
+        });
+        test('malformed JSON throws', () => {
+            assertThrows(() => GeoJSONModule.parseGeoJSON('{not json'));
+            assertThrows(() => GeoJSONModule.parseGeoJSON('{"foo":1}'));
+        });
+    });
+
+    suite('GeoJSON property mapping', () => {
+        test('type property selects a WAYPOINT_TYPES key', () => {
+            const wp = GeoJSONModule.parseGeoJSON({ type: 'Point', coordinates: [0, 0] }).waypoints[0];
+            assertEqual(wp.type, 'custom');
+            const typed = GeoJSONModule.parseGeoJSON({
+                type: 'Feature', properties: { name: 'X', type: 'Fuel' }, geometry: { type: 'Point', coordinates: [0, 0] }
+            }).waypoints[0];
+            assertEqual(typed.type, 'fuel');
+        });
+        test('unknown type value falls back to inference', () => {
+            const wp = GeoJSONModule.parseGeoJSON({
+                type: 'Feature', properties: { name: 'Pt', amenity: 'drinking_water' }, geometry: { type: 'Point', coordinates: [0, 0] }
+            }).waypoints[0];
+            assertEqual(wp.type, 'water');
+        });
+        test('fields match by key or label regardless of case and separators', () => {
+            const wp = GeoJSONModule.parseGeoJSON({
+                type: 'Feature',
+                properties: { name: 'Spring', type: 'water', flow_rate: 'Good (5-10 GPM)', 'Source Type': 'SPRING', lastVerified: '2026-06-01T12:00:00Z' },
+                geometry: { type: 'Point', coordinates: [0, 0] }
+            }).waypoints[0];
+            assertEqual(wp.flowRate, 'good');
+            assertEqual(wp.sourceType, 'spring');
+            assertEqual(wp.lastVerified, '2026-06-01');
+        });
+        test('values that do not fit the field are dropped', () => {
+            const wp = GeoJSONModule.parseGeoJSON({
+                type: 'Feature',
+                properties: { type: 'water', flowRate: 'gushing', lastVerified: 'someday' },
+                geometry: { type: 'Point', coordinates: [0, 0] }
+            }).waypoints[0];
+            assertEqual(wp.flowRate, undefined);
+            assertEqual(wp.lastVerified, undefined);
+        });
+        test('checkbox and number fields are coerced', () => {
+            const camp = GeoJSONModule.parseGeoJSON({
+                type: 'Feature', properties: { type: 'camp', fire_allowed: 'yes' }, geometry: { type: 'Point', coordinates: [0, 0] }
+            }).waypoints[0];
+            assertEqual(camp.fireAllowed, true);
+            const fuel = GeoJSONModule.parseGeoJSON({
+                type: 'Feature', properties: { type: 'fuel', quantity: '12.5' }, geometry: { type: 'Point', coordinates: [0, 0] }
+            }).waypoints[0];
+            assertEqual(fuel.quantity, 12.5);
+        });
+    });
+
+    suite('GeoJSON export', () => {
+        const waypoints = [{ id: 'w1', name: 'Tank', type: 'water', lat: 37.5, lon: -119.5, flowRate: 'low', notes: 'n' }];
+        const routes = [{ id: 'r1', name: 'Road', points: [{ lat: 37.5, lon: -119.5 }, { lat: 37.6, lon: -119.4 }] }];
+
+        test('waypoints and routes become features with type fields', () => {
+            const fc = GeoJSONModule.exportGeoJSON(waypoints, routes);
+            assertEqual(fc.type, 'FeatureCollection');
+            assertEqual(fc.features.length, 2);
+            assertEqual(fc.features[0].geometry.coordinates[0], -119.5);
+            assertEqual(fc.features[0].properties.flowRate, 'low');
+            assertEqual(fc.features[1].geometry.type, 'LineString');
+        });
+        test('tracks carry coordTimes and team skips members without a fix', () => {
+            const fc = GeoJSONModule.exportGeoJSON([], [], {
+                tracks: [{ name: 'T', points: [
+                    { lat: 1, lon: 2, altitude: 10, timestamp: new Date(0) },
+                    { lat: 1.1, lon: 2.1, altitude: 12, timestamp: new Date(1000) }
+                ] }],
+                team: [{ id: 'a', name: 'Alpha', lat: 3, lon: 4 }, { id: 'b', name: 'Bravo', lat: 0, lon: 0 }]
+            });
+            assertEqual(fc.features.length, 2);
+            assertEqual(fc.features[0].properties.griddown_kind, 'track');
+            assertEqual(fc.features[0].properties.coordTimes[1], '1970-01-01T00:00:01.000Z');
+            assertEqual(fc.features[0].geometry.coordinates[0][2], 10);
+            assertEqual(fc.features[1].properties.name, 'Alpha');
+        });
+        test('areas close their ring', () => {
+            const fc = GeoJSONModule.exportGeoJSON([], [], {
+                areas: [{ id: 'a1', name: 'AO', points: [{ lat: 0, lon: 0 }, { lat: 0, lon: 1 }, { lat: 1, lon: 1 }] }]
+            });
+            const ring = fc.features[0].geometry.coordinates[0];
+            assertEqual(ring.length, 4);
+            assertEqual(ring[3][0], ring[0][0]);
+        });
+        test('export round-trips through import', () => {
+            const fc = GeoJSONModule.exportGeoJSON(waypoints, routes);
+            const back = GeoJSONModule.parseGeoJSON(JSON.stringify(fc));
+            assertEqual(back.waypoints[0].type, 'water');
+            assertEqual(back.waypoints[0].flowRate, 'low');
+            assertEqual(back.waypoints[0].name, 'Tank');
+            assertEqual(back.routes[0].points.length, 2);
+        });
+    });
+} else {
+    _testLog('  ⚠️  GeoJSONModule not loaded, skipping');
+}
+
+// ---- AREAS MODULE ----
+if (RealConstants) global.Constants.AREA_TYPES = RealConstants.AREA_TYPES;
+const AreasModule = loadIIFE('js/modules/areas.js', 'AreasModule');
+if (AreasModule && RealConstants) {
+    const square = (size) => [
+        { lat: 0, lon: 0 }, { lat: 0, lon: size }, { lat: size, lon: size }, { lat: size, lon: 0 }
+    ];
+
+    suite('Area geometry', () => {
+        test('1° square at the equator is ~12,390 km²', () => {
+            const area = AreasModule.computeArea(square(1));
+            assertClose(area / 1e6, 12391, 12391 * 0.01);
+        });
+        test('area ignores winding order', () => {
+            const cw = square(0.01);
+            const ccw = cw.slice().reverse();
+            assertClose(AreasModule.computeArea(cw), AreasModule.computeArea(ccw), 1e-6);
+        });
+        test('fewer than 3 points has no area', () => {
+            assertEqual(AreasModule.computeArea([{ lat: 0, lon: 0 }, { lat: 1, lon: 1 }]), 0);
+        });
+        test('perimeter closes the ring (miles)', () => {
+            assertClose(AreasModule.computePerimeter(square(0.01)), 4 * 0.6910, 0.01);
+        });
+        test('containsPoint uses ray casting', () => {
+            assert(AreasModule.containsPoint(square(1), 0.5, 0.5));
+            assert(!AreasModule.containsPoint(square(1), 1.5, 0.5));
+            assert(!AreasModule.containsPoint(square(1), 0.5, -0.1));
+        });
+        test('centroid of a square is its middle', () => {
+            const c = AreasModule.computeCentroid(square(2));
+            assertClose(c.lat, 1, 1e-9);
+            assertClose(c.lon, 1, 1e-9);
+        });
+        test('radius search area becomes a circle of the right size', () => {
+            const points = AreasModule.pointsFromSearchArea({ type: 'radius', center: { lat: 37, lon: -119 }, radius: 1 });
+            assertEqual(points.length, 48);
+            // π r² for r = 1 mi, in m²
+            assertClose(AreasModule.computeArea(points), Math.PI * 2589988.11, 2589988.11 * 0.05);
+        });
+        test('corridor search area is a width × length rectangle', () => {
+            const points = AreasModule.pointsFromSearchArea({
+                type: 'corridor', start: { lat: 37, lon: -119 }, end: { lat: 37.1, lon: -119 }, width: 2
+            });
+            assertEqual(points.length, 4);
+            assertClose(AreasModule.computePerimeter(points), 2 * 2 + 2 * 6.9097, 0.05);
+        });
+        test('unusable search area returns null', () => {
+            assertEqual(AreasModule.pointsFromSearchArea({ type: 'radius', center: { lat: 0, lon: 0 }, radius: 0 }), null);
+            assertEqual(AreasModule.pointsFromSearchArea(null), null);
+        });
+        test('formatArea uses acres then square miles (imperial default)', () => {
+            assertEqual(AreasModule.formatArea(4046.8564224), '1.00 acres');
+            assertEqual(AreasModule.formatArea(2589988.110336 * 2), '2.00 sq mi');
+        });
+    });
+
+    suite('Area objects', () => {
+        test('createArea fills defaults from the area type', () => {
+            const area = AreasModule.createArea({ type: 'hazard', points: square(1) });
+            assertEqual(area.name, 'Hazard Zone');
+            assertEqual(area.color, RealConstants.AREA_TYPES.hazard.color);
+            assertEqual(area.fill, area.color);
+            assertEqual(area.fillOpacity, 0.15);
+            assertEqual(area.source, 'drawn');
+            assert(area.id, 'has an id');
+        });
+        test('createArea falls back to custom and normalizes colors', () => {
+            const area = AreasModule.createArea({ type: 'nope', color: '#F0A', fill: 'red', fillOpacity: 3, points: square(1) });
+            assertEqual(area.type, 'custom');
+            assertEqual(area.color, '#ff00aa');
+            assertEqual(area.fill, '#ff00aa');
+            assertEqual(area.fillOpacity, 1);
+        });
+        test('createArea copies points as plain lat/lon', () => {
+            const area = AreasModule.createArea({ points: [{ lat: 1, lon: 2, x: 5, extra: true }] });
+            assertEqual(JSON.stringify(area.points), '[{"lat":1,"lon":2}]');
+        });
+        test('State.Areas add/update/remove keep selection in sync', () => {
+            const a = AreasModule.createArea({ name: 'S1', points: square(1) });
+            State.Areas.add(a, false);
+            State.Areas.select(a);
+            State.Areas.update(a.id, { name: 'S1-b' }, false);
+            assertEqual(State.get('selectedArea').name, 'S1-b');
+            State.Areas.remove(a.id, false);
+            assertEqual(State.get('areas').length, 0);
+            assertEqual(State.get('selectedArea'), null);
+        });
+    });
+
+    const GPXModule = loadIIFE('js/modules/gpx.js', 'GPXModule');
+    const KMLModule = loadIIFE('js/modules/kml.js', 'KMLModule');
+    const PlanSharingModule = loadIIFE('js/modules/plansharing.js', 'PlanSharingModule');
+    const sector = AreasModule.createArea({ id: 'a1', name: 'Sector <A>', type: 'search', color: '#ff0000', fillOpacity: 0.25, points: square(1) });
+
+    suite('Area export', () => {
+        if (GPXModule) test('GPX writes areas as closed tracks with griddown extensions', () => {
+            const gpx = GPXModule.exportGPX([], [], { areas: [sector] });
+            assert(gpx.includes('xmlns:griddown="http://griddown.app/gpx/area/1"'));
+            assert(gpx.includes('<type>Area</type>'));
+            assert(gpx.includes('<griddown:areaType>search</griddown:areaType>'));
+            assert(gpx.includes('<name>Sector &lt;A&gt;</name>'));
+            assertEqual((gpx.match(/<trkpt /g) || []).length, 5);
+        });
+        if (GPXModule) test('GPX without areas has no griddown namespace', () => {
+            assert(!GPXModule.exportGPX([], []).includes('xmlns:griddown'));
+        });
+        if (KMLModule) test('KML writes areas as Polygon placemarks with AABBGGRR styles', () => {
+            const kml = KMLModule.exportKML([], [], { areas: [sector] });
+            assert(kml.includes('<name>Areas</name>'));
+            assert(kml.includes('<Polygon>'));
+            assert(kml.includes('<LineStyle><color>ff0000ff</color>'));
+            assert(kml.includes('<PolyStyle><color>400000ff</color>'));
+            assert(kml.includes('<Data name="griddown_area_type"><value>search</value></Data>'));
+        });
+        if (GeoJSONModule) test('GeoJSON round-trips area type and fill opacity', () => {
+            const fc = GeoJSONModule.exportGeoJSON([], [], { areas: [sector] });
+            const parsed = GeoJSONModule.parseGeoJSON(fc);
+            assertEqual(parsed.areas.length, 1);
+            assertEqual(parsed.areas[0].type, 'search');
+            assertEqual(parsed.areas[0].fillOpacity, 0.25);
+            assertEqual(parsed.areas[0].points.length, 4);
+        });
+        if (PlanSharingModule) test('plan checksum is unchanged when there are no areas', () => {
+            const wps = [{ id: 'w1', name: 'A' }];
+            assertEqual(PlanSharingModule.generateChecksum(wps, []), PlanSharingModule.generateChecksum(wps, [], []));
+            assert(PlanSharingModule.generateChecksum(wps, [], [sector]) !== PlanSharingModule.generateChecksum(wps, []));
+        });
+    });
+} else {
+    _testLog('  ⚠️  AreasModule not loaded, skipping');
+}
+
+// ---- SEARCH PATTERN MODULE ----
+const SearchPatternModule = loadIIFE('js/modules/searchpatterns.js', 'SearchPatternModule');
+if (SearchPatternModule) {
+    const datum = { lat: 37.5, lon: -119.5 };
+    const meters = (a, b) => {
+        const R = 6371000, toRad = d => d * Math.PI / 180;
+        const dLat = toRad(b.lat - a.lat), dLon = toRad(b.lon - a.lon);
+        const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+        return R * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+    };
+
+    suite('Search patterns', () => {
+        test('expanding square legs grow S, S, 2S, 2S, 3S, 3S', () => {
+            const pts = SearchPatternModule.expandingSquare({ datum, trackSpacing: 100, legLength: 300, orientation: 0 });
+            assertEqual(pts.length, 7);
+            const legs = pts.slice(1).map((p, i) => Math.round(meters(pts[i], p)));
+            assertEqual(JSON.stringify(legs), JSON.stringify([100, 100, 200, 200, 300, 300]));
+            assert(pts[1].lat > datum.lat, 'first leg heads north');
+            assert(pts[2].lon > pts[1].lon, 'then turns right (east)');
+        });
+        test('sector search crosses the datum three times', () => {
+            const pts = SearchPatternModule.sectorSearch({ datum, legLength: 500, orientation: 90 });
+            assertEqual(pts.length, 10);
+            [0, 3, 6, 9].forEach(i => assertClose(meters(pts[i], datum), 0, 0.5));
+            [1, 2, 4, 5, 7, 8].forEach(i => assertClose(meters(pts[i], datum), 500, 1));
+            // Cross legs are also one radius long (equilateral triangles)
+            assertClose(meters(pts[1], pts[2]), 500, 1);
+        });
+        test('parallel track alternates legs spaced one track apart', () => {
+            const pts = SearchPatternModule.parallelTrack({ datum, trackSpacing: 100, legLength: 1000, orientation: 0, trackCount: 4 });
+            assertEqual(pts.length, 8);
+            assertClose(meters(pts[0], pts[1]), 1000, 1);
+            assertClose(meters(pts[1], pts[2]), 100, 1);
+            assert(pts[1].lat > pts[0].lat && pts[3].lat < pts[2].lat, 'legs alternate direction');
+        });
+        test('parallel track is centered on the datum', () => {
+            const pts = SearchPatternModule.parallelTrack({ datum, trackSpacing: 100, legLength: 1000, orientation: 45, trackCount: 3 });
+            const mid = { lat: (pts[0].lat + pts[5].lat) / 2, lon: (pts[0].lon + pts[5].lon) / 2 };
+            assertClose(meters(mid, datum), 0, 1);
+        });
+        test('geometric contour loops step out by track spacing', () => {
+            const pts = SearchPatternModule.contourLoops({ datum, trackSpacing: 100, legLength: 250 });
+            assertEqual(pts.length, 2 * 37);
+            assertClose(meters(pts[0], datum), 100, 0.5);
+            assertClose(meters(pts[37], datum), 200, 0.5);
+        });
+        test('DEM contour rings follow a synthetic cone', () => {
+            // Elevation drops 0.1 m per meter from a 1000 m summit
+            const profiles = [];
+            for (let b = 0; b < 8; b++) {
+                profiles.push(Array.from({ length: 10 }, (_, s) => 1000 - (s + 1) * 50 * 0.1));
+            }
+            const pts = SearchPatternModule.contourRingsFromProfiles(
+                { datum, trackSpacing: 10, legLength: 500 }, profiles, 1000);
+            assertEqual(pts.length, 5 * 9);
+            assertClose(meters(pts[0], datum), 100, 1);
+            assertClose(meters(pts[9 * 4], datum), 500, 1);
+        });
+        test('DEM contour gives up without a closed ring', () => {
+            const flat = Array.from({ length: 4 }, () => Array(10).fill(1000));
+            assertEqual(SearchPatternModule.contourRingsFromProfiles({ datum, trackSpacing: 10, legLength: 500 }, flat, 1000), null);
+        });
+        test('missing parameters throw', () => {
+            assertThrows(() => SearchPatternModule.expandingSquare({ datum, legLength: 100 }));
+            assertThrows(() => SearchPatternModule.sectorSearch({ legLength: 100 }));
+            assertThrows(() => SearchPatternModule.sectorSearch({ datum, legLength: 0 }));
+        });
+    });
+} else {
+    _testLog('  ⚠️  SearchPatternModule not loaded, skipping');
+}
+
+// ---- SEARCH PLAN MODULE ----
+global.AreasModule = AreasModule;
+const SearchPlanModule = AreasModule ? loadIIFE('js/modules/searchplan.js', 'SearchPlanModule') : null;
+if (SearchPlanModule) {
+    const ipp = { lat: 37.5, lon: -119.5 };
+    const rings = [1, 2, 3, 4];
+    const kmToMiles = km => km / 1.609344;
+    const boxAt = (lat, lon, dLat, dLon) => [
+        { lat, lon }, { lat, lon: lon + dLon }, { lat: lat + dLat, lon: lon + dLon }, { lat: lat + dLat, lon }
+    ];
+
+    suite('Search plan POA', () => {
+        test('ring CDF hits the percentiles at each ring', () => {
+            assertClose(SearchPlanModule.ringCdf(1, rings), 0.25, 1e-9);
+            assertClose(SearchPlanModule.ringCdf(2.5, rings), 0.625, 1e-9);
+            assertClose(SearchPlanModule.ringCdf(4, rings), 0.95, 1e-9);
+            assertClose(SearchPlanModule.ringCdf(8, rings), 1, 1e-9);
+            assertEqual(SearchPlanModule.ringCdf(0, rings), 0);
+        });
+        test('rings are forced positive and non-decreasing', () => {
+            assertEqual(JSON.stringify(SearchPlanModule.normalizeRings([2, 1, 'x', 5])), JSON.stringify([2, 2, 2, 5]));
+        });
+        test('POA of a circle at the 50% ring is ~50%', () => {
+            const circle = AreasModule.circlePolygon(ipp, kmToMiles(2), 72);
+            assertClose(SearchPlanModule.poaFromRings(circle, ipp, rings, 60), 0.5, 0.02);
+        });
+        test('POA of a box past the outer tail is ~100%', () => {
+            const box = boxAt(ipp.lat - 0.1, ipp.lon - 0.12, 0.2, 0.24);
+            assertClose(SearchPlanModule.poaFromRings(box, ipp, rings, 60), 1, 0.02);
+        });
+        test('track length inside a segment', () => {
+            const box = boxAt(37.5, -119.5, 0.01, 0.01);
+            const track = [{ lat: 37.505, lon: -119.51 }, { lat: 37.505, lon: -119.48 }];
+            // 0.01° of longitude at 37.505°N is ~882 m
+            assertClose(SearchPlanModule.trackLengthInPolygon(track, box), 882, 15);
+            assertEqual(SearchPlanModule.trackLengthInPolygon(track, boxAt(38, -119.5, 0.01, 0.01)), 0);
+        });
+        test('coverage and exponential POD', () => {
+            const c = SearchPlanModule.computeCoverage(20, 5000, 1e6);
+            assertClose(c, 0.1, 1e-12);
+            assertClose(SearchPlanModule.podFromCoverage(c), 1 - Math.exp(-0.1), 1e-12);
+            assertClose(SearchPlanModule.podFromCoverage(3), 0.9502, 1e-4);
+        });
+        test('Bayesian update shifts POA to unsearched segments and ROW', () => {
+            const segs = [{ id: 'a', poa: 0.5, podCumulative: 0 }, { id: 'b', poa: 0.3, podCumulative: 0 }];
+            const r = SearchPlanModule.bayesUpdate(segs, 0.2, [{ segmentId: 'a', pod: 0.6 }]);
+            assertClose(r.pos, 0.3, 1e-12);
+            assertClose(r.segments[0].poa, 0.2 / 0.7, 1e-12);
+            assertClose(r.segments[1].poa, 0.3 / 0.7, 1e-12);
+            assertClose(r.row, 0.2 / 0.7, 1e-12);
+            assertClose(r.segments[0].podCumulative, 0.6, 1e-12);
+            assertEqual(r.segments[1].podCumulative, 0);
+            assertEqual(segs[0].poa, 0.5, 'input is not mutated');
+        });
+        test('grid division keeps the whole area', () => {
+            const box = boxAt(0, 0, 0.0089, 0.0179);
+            const cells = SearchPlanModule.gridCells(box, 500);
+            assertEqual(cells.length, 8);
+            assertEqual(cells[0].label, 'A1');
+            assertEqual(cells[7].label, 'B4');
+            const total = cells.reduce((sum, c) => sum + AreasModule.computeArea(c.points), 0);
+            assertClose(total / AreasModule.computeArea(box), 1, 0.01);
+            assertThrows(() => SearchPlanModule.gridCells(box, 5));
+        });
+    });
+
+    suite('Search plan incident', () => {
+        const savedState = global.State;
+        const segmentArea = { id: 'seg1', name: 'North', type: 'search', points: boxAt(37.505, -119.505, 0.01, 0.01) };
+        const sweep = { id: 'r1', name: 'Sweep', points: [{ lat: 37.51, lon: -119.51 }, { lat: 37.51, lon: -119.49 }] };
+        global.State = { get: key => ({ areas: [segmentArea], routes: [sweep], teamMembers: [] })[key] };
+
+        test('segment POA comes from rings and the rest goes to ROW', () => {
+            SearchPlanModule.createIncident({ name: 'Test', category: 'hiker', ipp, rings });
+            SearchPlanModule.addSegmentFromArea('seg1');
+            const [seg] = SearchPlanModule.getSegments();
+            assert(seg.poa > 0 && seg.poa < 1, 'segment has some POA');
+            assertClose(SearchPlanModule.getPlan().row, 1 - seg.poa, 1e-12);
+            assertThrows(() => SearchPlanModule.addSegmentFromArea('seg1'));
+        });
+        test('recording a sortie lowers POA and raises cumulative POD', () => {
+            const before = SearchPlanModule.getSegments()[0].poa;
+            const sortie = SearchPlanModule.recordSortie({ sourceId: 'route:r1', sweepWidth: 50 });
+            const [seg] = SearchPlanModule.getSegments();
+            assertEqual(sortie.results.length, 1);
+            assert(seg.poa < before, 'POA dropped');
+            assertClose(seg.podCumulative, sortie.results[0].pod, 1e-12);
+            assertClose(sortie.pos, before * sortie.results[0].pod, 1e-12);
+            assertClose(seg.poa + SearchPlanModule.getPlan().row, 1, 1e-9);
+            assertEqual(seg.status, 'searched');
+            assertClose(SearchPlanModule.getCumulativePos(), sortie.pos, 1e-12);
+        });
+        test('reset discards sorties', () => {
+            SearchPlanModule.resetPoa();
+            assertEqual(SearchPlanModule.getPlan().sorties.length, 0);
+            assertEqual(SearchPlanModule.getSegments()[0].podCumulative, 0);
+            SearchPlanModule.closeIncident();
+            assertEqual(SearchPlanModule.getPlan(), null);
+        });
+
+        global.State = savedState;
+    });
+} else {
+    _testLog('  ⚠️  SearchPlanModule not loaded, skipping');
+}
+
+// ---- TRACKS MODULE ----
+const TracksModule = loadIIFE('js/modules/tracks.js', 'TracksModule');
+if (TracksModule) {
+    const t0 = Date.UTC(2026, 0, 1, 12, 0, 0);
+    // ~111 m per 0.001° of latitude; walk north one step every 60 s
+    const walk = (startIndex, count, startTime, extra = () => ({})) => Array.from({ length: count }, (_, i) => ({
+        lat: 40 + (startIndex + i) * 0.001,
+        lon: -105,
+        timestamp: new Date(startTime + i * 60000),
+        ...extra(i)
+    }));
+
+    suite('Track library', () => {
+        test('stats skip pause gaps and count moving time', () => {
+            const segs = [walk(0, 4, t0), walk(3, 3, t0 + 30 * 60000)];
+            const stats = TracksModule.computeStats(TracksModule.buildTrack({ segments: segs }).segments);
+            assertEqual(stats.segmentCount, 2);
+            assertEqual(stats.pointCount, 7);
+            assertClose(stats.distance, 5 * 111.2, 1);
+            assertEqual(stats.movingTime, 5 * 60);
+            assertEqual(stats.elapsedTime, 32 * 60);
+            assertClose(stats.maxSpeed, 111.2 / 60, 0.01);
+        });
+        test('stationary points are not moving time', () => {
+            const still = Array.from({ length: 5 }, (_, i) => ({ lat: 40, lon: -105, timestamp: t0 + i * 60000 }));
+            const stats = TracksModule.computeStats([still]);
+            assertEqual(stats.distance, 0);
+            assertEqual(stats.movingTime, 0);
+            assertEqual(stats.elapsedTime, 240);
+        });
+        test('elevation gain prefers barometer and ignores noise', () => {
+            const baro = [100, 101, 100, 103, 105, 104, 110];
+            const gpsNoise = [100, 120, 95, 125, 90, 130, 100];
+            const seg = walk(0, 7, t0, i => ({ baroAltitude: baro[i], altitude: gpsNoise[i] }));
+            const stats = TracksModule.computeStats(TracksModule.buildTrack({ segments: [seg] }).segments);
+            assertEqual(stats.elevationSource, 'barometer');
+            assertEqual(stats.elevationGain, 10);
+            assertEqual(stats.elevationLoss, 0);
+            assertEqual(stats.maxElevation, 110);
+        });
+        test('GPS altitude uses a wider noise band', () => {
+            const alt = [100, 105, 98, 115, 111, 130];
+            const stats = TracksModule.computeStats([walk(0, 6, t0, i => ({ altitude: alt[i] }))]);
+            assertEqual(stats.elevationSource, 'gps');
+            assertEqual(stats.elevationGain, 30);
+        });
+        test('replay position interpolates and holds through pauses', () => {
+            const track = TracksModule.buildTrack({ segments: [walk(0, 2, t0), walk(5, 2, t0 + 10 * 60000)] });
+            const mid = TracksModule.positionAt(track, t0 + 30000);
+            assertClose(mid.lat, 40.0005, 1e-9);
+            const paused = TracksModule.positionAt(track, t0 + 5 * 60000);
+            assertClose(paused.lat, 40.001, 1e-9);
+            const end = TracksModule.positionAt(track, t0 + 60 * 60000);
+            assertClose(end.lat, 40.006, 1e-9);
+        });
+        test('timestamps are stored as numbers', () => {
+            const track = TracksModule.buildTrack({ segments: [walk(0, 2, t0)] });
+            assertEqual(track.startTime, t0);
+            assertEqual(typeof track.segments[0][1].timestamp, 'number');
+        });
+
+        const TrackGPX = loadIIFE('js/modules/gpx.js', 'GPXModule');
+        const TrackKML = loadIIFE('js/modules/kml.js', 'KMLModule');
+        const exportTrack = { name: 'Patrol', segments: [walk(0, 2, t0, () => ({ altitude: 1600 })), walk(5, 2, t0 + 600000)] };
+        if (TrackGPX) test('GPX writes one trkseg per segment with times', () => {
+            const gpx = TrackGPX.exportGPX([], [], { tracks: [exportTrack] });
+            assertEqual(gpx.split('<trkseg>').length - 1, 2);
+            assert(gpx.includes('<ele>1600.0</ele><time>2026-01-01T12:00:00.000Z</time>'));
+            assert(!gpx.includes('<type>'), 'tracks are not tagged as areas');
+        });
+        if (TrackKML) test('KML writes a MultiGeometry with a TimeSpan', () => {
+            const kml = TrackKML.exportKML([], [], { tracks: [exportTrack] });
+            assert(kml.includes('<name>Tracks</name>'));
+            assertEqual(kml.split('<LineString>').length - 1, 2);
+            assert(kml.includes('<begin>2026-01-01T12:00:00.000Z</begin>'));
+        });
+        if (GeoJSONModule) test('GeoJSON writes a MultiLineString for paused tracks', () => {
+            const fc = GeoJSONModule.exportGeoJSON([], [], { tracks: [exportTrack] });
+            assertEqual(fc.features[0].geometry.type, 'MultiLineString');
+            assertEqual(fc.features[0].geometry.coordinates.length, 2);
+            assertEqual(fc.features[0].properties.coordTimes[1].length, 2);
+        });
+    });
+} else {
+    _testLog('  ⚠️  TracksModule not loaded, skipping');
+}
+
+// ---- OFFLINE ROUTING MODULE ----
+const OfflineRoutingModule = loadIIFE('js/modules/offlinerouting.js', 'OfflineRoutingModule');
+if (OfflineRoutingModule) {
+    // A road loops north around a footpath; a track and a one-way street lead east to a motorway
+    const network = {
+        elements: [
+            { type: 'node', id: 1, lat: 40.000, lon: -105.000 },
+            { type: 'node', id: 2, lat: 40.000, lon: -104.990 },
+            { type: 'node', id: 3, lat: 40.000, lon: -104.980 },
+            { type: 'node', id: 4, lat: 40.010, lon: -104.990 },
+            { type: 'node', id: 5, lat: 40.000, lon: -104.970 },
+            { type: 'node', id: 6, lat: 40.000, lon: -104.960 },
+            { type: 'node', id: 7, lat: 40.000, lon: -104.950 },
+            { type: 'way', id: 10, nodes: [1, 4, 3], tags: { highway: 'residential' } },
+            { type: 'way', id: 11, nodes: [1, 2, 3], tags: { highway: 'path' } },
+            { type: 'way', id: 12, nodes: [3, 5], tags: { highway: 'track', tracktype: 'grade4' } },
+            { type: 'way', id: 13, nodes: [5, 6], tags: { highway: 'residential', oneway: 'yes' } },
+            { type: 'way', id: 14, nodes: [6, 7], tags: { highway: 'motorway' } },
+            { type: 'way', id: 15, nodes: [1, 7], tags: { waterway: 'river' } }
+        ]
+    };
+    const graph = OfflineRoutingModule.prepareGraph(
+        OfflineRoutingModule.buildGraph(OfflineRoutingModule.parseOverpassJSON(network))
+    );
+
+    suite('Offline routing', () => {
+        test('classifies OSM ways into terrain and access', () => {
+            const c = OfflineRoutingModule.classifyWay;
+            assertEqual(c({ highway: 'track', tracktype: 'grade1' }).terrain, 'road');
+            assertEqual(c({ highway: 'track', tracktype: 'grade5' }).terrain, 'crawl');
+            assertEqual(c({ highway: 'track' }).terrain, 'trail');
+            assertEqual(c({ highway: 'primary' }).terrain, 'highway');
+            assertEqual(c({ highway: 'motorway' }).access & 1, 0, 'no walking on motorways');
+            assertEqual(c({ highway: 'path' }).access, 1);
+            assertEqual(c({ highway: 'path', atv: 'yes' }).access, 3);
+            assertEqual(c({ highway: 'service', access: 'private' }), null);
+            assertEqual(c({ highway: 'track', access: 'no', foot: 'yes' }).access, 1);
+            assertEqual(c({ highway: 'residential', oneway: '-1' }).oneway, -1);
+            assertEqual(c({ highway: 'steps' }).terrain, 'crawl');
+            assertEqual(c({ highway: 'proposed' }), null);
+        });
+        test('builds a compact graph from routable ways only', () => {
+            assertEqual(graph.nodeCount, 7);
+            assertEqual(graph.edgeCount, 7);
+            assert(graph.terrainLengths.trail > 0 && graph.terrainLengths.highway > 0);
+        });
+        test('foot takes the footpath and fills in terrain', () => {
+            const r = OfflineRoutingModule.findRoute(graph, { lat: 40.0001, lon: -105 }, { lat: 40, lon: -104.9801 }, 'foot');
+            assertEqual(r.points.length, 3);
+            assertClose(r.points[1].lon, -104.99, 1e-9);
+            assertEqual(r.points[0].terrain, null);
+            assertEqual(r.points[1].terrain, 'trail');
+            assertClose(r.distance, 1706, 5);
+            assertClose(r.terrainDistance.trail, r.distance, 1e-6);
+        });
+        test('4x4 stays on the road', () => {
+            const r = OfflineRoutingModule.findRoute(graph, { lat: 40, lon: -105 }, { lat: 40, lon: -104.97 }, 'truck_4x4');
+            assertEqual(r.points.map(p => p.terrain).join(','), ',road,road,trail');
+            assertClose(r.points[1].lat, 40.01, 1e-9);
+        });
+        test('one-way streets bind vehicles but not walkers', () => {
+            const east = OfflineRoutingModule.findRoute(graph, { lat: 40, lon: -104.97 }, { lat: 40, lon: -104.95 }, 'truck_4x4');
+            assertEqual(east.points.map(p => p.terrain).join(','), ',road,highway');
+            const west = OfflineRoutingModule.findRoute(graph, { lat: 40, lon: -104.96 }, { lat: 40, lon: -104.97 }, 'atv');
+            assertEqual(west, null);
+            const walk = OfflineRoutingModule.findRoute(graph, { lat: 40, lon: -104.96 }, { lat: 40, lon: -104.97 }, 'foot');
+            assertEqual(walk.points.length, 2);
+        });
+        test('snapping skips ways the profile cannot use', () => {
+            const foot = OfflineRoutingModule.snap(graph, 40, -104.951, 'foot');
+            assertClose(foot.lon, -104.96, 1e-9);
+            const truck = OfflineRoutingModule.snap(graph, 40, -104.951, 'truck_4x4');
+            assertClose(truck.lon, -104.95, 1e-9);
+            assertEqual(OfflineRoutingModule.snap(graph, 40.5, -104.95, 'foot'), null);
+        });
+        test('vehicle speeds come from logistics profiles', () => {
+            global.LogisticsModule = { VEHICLE_PROFILES: { atv: { speed: { trail: 30 } } } };
+            assertEqual(OfflineRoutingModule.getProfileSpeeds('atv').trail, 30);
+            assertEqual(OfflineRoutingModule.getProfileSpeeds('atv').road, 35);
+            delete global.LogisticsModule;
+            assertThrows(() => OfflineRoutingModule.getProfileSpeeds('boat'));
+        });
+        test('GeoJSON networks join at shared vertices', () => {
+            const osm = OfflineRoutingModule.parseGeoJSONNetwork({
+                type: 'FeatureCollection',
+                features: [
+                    { type: 'Feature', properties: { highway: 'track', tracktype: 'grade2' }, geometry: { type: 'LineString', coordinates: [[-105, 40], [-104.99, 40]] } },
+                    { type: 'Feature', properties: { terrain: 'crawl' }, geometry: { type: 'LineString', coordinates: [[-104.99, 40], [-104.99, 40.01]] } },
+                    { type: 'Feature', properties: { name: 'Fence' }, geometry: { type: 'LineString', coordinates: [[-105, 40], [-105, 40.01]] } }
+                ]
+            });
+            const g = OfflineRoutingModule.prepareGraph(OfflineRoutingModule.buildGraph(osm));
+            assertEqual(g.nodeCount, 3);
+            const r = OfflineRoutingModule.findRoute(g, { lat: 40, lon: -105 }, { lat: 40.01, lon: -104.99 }, 'truck_4x4');
+            assertEqual(r.points.map(p => p.terrain).join(','), ',road,crawl');
+        });
+
+        // Minimal protobuf writer for an uncompressed OSM PBF
+        const varint = (n) => { const out = []; do { let b = n % 128; n = Math.floor(n / 128); if (n > 0) b |= 0x80; out.push(b); } while (n > 0); return out; };
+        const sint = (n) => varint(n < 0 ? -2 * n - 1 : 2 * n);
+        const field = (num, bytes) => [...varint(num * 8 + 2), ...varint(bytes.length), ...bytes];
+        const packedDeltas = (num, values) => field(num, values.flatMap((v, i) => sint(v - (i ? values[i - 1] : 0))));
+        const str = (s) => [...Buffer.from(s)];
+        const block = [
+            ...field(1, ['', 'highway', 'track', 'name', 'x'].flatMap(s => field(1, str(s)))),
+            ...field(2, field(2, [
+                ...packedDeltas(1, [5000000001, 5000000002, 5000000003]),
+                ...packedDeltas(8, [400000000, 400100000, 400200000]),
+                ...packedDeltas(9, [-1050000000, -1050000000, -1050000000])
+            ])),
+            ...field(2, field(3, [
+                ...[8, 99],
+                ...field(2, [1]), ...field(3, [2]),
+                ...packedDeltas(8, [5000000001, 5000000002, 5000000003])
+            ]))
+        ];
+        const blob = field(1, block);
+        const header = [...field(1, str('OSMData')), ...varint(3 * 8), ...varint(blob.length)];
+        const file = Uint8Array.from([0, 0, 0, header.length, ...header, ...blob]);
+
+        test('reads ways and dense nodes from OSM PBF blocks', () => {
+            const blocks = OfflineRoutingModule.readFileBlocks(file);
+            assertEqual(blocks.length, 1);
+            assertEqual(blocks[0].type, 'OSMData');
+            const ways = [];
+            const wanted = new Set();
+            OfflineRoutingModule.collectWays(Uint8Array.from(block), ways, wanted);
+            assertEqual(ways.length, 1);
+            assertEqual(ways[0].tags.highway, 'track');
+            assertEqual(ways[0].refs[2], 5000000003);
+            const nodes = new Map();
+            OfflineRoutingModule.collectNodes(Uint8Array.from(block), wanted, nodes);
+            assertClose(nodes.get(5000000002)[0], 40.01, 1e-9);
+            assertClose(nodes.get(5000000002)[1], -105, 1e-9);
+            const g = OfflineRoutingModule.buildGraph({ nodes, ways });
+            assertEqual(g.edgeCount, 2);
+        });
+
+        // Route builder snapping
+        const RoutedBuilder = loadIIFE('js/modules/routebuilder.js', 'RouteBuilderModule');
+        if (RoutedBuilder) test('route builder inserts snapped via points', () => {
+            const savedState = global.State;
+            let routes = [];
+            global.State = { get: key => (key === 'routes' ? routes : []), Routes: { setAll: r => { routes = r; }, select: () => {} } };
+            global.ModalsModule = { showToast: () => {} };
+            global.OfflineRoutingModule = OfflineRoutingModule;
+            OfflineRoutingModule.loadGraph(graph);
+
+            RoutedBuilder.setSnapProfile('truck_4x4');
+            RoutedBuilder.startNewRoute('Snapped');
+            RoutedBuilder.addPoint(40.0002, -105.0003);
+            RoutedBuilder.addPoint(40.0001, -104.9701);
+            const route = RoutedBuilder.getState().currentRoute;
+            assertEqual(route.points.length, 4);
+            assertClose(route.points[0].lon, -105, 1e-9, 'first click snapped');
+            assertEqual(route.points.filter(p => p.via).length, 2);
+            assertEqual(route.points[3].terrain, 'trail');
+            assertEqual(route.routingProfile, 'truck_4x4');
+
+            RoutedBuilder.removePoint(3);
+            assertEqual(route.points.length, 1, 'snapped leg removed with its end point');
+            RoutedBuilder.cancelRoute();
+            RoutedBuilder.setSnapProfile(null);
+
+            OfflineRoutingModule.loadGraph(null);
+            delete global.OfflineRoutingModule;
+            delete global.ModalsModule;
+            global.State = savedState;
+        });
+    });
+} else {
+    _testLog('  ⚠️  OfflineRoutingModule not loaded, skipping');
+}
+
+// ============================================================
+// APRS TNC transports
+// ============================================================
+const APRSModule = loadIIFE('js/modules/aprs.js', 'APRSModule');
+if (APRSModule) {
+    // Mock WebSocket that records instances and sent frames
+    class MockSocket {
+        constructor(url) { this.url = url; this.sent = []; MockSocket.instances.push(this); }
+        send(data) { this.sent.push(data); }
+        close() { this.closed = true; }
+    }
+    MockSocket.instances = [];
+
+    const addr = (call, ssid, last) => [
+        ...call.padEnd(6, ' ').split('').map(c => c.charCodeAt(0) << 1),
+        0x60 | (ssid << 1) | (last ? 1 : 0)
+    ];
+    const ax25 = (src, info) => [...addr('APRS', 0, false), ...addr(src, 9, true), 0x03, 0xF0, ...Buffer.from(info)];
+    const kiss = (frame) => [0xC0, 0x00, ...frame, 0xC0];
+
+    const withSocket = (fn) => {
+        const savedWS = global.WebSocket;
+        global.WebSocket = MockSocket;
+        MockSocket.instances = [];
+        try {
+            fn();
+        } finally {
+            APRSModule.cancelReconnect();
+            APRSModule.disconnect();
+            APRSModule.clearStations();
+            global.WebSocket = savedWS;
+        }
+    };
+
+    // Connect a mock KISS bridge and return a function that feeds it packets
+    const openBridge = () => {
+        APRSModule.connectKissTcp('ws://localhost:8765');
+        const ws = MockSocket.instances[MockSocket.instances.length - 1];
+        ws.onopen();
+        return (src, info) => ws.onmessage({ data: Uint8Array.from(kiss(ax25(src, info))).buffer });
+    };
+
+    suite('APRS TNC transports', () => {
+        test('KISS over WebSocket decodes frames split across messages', () => withSocket(() => {
+            APRSModule.connectKissTcp('ws://localhost:8765');
+            const ws = MockSocket.instances[0];
+            assertEqual(ws.url, 'ws://localhost:8765');
+            assertEqual(ws.binaryType, 'arraybuffer');
+            ws.onopen();
+            assert(APRSModule.isConnected());
+            assertEqual(APRSModule.getConnectionType(), 'kiss-tcp');
+
+            const bytes = Uint8Array.from(kiss(ax25('N0CALL', '!4000.00N/10500.00W>test')));
+            ws.onmessage({ data: bytes.slice(0, 10).buffer });
+            assertEqual(APRSModule.getStations().length, 0, 'partial frame buffered');
+            ws.onmessage({ data: bytes.slice(10).buffer });
+            const station = APRSModule.getStation('N0CALL-9');
+            assert(station, 'station decoded');
+            assertClose(station.lat, 40, 1e-6);
+            assertClose(station.lon, -105, 1e-6);
+        }));
+
+        test('text-mode bridge frames are treated as raw bytes', () => withSocket(() => {
+            APRSModule.connectKissTcp('ws://localhost:8765');
+            const ws = MockSocket.instances[0];
+            ws.onopen();
+            ws.onmessage({ data: String.fromCharCode(...kiss(ax25('K1ABC', '!4100.00N/07200.00W-'))) });
+            assert(APRSModule.getStation('K1ABC-9'), 'station decoded from text frame');
+        }));
+
+        test('transmit writes KISS frames to the active transport', () => withSocket(() => {
+            APRSModule.setCallsign('W1TST', 7);
+            APRSModule.connectKissTcp('ws://localhost:8765');
+            const ws = MockSocket.instances[0];
+            ws.onopen();
+            APRSModule.sendMessage('N0CALL', 'hello', false);
+            assertEqual(ws.sent.length, 1);
+            const frame = ws.sent[0];
+            assertEqual(frame[0], 0xC0);
+            assertEqual(frame[1], 0x00);
+            assertEqual(frame[frame.length - 1], 0xC0);
+            assert(Buffer.from(frame).toString('latin1').includes(':N0CALL   :hello'), 'message in frame');
+        }));
+
+        test('unexpected close starts auto-reconnect, user disconnect does not', () => withSocket(() => {
+            APRSModule.setConnectionSettings({ autoReconnect: true });
+            APRSModule.connectKissTcp('ws://localhost:8765');
+            let ws = MockSocket.instances[0];
+            ws.onopen();
+            ws.onclose();
+            assert(!APRSModule.isConnected());
+            assert(APRSModule.isReconnecting(), 'reconnect scheduled');
+            APRSModule.cancelReconnect();
+            assert(!APRSModule.isReconnecting());
+
+            APRSModule.connectKissTcp('ws://localhost:8765');
+            ws = MockSocket.instances[1];
+            ws.onopen();
+            APRSModule.disconnect();
+            assert(ws.closed, 'socket closed');
+            ws.onclose();
+            assert(!APRSModule.isReconnecting(), 'no reconnect after user disconnect');
+        }));
+
+        test('validates connection settings', () => {
+            assertThrows(() => APRSModule.setConnectionSettings({ type: 'carrier-pigeon' }));
+            assertThrows(() => APRSModule.setConnectionSettings({ baudRate: 'fast' }));
+            const settings = APRSModule.setConnectionSettings({ type: 'serial', baudRate: '1200' });
+            assertEqual(settings.type, 'serial');
+            assertEqual(settings.baudRate, 1200);
+            APRSModule.setConnectionSettings({ type: 'bluetooth', baudRate: 9600 });
+        });
+    });
+
+    suite('APRS weather and telemetry', () => {
+        test('decodes positionless weather fields', () => {
+            const { weather, rest } = APRSModule.parseWeatherFields('c220s004g005t-05r010p030P020h00b10132L456wRSW');
+            assertEqual(weather.windDirection, 220);
+            assertEqual(weather.windSpeed, 4);
+            assertEqual(weather.windGust, 5);
+            assertEqual(weather.temperature, -5);
+            assertEqual(weather.rain1h, 0.1);
+            assertEqual(weather.rain24h, 0.3);
+            assertEqual(weather.rainMidnight, 0.2);
+            assertEqual(weather.humidity, 100, '00 means 100%');
+            assertEqual(weather.pressure, 1013.2);
+            assertEqual(weather.luminosity, 456);
+            assertEqual(rest, 'wRSW');
+        });
+
+        test('skips missing sensors and reads snowfall after temperature', () => {
+            const { weather } = APRSModule.parseWeatherFields('c...s   g...t030s002h55');
+            assertEqual(weather.windDirection, undefined);
+            assertEqual(weather.windSpeed, undefined);
+            assertEqual(weather.temperature, 30);
+            assertEqual(weather.snow24h, 2);
+            assertEqual(weather.humidity, 55);
+        });
+
+        test('positioned weather report builds station history', () => withSocket(() => {
+            const feed = openBridge();
+            feed('WX1ABC', '!4000.00N/10500.00W_180/010g015t072r000p000h45b10150 Davis');
+            feed('WX1ABC', '!4000.00N/10500.00W_190/012g020t070h50b10145');
+            const station = APRSModule.getStation('WX1ABC-9');
+            assert(station.isWeatherStation);
+            assertEqual(station.course, undefined, 'wind is not treated as course');
+            assertEqual(station.weather.windDirection, 190);
+            assertEqual(station.weather.windSpeed, 12);
+            assertEqual(station.weather.pressure, 1014.5);
+            const history = APRSModule.getWeatherHistory('WX1ABC-9');
+            assertEqual(history.length, 2);
+            assertEqual(history[0].temperature, 72);
+
+            const obs = APRSModule.toWeatherObservation(station);
+            assertEqual(obs.id, 'aprs:WX1ABC-9');
+            assertClose(obs.lat, 40, 1e-6);
+            assertEqual(obs.windGust, 20);
+        }));
+
+        test('positionless weather creates a station without position', () => withSocket(() => {
+            const feed = openBridge();
+            feed('WX2DEF', '_10090556c220s004g005t077r000p000P000h50b09900wRSW');
+            const station = APRSModule.getStation('WX2DEF-9');
+            assert(station, 'station created');
+            assertEqual(station.lat, undefined);
+            assertEqual(station.weather.temperature, 77);
+            assertEqual(APRSModule.toWeatherObservation(station), null, 'no observation without position');
+        }));
+
+        test('scales telemetry with PARM/UNIT/EQNS/BITS definitions', () => withSocket(() => {
+            const feed = openBridge();
+            feed('N0TLM', 'T#005,199,000,255,073,123,01101001');
+            feed('N0TLM', ':N0TLM-9  :PARM.Battery,Temp,Solar,A4,A5,Door,B2');
+            feed('N0TLM', ':N0TLM-9  :UNIT.Volts,deg.F,Watts,,,Open');
+            feed('N0TLM', ':N0TLM-9  :EQNS.0,0.075,0,0,0.5,-20,0,1,0,0,1,0,0,1,0');
+            feed('N0TLM', ':N0TLM-9  :BITS.01111111,Cabin Monitor');
+            feed('N0TLM', 'T#006,200,010,255,073,123,11101001');
+
+            const telemetry = APRSModule.getTelemetry('N0TLM-9');
+            assertEqual(telemetry.history.length, 2);
+            assertEqual(telemetry.definitions.project, 'Cabin Monitor');
+            const latest = telemetry.latest;
+            assertEqual(latest.sequence, '006');
+            assertEqual(latest.channels[0].name, 'Battery');
+            assertClose(latest.channels[0].value, 15, 1e-9);
+            assertEqual(latest.channels[0].unit, 'Volts');
+            assertClose(latest.channels[1].value, -15, 1e-9);
+            assertEqual(latest.bits[0].name, 'Door');
+            assertEqual(latest.bits[0].on, false, 'bit sense 0 means active low');
+            assertEqual(latest.bits[1].on, true);
+            assertClose(telemetry.history[0].channels[0].value, 14.925, 1e-9, 'older frames rescaled');
+        }));
+
+        test('parses telemetry definition messages', () => {
+            assertEqual(APRSModule.parseTelemetryDefinition('hello'), null);
+            const eqns = APRSModule.parseTelemetryDefinition('EQNS.0,2,1').eqns;
+            assertEqual(eqns[0].join(','), '0,2,1');
+            assertEqual(eqns[1].join(','), '0,1,0', 'missing equations default to identity');
+            assertEqual(APRSModule.parseTelemetryDefinition('BITS.xyz').bitSense, '11111111');
+        });
+    });
+
+    suite('APRS messaging', () => {
+        const frames = (ws) => ws.sent.map(f => Buffer.from(f.slice(0, -1)).toString('latin1'));
+        const withMessaging = (fn) => withSocket(() => {
+            APRSModule.setCallsign('W1TST', 7);
+            try {
+                fn();
+            } finally {
+                APRSModule.setActiveThread(null);
+                APRSModule.getThreads().forEach(t => APRSModule.deleteThread(t.id));
+                APRSModule.getGroups().forEach(g => APRSModule.leaveGroup(g.name));
+            }
+        });
+
+        test('acks incoming messages and tracks unread', () => withMessaging(() => {
+            const feed = openBridge();
+            const ws = MockSocket.instances[0];
+            feed('N0CALL', ':W1TST-7  :hi there{12');
+            assert(frames(ws).some(f => f.includes(':N0CALL-9 :ack12')), 'ack sent');
+            assertEqual(APRSModule.getUnreadCount(), 1);
+
+            feed('N0CALL', ':W1TST-7  :hi there{12');
+            assertEqual(frames(ws).filter(f => f.includes(':ack12')).length, 2, 'retransmission re-acked');
+            assertEqual(APRSModule.getThreadMessages('N0CALL-9').length, 1, 'retransmission not duplicated');
+
+            APRSModule.setActiveThread('N0CALL-9');
+            assertEqual(APRSModule.getUnreadCount(), 0);
+            feed('N0CALL', ':W1TST-7  :still there?{13');
+            assertEqual(APRSModule.getUnreadCount(), 0, 'open thread stays read');
+        }));
+
+        test('retries with decaying interval until acked', () => withMessaging(() => {
+            openBridge();
+            const ws = MockSocket.instances[0];
+            APRSModule.sendMessage('K1ABC', 'status?');
+            const first = frames(ws)[0];
+            const msgId = first.match(/\{(\w\w)$/)[1];
+            const sentAt = APRSModule.getThreadMessages('K1ABC')[0].lastAttempt;
+
+            APRSModule.processOutbox(sentAt + 20000);
+            assertEqual(ws.sent.length, 1, 'no retry before 30s');
+            APRSModule.processOutbox(sentAt + 31000);
+            assertEqual(ws.sent.length, 2);
+            const message = APRSModule.getThreadMessages('K1ABC')[0];
+            assertEqual(message.nextAttempt - message.lastAttempt, 60000, 'second interval doubles');
+
+            MockSocket.instances[0].onmessage({ data: Uint8Array.from(kiss(ax25('K1ABC', `:W1TST-7  :ack${msgId}`))).buffer });
+            assertEqual(APRSModule.getThreadMessages('K1ABC-9').length, 0, 'ack does not open a thread');
+        }));
+
+        test('marks messages delivered on ack and failed after max attempts', () => withMessaging(() => {
+            const feed = openBridge();
+            const ws = MockSocket.instances[0];
+            APRSModule.sendMessage('N0CALL-9', 'one');
+            APRSModule.sendMessage('N0CALL-9', 'two');
+            const ids = frames(ws).map(f => f.match(/\{(\w\w)$/)[1]);
+            feed('N0CALL', `:W1TST-7  :ack${ids[0]}`);
+            let messages = APRSModule.getThreadMessages('N0CALL-9');
+            assertEqual(messages[0].status, 'delivered');
+            assertEqual(messages[1].status, 'sent');
+
+            let now = Date.now();
+            for (let i = 0; i < 10; i++) {
+                now += 600000;
+                APRSModule.processOutbox(now);
+            }
+            messages = APRSModule.getThreadMessages('N0CALL-9');
+            assertEqual(messages[1].status, 'failed');
+            assertEqual(messages[1].attempts, 7);
+
+            const sentBefore = ws.sent.length;
+            APRSModule.retryMessage(messages[1].id);
+            assertEqual(ws.sent.length, sentBefore + 1, 'manual retry transmits');
+        }));
+
+        test('supports reply-acks', () => withMessaging(() => {
+            const feed = openBridge();
+            const ws = MockSocket.instances[0];
+            feed('N0CALL', ':W1TST-7  :hello{AB}');
+            APRSModule.sendMessage('N0CALL-9', 'hi back');
+            const reply = frames(ws).find(f => f.includes('hi back'));
+            const msgId = reply.match(/\{(\w\w)\}AB$/)[1];
+
+            feed('N0CALL', `:W1TST-7  :got it{AC}${msgId}`);
+            const outgoing = APRSModule.getThreadMessages('N0CALL-9').find(m => m.outgoing);
+            assertEqual(outgoing.status, 'delivered', 'acked by reply-ack');
+            assert(frames(ws).some(f => f.endsWith(':ackAC')), 'reply still acked');
+        }));
+
+        test('queues messages while offline and sends on connect', () => withMessaging(() => {
+            APRSModule.sendMessage('N0CALL-9', 'later');
+            assertEqual(APRSModule.getThreadMessages('N0CALL-9')[0].status, 'queued');
+            openBridge();
+            const ws = MockSocket.instances[0];
+            assertEqual(ws.sent.length, 1);
+            assertEqual(APRSModule.getThreadMessages('N0CALL-9')[0].status, 'sent');
+        }));
+
+        test('collects bulletins and replaces updated lines', () => withMessaging(() => {
+            const feed = openBridge();
+            feed('N0CALL', ':BLN1     :Road closed at mile 12');
+            feed('N0CALL', ':BLN1     :Road closed at mile 12');
+            feed('K1ABC', ':BLNAWX   :Storm watch');
+            let messages = APRSModule.getThreadMessages('BLN');
+            assertEqual(messages.length, 2);
+            assertEqual(messages.find(m => m.from === 'K1ABC-9').group, 'WX');
+            assertEqual(messages.find(m => m.from === 'K1ABC-9').bulletin, 'announcement');
+
+            feed('N0CALL', ':BLN1     :Road open');
+            messages = APRSModule.getThreadMessages('BLN');
+            assertEqual(messages.length, 2);
+            assertEqual(messages.find(m => m.from === 'N0CALL-9').text, 'Road open');
+
+            APRSModule.sendBulletin('2', 'Staging at trailhead');
+            const ws = MockSocket.instances[0];
+            assert(frames(ws).some(f => f.endsWith(':BLN2     :Staging at trailhead')), 'bulletin sent without id');
+            const sentAt = Date.now();
+            APRSModule.processOutbox(sentAt + 601000);
+            assertEqual(frames(ws).filter(f => f.includes('Staging')).length, 2, 'bulletin repeated');
+            APRSModule.processOutbox(sentAt + 4000000);
+            APRSModule.processOutbox(sentAt + 5000000);
+            assertEqual(frames(ws).filter(f => f.includes('Staging')).length, 2, 'repeats stop after lifetime');
+        }));
+
+        test('routes group and tactical call traffic', () => withMessaging(() => {
+            const feed = openBridge();
+            const ws = MockSocket.instances[0];
+            APRSModule.joinGroup('sarteam');
+            APRSModule.joinGroup('BASE', 'tactical');
+            assertThrows(() => APRSModule.joinGroup('BLN1'));
+
+            feed('N0CALL', ':SARTEAM  :Moving to sector 4');
+            feed('N0CALL', ':SARTEAM  :Moving to sector 4');
+            assertEqual(APRSModule.getThreadMessages('#SARTEAM').length, 1);
+            feed('K1ABC', ':BASE     :Need water{7}');
+            assert(frames(ws).some(f => f.includes(':K1ABC-9  :ack7')), 'tactical call acked');
+            assertEqual(APRSModule.getThreadMessages('K1ABC-9')[0].to, 'BASE');
+
+            APRSModule.sendMessage('SARTEAM', 'Copy');
+            assert(frames(ws).some(f => f.endsWith(':SARTEAM  :Copy')), 'group message has no id');
+            assertEqual(APRSModule.getThreadMessages('#SARTEAM').length, 2);
+            assertEqual(APRSModule.getUnreadCount(), 2);
+        }));
+    });
+
+    suite('APRS digipeater and mesh gate', () => {
+        const pathFrame = (src, path, info) => {
+            const bytes = [...addr('APRS', 0, false), ...addr(src, 9, path.length === 0)];
+            path.forEach((hop, i) => {
+                const [call, ssid] = hop.replace('*', '').split('-');
+                const a = addr(call, parseInt(ssid, 10) || 0, i === path.length - 1);
+                if (hop.endsWith('*')) a[6] |= 0x80;
+                bytes.push(...a);
+            });
+            return [...bytes, 0x03, 0xF0, ...Buffer.from(info)];
+        };
+        const withRelay = (fn) => withSocket(() => {
+            APRSModule.setCallsign('W1TST', 7);
+            const ws = (APRSModule.connectKissTcp('ws://localhost:8765'), MockSocket.instances[0]);
+            ws.onopen();
+            const hear = (src, path, info) => ws.onmessage({ data: Uint8Array.from(kiss(pathFrame(src, path, info))).buffer });
+            try {
+                fn(ws, hear);
+            } finally {
+                APRSModule.setRelaySettings({
+                    digipeat: false, fillInOnly: true, maxHops: 2, aliases: [],
+                    gateToMesh: false, gateFromMesh: false, gateInterval: 300, gateFilter: []
+                });
+                APRSModule.clearPacketLog();
+            }
+        });
+
+        test('fill-in digipeats WIDE1-1 once with path trace', () => withRelay((ws, hear) => {
+            hear('N0CALL', ['WIDE1-1', 'WIDE2-1'], '>digi off');
+            assertEqual(ws.sent.length, 0, 'disabled by default');
+
+            APRSModule.setRelaySettings({ digipeat: true });
+            hear('N0CALL', ['WIDE1-1', 'WIDE2-1'], '>digi test');
+            assertEqual(ws.sent.length, 1);
+            const entry = APRSModule.getPacketLog(1)[0];
+            assertEqual(entry.direction, 'digi');
+            assertEqual(entry.path, 'W1TST-7*,WIDE1*,WIDE2-1');
+
+            hear('N0CALL', ['N1DIG*', 'WIDE1*', 'WIDE2-1'], '>digi test');
+            hear('N0CALL', ['WIDE1-1', 'WIDE2-1'], '>digi test');
+            assertEqual(ws.sent.length, 1, 'duplicate suppressed');
+            assertEqual(APRSModule.getPacketLog(1)[0].note, 'duplicate');
+
+            hear('K1ABC', ['WIDE2-2'], '>wide');
+            assertEqual(ws.sent.length, 1, 'fill-in ignores WIDE2-2');
+        }));
+
+        test('wide mode decrements within the hop limit and answers aliases', () => withRelay((ws, hear) => {
+            APRSModule.setRelaySettings({ digipeat: true, fillInOnly: false, aliases: 'sar' });
+            hear('K1ABC', ['WIDE2-2'], '>wide');
+            assertEqual(APRSModule.getPacketLog(1)[0].path, 'W1TST-7*,WIDE2-1');
+            hear('K1ABC', ['WIDE3-3'], '>too far');
+            assertEqual(ws.sent.length, 1, 'WIDE3-3 trapped');
+            assertEqual(APRSModule.getPacketLog(1)[0].direction, 'drop');
+            hear('K1ABC', ['SAR'], '>alias');
+            assertEqual(APRSModule.getPacketLog(1)[0].path, 'W1TST-7*');
+            hear('K1ABC', ['W1TST-7'], '>direct');
+            assertEqual(ws.sent.length, 3);
+        }));
+
+        test('validates relay settings', () => {
+            assertThrows(() => APRSModule.setRelaySettings({ maxHops: 9 }));
+            assertThrows(() => APRSModule.setRelaySettings({ aliases: 'NOT VALID!' }));
+            assertThrows(() => APRSModule.setRelaySettings({ gateInterval: 5 }));
+            const relay = APRSModule.setRelaySettings({ gateFilter: 'n0, k1 ' });
+            assertEqual(relay.gateFilter.join(','), 'N0,K1');
+            APRSModule.setRelaySettings({ gateFilter: [] });
+        });
+
+        test('gates filtered RF positions into the mesh, rate-limited', () => withRelay((ws, hear) => {
+            const gated = [];
+            global.MeshtasticModule = { isConnected: () => true, sendAPRSGate: async (report) => { gated.push(report); } };
+            try {
+                APRSModule.setRelaySettings({ gateToMesh: true, gateFilter: 'N0' });
+                hear('N0CALL', [], '!4000.00N/10500.00W>moving');
+                hear('N0CALL', [], '!4000.10N/10500.00W>moving');
+                hear('K1ABC', [], '!4100.00N/07200.00W-');
+                assertEqual(gated.length, 1);
+                assertEqual(gated[0].callsign, 'N0CALL-9');
+                assertClose(gated[0].lat, 40, 1e-6);
+
+                APRSModule.handleMeshGate({ callsign: 'KE7XYZ-5', lat: 41.5, lon: -106, symbol: '/[' });
+                const station = APRSModule.getStation('KE7XYZ-5');
+                assert(station, 'remote gate station shown');
+                assertEqual(station.path, 'MESH*');
+                assertEqual(gated.length, 1, 'mesh reports are not gated back');
+            } finally {
+                delete global.MeshtasticModule;
+            }
+        }));
+
+        test('transmits mesh node positions as APRS objects', () => withRelay((ws) => {
+            const node = { id: '!a1b2c3d4', shortName: 'ab12', name: 'Alpha', lat: 40.5, lon: -105.25 };
+            assertEqual(APRSModule.handleMeshPosition(node), false, 'off by default');
+            APRSModule.setRelaySettings({ gateFromMesh: true });
+            assert(APRSModule.handleMeshPosition(node));
+            assert(!APRSModule.handleMeshPosition(node), 'rate-limited');
+            const frame = Buffer.from(ws.sent[0]).toString('latin1');
+            assert(frame.includes(';MT-AB12  *'), 'object name');
+            assert(frame.includes('4030.00N/10515.00W['), 'object position');
+        }));
+    });
+
+    const WeatherModule = loadIIFE('js/modules/weather.js', 'WeatherModule');
+    if (WeatherModule) suite('Weather ground observations', () => {
+        test('returns nearby observations nearest first', () => {
+            WeatherModule.handleGroundObservation({ id: 'aprs:A', name: 'A', lat: 40.2, lon: -105, temperature: 60 });
+            WeatherModule.handleGroundObservation({ id: 'aprs:B', name: 'B', lat: 40.05, lon: -105, temperature: 62 });
+            WeatherModule.handleGroundObservation({ id: 'aprs:C', name: 'C', lat: 45, lon: -105, temperature: 50 });
+            WeatherModule.handleGroundObservation({ id: 'aprs:B', name: 'B', lat: 40.05, lon: -105, temperature: 63 });
+            assertEqual(WeatherModule.handleGroundObservation({ id: 'aprs:D' }), false, 'rejects missing position');
+            const near = WeatherModule.getGroundObservations(40, -105);
+            assertEqual(near.map(o => o.name).join(','), 'B,A');
+            assertEqual(near[0].temperature, 63, 'latest reading replaces earlier one');
+            assertEqual(WeatherModule.getGroundObservations().length, 3);
+        });
+    });
+} else {
+    _testLog('  ⚠️  APRSModule not loaded, skipping');
+}
+
+// ============================================================
+// CoT XML and ATAK Data Packages
+// ============================================================
+const TAKModule = loadIIFE('js/modules/tak.js', 'TAKModule');
+if (TAKModule) {
+    suite('CoT XML and Data Packages', () => {
+        test('builds spot markers with escaped callsign, color and remarks', () => {
+            const xml = TAKModule.buildMarkerEvent({ id: 'wp1', name: 'Water <cache>', lat: 37.5, lon: -119.25, notes: 'A & B', color: '#ff0000' });
+            assert(xml.includes('uid="griddown-wp-wp1"'), 'default uid');
+            assert(xml.includes(`type="${TAKModule.COT_TYPES.SPOT}"`), 'spot type');
+            assert(xml.includes('lat="37.5000000" lon="-119.2500000"'), 'point');
+            assert(xml.includes('callsign="Water &lt;cache&gt;"'), 'escaped callsign');
+            assert(xml.includes('<color argb="-65536"/>'), 'signed ARGB color');
+            assert(xml.includes('<remarks>A &amp; B</remarks>'), 'escaped remarks');
+            assert(TAKModule.buildMarkerEvent({ id: 'x', takUid: 'ATAK-1', lat: 0, lon: 0 }).includes('uid="ATAK-1"'), 'keeps linked uid');
+        });
+
+        test('builds routes with one link per point and closes shapes', () => {
+            const route = TAKModule.buildRouteEvent({ id: 'r1', name: 'Infil', points: [{ lat: 1, lon: 2 }, { lat: 1.5, lon: 2.5 }, { lat: 2, lon: 3 }] });
+            assertEqual((route.match(/<link uid=/g) || []).length, 3);
+            assert(route.includes('type="b-m-r"'), 'route type');
+            assert(route.includes('callsign="SP"') && route.includes('callsign="VDO"'), 'start and end labels');
+            assertEqual(TAKModule.buildRouteEvent({ id: 'r2', points: [{ lat: 1, lon: 2 }] }), null, 'needs two points');
+
+            const shape = TAKModule.buildShapeEvent({ id: 'a1', name: 'LZ', color: '#00ff00', fillOpacity: 0.5, points: [{ lat: 0, lon: 0 }, { lat: 0, lon: 1 }, { lat: 1, lon: 1 }] });
+            const links = shape.match(/<link point="[^"]+"/g);
+            assertEqual(links.length, 4, 'ring repeats first point');
+            assertEqual(links[0], links[3]);
+            assert(shape.includes('type="u-d-f"'), 'freeform type');
+            assert(shape.includes(`<fillColor value="${(128 << 24) | 0x00ff00}"/>`), 'fill alpha from opacity');
+        });
+
+        test('round-trips a stored ZIP through the central directory', () => {
+            const zip = TAKModule.buildZip([
+                { name: 'MANIFEST/manifest.xml', data: '<MissionPackageManifest/>' },
+                { name: 'a/b.bin', data: new Uint8Array([1, 2, 3]) }
+            ]);
+            const entries = TAKModule.readZipEntries(zip);
+            assertEqual(entries.length, 2);
+            assertEqual(entries[1].name, 'a/b.bin');
+            assertEqual(entries[1].method, 0);
+            assertEqual(Array.from(entries[1].data).join(','), '1,2,3');
+            assertEqual(TAKModule.crc32(new TextEncoder().encode('123456789')), 0xCBF43926, 'standard CRC-32 check value');
+            assertThrows(() => TAKModule.readZipEntries(new Uint8Array(40)));
+        });
+
+        test('packages items as CoT files listed in the manifest', () => {
+            const pkg = TAKModule.buildDataPackage({
+                name: 'Op "North"',
+                waypoints: [{ id: 'w1', name: 'Camp', lat: 37, lon: -119, photos: [{ data: 'data:image/png;base64,iVBORw==', filename: 'camp.png' }] }],
+                routes: [{ id: 'r1', name: 'Trail', points: [{ lat: 37, lon: -119 }, { lat: 37.1, lon: -119.1 }] }],
+                areas: [{ id: 'a1', name: 'Too small', points: [{ lat: 0, lon: 0 }] }]
+            });
+            const entries = TAKModule.readZipEntries(pkg);
+            const names = entries.map(e => e.name);
+            assert(names.includes('griddown-wp-w1/griddown-wp-w1.cot'), 'waypoint CoT');
+            assert(names.includes('griddown-wp-w1/camp.png'), 'photo attachment');
+            assert(names.includes('griddown-rt-r1/griddown-rt-r1.cot'), 'route CoT');
+            assert(!names.some(n => n.includes('area-a1')), 'skips degenerate areas');
+
+            const manifest = new TextDecoder().decode(entries.find(e => e.name === 'MANIFEST/manifest.xml').data);
+            assert(manifest.includes('<Parameter name="name" value="Op &quot;North&quot;"/>'), 'package name');
+            assert(manifest.includes('zipEntry="griddown-wp-w1/camp.png"><Parameter name="uid" value="griddown-wp-w1"/>'), 'attachment tied to its marker');
+        });
+
+        // Just enough of DOMParser for the CoT events these tests feed in:
+        // tag and tag[attr] selectors, descendant combinators, attributes and text
+        class CoTElement {
+            constructor(tag, attrs = {}) { this.tag = tag; this.attrs = attrs; this.children = []; this.text = ''; }
+            getAttribute(name) { return name in this.attrs ? this.attrs[name] : null; }
+            get textContent() { return this.text + this.children.map(c => c.textContent).join(''); }
+            descendants() { return this.children.flatMap(c => [c, ...c.descendants()]); }
+            getElementsByTagName(tag) { return this.descendants().filter(e => e.tag === tag); }
+            querySelectorAll(selector) {
+                return selector.trim().split(/\s+/).reduce((scope, part) => {
+                    const [, tag, attr] = /^([\w:-]+)(?:\[([\w:-]+)\])?$/.exec(part);
+                    return scope.flatMap(e => e.descendants()).filter(e => e.tag === tag && (!attr || attr in e.attrs));
+                }, [this]);
+            }
+            querySelector(selector) { return this.querySelectorAll(selector)[0] || null; }
+        }
+        class CoTDOMParser {
+            parseFromString(xml) {
+                const unescape = (t) => t.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+                const root = new CoTElement('#document');
+                const stack = [root];
+                const token = /<(\/?)([\w:-]+)((?:\s+[\w:-]+="[^"]*")*)\s*(\/?)>|([^<]+)/g;
+                let m;
+                while ((m = token.exec(xml)) !== null) {
+                    const top = stack[stack.length - 1];
+                    if (m[5] !== undefined) { top.text += unescape(m[5]); continue; }
+                    if (m[1]) { stack.pop(); continue; }
+                    const attrs = {};
+                    m[3].replace(/([\w:-]+)="([^"]*)"/g, (_, k, v) => { attrs[k] = unescape(v); });
+                    const el = new CoTElement(m[2], attrs);
+                    top.children.push(el);
+                    if (!m[4]) stack.push(el);
+                }
+                return root;
+            }
+        }
+
+        // Connected over CoT XML with a real State and stubbed storage
+        const withSync = (fn) => {
+            const saved = { State: global.State, Storage: global.Storage, WebSocket: global.WebSocket, DOMParser: global.DOMParser };
+            const sockets = [];
+            const store = { save: async () => {}, saveAll: async () => {}, delete: async () => {} };
+            global.State = State;
+            global.Storage = { ...saved.Storage, Waypoints: store, Routes: store, Areas: store };
+            global.WebSocket = class { constructor(url) { this.url = url; this.sent = []; sockets.push(this); } send(d) { this.sent.push(d); } close() {} };
+            global.DOMParser = CoTDOMParser;
+            const waypoints = State.get('waypoints');
+            const routes = State.get('routes');
+            State.Waypoints.setAll([{ id: 'tw1', name: 'Rally', lat: 37.5, lon: -119.5 }]);
+            State.Routes.setAll([{ id: 'tr1', name: 'Exfil', points: [{ lat: 37.5, lon: -119.5 }, { lat: 37.6, lon: -119.4 }] }]);
+            TAKModule.setWireFormat('xml');
+            TAKModule.connect('ws://cot.test:8080');
+            sockets[0].onopen();
+            try {
+                fn(sockets);
+            } finally {
+                TAKModule.disconnect();
+                TAKModule.setWireFormat('auto');
+                State.Waypoints.setAll(waypoints);
+                State.Routes.setAll(routes);
+                Object.assign(global, saved);
+            }
+        };
+
+        test('publishes linked items and their edits, and deletes them when unlinked', () => withSync((sockets) => {
+            const ws = sockets[0];
+            assert(TAKModule.setSync('waypoint', 'tw1', true));
+            assertEqual(ws.sent.length, 1);
+            assert(ws.sent[0].includes('uid="griddown-wp-tw1"') && !ws.sent[0].includes('<archive/>'), 'live marker, not archived');
+            const stale = Date.parse(/stale="([^"]+)"/.exec(ws.sent[0])[1]) - Date.now();
+            assert(stale > 9 * 60000 && stale <= 10 * 60000, 'default 10 minute stale time');
+            assertEqual(State.get('waypoints')[0].takUid, 'griddown-wp-tw1', 'link stored on the waypoint');
+
+            State.Waypoints.update('tw1', { name: 'Rally 2' }, false);
+            assertEqual(ws.sent.length, 2, 'edit republished');
+            assert(ws.sent[1].includes('callsign="Rally 2"'));
+            State.Waypoints.update('tw1', { verified: true }, false);
+            assertEqual(ws.sent.length, 2, 'fields TAK does not show are not sent');
+
+            assert(TAKModule.setSync('route', 'tr1', true));
+            assert(ws.sent[2].includes('type="b-m-r"'));
+            assertEqual(TAKModule.getSyncStatus().routes, 1);
+
+            TAKModule.setSync('waypoint', 'tw1', false);
+            assert(ws.sent[3].includes('type="t-x-d-d"') && ws.sent[3].includes('<link uid="griddown-wp-tw1"'), 'unlink deletes in TAK');
+            assert(!TAKModule.isSynced('waypoint', 'tw1'));
+            State.Routes.remove('tr1', false);
+            assert(ws.sent[4].includes('<link uid="griddown-rt-tr1"'), 'local delete propagates');
+        }));
+
+        test('queues deletes while offline and resends everything on reconnect', () => withSync((sockets) => {
+            TAKModule.setSync('waypoint', 'tw1', true);
+            TAKModule.setSync('route', 'tr1', true);
+            TAKModule.disconnect();
+            State.Routes.remove('tr1', false);
+            assertEqual(TAKModule.getSyncStatus().pendingDeletes, 1);
+
+            TAKModule.connect('ws://cot.test:8080');
+            sockets[1].onopen();
+            const sent = sockets[1].sent;
+            assertEqual(sent.length, 2);
+            assert(sent[0].includes('type="t-x-d-d"'), 'queued delete first');
+            assert(sent[1].includes('uid="griddown-wp-tw1"'), 'linked waypoint republished');
+            assertEqual(TAKModule.getSyncStatus().pendingDeletes, 0);
+            assertThrows(() => TAKModule.configureSync({ staleMinutes: 1 }));
+        }));
+
+        // The first XML received switches the link to CoT and resends what is linked
+        const settleOnXml = (ws) => {
+            const now = Date.now();
+            ws.onmessage({ data: `<event version="2.0" uid="ANDROID-1" type="a-f-G-U-C" time="${new Date(now).toISOString()}" start="${new Date(now).toISOString()}" stale="${new Date(now + 60000).toISOString()}" how="m-g">` +
+                '<point lat="37.4" lon="-119.4" hae="0" ce="10" le="10"/><detail><contact callsign="Viper"/></detail></event>' });
+            return ws.sent.length;
+        };
+
+        test('applies ATAK edits to linked items but not our own echo', () => withSync((sockets) => {
+            const ws = sockets[0];
+            settleOnXml(ws);
+            TAKModule.setSync('waypoint', 'tw1', true);
+            const sent = ws.sent.length;
+            const updated = TAKModule.getSyncStatus().itemsUpdated;
+            ws.onmessage({ data: ws.sent[sent - 1] });
+            assertEqual(TAKModule.getSyncStatus().itemsUpdated, updated, 'echo ignored');
+            assertEqual(ws.sent.length, sent);
+
+            const edit = TAKModule.buildMarkerEvent({ id: 'tw1', takUid: 'griddown-wp-tw1', name: 'Rally North', notes: 'moved', lat: 37.55, lon: -119.5 }, undefined, { archive: false });
+            ws.onmessage({ data: edit });
+            const wp = State.get('waypoints').find(w => w.id === 'tw1');
+            assertEqual(wp.name, 'Rally North');
+            assertEqual(wp.notes, 'moved');
+            assertClose(wp.lat, 37.55, 1e-6);
+            assert(wp.takSync, 'still linked');
+            assertEqual(TAKModule.getSyncStatus().itemsUpdated, updated + 1);
+            assertEqual(ws.sent.length, sent, 'remote edit is not sent back');
+            assertEqual(TAKModule.getMarkers().length, 0, 'not duplicated on the overlay');
+        }));
+
+        test('accepts new ATAK routes when enabled, already linked', () => withSync((sockets) => {
+            const ws = sockets[0];
+            const sent = settleOnXml(ws);
+            const patrol = { id: 'p1', takUid: 'ATAK-R1', name: 'Patrol', points: [{ lat: 37.5, lon: -119.5 }, { lat: 37.52, lon: -119.48 }, { lat: 37.54, lon: -119.5 }] };
+            ws.onmessage({ data: TAKModule.buildRouteEvent(patrol, undefined, { archive: false }) });
+            const route = State.get('routes').find(r => r.name === 'Patrol');
+            assert(route, 'route added');
+            assert(route.takSync && route.takUid === 'ATAK-R1', 'linked to the ATAK uid');
+            assertEqual(route.points.length, 3);
+            assertEqual(ws.sent.length, sent, 'not published back');
+            assertEqual(TAKModule.getSyncStatus().routes, 1);
+
+            TAKModule.configureSync({ acceptRoutes: false });
+            try {
+                ws.onmessage({ data: TAKModule.buildRouteEvent({ ...patrol, takUid: 'ATAK-R2', name: 'Recon' }, undefined, { archive: false }) });
+                assert(!State.get('routes').some(r => r.name === 'Recon'), 'left on the overlay');
+                assert(TAKModule.getRoutes().some(r => r.id === 'ATAK-R2'));
+            } finally {
+                TAKModule.configureSync({ acceptRoutes: true });
+            }
+        }));
+
+        test('a t-x-d-d from TAK removes the linked item without echoing the delete', () => withSync((sockets) => {
+            const ws = sockets[0];
+            settleOnXml(ws);
+            TAKModule.setSync('route', 'tr1', true);
+            const sent = ws.sent.length;
+            const now = new Date().toISOString();
+            ws.onmessage({ data: `<event version="2.0" uid="griddown-rt-tr1.delete" type="t-x-d-d" time="${now}" start="${now}" stale="${now}" how="h-g-i-g-o">` +
+                '<point lat="0" lon="0" hae="0" ce="9999999" le="9999999"/>' +
+                '<detail><link uid="griddown-rt-tr1" relation="none" type="b-m-r"/><__forcedelete/></detail></event>' });
+            assert(!State.get('routes').some(r => r.id === 'tr1'), 'route removed');
+            assertEqual(TAKModule.getSyncStatus().routes, 0);
+            assertEqual(ws.sent.length, sent, 'delete not sent back');
+            assertEqual(TAKModule.getSyncStatus().pendingDeletes, 0);
+        }));
+
+        test('links and queued deletes survive a reload', () => withSync((sockets) => {
+            TAKModule.setSync('waypoint', 'tw1', true);
+            TAKModule.setSync('route', 'tr1', true);
+            TAKModule.disconnect();
+            State.Waypoints.remove('tw1', false);
+
+            // A fresh module instance stands in for the reloaded page
+            const reloaded = loadIIFE('js/modules/tak.js', 'TAKModule');
+            const saved = { setInterval: global.setInterval, subscribe: State.subscribe };
+            const unsubscribes = [];
+            global.setInterval = () => 0;
+            State.subscribe = (...args) => { const off = saved.subscribe.apply(State, args); unsubscribes.push(off); return off; };
+            try {
+                reloaded.init();
+                reloaded.disconnect();
+                assertEqual(reloaded.getSyncStatus().pendingDeletes, 1, 'delete queued before the reload');
+                State.Routes.remove('tr1', false);
+                assertEqual(reloaded.getSyncStatus().pendingDeletes, 2, 'link restored, so the offline delete is queued');
+
+                reloaded.connect('ws://cot.test:8080');
+                const ws = sockets[sockets.length - 1];
+                ws.onopen();
+                assert(ws.sent.some(x => x.includes('<link uid="griddown-wp-tw1"')), 'waypoint delete sent');
+                assert(ws.sent.some(x => x.includes('<link uid="griddown-rt-tr1"')), 'route delete sent');
+                assertEqual(reloaded.getSyncStatus().pendingDeletes, 0);
+                reloaded.disconnect();
+            } finally {
+                global.setInterval = saved.setInterval;
+                State.subscribe = saved.subscribe;
+                unsubscribes.forEach(off => typeof off === 'function' && off());
+            }
+        }));
+    });
+} else {
+    _testLog('  ⚠️  TAKModule not loaded, skipping');
+}
 
-_testLog(`\n  Total: ${passed} passed, ${failed} failed out of ${totalTests}`);
+// ============================================================
+// Meshtastic native waypoints
+// ============================================================
+const MeshtasticModule = loadIIFE('js/modules/meshtastic.js', 'MeshtasticModule');
+if (MeshtasticModule) {
+    suite('Meshtastic native waypoints', () => {
+        const withWaypoints = (fn) => {
+            const saved = { State: global.State, Storage: global.Storage };
+            const waypoints = State.get('waypoints');
+            global.State = State;
+            global.Storage = { ...saved.Storage, Waypoints: { delete: async () => {} } };
+            State.Waypoints.setAll([]);
+            try {
+                fn();
+            } finally {
+                State.Waypoints.setAll(waypoints);
+                Object.assign(global, saved);
+            }
+        };
+
+        test('maps GridDown waypoints to native waypoints', () => {
+            const native = MeshtasticModule.toNativeWaypoint({ id: 'abc', name: 'Spring', type: 'water', lat: 40.1, lon: -105.2, notes: 'Cold\n[Shared by X via Meshtastic]' }, { expireHours: 24 });
+            assertEqual(native.icon, '💧', 'type icon');
+            assertEqual(native.description, 'Cold', 'share footer stripped');
+            assertEqual(native.id, MeshtasticModule.toNativeWaypoint({ id: 'abc', lat: 0, lon: 0 }).id, 'stable id per waypoint');
+            assert(native.id > 0 && native.id <= 0xffffffff);
+            assertClose(native.expire - Date.now() / 1000, 24 * 3600, 2);
+            assertEqual(native.lockedTo, 0);
+            assertEqual(MeshtasticModule.toNativeWaypoint({ id: 'c', type: 'camp', lat: 0, lon: 0 }).icon, '🏕', 'single code point');
+            assertEqual(MeshtasticModule.toNativeWaypoint({ id: 'd', meshWaypointId: 42, lat: 0, lon: 0 }).id, 42, 'reuses shared id');
+        });
+
+        test('maps native icons to GridDown types', () => {
+            const wp = MeshtasticModule.fromNativeWaypoint({ id: 7, lat: 40, lon: -105, name: 'Tent', icon: '⛺', expire: 0, lockedTo: 0 }, 'ABCD');
+            assertEqual(wp.type, 'camp');
+            assertEqual(wp.id, 'mesh-wp-7');
+            assertEqual(wp.meshExpiresAt, null);
+            assertEqual(MeshtasticModule.fromNativeWaypoint({ id: 8, lat: 0, lon: 0, icon: '🦄' }).type, 'custom');
+            assertEqual(MeshtasticModule.fromNativeWaypoint({ id: 9, lat: 0, lon: 0, icon: '🚑' }).type, 'bailout');
+        });
+
+        test('adds, updates and deletes received waypoints by id', () => withWaypoints(() => {
+            const future = Math.floor(Date.now() / 1000) + 3600;
+            MeshtasticModule.handleNativeWaypoint({ id: 99, from: 0x1234, lat: 40, lon: -105, name: 'Rally', icon: '📍', expire: future });
+            assertEqual(State.get('waypoints').length, 1);
+            assertEqual(State.get('waypoints')[0].meshExpiresAt, future * 1000);
+
+            MeshtasticModule.handleNativeWaypoint({ id: 99, from: 0x1234, lat: 40.5, lon: -105, name: 'Rally 2', icon: '📍', expire: future });
+            assertEqual(State.get('waypoints').length, 1, 'same id updates in place');
+            assertEqual(State.get('waypoints')[0].name, 'Rally 2');
+
+            MeshtasticModule.handleNativeWaypoint({ id: 99, from: 0x1234, lat: 40.5, lon: -105, name: 'Rally 2', expire: 1 });
+            assertEqual(State.get('waypoints').length, 0, 'past expire deletes');
+        }));
+
+        test('honours locks and leaves our own waypoints alone', () => withWaypoints(() => {
+            MeshtasticModule.handleNativeWaypoint({ id: 5, from: 0xaaaa, lat: 1, lon: 1, name: 'Locked', lockedTo: 0xaaaa });
+            MeshtasticModule.handleNativeWaypoint({ id: 5, from: 0xbbbb, lat: 2, lon: 2, name: 'Moved', lockedTo: 0 });
+            assertEqual(State.get('waypoints')[0].name, 'Locked', 'other nodes cannot edit');
+            MeshtasticModule.handleNativeWaypoint({ id: 5, from: 0xaaaa, lat: 2, lon: 2, name: 'Moved by owner', lockedTo: 0xaaaa });
+            assertEqual(State.get('waypoints')[0].name, 'Moved by owner');
+
+            State.Waypoints.add({ id: 'mine', name: 'Home', lat: 3, lon: 3, meshWaypointId: 6, source: 'user' }, false);
+            MeshtasticModule.handleNativeWaypoint({ id: 6, from: 0xbbbb, lat: 4, lon: 4, name: 'Hijack', expire: 1 });
+            assertEqual(State.get('waypoints').find(w => w.id === 'mine').name, 'Home');
+        }));
+
+        testAsync('deleting or unsharing our waypoint expires it on other devices', async () => {
+            const saved = { client: global.MeshtasticClient, serial: global.navigator.serial, module: global.window.MeshtasticModule, state: global.State, waypoints: State.get('waypoints') };
+            const sent = [];
+            global.navigator.serial = {};
+            global.State = State;
+            global.MeshtasticClient = {
+                isReady: () => true,
+                isConnected: () => true,
+                setCallback: () => {},
+                connectSerial: async () => ({ nodeNum: 0x0a }),
+                getNodes: () => [],
+                getConfig: () => null,
+                disconnect: async () => {},
+                sendWaypoint: async (native) => { sent.push(native); }
+            };
+            const mesh = loadIIFE('js/modules/meshtastic.js', 'MeshtasticModule');
+            try {
+                await mesh.connectSerial();
+                State.Waypoints.setAll([
+                    { id: 'mine', name: 'Home', lat: 3, lon: 3, meshWaypointId: 6, source: 'user' },
+                    { id: 'mesh-wp-7', name: 'Theirs', lat: 4, lon: 4, meshWaypointId: 7, source: 'meshtastic' }
+                ]);
+                const [mine, theirs] = State.get('waypoints');
+                assert(await mesh.deleteSharedWaypoint(mine));
+                assertEqual(await mesh.deleteSharedWaypoint(theirs), false);
+                assertEqual(sent.length, 1, 'received waypoints are not deleted for everyone');
+                assertEqual(sent[0].id, 6);
+                assert(sent[0].expire > 0 && sent[0].expire * 1000 < Date.now(), 'expire in the past');
+                assertEqual(State.get('waypoints').find(w => w.id === 'mine').meshWaypointId, null, 'no longer shared');
+
+                // Already removed locally (the delete path)
+                assert(await mesh.deleteSharedWaypoint({ id: 'gone', name: 'Gone', lat: 5, lon: 5, meshWaypointId: 8 }));
+                assertEqual(sent[1].id, 8);
+            } finally {
+                await mesh.disconnect();
+                global.MeshtasticClient = saved.client;
+                global.navigator.serial = saved.serial;
+                global.window.MeshtasticModule = saved.module;
+                State.Waypoints.setAll(saved.waypoints);
+                global.State = saved.state;
+            }
+        });
+    });
+} else {
+    _testLog('  ⚠️  MeshtasticModule not loaded, skipping');
+}
 
-if (failures.length > 0) {
-    _testLog('\n  Failed tests:');
-    failures.forEach(f => {
-        _testLog(`    ❌ [${f.suite}] ${f.test}`);
-        _testLog(`       ${f.error}`);
+// ============================================================
+// Meshtastic mesh transfers
+// ============================================================
+if (MeshtasticModule) {
+    suite('Meshtastic mesh transfers', () => {
+        const findTransfer = (xid) => MeshtasticModule.getTransfers().find(t => t.xid === xid);
+
+        test('encodes missing chunks as ranges and back', () => {
+            assertEqual(MeshtasticModule.encodeRanges([7, 0, 1, 2, 5, 8, 2]), '0-2,5,7-8');
+            assertEqual(MeshtasticModule.encodeRanges([0, 2, 4, 6], 2), '0,2', 'range cap');
+            assertEqual(MeshtasticModule.encodeRanges([]), '');
+            assertEqual(MeshtasticModule.decodeRanges('0-2,5,7-8', 10).join(','), '0,1,2,5,7,8');
+            assertEqual(MeshtasticModule.decodeRanges('8-20,x,-3', 10).join(','), '8,9', 'clamped to total');
+        });
+
+        test('tracks incoming chunks and reports the gaps', () => {
+            MeshtasticModule.handleTransferOffer({ type: 'xfer_offer', from: '!0000beef', xid: 'tst01', kind: 'area', name: 'LZ', size: 300, total: 4, crc: 1 });
+            MeshtasticModule.handleTransferChunk({ type: 'xfer_chunk', from: '!0000beef', xid: 'tst01', seq: 0, total: 4, data: 'AAAA' });
+            MeshtasticModule.handleTransferChunk({ type: 'xfer_chunk', from: '!0000beef', xid: 'tst01', seq: 2, total: 4, data: 'BBBB' });
+            MeshtasticModule.handleTransferChunk({ type: 'xfer_chunk', from: '!0000beef', xid: 'tst01', seq: 2, total: 4, data: 'BBBB' });
+            const t = findTransfer('tst01');
+            assertEqual(t.direction, 'in');
+            assertEqual(t.kind, 'area');
+            assertEqual(t.status, 'receiving');
+            assertEqual(t.done, 2, 'duplicate chunk counted once');
+            assertEqual(t.pending, 2);
+            assertClose(t.progress, 0.5, 1e-9);
+            assert(MeshtasticModule.cancelTransfer(t.key));
+            assertEqual(findTransfer('tst01').status, 'cancelled');
+        });
+
+        test('picks up a transfer whose offer was missed and ignores bad chunks', () => {
+            MeshtasticModule.handleTransferChunk({ type: 'xfer_chunk', from: '!0000cafe', xid: 'tst02', seq: 1, total: 3, data: 'CCCC' });
+            const t = findTransfer('tst02');
+            assertEqual(t.total, 3);
+            assertEqual(t.kind, null, 'kind arrives with the payload');
+            MeshtasticModule.handleTransferChunk({ type: 'xfer_chunk', from: '!0000cafe', xid: 'tst02', seq: 9, total: 3, data: 'DDDD' });
+            assertEqual(findTransfer('tst02').done, 1, 'out-of-range seq ignored');
+            MeshtasticModule.handleTransferChunk({ type: 'xfer_chunk', from: '!0000cafe', to: '!00000001', xid: 'tst03', seq: 0, total: 3, data: 'EEEE' });
+            assertEqual(findTransfer('tst03'), undefined, 'addressed to another node');
+            MeshtasticModule.handleTransferChunk({ type: 'xfer_chunk', from: '!0000cafe', xid: 'tst04', seq: 0, total: 100000, data: 'FFFF' });
+            assertEqual(findTransfer('tst04'), undefined, 'oversized transfer refused');
+            MeshtasticModule.cancelTransfer(t.key);
+            MeshtasticModule.clearFinishedTransfers();
+            assertEqual(findTransfer('tst02'), undefined);
+        });
+
+        // Two module instances on a simulated radio link. Frames reach every
+        // other connected radio unless wire.drop(frame) says they were lost.
+        const withMeshLink = async (fn) => {
+            const saved = {
+                client: global.MeshtasticClient, serial: global.navigator.serial, module: global.window.MeshtasticModule,
+                emit: global.Events.emit, state: global.State, areas: global.AreasModule, commPlan: global.CommPlanModule
+            };
+            const radios = new Map();  // node num -> onMessage callback
+            let callbacks = {};
+            let packetId = 1;
+            const wire = { nums: [0x0a, 0x0b], frames: [], received: [], drop: () => false, offline: new Set() };
+            const store = { routes: [], areas: [], waypoints: [] };
+            wire.store = store;
+
+            global.navigator.serial = {};
+            global.MeshtasticClient = {
+                isReady: () => true,
+                isConnected: () => true,
+                setCallback: (name, cb) => { callbacks[name] = cb; },
+                connectSerial: async () => {
+                    const num = wire.nums.shift();
+                    radios.set(num, callbacks.onMessage);
+                    callbacks = {};
+                    return { nodeNum: num };
+                },
+                getNodes: () => [],
+                getConfig: () => null,
+                disconnect: async () => {},
+                sendMessage: async (text, to, channel) => {
+                    const frame = JSON.parse(text);
+                    const from = parseInt(String(frame.from || frame.f).slice(1), 16);
+                    wire.frames.push(frame);
+                    if (!wire.drop(frame)) {
+                        for (const [num, onMessage] of radios) {
+                            if (num === from || wire.offline.has(num)) continue;
+                            const id = packetId++;
+                            setTimeout(() => onMessage({ from, to, channel, text, id }), 0);
+                        }
+                    }
+                    return { packetId: packetId++ };
+                }
+            };
+            global.Events.emit = (name, data) => { if (name === 'meshtastic:transfer_received') wire.received.push(data); };
+            global.State = {
+                get: key => store[key] || [],
+                set: (key, value) => { store[key] = value; },
+                Routes: { add: route => store.routes.push(route) },
+                Areas: { add: area => store.areas.push(area) },
+                Waypoints: { update: () => {} }
+            };
+            global.AreasModule = undefined;
+
+            const a = loadIIFE('js/modules/meshtastic.js', 'MeshtasticModule');
+            const b = loadIIFE('js/modules/meshtastic.js', 'MeshtasticModule');
+            try {
+                await a.connectSerial();
+                await b.connectSerial();
+                await fn(a, b, wire);
+            } finally {
+                await a.disconnect();
+                await b.disconnect();
+                await new Promise(resolve => setTimeout(resolve, 0));
+                Object.assign(global, { MeshtasticClient: saved.client, State: saved.state, AreasModule: saved.areas, CommPlanModule: saved.commPlan });
+                global.navigator.serial = saved.serial;
+                global.window.MeshtasticModule = saved.module;
+                global.Events.emit = saved.emit;
+            }
+        };
+
+        const waitFor = async (condition, what, timeout = 8000) => {
+            const end = Date.now() + timeout;
+            while (!condition()) {
+                if (Date.now() > end) throw new Error(`Timed out waiting for ${what}`);
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+        };
+        const incoming = (node, xid) => node.getTransfers().find(t => t.direction === 'in' && t.xid === xid);
+        const chunkFrames = (wire, xid) => wire.frames.filter(f => f.type === 'xfer_chunk' && f.xid === xid);
+        // Deterministic text that deflates but still spans several chunks
+        const filler = (n) => Array.from({ length: n }, (_, i) => ((i * 7919) % 9973).toString(36)).join(' ');
+
+        testAsync('payloads are deflated, reassembled and verified on the far end', () => withMeshLink(async (a, b, wire) => {
+            const plan = { name: 'Ridge ops', channels: [{ name: 'Primary', frequency: '146.520' }], notes: filler(60) };
+            const sent = await a.sendTransfer('commplan', plan, { name: plan.name });
+            await waitFor(() => incoming(b, sent.xid)?.status === 'complete', 'reassembly');
+
+            const json = JSON.stringify({ k: 'commplan', n: plan.name, d: plan }).length;
+            assert(sent.size < json, `compressed ${sent.size} of ${json} bytes`);
+            assert(sent.total > 1, 'spans several chunks');
+            const first = Buffer.from(chunkFrames(wire, sent.xid)[0].data, 'base64');
+            assertEqual(first[0], 1, 'deflate format byte');
+            assertEqual(JSON.stringify(wire.received[0].data), JSON.stringify(plan));
+            await waitFor(() => a.getTransfers().find(t => t.xid === sent.xid).status === 'complete', 'sender ACK');
+        }));
+
+        testAsync('only the chunks a receiver reports missing are sent again', () => withMeshLink(async (a, b, wire) => {
+            let lost = false;
+            wire.drop = (f) => f.type === 'xfer_chunk' && f.seq === 1 && !lost && (lost = true);
+            const sent = await a.sendTransfer('area', { id: 'lz', name: 'LZ', notes: filler(80), points: [{ lat: 40, lon: -105 }] });
+            await waitFor(() => a.getTransfers().find(t => t.xid === sent.xid).status === 'waiting', 'first pass');
+            assertEqual(incoming(b, sent.xid).pending, 1);
+
+            b.resumeTransfers();
+            await waitFor(() => incoming(b, sent.xid)?.status === 'complete', 'retransmit');
+            const nacks = wire.frames.filter(f => f.type === 'xfer_nack');
+            assertEqual(nacks.length, 1);
+            assertEqual(nacks[0].missing, '1');
+            assertEqual(nacks[0].to, '!0000000a');
+            const seqs = chunkFrames(wire, sent.xid).map(f => f.seq);
+            assertEqual(seqs.filter(s => s === 1).length, 2, 'lost chunk resent');
+            assertEqual(seqs.length, sent.total + 1, 'nothing else resent');
+            assertEqual(wire.store.areas[0].name, 'LZ');
+        }));
+
+        testAsync('a receiver that drops off mid-transfer resumes after reconnecting', () => withMeshLink(async (a, b, wire) => {
+            wire.drop = (f) => f.type === 'xfer_chunk' && f.seq > 0;
+            const sent = await a.sendTransfer('route', { id: 'r1', name: 'Exfil', notes: filler(80), points: [{ lat: 40, lon: -105 }, { lat: 40.1, lon: -105.1 }] });
+            await waitFor(() => a.getTransfers().find(t => t.xid === sent.xid).status === 'waiting', 'first pass');
+            await b.disconnect();
+            assertEqual(incoming(b, sent.xid).status, 'receiving', 'progress kept while offline');
+
+            wire.drop = () => false;
+            wire.nums.push(0x0b);
+            await b.connectSerial();
+            await waitFor(() => incoming(b, sent.xid)?.status === 'complete', 'resume');
+            const missing = Array.from({ length: sent.total - 1 }, (_, i) => i + 1);
+            assertEqual(wire.frames.find(f => f.type === 'xfer_nack').missing, a.encodeRanges(missing));
+            assertEqual(wire.store.routes[0].name, 'Exfil');
+            assertEqual(wire.store.routes[0].points.length, 2);
+        }));
+
+        testAsync('completed payloads are routed by kind; plans and teams wait for the user', () => withMeshLink(async (a, b, wire) => {
+            let imported = 0;
+            global.CommPlanModule = { importPlanJSON: () => { imported++; return null; } };
+            const payloads = {
+                route: { id: 'r2', name: 'Supply', points: [{ lat: 40, lon: -105 }] },
+                area: { id: 'a2', name: 'Search box', points: [{ lat: 40, lon: -105 }, { lat: 40.1, lon: -105 }, { lat: 40.1, lon: -105.1 }] },
+                team: { teamName: 'Alpha', encrypted: 'opaque' },
+                commplan: { name: 'Valley', channels: [] },
+                image: 'data:image/jpeg;base64,AAAA',
+                team_sync: { type: 'team_sync', subtype: 'member_update' }
+            };
+            const xids = {};
+            for (const [kind, data] of Object.entries(payloads)) {
+                xids[kind] = (await a.sendTransfer(kind, data, { name: kind })).xid;
+            }
+            await waitFor(() => wire.received.length === 6, 'all payloads', 15000);
+
+            assertEqual(wire.store.routes.map(r => r.name).join(), 'Supply');
+            assertEqual(wire.store.areas.map(r => r.name).join(), 'Search box');
+            const result = (kind) => b.getTransferResult(incoming(b, xids[kind]).key);
+            assertEqual(result('team').teamName, 'Alpha');
+            assertEqual(result('commplan').name, 'Valley');
+            assertEqual(imported, 0, 'comm plan not imported without the user');
+            assertEqual(result('image'), payloads.image);
+            assertEqual(result('route'), null, 'applied payloads are not held');
+            assertEqual(wire.received.find(r => r.transfer.kind === 'team_sync').data.subtype, 'member_update');
+        }));
+
+        testAsync('a payload that arrives intact but cannot be applied fails the transfer', () => withMeshLink(async (a, b, wire) => {
+            const sent = await a.sendTransfer('route', { id: 'r3', name: 'Broken', points: 'not a list' });
+            await waitFor(() => incoming(b, sent.xid)?.status === 'failed', 'failed delivery');
+            assert(incoming(b, sent.xid).error, 'error recorded');
+            assertEqual(wire.store.routes.length, 0);
+            assertEqual(wire.received.length, 0);
+            await waitFor(() => a.getTransfers().find(t => t.xid === sent.xid).status === 'complete', 'sender ACK');
+        }));
+    });
+}
+
+// ============================================================
+// Meshtastic range test
+// ============================================================
+if (MeshtasticModule) {
+    suite('Meshtastic range test', () => {
+        const withLogger = (fn) => {
+            const savedGPS = global.GPSModule;
+            global.GPSModule = { getPosition: () => ({ lat: 40.01, lon: -105.0 }) };
+            MeshtasticModule.clearRangeTest();
+            MeshtasticModule.startRangeTest('logger', { interval: 30 });
+            try {
+                fn();
+            } finally {
+                MeshtasticModule.stopRangeTest();
+                MeshtasticModule.clearRangeTest();
+                global.GPSModule = savedGPS;
+            }
+        };
+
+        test('validates role, connection and interval', () => {
+            assertThrows(() => MeshtasticModule.startRangeTest('relay'));
+            assertThrows(() => MeshtasticModule.startRangeTest('beacon'), 'beacon needs a device');
+            assertThrows(() => MeshtasticModule.startRangeTest('logger', { interval: 2 }));
+            assertEqual(MeshtasticModule.getRangeTestStatus().role, null);
+        });
+
+        test('logs heard pings and the gaps between them', () => withLogger(() => {
+            const ping = (seq, extra = {}) => MeshtasticModule.handleRangePing({ type: 'range_ping', from: '!0000aaaa', session: 's1', seq, interval: 30, lat: 40.0, lon: -105.0, snr: 7.5, rssi: -90, ...extra });
+            ping(0);
+            ping(3);
+            ping(3);
+            ping(1);
+            const samples = MeshtasticModule.getRangeTestSamples();
+            assertEqual(samples.map(s => `${s.seq}${s.received ? '+' : '-'}`).join(' '), '0+ 1- 2- 3+', 'misses filled in, late/duplicate pings ignored');
+            assertClose(samples[0].distance, 1112, 2);
+            assertEqual(samples[0].snr, 7.5);
+            const status = MeshtasticModule.getRangeTestStatus();
+            assertEqual(status.heard, 2);
+            assertEqual(status.missed, 2);
+            assertClose(status.successRate, 0.5, 1e-9);
+            ping(5, { end: true });
+            assertEqual(MeshtasticModule.getRangeTestSamples().length, 5, 'end ping only closes the gap');
+        }));
+
+        test('exports coverage as CSV and GeoJSON', () => withLogger(() => {
+            MeshtasticModule.handleRangePing({ type: 'range_ping', from: '!0000bbbb', fromName: 'BASE', session: 's2', seq: 0, interval: 30, lat: 40.0, lon: -105.0, snr: -3, rssi: -112 });
+            const csv = MeshtasticModule.exportCoverageCSV().split('\n');
+            assert(csv[0].startsWith('session,beacon,seq,received,snr_db,rssi_dbm,quality'));
+            assertEqual(csv[1].split(',').slice(0, 7).join(','), 's2,"BASE",0,1,-3,-112,poor');
+            const geo = MeshtasticModule.exportCoverageGeoJSON();
+            assertEqual(geo.features.length, 1);
+            assertEqual(geo.features[0].geometry.coordinates.join(','), '-105,40.01');
+            assertEqual(geo.features[0].properties.quality, 'poor');
+        }));
     });
 }
 
-process.exit(failed > 0 ? 1 : 0);
+// Meshtastic store & forward and topology
+if (MeshtasticModule) {
+    suite('Meshtastic store and forward', () => {
+        test('replayed messages are added once and marked', () => {
+            const before = MeshtasticModule.getMessages().length;
+            const replay = { rr: 9, from: 0x0000cafe, to: 0xffffffff, channel: 0, packetId: 424242, text: 'missed you', rxTime: 1700000000000 };
+            MeshtasticModule.handleStoreForward(replay);
+            MeshtasticModule.handleStoreForward(replay);
+            const messages = MeshtasticModule.getMessages();
+            assertEqual(messages.length, before + 1, 'duplicate replay ignored');
+            const msg = messages[messages.length - 1];
+            assertEqual(msg.text, 'missed you');
+            assertEqual(msg.from, '!0000cafe');
+            assertEqual(msg.timestamp, 1700000000000);
+            assert(msg.replayed);
+        });
+
+        test('replayed protocol messages only reach history', () => {
+            const emitted = [];
+            const originalEmit = global.Events.emit;
+            global.Events.emit = (name) => emitted.push(name);
+            try {
+                const before = MeshtasticModule.getMessages().length;
+                const sos = JSON.stringify({ type: 'sos', from: '!0000cafe', lat: 40, lon: -105, details: { situation: 'old' } });
+                MeshtasticModule.handleStoreForward({ rr: 9, from: 0x0000cafe, to: 0xffffffff, channel: 0, packetId: 424243, text: sos });
+                assertEqual(MeshtasticModule.getMessages().length, before, 'SOS not replayed');
+                assert(!emitted.some(name => name !== 'meshtastic:store_forward'), 'no alert events');
+
+                const text = JSON.stringify({ type: 'text', from: '!0000cafe', text: 'old news' });
+                MeshtasticModule.handleStoreForward({ rr: 9, from: 0x0000cafe, to: 0xffffffff, channel: 0, packetId: 424244, text });
+                const messages = MeshtasticModule.getMessages();
+                assertEqual(messages.length, before + 1);
+                assertEqual(messages[messages.length - 1].text, 'old news');
+                assert(messages[messages.length - 1].replayed);
+            } finally {
+                global.Events.emit = originalEmit;
+            }
+        });
+
+        test('heartbeats register routers', () => {
+            MeshtasticModule.handleStoreForward({ rr: 2, from: 0x0000beef, heartbeat: { period: 900, secondary: 0 } });
+            const router = MeshtasticModule.getStoreForwardRouters().find(r => r.id === '!0000beef');
+            assert(router, 'router known');
+            assertEqual(router.period, 900);
+            assertEqual(router.num, 0x0000beef);
+        });
+    });
+
+    suite('Meshtastic mesh topology', () => {
+        test('builds links from neighbor tables with SNR from both ends', () => {
+            MeshtasticModule.clearTopology();
+            MeshtasticModule.handleNeighborInfo({ nodeId: 1, broadcastIntervalSecs: 900, neighbors: [{ nodeId: 2, snr: 8 }, { nodeId: 3, snr: -12.5 }] });
+            MeshtasticModule.handleNeighborInfo({ nodeId: 2, neighbors: [{ nodeId: 1, snr: 4 }] });
+            const topo = MeshtasticModule.getMeshTopology();
+            assertEqual(topo.links.length, 2);
+            const weakest = topo.links[0];
+            assertEqual(`${weakest.a}|${weakest.b}`, '!00000001|!00000003', 'sorted weakest first');
+            assert(weakest.oneWay);
+            assertEqual(weakest.quality, 'poor');
+            const strong = topo.links[1];
+            assertEqual(strong.snrAtA, 8);
+            assertEqual(strong.snrAtB, 4);
+            assertEqual(strong.snr, 4, 'link is as good as its weaker direction');
+            assert(!strong.oneWay);
+        });
+
+        test('a new neighbor table replaces the reporter\'s old links', () => {
+            MeshtasticModule.handleNeighborInfo({ nodeId: 1, neighbors: [{ nodeId: 2, snr: 6 }] });
+            const topo = MeshtasticModule.getMeshTopology();
+            assertEqual(topo.links.length, 1, 'link to node 3 dropped');
+            assertEqual(topo.links[0].snrAtA, 6);
+            MeshtasticModule.clearTopology();
+            assertEqual(MeshtasticModule.getMeshTopology().links.length, 0);
+        });
+    });
+}
+
+// ---- GEOFENCE MODULE ----
+const GeofenceModule = AreasModule ? loadIIFE('js/modules/geofence.js', 'GeofenceModule') : null;
+if (GeofenceModule) {
+    suite('Geofences', () => {
+        const camp = { id: 'wp-camp', name: 'Camp', lat: 40.0, lon: -105.0 };
+        const box = { id: 'area-box', name: 'Box', points: [
+            { lat: 40.0, lon: -105.0 }, { lat: 40.0, lon: -104.99 }, { lat: 40.01, lon: -104.99 }, { lat: 40.01, lon: -105.0 }
+        ] };
+        const withState = (fn) => {
+            const savedState = global.State;
+            global.State = { get: key => ({ waypoints: [camp], areas: [box] })[key] || [] };
+            try {
+                fn();
+            } finally {
+                global.State = savedState;
+            }
+        };
+        // Meters north of the camp
+        const north = (m) => 40.0 + m / 111195;
+
+        test('radius fences follow their waypoint and hold an exit margin', () => withState(() => {
+            const geo = GeofenceModule.getFenceGeometry(GeofenceModule.createFence({ shape: 'radius', waypointId: 'wp-camp', radiusM: 100 }));
+            assertEqual(geo.type, 'circle');
+            assertEqual(geo.center.lat, 40.0);
+            const inside = GeofenceModule.classifyPoint(geo, north(90), -105.0);
+            assert(inside.inside);
+            const edge = GeofenceModule.classifyPoint(geo, north(105), -105.0);
+            assert(!edge.inside && !edge.clearlyOutside, 'within the exit margin');
+            assert(GeofenceModule.classifyPoint(geo, north(130), -105.0).clearlyOutside);
+            assertEqual(GeofenceModule.getFenceGeometry(GeofenceModule.createFence({ shape: 'radius', waypointId: 'gone', radiusM: 100 })), null);
+        }));
+
+        test('area fences use the polygon and its edge distance', () => withState(() => {
+            const geo = GeofenceModule.getFenceGeometry(GeofenceModule.createFence({ shape: 'area', areaId: 'area-box' }));
+            assertEqual(geo.type, 'polygon');
+            assert(GeofenceModule.classifyPoint(geo, 40.005, -104.995).inside);
+            const justOut = GeofenceModule.classifyPoint(geo, 40.005, -104.98995);
+            assert(!justOut.inside && !justOut.clearlyOutside, '~4 m outside the east edge');
+            assert(GeofenceModule.classifyPoint(geo, 40.005, -104.985).clearlyOutside);
+        }));
+
+        test('raises enter, dwell and exit once each with cooldown and log', () => withState(() => {
+            GeofenceModule.addFence({ name: 'Camp', shape: 'radius', waypointId: 'wp-camp', radiusM: 100,
+                alertOn: { enter: true, exit: true, dwell: true }, dwellMinutes: 5, cooldownMinutes: 15, watch: { aprs: false } });
+            const fence = GeofenceModule.getFences().find(f => f.name === 'Camp');
+            const at = (m, t, source = 'mesh') => GeofenceModule.evaluate([{ key: `${source}:a`, name: 'ALPHA', source, lat: north(m), lon: -105.0, at: t }], t);
+            const t0 = 1700000000000;
+            try {
+                assertEqual(at(300, t0).length, 0, 'first sighting only records state');
+                assertEqual(at(50, t0 + 60000).map(e => e.event).join(), 'enter');
+                assertEqual(at(50, t0 + 3 * 60000).length, 0);
+                assertEqual(at(50, t0 + 6 * 60000).map(e => e.event).join(), 'dwell');
+                assertEqual(at(50, t0 + 12 * 60000).length, 0, 'dwell fires once per visit');
+                assertEqual(at(300, t0 + 13 * 60000).map(e => e.event).join(), 'exit');
+                const reenter = at(50, t0 + 14 * 60000);
+                assertEqual(reenter[0].event, 'enter');
+                assert(!reenter[0].alerted, 'second enter within cooldown is logged without alert');
+                assertEqual(GeofenceModule.getOccupants(fence.id).join(), 'ALPHA');
+                assertEqual(at(300, t0, 'aprs').length, 0, 'unwatched source ignored');
+                const log = GeofenceModule.getLog({ fenceId: fence.id });
+                assertEqual(log.map(e => e.event).join(), 'enter,exit,dwell,enter', 'newest first');
+                assert(GeofenceModule.exportLogCSV().split('\n')[1].includes(',"Camp",enter,"ALPHA",mesh,'));
+            } finally {
+                GeofenceModule.deleteFence(fence.id);
+                GeofenceModule.clearLog();
+            }
+        }));
+    });
+}
+
+// ---- TEAM MODULE ----
+const TeamModule = loadIIFE('js/modules/team.js', 'TeamModule');
+if (TeamModule) {
+    suite('Team sync enforcement', () => {
+        const sync = (from, sub, d) => ({ _ts: 'team', tid: TeamModule.getCurrentTeam().id, sub, from, ts: Date.now(), d });
+        const withTeam = (fn) => {
+            const team = TeamModule.createTeam({ name: 'Alpha', creatorName: 'Lead' });
+            team.members.push(
+                { id: '!00000002', name: 'Nav', role: 'navigator' },
+                { id: '!00000003', name: 'Scout', role: 'scout', publicKey: 'KEY-SCOUT' },
+                { id: '!00000004', name: 'Deputy', role: 'coleader' }
+            );
+            try {
+                fn(team.members[0].id);
+            } finally {
+                TeamModule.dissolveTeam();
+                TeamModule.clearAuditLog();
+            }
+        };
+
+        test('receivers check the sender\'s role for each sync type', () => withTeam(() => {
+            assert(TeamModule.authorizeSync(sync('!00000003', 'rally_update', { rallyPoints: [] })).ok);
+            const denied = TeamModule.authorizeSync(sync('!00000003', 'comm_plan', { commPlan: {} }));
+            assert(!denied.ok);
+            assert(denied.reason.includes('edit_plan'), denied.reason);
+            assert(TeamModule.authorizeSync(sync('!00000002', 'comm_plan', { commPlan: {} })).ok);
+            assert(!TeamModule.authorizeSync(sync('!00000004', 'team_dissolved', {})).ok);
+            assertEqual(TeamModule.authorizeSync(sync('!00000009', 'rally_update', {})).reason, 'Sender is not a team member');
+            assert(!TeamModule.authorizeSync(sync('!00000002', 'bogus', {})).ok);
+        }));
+
+        test('members edit only their own record; roles and keys need the leader', () => withTeam((leaderId) => {
+            assert(TeamModule.authorizeSync(sync('!00000003', 'member_update', { id: '!00000003', name: 'Scout 2' })).ok);
+            assert(!TeamModule.authorizeSync(sync('!00000003', 'member_update', { id: '!00000003', role: 'leader' })).ok);
+            assert(!TeamModule.authorizeSync(sync('!00000003', 'member_update', { id: '!00000002', name: 'x' })).ok);
+            assert(!TeamModule.authorizeSync(sync('!00000003', 'member_update', { id: '!00000003', publicKey: 'OTHER' })).ok, 'key swap');
+            assert(TeamModule.authorizeSync(sync('!00000004', 'member_update', { id: '!00000002', role: 'scout' })).ok);
+            assert(!TeamModule.authorizeSync(sync('!00000004', 'member_update', { id: '!00000002', role: 'coleader' })).ok);
+            assert(TeamModule.authorizeSync(sync(leaderId, 'member_update', { id: '!00000002', role: 'coleader' })).ok);
+            assert(!TeamModule.authorizeSync(sync('!00000009', 'member_joined', { id: '!00000002' })).ok);
+            assert(!TeamModule.authorizeSync(sync('!00000003', 'member_left', { memberId: '!00000002' })).ok);
+        }));
+
+        test('local changes are written to the audit trail', () => withTeam(() => {
+            TeamModule.setMemberRole('!00000002', 'scout');
+            const [entry] = TeamModule.getAuditLog();
+            assertEqual(entry.summary, 'Set Nav to Scout');
+            assertEqual(entry.actorName, 'Lead');
+            assertEqual(entry.origin, 'local');
+            assertEqual(TeamModule.getSyncSecurity().keyEpoch, 0);
+            assertEqual(TeamModule.getAuditLog({ outcome: 'rejected' }).length, 0);
+        }));
+
+        // Signature checks: a stand-in mesh whose "signature" is the key plus the signed text
+        const canonical = v => Array.isArray(v) ? `[${v.map(canonical).join(',')}]`
+            : v && typeof v === 'object'
+                ? `{${Object.keys(v).sort().filter(k => v[k] !== undefined).map(k => `${JSON.stringify(k)}:${canonical(v[k])}`).join(',')}}`
+                : JSON.stringify(v);
+        const sign = (key, msg) => ({ ...msg, sig: `${key}|${canonical({ tid: msg.tid, sub: msg.sub, from: msg.from, ts: msg.ts, d: msg.d })}` });
+        const joinProof = (team, id, key) => require('crypto').createHmac('sha256', team.meshPSK.substring(0, 24))
+            .update(`${team.id}|${id}|${key}`).digest('base64');
+        const lastRejection = () => TeamModule.getAuditLog({ outcome: 'rejected', limit: 1 })[0]?.reason;
+        const withSignedTeam = async (fn) => {
+            const savedMesh = global.MeshtasticModule;
+            const sent = [];
+            global.MeshtasticModule = {
+                isCryptoAvailable: () => true,
+                getConnectionState: () => ({ state: 'connected', nodeId: '!0000000a' }),
+                getMyPublicKey: async () => 'KEY-ME',
+                signWithMyKey: async (text) => `KEY-ME|${text}`,
+                verifySignature: async (key, text, sig) => sig === `${key}|${text}`,
+                getPeerPublicKey: () => null,
+                sendTextMessage: async (text) => { sent.push(JSON.parse(text)); },
+                canSendDMTo: (id) => id === '!00000002',
+                encryptForNode: async (id, secret) => `enc:${secret}`,
+                decryptFromNode: async (id, k) => k.replace(/^enc:/, '')
+            };
+            const team = TeamModule.createTeam({ name: 'Alpha', creatorName: 'Lead' });
+            team.members.push(
+                { id: '!00000002', name: 'Nav', role: 'navigator' },
+                { id: '!00000003', name: 'Scout', role: 'scout', publicKey: 'KEY-SCOUT' },
+                { id: '!00000004', name: 'Deputy', role: 'coleader', publicKey: 'KEY-DEPUTY' }
+            );
+            try {
+                await fn(team, sent);
+            } finally {
+                TeamModule.getMyMember().role = 'leader';
+                TeamModule.dissolveTeam();
+                TeamModule.clearAuditLog();
+                await new Promise(resolve => setTimeout(resolve, 0));
+                global.MeshtasticModule = savedMesh;
+            }
+        };
+
+        testAsync('unsigned, forged, tampered and replayed messages are rejected', () => withSignedTeam(async () => {
+            const rename = (name, ts) => ({ ...sync('!00000003', 'member_update', { id: '!00000003', name }), ts });
+            const t0 = Date.now();
+
+            await TeamModule.receiveTeamSync(rename('Unsigned', t0));
+            assertEqual(lastRejection(), 'Unsigned sync message');
+            await TeamModule.receiveTeamSync(sign('KEY-OTHER', rename('Forged', t0 + 1)));
+            assertEqual(lastRejection(), 'Signature does not match sender key');
+            const tampered = sign('KEY-SCOUT', rename('Scout 2', t0 + 2));
+            tampered.d.name = 'Tampered';
+            await TeamModule.receiveTeamSync(tampered);
+            assertEqual(lastRejection(), 'Signature does not match sender key');
+            assertEqual(TeamModule.getMember('!00000003').name, 'Scout');
+
+            const valid = sign('KEY-SCOUT', rename('Scout 2', t0 + 3));
+            await TeamModule.receiveTeamSync(valid, '!00000003');
+            assertEqual(TeamModule.getMember('!00000003').name, 'Scout 2');
+            await TeamModule.receiveTeamSync({ ...valid, d: { ...valid.d } });
+            assert(lastRejection().startsWith('Replayed'), lastRejection());
+            await TeamModule.receiveTeamSync(sign('KEY-SCOUT', rename('Scout 3', t0 + 4)), '!00000009');
+            assertEqual(lastRejection(), 'Sender does not match the mesh node it came from');
+            assertEqual(TeamModule.getMember('!00000003').name, 'Scout 2');
+        }));
+
+        testAsync('a first signing key is pinned only with a join proof', () => withSignedTeam(async (team) => {
+            const announce = (id, key, proof, sub = 'member_update') => sign(key, sync(id, sub, { id, name: 'Nav', publicKey: key, proof }));
+
+            await TeamModule.receiveTeamSync(announce('!00000002', 'KEY-NAV', null));
+            assertEqual(lastRejection(), 'Join proof does not match the current team key');
+            assertEqual(TeamModule.getMember('!00000002').publicKey, undefined, 'roster entry not claimable without proof');
+
+            await TeamModule.receiveTeamSync(announce('!00000002', 'KEY-NAV', joinProof(team, '!00000002', 'KEY-NAV')));
+            assertEqual(TeamModule.getMember('!00000002').publicKey, 'KEY-NAV');
+            assertEqual(TeamModule.getMember('!00000002').proof, undefined);
+
+            await TeamModule.receiveTeamSync(announce('!00000002', 'KEY-EVIL', joinProof(team, '!00000002', 'KEY-EVIL')));
+            assertEqual(lastRejection(), 'Signature does not match sender key', 'pinned key cannot be replaced by a new proof');
+
+            await TeamModule.receiveTeamSync(announce('!00000009', 'KEY-NEW', 'bogus', 'member_joined'));
+            assert(!TeamModule.getMember('!00000009'), 'stranger without proof not added');
+            await TeamModule.receiveTeamSync(announce('!00000009', 'KEY-NEW', joinProof(team, '!00000009', 'KEY-NEW'), 'member_joined'));
+            assertEqual(TeamModule.getMember('!00000009').role, 'support');
+        }));
+
+        testAsync('a co-leader roster cannot promote anyone or replace pinned keys', () => withSignedTeam(async () => {
+            const me = TeamModule.getMyMember();
+            const t0 = Date.now();
+            const roster = (members, ts) => sign('KEY-DEPUTY', { ...sync('!00000004', 'roster', { to: me.id, members }), ts });
+
+            await TeamModule.receiveTeamSync(roster([
+                { id: '!00000004', name: 'Deputy', role: 'leader' },
+                { id: me.id, name: 'Lead', role: 'leader', publicKey: 'KEY-EVIL' }
+            ], t0));
+            assertEqual(lastRejection(), 'Only the leader can assign leader/co-leader roles');
+            assertEqual(TeamModule.getMember('!00000004').role, 'coleader');
+            assertEqual(me.role, 'leader');
+
+            await TeamModule.receiveTeamSync(roster([
+                { id: '!00000002', name: 'Nav', role: 'scout' },
+                { id: '!00000003', name: 'Scout', role: 'scout', publicKey: 'KEY-EVIL' }
+            ], t0 + 1));
+            assertEqual(TeamModule.getMember('!00000002').role, 'scout', 'allowed role change applied');
+            assertEqual(TeamModule.getMember('!00000003').publicKey, 'KEY-SCOUT', 'pinned key kept');
+        }));
+
+        testAsync('rotated keys go to reachable members and are adopted once', () => withSignedTeam(async (team, sent) => {
+            const oldPSK = team.meshPSK;
+            const result = await TeamModule.rotateTeamKeys('Test');
+            assertEqual(result.epoch, 1);
+            assertEqual(result.delivered.join(), 'Nav');
+            assertEqual(result.pending.join(), 'Scout,Deputy');
+            assert(team.meshPSK !== oldPSK);
+            const keyMsg = sent.find(m => m.sub === 'key_rotation');
+            assertEqual(keyMsg.d.to, '!00000002');
+            assertEqual(JSON.parse(keyMsg.d.k.replace(/^enc:/, '')).psk, team.meshPSK);
+
+            // Now receive a rotation from a new leader as an ordinary member
+            TeamModule.getMyMember().role = 'support';
+            TeamModule.getMember('!00000004').role = 'leader';
+            const rotation = (ep, ts) => sign('KEY-DEPUTY', { ...sync('!00000004', 'key_rotation', {
+                to: TeamModule.getMyMember().id, ep, k: `enc:${JSON.stringify({ ep, psk: `PSK-${ep}`, pp: `pass ${ep}` })}`
+            }), ts });
+            const t0 = Date.now() + 1000;
+            await TeamModule.receiveTeamSync(rotation(5, t0));
+            await new Promise(resolve => setTimeout(resolve, 0));
+            assertEqual(team.keyEpoch, 5);
+            assertEqual(team.meshPSK, 'PSK-5');
+            await TeamModule.receiveTeamSync(rotation(3, t0 + 1));
+            await new Promise(resolve => setTimeout(resolve, 0));
+            assertEqual(team.meshPSK, 'PSK-5', 'older epoch ignored');
+            assertEqual(TeamModule.getSyncSecurity().keyEpoch, 5);
+        }));
+    });
+}
+
+// ---- CHECK-IN ENGINE ----
+const CommPlanModule = loadIIFE('js/modules/commplan.js', 'CommPlanModule');
+const ContingencyModule = loadIIFE('js/modules/contingency.js', 'ContingencyModule');
+global.CommPlanModule = CommPlanModule;
+global.ContingencyModule = ContingencyModule;
+const CheckInModule = CommPlanModule ? loadIIFE('js/modules/checkin.js', 'CheckInModule') : null;
+if (CheckInModule) {
+    suite('Check-in engine', () => {
+        const at = (h, m) => new Date(2026, 9, 19, h, m).getTime();
+
+        test('windows follow the plan interval unless fixed times are set', () => {
+            const hourly = CheckInModule.getWindows({ interval: 60, windowMinutes: 10, windows: [] }, at(10, 0), at(12, 0));
+            assertEqual(hourly.map(w => w.dueAt).join(), [at(10, 0), at(11, 0), at(12, 0)].join());
+            assertEqual(hourly[0].openAt, at(9, 55));
+            assertEqual(hourly[0].closeAt, at(10, 5));
+            const fixed = CheckInModule.getWindows({ interval: 60, windowMinutes: 20, windows: [{ time: '08:30' }, { time: 'bad' }] }, at(0, 0), at(23, 59));
+            assertEqual(fixed.length, 1);
+            assertEqual(fixed[0].closeAt, at(8, 40));
+            assertEqual(CheckInModule.getWindows({ interval: 0, windows: [] }, at(0, 0), at(23, 0)).length, 0);
+        });
+
+        test('a missed window escalates step by step to the overdue protocol', () => {
+            CommPlanModule.addTeamMember({ name: 'Scout', callSign: 'K1ABC' });
+            CommPlanModule.updateCheckInSettings({ enabled: true, interval: 60, windowMinutes: 10, transports: { mesh: true, aprs: true } });
+            CheckInModule.evaluate(at(9, 50));
+            CheckInModule.recordCheckIn('aprs:K1ABC', { status: 'OK', via: 'aprs', lat: 40.1, lon: -105.2, at: at(9, 20) });
+            CheckInModule.recordCheckIn(CheckInModule.SELF_KEY, { status: 'OK', at: at(9, 57) });
+
+            CheckInModule.evaluate(at(10, 6));
+            const status = (now) => CheckInModule.getStatuses(now).find(s => s.key === 'aprs:K1ABC');
+            assertEqual(status(at(10, 6)).status, 'missed');
+            assertEqual(status(at(10, 6)).level, 'Leader alerted');
+            assertEqual(CheckInModule.getStatuses(at(10, 6)).find(s => s.self).status, 'ok');
+
+            CheckInModule.evaluate(at(10, 21));
+            assertEqual(status(at(10, 21)).missed.done.length, 3);
+            assertEqual(status(at(10, 21)).level, 'Contingency frequency');
+
+            CheckInModule.evaluate(at(10, 36));
+            const overdue = status(at(10, 36));
+            assertEqual(overdue.status, 'overdue');
+            assertEqual(overdue.missed.protocol.lastKnownPosition.lat, 40.1);
+            assert(overdue.missed.protocol.searchInstructions[2].includes('Scout'), overdue.missed.protocol.searchInstructions[2]);
+        });
+
+        test('a late check-in ends escalation and disabling resets the engine', () => {
+            CheckInModule.recordCheckIn('aprs:K1ABC', { status: 'OK', via: 'aprs', at: at(10, 40) });
+            assertEqual(CheckInModule.getStatuses(at(10, 41)).find(s => s.key === 'aprs:K1ABC').status, 'ok');
+            assertEqual(CheckInModule.getHistory({ key: 'aprs:K1ABC', limit: 2 }).map(h => h.type).join(), 'recovered,checkin');
+
+            CheckInModule.evaluate(at(11, 6));
+            assertEqual(CheckInModule.getStatuses(at(11, 6)).filter(s => s.status === 'missed').length, 2);
+            CommPlanModule.updateCheckInSettings({ enabled: false });
+            CheckInModule.evaluate(at(11, 7));
+            assertEqual(CheckInModule.getSummary(at(11, 7)).startedAt, null);
+            assertEqual(CheckInModule.getStatuses(at(11, 7)).filter(s => s.missed).length, 0);
+        });
+    });
+}
+delete global.CommPlanModule;
+delete global.ContingencyModule;
+
+// ---- DEAD-MAN SWITCH ----
+const DeadManModule = loadIIFE('js/modules/deadman.js', 'DeadManModule');
+if (DeadManModule) {
+    suite('Dead-man switch', () => {
+        const t0 = Date.now();
+        const still = { x: 0.1, y: 0.2, z: 9.8 };
+
+        test('an impact followed by stillness starts the countdown', () => {
+            DeadManModule.processMotion({ x: 40, y: 0, z: 0 }, t0);
+            assertEqual(DeadManModule.getStatus().impact, null, 'ignored while disarmed');
+            DeadManModule.arm();
+            assertEqual(DeadManModule.getStatus().phase, 'armed');
+
+            DeadManModule.processMotion({ x: 35, y: 0, z: 0 }, t0 + 1000);
+            assertEqual(DeadManModule.getStatus().impact.g, 3.6);
+            DeadManModule.processMotion(still, t0 + 10000);
+            DeadManModule.evaluate(t0 + 20000);
+            assertEqual(DeadManModule.getStatus().phase, 'armed');
+            DeadManModule.evaluate(t0 + 32000);
+            const status = DeadManModule.getStatus();
+            assertEqual(status.phase, 'countdown');
+            assertEqual(status.countdown.trigger, DeadManModule.TRIGGERS.IMPACT);
+
+            DeadManModule.cancelCountdown();
+            assertEqual(DeadManModule.getStatus().phase, 'armed');
+            assertEqual(DeadManModule.getStatus().impact, null);
+        });
+
+        test('moving after an impact clears it', () => {
+            DeadManModule.processMotion({ x: 35, y: 0, z: 0 }, t0 + 40000);
+            DeadManModule.processMotion({ x: 4, y: 3, z: 12 }, t0 + 45000);
+            assertEqual(DeadManModule.getStatus().impact, null);
+            assertEqual(DeadManModule.getLog({ limit: 1 })[0].type, 'impact_cleared');
+        });
+
+        test('stillness counts GPS moves beyond the radius as movement', () => {
+            const base = Date.now();
+            DeadManModule.updateSettings({ promptInterval: 0 });
+            DeadManModule.processPosition({ lat: 40, lon: -105, accuracy: 5 }, base);
+            DeadManModule.processPosition({ lat: 40.0001, lon: -105, accuracy: 5 }, base + 5 * 60000);
+            DeadManModule.processPosition({ lat: 40.001, lon: -105, accuracy: 500 }, base + 6 * 60000);
+            DeadManModule.evaluate(base + 16 * 60000);
+            assertEqual(DeadManModule.getStatus().phase, 'countdown', '11 m shuffle and a poor fix do not count');
+            DeadManModule.cancelCountdown();
+
+            const moved = Date.now();
+            DeadManModule.processPosition({ lat: 40.001, lon: -105, accuracy: 5 }, moved + 60000);
+            DeadManModule.evaluate(moved + 15 * 60000);
+            assertEqual(DeadManModule.getStatus().phase, 'armed');
+        });
+
+        test('an unanswered prompt counts down after the answer time', () => {
+            const base = Date.now();
+            DeadManModule.updateSettings({ promptInterval: 30, watchStillness: false });
+            DeadManModule.acknowledge();
+            assertClose(DeadManModule.getStatus().nextPromptAt - base, 30 * 60000, 1000);
+            DeadManModule.evaluate(base + 31 * 60000);
+            assertEqual(DeadManModule.getStatus().phase, 'prompt');
+            DeadManModule.evaluate(base + 32 * 60000);
+            assertEqual(DeadManModule.getStatus().phase, 'prompt', 'still inside the answer time');
+            assertEqual(DeadManModule.runDrill(), false, 'no drill over a pending prompt');
+            assertEqual(DeadManModule.getStatus().phase, 'prompt');
+            DeadManModule.evaluate(base + 34 * 60000);
+            assertEqual(DeadManModule.getStatus().countdown.trigger, 'prompt');
+            DeadManModule.cancelCountdown();
+        });
+
+        test('disarming is logged and the log exports as CSV', () => {
+            DeadManModule.disarm();
+            assertEqual(DeadManModule.getStatus().phase, 'off');
+            assertEqual(DeadManModule.getSettings().hasPin, false);
+            assertEqual(DeadManModule.getSettings().pinHash, undefined);
+            const csv = DeadManModule.exportLogCSV().split('\n');
+            assertEqual(csv[0], 'time,event,message,lat,lon');
+            assert(csv[csv.length - 1].includes(',disarmed,"Disarmed: By user"'), csv[csv.length - 1]);
+            assertEqual(DeadManModule.getLog({ type: 'cancelled' }).length, 3);
+        });
+
+        testAsync('monitoring and a running countdown survive a reload', async () => {
+            const saved = { Storage: global.Storage, Events: global.Events, SOSModule: global.SOSModule, setInterval: global.setInterval, clearInterval: global.clearInterval };
+            const store = {};
+            const sos = [];
+            global.Storage = { ...saved.Storage, Settings: {
+                get: async (key, fallback) => key in store ? JSON.parse(store[key]) : fallback,
+                set: async (key, value) => { store[key] = JSON.stringify(value); }
+            } };
+            global.Events = { on: () => () => {}, emit: () => {} };
+            global.SOSModule = { activateSOS: (type) => sos.push(type) };
+            global.setInterval = () => 0;
+            global.clearInterval = () => {};
+            // A fresh module instance stands in for the reloaded page
+            const reload = async () => {
+                const module = loadIIFE('js/modules/deadman.js', 'DeadManModule');
+                await module.init();
+                await new Promise(resolve => setTimeout(resolve, 0));
+                return module;
+            };
+            try {
+                const first = await reload();
+                await first.arm();
+                const now = Date.now();
+                first.processMotion({ x: 35, y: 0, z: 0 }, now);
+                first.evaluate(now + 1000);
+
+                const second = await reload();
+                const status = second.getStatus();
+                assertEqual(status.phase, 'armed');
+                assertEqual(status.armedAt, first.getStatus().armedAt);
+                assertEqual(status.impact.g, 3.6, 'impact kept');
+                assert(status.stillForMs >= 0 && status.stillForMs < 60000);
+                second.evaluate(now + 60000);
+                assertEqual(second.getStatus().phase, 'countdown');
+
+                const third = await reload();
+                assertEqual(third.getStatus().countdown.trigger, 'impact', 'countdown resumed');
+                assertEqual(third.getStatus().countdown.endsAt, second.getStatus().countdown.endsAt);
+                assertEqual(sos.length, 0);
+
+                const state = JSON.parse(store.deadman_state);
+                store.deadman_state = JSON.stringify({ ...state, countdown: { ...state.countdown, endsAt: Date.now() - 1000 } });
+                const fourth = await reload();
+                assertEqual(fourth.getStatus().phase, 'triggered', 'overdue countdown fires');
+                assertEqual(sos.join(), 'medical');
+                assertEqual(JSON.parse(store.deadman_state).armed, false);
+            } finally {
+                Object.assign(global, saved);
+            }
+        });
+    });
+}
+
+// ---- SIGNAL TOOLS ----
+const SignalingModule = loadIIFE('js/modules/signaling.js', 'SignalingModule');
+if (SignalingModule) {
+    suite('Signal tools', () => {
+        test('text encodes to Morse and unknown characters are dropped', () => {
+            assertEqual(SignalingModule.textToMorse('sos'), '... --- ...');
+            assertEqual(SignalingModule.textToMorse(' need  water! '), '-. . . -.. / .-- .- - . .-.');
+            assertEqual(SignalingModule.textToMorse('!!'), '');
+        });
+
+        test('Morse timelines follow standard element and gap lengths', () => {
+            const unit = 1200 / 10;
+            const sos = SignalingModule.buildTimeline('sos', { wpm: 10 });
+            assertEqual(sos.length, 18, 'nine elements, prosign sent without letter gaps');
+            assertEqual(sos[0].ms, unit);
+            assertEqual(sos[6].ms, 3 * unit);
+            assertEqual(sos[17].ms, 7 * unit);
+            const et = SignalingModule.buildTimeline('message', { message: 'E T', wpm: 10 });
+            assertEqual(et.map(s => `${s.on ? 1 : 0}:${s.ms}`).join(), `1:${unit},0:${7 * unit},1:${3 * unit},0:${7 * unit}`);
+            const help = SignalingModule.buildTimeline('help');
+            assertEqual(help.filter(s => s.on).length, 3);
+            assertEqual(help[help.length - 1].ms, 5000);
+            let threw = false;
+            try { SignalingModule.buildTimeline('message', { message: '###' }); } catch (e) { threw = true; }
+            assert(threw, 'empty Morse message rejected');
+        });
+
+        test('the scheduler alternates bursts and rest, then stops', () => {
+            const schedule = { ...SignalingModule.SCHEDULES['1m_5m'], stopAfterMinutes: 30 };
+            const t0 = 1000000;
+            assert(SignalingModule.getScheduleWindow(schedule, t0, t0 + 30000).bursting);
+            const rest = SignalingModule.getScheduleWindow(schedule, t0, t0 + 90000);
+            assert(!rest.bursting);
+            assertEqual(rest.nextBurstAt, t0 + 5 * 60000);
+            assertEqual(SignalingModule.getScheduleWindow(schedule, t0, t0 + 10 * 60000 + 1000).burstEndsAt, t0 + 11 * 60000);
+            assert(SignalingModule.getScheduleWindow(schedule, t0, t0 + 30 * 60000).expired);
+            assert(SignalingModule.getScheduleWindow(SignalingModule.SCHEDULES.continuous, t0, t0 + 86400000).bursting);
+        });
+
+        test('mirror aim bisects the sun and target directions', () => {
+            const side = SignalingModule.getMirrorAim({ sunAzimuth: 90, sunAltitude: 0, targetBearing: 0 });
+            assertClose(side.separation, 90, 0.01);
+            assertClose(side.mirrorAzimuth, 45, 0.01);
+            assertEqual(side.sunOffset, 90);
+            assertEqual(side.quality, 'good');
+            const left = SignalingModule.getMirrorAim({ sunAzimuth: 350, sunAltitude: 0, targetBearing: 10 });
+            assertClose(left.mirrorAzimuth, 0, 0.01);
+            assertEqual(left.sunOffset, -20);
+            const high = SignalingModule.getMirrorAim({ sunAzimuth: 0, sunAltitude: 60, targetBearing: 0 });
+            assertClose(high.mirrorTilt, 30, 0.01);
+            assertClose(high.incidence, 30, 0.01);
+            assertEqual(SignalingModule.getMirrorAim({ sunAzimuth: 180, sunAltitude: 20, targetBearing: 0 }).quality, 'poor');
+            assertEqual(SignalingModule.getMirrorAim({ sunAzimuth: 90, sunAltitude: -5, targetBearing: 80 }).quality, 'none');
+        });
+
+        test('starting a signal replaces the running one and stop clears it', () => {
+            SignalingModule.start({ pattern: 'strobe', light: true });
+            SignalingModule.start({ pattern: 'message', message: 'OK', light: false, sound: true, schedule: '30s_2m' });
+            const status = SignalingModule.getStatus();
+            assertEqual(status.patternId, 'message');
+            assertEqual(status.schedule, '30 s every 2 min');
+            assert(status.sound && !status.light);
+            SignalingModule.stop();
+            assertEqual(SignalingModule.getStatus().active, false);
+        });
+    });
+}
+
+// ============================================================
+// Results
+// ============================================================
+runAsyncTests().then(() => {
+    _testLog('\n╔══════════════════════════════════════════╗');
+    _testLog('║              Results                     ║');
+    _testLog('╚══════════════════════════════════════════╝');
+
+    Object.entries(suiteResults).forEach(([name, r]) => {
+        const status = r.failed === 0 ? '✅' : '❌';
+        _testLog(`  ${status} ${name}: ${r.passed}/${r.total} passed`);
+    });
+
+    _testLog(`\n  Total: ${passed} passed, ${failed} failed out of ${totalTests}`);
+
+    if (failures.length > 0) {
+        _testLog('\n  Failed tests:');
+        failures.forEach(f => {
+            _testLog(`    ❌ [${f.suite}] ${f.test}`);
+            _testLog(`       ${f.error}`);
+        });
+    }
+
+    process.exit(failed > 0 ? 1 : 0);
+});